@@ -0,0 +1,41 @@
+-- Assignment batches: every assign / remove / distribute call with the prior assignee and target-date state
+-- of each lead, so a wrong bulk assignment can be undone.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS assignment_batches (
+    id CHAR(36) PRIMARY KEY,
+    operation VARCHAR(20) NOT NULL,
+    target_user_id CHAR(36) NULL COMMENT 'Assignee / user unassigned from; NULL for multi-user distributions',
+    lead_count INT UNSIGNED NOT NULL DEFAULT 0,
+    request_filters JSON NULL COMMENT 'Filters / lead IDs the operation was called with',
+    status VARCHAR(20) NOT NULL DEFAULT 'applied',
+    created_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    undone_by CHAR(36) NULL,
+    undone_at DATETIME NULL,
+    undo_restored_count INT UNSIGNED NULL,
+    undo_skipped_count INT UNSIGNED NULL,
+    FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (undone_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_assignment_batches_created (created_at),
+    INDEX idx_assignment_batches_target (target_user_id, created_at),
+    CONSTRAINT chk_assignment_batches_operation CHECK (operation IN ('assign', 'remove', 'distribute')),
+    CONSTRAINT chk_assignment_batches_status CHECK (status IN ('applied', 'undone', 'partially_undone'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS assignment_batch_items (
+    batch_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    previous_state JSON NOT NULL COMMENT 'Assignee, assigned_at/by, target dates, channel + lead status before the batch',
+    new_assigned_to CHAR(36) NULL COMMENT 'Assignee after the batch (NULL for removals)',
+    post_updated_at DATETIME NULL COMMENT 'leads.updated_at right after the batch; a later value means the lead was touched',
+    undo_status VARCHAR(20) NULL COMMENT 'restored | skipped after an undo',
+    undo_skip_reason VARCHAR(100) NULL,
+    PRIMARY KEY (batch_id, lead_id, channel),
+    FOREIGN KEY (batch_id) REFERENCES assignment_batches(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    INDEX idx_assignment_batch_items_lead (lead_id),
+    CONSTRAINT chk_assignment_batch_items_channel CHECK (channel IN ('counsellor', 'pro'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
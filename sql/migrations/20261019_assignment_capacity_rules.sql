@@ -0,0 +1,26 @@
+-- Workload capacity caps per user or role (open leads, new leads per day, open leads per student group).
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS assignment_capacity_rules (
+    id CHAR(36) PRIMARY KEY,
+    scope_type VARCHAR(10) NOT NULL COMMENT 'user | role; a user rule replaces the role rule for that user',
+    user_id CHAR(36) NULL,
+    role_name VARCHAR(100) NULL,
+    max_open_leads INT UNSIGNED NULL COMMENT 'NULL = no cap',
+    max_new_per_day INT UNSIGNED NULL COMMENT 'Leads newly assigned per IST calendar day',
+    max_per_student_group INT UNSIGNED NULL COMMENT 'Open leads per student_group',
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_assignment_capacity_rules_user (user_id),
+    UNIQUE KEY uk_assignment_capacity_rules_role (role_name),
+    CONSTRAINT chk_assignment_capacity_rules_scope CHECK (
+        (scope_type = 'user' AND user_id IS NOT NULL AND role_name IS NULL)
+        OR (scope_type = 'role' AND role_name IS NOT NULL AND user_id IS NULL)
+    )
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,19 @@
+-- Call reminders: log of reminders, morning agenda digests and missed-callback escalations already sent.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS call_reminder_deliveries (
+    id CHAR(36) PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL COMMENT 'reminder | agenda | escalation',
+    dedupe_key VARCHAR(191) NOT NULL,
+    user_id CHAR(36) NOT NULL COMMENT 'Recipient (counsellor, or manager for escalations)',
+    lead_id CHAR(36) NULL,
+    scheduled_call DATETIME NULL COMMENT 'next_scheduled_call the reminder / escalation was for',
+    notification_id CHAR(36) NULL,
+    push_sent BOOLEAN DEFAULT FALSE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_call_reminder_deliveries_key (dedupe_key),
+    INDEX idx_call_reminder_deliveries_user (user_id, created_at),
+    INDEX idx_call_reminder_deliveries_lead (lead_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,34 @@
+-- Auto-dialer queue: served / skipped / called items per counsellor and per-lead dial locks.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS dialer_queue_items (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    bucket VARCHAR(20) NOT NULL COMMENT 'callback | fresh | interested',
+    status VARCHAR(20) NOT NULL DEFAULT 'served' COMMENT 'served | called | skipped | released | expired',
+    skip_reason VARCHAR(255) NULL,
+    communication_id CHAR(36) NULL COMMENT 'Call log that completed the item',
+    call_outcome VARCHAR(255) NULL,
+    served_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (communication_id) REFERENCES communications(id) ON DELETE SET NULL,
+    INDEX idx_dialer_queue_items_user (user_id, status, served_at),
+    INDEX idx_dialer_queue_items_lead (lead_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- A lead being dialled is locked to one agent until the call is logged, skipped or the lock expires
+CREATE TABLE IF NOT EXISTS dialer_locks (
+    lead_id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    queue_item_id CHAR(36) NOT NULL,
+    locked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (queue_item_id) REFERENCES dialer_queue_items(id) ON DELETE CASCADE,
+    INDEX idx_dialer_locks_user (user_id),
+    INDEX idx_dialer_locks_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,38 @@
+-- Typed custom lead field registry + filter index for filterable fields.
+-- Apply to primary admissions DB. After registering a filterable field, existing values are indexed
+-- by the background reindex (POST /api/lead-custom-fields/:id/reindex).
+
+CREATE TABLE IF NOT EXISTS lead_custom_fields (
+    id CHAR(36) PRIMARY KEY,
+    field_key VARCHAR(64) NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    field_type VARCHAR(20) NOT NULL,
+    allowed_values JSON NULL,
+    aliases JSON NULL,
+    is_filterable TINYINT(1) NOT NULL DEFAULT 0,
+    is_required TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_lead_custom_fields_key (field_key),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT chk_lead_custom_fields_type CHECK (field_type IN ('text', 'number', 'date', 'boolean', 'select', 'multiselect'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Filter index for filterable custom fields (mirrors leads.dynamic_fields; one row per value, multiselect → many)
+CREATE TABLE IF NOT EXISTS lead_custom_field_values (
+    lead_id CHAR(36) NOT NULL,
+    field_key VARCHAR(64) NOT NULL,
+    value_text VARCHAR(255) NOT NULL,
+    value_number DECIMAL(18, 4) NULL,
+    value_date DATE NULL,
+    PRIMARY KEY (lead_id, field_key, value_text),
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    INDEX idx_lcfv_text (field_key, value_text),
+    INDEX idx_lcfv_number (field_key, value_number),
+    INDEX idx_lcfv_date (field_key, value_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
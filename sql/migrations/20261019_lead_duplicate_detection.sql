@@ -0,0 +1,23 @@
+-- Real-time duplicate detection on lead create / public form / bulk upload.
+-- Apply to primary admissions DB, then run src/scripts-sql/updateActivityLogsType.js so activity_logs accepts 'enquiry_touch' (and 'lead_merge').
+
+ALTER TABLE leads
+  ADD COLUMN possible_duplicate_of CHAR(36) NULL COMMENT 'Set when created under the flag duplicate policy; cleared on merge / dismiss' AFTER upload_batch_id;
+
+ALTER TABLE leads
+  ADD COLUMN duplicate_match_reasons JSON NULL AFTER possible_duplicate_of;
+
+CREATE INDEX idx_leads_possible_duplicate_of ON leads (possible_duplicate_of);
+
+-- Phone / village lookups used by the duplicate matcher
+CREATE INDEX idx_leads_father_phone ON leads (father_phone);
+
+CREATE INDEX idx_leads_alternate_mobile ON leads (alternate_mobile);
+
+CREATE INDEX idx_leads_village_mandal ON leads (village(100), mandal(100));
+
+ALTER TABLE import_jobs
+  ADD COLUMN duplicate_policy VARCHAR(20) NULL AFTER upload_token;
+
+ALTER TABLE import_jobs
+  ADD COLUMN stats_duplicates JSON NULL AFTER duplicate_policy;
@@ -0,0 +1,20 @@
+-- Field-level lead change history (old / new value per field, dynamic_fields keys included) with revert.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS lead_field_changes (
+    id CHAR(36) PRIMARY KEY,
+    lead_id CHAR(36) NOT NULL,
+    field_key VARCHAR(150) NOT NULL COMMENT 'leads column, or dynamic_fields.<key> for custom fields',
+    old_value TEXT NULL,
+    new_value TEXT NULL,
+    change_source VARCHAR(20) NOT NULL DEFAULT 'edit',
+    reverted_change_id CHAR(36) NULL COMMENT 'Revert rows: the change whose old value was restored',
+    activity_log_id CHAR(36) NULL,
+    changed_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_field_changes_lead_created (lead_id, created_at),
+    INDEX idx_lead_field_changes_lead_field (lead_id, field_key, created_at),
+    CONSTRAINT chk_lead_field_changes_source CHECK (change_source IN ('edit', 'revert', 'phone_report'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,57 @@
+-- Reclamation policies for the nightly lead reclaimer (statuses per role, grace days, exclusions, cycle bump,
+-- destination) and its run time. Seeds a "Default" policy equal to the previous hardcoded behaviour.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS lead_reclamation_policies (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    description VARCHAR(500) NULL,
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    priority INT NOT NULL DEFAULT 100 COMMENT 'Lower first; each lead is handled by the first active policy whose scope matches',
+    scope_academic_year SMALLINT UNSIGNED NULL,
+    scope_student_group VARCHAR(50) NULL,
+    scope_source VARCHAR(255) NULL,
+    counsellor_statuses JSON NOT NULL COMMENT 'lead_status values whose due counsellor slot is reclaimed',
+    pro_statuses JSON NOT NULL COMMENT 'lead_status values whose due PRO slot is reclaimed',
+    grace_days INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Days after the slot target date before it is reclaimed',
+    exclude_future_callbacks BOOLEAN DEFAULT FALSE NOT NULL COMMENT 'Skip leads with next_scheduled_call in the future',
+    exclude_joining_drafts BOOLEAN DEFAULT FALSE NOT NULL COMMENT 'Skip leads that have a draft joining',
+    bump_cycle BOOLEAN DEFAULT TRUE NOT NULL,
+    cycle_bump_statuses JSON NULL COMMENT 'Statuses that bump cycle_number when the lead is fully released; NULL/empty = any',
+    counsellor_destination_user_id CHAR(36) NULL COMMENT 'Reclaimed counsellor slots go to this user; NULL = unassigned pool',
+    pro_destination_user_id CHAR(36) NULL COMMENT 'Reclaimed PRO slots go to this user; NULL = unassigned pool',
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (counsellor_destination_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (pro_destination_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_lead_reclamation_policies_name (name),
+    INDEX idx_lead_reclamation_policies_active (is_active, priority)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_reclamation_settings (
+    id TINYINT UNSIGNED PRIMARY KEY COMMENT 'Single row (id = 1)',
+    run_time_ist CHAR(5) NOT NULL DEFAULT '23:11' COMMENT 'Daily run, HH:MM Asia/Kolkata',
+    updated_by CHAR(36) NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO lead_reclamation_policies (
+  id, name, description, is_active, priority,
+  counsellor_statuses, pro_statuses, grace_days,
+  exclude_future_callbacks, exclude_joining_drafts,
+  bump_cycle, cycle_bump_statuses,
+  created_at, updated_at
+)
+SELECT
+  UUID(), 'Default', 'Reclaim due slots of untouched, not interested and wrong-data leads', TRUE, 100,
+  JSON_ARRAY('Not Interested', 'Wrong Data', 'Assigned'), JSON_ARRAY('Not Interested', 'Wrong Data', 'Assigned'), 0,
+  FALSE, FALSE,
+  TRUE, JSON_ARRAY('Not Interested', 'Wrong Data'),
+  NOW(), NOW()
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM lead_reclamation_policies LIMIT 1);
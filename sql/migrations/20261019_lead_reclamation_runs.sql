@@ -0,0 +1,50 @@
+-- Lead reclaimer run history: one row per run plus the reclaimed slots, for reports and selective restore.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS lead_reclamation_runs (
+    id CHAR(36) PRIMARY KEY,
+    cutoff_date DATE NOT NULL,
+    trigger_type VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    leads_count INT UNSIGNED NOT NULL DEFAULT 0,
+    slots_count INT UNSIGNED NOT NULL DEFAULT 0,
+    excluded_count INT UNSIGNED NOT NULL DEFAULT 0,
+    restored_count INT UNSIGNED NOT NULL DEFAULT 0,
+    error_message TEXT NULL,
+    triggered_by CHAR(36) NULL,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME NULL,
+    FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_reclamation_runs_started (started_at),
+    CONSTRAINT chk_lead_reclamation_runs_trigger CHECK (trigger_type IN ('scheduled', 'manual')),
+    CONSTRAINT chk_lead_reclamation_runs_status CHECK (status IN ('running', 'completed', 'failed'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_reclamation_run_items (
+    id CHAR(36) PRIMARY KEY,
+    run_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    reclaimed_role VARCHAR(20) NOT NULL,
+    activity_log_id CHAR(36) NOT NULL COMMENT 'Reclaim status_change log (metadata.reclamation)',
+    previous_assignee CHAR(36) NULL,
+    previous_target_date DATE NULL,
+    old_status VARCHAR(50) NULL,
+    new_status VARCHAR(50) NULL,
+    previous_cycle INT NULL,
+    new_cycle INT NULL,
+    reassigned_to CHAR(36) NULL COMMENT 'Policy destination user; NULL = unassigned pool',
+    policy_id CHAR(36) NULL,
+    policy_name VARCHAR(150) NULL,
+    restored_at DATETIME NULL,
+    restored_by CHAR(36) NULL,
+    restore_activity_log_id CHAR(36) NULL,
+    restore_skip_reason VARCHAR(255) NULL,
+    FOREIGN KEY (run_id) REFERENCES lead_reclamation_runs(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (restored_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_reclamation_run_items_run (run_id, reclaimed_role),
+    INDEX idx_lead_reclamation_run_items_lead (lead_id),
+    INDEX idx_lead_reclamation_run_items_log (activity_log_id),
+    INDEX idx_lead_reclamation_run_items_prev (previous_assignee),
+    CONSTRAINT chk_lead_reclamation_run_items_role CHECK (reclaimed_role IN ('counsellor', 'pro'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,15 @@
+-- Soft delete / recycle bin for leads.
+-- Apply to primary admissions DB. Deleted leads keep their communications and activity logs until purged
+-- (LEAD_RECYCLE_BIN_RETENTION_DAYS after deletion, default 30).
+
+ALTER TABLE leads
+  ADD COLUMN deleted_at DATETIME NULL COMMENT 'Recycle bin: set by delete, cleared by restore; purged after retention' AFTER lead_score_updated_at,
+  ADD COLUMN deleted_by CHAR(36) NULL AFTER deleted_at,
+  ADD CONSTRAINT fk_leads_deleted_by FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE leads
+  ADD INDEX idx_leads_deleted_at (deleted_at);
+
+-- delete_jobs now also carries restores and retention purges
+ALTER TABLE delete_jobs
+  ADD COLUMN action VARCHAR(20) NOT NULL DEFAULT 'delete' CHECK (action IN ('delete', 'restore', 'purge')) AFTER status;
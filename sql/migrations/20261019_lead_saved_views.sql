@@ -0,0 +1,21 @@
+-- Saved lead views / smart lists: per-user getLeads filter presets, optionally shared with a team or role.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS lead_saved_views (
+    id CHAR(36) PRIMARY KEY,
+    owner_id CHAR(36) NOT NULL,
+    name VARCHAR(120) NOT NULL,
+    description TEXT NULL,
+    filters JSON NOT NULL,
+    sort JSON NULL,
+    columns JSON NULL,
+    share_scope VARCHAR(20) NOT NULL DEFAULT 'private',
+    share_role_name VARCHAR(100) NULL,
+    is_default TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uq_lead_saved_views_owner_name (owner_id, name),
+    INDEX idx_lead_saved_views_share (share_scope, share_role_name),
+    CONSTRAINT chk_lead_saved_views_share_scope CHECK (share_scope IN ('private', 'team', 'role'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,32 @@
+-- Rule-based lead scoring: admin-configured rules + score stored on the lead.
+-- Apply to primary admissions DB, then POST /api/lead-scoring/recompute once rules exist.
+
+CREATE TABLE IF NOT EXISTS lead_scoring_rules (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    signal_key VARCHAR(64) NOT NULL,
+    operator VARCHAR(20) NOT NULL,
+    value JSON NULL,
+    points INT NOT NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_scoring_rules_active (is_active, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE leads
+  ADD COLUMN lead_score INT NOT NULL DEFAULT 0 AFTER duplicate_match_reasons;
+
+ALTER TABLE leads
+  ADD COLUMN lead_score_breakdown JSON NULL AFTER lead_score;
+
+ALTER TABLE leads
+  ADD COLUMN lead_score_updated_at DATETIME NULL AFTER lead_score_breakdown;
+
+CREATE INDEX idx_leads_lead_score ON leads (lead_score DESC, created_at DESC);
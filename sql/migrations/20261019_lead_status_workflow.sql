@@ -0,0 +1,24 @@
+-- Configurable lead status workflow.
+-- Apply to primary admissions DB. No statuses are seeded: a channel is validated only once an admin
+-- installs its catalog (POST /api/lead-statuses/seed-defaults) or creates statuses for it.
+
+-- Admin-managed status catalog per channel (lead_status / call_status / visit_status) with allowed transitions
+CREATE TABLE IF NOT EXISTS lead_statuses (
+    id CHAR(36) PRIMARY KEY,
+    channel VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    canonical_status VARCHAR(50) NULL,
+    allowed_next JSON NULL,
+    requires_comment TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    color VARCHAR(20) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_lead_statuses_channel_name (channel, name),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT chk_lead_statuses_channel CHECK (channel IN ('lead_status', 'call_status', 'visit_status'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,29 @@
+-- Lead tags with many-to-many lead links.
+-- Apply to primary admissions DB, then run src/scripts-sql/updateActivityLogsType.js so activity_logs accepts 'tag_change'.
+
+-- Lead tags (labels) and the many-to-many link to leads
+CREATE TABLE IF NOT EXISTS lead_tags (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    color VARCHAR(20) NULL,
+    description VARCHAR(500) NULL,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_lead_tags_name (name),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_tag_assignments (
+    lead_id CHAR(36) NOT NULL,
+    tag_id CHAR(36) NOT NULL,
+    tagged_by CHAR(36) NULL,
+    tagged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lead_id, tag_id),
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES lead_tags(id) ON DELETE CASCADE,
+    FOREIGN KEY (tagged_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_tag_assignments_tag (tag_id, lead_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,37 @@
+-- Bulk messaging job controls: pause / cancel, per-job rate limit, quiet-hours hold, skipped and cancelled items
+-- Apply to primary admissions DB.
+
+ALTER TABLE sms_bulk_jobs ADD COLUMN skipped_count INT NOT NULL DEFAULT 0 AFTER fail_count;
+ALTER TABLE sms_bulk_jobs ADD COLUMN cancelled_count INT NOT NULL DEFAULT 0 AFTER skipped_count;
+ALTER TABLE sms_bulk_jobs ADD COLUMN rate_limit_per_minute INT NULL COMMENT 'Max messages per minute (NULL = SMS_BULK_RATE_PER_MINUTE)' AFTER campaign_id;
+ALTER TABLE sms_bulk_jobs ADD COLUMN held_until DATETIME NULL COMMENT 'Held for bulk messaging quiet hours until this time' AFTER rate_limit_per_minute;
+ALTER TABLE sms_bulk_jobs ADD COLUMN paused_at DATETIME NULL AFTER held_until;
+ALTER TABLE sms_bulk_jobs ADD COLUMN paused_by CHAR(36) NULL AFTER paused_at;
+ALTER TABLE sms_bulk_jobs ADD COLUMN cancelled_at DATETIME NULL AFTER paused_by;
+ALTER TABLE sms_bulk_jobs ADD COLUMN cancelled_by CHAR(36) NULL AFTER cancelled_at;
+
+-- The runner drops the old status CHECK constraints first (their generated names differ per database)
+ALTER TABLE sms_bulk_jobs ADD CONSTRAINT chk_sms_bulk_jobs_status
+  CHECK (status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled'));
+ALTER TABLE sms_bulk_job_items ADD CONSTRAINT chk_sms_bulk_job_items_status
+  CHECK (status IN ('pending', 'processing', 'success', 'failed', 'skipped', 'cancelled'));
+
+-- success_count used to include skipped items (reconcile wrote success + skipped); it now counts sent items only and
+-- skipped items have their own skipped_count. Recount finished jobs from their items so old rows read the same way.
+-- Queued / running / paused jobs are recounted by the processor when they finish.
+UPDATE sms_bulk_jobs j
+  INNER JOIN (
+    SELECT job_id,
+      SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) AS succ,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS fl,
+      SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END) AS skp,
+      SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) AS cnc
+    FROM sms_bulk_job_items
+    GROUP BY job_id
+  ) items ON items.job_id = j.id
+SET j.success_count = items.succ,
+    j.fail_count = items.fl,
+    j.skipped_count = items.skp,
+    j.cancelled_count = items.cnc,
+    j.done_count = items.succ + items.fl + items.skp + items.cnc
+WHERE j.status IN ('completed', 'failed', 'cancelled');
@@ -0,0 +1,41 @@
+-- Scheduled / recurring bulk SMS: sms_campaigns plus scheduled_at and campaign_id on sms_bulk_jobs.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS sms_campaigns (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    template_id CHAR(36) NOT NULL,
+    saved_view_id CHAR(36) NULL COMMENT 'Audience from a saved lead view (its current filters at run time)',
+    filters JSON NULL COMMENT 'Audience as getLeads query filters when no saved view is used',
+    contact_fields JSON NOT NULL COMMENT 'Lead numbers to send to: phone, father_phone, alternate_mobile',
+    variables JSON NULL COMMENT 'Template variables: [{ key, value } | { key, field }] (field = lead column)',
+    recurrence VARCHAR(20) NOT NULL DEFAULT 'none' COMMENT 'none | daily | weekly',
+    recurrence_time CHAR(5) NULL COMMENT 'HH:MM IST for recurring runs',
+    recurrence_days JSON NULL COMMENT 'Weekly: IST weekdays 0 (Sun) - 6 (Sat)',
+    recurrence_until DATE NULL COMMENT 'Last IST date a recurring run may happen',
+    next_run_at DATETIME NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' COMMENT 'scheduled | completed | cancelled',
+    run_count INT NOT NULL DEFAULT 0,
+    last_run_at DATETIME NULL,
+    last_job_id CHAR(36) NULL,
+    last_error TEXT NULL,
+    created_by CHAR(36) NOT NULL,
+    updated_by CHAR(36) NULL,
+    cancelled_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (template_id) REFERENCES message_templates(id) ON DELETE RESTRICT,
+    FOREIGN KEY (saved_view_id) REFERENCES lead_saved_views(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_sms_campaigns_due (status, next_run_at),
+    INDEX idx_sms_campaigns_created_at (created_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE sms_bulk_jobs
+  ADD COLUMN scheduled_at DATETIME NULL COMMENT 'Queued jobs start at this time (NULL = immediately)' AFTER last_error,
+  ADD COLUMN campaign_id CHAR(36) NULL COMMENT 'sms_campaigns run that created the job' AFTER scheduled_at;
+
+ALTER TABLE sms_bulk_jobs
+  ADD INDEX idx_sms_bulk_jobs_scheduled (status, scheduled_at),
+  ADD INDEX idx_sms_bulk_jobs_campaign (campaign_id, created_at);
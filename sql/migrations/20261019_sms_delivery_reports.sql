@@ -0,0 +1,27 @@
+-- SMS delivery reports (DLR webhook + polling fallback): per-number delivery state on communications and bulk items.
+-- Apply to primary admissions DB.
+
+ALTER TABLE communications
+  ADD COLUMN delivery_status VARCHAR(20) NULL COMMENT 'SMS delivery report: submitted, delivered, failed, dnd, expired, rejected, unknown' AFTER metadata,
+  ADD COLUMN delivery_error VARCHAR(255) NULL AFTER delivery_status,
+  ADD COLUMN delivered_at DATETIME NULL AFTER delivery_error,
+  ADD COLUMN delivery_updated_at DATETIME NULL AFTER delivered_at,
+  ADD COLUMN delivery_poll_attempts INT NOT NULL DEFAULT 0 AFTER delivery_updated_at;
+
+ALTER TABLE communications
+  ADD INDEX idx_communications_delivery_status (type, delivery_status, sent_at);
+
+-- Delivery reports look a row up by its message ID; each SMS row stores one ID per number (older rows that carried
+-- several IDs are matched on the first).
+ALTER TABLE communications
+  ADD COLUMN provider_message_id VARCHAR(191)
+    GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(provider_message_ids, '$[0]')), 191)) STORED
+    COMMENT 'First entry of provider_message_ids, for delivery report lookups' AFTER provider_message_ids;
+
+ALTER TABLE communications
+  ADD INDEX idx_communications_provider_message_id (provider_message_id);
+
+ALTER TABLE sms_bulk_job_items
+  ADD COLUMN delivery_status VARCHAR(20) NULL COMMENT 'Best delivery state across the item numbers (see communications.delivery_status)' AFTER communication_ids,
+  ADD COLUMN delivery_report JSON NULL COMMENT 'Per number: { status, error, deliveredAt }' AFTER delivery_status,
+  ADD COLUMN delivery_updated_at DATETIME NULL AFTER delivery_report;
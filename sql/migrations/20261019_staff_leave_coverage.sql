@@ -0,0 +1,66 @@
+-- Leave for all assignable roles, institution holidays and leave coverage (callbacks routed to a backup).
+-- pro_leave_logs already exists on production; the CREATE only matters for fresh databases.
+-- Apply to primary admissions DB.
+
+-- Per-day leave for any assignable user (historically PRO-only, hence the name)
+CREATE TABLE IF NOT EXISTS pro_leave_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    leave_date DATE NOT NULL,
+    reason VARCHAR(255) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_pro_leave_logs_user_date (user_id, leave_date),
+    INDEX idx_pro_leave_logs_date (leave_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS institution_holidays (
+    id CHAR(36) PRIMARY KEY,
+    holiday_date DATE NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    created_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_institution_holidays_date (holiday_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS leave_coverage_rules (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL COMMENT 'Person on leave',
+    backup_user_id CHAR(36) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    reason VARCHAR(255) NULL,
+    created_by CHAR(36) NULL,
+    activated_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (backup_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_leave_coverage_rules_status (status, start_date, end_date),
+    INDEX idx_leave_coverage_rules_user (user_id),
+    CONSTRAINT chk_leave_coverage_rules_status CHECK (status IN ('scheduled', 'active', 'completed', 'cancelled'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS leave_coverage_handoffs (
+    id CHAR(36) PRIMARY KEY,
+    rule_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    original_user_id CHAR(36) NOT NULL,
+    backup_user_id CHAR(36) NOT NULL,
+    scheduled_call DATETIME NULL COMMENT 'next_scheduled_call when routed',
+    routed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    returned_at DATETIME NULL,
+    return_status VARCHAR(20) NULL,
+    return_skip_reason VARCHAR(255) NULL,
+    FOREIGN KEY (rule_id) REFERENCES leave_coverage_rules(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_leave_coverage_handoffs_rule_lead (rule_id, lead_id, channel),
+    INDEX idx_leave_coverage_handoffs_open (rule_id, return_status),
+    CONSTRAINT chk_leave_coverage_handoffs_channel CHECK (channel IN ('counsellor', 'pro')),
+    CONSTRAINT chk_leave_coverage_handoffs_return CHECK (return_status IS NULL OR return_status IN ('returned', 'skipped'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
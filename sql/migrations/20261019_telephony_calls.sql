@@ -0,0 +1,36 @@
+-- Cloud telephony: click-to-call calls and their provider CDRs (duration, status, recording), matched to communications.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS telephony_calls (
+    id CHAR(36) PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL COMMENT 'mock | exotel',
+    provider_call_id VARCHAR(100) NULL,
+    lead_id CHAR(36) NULL,
+    user_id CHAR(36) NULL COMMENT 'Agent the call was bridged from',
+    communication_id CHAR(36) NULL COMMENT 'Call log matched to this CDR',
+    agent_number VARCHAR(20) NULL,
+    customer_number VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'initiated' COMMENT 'initiated | ringing | in_progress | completed | no_answer | busy | failed | cancelled',
+    duration_seconds INT UNSIGNED NULL COMMENT 'Talk time from the CDR',
+    total_duration_seconds INT UNSIGNED NULL COMMENT 'Including ringing',
+    recording_url TEXT NULL,
+    started_at DATETIME NULL,
+    answered_at DATETIME NULL,
+    ended_at DATETIME NULL,
+    logged_duration_seconds INT UNSIGNED NULL COMMENT 'durationSeconds the agent logged on the matched call',
+    duration_mismatch BOOLEAN DEFAULT FALSE NOT NULL,
+    duration_difference_seconds INT NULL COMMENT 'logged - actual',
+    cdr_received_at DATETIME NULL,
+    raw_cdr JSON NULL,
+    error_message VARCHAR(500) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (communication_id) REFERENCES communications(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_telephony_calls_provider_call (provider, provider_call_id),
+    UNIQUE KEY uk_telephony_calls_communication (communication_id),
+    INDEX idx_telephony_calls_lead (lead_id, created_at),
+    INDEX idx_telephony_calls_user (user_id, created_at),
+    INDEX idx_telephony_calls_mismatch (duration_mismatch, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
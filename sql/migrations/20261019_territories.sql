@@ -0,0 +1,45 @@
+-- Territories: location masters (states / districts / mandals / schools) with owner counsellors and PROs
+-- for automatic assignment of new leads.
+-- Apply to primary admissions DB.
+
+CREATE TABLE IF NOT EXISTS territories (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    description VARCHAR(500) NULL,
+    is_default BOOLEAN DEFAULT FALSE NOT NULL COMMENT 'Queue for new leads that match no territory (at most one)',
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_territories_name (name),
+    INDEX idx_territories_active (is_active, is_default)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS territory_areas (
+    id CHAR(36) PRIMARY KEY,
+    territory_id CHAR(36) NOT NULL,
+    area_type VARCHAR(20) NOT NULL,
+    area_id CHAR(36) NOT NULL COMMENT 'states / districts / mandals / schools id, per area_type',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (territory_id) REFERENCES territories(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_territory_areas_area (area_type, area_id),
+    INDEX idx_territory_areas_territory (territory_id),
+    CONSTRAINT chk_territory_areas_type CHECK (area_type IN ('state', 'district', 'mandal', 'school'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS territory_owners (
+    territory_id CHAR(36) NOT NULL,
+    user_id CHAR(36) NOT NULL,
+    owner_role VARCHAR(20) NOT NULL,
+    assigned_count INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Leads auto-assigned via this territory (least-count rotation)',
+    last_assigned_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (territory_id, user_id),
+    FOREIGN KEY (territory_id) REFERENCES territories(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_territory_owners_user (user_id),
+    CONSTRAINT chk_territory_owners_role CHECK (owner_role IN ('counsellor', 'pro'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -137,11 +137,19 @@ CREATE TABLE IF NOT EXISTS leads (
     needs_manual_update BOOLEAN DEFAULT FALSE NOT NULL,
     uploaded_by CHAR(36) NULL,
     upload_batch_id VARCHAR(255),
+    possible_duplicate_of CHAR(36) NULL COMMENT 'Set when created under the flag duplicate policy; cleared on merge / dismiss',
+    duplicate_match_reasons JSON NULL,
+    lead_score INT NOT NULL DEFAULT 0,
+    lead_score_breakdown JSON NULL,
+    lead_score_updated_at DATETIME NULL,
+    deleted_at DATETIME NULL COMMENT 'Recycle bin: set by delete, cleared by restore; purged after retention',
+    deleted_by CHAR(36) NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (assigned_to) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL,
     FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (deleted_by) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_leads_enquiry_number (enquiry_number),
     INDEX idx_leads_name (name),
     INDEX idx_leads_phone (phone),
@@ -164,6 +172,12 @@ CREATE TABLE IF NOT EXISTS leads (
     INDEX idx_leads_status_assigned (lead_status, assigned_to),
     INDEX idx_leads_phone_name (phone, name),
     INDEX idx_leads_needs_manual_update (needs_manual_update),
+    INDEX idx_leads_father_phone (father_phone),
+    INDEX idx_leads_alternate_mobile (alternate_mobile),
+    INDEX idx_leads_village_mandal (village(100), mandal(100)),
+    INDEX idx_leads_possible_duplicate_of (possible_duplicate_of),
+    INDEX idx_leads_lead_score (lead_score DESC, created_at DESC),
+    INDEX idx_leads_deleted_at (deleted_at),
     FULLTEXT INDEX idx_leads_fulltext (enquiry_number, name, phone, email, father_name, mother_name, course_interested, district, mandal, state, application_status, hall_ticket_number, inter_college)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -792,7 +806,15 @@ CREATE TABLE IF NOT EXISTS communications (
     template_rendered_content TEXT,
     template_variables JSON DEFAULT (JSON_ARRAY()),
     provider_message_ids JSON DEFAULT (JSON_ARRAY()),
+    provider_message_id VARCHAR(191)
+        GENERATED ALWAYS AS (LEFT(JSON_UNQUOTE(JSON_EXTRACT(provider_message_ids, '$[0]')), 191)) STORED
+        COMMENT 'First entry of provider_message_ids, for delivery report lookups',
     metadata JSON DEFAULT (JSON_OBJECT()),
+    delivery_status VARCHAR(20) NULL COMMENT 'SMS delivery report: submitted, delivered, failed, dnd, expired, rejected, unknown',
+    delivery_error VARCHAR(255) NULL,
+    delivered_at DATETIME NULL,
+    delivery_updated_at DATETIME NULL,
+    delivery_poll_attempts INT NOT NULL DEFAULT 0,
     sent_by CHAR(36) NOT NULL,
     sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -809,7 +831,9 @@ CREATE TABLE IF NOT EXISTS communications (
     INDEX idx_communications_sent_by_at (sent_by, sent_at DESC),
     INDEX idx_communications_lead_sent_at (lead_id, sent_at DESC),
     INDEX idx_communications_lead_contact_type (lead_id, contact_number, type),
-    INDEX idx_communications_type_sent_by_sent_at (type, sent_by, sent_at)
+    INDEX idx_communications_type_sent_by_sent_at (type, sent_by, sent_at),
+    INDEX idx_communications_delivery_status (type, delivery_status, sent_at),
+    INDEX idx_communications_provider_message_id (provider_message_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================
@@ -857,7 +881,7 @@ CREATE TABLE IF NOT EXISTS message_templates (
 CREATE TABLE IF NOT EXISTS activity_logs (
     id CHAR(36) PRIMARY KEY,
     lead_id CHAR(36) NOT NULL,
-    type VARCHAR(50) NOT NULL CHECK (type IN ('status_change', 'comment', 'follow_up', 'quota_change', 'joining_update', 'field_update')),
+    type VARCHAR(50) NOT NULL CHECK (type IN ('status_change', 'comment', 'follow_up', 'quota_change', 'joining_update', 'field_update', 'lead_merge', 'enquiry_touch', 'tag_change')),
     old_status VARCHAR(50),
     new_status VARCHAR(50),
     comment TEXT,
@@ -1013,6 +1037,8 @@ CREATE TABLE IF NOT EXISTS import_jobs (
     started_at DATETIME,
     completed_at DATETIME,
     upload_token VARCHAR(255),
+    duplicate_policy VARCHAR(20) NULL,
+    stats_duplicates JSON NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
@@ -1042,6 +1068,7 @@ CREATE TABLE IF NOT EXISTS delete_jobs (
     id CHAR(36) PRIMARY KEY,
     job_id VARCHAR(255) NOT NULL UNIQUE,
     status VARCHAR(50) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+    action VARCHAR(20) NOT NULL DEFAULT 'delete' CHECK (action IN ('delete', 'restore', 'purge')),
     deleted_by CHAR(36) NOT NULL,
     stats_requested_count INT DEFAULT 0,
     stats_valid_count INT DEFAULT 0,
@@ -1174,18 +1201,30 @@ CREATE TABLE IF NOT EXISTS sms_bulk_jobs (
     source VARCHAR(40) NOT NULL,
     template_id CHAR(36) NULL,
     template_name VARCHAR(255) NULL,
-    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled')),
     total_items INT NOT NULL DEFAULT 0,
     done_count INT NOT NULL DEFAULT 0,
-    success_count INT NOT NULL DEFAULT 0,
+    success_count INT NOT NULL DEFAULT 0 COMMENT 'Items sent (skipped items are not included)',
     fail_count INT NOT NULL DEFAULT 0,
+    skipped_count INT NOT NULL DEFAULT 0,
+    cancelled_count INT NOT NULL DEFAULT 0,
     last_error TEXT,
+    scheduled_at DATETIME NULL COMMENT 'Queued jobs start at this time (NULL = immediately)',
+    campaign_id CHAR(36) NULL COMMENT 'sms_campaigns run that created the job',
+    rate_limit_per_minute INT NULL COMMENT 'Max messages per minute (NULL = SMS_BULK_RATE_PER_MINUTE)',
+    held_until DATETIME NULL COMMENT 'Held for bulk messaging quiet hours until this time',
+    paused_at DATETIME NULL,
+    paused_by CHAR(36) NULL,
+    cancelled_at DATETIME NULL,
+    cancelled_by CHAR(36) NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     started_at DATETIME NULL,
     completed_at DATETIME NULL,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE RESTRICT,
     FOREIGN KEY (template_id) REFERENCES message_templates(id) ON DELETE SET NULL,
+    INDEX idx_sms_bulk_jobs_scheduled (status, scheduled_at),
+    INDEX idx_sms_bulk_jobs_campaign (campaign_id, created_at),
     INDEX idx_sms_bulk_jobs_created_by (created_by),
     INDEX idx_sms_bulk_jobs_status (status),
     INDEX idx_sms_bulk_jobs_created_at (created_at DESC)
@@ -1200,11 +1239,14 @@ CREATE TABLE IF NOT EXISTS sms_bulk_job_items (
     contact_numbers JSON NOT NULL,
     template_id CHAR(36) NOT NULL,
     variables JSON,
-    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'success', 'failed', 'skipped')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'success', 'failed', 'skipped', 'cancelled')),
     response_text TEXT,
     error_message TEXT,
     provider_message_ids JSON,
     communication_ids JSON,
+    delivery_status VARCHAR(20) NULL COMMENT 'Best delivery state across the item numbers (see communications.delivery_status)',
+    delivery_report JSON NULL COMMENT 'Per number: { status, error, deliveredAt }',
+    delivery_updated_at DATETIME NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     started_at DATETIME NULL,
@@ -1216,6 +1258,527 @@ CREATE TABLE IF NOT EXISTS sms_bulk_job_items (
     INDEX idx_sms_bulk_job_items_lead (lead_id)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================
+-- LEAD SCORING RULES (signal + operator + value → points; score stored on leads.lead_score)
+-- ============================================
+CREATE TABLE IF NOT EXISTS lead_scoring_rules (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    signal_key VARCHAR(64) NOT NULL,
+    operator VARCHAR(20) NOT NULL,
+    value JSON NULL,
+    points INT NOT NULL,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_scoring_rules_active (is_active, sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_saved_views (
+    id CHAR(36) PRIMARY KEY,
+    owner_id CHAR(36) NOT NULL,
+    name VARCHAR(120) NOT NULL,
+    description TEXT NULL,
+    filters JSON NOT NULL,
+    sort JSON NULL,
+    columns JSON NULL,
+    share_scope VARCHAR(20) NOT NULL DEFAULT 'private',
+    share_role_name VARCHAR(100) NULL,
+    is_default TINYINT(1) NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uq_lead_saved_views_owner_name (owner_id, name),
+    INDEX idx_lead_saved_views_share (share_scope, share_role_name),
+    CONSTRAINT chk_lead_saved_views_share_scope CHECK (share_scope IN ('private', 'team', 'role'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_custom_fields (
+    id CHAR(36) PRIMARY KEY,
+    field_key VARCHAR(64) NOT NULL,
+    label VARCHAR(255) NOT NULL,
+    field_type VARCHAR(20) NOT NULL,
+    allowed_values JSON NULL,
+    aliases JSON NULL,
+    is_filterable TINYINT(1) NOT NULL DEFAULT 0,
+    is_required TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_lead_custom_fields_key (field_key),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT chk_lead_custom_fields_type CHECK (field_type IN ('text', 'number', 'date', 'boolean', 'select', 'multiselect'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Filter index for filterable custom fields (mirrors leads.dynamic_fields; one row per value, multiselect → many)
+CREATE TABLE IF NOT EXISTS lead_custom_field_values (
+    lead_id CHAR(36) NOT NULL,
+    field_key VARCHAR(64) NOT NULL,
+    value_text VARCHAR(255) NOT NULL,
+    value_number DECIMAL(18, 4) NULL,
+    value_date DATE NULL,
+    PRIMARY KEY (lead_id, field_key, value_text),
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    INDEX idx_lcfv_text (field_key, value_text),
+    INDEX idx_lcfv_number (field_key, value_number),
+    INDEX idx_lcfv_date (field_key, value_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Admin-managed status catalog per channel (lead_status / call_status / visit_status) with allowed transitions
+CREATE TABLE IF NOT EXISTS lead_statuses (
+    id CHAR(36) PRIMARY KEY,
+    channel VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    canonical_status VARCHAR(50) NULL,
+    allowed_next JSON NULL,
+    requires_comment TINYINT(1) NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    color VARCHAR(20) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_lead_statuses_channel_name (channel, name),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT chk_lead_statuses_channel CHECK (channel IN ('lead_status', 'call_status', 'visit_status'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Lead tags (labels) and the many-to-many link to leads
+CREATE TABLE IF NOT EXISTS lead_tags (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    color VARCHAR(20) NULL,
+    description VARCHAR(500) NULL,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_lead_tags_name (name),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_tag_assignments (
+    lead_id CHAR(36) NOT NULL,
+    tag_id CHAR(36) NOT NULL,
+    tagged_by CHAR(36) NULL,
+    tagged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (lead_id, tag_id),
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES lead_tags(id) ON DELETE CASCADE,
+    FOREIGN KEY (tagged_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_tag_assignments_tag (tag_id, lead_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Field-level lead change history (revertible)
+CREATE TABLE IF NOT EXISTS lead_field_changes (
+    id CHAR(36) PRIMARY KEY,
+    lead_id CHAR(36) NOT NULL,
+    field_key VARCHAR(150) NOT NULL COMMENT 'leads column, or dynamic_fields.<key> for custom fields',
+    old_value TEXT NULL,
+    new_value TEXT NULL,
+    change_source VARCHAR(20) NOT NULL DEFAULT 'edit',
+    reverted_change_id CHAR(36) NULL COMMENT 'Revert rows: the change whose old value was restored',
+    activity_log_id CHAR(36) NULL,
+    changed_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_field_changes_lead_created (lead_id, created_at),
+    INDEX idx_lead_field_changes_lead_field (lead_id, field_key, created_at),
+    CONSTRAINT chk_lead_field_changes_source CHECK (change_source IN ('edit', 'revert', 'phone_report'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Territories (location masters → owner counsellors / PROs) for auto-assignment of new leads
+CREATE TABLE IF NOT EXISTS territories (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    description VARCHAR(500) NULL,
+    is_default BOOLEAN DEFAULT FALSE NOT NULL COMMENT 'Queue for new leads that match no territory (at most one)',
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_territories_name (name),
+    INDEX idx_territories_active (is_active, is_default)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS territory_areas (
+    id CHAR(36) PRIMARY KEY,
+    territory_id CHAR(36) NOT NULL,
+    area_type VARCHAR(20) NOT NULL,
+    area_id CHAR(36) NOT NULL COMMENT 'states / districts / mandals / schools id, per area_type',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (territory_id) REFERENCES territories(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_territory_areas_area (area_type, area_id),
+    INDEX idx_territory_areas_territory (territory_id),
+    CONSTRAINT chk_territory_areas_type CHECK (area_type IN ('state', 'district', 'mandal', 'school'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS territory_owners (
+    territory_id CHAR(36) NOT NULL,
+    user_id CHAR(36) NOT NULL,
+    owner_role VARCHAR(20) NOT NULL,
+    assigned_count INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Leads auto-assigned via this territory (least-count rotation)',
+    last_assigned_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (territory_id, user_id),
+    FOREIGN KEY (territory_id) REFERENCES territories(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_territory_owners_user (user_id),
+    CONSTRAINT chk_territory_owners_role CHECK (owner_role IN ('counsellor', 'pro'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Assignment batches (prior state per lead, for undo)
+CREATE TABLE IF NOT EXISTS assignment_batches (
+    id CHAR(36) PRIMARY KEY,
+    operation VARCHAR(20) NOT NULL,
+    target_user_id CHAR(36) NULL COMMENT 'Assignee / user unassigned from; NULL for multi-user distributions',
+    lead_count INT UNSIGNED NOT NULL DEFAULT 0,
+    request_filters JSON NULL COMMENT 'Filters / lead IDs the operation was called with',
+    status VARCHAR(20) NOT NULL DEFAULT 'applied',
+    created_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    undone_by CHAR(36) NULL,
+    undone_at DATETIME NULL,
+    undo_restored_count INT UNSIGNED NULL,
+    undo_skipped_count INT UNSIGNED NULL,
+    FOREIGN KEY (target_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (undone_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_assignment_batches_created (created_at),
+    INDEX idx_assignment_batches_target (target_user_id, created_at),
+    CONSTRAINT chk_assignment_batches_operation CHECK (operation IN ('assign', 'remove', 'distribute')),
+    CONSTRAINT chk_assignment_batches_status CHECK (status IN ('applied', 'undone', 'partially_undone'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS assignment_batch_items (
+    batch_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    previous_state JSON NOT NULL COMMENT 'Assignee, assigned_at/by, target dates, channel + lead status before the batch',
+    new_assigned_to CHAR(36) NULL COMMENT 'Assignee after the batch (NULL for removals)',
+    post_updated_at DATETIME NULL COMMENT 'leads.updated_at right after the batch; a later value means the lead was touched',
+    undo_status VARCHAR(20) NULL COMMENT 'restored | skipped after an undo',
+    undo_skip_reason VARCHAR(100) NULL,
+    PRIMARY KEY (batch_id, lead_id, channel),
+    FOREIGN KEY (batch_id) REFERENCES assignment_batches(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    INDEX idx_assignment_batch_items_lead (lead_id),
+    CONSTRAINT chk_assignment_batch_items_channel CHECK (channel IN ('counsellor', 'pro'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Lead reclaimer policies and run time
+CREATE TABLE IF NOT EXISTS lead_reclamation_policies (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(150) NOT NULL,
+    description VARCHAR(500) NULL,
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    priority INT NOT NULL DEFAULT 100 COMMENT 'Lower first; each lead is handled by the first active policy whose scope matches',
+    scope_academic_year SMALLINT UNSIGNED NULL,
+    scope_student_group VARCHAR(50) NULL,
+    scope_source VARCHAR(255) NULL,
+    counsellor_statuses JSON NOT NULL COMMENT 'lead_status values whose due counsellor slot is reclaimed',
+    pro_statuses JSON NOT NULL COMMENT 'lead_status values whose due PRO slot is reclaimed',
+    grace_days INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Days after the slot target date before it is reclaimed',
+    exclude_future_callbacks BOOLEAN DEFAULT FALSE NOT NULL COMMENT 'Skip leads with next_scheduled_call in the future',
+    exclude_joining_drafts BOOLEAN DEFAULT FALSE NOT NULL COMMENT 'Skip leads that have a draft joining',
+    bump_cycle BOOLEAN DEFAULT TRUE NOT NULL,
+    cycle_bump_statuses JSON NULL COMMENT 'Statuses that bump cycle_number when the lead is fully released; NULL/empty = any',
+    counsellor_destination_user_id CHAR(36) NULL COMMENT 'Reclaimed counsellor slots go to this user; NULL = unassigned pool',
+    pro_destination_user_id CHAR(36) NULL COMMENT 'Reclaimed PRO slots go to this user; NULL = unassigned pool',
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (counsellor_destination_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (pro_destination_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_lead_reclamation_policies_name (name),
+    INDEX idx_lead_reclamation_policies_active (is_active, priority)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_reclamation_settings (
+    id TINYINT UNSIGNED PRIMARY KEY COMMENT 'Single row (id = 1)',
+    run_time_ist CHAR(5) NOT NULL DEFAULT '23:11' COMMENT 'Daily run, HH:MM Asia/Kolkata',
+    updated_by CHAR(36) NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Lead reclaimer run history (per-slot results, restore tracking)
+CREATE TABLE IF NOT EXISTS lead_reclamation_runs (
+    id CHAR(36) PRIMARY KEY,
+    cutoff_date DATE NOT NULL,
+    trigger_type VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    leads_count INT UNSIGNED NOT NULL DEFAULT 0,
+    slots_count INT UNSIGNED NOT NULL DEFAULT 0,
+    excluded_count INT UNSIGNED NOT NULL DEFAULT 0,
+    restored_count INT UNSIGNED NOT NULL DEFAULT 0,
+    error_message TEXT NULL,
+    triggered_by CHAR(36) NULL,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME NULL,
+    FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_reclamation_runs_started (started_at),
+    CONSTRAINT chk_lead_reclamation_runs_trigger CHECK (trigger_type IN ('scheduled', 'manual')),
+    CONSTRAINT chk_lead_reclamation_runs_status CHECK (status IN ('running', 'completed', 'failed'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS lead_reclamation_run_items (
+    id CHAR(36) PRIMARY KEY,
+    run_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    reclaimed_role VARCHAR(20) NOT NULL,
+    activity_log_id CHAR(36) NOT NULL COMMENT 'Reclaim status_change log (metadata.reclamation)',
+    previous_assignee CHAR(36) NULL,
+    previous_target_date DATE NULL,
+    old_status VARCHAR(50) NULL,
+    new_status VARCHAR(50) NULL,
+    previous_cycle INT NULL,
+    new_cycle INT NULL,
+    reassigned_to CHAR(36) NULL COMMENT 'Policy destination user; NULL = unassigned pool',
+    policy_id CHAR(36) NULL,
+    policy_name VARCHAR(150) NULL,
+    restored_at DATETIME NULL,
+    restored_by CHAR(36) NULL,
+    restore_activity_log_id CHAR(36) NULL,
+    restore_skip_reason VARCHAR(255) NULL,
+    FOREIGN KEY (run_id) REFERENCES lead_reclamation_runs(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (restored_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_lead_reclamation_run_items_run (run_id, reclaimed_role),
+    INDEX idx_lead_reclamation_run_items_lead (lead_id),
+    INDEX idx_lead_reclamation_run_items_log (activity_log_id),
+    INDEX idx_lead_reclamation_run_items_prev (previous_assignee),
+    CONSTRAINT chk_lead_reclamation_run_items_role CHECK (reclaimed_role IN ('counsellor', 'pro'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Per-day leave for any assignable user (historically PRO-only, hence the name)
+CREATE TABLE IF NOT EXISTS pro_leave_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    leave_date DATE NOT NULL,
+    reason VARCHAR(255) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_pro_leave_logs_user_date (user_id, leave_date),
+    INDEX idx_pro_leave_logs_date (leave_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS institution_holidays (
+    id CHAR(36) PRIMARY KEY,
+    holiday_date DATE NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    created_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_institution_holidays_date (holiday_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS leave_coverage_rules (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL COMMENT 'Person on leave',
+    backup_user_id CHAR(36) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+    reason VARCHAR(255) NULL,
+    created_by CHAR(36) NULL,
+    activated_at DATETIME NULL,
+    completed_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (backup_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_leave_coverage_rules_status (status, start_date, end_date),
+    INDEX idx_leave_coverage_rules_user (user_id),
+    CONSTRAINT chk_leave_coverage_rules_status CHECK (status IN ('scheduled', 'active', 'completed', 'cancelled'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS leave_coverage_handoffs (
+    id CHAR(36) PRIMARY KEY,
+    rule_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    original_user_id CHAR(36) NOT NULL,
+    backup_user_id CHAR(36) NOT NULL,
+    scheduled_call DATETIME NULL COMMENT 'next_scheduled_call when routed',
+    routed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    returned_at DATETIME NULL,
+    return_status VARCHAR(20) NULL,
+    return_skip_reason VARCHAR(255) NULL,
+    FOREIGN KEY (rule_id) REFERENCES leave_coverage_rules(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_leave_coverage_handoffs_rule_lead (rule_id, lead_id, channel),
+    INDEX idx_leave_coverage_handoffs_open (rule_id, return_status),
+    CONSTRAINT chk_leave_coverage_handoffs_channel CHECK (channel IN ('counsellor', 'pro')),
+    CONSTRAINT chk_leave_coverage_handoffs_return CHECK (return_status IS NULL OR return_status IN ('returned', 'skipped'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Workload capacity caps enforced by assignLeads, distribution and territory auto-assignment
+CREATE TABLE IF NOT EXISTS assignment_capacity_rules (
+    id CHAR(36) PRIMARY KEY,
+    scope_type VARCHAR(10) NOT NULL COMMENT 'user | role; a user rule replaces the role rule for that user',
+    user_id CHAR(36) NULL,
+    role_name VARCHAR(100) NULL,
+    max_open_leads INT UNSIGNED NULL COMMENT 'NULL = no cap',
+    max_new_per_day INT UNSIGNED NULL COMMENT 'Leads newly assigned per IST calendar day',
+    max_per_student_group INT UNSIGNED NULL COMMENT 'Open leads per student_group',
+    is_active BOOLEAN DEFAULT TRUE NOT NULL,
+    created_by CHAR(36) NULL,
+    updated_by CHAR(36) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_assignment_capacity_rules_user (user_id),
+    UNIQUE KEY uk_assignment_capacity_rules_role (role_name),
+    CONSTRAINT chk_assignment_capacity_rules_scope CHECK (
+        (scope_type = 'user' AND user_id IS NOT NULL AND role_name IS NULL)
+        OR (scope_type = 'role' AND role_name IS NOT NULL AND user_id IS NULL)
+    )
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Cloud telephony calls (click-to-call bridged agent -> lead) with the provider's call detail record (CDR)
+CREATE TABLE IF NOT EXISTS telephony_calls (
+    id CHAR(36) PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL COMMENT 'mock | exotel',
+    provider_call_id VARCHAR(100) NULL,
+    lead_id CHAR(36) NULL,
+    user_id CHAR(36) NULL COMMENT 'Agent the call was bridged from',
+    communication_id CHAR(36) NULL COMMENT 'Call log matched to this CDR',
+    agent_number VARCHAR(20) NULL,
+    customer_number VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'initiated' COMMENT 'initiated | ringing | in_progress | completed | no_answer | busy | failed | cancelled',
+    duration_seconds INT UNSIGNED NULL COMMENT 'Talk time from the CDR',
+    total_duration_seconds INT UNSIGNED NULL COMMENT 'Including ringing',
+    recording_url TEXT NULL,
+    started_at DATETIME NULL,
+    answered_at DATETIME NULL,
+    ended_at DATETIME NULL,
+    logged_duration_seconds INT UNSIGNED NULL COMMENT 'durationSeconds the agent logged on the matched call',
+    duration_mismatch BOOLEAN DEFAULT FALSE NOT NULL,
+    duration_difference_seconds INT NULL COMMENT 'logged - actual',
+    cdr_received_at DATETIME NULL,
+    raw_cdr JSON NULL,
+    error_message VARCHAR(500) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (communication_id) REFERENCES communications(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_telephony_calls_provider_call (provider, provider_call_id),
+    UNIQUE KEY uk_telephony_calls_communication (communication_id),
+    INDEX idx_telephony_calls_lead (lead_id, created_at),
+    INDEX idx_telephony_calls_user (user_id, created_at),
+    INDEX idx_telephony_calls_mismatch (duration_mismatch, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per call reminder / agenda digest / missed-callback escalation sent, so the scheduler never repeats one
+CREATE TABLE IF NOT EXISTS call_reminder_deliveries (
+    id CHAR(36) PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL COMMENT 'reminder | agenda | escalation',
+    dedupe_key VARCHAR(191) NOT NULL,
+    user_id CHAR(36) NOT NULL COMMENT 'Recipient (counsellor, or manager for escalations)',
+    lead_id CHAR(36) NULL,
+    scheduled_call DATETIME NULL COMMENT 'next_scheduled_call the reminder / escalation was for',
+    notification_id CHAR(36) NULL,
+    push_sent BOOLEAN DEFAULT FALSE NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_call_reminder_deliveries_key (dedupe_key),
+    INDEX idx_call_reminder_deliveries_user (user_id, created_at),
+    INDEX idx_call_reminder_deliveries_lead (lead_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Auto-dialer queue: what each counsellor was served, skipped and called
+CREATE TABLE IF NOT EXISTS dialer_queue_items (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    lead_id CHAR(36) NOT NULL,
+    bucket VARCHAR(20) NOT NULL COMMENT 'callback | fresh | interested',
+    status VARCHAR(20) NOT NULL DEFAULT 'served' COMMENT 'served | called | skipped | released | expired',
+    skip_reason VARCHAR(255) NULL,
+    communication_id CHAR(36) NULL COMMENT 'Call log that completed the item',
+    call_outcome VARCHAR(255) NULL,
+    served_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (communication_id) REFERENCES communications(id) ON DELETE SET NULL,
+    INDEX idx_dialer_queue_items_user (user_id, status, served_at),
+    INDEX idx_dialer_queue_items_lead (lead_id, status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- A lead being dialled is locked to one agent until the call is logged, skipped or the lock expires
+CREATE TABLE IF NOT EXISTS dialer_locks (
+    lead_id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    queue_item_id CHAR(36) NOT NULL,
+    locked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (lead_id) REFERENCES leads(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (queue_item_id) REFERENCES dialer_queue_items(id) ON DELETE CASCADE,
+    INDEX idx_dialer_locks_user (user_id),
+    INDEX idx_dialer_locks_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================
+-- SMS CAMPAIGNS (scheduled / recurring bulk SMS; audience re-evaluated from lead filters at each run)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sms_campaigns (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    template_id CHAR(36) NOT NULL,
+    saved_view_id CHAR(36) NULL COMMENT 'Audience from a saved lead view (its current filters at run time)',
+    filters JSON NULL COMMENT 'Audience as getLeads query filters when no saved view is used',
+    contact_fields JSON NOT NULL COMMENT 'Lead numbers to send to: phone, father_phone, alternate_mobile',
+    variables JSON NULL COMMENT 'Template variables: [{ key, value } | { key, field }] (field = lead column)',
+    recurrence VARCHAR(20) NOT NULL DEFAULT 'none' COMMENT 'none | daily | weekly',
+    recurrence_time CHAR(5) NULL COMMENT 'HH:MM IST for recurring runs',
+    recurrence_days JSON NULL COMMENT 'Weekly: IST weekdays 0 (Sun) - 6 (Sat)',
+    recurrence_until DATE NULL COMMENT 'Last IST date a recurring run may happen',
+    next_run_at DATETIME NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' COMMENT 'scheduled | completed | cancelled',
+    run_count INT NOT NULL DEFAULT 0,
+    last_run_at DATETIME NULL,
+    last_job_id CHAR(36) NULL,
+    last_error TEXT NULL,
+    created_by CHAR(36) NOT NULL,
+    updated_by CHAR(36) NULL,
+    cancelled_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (template_id) REFERENCES message_templates(id) ON DELETE RESTRICT,
+    FOREIGN KEY (saved_view_id) REFERENCES lead_saved_views(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE RESTRICT,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_sms_campaigns_due (status, next_run_at),
+    INDEX idx_sms_campaigns_created_at (created_at DESC)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 
 CREATE TABLE whatsapp_conversations (
     id VARCHAR(36) PRIMARY KEY,
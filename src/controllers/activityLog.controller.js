@@ -9,6 +9,9 @@ import {
 import { applyReference1OnCallStatusConfirm, isCallStatusConfirmedValue } from '../utils/joiningReference.util.js';
 import { managerCanAccessLead } from '../utils/managerLeadAccess.util.js';
 import { clearUserAnalyticsCache } from '../utils/userAnalyticsCache.js';
+import { scheduleLeadScoreRecompute } from '../services/leadScoring.service.js';
+import { validateStatusTransition } from '../services/leadStatusWorkflow.service.js';
+import { getLeadTimelinePage, parseTimelineTypes } from '../services/leadTimeline.service.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // Helper function to format activity log data
@@ -43,7 +46,7 @@ export const addActivity = async (req, res) => {
 
     // Validate lead exists
     const [leads] = await pool.execute(
-      'SELECT * FROM leads WHERE id = ?',
+      'SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL',
       [leadId]
     );
 
@@ -103,16 +106,36 @@ export const addActivity = async (req, res) => {
         (isPro && lead.assigned_to_pro === userId) ||
         (isAssigned && !isPro && !isStudentCounselor)
       ) {
+        // Configured status workflow (catalog value, allowed transition, required comment)
+        const currentChannelValue =
+          requestedChannel === 'visit_status'
+            ? lead.visit_status
+            : requestedChannel === 'call_status'
+              ? lead.call_status
+              : lead.lead_status;
+        const isUnchanged =
+          String(currentChannelValue ?? '').trim().toLowerCase() === String(newStatus).trim().toLowerCase();
+        const statusValue = isUnchanged
+          ? newStatus
+          : (
+            await validateStatusTransition(pool, {
+              channel: requestedChannel,
+              from: currentChannelValue,
+              to: newStatus,
+              comment,
+              bypassTransitions: isSuperAdmin,
+            })
+          ).name;
         
         if (requestedChannel === 'visit_status') {
           // Guard: Visit Diary entries must never set visit_status to "Assigned".
           // "Assigned" is reserved for assignment workflow, not outcomes.
-          if (metadata.visitDate && String(newStatus).trim() === 'Assigned') {
+          if (metadata.visitDate && String(statusValue).trim() === 'Assigned') {
             return errorResponse(res, 'Visit Diary outcome cannot be "Assigned". Please choose an actual visit outcome.', 400);
           }
           const resolved = resolveLeadStatusAfterChannelWrite(
             'visit_status',
-            newStatus,
+            statusValue,
             nextCallBase,
             lead.lead_status
           );
@@ -120,13 +143,13 @@ export const addActivity = async (req, res) => {
           newStatusValue = resolved;
           activityType = 'status_change';
           metadata.statusChannel = 'visit_status';
-          metadata.visitStatus = newStatus;
+          metadata.visitStatus = statusValue;
           
           updateFields.push('visit_status = ?');
-          updateValues.push(newStatus);
+          updateValues.push(statusValue);
 
           const visitUnchanged =
-            String(lead.visit_status ?? '').trim() === String(newStatus).trim();
+            String(lead.visit_status ?? '').trim() === String(statusValue).trim();
           if (visitUnchanged && resolved !== lead.lead_status) {
             metadata.pipelineResync = true;
           }
@@ -137,7 +160,7 @@ export const addActivity = async (req, res) => {
         } else if (requestedChannel === 'call_status') {
           const resolved = resolveLeadStatusAfterChannelWrite(
             'call_status',
-            newStatus,
+            statusValue,
             nextVisitBase,
             lead.lead_status
           );
@@ -145,23 +168,23 @@ export const addActivity = async (req, res) => {
           newStatusValue = resolved;
           activityType = 'status_change';
           metadata.statusChannel = 'call_status';
-          metadata.callStatus = newStatus;
+          metadata.callStatus = statusValue;
 
           const callUnchanged =
-            String(lead.call_status ?? '').trim() === String(newStatus).trim();
+            String(lead.call_status ?? '').trim() === String(statusValue).trim();
           if (callUnchanged && resolved !== lead.lead_status) {
             metadata.pipelineResync = true;
           }
 
           updateFields.push('call_status = ?');
-          updateValues.push(newStatus);
+          updateValues.push(statusValue);
 
           updateFields.push('lead_status = ?');
           updateValues.push(resolved);
           leadModified = true;
         } else {
           // Default to lead_status update
-          const resolved = resolveLeadStatus(newStatus, nextCallBase, nextVisitBase);
+          const resolved = resolveLeadStatus(statusValue, nextCallBase, nextVisitBase);
           if (resolved !== lead.lead_status) {
             oldStatus = lead.lead_status;
             newStatusValue = resolved;
@@ -276,11 +299,14 @@ export const addActivity = async (req, res) => {
 
     // Clear the user analytics cache so reports/visit diaries reflect this new activity immediately
     clearUserAnalyticsCache();
+    if (activityType === 'status_change') {
+      scheduleLeadScoreRecompute(leadId);
+    }
 
     return successResponse(res, activityLog, 'Activity logged successfully', 201);
   } catch (error) {
     console.error('Error adding activity:', error);
-    return errorResponse(res, error.message || 'Failed to add activity', 500);
+    return errorResponse(res, error.message || 'Failed to add activity', error.statusCode || 500);
   }
 };
 
@@ -298,7 +324,7 @@ export const getActivityLogs = async (req, res) => {
 
     // Validate lead exists
     const [leads] = await pool.execute(
-      'SELECT assigned_to, assigned_to_pro FROM leads WHERE id = ?',
+      'SELECT assigned_to, assigned_to_pro FROM leads WHERE id = ? AND deleted_at IS NULL',
       [leadId]
     );
 
@@ -384,3 +410,61 @@ export const getActivityLogs = async (req, res) => {
   }
 };
 
+
+// @desc    Everything that happened on a lead, newest first: activity, status logs, calls, SMS, WhatsApp,
+//          visitor codes, joining / fee request stages and payments
+// @route   GET /api/leads/:leadId/timeline?types=call,sms&limit=50&cursor=...
+// @access  Private
+export const getLeadTimeline = async (req, res) => {
+  try {
+    const { leadId } = req.params;
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+
+    const [leads] = await pool.execute(
+      'SELECT assigned_to, assigned_to_pro FROM leads WHERE id = ? AND deleted_at IS NULL',
+      [leadId]
+    );
+
+    if (leads.length === 0) {
+      return errorResponse(res, 'Lead not found', 404);
+    }
+
+    const lead = leads[0];
+
+    // Owners only (unlike GET /:leadId/activity, any PRO is not enough): the timeline also has calls, SMS and payments.
+    // PRO / counsellor owners see their own channel's events.
+    const isSuperAdmin = hasElevatedAdminPrivileges(req.user.roleName);
+    const isAdmin = req.user.roleName === 'Admin';
+    const isProViewer = req.user.roleName === 'PRO';
+    const isAssigned = lead.assigned_to === userId || lead.assigned_to_pro === userId;
+    const managerHasLeadAccess =
+      req.user.isManager === true && (await managerCanAccessLead(pool, userId, lead));
+    const isElevatedViewer = isSuperAdmin || isAdmin || managerHasLeadAccess;
+
+    if (!isSuperAdmin && !isAdmin && !isAssigned && !managerHasLeadAccess) {
+      return errorResponse(res, 'Access denied', 403);
+    }
+
+    let viewerScope = null;
+    if (!isElevatedViewer && isProViewer) {
+      viewerScope = 'pro';
+    } else if (!isElevatedViewer && req.user.roleName === 'Student Counselor') {
+      viewerScope = 'counsellor';
+    }
+
+    const types = parseTimelineTypes(req.query.types);
+    const page = await getLeadTimelinePage(pool, {
+      leadId,
+      types,
+      limit: req.query.limit,
+      cursor: req.query.cursor || null,
+      viewerScope,
+    });
+
+    return successResponse(res, { ...page, types }, 'Lead timeline retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting lead timeline:', error);
+    return errorResponse(res, error.message || 'Failed to get lead timeline', error.statusCode || 500);
+  }
+};
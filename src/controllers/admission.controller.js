@@ -878,7 +878,7 @@ const SQL_L_DYNAMIC_JSON = `COALESCE(CASE WHEN JSON_VALID(l.dynamic_fields) THEN
 const SQL_L_REFERENCE1 = `NULLIF(TRIM(JSON_UNQUOTE(JSON_EXTRACT(${SQL_L_DYNAMIC_JSON}, '$.reference1'))), '')`;
 /** Resolved Reference 1 for an admission row (admission → joining → CRM lead). */
 const SQL_A_EFFECTIVE_REFERENCE1 = `COALESCE(${SQL_A_REFERENCE1}, ${SQL_J_REFERENCE1}, ${SQL_L_REFERENCE1})`;
-const SQL_ADMISSION_PIVOT_JOINS = `LEFT JOIN joinings j ON j.id = a.joining_id LEFT JOIN leads l ON l.id = a.lead_id`;
+const SQL_ADMISSION_PIVOT_JOINS = `LEFT JOIN joinings j ON j.id = a.joining_id LEFT JOIN leads l ON l.id = a.lead_id AND l.deleted_at IS NULL`;
 /** Business admission date; falls back to record created_at when not set. */
 const SQL_A_EFFECTIVE_ADMISSION_DATE = `COALESCE(a.admission_date, a.created_at)`;
 
@@ -2326,7 +2326,7 @@ const appendAdmissionListSearchCondition = (conditions, params, rawSearch) => {
     conditions.push(`(
       COALESCE(a.enquiry_number, '') LIKE ?
       OR EXISTS (
-        SELECT 1 FROM leads l WHERE l.id = a.lead_id AND l.enquiry_number LIKE ?
+        SELECT 1 FROM leads l WHERE l.id = a.lead_id AND l.deleted_at IS NULL AND l.enquiry_number LIKE ?
       )
     )`);
     params.push(enqPattern, enqPattern);
@@ -2349,7 +2349,7 @@ const appendAdmissionListSearchCondition = (conditions, params, rawSearch) => {
       OR a.student_phone LIKE ?
       OR EXISTS (
         SELECT 1 FROM leads l
-        WHERE l.id = a.lead_id AND (l.phone LIKE ? OR l.father_phone LIKE ?)
+        WHERE l.id = a.lead_id AND l.deleted_at IS NULL AND (l.phone LIKE ? OR l.father_phone LIKE ?)
       )
     )`);
     params.push(phonePattern, phonePattern, phonePattern, phonePattern);
@@ -2365,7 +2365,7 @@ const appendAdmissionListSearchCondition = (conditions, params, rawSearch) => {
     OR COALESCE(a.enquiry_number, '') LIKE ?
     OR EXISTS (
       SELECT 1 FROM leads l
-      WHERE l.id = a.lead_id AND (
+      WHERE l.id = a.lead_id AND l.deleted_at IS NULL AND (
         l.name LIKE ?
         OR l.enquiry_number LIKE ?
         OR l.hall_ticket_number LIKE ?
@@ -2490,7 +2490,7 @@ export const listAdmissions = async (req, res) => {
       conditions.push(`(
         EXISTS (
           SELECT 1 FROM leads l
-          WHERE l.id = a.lead_id AND (${leadMatchers.join(' OR ')})
+          WHERE l.id = a.lead_id AND l.deleted_at IS NULL AND (${leadMatchers.join(' OR ')})
         )
         OR ${snapshotMatchers.join(' OR ')}
       )`);
@@ -2637,7 +2637,7 @@ export const listAdmissions = async (req, res) => {
                 JSON_UNQUOTE(JSON_EXTRACT(l.dynamic_fields, '$.reference1')) AS lead_dyn_reference1
          FROM admissions a
          LEFT JOIN joinings j ON j.id = a.joining_id
-         LEFT JOIN leads l ON a.lead_id = l.id
+         LEFT JOIN leads l ON a.lead_id = l.id AND l.deleted_at IS NULL
          WHERE a.id IN (${inMarks})`,
         pageIds
       );
@@ -2738,7 +2738,7 @@ export const getAdmissionById = async (req, res) => {
     if (admissionData.lead_id) {
       const [leads] = await pool.execute(
         `SELECT id, name, phone, father_name, father_phone, lead_status, admission_number, enquiry_number, dynamic_fields
-         FROM leads WHERE id = ?`,
+         FROM leads WHERE id = ? AND deleted_at IS NULL`,
         [admissionData.lead_id]
       );
       if (leads.length > 0) {
@@ -2792,7 +2792,7 @@ export const getAdmissionByJoiningId = async (req, res) => {
     if (admissionData.lead_id) {
       const [leads] = await pool.execute(
         `SELECT id, name, phone, father_name, father_phone, lead_status, admission_number, enquiry_number, dynamic_fields
-         FROM leads WHERE id = ?`,
+         FROM leads WHERE id = ? AND deleted_at IS NULL`,
         [admissionData.lead_id]
       );
       if (leads.length > 0) {
@@ -2842,7 +2842,7 @@ export const getAdmissionByLead = async (req, res) => {
     // Fetch lead
     const [leads] = await pool.execute(
       `SELECT id, name, phone, father_name, father_phone, lead_status, admission_number, enquiry_number, dynamic_fields
-       FROM leads WHERE id = ?`,
+       FROM leads WHERE id = ? AND deleted_at IS NULL`,
       [leadId]
     );
 
@@ -3017,7 +3017,7 @@ export const sendAdmissionConfirmationSmsById = async (req, res) => {
     let studentPhone = String(admission.student_phone || '').trim();
     if ((!studentName || !studentPhone) && admission.lead_id) {
       const [leadRows] = await pool.execute(
-        'SELECT name, phone FROM leads WHERE id = ? LIMIT 1',
+        'SELECT name, phone FROM leads WHERE id = ? AND deleted_at IS NULL LIMIT 1',
         [admission.lead_id]
       );
       if (leadRows.length > 0) {
@@ -3183,7 +3183,7 @@ const resolveStudentContactForDocumentSms = async (pool, admission) => {
     admission.lead_id
   ) {
     const [leadRows] = await pool.execute(
-      'SELECT name, phone, father_phone FROM leads WHERE id = ? LIMIT 1',
+      'SELECT name, phone, father_phone FROM leads WHERE id = ? AND deleted_at IS NULL LIMIT 1',
       [admission.lead_id]
     );
     if (leadRows.length > 0) {
@@ -4824,7 +4824,7 @@ export const listDistinctReferenceNames = async (req, res) => {
          WHERE ${sqlJoiningRefLegacy} IS NOT NULL
          UNION
          SELECT ${sqlLeadRef1} AS name FROM leads l
-         WHERE ${sqlLeadRef1} IS NOT NULL
+         WHERE ${sqlLeadRef1} IS NOT NULL AND l.deleted_at IS NULL
        ) refs
        WHERE name IS NOT NULL AND name != ''${hiddenClause}
        ORDER BY name ASC
@@ -5418,7 +5418,7 @@ export const exportAdmissions = async (req, res) => {
       conditions.push(`(
         EXISTS (
           SELECT 1 FROM leads l
-          WHERE l.id = a.lead_id AND (${leadMatchers.join(' OR ')})
+          WHERE l.id = a.lead_id AND l.deleted_at IS NULL AND (${leadMatchers.join(' OR ')})
         )
         OR ${snapshotMatchers.join(' OR ')}
       )`);
@@ -0,0 +1,66 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { clearUserAnalyticsCache } from '../utils/userAnalyticsCache.js';
+import {
+  getAssignmentBatch,
+  listAssignmentBatches,
+  undoAssignmentBatch,
+} from '../services/assignmentBatch.service.js';
+
+// @desc    Assignment batches, newest first (?operation=assign|remove|distribute, ?targetUserId=, ?status=, page, limit)
+// @route   GET /api/leads/assign/batches
+// @access  Private (Super Admin only)
+export const getAssignmentBatches = async (req, res) => {
+  try {
+    const result = await listAssignmentBatches(getPool(), {
+      operation: req.query.operation,
+      targetUserId: req.query.targetUserId,
+      status: req.query.status,
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    return successResponse(res, result, 'Assignment batches retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting assignment batches:', error);
+    return errorResponse(res, error.message || 'Failed to get assignment batches', error.statusCode || 500);
+  }
+};
+
+// @desc    One batch with its leads (previous / new assignee, undo outcome)
+// @route   GET /api/leads/assign/batches/:batchId
+// @access  Private (Super Admin only)
+export const getAssignmentBatchDetails = async (req, res) => {
+  try {
+    const batch = await getAssignmentBatch(getPool(), req.params.batchId);
+    if (!batch) {
+      return errorResponse(res, 'Assignment batch not found', 404);
+    }
+    return successResponse(res, batch, 'Assignment batch retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting assignment batch:', error);
+    return errorResponse(res, error.message || 'Failed to get assignment batch', 500);
+  }
+};
+
+// @desc    Restore the pre-batch assignee / target-date state of leads not touched since the batch
+// @route   POST /api/leads/assign/batches/:batchId/undo
+// @access  Private (Super Admin only)
+export const undoAssignmentBatchHandler = async (req, res) => {
+  try {
+    const result = await undoAssignmentBatch(getPool(), {
+      batchId: req.params.batchId,
+      performedBy: req.user.id || req.user._id,
+    });
+    clearUserAnalyticsCache();
+    const skippedNote = result.skipped.length > 0 ? `; ${result.skipped.length} skipped (changed since)` : '';
+    return successResponse(
+      res,
+      result,
+      `Restored ${result.restored} lead${result.restored !== 1 ? 's' : ''}${skippedNote}`,
+      200
+    );
+  } catch (error) {
+    console.error('Error undoing assignment batch:', error);
+    return errorResponse(res, error.message || 'Failed to undo assignment batch', error.statusCode || 500);
+  }
+};
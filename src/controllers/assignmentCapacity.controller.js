@@ -0,0 +1,78 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import {
+  deleteCapacityRule,
+  getCapacityRule,
+  listCapacityRules,
+  normalizeCapacityRuleInput,
+  saveCapacityRule,
+} from '../services/assignmentCapacity.service.js';
+
+// @desc    Workload capacity rules (per user and per role)
+// @route   GET /api/leads/assign/capacity/rules
+// @access  Private (Super Admin only)
+export const getCapacityRules = async (req, res) => {
+  try {
+    const rules = await listCapacityRules(getPool());
+    return successResponse(res, rules, 'Capacity rules retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting capacity rules:', error);
+    return errorResponse(res, error.message || 'Failed to get capacity rules', 500);
+  }
+};
+
+// @desc    Create a capacity rule; caps left null are unlimited
+// @route   POST /api/leads/assign/capacity/rules
+//          body: { scopeType: user|role, userId? | roleName?, maxOpenLeads?, maxNewPerDay?, maxPerStudentGroup?, isActive? }
+// @access  Private (Super Admin only)
+export const createCapacityRule = async (req, res) => {
+  try {
+    const input = normalizeCapacityRuleInput(req.body || {});
+    const rule = await saveCapacityRule(getPool(), null, input, req.user.id || req.user._id);
+    return successResponse(res, rule, 'Capacity rule created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A capacity rule already exists for this user or role', 409);
+    }
+    console.error('Error creating capacity rule:', error);
+    return errorResponse(res, error.message || 'Failed to create capacity rule', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a capacity rule (fields not sent keep their current value)
+// @route   PUT /api/leads/assign/capacity/rules/:id
+// @access  Private (Super Admin only)
+export const updateCapacityRule = async (req, res) => {
+  try {
+    const pool = getPool();
+    const current = await getCapacityRule(pool, req.params.id);
+    if (!current) {
+      return errorResponse(res, 'Capacity rule not found', 404);
+    }
+    const input = normalizeCapacityRuleInput({ ...current, ...(req.body || {}) });
+    const rule = await saveCapacityRule(pool, req.params.id, input, req.user.id || req.user._id);
+    return successResponse(res, rule, 'Capacity rule updated successfully', 200);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A capacity rule already exists for this user or role', 409);
+    }
+    console.error('Error updating capacity rule:', error);
+    return errorResponse(res, error.message || 'Failed to update capacity rule', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a capacity rule
+// @route   DELETE /api/leads/assign/capacity/rules/:id
+// @access  Private (Super Admin only)
+export const removeCapacityRule = async (req, res) => {
+  try {
+    const deleted = await deleteCapacityRule(getPool(), req.params.id);
+    if (!deleted) {
+      return errorResponse(res, 'Capacity rule not found', 404);
+    }
+    return successResponse(res, null, 'Capacity rule deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting capacity rule:', error);
+    return errorResponse(res, error.message || 'Failed to delete capacity rule', 500);
+  }
+};
@@ -1,7 +1,9 @@
 import { getPool } from '../config-sql/database.js';
 import { successResponse, errorResponse } from '../utils/response.util.js';
 import { resolveLeadStatusAfterChannelWrite } from '../utils/leadChannelStatus.util.js';
-import { sendSmsThroughBulkSmsApps, getBulkSmsAccountInfo } from '../services/bulkSms.service.js';
+import { getBulkSmsAccountInfo } from '../services/bulkSms.service.js';
+import { describeSmsRouting, sendSms } from '../services/smsProvider.service.js';
+import { describeViolations, validateRenderedMessage } from '../services/smsCompliance.service.js';
 import {
   ensureLeadAndNumbers,
   executeSmsSendForLead,
@@ -10,12 +12,23 @@ import {
 } from '../services/communicationSmsDispatch.js';
 import { v4 as uuidv4 } from 'uuid';
 import { logCallPerformance, updatePerformanceMetric } from '../services/userPerformance.service.js';
+import { scheduleLeadScoreRecompute } from '../services/leadScoring.service.js';
+import { validateStatusTransition } from '../services/leadStatusWorkflow.service.js';
 import whatsappService from '../services/whatsapp.service.js';
+import { getAgentTelephonyCall, linkCallLogToTelephony } from '../services/telephony.service.js';
+import { recordDialerCallOutcome } from '../services/dialerQueue.service.js';
+import {
+  applyDeliveryReport,
+  buildDeliverySummary,
+  formatDeliveryFields,
+  isSmsDlrWebhookAuthorized,
+  parseDeliveryReportPayload,
+} from '../services/smsDelivery.service.js';
 
 export const logCallCommunication = async (req, res) => {
   try {
     const { leadId } = req.params;
-    const { contactNumber, remarks, outcome, durationSeconds } = req.body;
+    const { contactNumber, remarks, outcome, durationSeconds, telephonyCallId } = req.body;
     const pool = getPool();
     const userId = req.user.id || req.user._id;
 
@@ -27,6 +40,36 @@ export const logCallCommunication = async (req, res) => {
 
     const sanitizedNumber = validatedNumbers[0];
 
+    // A call placed through telephony (POST /lead/:leadId/call/dial) is logged against its CDR
+    const telephonyCall = telephonyCallId
+      ? await getAgentTelephonyCall(pool, { telephonyCallId, leadId: lead.id, userId })
+      : null;
+
+    // The outcome becomes call_status, so it goes through the configured workflow before anything is written
+    const triggerStatusUpdate = ['Student Counselor', 'Super Admin', 'Manager'].includes(req.user.roleName);
+    let st = {};
+    let validatedOutcome = null;
+    if (triggerStatusUpdate && outcome?.trim()) {
+      const [stRows] = await pool.execute(
+        'SELECT lead_status, call_status, visit_status, assigned_to_pro FROM leads WHERE id = ? AND deleted_at IS NULL',
+        [lead.id]
+      );
+      st = stRows[0] || {};
+      const requested = String(outcome).trim();
+      validatedOutcome =
+        requested.toLowerCase() === String(st.call_status ?? '').trim().toLowerCase()
+          ? requested
+          : (
+            await validateStatusTransition(pool, {
+              channel: 'call_status',
+              from: st.call_status,
+              to: requested,
+              comment: remarks,
+              bypassTransitions: req.user.roleName === 'Super Admin',
+            })
+          ).name;
+    }
+
     // Create communication record
     const communicationId = uuidv4();
     await pool.execute(
@@ -45,21 +88,39 @@ export const logCallCommunication = async (req, res) => {
         durationSeconds ? Number(durationSeconds) : null,
         userId,
         'success',
-        JSON.stringify({ source: 'click_to_call' }),
+        JSON.stringify(
+          telephonyCall ? { source: 'click_to_call', telephonyCallId: telephonyCall.id } : { source: 'manual_log' }
+        ),
       ]
     );
 
+    // Pair with the provider CDR (given call, or the agent's recent unlogged call on this lead) for duration checks
+    const linkedTelephonyCallId = await linkCallLogToTelephony(pool, {
+      communicationId,
+      leadId: lead.id,
+      userId,
+      telephonyCall,
+    }).catch((err) => {
+      console.error('[Telephony] Error linking call log:', err);
+      return null;
+    });
+
+    // Auto-dialer: the served queue item for this lead is completed with this call log
+    const dialerQueueItemId = await recordDialerCallOutcome(pool, {
+      userId,
+      leadId: lead.id,
+      communicationId,
+      outcome,
+    }).catch((err) => {
+      console.error('[Dialer] Error recording call outcome:', err);
+      return null;
+    });
+
     // Track performance
     logCallPerformance(userId, lead, durationSeconds ? Number(durationSeconds) : 0);
 
-    const triggerStatusUpdate = ['Student Counselor', 'Super Admin', 'Manager'].includes(req.user.roleName);
     if (triggerStatusUpdate && outcome?.trim()) {
-      const oc = String(outcome).trim();
-      const [stRows] = await pool.execute(
-        'SELECT lead_status, call_status, visit_status, assigned_to_pro FROM leads WHERE id = ?',
-        [lead.id]
-      );
-      const st = stRows[0] || {};
+      const oc = validatedOutcome;
       const nextLead = resolveLeadStatusAfterChannelWrite(
         'call_status',
         oc,
@@ -105,6 +166,8 @@ export const logCallCommunication = async (req, res) => {
       );
     }
 
+    scheduleLeadScoreRecompute(lead.id);
+
     // Fetch created communication
     const [communications] = await pool.execute(
       `SELECT c.*, u.id as sent_by_id, u.name as sent_by_name, u.email as sent_by_email, u.role_name as sent_by_role_name
@@ -137,6 +200,8 @@ export const logCallCommunication = async (req, res) => {
       metadata: typeof comm.metadata === 'string' 
         ? JSON.parse(comm.metadata) 
         : comm.metadata || {},
+      telephonyCallId: linkedTelephonyCallId,
+      dialerQueueItemId,
       createdAt: comm.created_at,
       updatedAt: comm.updated_at,
     };
@@ -147,7 +212,7 @@ export const logCallCommunication = async (req, res) => {
     return successResponse(res, communication, 'Call logged successfully', 201);
   } catch (error) {
     console.error('Error logging call communication:', error);
-    return errorResponse(res, error.message || 'Failed to log call', 500);
+    return errorResponse(res, error.message || 'Failed to log call', error.statusCode || 500);
   }
 };
 
@@ -229,6 +294,7 @@ export const sendSmsCommunication = async (req, res) => {
       metadata: typeof comm.metadata === 'string' 
         ? JSON.parse(comm.metadata) 
         : comm.metadata || {},
+      ...formatDeliveryFields(comm),
       sentBy: comm.sent_by_id ? {
         id: comm.sent_by_id,
         _id: comm.sent_by_id,
@@ -333,6 +399,7 @@ export const getLeadCommunications = async (req, res) => {
       metadata: typeof comm.metadata === 'string' 
         ? JSON.parse(comm.metadata) 
         : comm.metadata || {},
+      ...formatDeliveryFields(comm),
       sentBy: comm.sent_by_id ? {
         id: comm.sent_by_id,
         _id: comm.sent_by_id,
@@ -383,7 +450,10 @@ export const getLeadCommunicationStats = async (req, res) => {
         MAX(sent_at) as last_contacted_at,
         MAX(CASE WHEN type = 'call' THEN sent_at ELSE NULL END) as last_call_at,
         MAX(CASE WHEN type = 'sms' THEN sent_at ELSE NULL END) as last_sms_at,
-        MAX(CASE WHEN type = 'whatsapp' THEN sent_at ELSE NULL END) as last_whatsapp_at
+        MAX(CASE WHEN type = 'whatsapp' THEN sent_at ELSE NULL END) as last_whatsapp_at,
+        SUM(CASE WHEN type = 'sms' AND delivery_status = 'delivered' THEN 1 ELSE 0 END) as sms_delivered,
+        SUM(CASE WHEN type = 'sms' AND delivery_status IN ('failed', 'dnd', 'expired', 'rejected') THEN 1 ELSE 0 END) as sms_delivery_failed,
+        SUM(CASE WHEN type = 'sms' AND delivery_status IN ('submitted', 'unknown') THEN 1 ELSE 0 END) as sms_delivery_pending
        FROM communications
        WHERE lead_id = ?
        GROUP BY contact_number
@@ -398,7 +468,8 @@ export const getLeadCommunicationStats = async (req, res) => {
         template_id,
         template_name,
         sent_at,
-        status
+        status,
+        delivery_status
        FROM communications
        WHERE lead_id = ? AND type IN ('sms', 'whatsapp') AND template_id IS NOT NULL
        ORDER BY sent_at DESC`,
@@ -417,6 +488,7 @@ export const getLeadCommunicationStats = async (req, res) => {
         templateName: row.template_name,
         sentAt: row.sent_at,
         status: row.status,
+        deliveryStatus: row.delivery_status || null,
       });
     });
 
@@ -433,10 +505,12 @@ export const getLeadCommunicationStats = async (req, res) => {
               templateId: tmpl.templateId,
               templateName: tmpl.templateName,
               count: 0,
+              delivered: 0,
             });
           }
           const entry = templateUsageMap.get(key);
           entry.count += 1;
+          if (tmpl.deliveryStatus === 'delivered') entry.delivered += 1;
         });
 
       return {
@@ -448,12 +522,22 @@ export const getLeadCommunicationStats = async (req, res) => {
         lastCallAt: item.last_call_at,
         lastSmsAt: item.last_sms_at,
         lastWhatsappAt: item.last_whatsapp_at,
+        smsDelivery: buildDeliverySummary({
+          delivered: item.sms_delivered,
+          failed: item.sms_delivery_failed,
+          pending: item.sms_delivery_pending,
+        }),
         templateUsage: Array.from(templateUsageMap.values()),
       };
     });
 
     return successResponse(res, {
       stats,
+      smsDelivery: buildDeliverySummary({
+        delivered: stats.reduce((acc, s) => acc + s.smsDelivery.delivered, 0),
+        failed: stats.reduce((acc, s) => acc + s.smsDelivery.failed, 0),
+        pending: stats.reduce((acc, s) => acc + s.smsDelivery.pending, 0),
+      }),
     });
   } catch (error) {
     console.error('Error fetching communication stats:', error);
@@ -535,14 +619,10 @@ export const sendTestTemplateSms = async (req, res) => {
       }
     }
 
-    const { rendered } = renderTemplateContent(template, userVariables);
-    const unresolvedPlaceholders = /\{#var#\}/i.test(rendered);
-    if (unresolvedPlaceholders) {
-      return errorResponse(
-        res,
-        'Message still contains unresolved {#var#} placeholders. Fill every variable value before testing.',
-        400
-      );
+    const { rendered, mappedVariables } = renderTemplateContent(template, userVariables);
+    const compliance = validateRenderedMessage(template, rendered, mappedVariables);
+    if (!compliance.ok) {
+      return errorResponse(res, `Test SMS blocked by DLT checks: ${describeViolations(compliance)}`, 422);
     }
 
     const dltTempId = String(template.dltTemplateId || '').trim();
@@ -555,7 +635,8 @@ export const sendTestTemplateSms = async (req, res) => {
 
     let apiResponse;
     try {
-      apiResponse = await sendSmsThroughBulkSmsApps({
+      apiResponse = await sendSms({
+        category: 'transactional',
         numbers: [raw],
         message: rendered,
         isUnicode: isUnicodeSms,
@@ -579,7 +660,10 @@ export const sendTestTemplateSms = async (req, res) => {
             ? apiResponse.messageIds[0]
             : undefined,
         responseText: apiResponse.responseText,
+        provider: apiResponse.provider,
+        attempts: apiResponse.attempts,
         renderedPreview: rendered.slice(0, 500),
+        compliance,
       },
       success ? 'Test SMS submitted successfully' : 'Provider did not confirm success — see response details',
       200
@@ -590,11 +674,11 @@ export const sendTestTemplateSms = async (req, res) => {
   }
 };
 
-/** Super Admin: BulkSMSApps balance + configured display name (API key server-side only). */
+/** Super Admin: BulkSMSApps balance + configured display name (API key server-side only), and SMS provider routes. */
 export const getBulkSmsAccountStatus = async (req, res) => {
   try {
     const info = await getBulkSmsAccountInfo();
-    return successResponse(res, info, 'Bulk SMS account status retrieved', 200);
+    return successResponse(res, { ...info, routing: describeSmsRouting() }, 'Bulk SMS account status retrieved', 200);
   } catch (error) {
     console.error('getBulkSmsAccountStatus', error);
     return errorResponse(
@@ -604,3 +688,30 @@ export const getBulkSmsAccountStatus = async (req, res) => {
     );
   }
 };
+
+// @desc    SMS delivery report (DLR) callback; one report or a list, as query string, form or JSON
+// @route   POST|GET /api/communications/sms/dlr
+// @access  Public (SMS_DLR_WEBHOOK_TOKEN)
+export const receiveSmsDeliveryReport = async (req, res) => {
+  try {
+    const token = req.query.token || req.get('x-sms-dlr-token');
+    if (!isSmsDlrWebhookAuthorized(token)) {
+      return errorResponse(res, 'Invalid webhook token', 401);
+    }
+    const body = req.body && (Array.isArray(req.body) || Object.keys(req.body).length > 0) ? req.body : req.query;
+    const reports = parseDeliveryReportPayload(body);
+    if (reports.length === 0) {
+      return errorResponse(res, 'No delivery report found in payload', 400);
+    }
+    const pool = getPool();
+    let updated = 0;
+    for (const report of reports) {
+      const result = await applyDeliveryReport(pool, report);
+      updated += result.updated;
+    }
+    return successResponse(res, { received: reports.length, updated }, 'Delivery report received', 200);
+  } catch (error) {
+    console.error('Error processing SMS delivery report:', error);
+    return errorResponse(res, error.message || 'Failed to process delivery report', error.statusCode || 500);
+  }
+};
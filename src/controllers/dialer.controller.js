@@ -0,0 +1,90 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import {
+  closeDialerItem,
+  getDialerQueueSummary,
+  getNextDialerLead,
+} from '../services/dialerQueue.service.js';
+
+const PRO_MESSAGE = 'Auto-dialer is not available for PRO users';
+
+// @desc    Serve (and lock) the next lead from the counsellor's dialer queue: callbacks, fresh, then Interested
+// @route   POST /api/leads/dialer/next
+// @access  Private
+export const getNextDialerLeadHandler = async (req, res) => {
+  try {
+    if (req.user.roleName === 'PRO') {
+      return errorResponse(res, PRO_MESSAGE, 403);
+    }
+    const next = await getNextDialerLead(getPool(), req.user.id || req.user._id);
+    if (!next) {
+      return successResponse(res, { item: null, lead: null, resumed: false }, 'Dialer queue is empty', 200);
+    }
+    return successResponse(
+      res,
+      next,
+      next.resumed ? 'Continuing with your current lead' : 'Next lead ready to dial',
+      200
+    );
+  } catch (error) {
+    console.error('Error serving next dialer lead:', error);
+    return errorResponse(res, error.message || 'Failed to get next lead', error.statusCode || 500);
+  }
+};
+
+// @desc    Dialer queue depth per bucket, the lead currently held and today's outcomes
+// @route   GET /api/leads/dialer/queue
+// @access  Private
+export const getDialerQueue = async (req, res) => {
+  try {
+    if (req.user.roleName === 'PRO') {
+      return errorResponse(res, PRO_MESSAGE, 403);
+    }
+    const summary = await getDialerQueueSummary(getPool(), req.user.id || req.user._id);
+    return successResponse(res, summary, 'Dialer queue retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting dialer queue:', error);
+    return errorResponse(res, error.message || 'Failed to get dialer queue', error.statusCode || 500);
+  }
+};
+
+// @desc    Skip the served lead (stays out of the agent's queue for today)  body: { reason }
+// @route   POST /api/leads/dialer/items/:id/skip
+// @access  Private
+export const skipDialerItem = async (req, res) => {
+  try {
+    if (req.user.roleName === 'PRO') {
+      return errorResponse(res, PRO_MESSAGE, 403);
+    }
+    const result = await closeDialerItem(getPool(), {
+      userId: req.user.id || req.user._id,
+      itemId: req.params.id,
+      status: 'skipped',
+      reason: req.body?.reason,
+    });
+    return successResponse(res, result, 'Lead skipped', 200);
+  } catch (error) {
+    console.error('Error skipping dialer item:', error);
+    return errorResponse(res, error.message || 'Failed to skip lead', error.statusCode || 500);
+  }
+};
+
+// @desc    Release the served lead back to the queue without calling it
+// @route   POST /api/leads/dialer/items/:id/release
+// @access  Private
+export const releaseDialerItem = async (req, res) => {
+  try {
+    if (req.user.roleName === 'PRO') {
+      return errorResponse(res, PRO_MESSAGE, 403);
+    }
+    const result = await closeDialerItem(getPool(), {
+      userId: req.user.id || req.user._id,
+      itemId: req.params.id,
+      status: 'released',
+    });
+    return successResponse(res, result, 'Lead released', 200);
+  } catch (error) {
+    console.error('Error releasing dialer item:', error);
+    return errorResponse(res, error.message || 'Failed to release lead', error.statusCode || 500);
+  }
+};
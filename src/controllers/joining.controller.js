@@ -4,6 +4,7 @@ import { syncToSecondaryDatabase, warnIfSecondaryStudentSyncMissed } from '../ut
 import { successResponse, errorResponse } from '../utils/response.util.js';
 import { v4 as uuidv4 } from 'uuid';
 import { updatePerformanceMetric } from '../services/userPerformance.service.js';
+import { scheduleLeadScoreRecompute } from '../services/leadScoring.service.js';
 import smsService from '../services/sms.service.js';
 import { syncJoiningStudentFeeDetailsToFeeMongo } from '../services/joiningStudentFeeMongoSync.service.js';
 import { normalizeCalendarAcademicYear } from '../utils/transportApplicationNumber.util.js';
@@ -512,7 +513,7 @@ const ensureLeadExists = async (leadId) => {
             u.email AS assigned_to_email
      FROM leads l
      LEFT JOIN users u ON l.assigned_to = u.id
-     WHERE l.id = ?`,
+     WHERE l.id = ? AND l.deleted_at IS NULL`,
     [leadId]
   );
 
@@ -718,6 +719,7 @@ const recordActivity = async ({ leadId, userId, description, statusFrom, statusT
         }),
       ]
     );
+    scheduleLeadScoreRecompute(leadId);
   } catch (error) {
     console.error('Failed to append joining activity log:', error);
   }
@@ -1329,8 +1331,8 @@ export const listJoinings = async (req, res) => {
     const paginationLimit = Math.min(Number(limit) || 20, 100);
     const offset = (Number(page) - 1) * paginationLimit;
 
-    // Build WHERE conditions
-    const conditions = [];
+    // Build WHERE conditions (joinings of leads in the recycle bin are hidden; joinings without a lead are kept)
+    const conditions = ['l.deleted_at IS NULL'];
     const params = [];
 
     // Status filtering
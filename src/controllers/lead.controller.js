@@ -1,5 +1,4 @@
 import ExcelJS from 'exceljs';
-import PQueue from 'p-queue';
 import { v4 as uuidv4 } from 'uuid';
 import { getPool } from '../config-sql/database.js';
 import { successResponse, errorResponse } from '../utils/response.util.js';
@@ -19,11 +18,30 @@ import {
 } from '../utils/studentQuotas.util.js';
 import { applyReference1OnCallStatusConfirm, isCallStatusConfirmedValue } from '../utils/joiningReference.util.js';
 import { managerCanAccessLead } from '../utils/managerLeadAccess.util.js';
-import { SELF_REGISTRATION_SOURCE } from '../utils/joiningSelfRegistration.util.js';
-
-const deleteQueue = new PQueue({
-  concurrency: Number(process.env.LEAD_DELETE_CONCURRENCY || 1),
-});
+import {
+  attachEnquiryTouch,
+  buildDuplicateRejectMessage,
+  evaluateLeadDuplicate,
+  resolveDuplicatePolicy,
+} from '../services/leadDuplicateMatch.service.js';
+import { scheduleLeadScoreRecompute } from '../services/leadScoring.service.js';
+import {
+  loadCustomFields,
+  loadCustomFieldsForQuery,
+  syncLeadCustomFieldValues,
+  validateCustomFieldValues,
+} from '../services/leadCustomField.service.js';
+import { validateStatusTransition } from '../services/leadStatusWorkflow.service.js';
+import { attachTagsToLeads } from '../services/leadTag.service.js';
+import { buildLeadFilterConditions } from '../services/leadFilter.service.js';
+import {
+  createDeleteJob,
+  deleteQueue,
+  getRecycleBinRetentionDays,
+  processDeleteJob,
+} from '../services/leadRecycleBin.service.js';
+import { diffLeadFields, recordLeadFieldChanges } from '../services/leadFieldHistory.service.js';
+import { autoAssignLeadsToTerritories, notifyTerritoryOwners } from '../services/territory.service.js';
 
 // Lightweight in-memory caches to reduce repeated heavy reads on large lead tables.
 const queryCache = new Map();
@@ -104,226 +122,14 @@ const ymdDayRangeExclusive = (ymd) => {
   return [start, `${endYmd} 00:00:00`];
 };
 
-/**
- * Common logic to build WHERE conditions for leads across different controllers.
- * Optimized for large datasets (500k+) by using FULLTEXT index for general search
- * and index-friendly prefix matching for phones/enquiries.
- * 
- * @param {object} req Express request object
- * @param {string} alias Table alias for leads table (e.g., 'l')
- * @returns {{ conditions: string[], params: any[] }}
- */
-const buildLeadFilterConditions = (req, alias = 'l') => {
-  const conditions = [];
-  const params = [];
-  const p = alias ? `${alias}.` : '';
-
-  const {
-    mandal, state, district, village, villageInAddress, quota,
-    leadStatus, callStatus, visitStatus, applicationStatus,
-    assignedTo, courseInterested, source, startDate, endDate,
-    scheduledOn, academicYear, studentGroup, cycleNumber,
-    needsUpdate, touchedToday, excludeTouchedToday,
-    enquiryNumber, search
-  } = req.query;
-
-  // Standard Equality Filters
-  if (mandal) { conditions.push(`${p}mandal = ?`); params.push(mandal); }
-  if (state) { conditions.push(`${p}state = ?`); params.push(state); }
-  if (district) { conditions.push(`${p}district = ?`); params.push(district); }
-  
-  if (village) {
-    const villages = Array.isArray(village) 
-      ? village 
-      : String(village).split(',').map(v => v.trim()).filter(Boolean);
-      
-    if (villages.length > 0) {
-      if (req.user.roleName === 'PRO' && (villageInAddress === 'true' || villageInAddress === '1')) {
-        const villageConditions = [];
-        villages.forEach(v => {
-          const esc = v.replace(/\\/g, '\\\\').replace(/%/g, '\\%').replace(/_/g, '\\_');
-          // Note: CONCAT_WS is expensive on large tables; this is kept for PRO-specific village-in-address matching
-          villageConditions.push(`LOWER(CONCAT_WS(' ', IFNULL(${p}address,''), IFNULL(${p}village,''), IFNULL(${p}mandal,''), IFNULL(${p}district,''), IFNULL(${p}state,''))) LIKE ?`);
-          params.push(`%${esc.toLowerCase()}%`);
-        });
-        conditions.push(`(${villageConditions.join(' OR ')})`);
-      } else {
-        if (villages.length === 1) {
-          conditions.push(`${p}village = ?`);
-          params.push(villages[0]);
-        } else {
-          const placeholders = villages.map(() => '?').join(',');
-          conditions.push(`${p}village IN (${placeholders})`);
-          params.push(...villages);
-        }
-      }
-    }
-  }
-
-  if (quota) { conditions.push(`${p}quota = ?`); params.push(quota); }
-  if (leadStatus) {
-    conditions.push(`${p}lead_status = ?`);
-    params.push(leadStatus);
-    // Joining desk: hide Confirmed rows that already completed joining (approved + admission).
-    if (String(leadStatus).trim() === 'Confirmed') {
-      conditions.push(`NOT EXISTS (
-        SELECT 1 FROM joinings j_stale
-        INNER JOIN admissions a_stale ON a_stale.joining_id = j_stale.id
-        WHERE j_stale.lead_id = ${p}id
-          AND j_stale.status = 'approved'
-          AND TRIM(COALESCE(a_stale.admission_number, '')) <> ''
-      )`);
-      // Self-registration requests stay on Self Registration only — never Confirmed Leads.
-      conditions.push(`NOT (
-        TRIM(COALESCE(${p}source, '')) = ?
-        OR TRIM(COALESCE(JSON_UNQUOTE(JSON_EXTRACT(${p}dynamic_fields, '$.createdFrom')), '')) = 'self_registration'
-      )`);
-      params.push(SELF_REGISTRATION_SOURCE);
-    }
-  }
-  if (callStatus) { conditions.push(`${p}call_status = ?`); params.push(callStatus); }
-  if (visitStatus) { conditions.push(`${p}visit_status = ?`); params.push(visitStatus); }
-  if (applicationStatus) { conditions.push(`${p}application_status = ?`); params.push(applicationStatus); }
-  
-  if (assignedTo) {
-    conditions.push(`(${p}assigned_to = ? OR ${p}assigned_to_pro = ?)`);
-    params.push(assignedTo, assignedTo);
-  }
-  
-  if (courseInterested) { conditions.push(`${p}course_interested = ?`); params.push(courseInterested); }
-  if (source) { conditions.push(`${p}source = ?`); params.push(source); }
-
-  // Permissions-based filtering
-  const allowedSources = req.user.permissions?.allowedSources;
-  if (allowedSources && Array.isArray(allowedSources) && allowedSources.length > 0) {
-    const placeholders = allowedSources.map(() => '?').join(',');
-    conditions.push(`${p}source IN (${placeholders})`);
-    params.push(...allowedSources);
-  }
-
-  // Date Filtering
-  if (startDate) {
-    const start = new Date(startDate);
-    start.setHours(0, 0, 0, 0);
-    conditions.push(`${p}created_at >= ?`);
-    params.push(start.toISOString().slice(0, 19).replace('T', ' '));
-  }
-  if (endDate) {
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999);
-    conditions.push(`${p}created_at <= ?`);
-    params.push(end.toISOString().slice(0, 19).replace('T', ' '));
-  }
-  if (scheduledOn) {
-    const ymd = String(scheduledOn).slice(0, 10);
-    if (/^\d{4}-\d{2}-\d{2}$/.test(ymd)) {
-      const [dayStart, dayEnd] = ymdDayRangeExclusive(ymd);
-      conditions.push(`${p}next_scheduled_call >= ? AND ${p}next_scheduled_call < ?`);
-      params.push(dayStart, dayEnd);
-    }
-  }
-
-  // Grouping and Cycles
-  if (academicYear != null && academicYear !== '') { 
-    conditions.push(`${p}academic_year = ?`); 
-    params.push(Number(academicYear)); 
-  }
-  if (studentGroup) { 
-    conditions.push(`${p}student_group = ?`); 
-    params.push(studentGroup); 
-  }
-  if (cycleNumber != null && cycleNumber !== '') {
-    const cycle = Number(cycleNumber);
-    if (!Number.isNaN(cycle)) {
-      conditions.push(`${p}cycle_number = ?`);
-      params.push(cycle);
-    }
-  }
-
-  if (needsUpdate === 'true' || needsUpdate === '1') {
-    conditions.push(`${p}needs_manual_update IN (1, 2)`);
-  }
-
-  // User-specific Touch Logic
-  const userId = req.user.id || req.user._id;
-  if (touchedToday === 'true' || touchedToday === '1') {
-    conditions.push(`EXISTS (
-      SELECT 1 FROM activity_logs a
-      WHERE a.lead_id = ${p}id AND a.performed_by = ?
-      AND DATE(a.created_at) = CURDATE()
-      AND a.type IN ('status_change', 'comment')
-    )`);
-    params.push(userId);
-  }
-
-  if (excludeTouchedToday === 'true' || excludeTouchedToday === '1') {
-    // Exclude leads that were already processed today (call/sms or log)
-    conditions.push(`NOT EXISTS (
-      SELECT 1 FROM communications c
-      WHERE c.lead_id = ${p}id AND c.sent_by = ? AND DATE(c.sent_at) = CURDATE()
-    )`);
-    conditions.push(`NOT EXISTS (
-      SELECT 1 FROM activity_logs a
-      WHERE a.lead_id = ${p}id AND a.performed_by = ? AND DATE(a.created_at) = CURDATE()
-    )`);
-    params.push(userId, userId);
-  }
-
-  // Enquiry Number specific search
-  if (enquiryNumber) {
-    const t = enquiryNumber.trim();
-    if (t.toUpperCase().startsWith('ENQ')) {
-      conditions.push(`${p}enquiry_number LIKE ?`);
-      params.push(`${t}%`);
-    } else {
-      conditions.push(`${p}enquiry_number LIKE ?`);
-      params.push(`%${t}%`);
-    }
-  }
-
-  // --- HIGHLY OPTIMIZED SEARCH LOGIC ---
-  if (search) {
-    const t = search.trim();
-    if (t.length >= 2) {
-      const isEnq = t.toUpperCase().startsWith('ENQ');
-      const isPhone = /^\d{5,}$/.test(t);
-      
-      if (isEnq) {
-        // Direct hit on enquiry number (starts with)
-        conditions.push(`${p}enquiry_number LIKE ?`);
-        params.push(`${t}%`);
-      } else if (isPhone) {
-        // Direct index hit on phone columns (starts with) - much faster than fulltext for digits
-        conditions.push(`(${p}phone LIKE ? OR ${p}father_phone LIKE ?)`);
-        params.push(`${t}%`, `${t}%`);
-      } else {
-        // USE FULLTEXT INDEX for names and other text fields.
-        // Boolean mode with prefix matching (+) ensures high speed on 500k+ rows.
-        // Clean the search term by removing boolean operators that could cause SQL syntax errors
-        const cleanT = t.replace(/[+\-<>\~*\"()@]/g, ' ').trim();
-        if (cleanT.length > 0) {
-          const booleanSearchStr = cleanT.split(/\s+/).map(word => `+${word}*`).join(' ');
-          // Columns must match exactly those defined in the FULLTEXT index:
-          // enquiry_number, name, phone, email, father_name, mother_name, course_interested, district, mandal, state, application_status, hall_ticket_number, inter_college
-          conditions.push(`MATCH(${p}enquiry_number, ${p}name, ${p}phone, ${p}email, ${p}father_name, ${p}mother_name, ${p}course_interested, ${p}district, ${p}mandal, ${p}state, ${p}application_status, ${p}hall_ticket_number, ${p}inter_college) AGAINST(? IN BOOLEAN MODE)`);
-          params.push(booleanSearchStr);
-        }
-      }
-    }
-  }
-
-  // Access control
-  if (!hasElevatedAdminPrivileges(req.user.roleName) && req.user.roleName !== 'Admin') {
-    if (req.user.roleName === 'PRO') {
-      conditions.push(`(${p}assigned_to_pro = ? OR ${p}assigned_to = ?)`);
-      params.push(userId, userId);
-    } else {
-      conditions.push(`${p}assigned_to = ?`);
-      params.push(userId);
-    }
+/** Hand a new lead to its territory owners; never fails the create. */
+const assignNewLeadToTerritory = async (pool, leadId, performedBy) => {
+  try {
+    const result = await autoAssignLeadsToTerritories(pool, [leadId], { performedBy });
+    await notifyTerritoryOwners(pool, result.byOwner);
+  } catch (error) {
+    console.error('[Lead] Territory auto-assignment failed:', error);
   }
-
-  return { conditions, params };
 };
 
 // Helper function to format lead data from SQL to camelCase
@@ -393,6 +199,14 @@ const formatLead = (leadData, assignedToUser = null, uploadedByUser = null, assi
     academicYear: leadData.academic_year != null ? leadData.academic_year : undefined,
     studentGroup: leadData.student_group || undefined,
     needsManualUpdate: leadData.needs_manual_update != null ? Number(leadData.needs_manual_update) : 0,
+    leadScore: leadData.lead_score != null ? Number(leadData.lead_score) : 0,
+    leadScoreBreakdown: typeof leadData.lead_score_breakdown === 'string'
+      ? JSON.parse(leadData.lead_score_breakdown)
+      : leadData.lead_score_breakdown || undefined,
+    possibleDuplicateOf: leadData.possible_duplicate_of || null,
+    duplicateMatchReasons: typeof leadData.duplicate_match_reasons === 'string'
+      ? JSON.parse(leadData.duplicate_match_reasons)
+      : leadData.duplicate_match_reasons || null,
     notes: leadData.notes,
     uploadedBy: uploadedByUser || leadData.uploaded_by,
     uploadBatchId: leadData.upload_batch_id,
@@ -540,7 +354,8 @@ export const getLeads = async (req, res) => {
         const [missedRows] = await pool.execute(
           `SELECT l.id, l.next_scheduled_call
            FROM leads l
-           WHERE l.next_scheduled_call IS NOT NULL
+           WHERE l.deleted_at IS NULL
+             AND l.next_scheduled_call IS NOT NULL
              AND l.next_scheduled_call >= ? AND l.next_scheduled_call < ?
              AND NOT EXISTS (
                SELECT 1
@@ -570,7 +385,8 @@ export const getLeads = async (req, res) => {
     }
 
     // Build WHERE conditions using optimized helper
-    const { conditions, params } = buildLeadFilterConditions(req, 'l');
+    const customFields = await loadCustomFieldsForQuery(pool, req.query);
+    const { conditions, params } = buildLeadFilterConditions(req, 'l', { customFields });
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
@@ -594,6 +410,11 @@ export const getLeads = async (req, res) => {
       'leads-needs-update'
     );
 
+    // sortBy=score: hottest leads first (stored lead_score), newest first within the same score.
+    const orderByClause = req.query.sortBy === 'score'
+      ? 'l.lead_score DESC, l.created_at DESC, l.id ASC'
+      : 'l.created_at DESC, l.id ASC';
+
     // Get leads with pagination and user info.
     // Optimization: Selective column selection and paginating IDs first to avoid heavy memory usage.
     const query = `
@@ -604,6 +425,7 @@ export const getLeads = async (req, res) => {
         l.visit_status, l.academic_year, l.student_group, l.admission_number, l.assigned_at, 
         l.source, l.last_follow_up, l.next_scheduled_call, l.created_at, l.updated_at,
         l.cycle_number, l.counsellor_target_date, l.pro_target_date, l.target_date, l.needs_manual_update,
+        l.possible_duplicate_of, l.duplicate_match_reasons, l.lead_score,
         l.dynamic_fields as dynamic_fields,
         ${ASSIGNED_USER_SQL_SELECT},
         ${CONFIRMER_USER_SQL_SELECT}
@@ -611,7 +433,7 @@ export const getLeads = async (req, res) => {
         SELECT l.id
         FROM leads l
         ${whereClause}
-        ORDER BY l.created_at DESC, l.id ASC
+        ORDER BY ${orderByClause}
         LIMIT ${Number(limit)} OFFSET ${Number(offset)}
       ) page_ids
       INNER JOIN leads l ON l.id = page_ids.id
@@ -619,7 +441,7 @@ export const getLeads = async (req, res) => {
       LEFT JOIN users u2 ON l.uploaded_by = u2.id
       LEFT JOIN users u3 ON l.assigned_to_pro = u3.id
       ${CONFIRMER_USER_SQL_JOIN}
-      ORDER BY l.created_at DESC, l.id ASC
+      ORDER BY ${orderByClause}
     `;
 
     const [leads] = await pool.execute(query, params);
@@ -657,6 +479,7 @@ export const getLeads = async (req, res) => {
             l.visit_status, l.academic_year, l.student_group, l.admission_number, l.assigned_at, 
             l.source, l.last_follow_up, l.next_scheduled_call, l.created_at, l.updated_at,
             l.cycle_number, l.counsellor_target_date, l.pro_target_date, l.target_date, l.needs_manual_update,
+        l.possible_duplicate_of, l.duplicate_match_reasons, l.lead_score,
             DATE_FORMAT(DATE_SUB(DATE(l.next_scheduled_call), INTERVAL 1 DAY), '%Y-%m-%d') AS missed_schedule_prev_day,
             l.dynamic_fields as dynamic_fields,
             ${ASSIGNED_USER_SQL_SELECT},
@@ -700,6 +523,8 @@ export const getLeads = async (req, res) => {
       }
     }
 
+    formattedLeads = await attachTagsToLeads(pool, formattedLeads);
+
     return successResponse(res, {
       leads: formattedLeads,
       pagination: {
@@ -733,7 +558,7 @@ export const getLead = async (req, res) => {
       LEFT JOIN users u1 ON l.assigned_to = u1.id
       LEFT JOIN users u2 ON l.uploaded_by = u2.id
       LEFT JOIN users u3 ON l.assigned_to_pro = u3.id
-      WHERE l.id = ?`,
+      WHERE l.id = ? AND l.deleted_at IS NULL`,
       [req.params.id]
     );
 
@@ -776,8 +601,9 @@ export const getLead = async (req, res) => {
     const lead = formatLead(leadData, assignedToUser, uploadedByUser, assignedToProUser, {
       viewerRoleName: req.user.roleName,
     });
+    const [taggedLead] = await attachTagsToLeads(pool, [lead]);
 
-    return successResponse(res, lead, 'Lead retrieved successfully', 200);
+    return successResponse(res, taggedLead, 'Lead retrieved successfully', 200);
   } catch (error) {
     console.error('Error getting lead:', error);
     return errorResponse(res, error.message || 'Failed to get lead', 500);
@@ -870,13 +696,50 @@ export const createPublicLead = async (req, res) => {
       );
     }
 
-    // Generate enquiry number
-    const enquiryNumber = await generateEnquiryNumber();
- 
     // If UTM source exists, use it as the lead source
     const leadSource = finalUtmSource ? String(finalUtmSource).trim() : (source || 'Public Form');
+    const finalHallTicketNumber = hallTicketNumber ? String(hallTicketNumber).trim() : (getFieldValue(hallTicketNumber, ['hallticketnumber', 'hall_ticket_number', 'ticketnumber', 'ticket_number'], dynamicFields) || '');
 
     const pool = getPool();
+
+    // Registered custom fields: match form keys to field keys, coerce types, enforce required
+    const customFields = await loadCustomFields(pool);
+    const validatedDynamicFields = validateCustomFieldValues(customFields, dynamicFields || {}, { enforceRequired: true });
+
+    // Duplicate check before consuming an enquiry number (public forms never pick their own policy)
+    const duplicateCheck = await evaluateLeadDuplicate(pool, resolveDuplicatePolicy('public'), {
+      name: finalName,
+      phone: finalPhone,
+      fatherPhone: finalFatherPhone,
+      hallTicketNumber: finalHallTicketNumber,
+      village: finalVillage,
+      mandal: finalMandal,
+    });
+    if (duplicateCheck.action === 'reject') {
+      return errorResponse(res, 'An enquiry with these details has already been received. Our team will contact you shortly.', 409);
+    }
+    if (duplicateCheck.action === 'attach') {
+      await attachEnquiryTouch(pool, duplicateCheck.lead.id, {
+        channel: 'public',
+        source: leadSource,
+        utm: {
+          utmSource: finalUtmSource || null,
+          utmMedium: utmMedium || null,
+          utmCampaign: utmCampaign || null,
+          utmTerm: utmTerm || null,
+          utmContent: utmContent || null,
+        },
+        matchReasons: duplicateCheck.lead.reasons,
+        submitted: { name: finalName, phone: finalPhone, fatherPhone: finalFatherPhone, village: finalVillage },
+        dynamicFields: validatedDynamicFields,
+      });
+      // Unauthenticated form: acknowledge only, never echo the matched lead (phone lookups would leak names)
+      return successResponse(res, null, 'Enquiry received. Our team will contact you shortly.', 200);
+    }
+    const isFlagged = duplicateCheck.action === 'flag';
+
+    // Generate enquiry number
+    const enquiryNumber = await generateEnquiryNumber();
     const leadId = uuidv4();
 
     // Insert lead
@@ -886,8 +749,8 @@ export const createPublicLead = async (req, res) => {
         hall_ticket_number, village, address, course_interested, district, mandal, state,
         is_nri, gender, \`rank\`, inter_college, quota, application_status,
         dynamic_fields, lead_status, source, utm_source, utm_medium, utm_campaign,
-        utm_term, utm_content, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        utm_term, utm_content, possible_duplicate_of, duplicate_match_reasons, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
       [
         leadId,
         enquiryNumber,
@@ -897,7 +760,7 @@ export const createPublicLead = async (req, res) => {
         finalFatherName,
         motherName ? String(motherName).trim() : (getFieldValue(motherName, ['mothername', 'mother_name', 'mothersname', 'mothers_name'], dynamicFields) || ''),
         finalFatherPhone,
-        hallTicketNumber ? String(hallTicketNumber).trim() : (getFieldValue(hallTicketNumber, ['hallticketnumber', 'hall_ticket_number', 'ticketnumber', 'ticket_number'], dynamicFields) || ''),
+        finalHallTicketNumber,
         finalVillage,
         finalAddress,
         courseInterested || getFieldValue(courseInterested, ['courseinterested', 'course_interested', 'course', 'coursename', 'course_name'], dynamicFields) || null,
@@ -917,7 +780,7 @@ export const createPublicLead = async (req, res) => {
         interCollege ? String(interCollege).trim() : (getFieldValue(interCollege, ['intercollege', 'inter_college', 'college', 'collegename', 'college_name'], dynamicFields) || ''),
         quota || 'Not Applicable',
         applicationStatus || 'Not Provided',
-        JSON.stringify(dynamicFields || {}),
+        JSON.stringify(validatedDynamicFields),
         'New',
         leadSource,
         finalUtmSource ? String(finalUtmSource).trim() : null,
@@ -925,9 +788,13 @@ export const createPublicLead = async (req, res) => {
         utmCampaign ? String(utmCampaign).trim() : null,
         utmTerm ? String(utmTerm).trim() : null,
         utmContent ? String(utmContent).trim() : null,
+        isFlagged ? duplicateCheck.possibleDuplicateOf : null,
+        isFlagged ? JSON.stringify(duplicateCheck.matchReasons) : null,
       ]
     );
 
+    await assignNewLeadToTerritory(pool, leadId, null);
+
     // Fetch created lead
     const [leads] = await pool.execute(
       'SELECT * FROM leads WHERE id = ?',
@@ -935,6 +802,8 @@ export const createPublicLead = async (req, res) => {
     );
 
     const lead = formatLead(leads[0]);
+    await syncLeadCustomFieldValues(pool, leadId, validatedDynamicFields, customFields);
+    scheduleLeadScoreRecompute(leadId);
 
     // Send notification to lead (async, don't wait for it)
     notifyLeadCreated(lead).catch((error) => {
@@ -944,7 +813,7 @@ export const createPublicLead = async (req, res) => {
     return successResponse(res, lead, 'Lead submitted successfully', 201);
   } catch (error) {
     console.error('Error creating public lead:', error);
-    return errorResponse(res, error.message || 'Failed to submit lead', 500);
+    return errorResponse(res, error.message || 'Failed to submit lead', error.statusCode || 500);
   }
 };
 
@@ -975,6 +844,8 @@ export const createLead = async (req, res) => {
       source,
       address, // Added address to destructuring
       studentGroup,
+      alternateMobile,
+      duplicatePolicy,
     } = req.body;
 
     // Helper function to extract a value from direct fields or dynamicFields
@@ -1064,12 +935,53 @@ export const createLead = async (req, res) => {
       return errorResponse(res, `Please provide ${missing.join(', ')}`, 400);
     }
 
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+
+    const customFields = await loadCustomFields(pool);
+    const validatedDynamicFields = validateCustomFieldValues(customFields, dynamicFields || {}, { enforceRequired: true });
+
+    // Duplicate check. Callers may pick reject / attach / flag; only admins may switch the check off.
+    const requestedPolicy =
+      duplicatePolicy === 'off' && !hasElevatedAdminPrivileges(req.user.roleName) ? undefined : duplicatePolicy;
+    const duplicateCheck = await evaluateLeadDuplicate(pool, resolveDuplicatePolicy('manual', requestedPolicy), {
+      name: finalName,
+      phone: finalPhone,
+      alternateMobile,
+      fatherPhone: finalFatherPhone,
+      hallTicketNumber,
+      village: finalVillage,
+      mandal: finalMandal,
+    });
+    if (duplicateCheck.action === 'reject') {
+      return res.status(409).json({
+        success: false,
+        message: buildDuplicateRejectMessage(duplicateCheck.matches),
+        data: { duplicates: duplicateCheck.matches },
+      });
+    }
+    if (duplicateCheck.action === 'attach') {
+      await attachEnquiryTouch(pool, duplicateCheck.lead.id, {
+        channel: 'manual',
+        performedBy: userId,
+        source: source || 'Manual Entry',
+        matchReasons: duplicateCheck.lead.reasons,
+        submitted: { name: finalName, phone: finalPhone, fatherPhone: finalFatherPhone, village: finalVillage },
+        dynamicFields: validatedDynamicFields,
+      });
+      const [existingLeads] = await pool.execute('SELECT * FROM leads WHERE id = ?', [duplicateCheck.lead.id]);
+      return successResponse(
+        res,
+        { ...formatLead(existingLeads[0]), attachedToExistingLead: true, duplicates: duplicateCheck.matches },
+        `Enquiry added to existing lead ${duplicateCheck.lead.enquiryNumber || duplicateCheck.lead.name}`,
+        200
+      );
+    }
+    const isFlagged = duplicateCheck.action === 'flag';
+
     // Generate enquiry number
     const enquiryNumber = await generateEnquiryNumber();
-
-    const pool = getPool();
     const leadId = uuidv4();
-    const userId = req.user.id || req.user._id;
     const isPro = req.user.roleName === 'PRO';
     const isStudentCounselor = req.user.roleName === 'Student Counselor';
 
@@ -1095,8 +1007,9 @@ export const createLead = async (req, res) => {
         dynamic_fields, lead_status, source, student_group, uploaded_by, 
         assigned_to, assigned_at, assigned_by,
         assigned_to_pro, pro_assigned_at, pro_assigned_by,
+        alternate_mobile, possible_duplicate_of, duplicate_match_reasons,
         created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
       [
         leadId,
         enquiryNumber,
@@ -1118,7 +1031,7 @@ export const createLead = async (req, res) => {
         interCollege ? String(interCollege).trim() : '',
         quota || 'Not Applicable',
         applicationStatus || 'Not Provided',
-        JSON.stringify(dynamicFields || {}),
+        JSON.stringify(validatedDynamicFields),
         finalLeadStatus,
         source || 'Manual Entry',
         finalStudentGroup,
@@ -1129,9 +1042,14 @@ export const createLead = async (req, res) => {
         assignedToPro,
         proAssignedAt,
         proAssignedBy,
+        alternateMobile ? String(alternateMobile).trim() : '',
+        isFlagged ? duplicateCheck.possibleDuplicateOf : null,
+        isFlagged ? JSON.stringify(duplicateCheck.matchReasons) : null,
       ]
     );
 
+    await assignNewLeadToTerritory(pool, leadId, userId);
+
     // Fetch created lead
     const [leads] = await pool.execute(
       'SELECT * FROM leads WHERE id = ?',
@@ -1139,16 +1057,23 @@ export const createLead = async (req, res) => {
     );
 
     const lead = formatLead(leads[0]);
+    await syncLeadCustomFieldValues(pool, leadId, validatedDynamicFields, customFields);
+    scheduleLeadScoreRecompute(leadId);
 
     // Send notification to lead (async, don't wait for it)
     notifyLeadCreated(lead).catch((error) => {
       console.error('[Lead] Error sending notification to lead:', error);
     });
 
-    return successResponse(res, lead, 'Lead created successfully', 201);
+    return successResponse(
+      res,
+      isFlagged ? { ...lead, duplicates: duplicateCheck.matches } : lead,
+      isFlagged ? 'Lead created and flagged as a possible duplicate' : 'Lead created successfully',
+      201
+    );
   } catch (error) {
     console.error('Error creating lead:', error);
-    return errorResponse(res, error.message || 'Failed to create lead', 500);
+    return errorResponse(res, error.message || 'Failed to create lead', error.statusCode || 500);
   }
 };
 
@@ -1162,7 +1087,7 @@ export const updateLead = async (req, res) => {
 
     // Get current lead
     const [leads] = await pool.execute(
-      'SELECT * FROM leads WHERE id = ?',
+      'SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL',
       [req.params.id]
     );
 
@@ -1190,29 +1115,6 @@ export const updateLead = async (req, res) => {
     const isAssignedCounsellorOnly = !isSuperAdmin && isStudentCounselor && currentLead.assigned_to === userId;
     const isAssignedProOnly = !isSuperAdmin && isPro && currentLead.assigned_to_pro === userId;
 
-    // Store original values for comparison
-    const originalLead = {
-      name: currentLead.name,
-      phone: currentLead.phone,
-      email: currentLead.email,
-      fatherName: currentLead.father_name,
-      fatherPhone: currentLead.father_phone,
-      motherName: currentLead.mother_name,
-      courseInterested: currentLead.course_interested,
-      village: currentLead.village,
-      address: currentLead.address,
-      district: currentLead.district,
-      mandal: currentLead.mandal,
-      state: currentLead.state,
-      quota: currentLead.quota,
-      gender: currentLead.gender,
-      rank: currentLead.rank,
-      interCollege: currentLead.inter_college,
-      alternateMobile: currentLead.alternate_mobile,
-      hallTicketNumber: currentLead.hall_ticket_number,
-      applicationStatus: currentLead.application_status,
-    };
-
     // Update fields
     const {
       hallTicketNumber,
@@ -1257,6 +1159,8 @@ export const updateLead = async (req, res) => {
     let desiredLeadFromAssignment = null;
     let nextCall = currentLead.call_status ?? null;
     let nextVisit = currentLead.visit_status ?? null;
+    let mergedDynamicFields = null;
+    let customFieldsForUpdate = [];
 
     // Only Super Admin can update these fields
     if (isSuperAdmin) {
@@ -1341,9 +1245,14 @@ export const updateLead = async (req, res) => {
         const currentDynamicFields = typeof currentLead.dynamic_fields === 'string'
           ? JSON.parse(currentLead.dynamic_fields)
           : currentLead.dynamic_fields || {};
-        const mergedFields = { ...currentDynamicFields, ...dynamicFields };
+        // Partial update: only the keys sent are validated; required fields are enforced on create only
+        customFieldsForUpdate = await loadCustomFields(pool);
+        mergedDynamicFields = {
+          ...currentDynamicFields,
+          ...validateCustomFieldValues(customFieldsForUpdate, dynamicFields),
+        };
         updateFields.push('dynamic_fields = ?');
-        updateValues.push(JSON.stringify(mergedFields));
+        updateValues.push(JSON.stringify(mergedDynamicFields));
       }
       if (assignedTo) {
         const newAssignedTo = assignedTo.toString();
@@ -1433,20 +1342,43 @@ export const updateLead = async (req, res) => {
       nextVisit = 'Assigned';
     }
 
+    // Status workflow: catalog values, allowed transitions and required comments (admins may skip the graph).
+    // Unchanged values are not re-validated so profile edits never trip a required-comment rule.
+    const workflowComment = req.body.statusComment ?? req.body.comment ?? notes;
+    const checkStatusWrite = async (channel, from, value) => {
+      if (String(value ?? '').trim().toLowerCase() === String(from ?? '').trim().toLowerCase()) return value;
+      const result = await validateStatusTransition(pool, {
+        channel,
+        from,
+        to: value,
+        comment: workflowComment,
+        bypassTransitions: isSuperAdmin || isAdmin,
+      });
+      return result.name;
+    };
+
     if ((isSuperAdmin || isAdmin) && callStatus !== undefined) {
-      nextCall = callStatus === '' || callStatus === null ? null : String(callStatus).trim();
+      nextCall = callStatus === '' || callStatus === null
+        ? null
+        : await checkStatusWrite('call_status', currentLead.call_status, String(callStatus).trim());
       upsertLeadUpdateColumn(updateFields, updateValues, 'call_status', nextCall);
     }
     if ((isSuperAdmin || isAdmin) && visitStatus !== undefined) {
-      nextVisit = visitStatus === '' || visitStatus === null ? null : String(visitStatus).trim();
+      nextVisit = visitStatus === '' || visitStatus === null
+        ? null
+        : await checkStatusWrite('visit_status', currentLead.visit_status, String(visitStatus).trim());
       upsertLeadUpdateColumn(updateFields, updateValues, 'visit_status', nextVisit);
     }
     if (isStudentCounselor && assignedAsCounsellor && callStatus !== undefined) {
-      nextCall = callStatus === '' || callStatus === null ? null : String(callStatus).trim();
+      nextCall = callStatus === '' || callStatus === null
+        ? null
+        : await checkStatusWrite('call_status', currentLead.call_status, String(callStatus).trim());
       upsertLeadUpdateColumn(updateFields, updateValues, 'call_status', nextCall);
     }
     if (isPro && assignedAsPro && visitStatus !== undefined) {
-      nextVisit = visitStatus === '' || visitStatus === null ? null : String(visitStatus).trim();
+      nextVisit = visitStatus === '' || visitStatus === null
+        ? null
+        : await checkStatusWrite('visit_status', currentLead.visit_status, String(visitStatus).trim());
       upsertLeadUpdateColumn(updateFields, updateValues, 'visit_status', nextVisit);
     }
 
@@ -1455,7 +1387,7 @@ export const updateLead = async (req, res) => {
     }
 
     if ((isSuperAdmin || isAdmin) && newLeadStatus && newLeadStatus !== currentLead.lead_status) {
-      desiredLead = newLeadStatus;
+      desiredLead = await checkStatusWrite('lead_status', currentLead.lead_status, newLeadStatus);
     } else if (
       newLeadStatus &&
       newLeadStatus !== currentLead.lead_status &&
@@ -1463,7 +1395,7 @@ export const updateLead = async (req, res) => {
       !isPro &&
       isAssigned
     ) {
-      desiredLead = newLeadStatus;
+      desiredLead = await checkStatusWrite('lead_status', currentLead.lead_status, newLeadStatus);
     }
 
     const resolvedLead = resolveLeadStatus(desiredLead, nextCall, nextVisit);
@@ -1591,66 +1523,13 @@ export const updateLead = async (req, res) => {
       );
     }
 
-    // Log field updates (Super Admin or assigned counsellor)
-    const fieldChanges = [];
-
-    const normalize = (val) => {
-      if (val === null || val === undefined) return '';
-      return String(val).trim();
-    };
-
-    const compareAndLog = (fieldLabel, oldVal, newVal, rawVal) => {
-      if (rawVal === undefined) return; // Key not in payload
-      const n = normalize(newVal);
-      const o = normalize(oldVal);
-      if (n !== o) {
-        fieldChanges.push({ field: fieldLabel, old: o, new: n });
-      }
-    };
-
-    compareAndLog('Name', originalLead.name, name, name);
-    compareAndLog('Phone', originalLead.phone, phone, phone);
-    compareAndLog('Email', originalLead.email, email, email);
-    compareAndLog('Father Name', originalLead.fatherName, fatherName, fatherName);
-    compareAndLog('Father Phone', originalLead.fatherPhone, fatherPhone, fatherPhone);
-    compareAndLog('Mother Name', originalLead.motherName, motherName, motherName);
-    compareAndLog('Course Interested', originalLead.courseInterested, courseInterested, courseInterested);
-    compareAndLog('Village', originalLead.village, village, village);
-    compareAndLog('Address', originalLead.address, address, address);
-    compareAndLog('District', originalLead.district, district, district);
-    compareAndLog('Mandal', originalLead.mandal, mandal, mandal);
-    compareAndLog('State', originalLead.state, state, state);
-    compareAndLog('Quota', originalLead.quota, quota, quota);
-    compareAndLog('Gender', originalLead.gender, gender, gender);
-    compareAndLog('Rank', originalLead.rank, rank, rank);
-    compareAndLog('Inter College', originalLead.interCollege, interCollege, interCollege);
-    compareAndLog('Alternate Mobile', originalLead.alternateMobile, alternateMobile, alternateMobile);
-    compareAndLog('Hall Ticket Number', originalLead.hallTicketNumber, hallTicketNumber, hallTicketNumber);
-    compareAndLog('Application Status', originalLead.applicationStatus, applicationStatus, applicationStatus);
-
-    if ((isSuperAdmin || isAssignedCounsellorOnly) && fieldChanges.length > 0 && !assignedTo) {
-      const activityLogId = uuidv4();
-      const changeSummary = fieldChanges.map(c => `${c.field} (${c.old || 'empty'} -> ${c.new || 'empty'})`).join(', ');
-
-      await pool.execute(
-        `INSERT INTO activity_logs (id, lead_id, type, comment, performed_by, metadata, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-        [
-          activityLogId,
-          req.params.id,
-          'field_update',
-          `Student details updated: ${changeSummary}`,
-          userId,
-          JSON.stringify({
-            fieldUpdate: {
-              changes: fieldChanges,
-              count: fieldChanges.length,
-            },
-          }),
-        ]
-      );
+    if (mergedDynamicFields) {
+      await syncLeadCustomFieldValues(pool, req.params.id, mergedDynamicFields, customFieldsForUpdate);
     }
 
+    // Status, rank, quota or source may have changed
+    scheduleLeadScoreRecompute(req.params.id);
+
     // Fetch updated lead
     const [updatedLeads] = await pool.execute(
       `SELECT 
@@ -1664,6 +1543,15 @@ export const updateLead = async (req, res) => {
       [req.params.id]
     );
 
+    // Field history: diff the stored row so every editor's change is recorded, dynamic_fields keys included
+    if (updateFields.length > 0) {
+      await recordLeadFieldChanges(pool, {
+        leadId: req.params.id,
+        changes: diffLeadFields(currentLead, updatedLeads[0], await loadCustomFields(pool)),
+        changedBy: userId,
+      });
+    }
+
     const assignedToUser = buildAssignedCounsellorFromSqlRow(updatedLeads[0]);
     const uploadedByUser = updatedLeads[0].uploaded_by_id ? {
       id: updatedLeads[0].uploaded_by_id,
@@ -1679,7 +1567,7 @@ export const updateLead = async (req, res) => {
     return successResponse(res, lead, 'Lead updated successfully', 200);
   } catch (error) {
     console.error('Error updating lead:', error);
-    return errorResponse(res, error.message || 'Failed to update lead', 500);
+    return errorResponse(res, error.message || 'Failed to update lead', error.statusCode || 500);
   }
 };
 
@@ -1692,7 +1580,7 @@ export const deleteLead = async (req, res) => {
 
     // Check if lead exists
     const [leads] = await pool.execute(
-      'SELECT id FROM leads WHERE id = ?',
+      'SELECT id FROM leads WHERE id = ? AND deleted_at IS NULL',
       [req.params.id]
     );
 
@@ -1705,183 +1593,24 @@ export const deleteLead = async (req, res) => {
       return errorResponse(res, 'Access denied. Super Admin only', 403);
     }
 
-    // Delete all activity logs for this lead first (CASCADE will handle this, but explicit for clarity)
+    // Soft delete: the lead moves to the recycle bin with its history intact (purged after retention)
     await pool.execute(
-      'DELETE FROM activity_logs WHERE lead_id = ?',
-      [req.params.id]
+      'UPDATE leads SET deleted_at = NOW(), deleted_by = ?, updated_at = NOW() WHERE id = ?',
+      [req.user.id || req.user._id, req.params.id]
     );
 
-    // Then delete the lead (CASCADE will also delete related records)
-    await pool.execute(
-      'DELETE FROM leads WHERE id = ?',
-      [req.params.id]
+    return successResponse(
+      res,
+      { id: req.params.id, retentionDays: getRecycleBinRetentionDays() },
+      'Lead moved to the recycle bin',
+      200
     );
-
-    return successResponse(res, null, 'Lead and associated activity logs deleted successfully', 200);
   } catch (error) {
     console.error('Error deleting lead:', error);
     return errorResponse(res, error.message || 'Failed to delete lead', 500);
   }
 };
 
-// Process delete job in background
-const processDeleteJob = async (jobId) => {
-  const pool = getPool();
-
-  // Get job
-  const [jobs] = await pool.execute(
-    'SELECT * FROM delete_jobs WHERE job_id = ?',
-    [jobId]
-  );
-
-  if (jobs.length === 0) {
-    console.error(`Delete job ${jobId} not found`);
-    return;
-  }
-
-  const job = jobs[0];
-
-  if (job.status !== 'queued') {
-    console.warn(`Delete job ${jobId} is not in queued status: ${job.status}`);
-    return;
-  }
-
-  const startTime = Date.now();
-
-  // Update job status to processing
-  await pool.execute(
-    'UPDATE delete_jobs SET status = ?, started_at = NOW(), updated_at = NOW() WHERE job_id = ?',
-    ['processing', jobId]
-  );
-
-  try {
-    // Get all lead IDs for this job
-    const [leadIdsRows] = await pool.execute(
-      'SELECT lead_id FROM delete_job_lead_ids WHERE delete_job_id = ?',
-      [job.id]
-    );
-
-    const validIds = leadIdsRows
-      .map(row => row.lead_id)
-      .filter(id => id && typeof id === 'string' && id.length === 36); // UUID validation
-
-    if (validIds.length === 0) {
-      await pool.execute(
-        `UPDATE delete_jobs SET 
-          status = ?, completed_at = NOW(), updated_at = NOW(),
-          stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
-          stats_deleted_log_count = ?, stats_duration_ms = ?, message = ?
-         WHERE job_id = ?`,
-        ['completed', job.stats_requested_count || 0, 0, 0, 0, Date.now() - startTime, 'No valid lead IDs to delete', jobId]
-      );
-      return;
-    }
-
-    const uniqueValidIds = Array.from(new Set(validIds));
-    const chunkSize = uniqueValidIds.length > 20000 ? 10000 : uniqueValidIds.length > 5000 ? 5000 : 1000;
-
-    let totalLeadDeleted = 0;
-    let totalLogDeleted = 0;
-    const errorDetails = [];
-
-    // Process in chunks
-    for (let index = 0; index < uniqueValidIds.length; index += chunkSize) {
-      const chunk = uniqueValidIds.slice(index, index + chunkSize);
-      const placeholders = chunk.map(() => '?').join(',');
-
-      try {
-        // Delete activity logs first
-        const [logResult] = await pool.execute(
-          `DELETE FROM activity_logs WHERE lead_id IN (${placeholders})`,
-          chunk
-        );
-        totalLogDeleted += logResult.affectedRows || 0;
-
-        // Delete leads (CASCADE will handle related records)
-        const [leadResult] = await pool.execute(
-          `DELETE FROM leads WHERE id IN (${placeholders})`,
-          chunk
-        );
-        totalLeadDeleted += leadResult.affectedRows || 0;
-
-        // Update job progress periodically
-        if ((index + chunkSize) % (chunkSize * 5) === 0 || index + chunkSize >= uniqueValidIds.length) {
-          await pool.execute(
-            `UPDATE delete_jobs SET 
-              stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
-              stats_deleted_log_count = ?, stats_duration_ms = ?, updated_at = NOW()
-             WHERE job_id = ?`,
-            [job.stats_requested_count || 0, uniqueValidIds.length, totalLeadDeleted, totalLogDeleted, Date.now() - startTime, jobId]
-          );
-        }
-
-        // Yield the event loop
-        await new Promise((resolve) => setImmediate(resolve));
-      } catch (chunkError) {
-        console.error(`Error deleting chunk ${index}-${index + chunkSize}:`, chunkError);
-        chunk.forEach((id) => {
-          errorDetails.push({
-            leadId: id,
-            error: chunkError.message || 'Unknown error',
-          });
-        });
-      }
-    }
-
-    const durationMs = Date.now() - startTime;
-
-    // Insert error details (limit to 200)
-    const limitedErrors = errorDetails.slice(0, 200);
-    for (const errorDetail of limitedErrors) {
-      const errorId = uuidv4();
-      await pool.execute(
-        'INSERT INTO delete_job_error_details (id, delete_job_id, lead_id, error, created_at) VALUES (?, ?, ?, ?, NOW())',
-        [errorId, job.id, errorDetail.leadId, errorDetail.error]
-      );
-    }
-
-    // Update job to completed
-    await pool.execute(
-      `UPDATE delete_jobs SET 
-        status = ?, completed_at = NOW(), updated_at = NOW(),
-        stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
-        stats_deleted_log_count = ?, stats_duration_ms = ?, message = ?
-       WHERE job_id = ?`,
-      [
-        'completed',
-        job.stats_requested_count || 0,
-        uniqueValidIds.length,
-        totalLeadDeleted,
-        totalLogDeleted,
-        durationMs,
-        `Deleted ${totalLeadDeleted} lead(s) and ${totalLogDeleted} activity log(s) in ${durationMs} ms`,
-        jobId
-      ]
-    );
-
-    console.log(`Delete job ${jobId} completed: ${totalLeadDeleted} leads deleted`);
-  } catch (error) {
-    console.error(`Delete job ${jobId} failed:`, error);
-    await pool.execute(
-      `UPDATE delete_jobs SET 
-        status = ?, completed_at = NOW(), updated_at = NOW(),
-        stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
-        stats_deleted_log_count = ?, stats_duration_ms = ?, message = ?
-       WHERE job_id = ?`,
-      [
-        'failed',
-        job.stats_requested_count || 0,
-        0,
-        0,
-        0,
-        Date.now() - startTime,
-        error.message || 'Failed to process delete job',
-        jobId
-      ]
-    );
-  }
-};
-
 // @desc    Bulk delete leads (queued)
 // @route   DELETE /api/leads/bulk
 // @access  Private (Super Admin only)
@@ -1906,41 +1635,16 @@ export const bulkDeleteLeads = async (req, res) => {
       return errorResponse(res, 'No valid lead IDs provided', 400);
     }
 
-    const uniqueValidIds = Array.from(new Set(validIds));
     const pool = getPool();
     const userId = req.user.id || req.user._id;
 
-    // Create delete job
-    const jobId = uuidv4();
-    const deleteJobId = uuidv4();
-
-    await pool.execute(
-      `INSERT INTO delete_jobs (
-        id, job_id, status, deleted_by, stats_requested_count, stats_valid_count,
-        stats_deleted_lead_count, stats_deleted_log_count, stats_duration_ms,
-        created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [
-        deleteJobId,
-        jobId,
-        'queued',
-        userId,
-        leadIds.length,
-        uniqueValidIds.length,
-        0,
-        0,
-        0,
-      ]
-    );
-
-    // Insert lead IDs
-    for (const leadId of uniqueValidIds) {
-      const leadIdRecordId = uuidv4();
-      await pool.execute(
-        'INSERT INTO delete_job_lead_ids (id, delete_job_id, lead_id, created_at) VALUES (?, ?, ?, NOW())',
-        [leadIdRecordId, deleteJobId, leadId]
-      );
-    }
+    // Create delete job (soft delete: leads move to the recycle bin)
+    const { jobId, validCount } = await createDeleteJob(pool, {
+      action: 'delete',
+      leadIds: validIds,
+      requestedCount: leadIds.length,
+      userId,
+    });
 
     // Queue the job for processing
     deleteQueue.add(() => processDeleteJob(jobId)).catch((error) => {
@@ -1953,7 +1657,7 @@ export const bulkDeleteLeads = async (req, res) => {
         jobId,
         status: 'queued',
         requestedCount: leadIds.length,
-        validCount: uniqueValidIds.length,
+        validCount,
         message: 'Delete job queued successfully',
       },
       'Bulk delete job queued. Use the job ID to check status.',
@@ -2000,6 +1704,7 @@ export const getDeleteJobStatus = async (req, res) => {
       {
         jobId: job.job_id,
         status: job.status,
+        action: job.action || 'delete',
         stats: {
           requestedCount: job.stats_requested_count,
           validCount: job.stats_valid_count,
@@ -2022,6 +1727,149 @@ export const getDeleteJobStatus = async (req, res) => {
   }
 };
 
+// @desc    Deleted leads waiting in the recycle bin (newest deletion first)
+// @route   GET /api/leads/recycle-bin?page=1&limit=50&search=
+// @access  Private (Super Admin only)
+export const getRecycleBin = async (req, res) => {
+  try {
+    if (!hasElevatedAdminPrivileges(req.user.roleName)) {
+      return errorResponse(res, 'Access denied. Super Admin only', 403);
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = (page - 1) * limit;
+    const pool = getPool();
+    const retentionDays = getRecycleBinRetentionDays();
+
+    const conditions = ['l.deleted_at IS NOT NULL'];
+    const params = [];
+    const search = req.query.search ? String(req.query.search).trim() : '';
+    if (search.length >= 2) {
+      conditions.push('(l.enquiry_number LIKE ? OR l.name LIKE ? OR l.phone LIKE ?)');
+      params.push(`${search}%`, `%${search}%`, `${search}%`);
+    }
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const [countRows] = await pool.execute(`SELECT COUNT(*) AS total FROM leads l ${whereClause}`, params);
+    const total = Number(countRows[0]?.total || 0);
+
+    const [rows] = await pool.execute(
+      `SELECT l.id, l.enquiry_number, l.name, l.phone, l.district, l.mandal, l.lead_status, l.source,
+        l.academic_year, l.student_group, l.created_at, l.deleted_at, l.deleted_by,
+        du.name AS deleted_by_name,
+        DATE_ADD(l.deleted_at, INTERVAL ${Number(retentionDays)} DAY) AS purge_after
+       FROM leads l
+       LEFT JOIN users du ON du.id = l.deleted_by
+       ${whereClause}
+       ORDER BY l.deleted_at DESC, l.id ASC
+       LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      params
+    );
+
+    const leads = rows.map((row) => ({
+      id: row.id,
+      _id: row.id,
+      enquiryNumber: row.enquiry_number,
+      name: row.name,
+      phone: row.phone,
+      district: row.district,
+      mandal: row.mandal,
+      leadStatus: canonicalizeLeadStatus(row.lead_status),
+      source: row.source,
+      academicYear: row.academic_year,
+      studentGroup: row.student_group,
+      createdAt: row.created_at,
+      deletedAt: row.deleted_at,
+      deletedBy: row.deleted_by ? { id: row.deleted_by, _id: row.deleted_by, name: row.deleted_by_name } : null,
+      purgeAfter: row.purge_after,
+    }));
+
+    return successResponse(res, {
+      leads,
+      retentionDays,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, 'Recycle bin retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting recycle bin:', error);
+    return errorResponse(res, error.message || 'Failed to get recycle bin', 500);
+  }
+};
+
+// @desc    Restore leads from the recycle bin (queued through delete_jobs; poll /delete-jobs/:jobId)
+// @route   POST /api/leads/recycle-bin/restore   body: { leadIds: [] }
+// @route   POST /api/leads/recycle-bin/:id/restore (single lead, processed before responding)
+// @access  Private (Super Admin only)
+export const restoreDeletedLeads = async (req, res) => {
+  try {
+    if (!hasElevatedAdminPrivileges(req.user.roleName)) {
+      return errorResponse(res, 'Access denied. Super Admin only', 403);
+    }
+
+    const single = Boolean(req.params.id);
+    const leadIds = single ? [req.params.id] : req.body.leadIds;
+    if (!leadIds || !Array.isArray(leadIds) || leadIds.length === 0) {
+      return errorResponse(res, 'Please provide an array of lead IDs to restore', 400);
+    }
+
+    const validIds = leadIds.filter((id) => id && typeof id === 'string' && id.length === 36);
+    if (validIds.length === 0) {
+      return errorResponse(res, 'No valid lead IDs provided', 400);
+    }
+
+    const pool = getPool();
+    if (single) {
+      const [rows] = await pool.execute('SELECT id FROM leads WHERE id = ? AND deleted_at IS NOT NULL', [req.params.id]);
+      if (rows.length === 0) {
+        return errorResponse(res, 'Lead not found in the recycle bin', 404);
+      }
+    }
+
+    const { jobId, validCount } = await createDeleteJob(pool, {
+      action: 'restore',
+      leadIds: validIds,
+      requestedCount: leadIds.length,
+      userId: req.user.id || req.user._id,
+    });
+
+    if (single) {
+      await deleteQueue.add(() => processDeleteJob(jobId));
+      const [jobs] = await pool.execute('SELECT status, message FROM delete_jobs WHERE job_id = ?', [jobId]);
+      return successResponse(
+        res,
+        { jobId, id: req.params.id, status: jobs[0]?.status, message: jobs[0]?.message },
+        'Lead restored successfully',
+        200
+      );
+    }
+
+    deleteQueue.add(() => processDeleteJob(jobId)).catch((error) => {
+      console.error(`Error queuing restore job ${jobId}:`, error);
+    });
+
+    return successResponse(
+      res,
+      {
+        jobId,
+        status: 'queued',
+        requestedCount: leadIds.length,
+        validCount,
+        message: 'Restore job queued successfully',
+      },
+      'Restore job queued. Use the job ID to check status.',
+      202,
+    );
+  } catch (error) {
+    console.error('Error restoring leads:', error);
+    return errorResponse(res, error.message || 'Failed to restore leads', 500);
+  }
+};
+
 // @desc    Get all lead IDs matching filters (for bulk operations)
 // @route   GET /api/leads/ids
 // @access  Private
@@ -2030,7 +1878,8 @@ export const getAllLeadIds = async (req, res) => {
     const pool = getPool();
 
     // Build WHERE conditions using optimized helper
-    const { conditions, params } = buildLeadFilterConditions(req, 'l');
+    const customFields = await loadCustomFieldsForQuery(pool, req.query);
+    const { conditions, params } = buildLeadFilterConditions(req, 'l', { customFields });
     const userId = req.user.id || req.user._id;
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
@@ -2072,12 +1921,12 @@ export const getPublicFilterOptions = async (req, res) => {
       [quotas],
       [applicationStatuses],
     ] = await Promise.all([
-      pool.execute('SELECT DISTINCT mandal FROM leads WHERE mandal IS NOT NULL AND mandal != "" ORDER BY mandal ASC'),
-      pool.execute('SELECT DISTINCT district FROM leads WHERE district IS NOT NULL AND district != "" ORDER BY district ASC'),
-      pool.execute('SELECT DISTINCT state FROM leads WHERE state IS NOT NULL AND state != "" ORDER BY state ASC'),
-      pool.execute('SELECT DISTINCT quota FROM leads WHERE quota IS NOT NULL AND quota != "" ORDER BY quota ASC'),
+      pool.execute('SELECT DISTINCT mandal FROM leads WHERE deleted_at IS NULL AND mandal IS NOT NULL AND mandal != "" ORDER BY mandal ASC'),
+      pool.execute('SELECT DISTINCT district FROM leads WHERE deleted_at IS NULL AND district IS NOT NULL AND district != "" ORDER BY district ASC'),
+      pool.execute('SELECT DISTINCT state FROM leads WHERE deleted_at IS NULL AND state IS NOT NULL AND state != "" ORDER BY state ASC'),
+      pool.execute('SELECT DISTINCT quota FROM leads WHERE deleted_at IS NULL AND quota IS NOT NULL AND quota != "" ORDER BY quota ASC'),
       pool.execute(
-        'SELECT DISTINCT application_status FROM leads WHERE application_status IS NOT NULL AND application_status != "" ORDER BY application_status ASC'
+        'SELECT DISTINCT application_status FROM leads WHERE deleted_at IS NULL AND application_status IS NOT NULL AND application_status != "" ORDER BY application_status ASC'
       ),
     ]);
 
@@ -2106,7 +1955,7 @@ export const getFilterOptions = async (req, res) => {
     const pool = getPool();
 
     // Build WHERE clause for access control (mirror GET /leads: PRO uses assigned_to_pro OR assigned_to)
-    const conditions = [];
+    const conditions = ['leads.deleted_at IS NULL'];
 
     const adminLike = hasElevatedAdminPrivileges(req.user.roleName) || req.user.roleName === 'Admin';
     const userId = req.user.id || req.user._id;
@@ -2282,7 +2131,36 @@ export const getFilterOptions = async (req, res) => {
       applicationStatuses: applicationStatuses.map(r => r.application_status),
       academicYears,
       studentGroups,
+      customFields: [],
     };
+
+    // Filterable custom fields: fixed options for select types, distinct stored values (in scope) for text
+    const filterableCustomFields = (await loadCustomFields(pool)).filter((f) => f.isActive && f.isFilterable);
+    for (const field of filterableCustomFields) {
+      let options = field.allowedValues;
+      if (field.type === 'text') {
+        const [valueRows] = await pool.execute(
+          `SELECT DISTINCT cfv.value_text FROM lead_custom_field_values cfv
+           INNER JOIN leads ON leads.id = cfv.lead_id
+           ${whereClause([...conditions, 'cfv.field_key = ?'])}
+           ORDER BY cfv.value_text ASC
+           LIMIT 500`,
+          [...params, field.key]
+        );
+        options = valueRows.map((r) => r.value_text);
+      } else if (field.type === 'boolean') {
+        options = ['true', 'false'];
+      } else if (field.type === 'number' || field.type === 'date') {
+        options = [];
+      }
+      payload.customFields.push({
+        key: field.key,
+        label: field.label,
+        type: field.type,
+        queryParam: `cf_${field.key}`,
+        options,
+      });
+    }
     setCached(privateCacheKey, payload, CACHE_TTL.filterOptionsMs);
     return successResponse(res, payload, 'Filter options retrieved successfully', 200);
   } catch (error) {
@@ -2304,7 +2182,7 @@ export const getStudentGroupFilterOptions = async (req, res) => {
     const adminLike = hasElevatedAdminPrivileges(req.user.roleName) || req.user.roleName === 'Admin';
     const userId = req.user.id || req.user._id;
 
-    const accessConditions = [];
+    const accessConditions = ['deleted_at IS NULL'];
     if (!adminLike) {
       if (req.user.roleName === 'PRO') {
         accessConditions.push('(assigned_to_pro = ? OR assigned_to = ?)');
@@ -2381,7 +2259,8 @@ export const exportLeads = async (req, res) => {
     const pool = getPool();
 
     // Build WHERE conditions using optimized helper
-    const { conditions, params } = buildLeadFilterConditions(req, 'l');
+    const customFields = await loadCustomFieldsForQuery(pool, req.query);
+    const { conditions, params } = buildLeadFilterConditions(req, 'l', { customFields });
 
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
@@ -2390,7 +2269,13 @@ export const exportLeads = async (req, res) => {
         l.*,
         u1.name as assigned_to_name,
         u2.name as uploaded_by_name,
-        u3.name as assigned_to_pro_name
+        u3.name as assigned_to_pro_name,
+        (
+          SELECT GROUP_CONCAT(lt.name ORDER BY lt.name SEPARATOR ', ')
+          FROM lead_tag_assignments lta
+          INNER JOIN lead_tags lt ON lt.id = lta.tag_id
+          WHERE lta.lead_id = l.id
+        ) as tag_names
       FROM leads l
       LEFT JOIN users u1 ON l.assigned_to = u1.id
       LEFT JOIN users u2 ON l.uploaded_by = u2.id
@@ -2422,6 +2307,7 @@ export const exportLeads = async (req, res) => {
       { header: 'Source', key: 'source', width: 15 },
       { header: 'Assigned To', key: 'assignedToName', width: 20 },
       { header: 'PRO Assigned To', key: 'assignedToProName', width: 20 },
+      { header: 'Tags', key: 'tags', width: 25 },
     ];
 
     // Add Rows
@@ -2442,6 +2328,7 @@ export const exportLeads = async (req, res) => {
         source: lead.source,
         assignedToName: lead.assigned_to_name || 'Unassigned',
         assignedToProName: lead.assigned_to_pro_name || 'Unassigned',
+        tags: lead.tag_names || '',
       });
     });
 
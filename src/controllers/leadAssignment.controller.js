@@ -14,6 +14,31 @@ import {
 } from '../utils/userAnalyticsCache.js';
 import { normalizeEmpNoKey, resolveHrmsOrgNamesFindById } from './user.controller.js';
 import { updatePerformanceSummary } from '../services/userPerformance.service.js';
+import { buildTagFilterConditions } from '../services/leadTag.service.js';
+import {
+  normalizeDistributionStrategy,
+  normalizeDistributionTargets,
+  planDistributionGroup,
+  computeDistributionPlanToken,
+} from '../services/leadDistribution.service.js';
+import {
+  ASSIGNMENT_SNAPSHOT_SELECT,
+  previewAssignmentMoves,
+  recordAssignmentBatch,
+} from '../services/assignmentBatch.service.js';
+import {
+  extendTargetDateForLeave,
+  getUsersOnLeave,
+  recordLeaveDays,
+} from '../services/staffLeave.service.js';
+import {
+  capacityBlockReason,
+  fitLeadsToCapacity,
+  loadCapacityStates,
+  remainingCapacity,
+  summarizeCapacity,
+  takeCapacity,
+} from '../services/assignmentCapacity.service.js';
 
 const assignmentStatsCache = new Map();
 const ASSIGNMENT_STATS_CACHE_MS = Number(process.env.ASSIGNMENT_STATS_CACHE_MS || 60000);
@@ -254,12 +279,250 @@ function appendSourceAndRankFilters(conditions, params, { source, minRank, maxRa
   }
 }
 
-// @desc    Assign leads to users based on mandal/state (bulk) or specific lead IDs (single)
+/** Stored lead_score bounds (see services/leadScoring.service.js). */
+function appendScoreFilters(conditions, params, { minScore, maxScore }) {
+  if (minScore != null && minScore !== '' && !Number.isNaN(Number(minScore))) {
+    conditions.push('lead_score >= ?');
+    params.push(Number(minScore));
+  }
+  if (maxScore != null && maxScore !== '' && !Number.isNaN(Number(maxScore))) {
+    conditions.push('lead_score <= ?');
+    params.push(Number(maxScore));
+  }
+}
+
+/** Tag filters (see services/leadTag.service.js); assignment queries read `leads` without an alias. */
+function appendTagFilters(conditions, params, { tags, tagMode, excludeTags }) {
+  const tagFilters = buildTagFilterConditions({ tags, tagMode, excludeTags }, 'leads.');
+  conditions.push(...tagFilters.conditions);
+  params.push(...tagFilters.params);
+}
+
+/**
+ * WHERE conditions for the pool of leads available to a counsellor (assigned_to IS NULL) or PRO
+ * (assigned_to_pro IS NULL) — shared by bulk assignLeads and distributeLeads.
+ */
+function buildAvailableLeadConditions({
+  isProRole,
+  yearNum,
+  mandal,
+  district,
+  state,
+  village,
+  studentGroup,
+  cycleNumber,
+  institutionName,
+  source,
+  minRank,
+  maxRank,
+  minScore,
+  maxScore,
+  tags,
+  tagMode,
+  excludeTags,
+}) {
+  // For PRO role, availability means not yet assigned to any PRO.
+  const assignmentCondition = isProRole ? '(assigned_to_pro IS NULL)' : '(assigned_to IS NULL)';
+  const conditions = [assignmentCondition, 'deleted_at IS NULL', 'academic_year = ?'];
+  const params = [yearNum];
+
+  // Add mandal filter if provided
+  if (mandal) {
+    conditions.push('mandal = ?');
+    params.push(mandal);
+  }
+
+  // Add district filter if provided
+  if (district) {
+    conditions.push('district = ?');
+    params.push(district);
+  }
+
+  // Add state filter if provided
+  if (state) {
+    conditions.push('state = ?');
+    params.push(state);
+  }
+  if (village) {
+    conditions.push('village = ?');
+    params.push(village);
+  }
+
+  if (studentGroup) {
+    conditions.push('student_group = ?');
+    params.push(studentGroup);
+  }
+
+  if (cycleNumber != null && cycleNumber !== '') {
+    const cyc = parseInt(cycleNumber, 10);
+    if (!Number.isNaN(cyc)) {
+      conditions.push('cycle_number = ?');
+      params.push(cyc);
+    }
+  }
+
+  // Add school/college filter (10th: dynamic_fields + inter_college fallback; others: leads.inter_college only)
+  if (institutionName && typeof institutionName === 'string' && institutionName.trim()) {
+    const instParam = institutionName.trim();
+    conditions.push(`${leadInstitutionKeySql(studentGroup)} = LOWER(?)`);
+    params.push(instParam);
+  }
+
+  appendSourceAndRankFilters(conditions, params, { source, minRank, maxRank });
+  appendScoreFilters(conditions, params, { minScore, maxScore });
+  appendTagFilters(conditions, params, { tags, tagMode, excludeTags });
+  return { conditions, params };
+}
+
+/** Store the batch for undo; the assignment itself already happened, so a failure here only loses the undo. */
+const recordAssignmentBatchSafely = async (pool, batch) => {
+  try {
+    return await recordAssignmentBatch(pool, batch);
+  } catch (error) {
+    console.error('[LeadAssignment] Error recording assignment batch:', error);
+    return null;
+  }
+};
+
+/**
+ * Write one user's assignment for a list of lead IDs: status resolve, assignee columns, target date and the
+ * `status_change` activity log (metadata.assignment). PRO rows only take leads no PRO holds yet; with
+ * `onlyUnassigned` counsellor rows likewise skip leads that gained a counsellor since they were picked.
+ *
+ * @param {object} user users row (id, name, role_name)
+ * @param {object} [extraMeta] merged into metadata.assignment (e.g. distribution strategy)
+ * @returns {Promise<{ modifiedCount: number, successfullyAssignedLeadIds: string[], skippedConcurrentLeadIds: string[],
+ *   previousRows: object[] }>} previousRows: pre-write snapshot (ASSIGNMENT_SNAPSHOT_SELECT) of the assigned leads
+ */
+async function assignLeadIdsToUser(
+  pool,
+  { user, leadIds, currentUserId, academicYear, targetDate, onlyUnassigned = false, extraMeta = null }
+) {
+  const userId = user.id;
+  const isProRole = user.role_name && String(user.role_name).trim().toUpperCase() === 'PRO';
+  const skippedConcurrentLeadIds = [];
+  if (leadIds.length === 0) {
+    return { modifiedCount: 0, successfullyAssignedLeadIds: [], skippedConcurrentLeadIds, previousRows: [] };
+  }
+
+  // Leave days and holidays between today and the target push it later for this user
+  const effectiveTargetDate = targetDate ? await extendTargetDateForLeave(pool, userId, targetDate) : null;
+
+  // Get leads before update to check status (and keep their prior state for the assignment batch)
+  const placeholders = leadIds.map(() => '?').join(',');
+  const [leadsToAssign] = await pool.execute(
+    `SELECT ${ASSIGNMENT_SNAPSHOT_SELECT} FROM leads WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
+    leadIds
+  );
+
+  // Update leads and create activity logs
+  let modifiedCount = 0;
+  const successfullyAssignedLeadIds = [];
+  const previousRows = [];
+
+  for (const lead of leadsToAssign) {
+    const oldStatus = lead.lead_status && String(lead.lead_status).trim() !== ''
+      ? String(lead.lead_status).trim()
+      : 'New';
+    
+    // Use the priority-based resolver to determine the new lead_status.
+    // If we are assigning to PRO, visit_status becomes 'Assigned'.
+    // If we are assigning to a Counselor, call_status becomes 'Assigned'.
+    const newStatus = isProRole
+      ? resolveLeadStatus(oldStatus, lead.call_status, 'Assigned')
+      : resolveLeadStatus(oldStatus, 'Assigned', lead.visit_status);
+
+    // Update lead
+    const yearNum = academicYear != null && academicYear !== '' ? parseInt(academicYear, 10) : null;
+    const setAcademicYear = yearNum != null && !Number.isNaN(yearNum)
+      ? ', academic_year = ?'
+      : '';
+
+    let updateQuery;
+    let updateParams;
+
+    if (isProRole) {
+      // PRO field workflow: new PRO assignment always starts at visit_status Assigned (clears blank/legacy values).
+      updateQuery = `UPDATE leads SET 
+        assigned_to_pro = ?, pro_assigned_at = NOW(), pro_assigned_by = ?, lead_status = ?, pro_target_date = ?${setAcademicYear}, visit_status = 'Assigned', updated_at = NOW()
+       WHERE id = ? AND deleted_at IS NULL AND assigned_to_pro IS NULL`;
+    } else {
+      updateQuery = `UPDATE leads SET 
+        assigned_to = ?, assigned_at = NOW(), assigned_by = ?, lead_status = ?, counsellor_target_date = ?${setAcademicYear}, call_status = 'Assigned', updated_at = NOW()
+       WHERE id = ? AND deleted_at IS NULL${onlyUnassigned ? ' AND assigned_to IS NULL' : ''}`;
+    }
+
+    if (isProRole) {
+      updateParams = yearNum != null && !Number.isNaN(yearNum)
+        ? [userId, currentUserId, newStatus, effectiveTargetDate || null, yearNum, lead.id]
+        : [userId, currentUserId, newStatus, effectiveTargetDate || null, lead.id];
+    } else {
+      updateParams = yearNum != null && !Number.isNaN(yearNum)
+        ? [userId, currentUserId, newStatus, effectiveTargetDate || null, yearNum, lead.id]
+        : [userId, currentUserId, newStatus, effectiveTargetDate || null, lead.id];
+    }
+
+    const [updateResult] = await pool.execute(updateQuery, updateParams);
+    if ((isProRole || onlyUnassigned) && Number(updateResult?.affectedRows || 0) === 0) {
+      skippedConcurrentLeadIds.push(lead.id);
+      continue;
+    }
+
+    // Create activity log
+    const activityLogId = uuidv4();
+    const assigneeLabel = isProRole
+      ? `PRO ${user.name}`
+      : `${user.role_name === 'Sub Super Admin' ? 'sub-admin' : 'counsellor'} ${user.name}`;
+    const assignmentMeta = {
+      assignedTo: userId,
+      assignedBy: currentUserId,
+      targetRole: isProRole ? 'PRO' : 'counsellor',
+      ...(extraMeta || {}),
+    };
+    if (effectiveTargetDate && String(effectiveTargetDate).trim()) {
+      const td = String(effectiveTargetDate).trim().slice(0, 10);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(td)) {
+        assignmentMeta.targetDate = td;
+        assignmentMeta.targetDateSlot = isProRole ? 'pro' : 'counsellor';
+        const requested = String(targetDate).trim().slice(0, 10);
+        if (requested !== td) assignmentMeta.requestedTargetDate = requested;
+      }
+    }
+    await pool.execute(
+      `INSERT INTO activity_logs (
+        id, lead_id, type, old_status, new_status, comment, performed_by, metadata, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        activityLogId,
+        lead.id,
+        'status_change',
+        oldStatus,
+        newStatus,
+        `Assigned to ${assigneeLabel}`,
+        currentUserId,
+        JSON.stringify({
+          assignment: assignmentMeta,
+        }),
+      ]
+    );
+
+    modifiedCount++;
+    successfullyAssignedLeadIds.push(lead.id);
+    previousRows.push(lead);
+  }
+
+  return { modifiedCount, successfullyAssignedLeadIds, skippedConcurrentLeadIds, previousRows };
+}
+
+// @desc    Assign leads to users based on mandal/state (bulk) or specific lead IDs (single);
+//          dryRun: true returns the leads that would move without assigning. Each commit is stored as an undoable batch.
+//          A user on leave today is refused unless allowOnLeave: true; the target date is pushed past their leave days.
+//          Capacity caps apply: leads beyond them are returned in cappedLeadIds and the rest is assigned.
 // @route   POST /api/leads/assign
 // @access  Private (Super Admin only)
 export const assignLeads = async (req, res) => {
   try {
-    const { userId, mandal, district, state, village, academicYear, studentGroup, count, leadIds, assignNow = true, institutionName, targetDate, cycleNumber, source, minRank, maxRank } = req.body;
+    const { userId, mandal, district, state, village, academicYear, studentGroup, count, leadIds, assignNow = true, institutionName, targetDate, cycleNumber, source, minRank, maxRank, minScore, maxScore, sortBy, tags, tagMode, excludeTags, dryRun = false, allowOnLeave = false } = req.body;
     const pool = getPool();
     const currentUserId = req.user.id || req.user._id;
 
@@ -289,6 +552,10 @@ export const assignLeads = async (req, res) => {
       return errorResponse(res, 'Cannot assign leads to inactive user', 400);
     }
 
+    if (allowOnLeave !== true && allowOnLeave !== 'true' && (await getUsersOnLeave(pool, [userId])).has(userId)) {
+      return errorResponse(res, `${user.name} is on leave today; send allowOnLeave: true to assign anyway`, 409);
+    }
+
     const isProRole = user.role_name && String(user.role_name).trim().toUpperCase() === 'PRO';
 
     let leadIdsToAssign = [];
@@ -307,7 +574,7 @@ export const assignLeads = async (req, res) => {
       // Check if leads exist
       const placeholders = validLeadIds.map(() => '?').join(',');
       const [existingLeads] = await pool.execute(
-        `SELECT id, assigned_to, assigned_to_pro FROM leads WHERE id IN (${placeholders})`,
+        `SELECT id, assigned_to, assigned_to_pro FROM leads WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
         validLeadIds
       );
 
@@ -339,62 +606,34 @@ export const assignLeads = async (req, res) => {
         return errorResponse(res, 'Academic year is required for bulk assignment', 400);
       }
 
-      // Build filter for leads available to this user
-      // For PRO role, availability means not yet assigned to any PRO.
-      const assignmentCondition = isProRole ? '(assigned_to_pro IS NULL)' : '(assigned_to IS NULL)';
-      const conditions = [assignmentCondition, 'academic_year = ?'];
-      const params = [yearNum];
-
-      // Add mandal filter if provided
-      if (mandal) {
-        conditions.push('mandal = ?');
-        params.push(mandal);
-      }
-
-      // Add district filter if provided
-      if (district) {
-        conditions.push('district = ?');
-        params.push(district);
-      }
-
-      // Add state filter if provided
-      if (state) {
-        conditions.push('state = ?');
-        params.push(state);
-      }
-      if (village) {
-        conditions.push('village = ?');
-        params.push(village);
-      }
-
-      if (studentGroup) {
-        conditions.push('student_group = ?');
-        params.push(studentGroup);
-      }
-
-      if (cycleNumber != null && cycleNumber !== '') {
-        const cyc = parseInt(cycleNumber, 10);
-        if (!Number.isNaN(cyc)) {
-          conditions.push('cycle_number = ?');
-          params.push(cyc);
-        }
-      }
-
-      // Add school/college filter (10th: dynamic_fields + inter_college fallback; others: leads.inter_college only)
-      if (institutionName && typeof institutionName === 'string' && institutionName.trim()) {
-        const instParam = institutionName.trim();
-        conditions.push(`${leadInstitutionKeySql(studentGroup)} = LOWER(?)`);
-        params.push(instParam);
-      }
-
-      appendSourceAndRankFilters(conditions, params, { source, minRank, maxRank });
+      const { conditions, params } = buildAvailableLeadConditions({
+        isProRole,
+        yearNum,
+        mandal,
+        district,
+        state,
+        village,
+        studentGroup,
+        cycleNumber,
+        institutionName,
+        source,
+        minRank,
+        maxRank,
+        minScore,
+        maxScore,
+        tags,
+        tagMode,
+        excludeTags,
+      });
 
       const whereClause = `WHERE ${conditions.join(' AND ')}`;
       const limitNum = Math.min(Math.max(parseInt(count, 10) || 0, 1), 10000);
+      // sortBy=score hands out the hottest leads first instead of the newest
+      const orderBy = sortBy === 'score' ? 'lead_score DESC, created_at DESC' : 'created_at DESC';
 
       // Get available unassigned leads matching criteria (LIMIT must be literal, not placeholder)
       const [availableLeads] = await pool.execute(
-        `SELECT id FROM leads ${whereClause} ORDER BY created_at DESC LIMIT ${limitNum}`,
+        `SELECT id FROM leads ${whereClause} ORDER BY ${orderBy} LIMIT ${limitNum}`,
         params
       );
 
@@ -414,6 +653,35 @@ export const assignLeads = async (req, res) => {
       leadIdsToAssign = availableLeads.map((lead) => lead.id);
     }
 
+    // Workload caps (assignment_capacity_rules): leads past the user's remaining capacity are left out
+    const capacityFit = await fitLeadsToCapacity(pool, user, leadIdsToAssign);
+    const cappedLeadIds = capacityFit.capped.map((c) => c.leadId);
+    leadIdsToAssign = capacityFit.allowedLeadIds;
+    const capacityFields = {
+      skippedDueToCapacity: cappedLeadIds.length,
+      cappedBy: capacityFit.cappedBy,
+      cappedLeadIds,
+      capacity: capacityFit.capacity,
+    };
+
+    if (leadIdsToAssign.length === 0 && cappedLeadIds.length > 0) {
+      return successResponse(
+        res,
+        {
+          assigned: 0,
+          requested: leadIds ? leadIds.length : parseInt(count),
+          ...capacityFields,
+          userId,
+          userName: user.name,
+          targetRole: user.role_name,
+          mode: leadIds ? 'single' : 'bulk',
+          message: `${user.name} has no capacity left for these leads`,
+        },
+        'No leads assigned because the user is at capacity',
+        200
+      );
+    }
+
     if (leadIdsToAssign.length === 0) {
       if (isProRole && skippedProAlreadyAssignedLeadIds.length > 0) {
         return successResponse(
@@ -449,105 +717,66 @@ export const assignLeads = async (req, res) => {
       );
     }
 
-    // Get leads before update to check status
-    const placeholders = leadIdsToAssign.map(() => '?').join(',');
-    const [leadsToAssign] = await pool.execute(
-      `SELECT id, lead_status, call_status, visit_status FROM leads WHERE id IN (${placeholders})`,
-      leadIdsToAssign
-    );
-
-    // Update leads and create activity logs
-    const now = new Date();
-    let modifiedCount = 0;
-    const successfullyAssignedLeadIds = [];
-
-    for (const lead of leadsToAssign) {
-      const oldStatus = lead.lead_status && String(lead.lead_status).trim() !== ''
-        ? String(lead.lead_status).trim()
-        : 'New';
-      
-      // Use the priority-based resolver to determine the new lead_status.
-      // If we are assigning to PRO, visit_status becomes 'Assigned'.
-      // If we are assigning to a Counselor, call_status becomes 'Assigned'.
-      const newStatus = isProRole
-        ? resolveLeadStatus(oldStatus, lead.call_status, 'Assigned')
-        : resolveLeadStatus(oldStatus, 'Assigned', lead.visit_status);
-
-      // Update lead
-      const yearNum = academicYear != null && academicYear !== '' ? parseInt(academicYear, 10) : null;
-      const setAcademicYear = yearNum != null && !Number.isNaN(yearNum)
-        ? ', academic_year = ?'
-        : '';
-
-      let updateQuery;
-      let updateParams;
-
-      if (isProRole) {
-        // PRO field workflow: new PRO assignment always starts at visit_status Assigned (clears blank/legacy values).
-        updateQuery = `UPDATE leads SET 
-          assigned_to_pro = ?, pro_assigned_at = NOW(), pro_assigned_by = ?, lead_status = ?, pro_target_date = ?${setAcademicYear}, visit_status = 'Assigned', updated_at = NOW()
-         WHERE id = ? AND assigned_to_pro IS NULL`;
-      } else {
-        updateQuery = `UPDATE leads SET 
-          assigned_to = ?, assigned_at = NOW(), assigned_by = ?, lead_status = ?, counsellor_target_date = ?${setAcademicYear}, call_status = 'Assigned', updated_at = NOW()
-         WHERE id = ?`;
-      }
-
-      if (isProRole) {
-        updateParams = yearNum != null && !Number.isNaN(yearNum)
-          ? [userId, currentUserId, newStatus, targetDate || null, yearNum, lead.id]
-          : [userId, currentUserId, newStatus, targetDate || null, lead.id];
-      } else {
-        updateParams = yearNum != null && !Number.isNaN(yearNum)
-          ? [userId, currentUserId, newStatus, targetDate || null, yearNum, lead.id]
-          : [userId, currentUserId, newStatus, targetDate || null, lead.id];
-      }
-
-      const [updateResult] = await pool.execute(updateQuery, updateParams);
-      if (isProRole && Number(updateResult?.affectedRows || 0) === 0) {
-        skippedProConcurrentLeadIds.push(lead.id);
-        continue;
-      }
-
-      // Create activity log
-      const activityLogId = uuidv4();
-      const assigneeLabel = isProRole
-        ? `PRO ${user.name}`
-        : `${user.role_name === 'Sub Super Admin' ? 'sub-admin' : 'counsellor'} ${user.name}`;
-      const assignmentMeta = {
-        assignedTo: userId,
-        assignedBy: currentUserId,
-        targetRole: isProRole ? 'PRO' : 'counsellor',
-      };
-      if (targetDate && String(targetDate).trim()) {
-        const td = String(targetDate).trim().slice(0, 10);
-        if (/^\d{4}-\d{2}-\d{2}$/.test(td)) {
-          assignmentMeta.targetDate = td;
-          assignmentMeta.targetDateSlot = isProRole ? 'pro' : 'counsellor';
-        }
-      }
-      await pool.execute(
-        `INSERT INTO activity_logs (
-          id, lead_id, type, old_status, new_status, comment, performed_by, metadata, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-        [
-          activityLogId,
-          lead.id,
-          'status_change',
-          oldStatus,
-          newStatus,
-          `Assigned to ${assigneeLabel}`,
-          currentUserId,
-          JSON.stringify({
-            assignment: assignmentMeta,
-          }),
-        ]
+    if (dryRun === true || dryRun === 'true') {
+      const moves = await previewAssignmentMoves(pool, {
+        leadIds: leadIdsToAssign,
+        channel: isProRole ? 'pro' : 'counsellor',
+        toUserId: userId,
+      });
+      return successResponse(
+        res,
+        {
+          dryRun: true,
+          wouldAssign: moves.length,
+          wouldReassign: moves.filter((m) => m.fromUserId && !m.unchanged).length,
+          requested: leadIds ? leadIds.length : parseInt(count),
+          skippedAlreadyAssignedToAnotherPro: skippedProAlreadyAssignedLeadIds.length,
+          ...capacityFields,
+          userId,
+          userName: user.name,
+          targetRole: user.role_name,
+          mode: leadIds ? 'single' : 'bulk',
+          leads: moves,
+        },
+        `${moves.length} lead${moves.length !== 1 ? 's' : ''} would be assigned to ${user.name}${
+          cappedLeadIds.length > 0 ? ` (${cappedLeadIds.length} over capacity)` : ''
+        }`,
+        200
       );
-
-      modifiedCount++;
-      successfullyAssignedLeadIds.push(lead.id);
     }
 
+    const batchId = uuidv4();
+    const {
+      modifiedCount,
+      successfullyAssignedLeadIds,
+      skippedConcurrentLeadIds,
+      previousRows,
+    } = await assignLeadIdsToUser(pool, {
+      user,
+      leadIds: leadIdsToAssign,
+      currentUserId,
+      academicYear,
+      targetDate,
+      extraMeta: { batchId },
+    });
+    skippedProConcurrentLeadIds.push(...skippedConcurrentLeadIds);
+
+    const recordedBatchId = await recordAssignmentBatchSafely(pool, {
+      id: batchId,
+      operation: 'assign',
+      targetUserId: userId,
+      filters: leadIds
+        ? { leadIdCount: leadIds.length, targetDate }
+        : { mandal, district, state, village, academicYear, studentGroup, count, institutionName, targetDate, cycleNumber, source, minRank, maxRank, minScore, maxScore, sortBy, tags, tagMode, excludeTags },
+      createdBy: currentUserId,
+      items: previousRows.map((row) => ({
+        leadId: row.id,
+        channel: isProRole ? 'pro' : 'counsellor',
+        previousRow: row,
+        newAssignedTo: userId,
+      })),
+    });
+
     // Update real-time performance summary
     if (modifiedCount > 0) {
       updatePerformanceSummary({
@@ -619,9 +848,11 @@ export const assignLeads = async (req, res) => {
       res,
       {
         assigned: modifiedCount,
+        batchId: recordedBatchId,
         requested: leadIds ? leadIds.length : parseInt(count),
         skippedAlreadyAssignedToAnotherPro: skippedProAlreadyAssignedLeadIds.length,
         skippedDueToConcurrentProAssignment: skippedProConcurrentLeadIds.length,
+        ...capacityFields,
         userId,
         userName: user.name,
         targetRole: user.role_name,
@@ -633,7 +864,9 @@ export const assignLeads = async (req, res) => {
         assignedLeads: assignedLeadsForExport,
         exportMeta,
       },
-      `Successfully assigned ${modifiedCount} lead${modifiedCount !== 1 ? 's' : ''} to ${user.name}`,
+      cappedLeadIds.length > 0
+        ? `Partially assigned ${modifiedCount} lead${modifiedCount !== 1 ? 's' : ''} to ${user.name}; ${cappedLeadIds.length} left out by capacity limits`
+        : `Successfully assigned ${modifiedCount} lead${modifiedCount !== 1 ? 's' : ''} to ${user.name}`,
       200
     );
   } catch (error) {
@@ -642,12 +875,263 @@ export const assignLeads = async (req, res) => {
   }
 };
 
+/** Upper bound for one distribution pool per role group. */
+const MAX_DISTRIBUTION_LEADS = Number(process.env.MAX_DISTRIBUTION_LEADS || 20000);
+
+// @desc    Split a filtered pool of available leads across several users (plan first, then commit);
+//          users on leave today are left out and listed in skippedOnLeave; capacity caps limit each user's share
+// @route   POST /api/leads/assign/distribute
+//          body: { filters: { academicYear, mandal?, district?, state?, village?, studentGroup?, source?, minRank?, maxRank?, ... },
+//                  targets: [{ userId, weight? }] | [userId], strategy: round_robin|weighted|least_loaded,
+//                  count?, sortBy?, targetDate?, commit?: boolean, planToken? }
+//          The preview returns planToken; commit: true must send it back and is refused (409) if the plan changed
+// @access  Private (Super Admin only)
+export const distributeLeads = async (req, res) => {
+  try {
+    const { filters = {}, targets, count, sortBy, targetDate, commit = false, planToken } = req.body || {};
+    const strategy = normalizeDistributionStrategy(req.body?.strategy);
+    const targetList = normalizeDistributionTargets(targets);
+    const pool = getPool();
+    const currentUserId = req.user.id || req.user._id;
+
+    const yearNum = filters.academicYear != null && filters.academicYear !== '' ? parseInt(filters.academicYear, 10) : NaN;
+    if (Number.isNaN(yearNum)) {
+      return errorResponse(res, 'filters.academicYear is required', 400);
+    }
+    const hasRankFilter = ['minRank', 'maxRank'].some((k) => filters[k] != null && filters[k] !== '');
+    if (hasRankFilter && !normalizeAssignmentSource(filters.source)) {
+      return errorResponse(res, 'A rank range needs filters.source (ranks are per source)', 400);
+    }
+    const limitNum = Math.min(
+      Math.max(parseInt(count, 10) || MAX_DISTRIBUTION_LEADS, 1),
+      MAX_DISTRIBUTION_LEADS
+    );
+
+    const userIds = targetList.map((t) => t.userId);
+    const [userRows] = await pool.execute(
+      `SELECT id, name, role_name, is_active FROM users WHERE id IN (${userIds.map(() => '?').join(',')})`,
+      userIds
+    );
+    const usersById = new Map(userRows.map((u) => [u.id, u]));
+    for (const target of targetList) {
+      const user = usersById.get(target.userId);
+      if (!user) {
+        return errorResponse(res, `User not found: ${target.userId}`, 404);
+      }
+      if (user.role_name === 'Super Admin') {
+        return errorResponse(res, `Cannot assign leads to Super Admin (${user.name})`, 400);
+      }
+      if (user.is_active !== 1 && user.is_active !== true) {
+        return errorResponse(res, `Cannot assign leads to inactive user ${user.name}`, 400);
+      }
+    }
+
+    // Users on leave today are left out of the split
+    const onLeave = await getUsersOnLeave(pool, userIds);
+    const skippedOnLeave = targetList
+      .filter((t) => onLeave.has(t.userId))
+      .map((t) => ({ userId: t.userId, name: usersById.get(t.userId).name }));
+    const availableTargets = targetList.filter((t) => !onLeave.has(t.userId));
+    if (availableTargets.length === 0) {
+      return errorResponse(res, 'Every selected user is on leave today', 400);
+    }
+
+    // Counsellors and PROs are balanced separately, each against its own pool (assigned_to vs assigned_to_pro)
+    const isPro = (user) => String(user.role_name || '').trim().toUpperCase() === 'PRO';
+    const groups = [
+      { role: 'counsellor', isProRole: false, column: 'assigned_to' },
+      { role: 'pro', isProRole: true, column: 'assigned_to_pro' },
+    ]
+      .map((group) => ({
+        ...group,
+        targets: availableTargets.filter((t) => isPro(usersById.get(t.userId)) === group.isProRole),
+      }))
+      .filter((group) => group.targets.length > 0);
+
+    if (strategy === 'weighted') {
+      const unweighted = groups.find((group) => group.targets.every((t) => t.weight <= 0));
+      if (unweighted) {
+        return errorResponse(
+          res,
+          `weighted strategy needs at least one ${unweighted.role === 'pro' ? 'PRO' : 'counsellor'} target with a weight above 0`,
+          400
+        );
+      }
+    }
+    if (commit && (typeof planToken !== 'string' || planToken.trim() === '')) {
+      return errorResponse(res, 'planToken from the distribution preview is required to commit', 400);
+    }
+
+    // Workload caps bound each user's share; per-student-group caps are checked lead by lead while dealing
+    const capacityStates = await loadCapacityStates(
+      pool,
+      availableTargets.map((t) => usersById.get(t.userId))
+    );
+
+    const orderBy = sortBy === 'score' ? 'lead_score DESC, created_at DESC, id ASC' : 'created_at DESC, id ASC';
+    const plans = [];
+    for (const group of groups) {
+      const { conditions, params } = buildAvailableLeadConditions({ ...filters, isProRole: group.isProRole, yearNum });
+      const [poolRows] = await pool.execute(
+        `SELECT id, student_group FROM leads WHERE ${conditions.join(' AND ')} ORDER BY ${orderBy} LIMIT ${Number(limitNum)}`,
+        params
+      );
+
+      // Current load: leads the user already holds on this channel for the same academic year
+      const groupUserIds = group.targets.map((t) => t.userId);
+      const [loadRows] = await pool.execute(
+        `SELECT ${group.column} AS uid, COUNT(*) AS total FROM leads
+         WHERE ${group.column} IN (${groupUserIds.map(() => '?').join(',')}) AND deleted_at IS NULL AND academic_year = ?
+         GROUP BY ${group.column}`,
+        [...groupUserIds, yearNum]
+      );
+      const loadByUser = new Map(loadRows.map((r) => [r.uid, Number(r.total || 0)]));
+
+      const groupStates = group.targets.map((t) => capacityStates.get(t.userId));
+      const groupOfLead = new Map(poolRows.map((r) => [r.id, r.student_group]));
+      const capacityBefore = groupStates.map(summarizeCapacity);
+      const plan = planDistributionGroup({
+        strategy,
+        leadIds: poolRows.map((r) => r.id),
+        users: group.targets.map((t, i) => {
+          const user = usersById.get(t.userId);
+          return {
+            userId: t.userId,
+            name: user.name,
+            roleName: user.role_name,
+            weight: t.weight,
+            currentLoad: loadByUser.get(t.userId) || 0,
+            capacity: remainingCapacity(groupStates[i]),
+          };
+        }),
+        acceptLead: groupStates.some((st) => st.limits.maxPerStudentGroup !== null)
+          ? (i, leadId) => {
+              const studentGroup = groupOfLead.get(leadId);
+              if (capacityBlockReason(groupStates[i], studentGroup)) return false;
+              takeCapacity(groupStates[i], studentGroup);
+              return true;
+            }
+          : null,
+      });
+      plan.users.forEach((entry, i) => {
+        entry.capacityStatus = capacityBefore[i];
+      });
+      plans.push({ role: group.role, ...plan });
+    }
+
+    const currentPlanToken = computeDistributionPlanToken({
+      strategy,
+      academicYear: yearNum,
+      targetDate,
+      groups: plans,
+    });
+    if (!commit) {
+      return successResponse(
+        res,
+        { committed: false, planToken: currentPlanToken, strategy, academicYear: yearNum, groups: plans, skippedOnLeave },
+        'Distribution plan prepared; send commit: true to assign',
+        200
+      );
+    }
+
+    if (planToken.trim() !== currentPlanToken) {
+      return errorResponse(
+        res,
+        'The lead pool, loads or capacities changed since the preview; preview again and commit the new plan',
+        409
+      );
+    }
+
+    // Commit: same per-lead write path as assignLeads, one user at a time; the whole distribution is one batch
+    const batchId = uuidv4();
+    const batchItems = [];
+    for (const plan of plans) {
+      for (const entry of plan.users) {
+        const user = usersById.get(entry.userId);
+        const result = await assignLeadIdsToUser(pool, {
+          user,
+          leadIds: entry.leadIds,
+          currentUserId,
+          academicYear: yearNum,
+          targetDate,
+          onlyUnassigned: true,
+          extraMeta: { distribution: { strategy }, batchId },
+        });
+        batchItems.push(
+          ...result.previousRows.map((row) => ({
+            leadId: row.id,
+            channel: plan.role,
+            previousRow: row,
+            newAssignedTo: user.id,
+          }))
+        );
+        entry.assigned = result.modifiedCount;
+        entry.skippedConcurrent = result.skippedConcurrentLeadIds.length;
+        entry.leadIds = result.successfullyAssignedLeadIds;
+        if (result.modifiedCount === 0) continue;
+
+        updatePerformanceSummary({
+          userId: user.id,
+          academicYear: yearNum,
+          studentGroup: filters.studentGroup || 'General',
+          roleName: user.role_name,
+          metrics: { allottedDelta: result.modifiedCount },
+        }).catch((err) => console.error('[PerformanceHook] Distribution update failed:', err));
+
+        const previewIds = result.successfullyAssignedLeadIds.slice(0, 50);
+        const [previewRows] = await pool.execute(
+          `SELECT id, name, phone, enquiry_number FROM leads WHERE id IN (${previewIds.map(() => '?').join(',')})`,
+          previewIds
+        );
+        notifyLeadAssignment({
+          userId: user.id,
+          leadCount: result.modifiedCount,
+          leads: previewRows.map((l) => ({ _id: l.id, id: l.id, name: l.name, phone: l.phone, enquiryNumber: l.enquiry_number })),
+          isBulk: true,
+          allLeadIds: result.successfullyAssignedLeadIds,
+        }).catch((error) => {
+          console.error('[LeadAssignment] Error sending distribution notifications:', error);
+        });
+      }
+      plan.assigned = plan.users.reduce((acc, u) => acc + (u.assigned || 0), 0);
+    }
+    assignmentStatsCache.clear();
+
+    const recordedBatchId = await recordAssignmentBatchSafely(pool, {
+      id: batchId,
+      operation: 'distribute',
+      filters: { filters, strategy, targets: targetList, count, sortBy, targetDate },
+      createdBy: currentUserId,
+      items: batchItems,
+    });
+
+    const totalAssigned = plans.reduce((acc, p) => acc + p.assigned, 0);
+    return successResponse(
+      res,
+      {
+        committed: true,
+        batchId: recordedBatchId,
+        strategy,
+        academicYear: yearNum,
+        assigned: totalAssigned,
+        groups: plans,
+        skippedOnLeave,
+      },
+      `Distributed ${totalAssigned} lead assignment${totalAssigned !== 1 ? 's' : ''}`,
+      200
+    );
+  } catch (error) {
+    console.error('Error distributing leads:', error);
+    return errorResponse(res, error.message || 'Failed to distribute leads', error.statusCode || 500);
+  }
+};
+
 // @desc    Get assignment statistics (unassigned leads count, etc.)
 // @route   GET /api/leads/assign/stats
 // @access  Private (Super Admin only)
 export const getAssignmentStats = async (req, res) => {
   try {
-    const { mandal, district, state, village, academicYear, studentGroup, institutionName, forBreakdown, cycleNumber, source, minRank, maxRank } = req.query;
+    const { mandal, district, state, village, academicYear, studentGroup, institutionName, forBreakdown, cycleNumber, source, minRank, maxRank, minScore, maxScore, tags, tagMode, excludeTags } = req.query;
     const pool = getPool();
     const includeBreakdowns = String(req.query.includeBreakdowns || 'true').toLowerCase() !== 'false';
     const summaryOnly = String(req.query.summaryOnly || 'false').toLowerCase() === 'true';
@@ -666,6 +1150,11 @@ export const getAssignmentStats = async (req, res) => {
       source,
       minRank,
       maxRank,
+      minScore,
+      maxScore,
+      tags,
+      tagMode,
+      excludeTags,
       targetRole: req.query.targetRole,
       includeBreakdowns,
       summaryOnly,
@@ -685,7 +1174,7 @@ export const getAssignmentStats = async (req, res) => {
     // For PRO targets, "Available" means not yet assigned to any PRO.
     const assignmentCondition = isProTarget ? 'assigned_to_pro IS NULL' : 'assigned_to IS NULL';
 
-    const conditions = [assignmentCondition];
+    const conditions = [assignmentCondition, 'deleted_at IS NULL'];
     const params = [];
 
     // Academic year filter (optional; when set, stats are for that year only)
@@ -739,6 +1228,8 @@ export const getAssignmentStats = async (req, res) => {
     }
 
     appendSourceAndRankFilters(conditions, params, { source, minRank, maxRank });
+    appendScoreFilters(conditions, params, { minScore, maxScore });
+    appendTagFilters(conditions, params, { tags, tagMode, excludeTags });
 
     const whereClause = `WHERE ${conditions.join(' AND ')}`;
 
@@ -748,7 +1239,7 @@ export const getAssignmentStats = async (req, res) => {
     const trulyUnassignedWhere = `WHERE ${trulyUnassignedConditions.join(' AND ')}`;
 
     // Base filter for total/assigned in same scope (when academic year / student group selected)
-    const baseConditions = [];
+    const baseConditions = ['deleted_at IS NULL'];
     const baseParams = [];
     if (academicYear != null && academicYear !== '') {
       const year = parseInt(academicYear, 10);
@@ -791,6 +1282,8 @@ export const getAssignmentStats = async (req, res) => {
     }
 
     appendSourceAndRankFilters(baseConditions, baseParams, { source, minRank, maxRank });
+    appendScoreFilters(baseConditions, baseParams, { minScore, maxScore });
+    appendTagFilters(baseConditions, baseParams, { tags, tagMode, excludeTags });
 
     const baseWhere = baseConditions.length ? `WHERE ${baseConditions.join(' AND ')}` : '';
 
@@ -886,7 +1379,7 @@ export const getAssignmentStats = async (req, res) => {
     // Optional: per-district or per-mandal assigned vs unassigned (bulk assign UI dropdown hints)
     const buildGeoScopeConditions = (opts) => {
       const { includeDistrict, districtValue } = opts;
-      const gc = [];
+      const gc = ['deleted_at IS NULL'];
       const gp = [];
       if (academicYear != null && academicYear !== '') {
         const year = parseInt(academicYear, 10);
@@ -915,6 +1408,8 @@ export const getAssignmentStats = async (req, res) => {
         gp.push(districtValue);
       }
       appendSourceAndRankFilters(gc, gp, { source, minRank, maxRank });
+      appendScoreFilters(gc, gp, { minScore, maxScore });
+      appendTagFilters(gc, gp, { tags, tagMode, excludeTags });
       return { gc, gp };
     };
 
@@ -1039,11 +1534,15 @@ const resolveAssignmentTargetForUser = (userRow) => {
   return { roleName, isPro, isStudentCounselor, assignmentCol, statusChannel };
 };
 
-/** Shared geo/academic filters for assignee portfolio count, breakdown, and remove. */
+/** Shared geo/academic filters for assignee portfolio count, breakdown, and remove. `userId` may be a list of ids. */
 const buildUserAssignmentLeadFilters = (query, assignmentCol, userId) => {
   const { mandal, district, state, village, academicYear, studentGroup, cycleNumber } = query;
-  const conditions = [`${assignmentCol} = ?`];
-  const params = [userId];
+  const userIds = Array.isArray(userId) ? userId : [userId];
+  const conditions = [
+    userIds.length === 1 ? `${assignmentCol} = ?` : `${assignmentCol} IN (${userIds.map(() => '?').join(',')})`,
+    'deleted_at IS NULL',
+  ];
+  const params = [...userIds];
 
   if (cycleNumber != null && cycleNumber !== '') {
     const cycle = parseInt(cycleNumber, 10);
@@ -1207,57 +1706,167 @@ export const getAssignmentPortfolio = async (req, res) => {
       return errorResponse(res, 'User not found', 404);
     }
 
-    const user = targetUsers[0];
+    const portfolio = await computeAssignmentPortfolio(pool, targetUsers[0], req.query);
+    return successResponse(res, portfolio, 'Assignment portfolio retrieved', 200);
+  } catch (error) {
+    console.error('Error getting assignment portfolio:', error);
+    return errorResponse(res, error.message || 'Failed to get assignment portfolio', 500);
+  }
+};
+
+/**
+ * Portfolios (total + status breakdown on each user's channel) for many users rows: one grouped query per
+ * assignment column / status channel instead of one pair of queries per user. Map of user id → portfolio.
+ */
+async function computeAssignmentPortfolios(pool, users, query) {
+  const byTarget = new Map();
+  for (const user of users) {
     const target = resolveAssignmentTargetForUser(user);
-    const { conditions, params } = buildUserAssignmentLeadFilters(req.query, target.assignmentCol, userId);
-    const whereSql = conditions.join(' AND ');
+    const key = `${target.assignmentCol}|${target.statusChannel}`;
+    if (!byTarget.has(key)) byTarget.set(key, { target, users: [] });
+    byTarget.get(key).users.push(user);
+  }
 
-    const statusGroupExpr = target.isPro
-      ? 'visit_status'
-      : target.isStudentCounselor
-        ? 'call_status'
-        : 'lead_status';
+  const portfolios = new Map();
+  for (const { target, users: groupUsers } of byTarget.values()) {
+    const { conditions, params } = buildUserAssignmentLeadFilters(
+      query,
+      target.assignmentCol,
+      groupUsers.map((u) => u.id)
+    );
+    const [rows] = await pool.execute(
+      `SELECT ${target.assignmentCol} AS user_id, ${target.statusChannel} AS status, COUNT(*) AS count
+       FROM leads WHERE ${conditions.join(' AND ')}
+       GROUP BY ${target.assignmentCol}, ${target.statusChannel}`,
+      params
+    );
+    const rowsByUser = new Map();
+    for (const row of rows) {
+      if (!rowsByUser.has(row.user_id)) rowsByUser.set(row.user_id, []);
+      rowsByUser.get(row.user_id).push(row);
+    }
+    for (const user of groupUsers) {
+      const userRows = rowsByUser.get(user.id) || [];
+      const userTarget = resolveAssignmentTargetForUser(user);
+      portfolios.set(user.id, {
+        userId: user.id,
+        userName: user.name,
+        roleName: userTarget.roleName,
+        statusChannel: userTarget.statusChannel,
+        total: userRows.reduce((acc, row) => acc + Number(row.count || 0), 0),
+        statusBreakdown: mergePortfolioStatusBreakdown(userRows, userTarget),
+      });
+    }
+  }
+  return portfolios;
+}
 
-    const [[countRows], [statusRows]] = await Promise.all([
-      pool.execute(`SELECT COUNT(*) as total FROM leads WHERE ${whereSql}`, params),
-      pool.execute(
-        `SELECT ${statusGroupExpr} AS status, COUNT(*) AS count
-         FROM leads WHERE ${whereSql}
-         GROUP BY ${statusGroupExpr}
-         ORDER BY count DESC`,
-        params
-      ),
+/** Portfolio of one users row (total + status breakdown on its channel). */
+async function computeAssignmentPortfolio(pool, user, query) {
+  const portfolios = await computeAssignmentPortfolios(pool, [user], query);
+  return portfolios.get(user.id);
+}
+
+const utilisationPercent = (used, cap) => (cap ? Math.round((used / cap) * 1000) / 10 : null);
+
+// @desc    Capacity dashboard: per-user portfolio, capacity limits and utilisation, rolled up per team (managed_by)
+//          Query: ?roleName=, ?managerId= (one team), plus the portfolio filters (academicYear, studentGroup, ...)
+// @route   GET /api/leads/assign/capacity
+// @access  Private (Super Admin only)
+export const getCapacityDashboard = async (req, res) => {
+  try {
+    const { roleName, managerId } = req.query;
+    const pool = getPool();
+
+    const conditions = ['u.is_active = 1', "u.role_name <> 'Super Admin'"];
+    const params = [];
+    if (roleName) {
+      conditions.push('u.role_name = ?');
+      params.push(roleName);
+    }
+    if (managerId) {
+      conditions.push('u.managed_by = ?');
+      params.push(managerId);
+    }
+    const [users] = await pool.execute(
+      `SELECT u.id, u.name, u.role_name, u.managed_by, m.name AS manager_name
+       FROM users u
+       LEFT JOIN users m ON m.id = u.managed_by
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY m.name ASC, u.name ASC`,
+      params
+    );
+
+    const [states, portfolios] = await Promise.all([
+      loadCapacityStates(pool, users, { withUsage: true }),
+      computeAssignmentPortfolios(pool, users, req.query),
     ]);
+    const teams = new Map();
+    for (const user of users) {
+      const portfolio = portfolios.get(user.id);
+      const capacity = summarizeCapacity(states.get(user.id));
+      const { limits, usage } = capacity;
+      const row = {
+        ...portfolio,
+        capacity,
+        utilisation: {
+          openLeads: utilisationPercent(usage.openLeads, limits.maxOpenLeads),
+          newToday: utilisationPercent(usage.newToday, limits.maxNewPerDay),
+        },
+        atCapacity: capacity.remaining === 0,
+      };
 
-    const rawTotal = countRows[0]?.total ?? 0;
-    const total = typeof rawTotal === 'bigint' ? Number(rawTotal) : Number(rawTotal);
-    const statusBreakdown = mergePortfolioStatusBreakdown(statusRows, target);
+      const teamKey = user.managed_by || 'unmanaged';
+      if (!teams.has(teamKey)) {
+        teams.set(teamKey, {
+          managerId: user.managed_by || null,
+          managerName: user.manager_name || (user.managed_by ? null : 'No manager'),
+          members: [],
+        });
+      }
+      teams.get(teamKey).members.push(row);
+    }
+
+    const teamRows = [...teams.values()].map((team) => {
+      const openLeads = team.members.reduce((acc, m) => acc + m.capacity.usage.openLeads, 0);
+      const capped = team.members.filter((m) => m.capacity.limits.maxOpenLeads !== null);
+      // Team utilisation is only meaningful when every member has an open-lead cap
+      const maxOpenLeads =
+        capped.length === team.members.length
+          ? capped.reduce((acc, m) => acc + m.capacity.limits.maxOpenLeads, 0)
+          : null;
+      return {
+        ...team,
+        memberCount: team.members.length,
+        portfolioTotal: team.members.reduce((acc, m) => acc + m.total, 0),
+        openLeads,
+        newToday: team.members.reduce((acc, m) => acc + m.capacity.usage.newToday, 0),
+        maxOpenLeads,
+        utilisation: utilisationPercent(openLeads, maxOpenLeads),
+        membersAtCapacity: team.members.filter((m) => m.atCapacity).length,
+      };
+    });
 
     return successResponse(
       res,
-      {
-        userId: user.id,
-        userName: user.name,
-        roleName: target.roleName,
-        statusChannel: target.statusChannel,
-        total: Number.isFinite(total) ? total : 0,
-        statusBreakdown,
-      },
-      'Assignment portfolio retrieved',
+      { teams: teamRows, userCount: users.length },
+      'Capacity dashboard retrieved',
       200
     );
   } catch (error) {
-    console.error('Error getting assignment portfolio:', error);
-    return errorResponse(res, error.message || 'Failed to get assignment portfolio', 500);
+    console.error('Error getting capacity dashboard:', error);
+    return errorResponse(res, error.message || 'Failed to get capacity dashboard', 500);
   }
 };
 
 // @desc    Remove assignments from a user (bulk unassign)
 // @route   POST /api/leads/assign/remove
+//          dryRun: true returns the leads that would be unassigned; each commit is stored as an undoable batch
 // @access  Private (Super Admin only)
 export const removeAssignments = async (req, res) => {
   try {
     const {
+      dryRun = false,
       userId,
       mandal,
       district,
@@ -1314,7 +1923,7 @@ export const removeAssignments = async (req, res) => {
     const limitNum = Math.min(Math.max(parseInt(count, 10) || 0, 1), 10000);
 
     const [leadsToUnassign] = await pool.execute(
-      `SELECT id, lead_status FROM leads WHERE ${conditions.join(' AND ')} LIMIT ${limitNum}`,
+      `SELECT ${ASSIGNMENT_SNAPSHOT_SELECT} FROM leads WHERE ${conditions.join(' AND ')} LIMIT ${limitNum}`,
       params
     );
 
@@ -1330,6 +1939,17 @@ export const removeAssignments = async (req, res) => {
     const leadIds = leadsToUnassign.map((l) => l.id);
     const placeholders = leadIds.map(() => '?').join(',');
 
+    if (dryRun === true || dryRun === 'true') {
+      const moves = await previewAssignmentMoves(pool, { leadIds, channel: isPro ? 'pro' : 'counsellor' });
+      return successResponse(
+        res,
+        { dryRun: true, wouldRemove: moves.length, requested: limitNum, userId, userName: user.name, leads: moves },
+        `${moves.length} lead${moves.length !== 1 ? 's' : ''} would be unassigned from ${user.name}`,
+        200
+      );
+    }
+    const batchId = uuidv4();
+
     const bulkUnassignSql = isPro
       ? `UPDATE leads SET 
         assigned_to_pro = NULL, 
@@ -1370,16 +1990,32 @@ export const removeAssignments = async (req, res) => {
             unassignment: {
               removedFrom: userId,
               removedBy: currentUserId,
+              batchId,
             },
           }),
         ]
       );
     }
 
+    const recordedBatchId = await recordAssignmentBatchSafely(pool, {
+      id: batchId,
+      operation: 'remove',
+      targetUserId: userId,
+      filters: { mandal, district, state, village, academicYear, studentGroup, cycleNumber, count, statuses: statusList },
+      createdBy: currentUserId,
+      items: leadsToUnassign.map((row) => ({
+        leadId: row.id,
+        channel: isPro ? 'pro' : 'counsellor',
+        previousRow: row,
+        newAssignedTo: null,
+      })),
+    });
+
     return successResponse(
       res,
       {
         removed: leadsToUnassign.length,
+        batchId: recordedBatchId,
         requested: limitNum,
         userId,
         userName: user.name,
@@ -1428,7 +2064,7 @@ export const getUserLeadAnalytics = async (req, res) => {
       ? '(assigned_to_pro = ? OR assigned_to = ?)'
       : 'assigned_to = ?';
 
-    const conditions = [assignmentCondition];
+    const conditions = [assignmentCondition, 'deleted_at IS NULL'];
     const params = isProRole ? [userId, userId] : [userId];
 
     if (academicYear != null && academicYear !== '') {
@@ -1676,7 +2312,7 @@ export const getMyCallAnalytics = async (req, res) => {
     const assignmentCondition = isPro
       ? '(assigned_to_pro = ? OR assigned_to = ?)'
       : 'assigned_to = ?';
-    const leadWhereClause = assignmentCondition;
+    const leadWhereClause = `${assignmentCondition} AND deleted_at IS NULL`;
     const leadParams = isPro ? [userId, userId] : [userId];
 
     const [totalAssignedResult] = await pool.execute(
@@ -1801,7 +2437,7 @@ export const getOverviewAnalytics = async (req, res) => {
     const startDateStr = startDate.toISOString().slice(0, 19).replace('T', ' ');
     const endDateStr = endDate.toISOString().slice(0, 19).replace('T', ' ');
 
-    const leadFilters = [];
+    const leadFilters = ['deleted_at IS NULL'];
     const leadParams = [];
     if (req.query.academicYear != null && req.query.academicYear !== '') {
       leadFilters.push('academic_year = ?');
@@ -2477,10 +3113,10 @@ function buildStudentGroupLeadClause(tableAlias, studentGroupRaw) {
   return { clause: ` AND ${tableAlias}.student_group = ?`, params: [sg] };
 }
 
-/** Optional `leads` scope for communications roster: student group, exact district, and status filters. */
+/** `leads` scope for communications roster: not deleted, plus optional student group, exact district, and status filters. */
 function buildRosterLeadScopeFragment(tableAlias, studentGroupRaw, districtRaw, leadStatus, callStatus, visitStatus) {
   const { clause: sgClause, params: sgParams } = buildStudentGroupLeadClause(tableAlias, studentGroupRaw);
-  let clause = sgClause;
+  let clause = ` AND ${tableAlias}.deleted_at IS NULL${sgClause}`;
   let params = [...sgParams];
 
   const d = districtRaw != null ? String(districtRaw).trim() : '';
@@ -2520,7 +3156,7 @@ async function fetchPortfolioCohortSummaryTotals(pool, userIds, leadFiltersSql,
   const [[totRow]] = await pool.execute(
     `SELECT COUNT(DISTINCT l.id) AS total_leads
      FROM leads l
-     WHERE (l.assigned_to IN (${ph}) OR l.assigned_to_pro IN (${ph}))${leadFiltersSql}`,
+     WHERE (l.assigned_to IN (${ph}) OR l.assigned_to_pro IN (${ph})) AND l.deleted_at IS NULL${leadFiltersSql}`,
     leadParams
   );
 
@@ -2540,7 +3176,7 @@ async function fetchPortfolioCohortSummaryTotals(pool, userIds, leadFiltersSql,
          COUNT(*) AS cnt
        FROM users u
        INNER JOIN leads l ON l.assigned_to = u.id
-       WHERE u.id IN (${ph})${leadFiltersSql}
+       WHERE u.id IN (${ph}) AND l.deleted_at IS NULL${leadFiltersSql}
        GROUP BY u.role_name, l.visit_status, l.call_status, l.lead_status
 
        UNION ALL
@@ -2553,7 +3189,7 @@ async function fetchPortfolioCohortSummaryTotals(pool, userIds, leadFiltersSql,
          COUNT(*) AS cnt
        FROM users u
        INNER JOIN leads l ON l.assigned_to_pro = u.id
-       WHERE u.id IN (${ph})${leadFiltersSql}
+       WHERE u.id IN (${ph}) AND l.deleted_at IS NULL${leadFiltersSql}
        GROUP BY u.role_name, l.visit_status, l.call_status, l.lead_status
      ) AS combined_leads
      GROUP BY role_name, visit_status, call_status, lead_status`,
@@ -2603,7 +3239,7 @@ async function fetchPortfolioStudentGroupCountsByUser(pool, userIds, leadFilters
             COUNT(DISTINCT l.id) AS cnt
      FROM users u
      INNER JOIN leads l ON (l.assigned_to = u.id OR l.assigned_to_pro = u.id)
-     WHERE u.id IN (${ph})${leadFiltersSql}
+     WHERE u.id IN (${ph}) AND l.deleted_at IS NULL${leadFiltersSql}
      GROUP BY u.id, l.student_group`,
     [...userIds, ...leadFiltersParams]
   );
@@ -2647,7 +3283,7 @@ async function fetchPortfolioMandalStudentGroupCountsByUser(pool, userIds, leadF
             COUNT(DISTINCT l.id) AS cnt
      FROM users u
      INNER JOIN leads l ON (l.assigned_to = u.id OR l.assigned_to_pro = u.id)
-     WHERE u.id IN (${ph})${leadFiltersSql}
+     WHERE u.id IN (${ph}) AND l.deleted_at IS NULL${leadFiltersSql}
      GROUP BY u.id,
               l.mandal,
               l.needs_manual_update,
@@ -2743,7 +3379,7 @@ async function fetchPortfolioMandalStatusCountsByUser(pool, userIds, leadFilters
             COUNT(DISTINCT l.id) AS cnt
      FROM users u
      INNER JOIN leads l ON (l.assigned_to = u.id OR l.assigned_to_pro = u.id)
-     WHERE u.id IN (${ph})${leadFiltersSql}
+     WHERE u.id IN (${ph}) AND l.deleted_at IS NULL${leadFiltersSql}
      GROUP BY u.id,
               u.role_name,
               l.mandal,
@@ -2839,7 +3475,7 @@ async function fetchUserIdsWithPortfolioStudentGroup(pool, userIds, studentGroup
   const sg = studentGroupRaw != null ? String(studentGroupRaw).trim() : '';
   if (!sg || !userIds.length) return new Set(userIds);
   const ph = userIds.map(() => '?').join(',');
-  let groupSql = 'student_group = ?';
+  let groupSql = 'deleted_at IS NULL AND student_group = ?';
   const groupParams = [sg];
   const [rows] = await pool.execute(
     `SELECT DISTINCT uid FROM (
@@ -3056,7 +3692,7 @@ async function buildVisitDiaryUpdatesByUser(pool, proUsers, rangeStartStr, range
         l.mandal,
         l.assigned_to_pro
       FROM activity_logs a
-      INNER JOIN leads l ON l.id = a.lead_id
+      INNER JOIN leads l ON l.id = a.lead_id AND l.deleted_at IS NULL
       WHERE ${visitLogWhere}
       ORDER BY a.created_at ASC`,
       visitLogParams
@@ -3449,7 +4085,7 @@ export const getUserAnalytics = async (req, res) => {
            WHERE a.type = 'status_change' AND a.target_user_id IS NOT NULL
              ${logDateClause}
              AND a.target_user_id IN (${ph})
-             ${leadFiltersSql}
+             AND l.deleted_at IS NULL${leadFiltersSql}
            UNION
            SELECT a.performed_by as user_id, a.lead_id
            FROM activity_logs a
@@ -3457,14 +4093,14 @@ export const getUserAnalytics = async (req, res) => {
            WHERE a.type = 'status_change'
              ${logDateClause}
              AND a.performed_by IN (${ph})
-             ${leadFiltersSql}
+             AND l.deleted_at IS NULL${leadFiltersSql}
            UNION
            SELECT c.sent_by as user_id, c.lead_id
            FROM communications c
            JOIN leads l ON c.lead_id = l.id
            WHERE c.sent_by IN (${ph})
              ${activityDateClause}
-             ${leadFiltersSql}
+             AND l.deleted_at IS NULL${leadFiltersSql}
          ) as full_portfolio
          GROUP BY user_id`,
           [...activityDateParams, ...ids, ...leadFiltersParams, ...activityDateParams, ...ids, ...leadFiltersParams, ...activityDateParams, ...ids, ...leadFiltersParams]
@@ -3479,7 +4115,7 @@ export const getUserAnalytics = async (req, res) => {
          WHERE a.type = 'status_change'
            ${logDateClause.replace('a.created_at', 'a.created_at')}
            AND a.performed_by IN (${ph})
-           ${leadFiltersSql}
+           AND l.deleted_at IS NULL${leadFiltersSql}
          GROUP BY a.performed_by, a.new_status`,
           [...activityDateParams, ...ids, ...leadFiltersParams]
         ),
@@ -3494,7 +4130,7 @@ export const getUserAnalytics = async (req, res) => {
            AND a.target_user_id IS NOT NULL
            ${logDateClause}
            AND a.target_user_id IN (${ph})
-           ${leadFiltersSql}
+           AND l.deleted_at IS NULL${leadFiltersSql}
            AND adm.created_at >= a.created_at
          GROUP BY user_id`,
           [...activityDateParams, ...ids, ...leadFiltersParams]
@@ -3509,7 +4145,7 @@ export const getUserAnalytics = async (req, res) => {
            AND a.target_user_id IS NOT NULL
            ${logDateClause}
            AND a.target_user_id IN (${ph})
-           ${leadFiltersSql}
+           AND l.deleted_at IS NULL${leadFiltersSql}
            AND l.lead_status NOT IN ('Admitted', 'Closed', 'Cancelled', 'Not Interested')
            AND (l.assigned_to = a.target_user_id 
                 OR l.assigned_to_pro = a.target_user_id)
@@ -3532,7 +4168,7 @@ export const getUserAnalytics = async (req, res) => {
           `SELECT u.id AS user_id, COUNT(DISTINCT l.id) AS total_handled
            FROM users u
            INNER JOIN leads l ON (l.assigned_to = u.id OR l.assigned_to_pro = u.id)
-           WHERE u.id IN (${ph}) ${aySql}
+           WHERE u.id IN (${ph}) AND l.deleted_at IS NULL ${aySql}
            GROUP BY u.id`,
           paramsBase
         ),
@@ -3545,7 +4181,7 @@ export const getUserAnalytics = async (req, res) => {
                   COUNT(*) AS status_count
            FROM users u
            INNER JOIN leads l ON (l.assigned_to = u.id OR l.assigned_to_pro = u.id)
-           WHERE u.id IN (${ph}) ${aySql}
+           WHERE u.id IN (${ph}) AND l.deleted_at IS NULL ${aySql}
            GROUP BY u.id, u.role_name, l.visit_status, l.call_status, l.lead_status`,
           paramsBase
         ),
@@ -3554,7 +4190,7 @@ export const getUserAnalytics = async (req, res) => {
            FROM users u
            INNER JOIN leads l ON (l.assigned_to = u.id OR l.assigned_to_pro = u.id)
            INNER JOIN admissions adm ON adm.lead_id = l.id
-           WHERE u.id IN (${ph}) ${aySql}
+           WHERE u.id IN (${ph}) AND l.deleted_at IS NULL ${aySql}
            GROUP BY u.id`,
           paramsBase
         ),
@@ -3562,7 +4198,7 @@ export const getUserAnalytics = async (req, res) => {
           `SELECT u.id AS user_id, COUNT(DISTINCT l.id) AS active_leads
            FROM users u
            INNER JOIN leads l ON (l.assigned_to = u.id OR l.assigned_to_pro = u.id)
-           WHERE u.id IN (${ph}) ${aySql}
+           WHERE u.id IN (${ph}) AND l.deleted_at IS NULL ${aySql}
              AND l.lead_status NOT IN ('Admitted', 'Closed', 'Cancelled', 'Not Interested')
            GROUP BY u.id`,
           paramsBase
@@ -4326,7 +4962,7 @@ export const getUserAnalytics = async (req, res) => {
             c.type <> 'call'
             OR (c.call_outcome IS NOT NULL AND TRIM(c.call_outcome) <> '')
           )
-          ${leadFiltersSql}
+          AND l.deleted_at IS NULL${leadFiltersSql}
         GROUP BY c.sent_by, c.type`
       : (leadFiltersSql ? `SELECT 
           c.sent_by as user_id, 
@@ -4341,7 +4977,7 @@ export const getUserAnalytics = async (req, res) => {
             c.type <> 'call'
             OR (c.call_outcome IS NOT NULL AND TRIM(c.call_outcome) <> '')
           )
-          ${leadFiltersSql}
+          AND l.deleted_at IS NULL${leadFiltersSql}
         GROUP BY c.sent_by, c.type` : `SELECT 
           sent_by as user_id, 
           type, 
@@ -4378,7 +5014,7 @@ export const getUserAnalytics = async (req, res) => {
           AND c.sent_by IN (${selectedUserPlaceholders})
           ${commDateClauseAliased}
           AND (l.assigned_to = c.sent_by OR l.assigned_to_pro = c.sent_by)
-          ${leadFiltersSql}
+          AND l.deleted_at IS NULL${leadFiltersSql}
         GROUP BY c.sent_by`,
         [...selectedUserIds, ...activityDateParams, ...leadFiltersParams]
       ),
@@ -4389,9 +5025,9 @@ export const getUserAnalytics = async (req, res) => {
           COUNT(*) as total_logs,
           SUM(CASE WHEN a.type = 'status_change' THEN 1 ELSE 0 END) as status_changes
         FROM activity_logs a
-        INNER JOIN leads l ON l.id = a.lead_id
+        INNER JOIN leads l ON l.id = a.lead_id AND l.deleted_at IS NULL
         WHERE a.performed_by IN (${selectedUserPlaceholders}) ${activityDateClause.replace(/\bsent_at\b/g, 'a.created_at')}
-          ${leadFiltersSql}
+          AND l.deleted_at IS NULL${leadFiltersSql}
         GROUP BY a.performed_by`
         : `SELECT 
           performed_by as user_id, 
@@ -4425,7 +5061,7 @@ export const getUserAnalytics = async (req, res) => {
             pool.execute(
               `SELECT a.target_user_id AS user_id, COUNT(DISTINCT a.lead_id) AS cnt
                FROM activity_logs a
-               INNER JOIN leads l ON l.id = a.lead_id
+               INNER JOIN leads l ON l.id = a.lead_id AND l.deleted_at IS NULL
                WHERE a.type = 'status_change' AND a.target_user_id IN (${cohortUserIdPlaceholders})
                ${assignmentDateWhere}`,
               cohortAssignJoinParams
@@ -4442,7 +5078,7 @@ WHEN TRIM(u.role_name) = 'PRO' THEN
                 END AS bucket,
                 COUNT(DISTINCT a.lead_id) AS cnt
                FROM activity_logs a
-               INNER JOIN leads l ON l.id = a.lead_id
+               INNER JOIN leads l ON l.id = a.lead_id AND l.deleted_at IS NULL
                INNER JOIN users u ON u.id = a.target_user_id
                WHERE a.type = 'status_change' AND a.target_user_id IN (${cohortUserIdPlaceholders})
                ${assignmentDateWhere}
@@ -4516,7 +5152,7 @@ WHEN TRIM(u.role_name) = 'PRO' THEN
                    ) AS eff_target,
                    COUNT(DISTINCT a.lead_id) AS cnt
                  FROM activity_logs a
-                 INNER JOIN leads l ON l.id = a.lead_id
+                 INNER JOIN leads l ON l.id = a.lead_id AND l.deleted_at IS NULL
                  WHERE a.type = 'status_change'
                    AND a.target_user_id IN (${cohortUserIdPlaceholders})
                    ${assignmentDateWhere}
@@ -5442,7 +6078,7 @@ export const getMyAssignmentHistory = async (req, res) => {
     const [rows] = await pool.execute(
       `SELECT DATE_FORMAT(${dateField}, '%Y-%m-%d') as date, COUNT(*) as count 
        FROM leads 
-       WHERE ${userField} = ? AND ${dateField} IS NOT NULL
+       WHERE ${userField} = ? AND deleted_at IS NULL AND ${dateField} IS NOT NULL
        GROUP BY DATE(${dateField})
        ORDER BY date DESC`,
       [userId]
@@ -5479,7 +6115,7 @@ export const getAssignmentDetailsByDate = async (req, res) => {
     const [rows] = await pool.execute(
       `SELECT *
        FROM leads 
-       WHERE ${userField} = ? AND DATE_FORMAT(${dateField}, '%Y-%m-%d') = ?
+       WHERE ${userField} = ? AND deleted_at IS NULL AND DATE_FORMAT(${dateField}, '%Y-%m-%d') = ?
        ORDER BY district ASC, mandal ASC, village ASC, name ASC`,
       [userId, date]
     );
@@ -5548,17 +6184,13 @@ export const markProLeave = async (req, res) => {
       return errorResponse(res, 'User ID and date are required', 400);
     }
 
-    await pool.execute(
-      `INSERT INTO pro_leave_logs (user_id, leave_date, reason) 
-       VALUES (?, ?, ?) 
-       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
-      [userId, date, reason || null]
-    );
+    // Same path as /api/leaves: a new leave day also pushes the user's open target dates
+    const result = await recordLeaveDays(pool, { userId, startDate: String(date).slice(0, 10), reason });
 
-    return successResponse(res, null, 'Leave marked successfully');
+    return successResponse(res, result, 'Leave marked successfully');
   } catch (error) {
     console.error('Error marking PRO leave:', error);
-    return errorResponse(res, error.message || 'Failed to mark leave', 500);
+    return errorResponse(res, error.message || 'Failed to mark leave', error.statusCode || 500);
   }
 };
 
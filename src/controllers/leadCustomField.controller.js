@@ -0,0 +1,191 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+import {
+  CUSTOM_FIELD_TYPES,
+  formatCustomField,
+  getCustomFieldReindexState,
+  invalidateCustomFieldsCache,
+  normalizeCustomFieldInput,
+  startCustomFieldReindex,
+} from '../services/leadCustomField.service.js';
+
+// @desc    List custom lead fields (inactive fields only for admins)
+// @route   GET /api/lead-custom-fields
+// @access  Private
+export const getCustomFields = async (req, res) => {
+  try {
+    const pool = getPool();
+    const includeInactive = hasElevatedAdminPrivileges(req.user.roleName) && req.query.includeInactive === 'true';
+    const [rows] = await pool.execute(
+      `SELECT * FROM lead_custom_fields
+       ${includeInactive ? '' : 'WHERE is_active = 1'}
+       ORDER BY sort_order ASC, label ASC`
+    );
+    return successResponse(
+      res,
+      { fields: rows.map(formatCustomField), types: CUSTOM_FIELD_TYPES },
+      'Custom fields retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error getting custom fields:', error);
+    return errorResponse(res, error.message || 'Failed to get custom fields', 500);
+  }
+};
+
+// @desc    Register a custom lead field
+// @route   POST /api/lead-custom-fields
+// @access  Private (Super Admin)
+export const createCustomField = async (req, res) => {
+  try {
+    const field = normalizeCustomFieldInput(req.body);
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO lead_custom_fields (
+        id, field_key, label, field_type, allowed_values, aliases, is_filterable, is_required, is_active,
+        sort_order, created_by, updated_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        id,
+        field.key,
+        field.label,
+        field.type,
+        JSON.stringify(field.allowedValues),
+        JSON.stringify(field.aliases),
+        field.isFilterable ? 1 : 0,
+        field.isRequired ? 1 : 0,
+        field.isActive ? 1 : 0,
+        field.sortOrder,
+        userId,
+        userId,
+      ]
+    );
+    invalidateCustomFieldsCache();
+    const [rows] = await pool.execute('SELECT * FROM lead_custom_fields WHERE id = ?', [id]);
+    const created = formatCustomField(rows[0]);
+    // Existing leads may already carry this key in dynamic_fields
+    const reindex = created.isFilterable && created.isActive ? startCustomFieldReindex(pool, created) : null;
+    return successResponse(res, { ...created, reindex }, 'Custom field created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A custom field with this key already exists', 409);
+    }
+    console.error('Error creating custom field:', error);
+    return errorResponse(res, error.message || 'Failed to create custom field', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a custom lead field (key is immutable; fields not sent keep their current value)
+// @route   PUT /api/lead-custom-fields/:id
+// @access  Private (Super Admin)
+export const updateCustomField = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM lead_custom_fields WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Custom field not found', 404);
+    }
+    const current = formatCustomField(rows[0]);
+    if (req.body.key !== undefined && req.body.key !== current.key) {
+      return errorResponse(res, 'Field key cannot be changed; create a new field instead', 400);
+    }
+    const field = normalizeCustomFieldInput({ ...current, ...req.body, key: current.key });
+    await pool.execute(
+      `UPDATE lead_custom_fields SET
+        label = ?, field_type = ?, allowed_values = ?, aliases = ?, is_filterable = ?, is_required = ?,
+        is_active = ?, sort_order = ?, updated_by = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        field.label,
+        field.type,
+        JSON.stringify(field.allowedValues),
+        JSON.stringify(field.aliases),
+        field.isFilterable ? 1 : 0,
+        field.isRequired ? 1 : 0,
+        field.isActive ? 1 : 0,
+        field.sortOrder,
+        req.user.id || req.user._id,
+        req.params.id,
+      ]
+    );
+    invalidateCustomFieldsCache();
+    const [updated] = await pool.execute('SELECT * FROM lead_custom_fields WHERE id = ?', [req.params.id]);
+    const result = formatCustomField(updated[0]);
+
+    // Side-table rows depend on filterable + type; rebuild when either changes
+    let reindex = null;
+    if (result.isFilterable && result.isActive &&
+      (!current.isFilterable || !current.isActive || current.type !== result.type)) {
+      reindex = startCustomFieldReindex(pool, result);
+    } else if (!result.isFilterable && current.isFilterable) {
+      await pool.execute('DELETE FROM lead_custom_field_values WHERE field_key = ?', [result.key]);
+    }
+    return successResponse(res, { ...result, reindex }, 'Custom field updated successfully', 200);
+  } catch (error) {
+    console.error('Error updating custom field:', error);
+    return errorResponse(res, error.message || 'Failed to update custom field', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a custom lead field (values stay in dynamic_fields; the filter index is dropped)
+// @route   DELETE /api/lead-custom-fields/:id
+// @access  Private (Super Admin)
+export const deleteCustomField = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT field_key FROM lead_custom_fields WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Custom field not found', 404);
+    }
+    await pool.execute('DELETE FROM lead_custom_field_values WHERE field_key = ?', [rows[0].field_key]);
+    await pool.execute('DELETE FROM lead_custom_fields WHERE id = ?', [req.params.id]);
+    invalidateCustomFieldsCache();
+    return successResponse(res, { id: req.params.id }, 'Custom field deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting custom field:', error);
+    return errorResponse(res, error.message || 'Failed to delete custom field', 500);
+  }
+};
+
+// @desc    Rebuild the filter index of one field from leads.dynamic_fields (background)
+// @route   POST /api/lead-custom-fields/:id/reindex
+// @access  Private (Super Admin)
+export const reindexCustomField = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM lead_custom_fields WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Custom field not found', 404);
+    }
+    const field = formatCustomField(rows[0]);
+    if (!field.isFilterable || !field.isActive) {
+      return errorResponse(res, 'Only active, filterable fields are indexed', 400);
+    }
+    const state = startCustomFieldReindex(pool, field);
+    return successResponse(res, state, 'Custom field reindex started', 202);
+  } catch (error) {
+    console.error('Error starting custom field reindex:', error);
+    return errorResponse(res, error.message || 'Failed to start reindex', error.statusCode || 500);
+  }
+};
+
+// @desc    Progress of a field's reindex
+// @route   GET /api/lead-custom-fields/:id/reindex
+// @access  Private (Super Admin)
+export const getCustomFieldReindexStatus = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT field_key FROM lead_custom_fields WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Custom field not found', 404);
+    }
+    return successResponse(res, getCustomFieldReindexState(rows[0].field_key), 'Reindex status retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting custom field reindex status:', error);
+    return errorResponse(res, error.message || 'Failed to get reindex status', 500);
+  }
+};
@@ -0,0 +1,67 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+import { managerCanAccessLead } from '../utils/managerLeadAccess.util.js';
+import { scheduleLeadScoreRecompute } from '../services/leadScoring.service.js';
+import { getLeadFieldHistory, revertLeadFieldChange } from '../services/leadFieldHistory.service.js';
+
+// @desc    Per-field change history of a lead (old / new value, who, when); ?field=phone or dynamic_fields.<key>
+// @route   GET /api/leads/:leadId/field-history
+// @access  Private (same access as the lead's activity log)
+export const getLeadFieldHistoryHandler = async (req, res) => {
+  try {
+    const { leadId } = req.params;
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+
+    const [leads] = await pool.execute(
+      'SELECT assigned_to, assigned_to_pro FROM leads WHERE id = ? AND deleted_at IS NULL',
+      [leadId]
+    );
+    if (leads.length === 0) {
+      return errorResponse(res, 'Lead not found', 404);
+    }
+
+    const lead = leads[0];
+    const isSuperAdmin = hasElevatedAdminPrivileges(req.user.roleName);
+    const isAdmin = req.user.roleName === 'Admin';
+    const isProViewer = req.user.roleName === 'PRO';
+    const isAssigned = lead.assigned_to === userId || lead.assigned_to_pro === userId;
+    const managerHasLeadAccess =
+      req.user.isManager === true && (await managerCanAccessLead(pool, userId, lead));
+
+    if (!isSuperAdmin && !isAdmin && !isProViewer && !isAssigned && !managerHasLeadAccess) {
+      return errorResponse(res, 'Access denied', 403);
+    }
+
+    const history = await getLeadFieldHistory(pool, leadId, {
+      field: req.query.field,
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    return successResponse(res, history, 'Lead field history retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting lead field history:', error);
+    return errorResponse(res, error.message || 'Failed to get lead field history', error.statusCode || 500);
+  }
+};
+
+// @desc    Restore the value a field had before the given change (logged as its own change)
+// @route   POST /api/leads/:leadId/field-history/:changeId/revert
+// @access  Private (Super Admin)
+export const revertLeadFieldChangeHandler = async (req, res) => {
+  try {
+    const pool = getPool();
+    const { change } = await revertLeadFieldChange(pool, {
+      leadId: req.params.leadId,
+      changeId: req.params.changeId,
+      performedBy: req.user.id || req.user._id,
+    });
+    // Rank, quota or source may have been restored
+    scheduleLeadScoreRecompute(req.params.leadId);
+    return successResponse(res, change, `${change.label} reverted successfully`, 200);
+  } catch (error) {
+    console.error('Error reverting lead field change:', error);
+    return errorResponse(res, error.message || 'Failed to revert field change', error.statusCode || 500);
+  }
+};
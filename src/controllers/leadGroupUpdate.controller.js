@@ -203,6 +203,7 @@ export const executeLeadGroupSync = async (req, res) => {
           SELECT l2.id FROM leads l2
           WHERE TRIM(l2.enquiry_number) = TRIM(s.enquiry_number)
             AND TRIM(l2.name) = TRIM(s.name)
+            AND l2.deleted_at IS NULL
           ORDER BY l2.updated_at DESC
           LIMIT 1
         )
@@ -219,6 +220,7 @@ export const executeLeadGroupSync = async (req, res) => {
         SELECT 1 FROM leads l
         WHERE TRIM(l.enquiry_number) = TRIM(s.enquiry_number)
           AND TRIM(l.name) = TRIM(s.name)
+          AND l.deleted_at IS NULL
       )
       `
     );
@@ -230,6 +232,7 @@ export const executeLeadGroupSync = async (req, res) => {
         SELECT l2.id FROM leads l2
         WHERE TRIM(l2.enquiry_number) = TRIM(s.enquiry_number)
           AND TRIM(l2.name) = TRIM(s.name)
+          AND l2.deleted_at IS NULL
         ORDER BY l2.updated_at DESC
         LIMIT 1
       )
@@ -246,6 +249,7 @@ export const executeLeadGroupSync = async (req, res) => {
         SELECT l2.id FROM leads l2
         WHERE TRIM(l2.enquiry_number) = TRIM(s.enquiry_number)
           AND TRIM(l2.name) = TRIM(s.name)
+          AND l2.deleted_at IS NULL
         ORDER BY l2.updated_at DESC
         LIMIT 1
       )
@@ -0,0 +1,337 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { clearUserAnalyticsCache } from '../utils/userAnalyticsCache.js';
+import {
+  deleteReclamationPolicy,
+  getReclamationPolicy,
+  getReclamationRunTime,
+  listReclamationPolicies,
+  loadActiveReclamationPolicies,
+  normalizeReclamationPolicyInput,
+  saveReclamationPolicy,
+  setReclamationRunTime,
+  validateReclamationDestinations,
+} from '../services/leadReclamationPolicy.service.js';
+import {
+  previewReclamation,
+  reclaimExpiredLeads,
+  rescheduleLeadReclaimer,
+  resolveReclaimCutoff,
+} from '../services/leadReclaimer.service.js';
+import {
+  getReclamationRun,
+  listReclamationRuns,
+  restoreReclaimedLeads,
+} from '../services/leadReclamationRun.service.js';
+
+const isValidYmd = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// @desc    List reclamation policies in evaluation order
+// @route   GET /api/lead-reclamation/policies
+// @access  Private (Super Admin)
+export const getPolicies = async (req, res) => {
+  try {
+    const policies = await listReclamationPolicies(getPool());
+    return successResponse(res, policies, 'Reclamation policies retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting reclamation policies:', error);
+    return errorResponse(res, error.message || 'Failed to get reclamation policies', 500);
+  }
+};
+
+// @desc    Get one reclamation policy
+// @route   GET /api/lead-reclamation/policies/:id
+// @access  Private (Super Admin)
+export const getPolicy = async (req, res) => {
+  try {
+    const policy = await getReclamationPolicy(getPool(), req.params.id);
+    if (!policy) {
+      return errorResponse(res, 'Reclamation policy not found', 404);
+    }
+    return successResponse(res, policy, 'Reclamation policy retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting reclamation policy:', error);
+    return errorResponse(res, error.message || 'Failed to get reclamation policy', 500);
+  }
+};
+
+// @desc    Create a reclamation policy
+// @route   POST /api/lead-reclamation/policies
+// @access  Private (Super Admin)
+export const createPolicy = async (req, res) => {
+  try {
+    const input = normalizeReclamationPolicyInput(req.body || {});
+    const policy = await saveReclamationPolicy(getPool(), null, input, req.user.id || req.user._id);
+    return successResponse(res, policy, 'Reclamation policy created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A reclamation policy with this name already exists', 409);
+    }
+    console.error('Error creating reclamation policy:', error);
+    return errorResponse(res, error.message || 'Failed to create reclamation policy', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a reclamation policy (fields not sent keep their current value)
+// @route   PUT /api/lead-reclamation/policies/:id
+// @access  Private (Super Admin)
+export const updatePolicy = async (req, res) => {
+  try {
+    const pool = getPool();
+    const current = await getReclamationPolicy(pool, req.params.id);
+    if (!current) {
+      return errorResponse(res, 'Reclamation policy not found', 404);
+    }
+    const body = req.body || {};
+    const input = normalizeReclamationPolicyInput({ ...current, ...body, scope: { ...current.scope, ...(body.scope || {}) } });
+    const policy = await saveReclamationPolicy(pool, req.params.id, input, req.user.id || req.user._id);
+    return successResponse(res, policy, 'Reclamation policy updated successfully', 200);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A reclamation policy with this name already exists', 409);
+    }
+    console.error('Error updating reclamation policy:', error);
+    return errorResponse(res, error.message || 'Failed to update reclamation policy', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a reclamation policy (leads it covered fall to the next matching policy, or are left alone)
+// @route   DELETE /api/lead-reclamation/policies/:id
+// @access  Private (Super Admin)
+export const deletePolicy = async (req, res) => {
+  try {
+    const deleted = await deleteReclamationPolicy(getPool(), req.params.id);
+    if (!deleted) {
+      return errorResponse(res, 'Reclamation policy not found', 404);
+    }
+    return successResponse(res, null, 'Reclamation policy deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting reclamation policy:', error);
+    return errorResponse(res, error.message || 'Failed to delete reclamation policy', 500);
+  }
+};
+
+// @desc    Effect of the policies on a cutoff date without reclaiming anything. Optional body.policy is an unsaved
+//          draft evaluated in place of the stored policy with the same id (or added when it has none).
+// @route   POST /api/lead-reclamation/policies/preview  body: { asOf?: YYYY-MM-DD, policy?, limit? }
+// @access  Private (Super Admin)
+export const previewPolicies = async (req, res) => {
+  try {
+    const { asOf, policy: draft, limit } = req.body || {};
+    if (asOf !== undefined && asOf !== null && asOf !== '' && !isValidYmd(asOf)) {
+      return errorResponse(res, 'asOf must be YYYY-MM-DD', 400);
+    }
+    const pool = getPool();
+    let policies = await loadActiveReclamationPolicies(pool);
+
+    if (draft) {
+      const current = draft.id ? await getReclamationPolicy(pool, draft.id) : null;
+      const merged = current
+        ? { ...current, ...draft, scope: { ...current.scope, ...(draft.scope || {}) } }
+        : draft;
+      const input = normalizeReclamationPolicyInput(merged);
+      await validateReclamationDestinations(pool, input);
+      const draftPolicy = { ...input, id: draft.id || null };
+      policies = policies.filter((p) => !draft.id || p.id !== draft.id);
+      if (draftPolicy.isActive) policies.push(draftPolicy);
+      policies.sort((a, b) => a.priority - b.priority || String(a.name).localeCompare(String(b.name)));
+    }
+
+    const preview = await previewReclamation(pool, resolveReclaimCutoff(asOf || undefined), { policies, limit });
+    return successResponse(res, preview, 'Reclamation preview generated successfully', 200);
+  } catch (error) {
+    console.error('Error previewing reclamation policies:', error);
+    return errorResponse(res, error.message || 'Failed to preview reclamation policies', error.statusCode || 500);
+  }
+};
+
+// @desc    Reclaimer run time (HH:MM Asia/Kolkata) and where it comes from (database / env)
+// @route   GET /api/lead-reclamation/settings
+// @access  Private (Super Admin)
+export const getSettings = async (req, res) => {
+  try {
+    const runTime = await getReclamationRunTime(getPool());
+    return successResponse(
+      res,
+      {
+        runTime: `${String(runTime.hour).padStart(2, '0')}:${String(runTime.minute).padStart(2, '0')}`,
+        source: runTime.source,
+      },
+      'Reclamation settings retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error getting reclamation settings:', error);
+    return errorResponse(res, error.message || 'Failed to get reclamation settings', 500);
+  }
+};
+
+// @desc    Change the daily run time; the scheduler picks it up immediately
+// @route   PUT /api/lead-reclamation/settings  body: { runTime: 'HH:MM' }
+// @access  Private (Super Admin)
+export const updateSettings = async (req, res) => {
+  try {
+    const runTime = await setReclamationRunTime(getPool(), req.body?.runTime, req.user.id || req.user._id);
+    await rescheduleLeadReclaimer();
+    return successResponse(
+      res,
+      {
+        runTime: `${String(runTime.hour).padStart(2, '0')}:${String(runTime.minute).padStart(2, '0')}`,
+        source: runTime.source,
+      },
+      'Reclamation settings updated successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error updating reclamation settings:', error);
+    return errorResponse(res, error.message || 'Failed to update reclamation settings', error.statusCode || 500);
+  }
+};
+
+// @desc    What the active policies would reclaim for a cutoff date (default: today IST); nothing is changed
+// @route   GET /api/lead-reclamation/dry-run?asOf=YYYY-MM-DD&limit=
+// @access  Private (Super Admin)
+export const dryRunReclamation = async (req, res) => {
+  try {
+    const { asOf, limit } = req.query;
+    if (asOf && !isValidYmd(asOf)) {
+      return errorResponse(res, 'asOf must be YYYY-MM-DD', 400);
+    }
+    const preview = await previewReclamation(getPool(), resolveReclaimCutoff(asOf || undefined), { limit });
+    return successResponse(res, preview, 'Reclamation dry run generated successfully', 200);
+  } catch (error) {
+    console.error('Error running reclamation dry run:', error);
+    return errorResponse(res, error.message || 'Failed to run reclamation dry run', error.statusCode || 500);
+  }
+};
+
+// @desc    Run the reclaimer now for a cutoff date (default: today IST); stored as a 'manual' run
+// @route   POST /api/lead-reclamation/runs  body: { asOf?: YYYY-MM-DD }
+// @access  Private (Super Admin)
+export const runReclamationNow = async (req, res) => {
+  try {
+    const { asOf } = req.body || {};
+    if (asOf && !isValidYmd(asOf)) {
+      return errorResponse(res, 'asOf must be YYYY-MM-DD', 400);
+    }
+    const result = await reclaimExpiredLeads(asOf || undefined, {
+      trigger: 'manual',
+      triggeredBy: req.user.id || req.user._id,
+    });
+    clearUserAnalyticsCache();
+    return successResponse(
+      res,
+      result,
+      `Reclaimed ${result.reclaimedCount} slot${result.reclaimedCount !== 1 ? 's' : ''} on ${result.reclaimedLeads} lead${result.reclaimedLeads !== 1 ? 's' : ''}`,
+      200
+    );
+  } catch (error) {
+    console.error('Error running lead reclamation:', error);
+    return errorResponse(res, error.message || 'Failed to run lead reclamation', error.statusCode || 500);
+  }
+};
+
+// @desc    Reclaimer runs, newest first (?status=running|completed|failed, ?trigger=scheduled|manual, ?from=, ?to=, page, limit)
+// @route   GET /api/lead-reclamation/runs
+// @access  Private (Super Admin)
+export const getRuns = async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isValidYmd(from)) || (to && !isValidYmd(to))) {
+      return errorResponse(res, 'from and to must be YYYY-MM-DD', 400);
+    }
+    const result = await listReclamationRuns(getPool(), {
+      status: req.query.status,
+      trigger: req.query.trigger,
+      from,
+      to,
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    return successResponse(res, result, 'Reclamation runs retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting reclamation runs:', error);
+    return errorResponse(res, error.message || 'Failed to get reclamation runs', 500);
+  }
+};
+
+// @desc    One run with its reclaimed slots (?role=counsellor|pro, ?restored=true|false, page, limit)
+// @route   GET /api/lead-reclamation/runs/:runId
+// @access  Private (Super Admin)
+export const getRun = async (req, res) => {
+  try {
+    const run = await getReclamationRun(getPool(), req.params.runId, {
+      role: req.query.role,
+      restored: req.query.restored,
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    if (!run) {
+      return errorResponse(res, 'Reclamation run not found', 404);
+    }
+    return successResponse(res, run, 'Reclamation run retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting reclamation run:', error);
+    return errorResponse(res, error.message || 'Failed to get reclamation run', 500);
+  }
+};
+
+const sendRestoreResult = (res, result) => {
+  clearUserAnalyticsCache();
+  const skippedNote = result.skipped.length > 0 ? `; ${result.skipped.length} skipped` : '';
+  return successResponse(
+    res,
+    result,
+    `Restored ${result.restored.length} slot${result.restored.length !== 1 ? 's' : ''}${skippedNote}`,
+    200
+  );
+};
+
+// @desc    Give a run's reclaimed slots back to their previous assignee (all, or only body.leadIds)
+// @route   POST /api/lead-reclamation/runs/:runId/restore  body: { leadIds?: string[], targetDate?: YYYY-MM-DD }
+// @access  Private (Super Admin)
+export const restoreRun = async (req, res) => {
+  try {
+    const { leadIds, targetDate } = req.body || {};
+    if (leadIds !== undefined && !Array.isArray(leadIds)) {
+      return errorResponse(res, 'leadIds must be an array', 400);
+    }
+    if (targetDate && !isValidYmd(targetDate)) {
+      return errorResponse(res, 'targetDate must be YYYY-MM-DD', 400);
+    }
+    const result = await restoreReclaimedLeads(getPool(), {
+      runId: req.params.runId,
+      leadIds,
+      targetDate: targetDate || null,
+      performedBy: req.user.id || req.user._id,
+    });
+    return sendRestoreResult(res, result);
+  } catch (error) {
+    console.error('Error restoring reclamation run:', error);
+    return errorResponse(res, error.message || 'Failed to restore reclamation run', error.statusCode || 500);
+  }
+};
+
+// @desc    Undo the latest reclaim of the given leads, whichever run (or pre-history reclaim) it came from
+// @route   POST /api/lead-reclamation/restore  body: { leadIds: string[], targetDate?: YYYY-MM-DD }
+// @access  Private (Super Admin)
+export const restoreLeads = async (req, res) => {
+  try {
+    const { leadIds, targetDate } = req.body || {};
+    if (!Array.isArray(leadIds) || leadIds.length === 0) {
+      return errorResponse(res, 'leadIds must be a non-empty array', 400);
+    }
+    if (targetDate && !isValidYmd(targetDate)) {
+      return errorResponse(res, 'targetDate must be YYYY-MM-DD', 400);
+    }
+    const result = await restoreReclaimedLeads(getPool(), {
+      leadIds,
+      targetDate: targetDate || null,
+      performedBy: req.user.id || req.user._id,
+    });
+    return sendRestoreResult(res, result);
+  } catch (error) {
+    console.error('Error restoring reclaimed leads:', error);
+    return errorResponse(res, error.message || 'Failed to restore reclaimed leads', error.statusCode || 500);
+  }
+};
@@ -1,5 +1,10 @@
 import { getPool } from '../config-sql/database.js';
 import { findBestMatch, similarity } from '../utils/fuzzyMatch.util.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { mergeLeads } from '../services/leadMerge.service.js';
+import { findDuplicateLeadCandidates } from '../services/leadDuplicateMatch.service.js';
+import { scheduleLeadScoreRecompute } from '../services/leadScoring.service.js';
+import { diffLeadFields, recordLeadFieldChanges } from '../services/leadFieldHistory.service.js';
 
 // Internal Helpers for Location/Duplicate Reports
 const norm = (s) => (s == null || s === '' ? '' : String(s).trim().replace(/\s+/g, ' ').toLowerCase());
@@ -61,7 +66,7 @@ export const getMismatchedLeadsReport = async (req, res) => {
       SELECT id, name, phone, state, district, mandal, needs_manual_update, enquiry_number, inter_college
       FROM leads 
       WHERE student_group IN (${groups.map(() => '?').join(',')})
-        AND academic_year = ?
+        AND academic_year = ? AND deleted_at IS NULL
     `;
     const params = [...groups, year];
     
@@ -401,7 +406,7 @@ export const getDuplicateLeadsReport = async (req, res) => {
       SELECT id, name, phone, father_phone, alternate_mobile, enquiry_number, father_name, district, mandal, created_at, updated_at, source, lead_status, inter_college
       FROM leads
       WHERE student_group IN (${groups.map(() => '?').join(',')})
-        AND academic_year = ?
+        AND academic_year = ? AND deleted_at IS NULL
     `, [...groups, year]);
 
     // 2. Build a map of Phone Number -> List of Leads
@@ -833,14 +838,23 @@ export const updateLeadPhone = async (req, res) => {
   }
 
   try {
-    const [result] = await pool.execute(
+    const [before] = await pool.execute(`SELECT ${field} FROM leads WHERE id = ? AND deleted_at IS NULL`, [id]);
+    if (before.length === 0) {
+      return res.status(404).json({ success: false, message: 'Lead not found' });
+    }
+
+    await pool.execute(
       `UPDATE leads SET ${field} = ?, updated_at = NOW() WHERE id = ?`,
       [value, id]
     );
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Lead not found' });
-    }
+    // Report edits are unauthenticated: the history row has no changed_by (and no activity log)
+    await recordLeadFieldChanges(pool, {
+      leadId: id,
+      changes: diffLeadFields(before[0], { [field]: value }),
+      changedBy: req.user?.id || null,
+      source: 'phone_report',
+    });
 
     return res.json({ success: true, message: 'Phone number updated successfully' });
   } catch (error) {
@@ -848,3 +862,86 @@ export const updateLeadPhone = async (req, res) => {
     return res.status(500).json({ success: false, message: error.message });
   }
 };
+
+/**
+ * @desc    Merge duplicate leads into a surviving lead (call history, logs and joining move to the survivor)
+ * @route   POST /api/leads/merge
+ * @access  Private (Super Admin)
+ * @body    { survivorId: string, duplicateIds: string[], comment?: string }
+ */
+export const mergeDuplicateLeads = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds, comment } = req.body || {};
+    const pool = getPool();
+    const result = await mergeLeads(pool, {
+      survivorId,
+      duplicateIds,
+      comment,
+      performedBy: req.user.id || req.user._id,
+    });
+    scheduleLeadScoreRecompute(result.survivorId);
+    return successResponse(
+      res,
+      result,
+      `Merged ${result.mergedLeadIds.length} duplicate lead(s) into ${survivorId}`,
+      200
+    );
+  } catch (error) {
+    console.error('Merge Leads Error:', error);
+    return errorResponse(res, error.message || 'Failed to merge leads', error.statusCode || 500);
+  }
+};
+
+/**
+ * @desc    Check a lead payload against existing leads before saving (same matcher as create / upload)
+ * @route   POST /api/leads/duplicates/check
+ * @access  Private (Super Admin)
+ * @body    { name, phone, alternateMobile?, fatherPhone?, hallTicketNumber?, village?, mandal?, excludeLeadId? }
+ */
+export const checkLeadDuplicates = async (req, res) => {
+  try {
+    const { name, phone, alternateMobile, fatherPhone, hallTicketNumber, village, mandal, excludeLeadId } =
+      req.body || {};
+    if (!phone && !fatherPhone && !alternateMobile && !hallTicketNumber && !(name && village)) {
+      return errorResponse(res, 'Provide a phone number, hall ticket number, or name and village to check', 400);
+    }
+    const pool = getPool();
+    const matches = await findDuplicateLeadCandidates(
+      pool,
+      { name, phone, alternateMobile, fatherPhone, hallTicketNumber, village, mandal },
+      { excludeLeadId }
+    );
+    return successResponse(
+      res,
+      { hasDuplicates: matches.length > 0, duplicates: matches },
+      matches.length > 0 ? `Found ${matches.length} possible duplicate(s)` : 'No duplicates found',
+      200
+    );
+  } catch (error) {
+    console.error('Check Lead Duplicates Error:', error);
+    return errorResponse(res, error.message || 'Failed to check duplicates', 500);
+  }
+};
+
+/**
+ * @desc    Clear the possible-duplicate flag on a lead after review ("not a duplicate")
+ * @route   DELETE /api/leads/:id/duplicate-flag
+ * @access  Private (Super Admin)
+ */
+export const dismissDuplicateFlag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const pool = getPool();
+    const [result] = await pool.execute(
+      'UPDATE leads SET possible_duplicate_of = NULL, duplicate_match_reasons = NULL, updated_at = NOW() WHERE id = ? AND possible_duplicate_of IS NOT NULL',
+      [id]
+    );
+    if (result.affectedRows === 0) {
+      return errorResponse(res, 'Lead not found or not flagged as a possible duplicate', 404);
+    }
+    return successResponse(res, { id }, 'Duplicate flag cleared', 200);
+  } catch (error) {
+    console.error('Dismiss Duplicate Flag Error:', error);
+    return errorResponse(res, error.message || 'Failed to clear duplicate flag', 500);
+  }
+};
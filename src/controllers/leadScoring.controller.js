@@ -0,0 +1,189 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { managerCanAccessLead } from '../utils/managerLeadAccess.util.js';
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+import {
+  SCORING_OPERATORS,
+  SCORING_SIGNALS,
+  formatScoringRule,
+  getFullRecomputeState,
+  invalidateScoringRulesCache,
+  normalizeScoringRuleInput,
+  recomputeLeadScore,
+  startFullLeadScoreRecompute,
+} from '../services/leadScoring.service.js';
+
+// @desc    List signals and operators a scoring rule can use
+// @route   GET /api/lead-scoring/signals
+// @access  Private (Super Admin)
+export const getScoringSignals = async (req, res) => {
+  const signals = Object.entries(SCORING_SIGNALS).map(([key, def]) => ({
+    key,
+    label: def.label,
+    type: def.type,
+    operators: SCORING_OPERATORS[def.type],
+  }));
+  return successResponse(res, signals, 'Scoring signals retrieved successfully', 200);
+};
+
+// @desc    List scoring rules
+// @route   GET /api/lead-scoring/rules
+// @access  Private (Super Admin)
+export const getScoringRules = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      'SELECT * FROM lead_scoring_rules ORDER BY sort_order ASC, created_at ASC'
+    );
+    return successResponse(res, rows.map(formatScoringRule), 'Scoring rules retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting scoring rules:', error);
+    return errorResponse(res, error.message || 'Failed to get scoring rules', 500);
+  }
+};
+
+// @desc    Create a scoring rule
+// @route   POST /api/lead-scoring/rules
+// @access  Private (Super Admin)
+export const createScoringRule = async (req, res) => {
+  try {
+    const rule = normalizeScoringRuleInput(req.body);
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO lead_scoring_rules (
+        id, name, description, signal_key, operator, value, points, is_active, sort_order,
+        created_by, updated_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        id,
+        rule.name,
+        rule.description,
+        rule.signal,
+        rule.operator,
+        JSON.stringify(rule.value),
+        rule.points,
+        rule.isActive ? 1 : 0,
+        rule.sortOrder,
+        userId,
+        userId,
+      ]
+    );
+    invalidateScoringRulesCache();
+    const [rows] = await pool.execute('SELECT * FROM lead_scoring_rules WHERE id = ?', [id]);
+    return successResponse(res, formatScoringRule(rows[0]), 'Scoring rule created. Run a recompute to re-score existing leads.', 201);
+  } catch (error) {
+    console.error('Error creating scoring rule:', error);
+    return errorResponse(res, error.message || 'Failed to create scoring rule', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a scoring rule (fields not sent keep their current value)
+// @route   PUT /api/lead-scoring/rules/:id
+// @access  Private (Super Admin)
+export const updateScoringRule = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM lead_scoring_rules WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Scoring rule not found', 404);
+    }
+    const current = formatScoringRule(rows[0]);
+    const rule = normalizeScoringRuleInput({ ...current, ...req.body });
+    await pool.execute(
+      `UPDATE lead_scoring_rules SET
+        name = ?, description = ?, signal_key = ?, operator = ?, value = ?, points = ?,
+        is_active = ?, sort_order = ?, updated_by = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        rule.name,
+        rule.description,
+        rule.signal,
+        rule.operator,
+        JSON.stringify(rule.value),
+        rule.points,
+        rule.isActive ? 1 : 0,
+        rule.sortOrder,
+        req.user.id || req.user._id,
+        req.params.id,
+      ]
+    );
+    invalidateScoringRulesCache();
+    const [updated] = await pool.execute('SELECT * FROM lead_scoring_rules WHERE id = ?', [req.params.id]);
+    return successResponse(res, formatScoringRule(updated[0]), 'Scoring rule updated. Run a recompute to re-score existing leads.', 200);
+  } catch (error) {
+    console.error('Error updating scoring rule:', error);
+    return errorResponse(res, error.message || 'Failed to update scoring rule', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a scoring rule
+// @route   DELETE /api/lead-scoring/rules/:id
+// @access  Private (Super Admin)
+export const deleteScoringRule = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [result] = await pool.execute('DELETE FROM lead_scoring_rules WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return errorResponse(res, 'Scoring rule not found', 404);
+    }
+    invalidateScoringRulesCache();
+    return successResponse(res, { id: req.params.id }, 'Scoring rule deleted. Run a recompute to re-score existing leads.', 200);
+  } catch (error) {
+    console.error('Error deleting scoring rule:', error);
+    return errorResponse(res, error.message || 'Failed to delete scoring rule', 500);
+  }
+};
+
+// @desc    Re-score one lead now and return the signals and matched rules
+// @route   POST /api/lead-scoring/leads/:leadId/recompute
+// @access  Private
+export const recomputeSingleLeadScore = async (req, res) => {
+  try {
+    const pool = getPool();
+    const { leadId } = req.params;
+    const userId = req.user.id || req.user._id;
+    const [leads] = await pool.execute(
+      'SELECT id, assigned_to, assigned_to_pro FROM leads WHERE id = ? AND deleted_at IS NULL',
+      [leadId]
+    );
+    if (leads.length === 0) {
+      return errorResponse(res, 'Lead not found', 404);
+    }
+    const lead = leads[0];
+    if (!hasElevatedAdminPrivileges(req.user.roleName)) {
+      const isOwner = lead.assigned_to === userId || lead.assigned_to_pro === userId;
+      const managerAccess = req.user.isManager ? await managerCanAccessLead(pool, userId, lead) : false;
+      if (!isOwner && !managerAccess) {
+        return errorResponse(res, 'Access denied', 403);
+      }
+    }
+    const result = await recomputeLeadScore(pool, leadId);
+    return successResponse(res, result, 'Lead score recomputed', 200);
+  } catch (error) {
+    console.error('Error recomputing lead score:', error);
+    return errorResponse(res, error.message || 'Failed to recompute lead score', 500);
+  }
+};
+
+// @desc    Start a background re-score of every lead (after rule changes)
+// @route   POST /api/lead-scoring/recompute
+// @access  Private (Super Admin)
+export const startScoreRecompute = async (req, res) => {
+  try {
+    const state = startFullLeadScoreRecompute(req.user.id || req.user._id);
+    return successResponse(res, state, 'Lead score recompute started', 202);
+  } catch (error) {
+    console.error('Error starting lead score recompute:', error);
+    return errorResponse(res, error.message || 'Failed to start recompute', error.statusCode || 500);
+  }
+};
+
+// @desc    Progress of the background re-score
+// @route   GET /api/lead-scoring/recompute
+// @access  Private (Super Admin)
+export const getScoreRecomputeStatus = async (req, res) => {
+  return successResponse(res, getFullRecomputeState(), 'Recompute status retrieved successfully', 200);
+};
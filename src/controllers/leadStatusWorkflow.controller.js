@@ -0,0 +1,221 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+import { LEAD_STATUS_PRIORITY } from '../utils/leadChannelStatus.util.js';
+import {
+  DEFAULT_STATUS_CATALOG,
+  STATUS_CHANNELS,
+  assertAllowedNextExist,
+  formatLeadStatusEntry,
+  getNextStatusOptions,
+  invalidateStatusCatalogCache,
+  loadStatusCatalog,
+  normalizeLeadStatusInput,
+} from '../services/leadStatusWorkflow.service.js';
+
+const countLeadsUsingStatus = async (pool, channel, name) => {
+  // channel is whitelisted by STATUS_CHANNELS before it reaches SQL
+  const [rows] = await pool.execute(`SELECT COUNT(*) AS total FROM leads WHERE ${channel} = ?`, [name]);
+  return Number(rows[0]?.total || 0);
+};
+
+// @desc    Status catalog, grouped by channel (inactive entries only for admins)
+// @route   GET /api/lead-statuses?channel=call_status
+// @access  Private
+export const getLeadStatusCatalog = async (req, res) => {
+  try {
+    const pool = getPool();
+    const includeInactive = hasElevatedAdminPrivileges(req.user.roleName) && req.query.includeInactive === 'true';
+    const channel = req.query.channel ? String(req.query.channel).trim() : null;
+    if (channel && !STATUS_CHANNELS.includes(channel)) {
+      return errorResponse(res, `channel must be one of: ${STATUS_CHANNELS.join(', ')}`, 400);
+    }
+    const statuses = (await loadStatusCatalog(pool)).filter(
+      (s) => (includeInactive || s.isActive) && (!channel || s.channel === channel)
+    );
+    const byChannel = Object.fromEntries(
+      STATUS_CHANNELS.filter((c) => !channel || c === channel).map((c) => [c, statuses.filter((s) => s.channel === c)])
+    );
+    return successResponse(
+      res,
+      { channels: byChannel, canonicalStatuses: LEAD_STATUS_PRIORITY },
+      'Status catalog retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error getting status catalog:', error);
+    return errorResponse(res, error.message || 'Failed to get status catalog', 500);
+  }
+};
+
+// @desc    Statuses reachable from the current value (for status pickers)
+// @route   GET /api/lead-statuses/next?channel=call_status&from=Interested
+// @access  Private
+export const getNextLeadStatuses = async (req, res) => {
+  try {
+    const channel = String(req.query.channel || '').trim();
+    if (!STATUS_CHANNELS.includes(channel)) {
+      return errorResponse(res, `channel must be one of: ${STATUS_CHANNELS.join(', ')}`, 400);
+    }
+    const options = await getNextStatusOptions(getPool(), channel, req.query.from || null);
+    return successResponse(res, options, 'Next statuses retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting next statuses:', error);
+    return errorResponse(res, error.message || 'Failed to get next statuses', 500);
+  }
+};
+
+// @desc    Add a status to a channel's catalog
+// @route   POST /api/lead-statuses
+// @access  Private (Super Admin)
+export const createLeadStatus = async (req, res) => {
+  try {
+    const entry = normalizeLeadStatusInput(req.body);
+    const pool = getPool();
+    assertAllowedNextExist(await loadStatusCatalog(pool), entry);
+    const id = uuidv4();
+    const userId = req.user.id || req.user._id;
+    await pool.execute(
+      `INSERT INTO lead_statuses (
+        id, channel, name, canonical_status, allowed_next, requires_comment, is_active, color, sort_order,
+        created_by, updated_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        id,
+        entry.channel,
+        entry.name,
+        entry.canonicalStatus,
+        entry.allowedNext ? JSON.stringify(entry.allowedNext) : null,
+        entry.requiresComment ? 1 : 0,
+        entry.isActive ? 1 : 0,
+        entry.color,
+        entry.sortOrder,
+        userId,
+        userId,
+      ]
+    );
+    invalidateStatusCatalogCache();
+    await loadStatusCatalog(pool);
+    const [rows] = await pool.execute('SELECT * FROM lead_statuses WHERE id = ?', [id]);
+    return successResponse(res, formatLeadStatusEntry(rows[0]), 'Status created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'This status already exists for the channel', 409);
+    }
+    console.error('Error creating status:', error);
+    return errorResponse(res, error.message || 'Failed to create status', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a status (fields not sent keep their current value). Renaming is blocked while leads use it.
+// @route   PUT /api/lead-statuses/:id
+// @access  Private (Super Admin)
+export const updateLeadStatusEntry = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM lead_statuses WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Status not found', 404);
+    }
+    const current = formatLeadStatusEntry(rows[0]);
+    const entry = normalizeLeadStatusInput({ ...current, ...req.body, channel: current.channel });
+    if (entry.name !== current.name) {
+      const inUse = await countLeadsUsingStatus(pool, current.channel, current.name);
+      if (inUse > 0) {
+        return errorResponse(
+          res,
+          `${inUse} lead(s) still have ${current.channel} "${current.name}". Add the new status and deactivate this one instead.`,
+          409
+        );
+      }
+    }
+    assertAllowedNextExist(await loadStatusCatalog(pool), entry);
+    await pool.execute(
+      `UPDATE lead_statuses SET
+        name = ?, canonical_status = ?, allowed_next = ?, requires_comment = ?, is_active = ?, color = ?,
+        sort_order = ?, updated_by = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        entry.name,
+        entry.canonicalStatus,
+        entry.allowedNext ? JSON.stringify(entry.allowedNext) : null,
+        entry.requiresComment ? 1 : 0,
+        entry.isActive ? 1 : 0,
+        entry.color,
+        entry.sortOrder,
+        req.user.id || req.user._id,
+        req.params.id,
+      ]
+    );
+    invalidateStatusCatalogCache();
+    await loadStatusCatalog(pool);
+    const [updated] = await pool.execute('SELECT * FROM lead_statuses WHERE id = ?', [req.params.id]);
+    return successResponse(res, formatLeadStatusEntry(updated[0]), 'Status updated successfully', 200);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'This status already exists for the channel', 409);
+    }
+    console.error('Error updating status:', error);
+    return errorResponse(res, error.message || 'Failed to update status', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a status that no lead uses (deactivate it otherwise)
+// @route   DELETE /api/lead-statuses/:id
+// @access  Private (Super Admin)
+export const deleteLeadStatusEntry = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM lead_statuses WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Status not found', 404);
+    }
+    const entry = formatLeadStatusEntry(rows[0]);
+    const inUse = await countLeadsUsingStatus(pool, entry.channel, entry.name);
+    if (inUse > 0) {
+      return errorResponse(res, `${inUse} lead(s) still have this status. Deactivate it instead.`, 409);
+    }
+    await pool.execute('DELETE FROM lead_statuses WHERE id = ?', [req.params.id]);
+    invalidateStatusCatalogCache();
+    await loadStatusCatalog(pool);
+    return successResponse(res, { id: req.params.id }, 'Status deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting status:', error);
+    return errorResponse(res, error.message || 'Failed to delete status', 500);
+  }
+};
+
+// @desc    Install the built-in statuses for a channel that has no catalog yet (turns on validation for it)
+// @route   POST /api/lead-statuses/seed-defaults
+// @access  Private (Super Admin)
+export const seedDefaultLeadStatuses = async (req, res) => {
+  try {
+    const channel = String(req.body.channel || '').trim();
+    if (!STATUS_CHANNELS.includes(channel)) {
+      return errorResponse(res, `channel must be one of: ${STATUS_CHANNELS.join(', ')}`, 400);
+    }
+    const pool = getPool();
+    const existing = (await loadStatusCatalog(pool)).filter((s) => s.channel === channel);
+    if (existing.length > 0) {
+      return errorResponse(res, `${channel} already has ${existing.length} status(es)`, 409);
+    }
+    const userId = req.user.id || req.user._id;
+    const defaults = DEFAULT_STATUS_CATALOG[channel];
+    for (const [index, item] of defaults.entries()) {
+      await pool.execute(
+        `INSERT INTO lead_statuses (
+          id, channel, name, canonical_status, allowed_next, requires_comment, is_active, color, sort_order,
+          created_by, updated_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, NULL, 0, 1, NULL, ?, ?, ?, NOW(), NOW())`,
+        [uuidv4(), channel, item.name, item.canonicalStatus, (index + 1) * 10, userId, userId]
+      );
+    }
+    invalidateStatusCatalogCache();
+    const statuses = (await loadStatusCatalog(pool)).filter((s) => s.channel === channel);
+    return successResponse(res, statuses, `Default ${channel} statuses installed`, 201);
+  } catch (error) {
+    console.error('Error seeding statuses:', error);
+    return errorResponse(res, error.message || 'Failed to seed statuses', 500);
+  }
+};
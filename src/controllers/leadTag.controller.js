@@ -0,0 +1,250 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+import { managerCanAccessLead } from '../utils/managerLeadAccess.util.js';
+import { buildLeadFilterConditions } from '../services/leadFilter.service.js';
+import { loadCustomFieldsForQuery } from '../services/leadCustomField.service.js';
+import {
+  applyTagChange,
+  formatTag,
+  loadTagsForLeads,
+  normalizeTagInput,
+  resolveTags,
+} from '../services/leadTag.service.js';
+
+/** Upper bound for one bulk tag / untag request (filter or ID list). */
+const MAX_BULK_TAG_LEADS = Number(process.env.MAX_BULK_TAG_LEADS || 50000);
+
+const canAccessLead = async (pool, user, leadId) => {
+  const [leads] = await pool.execute('SELECT id, assigned_to, assigned_to_pro FROM leads WHERE id = ? AND deleted_at IS NULL', [leadId]);
+  if (leads.length === 0) return null;
+  const lead = leads[0];
+  if (hasElevatedAdminPrivileges(user.roleName) || user.roleName === 'Admin') return lead;
+  const userId = user.id || user._id;
+  if (lead.assigned_to === userId || lead.assigned_to_pro === userId) return lead;
+  if (user.isManager && (await managerCanAccessLead(pool, userId, lead))) return lead;
+  return false;
+};
+
+// @desc    List tags with lead counts
+// @route   GET /api/lead-tags
+// @access  Private
+export const getTags = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute(
+      `SELECT lt.*, (SELECT COUNT(*) FROM lead_tag_assignments lta WHERE lta.tag_id = lt.id) AS lead_count
+       FROM lead_tags lt
+       ORDER BY lt.name ASC`
+    );
+    return successResponse(res, rows.map(formatTag), 'Tags retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting tags:', error);
+    return errorResponse(res, error.message || 'Failed to get tags', 500);
+  }
+};
+
+// @desc    Create a tag
+// @route   POST /api/lead-tags
+// @access  Private (Super Admin)
+export const createTag = async (req, res) => {
+  try {
+    const tag = normalizeTagInput(req.body);
+    const pool = getPool();
+    const id = uuidv4();
+    const userId = req.user.id || req.user._id;
+    await pool.execute(
+      `INSERT INTO lead_tags (id, name, color, description, created_by, updated_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [id, tag.name, tag.color, tag.description, userId, userId]
+    );
+    const [rows] = await pool.execute('SELECT * FROM lead_tags WHERE id = ?', [id]);
+    return successResponse(res, formatTag(rows[0]), 'Tag created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A tag with this name already exists', 409);
+    }
+    console.error('Error creating tag:', error);
+    return errorResponse(res, error.message || 'Failed to create tag', error.statusCode || 500);
+  }
+};
+
+// @desc    Rename / recolour a tag (fields not sent keep their current value)
+// @route   PUT /api/lead-tags/:id
+// @access  Private (Super Admin)
+export const updateTag = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT * FROM lead_tags WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Tag not found', 404);
+    }
+    const tag = normalizeTagInput({ ...formatTag(rows[0]), ...req.body });
+    await pool.execute(
+      `UPDATE lead_tags SET name = ?, color = ?, description = ?, updated_by = ?, updated_at = NOW() WHERE id = ?`,
+      [tag.name, tag.color, tag.description, req.user.id || req.user._id, req.params.id]
+    );
+    const [updated] = await pool.execute('SELECT * FROM lead_tags WHERE id = ?', [req.params.id]);
+    return successResponse(res, formatTag(updated[0]), 'Tag updated successfully', 200);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A tag with this name already exists', 409);
+    }
+    console.error('Error updating tag:', error);
+    return errorResponse(res, error.message || 'Failed to update tag', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a tag (removes it from every lead; past activity logs keep the name)
+// @route   DELETE /api/lead-tags/:id
+// @access  Private (Super Admin)
+export const deleteTag = async (req, res) => {
+  try {
+    const pool = getPool();
+    const [rows] = await pool.execute('SELECT id FROM lead_tags WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Tag not found', 404);
+    }
+    const [result] = await pool.execute('DELETE FROM lead_tag_assignments WHERE tag_id = ?', [req.params.id]);
+    await pool.execute('DELETE FROM lead_tags WHERE id = ?', [req.params.id]);
+    return successResponse(
+      res,
+      { id: req.params.id, untaggedLeads: result.affectedRows || 0 },
+      'Tag deleted successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    return errorResponse(res, error.message || 'Failed to delete tag', 500);
+  }
+};
+
+// @desc    Tags of one lead
+// @route   GET /api/lead-tags/leads/:leadId
+// @access  Private
+export const getLeadTags = async (req, res) => {
+  try {
+    const pool = getPool();
+    const lead = await canAccessLead(pool, req.user, req.params.leadId);
+    if (lead === null) {
+      return errorResponse(res, 'Lead not found', 404);
+    }
+    if (lead === false) {
+      return errorResponse(res, 'Access denied', 403);
+    }
+    const byLead = await loadTagsForLeads(pool, [req.params.leadId]);
+    return successResponse(res, byLead.get(req.params.leadId) || [], 'Lead tags retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting lead tags:', error);
+    return errorResponse(res, error.message || 'Failed to get lead tags', 500);
+  }
+};
+
+// @desc    Add and/or remove tags on one lead
+// @route   PUT /api/lead-tags/leads/:leadId   body: { add?: [idOrName], remove?: [idOrName] }
+// @access  Private
+export const updateLeadTags = async (req, res) => {
+  try {
+    const pool = getPool();
+    const { leadId } = req.params;
+    const lead = await canAccessLead(pool, req.user, leadId);
+    if (lead === null) {
+      return errorResponse(res, 'Lead not found', 404);
+    }
+    if (lead === false) {
+      return errorResponse(res, 'Access denied', 403);
+    }
+    const add = Array.isArray(req.body.add) ? req.body.add : [];
+    const remove = Array.isArray(req.body.remove) ? req.body.remove : [];
+    if (add.length === 0 && remove.length === 0) {
+      return errorResponse(res, 'Provide tags to add and/or remove', 400);
+    }
+    const performedBy = req.user.id || req.user._id;
+    if (add.length > 0) {
+      await applyTagChange(pool, { action: 'add', leadIds: [leadId], tags: await resolveTags(pool, add), performedBy });
+    }
+    if (remove.length > 0) {
+      await applyTagChange(pool, {
+        action: 'remove',
+        leadIds: [leadId],
+        tags: await resolveTags(pool, remove),
+        performedBy,
+      });
+    }
+    const byLead = await loadTagsForLeads(pool, [leadId]);
+    return successResponse(res, byLead.get(leadId) || [], 'Lead tags updated successfully', 200);
+  } catch (error) {
+    console.error('Error updating lead tags:', error);
+    return errorResponse(res, error.message || 'Failed to update lead tags', error.statusCode || 500);
+  }
+};
+
+// @desc    Tag or untag many leads, chosen by ID list or by the lead list filters (same as GET /api/leads/ids)
+// @route   POST /api/lead-tags/bulk   body: { action: 'add'|'remove', tags: [idOrName], leadIds?: [], filters?: {} }
+// @access  Private (only leads the caller can see are changed)
+export const bulkTagLeads = async (req, res) => {
+  try {
+    const { action, tags: tagRefs, leadIds, filters } = req.body;
+    if (action !== 'add' && action !== 'remove') {
+      return errorResponse(res, 'action must be add or remove', 400);
+    }
+    const hasIdList = Array.isArray(leadIds) && leadIds.length > 0;
+    const filterQuery = filters && typeof filters === 'object' && !Array.isArray(filters) ? filters : {};
+    if (!hasIdList && Object.keys(filterQuery).length === 0) {
+      return errorResponse(res, 'Provide leadIds or at least one filter', 400);
+    }
+
+    const pool = getPool();
+    const tags = await resolveTags(pool, tagRefs);
+
+    // Same filter + access-control logic as the lead list; an ID list is narrowed by it too
+    const filterReq = { query: filterQuery, user: req.user };
+    const customFields = await loadCustomFieldsForQuery(pool, filterQuery);
+    const { conditions, params } = buildLeadFilterConditions(filterReq, 'l', { customFields });
+    if (hasIdList) {
+      const validIds = [...new Set(leadIds.filter((id) => id && typeof id === 'string' && id.length === 36))];
+      if (validIds.length === 0) {
+        return errorResponse(res, 'No valid lead IDs provided', 400);
+      }
+      if (validIds.length > MAX_BULK_TAG_LEADS) {
+        return errorResponse(res, `At most ${MAX_BULK_TAG_LEADS} leads can be tagged per request`, 400);
+      }
+      conditions.push(`l.id IN (${validIds.map(() => '?').join(',')})`);
+      params.push(...validIds);
+    }
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const [rows] = await pool.execute(
+      `SELECT l.id FROM leads l ${whereClause} ORDER BY l.id ASC LIMIT ${Number(MAX_BULK_TAG_LEADS) + 1}`,
+      params
+    );
+    if (rows.length > MAX_BULK_TAG_LEADS) {
+      return errorResponse(
+        res,
+        `More than ${MAX_BULK_TAG_LEADS} leads match; narrow the filters and run the tagging in parts`,
+        400
+      );
+    }
+
+    const result = await applyTagChange(pool, {
+      action,
+      leadIds: rows.map((r) => r.id),
+      tags,
+      performedBy: req.user.id || req.user._id,
+    });
+    return successResponse(
+      res,
+      {
+        action,
+        tags: tags.map((t) => ({ id: t.id, name: t.name })),
+        matched: rows.length,
+        ...result,
+      },
+      action === 'add' ? 'Leads tagged successfully' : 'Leads untagged successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error bulk tagging leads:', error);
+    return errorResponse(res, error.message || 'Failed to update lead tags', error.statusCode || 500);
+  }
+};
@@ -9,6 +9,19 @@ import { successResponse, errorResponse } from '../utils/response.util.js';
 import { findBestMatch } from '../utils/fuzzyMatch.util.js';
 import { v4 as uuidv4 } from 'uuid';
 import { canonicalizeLeadStatus } from '../utils/leadChannelStatus.util.js';
+import {
+  attachEnquiryTouch,
+  buildDuplicateRejectMessage,
+  evaluateLeadDuplicate,
+  getDuplicateMatchKeys,
+  resolveDuplicatePolicy,
+} from '../services/leadDuplicateMatch.service.js';
+import {
+  applyCustomFieldRules,
+  loadCustomFields,
+  syncLeadCustomFieldValues,
+} from '../services/leadCustomField.service.js';
+import { autoAssignLeadsToTerritories, notifyTerritoryOwners } from '../services/territory.service.js';
 
 const UPLOAD_SESSION_TTL_MS = 1000 * 60 * 30; // 30 minutes
 const PREVIEW_ROW_LIMIT = 10;
@@ -504,6 +517,8 @@ export const bulkUploadLeads = async (req, res) => {
         ? req.body.source.trim()
         : 'Bulk Upload';
 
+    const duplicatePolicy = resolveDuplicatePolicy('bulk', req.body.duplicatePolicy);
+
     const uploadId = uuidv4();
     const batchId = uuidv4();
 
@@ -522,8 +537,8 @@ export const bulkUploadLeads = async (req, res) => {
       `INSERT INTO import_jobs (
         id, upload_id, original_name, file_path, file_size, extension,
         selected_sheets, source_label, status, created_by, upload_batch_id,
-        upload_token, message, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        upload_token, duplicate_policy, message, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
       [
         jobId,
         uploadId,
@@ -537,6 +552,7 @@ export const bulkUploadLeads = async (req, res) => {
         req.user?.id || null,
         batchId,
         uploadToken || null,
+        duplicatePolicy,
         'Queued for processing',
       ]
     );
@@ -605,6 +621,13 @@ const processImportJob = async (jobId) => {
     totalErrors: 0,
     durationMs: 0,
   };
+  const duplicatePolicy = resolveDuplicatePolicy('bulk', job.duplicate_policy);
+  const duplicateStats = { rejected: 0, attached: 0, flagged: 0 };
+  // Mobile / hall ticket match key → first row of this file that used it
+  const seenMatchKeys = new Map();
+  // Territory auto-assignment; owners are notified once at the end of the job
+  const territoryStats = { assigned: 0, defaultQueue: 0 };
+  const territoryOwnerLeadIds = new Map();
   const processedSheets = new Set();
   const errors = [];
 
@@ -878,6 +901,9 @@ const processImportJob = async (jobId) => {
       console.warn('[Import] Could not load master lookup; all leads will be marked needs_manual_update:', err.message);
     }
 
+    // Custom field registry: sheet headers matching a field key/label/alias are typed and validated per row
+    const customFields = await loadCustomFields(pool);
+
     const buildLeadDocument = (rawLead) => {
       const normalizedLead = {};
       const dynamicFieldsFromPayload = {};
@@ -963,6 +989,11 @@ const processImportJob = async (jobId) => {
         }
       });
 
+      const customFieldCheck = applyCustomFieldRules(customFields, cleanedDynamicFields, { enforceRequired: true });
+      if (customFieldCheck.errors.length > 0) {
+        throw new Error(customFieldCheck.errors.join('; '));
+      }
+
       // Require only: student name + at least one phone (phone or fatherPhone)
       const nameVal = toTrimmedString(normalizedLead.name);
       const phoneVal = toTrimmedString(normalizedLead.phone);
@@ -1004,7 +1035,7 @@ const processImportJob = async (jobId) => {
         quota: toTrimmedString(normalizedLead.quota) || 'Not Applicable',
         applicationStatus: toTrimmedString(normalizedLead.applicationStatus) || 'Not Provided',
         notes: toTrimmedString(normalizedLead.notes),
-        dynamicFields: cleanedDynamicFields,
+        dynamicFields: customFieldCheck.dynamicFields,
         source: toTrimmedString(normalizedLead.source) || job.source_label || 'Bulk Upload',
         uploadedBy: job.created_by,
         uploadBatchId: job.upload_batch_id,
@@ -1034,16 +1065,44 @@ const processImportJob = async (jobId) => {
       let failedInBatch = 0;
 
       try {
-        // Lead INSERT: 31 columns, 29 placeholders + NOW(), NOW().
+        // Lead INSERT: 33 columns, 33 placeholders.
         // "Column count doesn't match value count" causes: (1) undefined in values array,
         // (2) triggers on leads doing another INSERT with wrong count, (3) wrong DB/schema.
         // Run: SHOW TRIGGERS LIKE 'leads'; and DESCRIBE leads; to verify.
-        // Bulk insert leads using prepared statements (check duplicate by phone before insert)
-        const insertPromises = documents.map(async (doc) => {
+        // Bulk insert leads using prepared statements (duplicate check against existing leads before insert)
+        const insertDocument = async (doc) => {
           const leadId = uuidv4();
           try {
-            // Bulk insert: 31 columns, 31 placeholders, 31 params (no NOW() to avoid driver/server count mismatch)
-            const LEAD_INSERT_COLUMN_COUNT = 31;
+            const duplicateCheck = await evaluateLeadDuplicate(pool, duplicatePolicy, {
+              name: doc.name,
+              phone: doc.phone,
+              fatherPhone: doc.fatherPhone,
+              hallTicketNumber: doc.hallTicketNumber,
+              village: doc.village,
+              mandal: doc.mandal,
+            });
+            if (duplicateCheck.action === 'reject') {
+              duplicateStats.rejected += 1;
+              return { success: false, error: new Error(buildDuplicateRejectMessage(duplicateCheck.matches)) };
+            }
+            if (duplicateCheck.action === 'attach') {
+              await attachEnquiryTouch(pool, duplicateCheck.lead.id, {
+                channel: 'bulk',
+                performedBy: job.created_by,
+                source: doc.source,
+                matchReasons: duplicateCheck.lead.reasons,
+                submitted: { name: doc.name, phone: doc.phone, fatherPhone: doc.fatherPhone, village: doc.village },
+                dynamicFields: doc.dynamicFields,
+                uploadBatchId: job.upload_batch_id,
+              });
+              duplicateStats.attached += 1;
+              return { success: true, attached: true };
+            }
+            const isFlagged = duplicateCheck.action === 'flag';
+            if (isFlagged) duplicateStats.flagged += 1;
+
+            // Bulk insert: 33 columns, 33 placeholders, 33 params (no NOW() to avoid driver/server count mismatch)
+            const LEAD_INSERT_COLUMN_COUNT = 33;
             const nil = (v, d) => (v === undefined || v === null ? d : v);
             const now = new Date();
             const insertValues = [
@@ -1076,6 +1135,8 @@ const processImportJob = async (jobId) => {
               nil(job.created_by, null),
               nil(job.upload_batch_id, null),
               nil(doc.notes, null),
+              isFlagged ? duplicateCheck.possibleDuplicateOf : null,
+              isFlagged ? JSON.stringify(duplicateCheck.matchReasons) : null,
               now,
               now,
             ];
@@ -1090,11 +1151,13 @@ const processImportJob = async (jobId) => {
                 hall_ticket_number, village, course_interested, district, mandal, state,
                 is_nri, gender, \`rank\`, inter_college, quota, application_status,
                 dynamic_fields, lead_status, academic_year, student_group, needs_manual_update,
-                source, uploaded_by, upload_batch_id, notes, created_at, updated_at
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                source, uploaded_by, upload_batch_id, notes, possible_duplicate_of, duplicate_match_reasons,
+                created_at, updated_at
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
               insertValues
             );
-            return { success: true };
+            await syncLeadCustomFieldValues(pool, leadId, doc.dynamicFields, customFields);
+            return { success: true, leadId };
           } catch (insertError) {
             const err = insertError?.message || String(insertError);
             const isColumnCountError = /column count|value count|doesn't match/i.test(err);
@@ -1108,11 +1171,33 @@ const processImportJob = async (jobId) => {
             }
             return { success: false, error: insertError };
           }
+        };
+
+        // Rows of a chunk are inserted in parallel and cannot see each other, so a row repeating a phone or hall
+        // ticket already seen in this file waits for the parallel batch and is then checked on its own — the
+        // duplicate check finds the lead the earlier row created and the policy applies as for any other match.
+        const parallelIndexes = [];
+        const repeatIndexes = [];
+        documents.forEach((doc, index) => {
+          const matchKeys = duplicatePolicy === 'off' ? [] : getDuplicateMatchKeys(doc);
+          const isRepeat = matchKeys.some((key) => seenMatchKeys.has(key));
+          matchKeys.forEach((key) => {
+            if (!seenMatchKeys.has(key)) seenMatchKeys.set(key, entries[index].meta);
+          });
+          (isRepeat ? repeatIndexes : parallelIndexes).push(index);
+        });
+        const results = new Array(documents.length);
+        const parallelResults = await Promise.allSettled(parallelIndexes.map((index) => insertDocument(documents[index])));
+        parallelIndexes.forEach((index, k) => {
+          results[index] = parallelResults[k];
         });
+        for (const index of repeatIndexes) {
+          [results[index]] = await Promise.allSettled([insertDocument(documents[index])]);
+        }
 
-        const results = await Promise.allSettled(insertPromises);
         results.forEach((result, index) => {
           if (result.status === 'fulfilled' && result.value.success) {
+            // Attached rows count as successful: the enquiry was recorded on the existing lead
             successfulInBatch += 1;
           } else {
             failedInBatch += 1;
@@ -1123,6 +1208,25 @@ const processImportJob = async (jobId) => {
             pushErrorDetail(meta, entries[index]?.doc, errorMsg);
           }
         });
+
+        const insertedLeadIds = results
+          .filter((result) => result.status === 'fulfilled' && result.value.success && result.value.leadId)
+          .map((result) => result.value.leadId);
+        if (insertedLeadIds.length > 0) {
+          try {
+            const territoryResult = await autoAssignLeadsToTerritories(pool, insertedLeadIds, {
+              performedBy: job.created_by,
+            });
+            territoryStats.assigned += territoryResult.assigned;
+            territoryStats.defaultQueue += territoryResult.defaultQueue;
+            for (const [ownerId, ownerLeadIds] of territoryResult.byOwner) {
+              if (!territoryOwnerLeadIds.has(ownerId)) territoryOwnerLeadIds.set(ownerId, []);
+              territoryOwnerLeadIds.get(ownerId).push(...ownerLeadIds);
+            }
+          } catch (territoryError) {
+            console.error('[Import] Territory auto-assignment failed:', territoryError);
+          }
+        }
       } catch (error) {
         // Fallback: mark all as failed
         failedInBatch = documents.length;
@@ -1368,6 +1472,10 @@ const processImportJob = async (jobId) => {
 
     stats.durationMs = Date.now() - startedAt;
 
+    await notifyTerritoryOwners(pool, territoryOwnerLeadIds).catch((error) => {
+      console.error('[Import] Error notifying territory owners:', error);
+    });
+
     // Log stats before saving for debugging
     console.log('[Import] Final stats before saving:', {
       totalProcessed: stats.totalProcessed,
@@ -1387,6 +1495,7 @@ const processImportJob = async (jobId) => {
         stats_total_errors = ?,
         stats_sheets_processed = ?,
         stats_duration_ms = ?,
+        stats_duplicates = ?,
         message = ?,
         updated_at = NOW()
       WHERE id = ?`,
@@ -1397,7 +1506,14 @@ const processImportJob = async (jobId) => {
         stats.totalErrors || 0,
         JSON.stringify(Array.from(processedSheets)),
         stats.durationMs || 0,
-        `Imported ${stats.totalSuccess || 0} of ${stats.totalProcessed || 0} row(s).`,
+        JSON.stringify({ policy: duplicatePolicy, ...duplicateStats }),
+        `Imported ${stats.totalSuccess || 0} of ${stats.totalProcessed || 0} row(s).` +
+          (duplicateStats.attached || duplicateStats.flagged || duplicateStats.rejected
+            ? ` Duplicates — attached: ${duplicateStats.attached}, flagged: ${duplicateStats.flagged}, rejected: ${duplicateStats.rejected}.`
+            : '') +
+          (territoryStats.assigned
+            ? ` Auto-assigned by territory: ${territoryStats.assigned} (default queue: ${territoryStats.defaultQueue}).`
+            : ''),
         jobId,
       ]
     ).catch((error) => {
@@ -1514,7 +1630,7 @@ export const getUploadStats = async (req, res) => {
 
     // Get total count
     const [totalResult] = await pool.execute(
-      'SELECT COUNT(*) as total FROM leads WHERE upload_batch_id = ?',
+      'SELECT COUNT(*) as total FROM leads WHERE upload_batch_id = ? AND deleted_at IS NULL',
       [batchId]
     );
 
@@ -1533,7 +1649,7 @@ export const getUploadStats = async (req, res) => {
     const [statusResults] = await pool.execute(
       `SELECT application_status, COUNT(*) as count 
        FROM leads 
-       WHERE upload_batch_id = ? 
+       WHERE upload_batch_id = ? AND deleted_at IS NULL
        GROUP BY application_status`,
       [batchId]
     );
@@ -1547,7 +1663,7 @@ export const getUploadStats = async (req, res) => {
     const [mandalResults] = await pool.execute(
       `SELECT mandal, COUNT(*) as count 
        FROM leads 
-       WHERE upload_batch_id = ? 
+       WHERE upload_batch_id = ? AND deleted_at IS NULL
        GROUP BY mandal`,
       [batchId]
     );
@@ -1561,7 +1677,7 @@ export const getUploadStats = async (req, res) => {
     const [stateResults] = await pool.execute(
       `SELECT state, COUNT(*) as count 
        FROM leads 
-       WHERE upload_batch_id = ? 
+       WHERE upload_batch_id = ? AND deleted_at IS NULL
        GROUP BY state`,
       [batchId]
     );
@@ -1628,6 +1744,15 @@ export const getImportJobStatus = async (req, res) => {
       sheetsProcessed = [];
     }
 
+    let duplicates = null;
+    try {
+      duplicates = typeof job.stats_duplicates === 'string'
+        ? JSON.parse(job.stats_duplicates)
+        : job.stats_duplicates || null;
+    } catch {
+      duplicates = null;
+    }
+
     // Format response with explicit number conversion
     const response = {
       jobId: job.id,
@@ -1639,7 +1764,9 @@ export const getImportJobStatus = async (req, res) => {
         totalErrors: Number(job.stats_total_errors) || 0,
         sheetsProcessed: sheetsProcessed,
         durationMs: Number(job.stats_duration_ms) || 0,
+        duplicates,
       },
+      duplicatePolicy: job.duplicate_policy || null,
       message: job.message || null,
       errorDetails: errorDetails.map((err) => ({
         sheet: err.sheet || null,
@@ -0,0 +1,339 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+import { buildLeadFilterConditions } from '../services/leadFilter.service.js';
+import { loadCustomFieldsForQuery } from '../services/leadCustomField.service.js';
+import {
+  SAVED_VIEW_FILTER_KEYS,
+  SAVED_VIEW_SHARE_SCOPES,
+  SAVED_VIEW_SORTS,
+  buildVisibleViewsCondition,
+  formatSavedView,
+  normalizeSavedViewInput,
+  resolveViewFilters,
+} from '../services/leadSavedView.service.js';
+
+const VIEW_SELECT = `
+  SELECT v.*, u.name AS owner_name
+  FROM lead_saved_views v
+  LEFT JOIN users u ON u.id = v.owner_id
+`;
+
+/** getLeads query for a view: resolved filters plus sortBy, ready to send as query params. */
+const buildViewQuery = (view) => {
+  const query = resolveViewFilters(view.filters);
+  if (view.sort?.sortBy && view.sort.sortBy !== 'created') query.sortBy = view.sort.sortBy;
+  return query;
+};
+
+/** Live count of the view's leads as the viewer would see them in getLeads (same access scope). */
+const countViewLeads = async (pool, view, user) => {
+  const query = buildViewQuery(view);
+  const customFields = await loadCustomFieldsForQuery(pool, query);
+  const { conditions, params } = buildLeadFilterConditions({ query, user }, 'l', { customFields });
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [rows] = await pool.execute(`SELECT COUNT(*) AS total FROM leads l ${whereClause}`, params);
+  return Number(rows[0]?.total || 0);
+};
+
+const loadVisibleView = async (pool, viewId, user) => {
+  const { condition, params } = buildVisibleViewsCondition(user, 'v');
+  const [rows] = await pool.execute(`${VIEW_SELECT} WHERE v.id = ? AND ${condition}`, [viewId, ...params]);
+  return rows[0] || null;
+};
+
+/** Only one default view per owner. */
+const clearOtherDefaults = async (pool, ownerId, keepId) => {
+  await pool.execute(
+    'UPDATE lead_saved_views SET is_default = 0 WHERE owner_id = ? AND id <> ? AND is_default = 1',
+    [ownerId, keepId]
+  );
+};
+
+// @desc    Filters, sorts and share scopes a saved view can use
+// @route   GET /api/lead-views/options
+// @access  Private
+export const getSavedViewOptions = async (req, res) => {
+  const canShareTeam = hasElevatedAdminPrivileges(req.user.roleName) || req.user.isManager === true;
+  return successResponse(
+    res,
+    {
+      filterKeys: SAVED_VIEW_FILTER_KEYS,
+      relativeDateTokens: ['today', 'today-N', 'today+N'],
+      sorts: SAVED_VIEW_SORTS,
+      shareScopes: SAVED_VIEW_SHARE_SCOPES.filter(
+        (scope) =>
+          scope === 'private' ||
+          (scope === 'team' && canShareTeam) ||
+          (scope === 'role' && hasElevatedAdminPrivileges(req.user.roleName))
+      ),
+    },
+    'Saved view options retrieved successfully',
+    200
+  );
+};
+
+// @desc    List views visible to the user (own, team views from their manager, role views) with live counts
+// @route   GET /api/lead-views?counts=false
+// @access  Private
+export const getSavedViews = async (req, res) => {
+  try {
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+    const { condition, params } = buildVisibleViewsCondition(req.user, 'v');
+    const [rows] = await pool.execute(
+      `${VIEW_SELECT} WHERE ${condition}
+       ORDER BY (v.owner_id = ?) DESC, v.is_default DESC, v.name ASC`,
+      [...params, userId]
+    );
+
+    const withCounts = req.query.counts !== 'false' && req.query.counts !== '0';
+    const views = [];
+    for (const row of rows) {
+      const view = formatSavedView(row, userId);
+      view.query = buildViewQuery(view);
+      if (withCounts) {
+        view.count = await countViewLeads(pool, view, req.user);
+      }
+      views.push(view);
+    }
+    return successResponse(res, views, 'Saved views retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting saved views:', error);
+    return errorResponse(res, error.message || 'Failed to get saved views', 500);
+  }
+};
+
+// @desc    Get one saved view with its live count
+// @route   GET /api/lead-views/:id
+// @access  Private (owner or audience)
+export const getSavedViewById = async (req, res) => {
+  try {
+    const pool = getPool();
+    const row = await loadVisibleView(pool, req.params.id, req.user);
+    if (!row) {
+      return errorResponse(res, 'Saved view not found', 404);
+    }
+    const view = formatSavedView(row, req.user.id || req.user._id);
+    view.query = buildViewQuery(view);
+    view.count = await countViewLeads(pool, view, req.user);
+    return successResponse(res, view, 'Saved view retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting saved view:', error);
+    return errorResponse(res, error.message || 'Failed to get saved view', 500);
+  }
+};
+
+// @desc    Create a saved view
+// @route   POST /api/lead-views
+// @access  Private (team sharing: managers/admins; role sharing: admins)
+export const createSavedView = async (req, res) => {
+  try {
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+    const view = normalizeSavedViewInput(req.body, req.user);
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO lead_saved_views (
+        id, owner_id, name, description, filters, sort, columns, share_scope, share_role_name, is_default,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        id,
+        userId,
+        view.name,
+        view.description,
+        JSON.stringify(view.filters),
+        JSON.stringify(view.sort),
+        JSON.stringify(view.columns),
+        view.shareScope,
+        view.shareRoleName,
+        view.isDefault ? 1 : 0,
+      ]
+    );
+    if (view.isDefault) await clearOtherDefaults(pool, userId, id);
+    const [rows] = await pool.execute(`${VIEW_SELECT} WHERE v.id = ?`, [id]);
+    const created = formatSavedView(rows[0], userId);
+    created.query = buildViewQuery(created);
+    return successResponse(res, created, 'Saved view created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'You already have a view with this name', 409);
+    }
+    console.error('Error creating saved view:', error);
+    return errorResponse(res, error.message || 'Failed to create saved view', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a saved view (fields not sent keep their current value)
+// @route   PUT /api/lead-views/:id
+// @access  Private (owner)
+export const updateSavedView = async (req, res) => {
+  try {
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+    const [rows] = await pool.execute(`${VIEW_SELECT} WHERE v.id = ?`, [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Saved view not found', 404);
+    }
+    if (rows[0].owner_id !== userId) {
+      return errorResponse(res, 'Only the owner can edit this view', 403);
+    }
+    const current = formatSavedView(rows[0], userId);
+    const view = normalizeSavedViewInput({ ...current, ...req.body }, req.user);
+    await pool.execute(
+      `UPDATE lead_saved_views SET
+        name = ?, description = ?, filters = ?, sort = ?, columns = ?,
+        share_scope = ?, share_role_name = ?, is_default = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        view.name,
+        view.description,
+        JSON.stringify(view.filters),
+        JSON.stringify(view.sort),
+        JSON.stringify(view.columns),
+        view.shareScope,
+        view.shareRoleName,
+        view.isDefault ? 1 : 0,
+        req.params.id,
+      ]
+    );
+    if (view.isDefault) await clearOtherDefaults(pool, userId, req.params.id);
+    const [updated] = await pool.execute(`${VIEW_SELECT} WHERE v.id = ?`, [req.params.id]);
+    const result = formatSavedView(updated[0], userId);
+    result.query = buildViewQuery(result);
+    return successResponse(res, result, 'Saved view updated successfully', 200);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'You already have a view with this name', 409);
+    }
+    console.error('Error updating saved view:', error);
+    return errorResponse(res, error.message || 'Failed to update saved view', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a saved view
+// @route   DELETE /api/lead-views/:id
+// @access  Private (owner or Super Admin)
+export const deleteSavedView = async (req, res) => {
+  try {
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+    const [rows] = await pool.execute('SELECT id, owner_id FROM lead_saved_views WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return errorResponse(res, 'Saved view not found', 404);
+    }
+    if (rows[0].owner_id !== userId && !hasElevatedAdminPrivileges(req.user.roleName)) {
+      return errorResponse(res, 'Only the owner can delete this view', 403);
+    }
+    await pool.execute('DELETE FROM lead_saved_views WHERE id = ?', [req.params.id]);
+    return successResponse(res, { id: req.params.id }, 'Saved view deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting saved view:', error);
+    return errorResponse(res, error.message || 'Failed to delete saved view', 500);
+  }
+};
+
+/**
+ * Users whose per-member counts a requester may see for a view:
+ * - manager: their direct reports plus themselves
+ * - admin: the view's audience (owner's team for team views, the role for role views, else the owner)
+ */
+const resolveCountMembers = async (pool, user, viewRow) => {
+  const userId = user.id || user._id;
+  if (hasElevatedAdminPrivileges(user.roleName)) {
+    if (viewRow.share_scope === 'role' && viewRow.share_role_name) {
+      const [members] = await pool.execute(
+        'SELECT id, name, role_name FROM users WHERE role_name = ? AND is_active = 1 ORDER BY name ASC',
+        [viewRow.share_role_name]
+      );
+      return members;
+    }
+    const [members] = await pool.execute(
+      `SELECT id, name, role_name FROM users
+       WHERE (id = ? OR (? = 'team' AND managed_by = ? AND is_active = 1))
+       ORDER BY name ASC`,
+      [viewRow.owner_id, viewRow.share_scope, viewRow.owner_id]
+    );
+    return members;
+  }
+  const [members] = await pool.execute(
+    'SELECT id, name, role_name FROM users WHERE id = ? OR (managed_by = ? AND is_active = 1) ORDER BY name ASC',
+    [userId, userId]
+  );
+  return members;
+};
+
+// @desc    Per-counsellor / per-PRO lead counts for a view (how many leads each team member has in it)
+// @route   GET /api/lead-views/:id/counts
+// @access  Private (managers for their team, Super Admin for the view's audience)
+export const getSavedViewMemberCounts = async (req, res) => {
+  try {
+    if (!hasElevatedAdminPrivileges(req.user.roleName) && req.user.isManager !== true) {
+      return errorResponse(res, 'Only managers and admins can see per-member counts', 403);
+    }
+    const pool = getPool();
+    const row = await loadVisibleView(pool, req.params.id, req.user);
+    if (!row) {
+      return errorResponse(res, 'Saved view not found', 404);
+    }
+    const view = formatSavedView(row, req.user.id || req.user._id);
+    const members = await resolveCountMembers(pool, req.user, row);
+    if (members.length === 0) {
+      return successResponse(res, { view: { id: view.id, name: view.name }, total: 0, members: [] }, 'Saved view counts retrieved successfully', 200);
+    }
+
+    // Scope is the member list below, not the requester's own assignments.
+    const query = buildViewQuery(view);
+    const customFields = await loadCustomFieldsForQuery(pool, query);
+    const { conditions, params } = buildLeadFilterConditions(
+      { query, user: req.user },
+      'l',
+      { skipAccessControl: true, customFields }
+    );
+
+    // PROs own leads through assigned_to_pro; everyone else through assigned_to.
+    const byColumn = {
+      assigned_to: members.filter((m) => m.role_name !== 'PRO').map((m) => m.id),
+      assigned_to_pro: members.filter((m) => m.role_name === 'PRO').map((m) => m.id),
+    };
+    const counts = new Map();
+    for (const [column, ids] of Object.entries(byColumn)) {
+      if (ids.length === 0) continue;
+      const placeholders = ids.map(() => '?').join(',');
+      const where = [...conditions, `l.${column} IN (${placeholders})`];
+      const [rows] = await pool.execute(
+        `SELECT l.${column} AS user_id, COUNT(*) AS total
+         FROM leads l
+         WHERE ${where.join(' AND ')}
+         GROUP BY l.${column}`,
+        [...params, ...ids]
+      );
+      rows.forEach((r) => counts.set(r.user_id, Number(r.total || 0)));
+    }
+
+    const memberCounts = members
+      .map((m) => ({
+        userId: m.id,
+        name: m.name,
+        roleName: m.role_name,
+        count: counts.get(m.id) || 0,
+      }))
+      .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name)));
+
+    return successResponse(
+      res,
+      {
+        view: { id: view.id, name: view.name },
+        total: memberCounts.reduce((sum, m) => sum + m.count, 0),
+        members: memberCounts,
+      },
+      'Saved view counts retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error getting saved view counts:', error);
+    return errorResponse(res, error.message || 'Failed to get saved view counts', 500);
+  }
+};
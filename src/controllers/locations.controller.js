@@ -141,7 +141,8 @@ export const listVillages = async (req, res) => {
     const [rows] = await pool.execute(
       `SELECT DISTINCT TRIM(village) AS name 
        FROM leads 
-       WHERE LOWER(state) = LOWER(?) 
+       WHERE deleted_at IS NULL
+         AND LOWER(state) = LOWER(?) 
          AND LOWER(district) = LOWER(?) 
          AND LOWER(mandal) = LOWER(?) 
          AND village IS NOT NULL 
@@ -7,9 +7,9 @@ import { buildLeadNameFuzzySql } from '../utils/leadNameSearch.util.js';
 
 /** Shared filters for manager leads list + export (prefix: "l." for JOIN, "" for count). */
 const buildManagerLeadsFilterSide = (req, assigneeIds, prefix) => {
-  const conditions = [];
-  const params = [];
   const col = (name) => `${prefix}${name}`;
+  const conditions = [`${col('deleted_at')} IS NULL`];
+  const params = [];
   const placeholders = assigneeIds.map(() => '?').join(',');
   conditions.push(`${col('assigned_to')} IN (${placeholders})`);
   params.push(...assigneeIds);
@@ -552,7 +552,7 @@ export const getManagerAnalytics = async (req, res) => {
 
     // Get all leads assigned to manager and team
     const placeholders = allUserIds.map(() => '?').join(',');
-    let leadWhereClause = `WHERE assigned_to IN (${placeholders})`;
+    let leadWhereClause = `WHERE assigned_to IN (${placeholders}) AND deleted_at IS NULL`;
     const leadParams = [...allUserIds];
     
     if (leadDateConditions.length > 0) {
@@ -587,7 +587,7 @@ export const getManagerAnalytics = async (req, res) => {
     const [confirmedLeadsResult] = await pool.execute(
       `SELECT COUNT(*) as total 
        FROM leads 
-       WHERE assigned_to IN (${placeholders}) AND lead_status = 'Confirmed'${leadDateConditions.length > 0 ? ` AND ${leadDateConditions.join(' AND ')}` : ''}`,
+       WHERE assigned_to IN (${placeholders}) AND deleted_at IS NULL AND lead_status = 'Confirmed'${leadDateConditions.length > 0 ? ` AND ${leadDateConditions.join(' AND ')}` : ''}`,
       [...allUserIds, ...leadDateParams]
     );
     const confirmedLeads = confirmedLeadsResult[0].total;
@@ -607,7 +607,7 @@ export const getManagerAnalytics = async (req, res) => {
 
         // Get member's leads
         const [memberLeads] = await pool.execute(
-          'SELECT id FROM leads WHERE assigned_to = ?',
+          'SELECT id FROM leads WHERE assigned_to = ? AND deleted_at IS NULL',
           [memberId]
         );
         const memberLeadIds = memberLeads.map((lead) => lead.id);
@@ -638,7 +638,7 @@ export const getManagerAnalytics = async (req, res) => {
           `SELECT a.old_status, a.new_status, l.name, l.phone, l.enquiry_number
            FROM activity_logs a
            LEFT JOIN leads l ON a.lead_id = l.id
-           WHERE a.performed_by = ? AND a.type = 'status_change'
+           WHERE a.performed_by = ? AND a.type = 'status_change' AND l.deleted_at IS NULL
            ORDER BY a.created_at DESC
            LIMIT 100`,
           [memberId]
@@ -655,7 +655,7 @@ export const getManagerAnalytics = async (req, res) => {
 
         // Confirmed leads for this member
         const [memberConfirmedResult] = await pool.execute(
-          "SELECT COUNT(*) as total FROM leads WHERE assigned_to = ? AND lead_status = 'Confirmed'",
+          "SELECT COUNT(*) as total FROM leads WHERE assigned_to = ? AND deleted_at IS NULL AND lead_status = 'Confirmed'",
           [memberId]
         );
         const memberConfirmed = memberConfirmedResult[0].total;
@@ -677,7 +677,7 @@ export const getManagerAnalytics = async (req, res) => {
 
     // Manager's own analytics
     const [managerLeads] = await pool.execute(
-      'SELECT id FROM leads WHERE assigned_to = ?',
+      'SELECT id FROM leads WHERE assigned_to = ? AND deleted_at IS NULL',
       [managerId]
     );
     const managerLeadIds = managerLeads.map((lead) => lead.id);
@@ -704,7 +704,7 @@ export const getManagerAnalytics = async (req, res) => {
     const managerTodayActivities = managerTodayActivitiesResult[0].total;
 
     const [managerConfirmedResult] = await pool.execute(
-      "SELECT COUNT(*) as total FROM leads WHERE assigned_to = ? AND lead_status = 'Confirmed'",
+      "SELECT COUNT(*) as total FROM leads WHERE assigned_to = ? AND deleted_at IS NULL AND lead_status = 'Confirmed'",
       [managerId]
     );
     const managerConfirmed = managerConfirmedResult[0].total;
@@ -719,7 +719,7 @@ export const getManagerAnalytics = async (req, res) => {
     for (const leadId of leadIds) {
       // Get assigned user for this lead
       const [leadData] = await pool.execute(
-        'SELECT assigned_to FROM leads WHERE id = ?',
+        'SELECT assigned_to FROM leads WHERE id = ? AND deleted_at IS NULL',
         [leadId]
       );
       
@@ -767,7 +767,7 @@ export const getManagerAnalytics = async (req, res) => {
         `SELECT l.*, u.id as assigned_to_id, u.name as assigned_to_name, u.email as assigned_to_email
          FROM leads l
          LEFT JOIN users u ON l.assigned_to = u.id
-         WHERE l.id IN (${unfollowedPlaceholders})
+         WHERE l.id IN (${unfollowedPlaceholders}) AND l.deleted_at IS NULL
          ORDER BY l.created_at DESC`,
         unfollowedLeadIds.slice(0, 100)
       );
@@ -842,7 +842,7 @@ export const getUnfollowedLeads = async (req, res) => {
     // Get all leads
     const placeholders = allUserIds.map(() => '?').join(',');
     const [allLeads] = await pool.execute(
-      `SELECT id, assigned_to FROM leads WHERE assigned_to IN (${placeholders})`,
+      `SELECT id, assigned_to FROM leads WHERE assigned_to IN (${placeholders}) AND deleted_at IS NULL`,
       allUserIds
     );
     const allLeadIds = allLeads.map((lead) => lead.id);
@@ -894,7 +894,7 @@ export const getUnfollowedLeads = async (req, res) => {
         `SELECT l.*, u.id as assigned_to_id, u.name as assigned_to_name, u.email as assigned_to_email, u.role_name as assigned_to_role_name
          FROM leads l
          LEFT JOIN users u ON l.assigned_to = u.id
-         WHERE l.id IN (${unfollowedPlaceholders})
+         WHERE l.id IN (${unfollowedPlaceholders}) AND l.deleted_at IS NULL
          ORDER BY l.created_at DESC`,
         unfollowedLeadIds.slice(0, 500)
       );
@@ -1052,7 +1052,7 @@ export const getTeamAnalyticsForAdmin = async (req, res) => {
     // Get all leads assigned to manager and team (no date filter on leads - show all assigned)
     const placeholders = allUserIds.map(() => '?').join(',');
     const [allLeads] = await pool.execute(
-      `SELECT id FROM leads WHERE assigned_to IN (${placeholders})`,
+      `SELECT id FROM leads WHERE assigned_to IN (${placeholders}) AND deleted_at IS NULL`,
       allUserIds
     );
     const allLeadIds = allLeads.map((lead) => lead.id);
@@ -1064,7 +1064,7 @@ export const getTeamAnalyticsForAdmin = async (req, res) => {
     const [statusBreakdown] = await pool.execute(
       `SELECT lead_status, COUNT(*) as count 
        FROM leads 
-       WHERE assigned_to IN (${placeholders})
+       WHERE assigned_to IN (${placeholders}) AND deleted_at IS NULL
        GROUP BY lead_status 
        ORDER BY count DESC`,
       allUserIds
@@ -1079,7 +1079,7 @@ export const getTeamAnalyticsForAdmin = async (req, res) => {
     const [confirmedLeadsResult] = await pool.execute(
       `SELECT COUNT(*) as total 
        FROM leads 
-       WHERE assigned_to IN (${placeholders}) AND lead_status = 'Confirmed'`,
+       WHERE assigned_to IN (${placeholders}) AND deleted_at IS NULL AND lead_status = 'Confirmed'`,
       allUserIds
     );
     const confirmedLeads = confirmedLeadsResult[0].total;
@@ -1123,7 +1123,7 @@ export const getTeamAnalyticsForAdmin = async (req, res) => {
     let totalUnfollowedLeads = 0;
     for (const userId of allUserIds) {
       const [userLeads] = await pool.execute(
-        'SELECT id FROM leads WHERE assigned_to = ?',
+        'SELECT id FROM leads WHERE assigned_to = ? AND deleted_at IS NULL',
         [userId]
       );
       const userLeadIds = userLeads.map((lead) => lead.id);
@@ -1172,7 +1172,7 @@ export const getTeamAnalyticsForAdmin = async (req, res) => {
         if (!user) return null;
 
         const [userLeads] = await pool.execute(
-          'SELECT id FROM leads WHERE assigned_to = ?',
+          'SELECT id FROM leads WHERE assigned_to = ? AND deleted_at IS NULL',
           [userId]
         );
         const userLeadIds = userLeads.map((lead) => lead.id);
@@ -1181,7 +1181,7 @@ export const getTeamAnalyticsForAdmin = async (req, res) => {
         const [userStatusBreakdown] = await pool.execute(
           `SELECT lead_status, COUNT(*) as count 
            FROM leads 
-           WHERE assigned_to = ?
+           WHERE assigned_to = ? AND deleted_at IS NULL
            GROUP BY lead_status`,
           [userId]
         );
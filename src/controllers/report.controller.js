@@ -3,8 +3,16 @@ import { successResponse, errorResponse } from '../utils/response.util.js';
 import { findBestMatch } from '../utils/fuzzyMatch.util.js';
 import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
 import { connectHRMS } from '../config-mongo/hrms.js';
+import { hasTelephonyCallsTable } from '../services/telephony.service.js';
 
-// @desc    Get daily call reports per user
+/** Telephony-verified counterpart of the self-reported call totals (CDR talk time, mismatch count). */
+const formatCallVerification = (row) => ({
+  verifiedCalls: Number(row.verified_calls || 0),
+  verifiedDuration: Number(row.verified_duration || 0),
+  durationMismatches: Number(row.duration_mismatches || 0),
+});
+
+// @desc    Get daily call reports per user (with CDR-verified talk time and duration mismatches when telephony is used)
 // @route   GET /api/reports/calls/daily
 // @access  Private (Super Admin only)
 export const getDailyCallReports = async (req, res) => {
@@ -55,9 +63,23 @@ export const getDailyCallReports = async (req, res) => {
     const leadJoinSqlParts = [];
     const leadJoinParams = [];
     if (studentGroupRaw) {
-      leadJoinSqlParts.push('INNER JOIN leads lead_sg ON lead_sg.id = c.lead_id AND lead_sg.student_group = ?');
+      leadJoinSqlParts.push('INNER JOIN leads lead_sg ON lead_sg.id = c.lead_id AND lead_sg.student_group = ? AND lead_sg.deleted_at IS NULL');
       leadJoinParams.push(studentGroupRaw);
     }
+    // Provider CDRs matched to the call logs: verified talk time next to the self-reported duration
+    const hasTelephony = await hasTelephonyCallsTable(pool);
+    if (hasTelephony) {
+      leadJoinSqlParts.push('LEFT JOIN telephony_calls tc ON tc.communication_id = c.id');
+    }
+    const verificationSelect = hasTelephony
+      ? `,
+          SUM(tc.cdr_received_at IS NOT NULL) as verified_calls,
+          SUM(CASE WHEN tc.cdr_received_at IS NOT NULL THEN COALESCE(tc.duration_seconds, 0) ELSE 0 END) as verified_duration,
+          SUM(COALESCE(tc.duration_mismatch, 0)) as duration_mismatches`
+      : `,
+          0 as verified_calls,
+          0 as verified_duration,
+          0 as duration_mismatches`;
     const fromSql = `communications c ${leadJoinSqlParts.join(' ')}`;
 
     // Build WHERE — only outcome calls (same path that updates call_status for counsellors)
@@ -161,7 +183,7 @@ export const getDailyCallReports = async (req, res) => {
           c.sent_by as user_id,
           COUNT(*) as call_count,
           SUM(COALESCE(c.duration_seconds, 0)) as total_duration,
-          COUNT(DISTINCT DATE(c.sent_at)) as days_with_activity
+          COUNT(DISTINCT DATE(c.sent_at)) as days_with_activity${verificationSelect}
          FROM ${fromSql}
          ${whereClause}
          GROUP BY c.sent_by
@@ -175,7 +197,7 @@ export const getDailyCallReports = async (req, res) => {
           c.sent_by as user_id,
           COUNT(*) as total_calls,
           SUM(COALESCE(c.duration_seconds, 0)) as total_duration,
-          COUNT(DISTINCT DATE(c.sent_at)) as days
+          COUNT(DISTINCT DATE(c.sent_at)) as days${verificationSelect}
          FROM ${fromSql}
          ${whereClause}
          GROUP BY c.sent_by`,
@@ -201,7 +223,7 @@ export const getDailyCallReports = async (req, res) => {
           c.sent_by as user_id,
           DATE(c.sent_at) as date,
           COUNT(*) as call_count,
-          SUM(COALESCE(c.duration_seconds, 0)) as total_duration
+          SUM(COALESCE(c.duration_seconds, 0)) as total_duration${verificationSelect}
          FROM ${fromSql}
          ${whereClause}
          GROUP BY c.sent_by, DATE(c.sent_at)
@@ -215,7 +237,7 @@ export const getDailyCallReports = async (req, res) => {
           c.sent_by as user_id,
           COUNT(*) as total_calls,
           SUM(COALESCE(c.duration_seconds, 0)) as total_duration,
-          COUNT(DISTINCT DATE(c.sent_at)) as days
+          COUNT(DISTINCT DATE(c.sent_at)) as days${verificationSelect}
          FROM ${fromSql}
          ${whereClause}
          GROUP BY c.sent_by`,
@@ -259,6 +281,7 @@ export const getDailyCallReports = async (req, res) => {
           callCount,
           totalDuration,
           averageDuration: callCount > 0 ? Math.round(totalDuration / callCount) : 0,
+          ...formatCallVerification(report),
         };
       }
       const dateStr = report.date instanceof Date
@@ -273,6 +296,7 @@ export const getDailyCallReports = async (req, res) => {
         callCount,
         totalDuration,
         averageDuration: callCount > 0 ? Math.round(totalDuration / callCount) : 0,
+        ...formatCallVerification(report),
       };
     });
 
@@ -291,6 +315,7 @@ export const getDailyCallReports = async (req, res) => {
         days,
         averageCallsPerDay: days > 0 ? parseFloat((totalCalls / days).toFixed(2)) : 0,
         averageDuration: totalCalls > 0 ? Math.round(totalDuration / totalCalls) : 0,
+        ...formatCallVerification(summary),
       };
     });
 
@@ -380,7 +405,7 @@ export const getConversionReports = async (req, res) => {
     const pool = getPool();
 
     // Build filter for leads - include both standard and PRO assignments
-    let leadConditions = ['(l.assigned_to IS NOT NULL OR l.assigned_to_pro IS NOT NULL)'];
+    let leadConditions = ['l.deleted_at IS NULL', '(l.assigned_to IS NOT NULL OR l.assigned_to_pro IS NOT NULL)'];
     let leadParams = [];
 
     if (hasDates) {
@@ -419,7 +444,7 @@ export const getConversionReports = async (req, res) => {
        l.assigned_to, l.assigned_to_pro, l.enquiry_number, l.name as lead_name
        FROM admissions a
        LEFT JOIN leads l ON a.lead_id = l.id
-       WHERE a.admission_date >= ? AND a.admission_date <= ?`,
+       WHERE a.admission_date >= ? AND a.admission_date <= ? AND l.deleted_at IS NULL`,
       [startStr, endStr]
     ).catch((error) => {
       console.error('Error fetching admissions:', error);
@@ -479,7 +504,7 @@ export const getConversionReports = async (req, res) => {
        FROM activity_logs a
        LEFT JOIN leads l ON a.lead_id = l.id
        LEFT JOIN users u ON a.performed_by = u.id
-       WHERE a.type = 'status_change' AND a.created_at >= ? AND a.created_at <= ?`,
+       WHERE a.type = 'status_change' AND a.created_at >= ? AND a.created_at <= ? AND l.deleted_at IS NULL`,
       [startStr, endStr]
     );
 
@@ -513,7 +538,7 @@ export const getConversionReports = async (req, res) => {
         `SELECT COALESCE(assigned_to, assigned_to_pro) as assigned_to, COUNT(*) as count 
          FROM leads 
          WHERE (assigned_to IN (${userPlaceholders}) OR assigned_to_pro IN (${userPlaceholders})) 
-         AND lead_status = 'Confirmed' AND created_at >= ? AND created_at <= ?
+         AND lead_status = 'Confirmed' AND created_at >= ? AND created_at <= ? AND deleted_at IS NULL
          GROUP BY COALESCE(assigned_to, assigned_to_pro)`,
         [...userIds, ...userIds, startStr, endStr]
       );
@@ -626,7 +651,7 @@ export const getLeadsAbstract = async (req, res) => {
       return errorResponse(res, 'Invalid academic year', 400);
     }
 
-    let leadWhere = 'academic_year = ?';
+    let leadWhere = 'deleted_at IS NULL AND academic_year = ?';
     const leadParams = [yearNum];
     if (studentGroup && studentGroup !== '') {
       leadWhere += ' AND student_group = ?';
@@ -2,14 +2,46 @@ import { getPool } from '../config-sql/database.js';
 import { successResponse, errorResponse } from '../utils/response.util.js';
 import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
 import {
+  cancelSmsBulkJob,
   createSmsBulkJobRecord,
+  describeBulkJobControls,
   formatItemRow,
   formatJobRow,
+  loadJobDeliveryCounts,
+  normalizeRateLimit,
+  pauseSmsBulkJob,
   reopenCompletedIfPendingWorkRemains,
   scheduleProcessSmsBulkJob,
+  setSmsBulkJobRateLimit,
+  skipSmsBulkJobItem,
   tryMarkJobCompleteIfFullyProcessed,
+  unpauseSmsBulkJob,
 } from '../services/smsBulkJob.service.js';
 
+/**
+ * Job the requester may control (owner or elevated admin; never PRO).
+ * @returns {Promise<{ job?: object, error?: string, status?: number }>}
+ */
+async function loadControllableJob(pool, req) {
+  if (req.user.roleName === 'PRO') {
+    return { error: 'Forbidden', status: 403 };
+  }
+  const { id } = req.params;
+  if (!id || id.length !== 36) {
+    return { error: 'Invalid job id', status: 400 };
+  }
+  const [jobs] = await pool.execute('SELECT * FROM sms_bulk_jobs WHERE id = ?', [id]);
+  if (jobs.length === 0) {
+    return { error: 'Job not found', status: 404 };
+  }
+  const job = jobs[0];
+  const isOwner = String(job.created_by) === String(req.user.id || req.user._id);
+  if (!isOwner && !hasElevatedAdminPrivileges(req.user.roleName)) {
+    return { error: 'Forbidden', status: 403 };
+  }
+  return { job };
+}
+
 /**
  * Re-queue the background worker (e.g. after a long hang, deploy, or 199/460 "stuck" progress).
  * Safe to call multiple times; the processor re-loads `pending` rows and resets long-stuck `processing` rows.
@@ -36,6 +68,8 @@ export const resumeBulkSmsJob = async (req, res) => {
     if (!isOwner && !hasElevatedAdminPrivileges(req.user.roleName)) {
       return errorResponse(res, 'Forbidden', 403);
     }
+    // A paused job resumes where it stopped
+    const unpaused = String(job.status) === 'paused' ? await unpauseSmsBulkJob(pool, id) : false;
     // Align total_items to actual line-item rows, reconcile counters, and mark complete when all rows are done
     // (fixes "failed" jobs that only had a plan vs DB row count mismatch, e.g. 1655 planned, 1198 stored).
     const markOut = await tryMarkJobCompleteIfFullyProcessed(pool, id);
@@ -51,8 +85,8 @@ export const resumeBulkSmsJob = async (req, res) => {
     scheduleProcessSmsBulkJob(id);
     return successResponse(
       res,
-      { requeued: true, jobId: id, reopened: reopened },
-      reopened ? 'Job re-opened and worker scheduled' : 'Bulk SMS job processor requeued',
+      { requeued: true, jobId: id, reopened: reopened, unpaused },
+      reopened ? 'Job re-opened and worker scheduled' : unpaused ? 'Job resumed' : 'Bulk SMS job processor requeued',
       200
     );
   } catch (e) {
@@ -68,7 +102,15 @@ export const createBulkSmsJob = async (req, res) => {
     if (req.user.roleName === 'PRO') {
       return errorResponse(res, 'SMS bulk jobs are not available for PRO users', 403);
     }
-    const { source, templateId, items, reportContext: rawContext, headerHandle } = req.body || {};
+    const {
+      source,
+      templateId,
+      items,
+      reportContext: rawContext,
+      headerHandle,
+      scheduledAt: rawScheduledAt,
+      rateLimitPerMinute: rawRateLimit,
+    } = req.body || {};
     if (!source || !VALID_SOURCES.has(String(source))) {
       return errorResponse(res, 'Invalid or missing source', 400);
     }
@@ -86,6 +128,17 @@ export const createBulkSmsJob = async (req, res) => {
         return errorResponse(res, 'Each item must have contactNumbers', 400);
       }
     }
+    let scheduledAt = null;
+    if (rawScheduledAt) {
+      scheduledAt = new Date(rawScheduledAt);
+      if (Number.isNaN(scheduledAt.getTime())) {
+        return errorResponse(res, 'scheduledAt must be a valid date-time', 400);
+      }
+      if (scheduledAt <= new Date()) {
+        return errorResponse(res, 'scheduledAt must be in the future (omit it to start now)', 400);
+      }
+    }
+    const rateLimitPerMinute = normalizeRateLimit(rawRateLimit);
     const pool = getPool();
     const userId = req.user.id || req.user._id;
     const { jobId, totalItems, templateName } = await createSmsBulkJobRecord({
@@ -95,6 +148,8 @@ export const createBulkSmsJob = async (req, res) => {
       templateId,
       reportContext: rawContext,
       headerHandle,
+      scheduledAt,
+      rateLimitPerMinute,
       items: items.map((it) => ({
         leadId: it.leadId,
         leadName: it.leadName,
@@ -102,6 +157,14 @@ export const createBulkSmsJob = async (req, res) => {
         variables: it.variables,
       })),
     });
+    if (scheduledAt) {
+      return successResponse(
+        res,
+        { jobId, totalItems, templateName, scheduledAt, message: 'Job scheduled. It starts at the scheduled time.' },
+        'Bulk SMS job scheduled',
+        201
+      );
+    }
     scheduleProcessSmsBulkJob(jobId);
     return successResponse(
       res,
@@ -139,7 +202,8 @@ export const getBulkSmsJob = async (req, res) => {
       [id]
     );
     const workRemaining = items.filter((r) => r.status === 'pending' || r.status === 'processing').length;
-    const jRow = { ...job, work_remaining: workRemaining };
+    const deliveryCounts = await loadJobDeliveryCounts(pool, [id]);
+    const jRow = { ...job, work_remaining: workRemaining, ...deliveryCounts.get(String(id)) };
     const out = {
       job: await formatJobRow(jRow),
       items: await Promise.all(items.map((r) => formatItemRow(r))),
@@ -187,9 +251,11 @@ export const listBulkSmsJobs = async (req, res) => {
             LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
           [userId]
     );
+    const deliveryCounts = await loadJobDeliveryCounts(pool, jobs.map((j) => j.id));
     const data = {
-      items: await Promise.all(jobs.map((j) => formatJobRow(j))),
+      items: await Promise.all(jobs.map((j) => formatJobRow({ ...j, ...deliveryCounts.get(String(j.id)) }))),
       pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      controls: describeBulkJobControls(),
     };
     return successResponse(res, data);
   } catch (e) {
@@ -197,3 +263,95 @@ export const listBulkSmsJobs = async (req, res) => {
     return errorResponse(res, e.message || 'Failed to list jobs', 500);
   }
 };
+
+/**
+ * Pause a queued / running job; it stops before the next item and continues from there on resume
+ * (POST /sms-bulk/jobs/:id/resume).
+ */
+export const pauseBulkSmsJob = async (req, res) => {
+  try {
+    const pool = getPool();
+    const { job, error, status } = await loadControllableJob(pool, req);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+    const paused = await pauseSmsBulkJob(pool, job.id, req.user.id || req.user._id);
+    if (!paused) {
+      return errorResponse(res, `A ${job.status} job cannot be paused`, 400);
+    }
+    return successResponse(res, { jobId: job.id, status: 'paused' }, 'Job paused. Items already sending will finish.', 200);
+  } catch (e) {
+    console.error('pauseBulkSmsJob', e);
+    return errorResponse(res, e.message || 'Failed to pause job', 500);
+  }
+};
+
+/**
+ * Cancel a job: pending items become `cancelled` and are never sent.
+ */
+export const cancelBulkSmsJob = async (req, res) => {
+  try {
+    const pool = getPool();
+    const { job, error, status } = await loadControllableJob(pool, req);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+    const cancelledItems = await cancelSmsBulkJob(pool, job.id, req.user.id || req.user._id);
+    if (cancelledItems === null) {
+      return errorResponse(res, `A ${job.status} job cannot be cancelled`, 400);
+    }
+    return successResponse(
+      res,
+      { jobId: job.id, status: 'cancelled', cancelledItems },
+      `Job cancelled. ${cancelledItems} pending item(s) will not be sent.`,
+      200
+    );
+  } catch (e) {
+    console.error('cancelBulkSmsJob', e);
+    return errorResponse(res, e.message || 'Failed to cancel job', 500);
+  }
+};
+
+/**
+ * Set or clear (`rateLimitPerMinute: null`) the job's messages-per-minute throttle.
+ */
+export const updateBulkSmsJobThrottle = async (req, res) => {
+  try {
+    const pool = getPool();
+    const { job, error, status } = await loadControllableJob(pool, req);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+    if (!['queued', 'running', 'paused'].includes(String(job.status))) {
+      return errorResponse(res, `A ${job.status} job cannot be throttled`, 400);
+    }
+    const rateLimitPerMinute = normalizeRateLimit(req.body?.rateLimitPerMinute);
+    await setSmsBulkJobRateLimit(pool, job.id, rateLimitPerMinute);
+    return successResponse(res, { jobId: job.id, rateLimitPerMinute }, 'Job throttle updated', 200);
+  } catch (e) {
+    console.error('updateBulkSmsJobThrottle', e);
+    return errorResponse(res, e.message || 'Failed to update job throttle', e.statusCode || 500);
+  }
+};
+
+/**
+ * Skip one pending item (status `skipped`; it is never sent).
+ */
+export const skipBulkSmsJobItem = async (req, res) => {
+  try {
+    const pool = getPool();
+    const { job, error, status } = await loadControllableJob(pool, req);
+    if (error) {
+      return errorResponse(res, error, status);
+    }
+    const skipped = await skipSmsBulkJobItem(pool, job.id, req.params.itemId, req.body?.reason);
+    if (!skipped) {
+      return errorResponse(res, 'Only pending items of an unfinished job can be skipped', 400);
+    }
+    await tryMarkJobCompleteIfFullyProcessed(pool, job.id);
+    return successResponse(res, { jobId: job.id, itemId: req.params.itemId, status: 'skipped' }, 'Item skipped', 200);
+  } catch (e) {
+    console.error('skipBulkSmsJobItem', e);
+    return errorResponse(res, e.message || 'Failed to skip item', 500);
+  }
+};
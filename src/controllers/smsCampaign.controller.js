@@ -0,0 +1,251 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { formatJobRow, loadJobDeliveryCounts } from '../services/smsBulkJob.service.js';
+import {
+  SMS_CAMPAIGN_CONTACT_FIELDS,
+  SMS_CAMPAIGN_RECURRENCES,
+  SMS_CAMPAIGN_STATUSES,
+  SMS_CAMPAIGN_VARIABLE_FIELDS,
+  buildCampaignAudience,
+  campaignColumnValues,
+  computeNextRun,
+  formatCampaignRow,
+  normalizeCampaignInput,
+  upcomingRuns,
+} from '../services/smsCampaign.service.js';
+
+const CAMPAIGN_SELECT = `
+  SELECT c.*, t.name AS template_name, v.name AS saved_view_name, u.name AS created_by_name
+  FROM sms_campaigns c
+  LEFT JOIN message_templates t ON t.id = c.template_id
+  LEFT JOIN lead_saved_views v ON v.id = c.saved_view_id
+  LEFT JOIN users u ON u.id = c.created_by
+`;
+
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const loadCampaign = async (pool, id) => {
+  const [rows] = await pool.execute(`${CAMPAIGN_SELECT} WHERE c.id = ?`, [id]);
+  return rows[0] ? formatCampaignRow(rows[0]) : null;
+};
+
+// @desc    Recurrences, contact fields and variable fields a campaign can use
+// @route   GET /api/communications/sms-campaigns/options
+// @access  Private (Super Admin)
+export const getSmsCampaignOptions = async (req, res) =>
+  successResponse(
+    res,
+    {
+      recurrences: SMS_CAMPAIGN_RECURRENCES,
+      statuses: SMS_CAMPAIGN_STATUSES,
+      contactFields: SMS_CAMPAIGN_CONTACT_FIELDS,
+      variableFields: SMS_CAMPAIGN_VARIABLE_FIELDS,
+      timezone: 'Asia/Kolkata',
+    },
+    'SMS campaign options retrieved successfully',
+    200
+  );
+
+// @desc    List campaigns (default: scheduled ones, soonest first) with their next runs
+// @route   GET /api/communications/sms-campaigns?status=scheduled|completed|cancelled|all
+// @access  Private (Super Admin)
+export const getSmsCampaigns = async (req, res) => {
+  try {
+    const pool = getPool();
+    const status = String(req.query.status || 'scheduled');
+    if (status !== 'all' && !SMS_CAMPAIGN_STATUSES.includes(status)) {
+      return errorResponse(res, `status must be one of: all, ${SMS_CAMPAIGN_STATUSES.join(', ')}`, 400);
+    }
+    const [rows] = status === 'all'
+      ? await pool.execute(`${CAMPAIGN_SELECT} ORDER BY c.created_at DESC LIMIT 500`)
+      : await pool.execute(
+        `${CAMPAIGN_SELECT} WHERE c.status = ?
+         ORDER BY (c.next_run_at IS NULL) ASC, c.next_run_at ASC, c.created_at DESC
+         LIMIT 500`,
+        [status]
+      );
+    const campaigns = rows.map((row) => {
+      const campaign = formatCampaignRow(row);
+      return { ...campaign, upcomingRuns: upcomingRuns(campaign, 3) };
+    });
+    return successResponse(res, campaigns, 'SMS campaigns retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting SMS campaigns:', error);
+    return errorResponse(res, error.message || 'Failed to get SMS campaigns', 500);
+  }
+};
+
+// @desc    Get a campaign with its upcoming runs, current audience size and past jobs
+// @route   GET /api/communications/sms-campaigns/:id
+// @access  Private (Super Admin)
+export const getSmsCampaignById = async (req, res) => {
+  try {
+    const pool = getPool();
+    const campaign = await loadCampaign(pool, req.params.id);
+    if (!campaign) {
+      return errorResponse(res, 'SMS campaign not found', 404);
+    }
+    const [jobRows] = await pool.execute(
+      `SELECT j.*,
+        (SELECT COUNT(*) FROM sms_bulk_job_items i
+          WHERE i.job_id = j.id AND i.status IN ('pending','processing')
+        ) AS work_remaining
+       FROM sms_bulk_jobs j
+       WHERE j.campaign_id = ?
+       ORDER BY j.created_at DESC
+       LIMIT 50`,
+      [campaign.id]
+    );
+    const deliveryCounts = await loadJobDeliveryCounts(pool, jobRows.map((j) => j.id));
+    const jobs = await Promise.all(jobRows.map((j) => formatJobRow({ ...j, ...deliveryCounts.get(String(j.id)) })));
+
+    let audience = null;
+    if (campaign.status === 'scheduled') {
+      const { items, matched, truncated } = await buildCampaignAudience(pool, campaign);
+      audience = { matchedLeads: matched, recipients: items.length, truncated };
+    }
+    return successResponse(
+      res,
+      { ...campaign, upcomingRuns: upcomingRuns(campaign, 10), audience, jobs },
+      'SMS campaign retrieved successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error getting SMS campaign:', error);
+    return errorResponse(res, error.message || 'Failed to get SMS campaign', error.statusCode || 500);
+  }
+};
+
+// @desc    Schedule a one-time or recurring campaign
+// @route   POST /api/communications/sms-campaigns
+// @access  Private (Super Admin)
+export const createSmsCampaign = async (req, res) => {
+  try {
+    const pool = getPool();
+    const userId = req.user.id || req.user._id;
+    const campaign = await normalizeCampaignInput(pool, req.body || {});
+    const values = campaignColumnValues(campaign);
+    const id = uuidv4();
+    const columns = Object.keys(values);
+    await pool.execute(
+      `INSERT INTO sms_campaigns (id, ${columns.join(', ')}, status, created_by, updated_by)
+       VALUES (?, ${columns.map(() => '?').join(', ')}, 'scheduled', ?, ?)`,
+      [id, ...Object.values(values), userId, userId]
+    );
+    const created = await loadCampaign(pool, id);
+    return successResponse(
+      res,
+      { ...created, upcomingRuns: upcomingRuns(created, 10) },
+      'SMS campaign scheduled successfully',
+      201
+    );
+  } catch (error) {
+    console.error('Error creating SMS campaign:', error);
+    return errorResponse(res, error.message || 'Failed to create SMS campaign', error.statusCode || 500);
+  }
+};
+
+// @desc    Edit a scheduled campaign (fields not sent are kept; the next run is recomputed)
+// @route   PUT /api/communications/sms-campaigns/:id
+// @access  Private (Super Admin)
+export const updateSmsCampaign = async (req, res) => {
+  try {
+    const pool = getPool();
+    const existing = await loadCampaign(pool, req.params.id);
+    if (!existing) {
+      return errorResponse(res, 'SMS campaign not found', 404);
+    }
+    if (existing.status !== 'scheduled') {
+      return errorResponse(res, `A ${existing.status} campaign cannot be edited`, 400);
+    }
+    const body = req.body || {};
+    const merged = {
+      ...existing,
+      // One-time campaigns keep their time unless a new one is sent
+      scheduledAt: existing.recurrence === 'none' ? existing.nextRunAt : undefined,
+      ...body,
+    };
+    // Switching to ad-hoc filters drops the saved view
+    if (body.filters !== undefined && body.savedViewId === undefined) merged.savedViewId = null;
+    const campaign = await normalizeCampaignInput(pool, merged);
+    const values = campaignColumnValues(campaign);
+    await pool.execute(
+      `UPDATE sms_campaigns
+       SET ${Object.keys(values).map((column) => `${column} = ?`).join(', ')}, updated_by = ?
+       WHERE id = ? AND status = 'scheduled'`,
+      [...Object.values(values), req.user.id || req.user._id, existing.id]
+    );
+    const updated = await loadCampaign(pool, existing.id);
+    return successResponse(
+      res,
+      { ...updated, upcomingRuns: upcomingRuns(updated, 10) },
+      'SMS campaign updated successfully',
+      200
+    );
+  } catch (error) {
+    console.error('Error updating SMS campaign:', error);
+    return errorResponse(res, error.message || 'Failed to update SMS campaign', error.statusCode || 500);
+  }
+};
+
+// @desc    Skip the next run of a recurring campaign (a one-time campaign is cancelled instead)
+// @route   POST /api/communications/sms-campaigns/:id/skip
+// @access  Private (Super Admin)
+export const skipSmsCampaignRun = async (req, res) => {
+  try {
+    const pool = getPool();
+    const campaign = await loadCampaign(pool, req.params.id);
+    if (!campaign) {
+      return errorResponse(res, 'SMS campaign not found', 404);
+    }
+    if (campaign.status !== 'scheduled' || !campaign.nextRunAt) {
+      return errorResponse(res, 'The campaign has no upcoming run', 400);
+    }
+    if (campaign.recurrence === 'none') {
+      return errorResponse(res, 'A one-time campaign cannot skip its only run; cancel it instead', 400);
+    }
+    const next = computeNextRun(campaign, new Date(campaign.nextRunAt));
+    await pool.execute(
+      `UPDATE sms_campaigns SET next_run_at = ?, status = ?, updated_by = ?
+       WHERE id = ? AND status = 'scheduled'`,
+      [next ? toSqlDateTime(next) : null, next ? 'scheduled' : 'completed', req.user.id || req.user._id, campaign.id]
+    );
+    const updated = await loadCampaign(pool, campaign.id);
+    return successResponse(
+      res,
+      { ...updated, skippedRunAt: campaign.nextRunAt, upcomingRuns: upcomingRuns(updated, 10) },
+      'Next campaign run skipped',
+      200
+    );
+  } catch (error) {
+    console.error('Error skipping SMS campaign run:', error);
+    return errorResponse(res, error.message || 'Failed to skip SMS campaign run', 500);
+  }
+};
+
+// @desc    Cancel all upcoming runs of a campaign (jobs already created keep running)
+// @route   POST /api/communications/sms-campaigns/:id/cancel
+// @access  Private (Super Admin)
+export const cancelSmsCampaign = async (req, res) => {
+  try {
+    const pool = getPool();
+    const campaign = await loadCampaign(pool, req.params.id);
+    if (!campaign) {
+      return errorResponse(res, 'SMS campaign not found', 404);
+    }
+    if (campaign.status !== 'scheduled') {
+      return errorResponse(res, `The campaign is already ${campaign.status}`, 400);
+    }
+    await pool.execute(
+      `UPDATE sms_campaigns
+       SET status = 'cancelled', next_run_at = NULL, cancelled_at = NOW(), updated_by = ?
+       WHERE id = ? AND status = 'scheduled'`,
+      [req.user.id || req.user._id, campaign.id]
+    );
+    return successResponse(res, await loadCampaign(pool, campaign.id), 'SMS campaign cancelled successfully', 200);
+  } catch (error) {
+    console.error('Error cancelling SMS campaign:', error);
+    return errorResponse(res, error.message || 'Failed to cancel SMS campaign', 500);
+  }
+};
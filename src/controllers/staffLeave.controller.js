@@ -0,0 +1,222 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import { clearUserAnalyticsCache } from '../utils/userAnalyticsCache.js';
+import {
+  cancelCoverageRule,
+  createCoverageRule,
+  deleteHoliday,
+  deleteLeave,
+  getCoverageRule,
+  getHoliday,
+  listCoverageRules,
+  listHolidays,
+  listLeaves,
+  normalizeCoverageRuleInput,
+  recordLeaveDays,
+  saveHoliday,
+  updateCoverageRule,
+} from '../services/staffLeave.service.js';
+
+// @desc    Leave days of all assignable roles (?startDate, ?endDate, ?userId, ?roleName)
+// @route   GET /api/leaves
+// @access  Private (Super Admin)
+export const getLeaves = async (req, res) => {
+  try {
+    const leaves = await listLeaves(getPool(), {
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      userId: req.query.userId,
+      roleName: req.query.roleName,
+    });
+    return successResponse(res, leaves, 'Leaves retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting leaves:', error);
+    return errorResponse(res, error.message || 'Failed to get leaves', 500);
+  }
+};
+
+// @desc    Record leave for one day or a date range; the user's open target dates on the new leave days move to the next working day
+// @route   POST /api/leaves  body: { userId, startDate, endDate?, reason? }
+// @access  Private (Super Admin)
+export const createLeave = async (req, res) => {
+  try {
+    const { userId, startDate, endDate, reason } = req.body || {};
+    const result = await recordLeaveDays(getPool(), { userId, startDate, endDate, reason });
+    if (result.shiftedTargetDates > 0) clearUserAnalyticsCache();
+    return successResponse(
+      res,
+      result,
+      `Leave recorded for ${result.days.length} day${result.days.length !== 1 ? 's' : ''}`,
+      201
+    );
+  } catch (error) {
+    console.error('Error recording leave:', error);
+    return errorResponse(res, error.message || 'Failed to record leave', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a leave day (target dates already pushed stay where they are)
+// @route   DELETE /api/leaves/:id
+// @access  Private (Super Admin)
+export const removeLeave = async (req, res) => {
+  try {
+    const deleted = await deleteLeave(getPool(), req.params.id);
+    if (!deleted) {
+      return errorResponse(res, 'Leave record not found', 404);
+    }
+    return successResponse(res, null, 'Leave record deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting leave:', error);
+    return errorResponse(res, error.message || 'Failed to delete leave record', 500);
+  }
+};
+
+// @desc    Institution holidays (?year=)
+// @route   GET /api/leaves/holidays
+// @access  Private
+export const getHolidays = async (req, res) => {
+  try {
+    const holidays = await listHolidays(getPool(), { year: req.query.year });
+    return successResponse(res, holidays, 'Holidays retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting holidays:', error);
+    return errorResponse(res, error.message || 'Failed to get holidays', 500);
+  }
+};
+
+// @desc    Add a holiday; open target dates on it move to the next working day
+// @route   POST /api/leaves/holidays  body: { date, name }
+// @access  Private (Super Admin)
+export const createHoliday = async (req, res) => {
+  try {
+    const result = await saveHoliday(getPool(), null, req.body || {}, req.user.id || req.user._id);
+    if (result.shiftedTargetDates > 0) clearUserAnalyticsCache();
+    return successResponse(res, result, 'Holiday created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A holiday already exists on this date', 409);
+    }
+    console.error('Error creating holiday:', error);
+    return errorResponse(res, error.message || 'Failed to create holiday', error.statusCode || 500);
+  }
+};
+
+// @desc    Rename or move a holiday (fields not sent keep their current value)
+// @route   PUT /api/leaves/holidays/:id
+// @access  Private (Super Admin)
+export const updateHoliday = async (req, res) => {
+  try {
+    const pool = getPool();
+    const current = await getHoliday(pool, req.params.id);
+    if (!current) {
+      return errorResponse(res, 'Holiday not found', 404);
+    }
+    const result = await saveHoliday(pool, req.params.id, { ...current, ...(req.body || {}) }, req.user.id || req.user._id);
+    if (result.shiftedTargetDates > 0) clearUserAnalyticsCache();
+    return successResponse(res, result, 'Holiday updated successfully', 200);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A holiday already exists on this date', 409);
+    }
+    console.error('Error updating holiday:', error);
+    return errorResponse(res, error.message || 'Failed to update holiday', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a holiday
+// @route   DELETE /api/leaves/holidays/:id
+// @access  Private (Super Admin)
+export const removeHoliday = async (req, res) => {
+  try {
+    const deleted = await deleteHoliday(getPool(), req.params.id);
+    if (!deleted) {
+      return errorResponse(res, 'Holiday not found', 404);
+    }
+    return successResponse(res, null, 'Holiday deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    return errorResponse(res, error.message || 'Failed to delete holiday', 500);
+  }
+};
+
+// @desc    Leave coverage rules (?status=scheduled|active|completed|cancelled, ?userId= as person or backup)
+// @route   GET /api/leaves/coverage
+// @access  Private (Super Admin)
+export const getCoverageRules = async (req, res) => {
+  try {
+    const rules = await listCoverageRules(getPool(), { status: req.query.status, userId: req.query.userId });
+    return successResponse(res, rules, 'Coverage rules retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting coverage rules:', error);
+    return errorResponse(res, error.message || 'Failed to get coverage rules', error.statusCode || 500);
+  }
+};
+
+// @desc    One coverage rule with the leads it routed to the backup
+// @route   GET /api/leaves/coverage/:id
+// @access  Private (Super Admin)
+export const getCoverageRuleDetails = async (req, res) => {
+  try {
+    const rule = await getCoverageRule(getPool(), req.params.id);
+    if (!rule) {
+      return errorResponse(res, 'Coverage rule not found', 404);
+    }
+    return successResponse(res, rule, 'Coverage rule retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting coverage rule:', error);
+    return errorResponse(res, error.message || 'Failed to get coverage rule', 500);
+  }
+};
+
+// @desc    Route a person's due callbacks to a backup for a leave period (starts right away when the leave has begun)
+// @route   POST /api/leaves/coverage  body: { userId, backupUserId, startDate, endDate, reason? }
+// @access  Private (Super Admin)
+export const createCoverage = async (req, res) => {
+  try {
+    const pool = getPool();
+    const input = await normalizeCoverageRuleInput(pool, req.body || {});
+    const rule = await createCoverageRule(pool, input, req.user.id || req.user._id);
+    clearUserAnalyticsCache();
+    return successResponse(res, rule, 'Coverage rule created successfully', 201);
+  } catch (error) {
+    console.error('Error creating coverage rule:', error);
+    return errorResponse(res, error.message || 'Failed to create coverage rule', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a scheduled or active coverage rule (fields not sent keep their current value)
+// @route   PUT /api/leaves/coverage/:id
+// @access  Private (Super Admin)
+export const updateCoverage = async (req, res) => {
+  try {
+    const pool = getPool();
+    const current = await getCoverageRule(pool, req.params.id);
+    if (!current) {
+      return errorResponse(res, 'Coverage rule not found', 404);
+    }
+    const input = await normalizeCoverageRuleInput(pool, { ...current, ...(req.body || {}) }, { excludeRuleId: req.params.id });
+    const rule = await updateCoverageRule(pool, req.params.id, input);
+    clearUserAnalyticsCache();
+    return successResponse(res, rule, 'Coverage rule updated successfully', 200);
+  } catch (error) {
+    console.error('Error updating coverage rule:', error);
+    return errorResponse(res, error.message || 'Failed to update coverage rule', error.statusCode || 500);
+  }
+};
+
+// @desc    Cancel a coverage rule and hand routed leads back now
+// @route   POST /api/leaves/coverage/:id/cancel
+// @access  Private (Super Admin)
+export const cancelCoverage = async (req, res) => {
+  try {
+    const rule = await cancelCoverageRule(getPool(), req.params.id);
+    if (!rule) {
+      return errorResponse(res, 'Coverage rule not found', 404);
+    }
+    clearUserAnalyticsCache();
+    return successResponse(res, rule, 'Coverage rule cancelled successfully', 200);
+  } catch (error) {
+    console.error('Error cancelling coverage rule:', error);
+    return errorResponse(res, error.message || 'Failed to cancel coverage rule', error.statusCode || 500);
+  }
+};
@@ -0,0 +1,87 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import {
+  getTelephonyCall,
+  getTelephonyProvider,
+  isTelephonyWebhookAuthorized,
+  listTelephonyCalls,
+  placeClickToCall,
+  processTelephonyCdr,
+} from '../services/telephony.service.js';
+
+// @desc    Place a bridged call (agent's mobile first, then the lead); log it afterwards with telephonyCallId
+// @route   POST /api/communications/lead/:leadId/call/dial  body: { contactNumber }
+// @access  Private
+export const dialLead = async (req, res) => {
+  try {
+    if (req.user.roleName === 'PRO') {
+      return errorResponse(res, 'Calling is not available for PRO users', 403);
+    }
+    const call = await placeClickToCall(getPool(), {
+      leadId: req.params.leadId,
+      contactNumber: req.body?.contactNumber,
+      userId: req.user.id || req.user._id,
+    });
+    return successResponse(res, call, 'Call placed; your phone will ring first', 201);
+  } catch (error) {
+    console.error('Error placing telephony call:', error);
+    return errorResponse(res, error.message || 'Failed to place call', error.statusCode || 500);
+  }
+};
+
+// @desc    Provider call detail record (CDR) / status callback
+// @route   POST /api/communications/telephony/webhook/:provider
+// @access  Public (TELEPHONY_WEBHOOK_TOKEN)
+export const receiveTelephonyWebhook = async (req, res) => {
+  try {
+    const provider = getTelephonyProvider(req.params.provider);
+    const token = req.query.token || req.get('x-telephony-token');
+    if (!isTelephonyWebhookAuthorized(provider.name, token)) {
+      return errorResponse(res, 'Invalid webhook token', 401);
+    }
+    const call = await processTelephonyCdr(getPool(), provider.name, req.body);
+    return successResponse(res, call, 'CDR received', 200);
+  } catch (error) {
+    console.error('Error processing telephony webhook:', error);
+    return errorResponse(res, error.message || 'Failed to process CDR', error.statusCode || 500);
+  }
+};
+
+// @desc    Telephony calls with CDR data (?leadId, ?userId, ?status, ?mismatch=true, ?startDate, ?endDate, page, limit)
+// @route   GET /api/communications/telephony/calls
+// @access  Private (Super Admin)
+export const getTelephonyCalls = async (req, res) => {
+  try {
+    const result = await listTelephonyCalls(getPool(), {
+      leadId: req.query.leadId,
+      userId: req.query.userId,
+      status: req.query.status,
+      mismatch: req.query.mismatch,
+      startDate: req.query.startDate,
+      endDate: req.query.endDate,
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+    return successResponse(res, result, 'Telephony calls retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting telephony calls:', error);
+    return errorResponse(res, error.message || 'Failed to get telephony calls', error.statusCode || 500);
+  }
+};
+
+// @desc    One telephony call (status, talk time, recording, matched call log)
+// @route   GET /api/communications/telephony/calls/:id
+// @access  Private (own calls; Super Admin for all)
+export const getTelephonyCallDetails = async (req, res) => {
+  try {
+    const call = await getTelephonyCall(getPool(), req.params.id);
+    const userId = req.user.id || req.user._id;
+    if (!call || (req.user.roleName !== 'Super Admin' && call.userId !== userId)) {
+      return errorResponse(res, 'Telephony call not found', 404);
+    }
+    return successResponse(res, call, 'Telephony call retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting telephony call:', error);
+    return errorResponse(res, error.message || 'Failed to get telephony call', 500);
+  }
+};
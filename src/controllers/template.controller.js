@@ -1,6 +1,12 @@
 import { getPool } from '../config-sql/database.js';
 import { successResponse, errorResponse } from '../utils/response.util.js';
 import { v4 as uuidv4 } from 'uuid';
+import { renderTemplateContent } from '../services/communicationSmsDispatch.js';
+import {
+  describeViolations,
+  validateRenderedMessage,
+  validateTemplateDefinition,
+} from '../services/smsCompliance.service.js';
 
 const VAR_PLACEHOLDER_REGEX = /\{#var#\}/gi;
 
@@ -72,6 +78,20 @@ const formatTemplate = (templateData) => {
   };
 };
 
+const isSmsCategory = (category) => !category || String(category).toLowerCase() === 'sms';
+
+/** DLT checks for an SMS template about to be saved; WhatsApp templates are approved by Meta instead. */
+const checkTemplateCompliance = (template) => {
+  if (!isSmsCategory(template.category)) return null;
+  const compliance = validateTemplateDefinition(template);
+  if (!compliance.ok) {
+    const err = new Error(`Template fails DLT checks: ${describeViolations(compliance)}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return compliance;
+};
+
 const assertTemplateGroupExists = async (pool, groupId) => {
   if (!groupId || String(groupId).trim() === '') return null;
   const id = String(groupId).trim();
@@ -322,6 +342,15 @@ export const createTemplate = async (req, res) => {
 
     const variableCount = (content.match(VAR_PLACEHOLDER_REGEX) || []).length;
     const normalizedVars = normalizeVariables(variables, variableCount);
+    const compliance = checkTemplateCompliance({
+      content: content.trim(),
+      dltTemplateId,
+      isUnicode: Boolean(isUnicode),
+      language: language.trim().toLowerCase(),
+      category,
+      variableCount,
+      variables: normalizedVars,
+    });
     const pool = getPool();
     const templateId = uuidv4();
     const userId = req.user?.id || req.user?._id;
@@ -371,10 +400,10 @@ export const createTemplate = async (req, res) => {
 
     const template = formatTemplate(templates[0]);
 
-    return successResponse(res, template, 'Template created successfully', 201);
+    return successResponse(res, { ...template, compliance }, 'Template created successfully', 201);
   } catch (error) {
     console.error('Error creating template:', error);
-    return errorResponse(res, error.message || 'Failed to create template', 500);
+    return errorResponse(res, error.message || 'Failed to create template', error.statusCode || 500);
   }
 };
 
@@ -499,6 +528,28 @@ export const updateTemplate = async (req, res) => {
       updateValues.push(JSON.stringify(normalizeVariables(variables, currentTemplate.variable_count || 0)));
     }
 
+    // Re-check DLT compliance when anything the check depends on changes
+    let compliance = null;
+    const complianceFieldChanged = [content, dltTemplateId, language, isUnicode, variables, category].some((v) => v !== undefined);
+    if (complianceFieldChanged) {
+      const current = formatTemplate(currentTemplate);
+      const nextContent = content !== undefined ? content.trim() : current.content;
+      const nextVariableCount =
+        content !== undefined ? (nextContent.match(VAR_PLACEHOLDER_REGEX) || []).length : current.variableCount;
+      compliance = checkTemplateCompliance({
+        content: nextContent,
+        dltTemplateId: dltTemplateId?.trim() || current.dltTemplateId,
+        isUnicode: isUnicode !== undefined ? Boolean(isUnicode) : current.isUnicode,
+        language: language?.trim()?.toLowerCase() || current.language,
+        category: category?.trim() || current.category,
+        variableCount: nextVariableCount,
+        variables:
+          variables !== undefined || content !== undefined
+            ? normalizeVariables(variables, nextVariableCount)
+            : current.variables,
+      });
+    }
+
     if (userId) {
       updateFields.push('updated_by = ?');
       updateValues.push(userId);
@@ -525,10 +576,62 @@ export const updateTemplate = async (req, res) => {
 
     const template = formatTemplate(updatedTemplates[0]);
 
-    return successResponse(res, template, 'Template updated successfully');
+    return successResponse(res, compliance ? { ...template, compliance } : template, 'Template updated successfully');
   } catch (error) {
     console.error('Error updating template:', error);
-    return errorResponse(res, error.message || 'Failed to update template', 500);
+    return errorResponse(res, error.message || 'Failed to update template', error.statusCode || 500);
+  }
+};
+
+/**
+ * Super Admin: DLT checks and a rendered preview for a saved SMS template (`/templates/:id/preview`) or a draft
+ * sent in the body (`/templates/preview`: content, dltTemplateId, language, isUnicode, variables).
+ * `values` ([{ key, value }]) fill the placeholders; `recipients` multiplies the credits.
+ */
+export const previewTemplate = async (req, res) => {
+  try {
+    const { values, recipients } = req.body || {};
+    let template;
+    if (req.params.id) {
+      const pool = getPool();
+      const [rows] = await pool.execute('SELECT * FROM message_templates WHERE id = ?', [req.params.id]);
+      if (rows.length === 0) {
+        return errorResponse(res, 'Template not found', 404);
+      }
+      template = formatTemplate(rows[0]);
+    } else {
+      const { content = '', dltTemplateId = '', language = 'en', isUnicode, variables, category = 'sms' } = req.body || {};
+      const variableCount = (String(content).match(VAR_PLACEHOLDER_REGEX) || []).length;
+      template = {
+        content: String(content).trim(),
+        dltTemplateId: String(dltTemplateId).trim(),
+        language: String(language).trim().toLowerCase(),
+        isUnicode: Boolean(isUnicode),
+        category,
+        variableCount,
+        variables: normalizeVariables(variables, variableCount),
+      };
+    }
+    if (!isSmsCategory(template.category)) {
+      return errorResponse(res, 'Preview is only available for SMS templates', 400);
+    }
+
+    const { rendered, mappedVariables } = renderTemplateContent(template, Array.isArray(values) ? values : []);
+    const message = validateRenderedMessage(template, rendered, mappedVariables);
+    const recipientCount = Math.max(parseInt(recipients, 10) || 1, 1);
+    return successResponse(
+      res,
+      {
+        template: validateTemplateDefinition(template),
+        message,
+        recipients: recipientCount,
+        totalCredits: message.creditsPerRecipient * recipientCount,
+      },
+      'Template preview generated'
+    );
+  } catch (error) {
+    console.error('Error previewing template:', error);
+    return errorResponse(res, error.message || 'Failed to preview template', 500);
   }
 };
 
@@ -0,0 +1,107 @@
+import { getPool } from '../config-sql/database.js';
+import { successResponse, errorResponse } from '../utils/response.util.js';
+import {
+  deleteTerritory as deleteTerritoryRow,
+  getTerritory as getTerritoryById,
+  getUnownedAreasReport,
+  listTerritories,
+  normalizeTerritoryInput,
+  saveTerritory,
+} from '../services/territory.service.js';
+
+// @desc    List territories with area / owner counts
+// @route   GET /api/territories
+// @access  Private (Super Admin)
+export const getTerritories = async (req, res) => {
+  try {
+    const territories = await listTerritories(getPool());
+    return successResponse(res, territories, 'Territories retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting territories:', error);
+    return errorResponse(res, error.message || 'Failed to get territories', 500);
+  }
+};
+
+// @desc    Territory with its areas (resolved names) and owners
+// @route   GET /api/territories/:id
+// @access  Private (Super Admin)
+export const getTerritory = async (req, res) => {
+  try {
+    const territory = await getTerritoryById(getPool(), req.params.id);
+    if (!territory) {
+      return errorResponse(res, 'Territory not found', 404);
+    }
+    return successResponse(res, territory, 'Territory retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting territory:', error);
+    return errorResponse(res, error.message || 'Failed to get territory', 500);
+  }
+};
+
+// @desc    Create a territory; body { name, description?, isDefault?, isActive?, areas: [{ type, id }], owners: [{ userId, role }] }
+// @route   POST /api/territories
+// @access  Private (Super Admin)
+export const createTerritory = async (req, res) => {
+  try {
+    const input = normalizeTerritoryInput(req.body);
+    const territory = await saveTerritory(getPool(), null, input, req.user.id || req.user._id);
+    return successResponse(res, territory, 'Territory created successfully', 201);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A territory with this name already exists, or one of its areas is already mapped', 409);
+    }
+    console.error('Error creating territory:', error);
+    return errorResponse(res, error.message || 'Failed to create territory', error.statusCode || 500);
+  }
+};
+
+// @desc    Update a territory (fields not sent keep their current value; areas / owners replace the lists)
+// @route   PUT /api/territories/:id
+// @access  Private (Super Admin)
+export const updateTerritory = async (req, res) => {
+  try {
+    const pool = getPool();
+    const current = await getTerritoryById(pool, req.params.id);
+    if (!current) {
+      return errorResponse(res, 'Territory not found', 404);
+    }
+    const input = normalizeTerritoryInput({ ...current, ...req.body });
+    const territory = await saveTerritory(pool, req.params.id, input, req.user.id || req.user._id);
+    return successResponse(res, territory, 'Territory updated successfully', 200);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return errorResponse(res, 'A territory with this name already exists, or one of its areas is already mapped', 409);
+    }
+    console.error('Error updating territory:', error);
+    return errorResponse(res, error.message || 'Failed to update territory', error.statusCode || 500);
+  }
+};
+
+// @desc    Delete a territory (leads keep their current assignees)
+// @route   DELETE /api/territories/:id
+// @access  Private (Super Admin)
+export const deleteTerritory = async (req, res) => {
+  try {
+    const deleted = await deleteTerritoryRow(getPool(), req.params.id);
+    if (!deleted) {
+      return errorResponse(res, 'Territory not found', 404);
+    }
+    return successResponse(res, null, 'Territory deleted successfully', 200);
+  } catch (error) {
+    console.error('Error deleting territory:', error);
+    return errorResponse(res, error.message || 'Failed to delete territory', 500);
+  }
+};
+
+// @desc    Mandals / schools no active territory covers (with lead volume) and territories missing owners
+// @route   GET /api/territories/reports/unowned?academicYear=
+// @access  Private (Super Admin)
+export const getUnownedAreas = async (req, res) => {
+  try {
+    const report = await getUnownedAreasReport(getPool(), { academicYear: req.query.academicYear });
+    return successResponse(res, report, 'Unowned areas retrieved successfully', 200);
+  } catch (error) {
+    console.error('Error getting unowned areas report:', error);
+    return errorResponse(res, error.message || 'Failed to get unowned areas report', 500);
+  }
+};
@@ -1052,7 +1052,7 @@ export const updateUser = async (req, res) => {
 
       // Get all leads assigned to this user
       const [leadsToUnassign] = await pool.execute(
-        `SELECT id, lead_status FROM leads WHERE ${assignmentCol} = ?`,
+        `SELECT id, lead_status FROM leads WHERE ${assignmentCol} = ? AND deleted_at IS NULL`,
         [req.params.id]
       );
 
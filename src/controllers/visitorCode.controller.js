@@ -34,7 +34,7 @@ export const generateVisitorCode = async (req, res) => {
       FROM leads l
       LEFT JOIN users uc ON l.assigned_to = uc.id
       LEFT JOIN users up ON l.assigned_to_pro = up.id
-      WHERE l.id = ?
+      WHERE l.id = ? AND l.deleted_at IS NULL
     `, [leadId]);
 
     if (leadRows.length === 0) {
@@ -208,7 +208,7 @@ export const verifyVisitorCode = async (req, res) => {
       FROM visitor_codes vc
       JOIN leads l ON vc.lead_id = l.id
       JOIN users u ON vc.created_by = u.id
-      WHERE vc.code = ? AND vc.status = 'active' AND vc.expires_at > NOW()
+      WHERE vc.code = ? AND vc.status = 'active' AND vc.expires_at > NOW() AND l.deleted_at IS NULL
     `, [code]);
 
     if (rows.length === 0) {
@@ -257,10 +257,14 @@ export const consumeVisitorCode = async (req, res) => {
       }
 
       const [lr] = await connection.execute(
-        'SELECT lead_status, call_status, visit_status FROM leads WHERE id = ? FOR UPDATE',
+        'SELECT lead_status, call_status, visit_status FROM leads WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
         [leadId]
       );
-      const row = lr[0] || {};
+      if (lr.length === 0) {
+        await connection.rollback();
+        return res.status(404).json({ success: false, message: 'Lead not found' });
+      }
+      const row = lr[0];
       const nextLead = resolveLeadStatus(row.lead_status || 'New', row.call_status ?? null, 'Visited');
       await connection.execute(
         'UPDATE leads SET visit_status = ?, lead_status = ?, updated_at = NOW() WHERE id = ?',
@@ -327,7 +331,7 @@ export const getRecentVisitors = async (req, res) => {
           l.enquiry_number as lead_enquiry_number,
           u.name as sender_name
         FROM visitor_codes vc
-        JOIN leads l ON vc.lead_id = l.id
+        JOIN leads l ON vc.lead_id = l.id AND l.deleted_at IS NULL
         JOIN users u ON vc.created_by = u.id
       )
       UNION ALL
@@ -347,7 +351,7 @@ export const getRecentVisitors = async (req, res) => {
           ORDER BY created_at DESC LIMIT 1
         )
         LEFT JOIN users u ON al.performed_by = u.id
-        WHERE LOWER(l.lead_status) = 'visited'
+        WHERE LOWER(l.lead_status) = 'visited' AND l.deleted_at IS NULL
         AND l.id NOT IN (SELECT DISTINCT lead_id FROM visitor_codes WHERE status = 'used')
       )
       ORDER BY created_at DESC
@@ -358,7 +362,7 @@ export const getRecentVisitors = async (req, res) => {
     const [statsRows] = await pool.execute(`
       SELECT 
         (SELECT COUNT(*) FROM visitor_codes WHERE status = 'used') as verified_count,
-        (SELECT COUNT(*) FROM leads WHERE LOWER(lead_status) = 'visited' AND id NOT IN (SELECT DISTINCT lead_id FROM visitor_codes WHERE status = 'used')) as manual_count
+        (SELECT COUNT(*) FROM leads WHERE LOWER(lead_status) = 'visited' AND deleted_at IS NULL AND id NOT IN (SELECT DISTINCT lead_id FROM visitor_codes WHERE status = 'used')) as manual_count
     `);
     
     const stats = statsRows[0] || { verified_count: 0, manual_count: 0 };
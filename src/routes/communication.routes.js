@@ -6,6 +6,7 @@ import {
   getLeadCommunications,
   getLeadCommunicationStats,
   getBulkSmsAccountStatus,
+  receiveSmsDeliveryReport,
 } from '../controllers/communication.controller.js';
 import { 
   sendWhatsAppCommunication, 
@@ -44,13 +45,33 @@ import {
   createTemplateGroup,
   updateTemplateGroup,
   deleteTemplateGroup,
+  previewTemplate,
 } from '../controllers/template.controller.js';
 import {
   createBulkSmsJob,
   getBulkSmsJob,
   listBulkSmsJobs,
   resumeBulkSmsJob,
+  pauseBulkSmsJob,
+  cancelBulkSmsJob,
+  updateBulkSmsJobThrottle,
+  skipBulkSmsJobItem,
 } from '../controllers/smsBulkJob.controller.js';
+import {
+  getSmsCampaignOptions,
+  getSmsCampaigns,
+  getSmsCampaignById,
+  createSmsCampaign,
+  updateSmsCampaign,
+  skipSmsCampaignRun,
+  cancelSmsCampaign,
+} from '../controllers/smsCampaign.controller.js';
+import {
+  dialLead,
+  receiveTelephonyWebhook,
+  getTelephonyCalls,
+  getTelephonyCallDetails,
+} from '../controllers/telephony.controller.js';
 import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
@@ -59,6 +80,13 @@ const router = express.Router();
 router.get('/whatsapp/webhook', verifyWhatsAppWebhook);
 router.post('/whatsapp/webhook', receiveWhatsAppWebhook);
 
+// Telephony CDR webhook (Public, token-checked)
+router.post('/telephony/webhook/:provider', receiveTelephonyWebhook);
+
+// SMS delivery report callback (Public, token-checked)
+router.get('/sms/dlr', receiveSmsDeliveryReport);
+router.post('/sms/dlr', receiveSmsDeliveryReport);
+
 router.use(protect);
 
 // Template management
@@ -69,6 +97,8 @@ router.delete('/templates/groups/:id', isSuperAdmin, deleteTemplateGroup);
 router.get('/templates/active', getActiveTemplates);
 router.get('/templates', isSuperAdmin, getTemplates);
 router.post('/templates', isSuperAdmin, createTemplate);
+router.post('/templates/preview', isSuperAdmin, previewTemplate);
+router.post('/templates/:id/preview', isSuperAdmin, previewTemplate);
 router.put('/templates/:id', isSuperAdmin, updateTemplate);
 router.delete('/templates/:id', isSuperAdmin, deleteTemplate);
 router.delete('/templates/:id/hard', isSuperAdmin, hardDeleteTemplate);
@@ -78,6 +108,7 @@ router.post('/whatsapp/upload', isSuperAdmin, upload.single('file'), uploadWhats
 router.get('/sms/account', isSuperAdmin, getBulkSmsAccountStatus);
 
 // Lead communications
+router.post('/lead/:leadId/call/dial', dialLead);
 router.post('/lead/:leadId/call', logCallCommunication);
 router.post('/lead/:leadId/sms', sendSmsCommunication);
 router.get('/lead/:leadId/history', getLeadCommunications);
@@ -85,12 +116,29 @@ router.get('/lead/:leadId/stats', getLeadCommunicationStats);
 router.post('/lead/:leadId/whatsapp', sendWhatsAppCommunication);
 router.get('/whatsapp/verify', verifyWhatsAppContact);
 
+// Cloud telephony calls and CDRs
+router.get('/telephony/calls', isSuperAdmin, getTelephonyCalls);
+router.get('/telephony/calls/:id', getTelephonyCallDetails);
+
 // Bulk SMS & WhatsApp Jobs
 router.post('/sms-bulk/jobs', isSuperAdmin, createBulkSmsJob);
 router.post('/whatsapp-bulk/jobs', isSuperAdmin, createBulkSmsJob);
 router.get('/sms-bulk/jobs', isSuperAdmin, listBulkSmsJobs);
 router.get('/sms-bulk/jobs/:id', isSuperAdmin, getBulkSmsJob);
 router.post('/sms-bulk/jobs/:id/resume', resumeBulkSmsJob);
+router.post('/sms-bulk/jobs/:id/pause', pauseBulkSmsJob);
+router.post('/sms-bulk/jobs/:id/cancel', cancelBulkSmsJob);
+router.patch('/sms-bulk/jobs/:id/throttle', updateBulkSmsJobThrottle);
+router.post('/sms-bulk/jobs/:id/items/:itemId/skip', skipBulkSmsJobItem);
+
+// Scheduled / recurring SMS campaigns
+router.get('/sms-campaigns/options', isSuperAdmin, getSmsCampaignOptions);
+router.get('/sms-campaigns', isSuperAdmin, getSmsCampaigns);
+router.post('/sms-campaigns', isSuperAdmin, createSmsCampaign);
+router.get('/sms-campaigns/:id', isSuperAdmin, getSmsCampaignById);
+router.put('/sms-campaigns/:id', isSuperAdmin, updateSmsCampaign);
+router.post('/sms-campaigns/:id/skip', isSuperAdmin, skipSmsCampaignRun);
+router.post('/sms-campaigns/:id/cancel', isSuperAdmin, cancelSmsCampaign);
 
 // WhatsApp Chat APIs
 router.get('/whatsapp/conversations', getWhatsAppConversations);
@@ -8,6 +8,8 @@ import {
   deleteLead,
   bulkDeleteLeads,
   getDeleteJobStatus,
+  getRecycleBin,
+  restoreDeletedLeads,
   getAllLeadIds,
   getFilterOptions,
   getStudentGroupFilterOptions,
@@ -18,6 +20,9 @@ import {
   getMismatchedLeadsReport,
   getDuplicateLeadsReport,
   updateLeadPhone,
+  mergeDuplicateLeads,
+  checkLeadDuplicates,
+  dismissDuplicateFlag,
 } from '../controllers/leadReport.controller.js';
 import {
   inspectBulkUpload,
@@ -31,12 +36,19 @@ import { extname } from 'path';
 import {
   addActivity,
   getActivityLogs,
+  getLeadTimeline,
 } from '../controllers/activityLog.controller.js';
+import {
+  getLeadFieldHistoryHandler,
+  revertLeadFieldChangeHandler,
+} from '../controllers/leadFieldHistory.controller.js';
 import {
   assignLeads,
+  distributeLeads,
   getAssignmentStats,
   getAssignedCountForUser,
   getAssignmentPortfolio,
+  getCapacityDashboard,
   removeAssignments,
   getUserLeadAnalytics,
   getMyCallAnalytics,
@@ -49,6 +61,23 @@ import {
   markProLeave,
   deleteProLeave
 } from '../controllers/leadAssignment.controller.js';
+import {
+  getAssignmentBatches,
+  getAssignmentBatchDetails,
+  undoAssignmentBatchHandler,
+} from '../controllers/assignmentBatch.controller.js';
+import {
+  getCapacityRules,
+  createCapacityRule,
+  updateCapacityRule,
+  removeCapacityRule,
+} from '../controllers/assignmentCapacity.controller.js';
+import {
+  getNextDialerLeadHandler,
+  getDialerQueue,
+  skipDialerItem,
+  releaseDialerItem,
+} from '../controllers/dialer.controller.js';
 import { protect, isSuperAdmin, requireTimeTrackingEnabled } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
@@ -99,12 +128,35 @@ router.get('/import-jobs/:jobId', isSuperAdmin, getImportJobStatus);
 router.delete('/bulk', isSuperAdmin, bulkDeleteLeads);
 router.get('/delete-jobs/:jobId', isSuperAdmin, getDeleteJobStatus);
 
+// Recycle bin (soft-deleted leads; purged after LEAD_RECYCLE_BIN_RETENTION_DAYS)
+router.get('/recycle-bin', isSuperAdmin, getRecycleBin);
+router.post('/recycle-bin/restore', isSuperAdmin, restoreDeletedLeads);
+router.post('/recycle-bin/:id/restore', isSuperAdmin, restoreDeletedLeads);
+
+// Duplicate merge (Super Admin only) — survivor keeps call history of merged duplicates
+router.post('/merge', isSuperAdmin, mergeDuplicateLeads);
+// Duplicate check before create (Super Admin only; same matcher as create / public form / bulk upload)
+router.post('/duplicates/check', isSuperAdmin, checkLeadDuplicates);
+router.delete('/:id/duplicate-flag', isSuperAdmin, dismissDuplicateFlag);
+
 // Assignment routes (Super Admin only)
 router.get('/assign/stats', isSuperAdmin, getAssignmentStats);
 router.get('/assign/assigned-count', isSuperAdmin, getAssignedCountForUser);
 router.get('/assign/portfolio', isSuperAdmin, getAssignmentPortfolio);
 router.post('/assign', isSuperAdmin, assignLeads);
+// Split one filtered pool across many counsellors / PROs (plan, then commit: true)
+router.post('/assign/distribute', isSuperAdmin, distributeLeads);
 router.post('/assign/remove', isSuperAdmin, removeAssignments);
+// Every assign / distribute / remove commit is a batch that can be undone
+router.get('/assign/batches', isSuperAdmin, getAssignmentBatches);
+router.get('/assign/batches/:batchId', isSuperAdmin, getAssignmentBatchDetails);
+router.post('/assign/batches/:batchId/undo', isSuperAdmin, undoAssignmentBatchHandler);
+// Workload capacity caps enforced by assign / distribute / territory auto-assignment
+router.get('/assign/capacity', isSuperAdmin, getCapacityDashboard);
+router.get('/assign/capacity/rules', isSuperAdmin, getCapacityRules);
+router.post('/assign/capacity/rules', isSuperAdmin, createCapacityRule);
+router.put('/assign/capacity/rules/:id', isSuperAdmin, updateCapacityRule);
+router.delete('/assign/capacity/rules/:id', isSuperAdmin, removeCapacityRule);
 
 // Analytics routes
 router.get('/analytics/overview', isSuperAdmin, getOverviewAnalytics);
@@ -122,9 +174,18 @@ router.get('/pro/leaves', isSuperAdmin, getProLeaves);
 router.post('/pro/leaves', isSuperAdmin, markProLeave);
 router.delete('/pro/leaves/:id', isSuperAdmin, deleteProLeave);
 
+// Auto-dialer queue (counsellors)
+router.post('/dialer/next', getNextDialerLeadHandler);
+router.get('/dialer/queue', getDialerQueue);
+router.post('/dialer/items/:id/skip', skipDialerItem);
+router.post('/dialer/items/:id/release', releaseDialerItem);
+
 // Activity log routes (must come before /:id routes)
 router.post('/:leadId/activity', addActivity);
 router.get('/:leadId/activity', getActivityLogs);
+router.get('/:leadId/timeline', getLeadTimeline);
+router.get('/:leadId/field-history', getLeadFieldHistoryHandler);
+router.post('/:leadId/field-history/:changeId/revert', isSuperAdmin, revertLeadFieldChangeHandler);
 
 // CRUD routes
 router.route('/').get(getLeads).post(createLead);
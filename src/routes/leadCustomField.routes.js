@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+  reindexCustomField,
+  getCustomFieldReindexStatus,
+} from '../controllers/leadCustomField.controller.js';
+import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Registry (forms and filters read it; Super Admin manages it)
+router.get('/', getCustomFields);
+router.post('/', isSuperAdmin, createCustomField);
+router.put('/:id', isSuperAdmin, updateCustomField);
+router.delete('/:id', isSuperAdmin, deleteCustomField);
+
+// Rebuild the filter index from leads.dynamic_fields
+router.post('/:id/reindex', isSuperAdmin, reindexCustomField);
+router.get('/:id/reindex', isSuperAdmin, getCustomFieldReindexStatus);
+
+export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getPolicies,
+  getPolicy,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  previewPolicies,
+  getSettings,
+  updateSettings,
+  dryRunReclamation,
+  runReclamationNow,
+  getRuns,
+  getRun,
+  restoreRun,
+  restoreLeads,
+} from '../controllers/leadReclamation.controller.js';
+import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication (Super Admin only)
+router.use(protect);
+router.use(isSuperAdmin);
+
+router.get('/settings', getSettings);
+router.put('/settings', updateSettings);
+
+router.get('/dry-run', dryRunReclamation);
+router.get('/runs', getRuns);
+router.post('/runs', runReclamationNow);
+router.get('/runs/:runId', getRun);
+router.post('/runs/:runId/restore', restoreRun);
+router.post('/restore', restoreLeads);
+
+router.post('/policies/preview', previewPolicies);
+router.get('/policies', getPolicies);
+router.get('/policies/:id', getPolicy);
+router.post('/policies', createPolicy);
+router.put('/policies/:id', updatePolicy);
+router.delete('/policies/:id', deletePolicy);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getScoringSignals,
+  getScoringRules,
+  createScoringRule,
+  updateScoringRule,
+  deleteScoringRule,
+  recomputeSingleLeadScore,
+  startScoreRecompute,
+  getScoreRecomputeStatus,
+} from '../controllers/leadScoring.controller.js';
+import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Re-score a single lead (lead owner, manager or Super Admin)
+router.post('/leads/:leadId/recompute', recomputeSingleLeadScore);
+
+// Rule configuration (Super Admin only)
+router.get('/signals', isSuperAdmin, getScoringSignals);
+router.get('/rules', isSuperAdmin, getScoringRules);
+router.post('/rules', isSuperAdmin, createScoringRule);
+router.put('/rules/:id', isSuperAdmin, updateScoringRule);
+router.delete('/rules/:id', isSuperAdmin, deleteScoringRule);
+
+// Full re-score after rule changes (Super Admin only)
+router.post('/recompute', isSuperAdmin, startScoreRecompute);
+router.get('/recompute', isSuperAdmin, getScoreRecomputeStatus);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getLeadStatusCatalog,
+  getNextLeadStatuses,
+  createLeadStatus,
+  updateLeadStatusEntry,
+  deleteLeadStatusEntry,
+  seedDefaultLeadStatuses,
+} from '../controllers/leadStatusWorkflow.controller.js';
+import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Catalog for status pickers
+router.get('/', getLeadStatusCatalog);
+router.get('/next', getNextLeadStatuses);
+
+// Catalog management (Super Admin only)
+router.post('/seed-defaults', isSuperAdmin, seedDefaultLeadStatuses);
+router.post('/', isSuperAdmin, createLeadStatus);
+router.put('/:id', isSuperAdmin, updateLeadStatusEntry);
+router.delete('/:id', isSuperAdmin, deleteLeadStatusEntry);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+  getLeadTags,
+  updateLeadTags,
+  bulkTagLeads,
+} from '../controllers/leadTag.controller.js';
+import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Tagging leads (access follows lead visibility)
+router.post('/bulk', bulkTagLeads);
+router.get('/leads/:leadId', getLeadTags);
+router.put('/leads/:leadId', updateLeadTags);
+
+// Tag catalog (Super Admin manages it)
+router.get('/', getTags);
+router.post('/', isSuperAdmin, createTag);
+router.put('/:id', isSuperAdmin, updateTag);
+router.delete('/:id', isSuperAdmin, deleteTag);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getSavedViewOptions,
+  getSavedViews,
+  getSavedViewById,
+  createSavedView,
+  updateSavedView,
+  deleteSavedView,
+  getSavedViewMemberCounts,
+} from '../controllers/leadView.controller.js';
+import { protect } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/options', getSavedViewOptions);
+router.get('/', getSavedViews);
+router.post('/', createSavedView);
+
+// Per-member counts (managers: their team; Super Admin: the view's audience)
+router.get('/:id/counts', getSavedViewMemberCounts);
+
+router.get('/:id', getSavedViewById);
+router.put('/:id', updateSavedView);
+router.delete('/:id', deleteSavedView);
+
+export default router;
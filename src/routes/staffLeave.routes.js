@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+  getLeaves,
+  createLeave,
+  removeLeave,
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  removeHoliday,
+  getCoverageRules,
+  getCoverageRuleDetails,
+  createCoverage,
+  updateCoverage,
+  cancelCoverage,
+} from '../controllers/staffLeave.controller.js';
+import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/holidays', getHolidays);
+router.post('/holidays', isSuperAdmin, createHoliday);
+router.put('/holidays/:id', isSuperAdmin, updateHoliday);
+router.delete('/holidays/:id', isSuperAdmin, removeHoliday);
+
+router.get('/coverage', isSuperAdmin, getCoverageRules);
+router.get('/coverage/:id', isSuperAdmin, getCoverageRuleDetails);
+router.post('/coverage', isSuperAdmin, createCoverage);
+router.put('/coverage/:id', isSuperAdmin, updateCoverage);
+router.post('/coverage/:id/cancel', isSuperAdmin, cancelCoverage);
+
+router.get('/', isSuperAdmin, getLeaves);
+router.post('/', isSuperAdmin, createLeave);
+router.delete('/:id', isSuperAdmin, removeLeave);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  getTerritories,
+  getTerritory,
+  createTerritory,
+  updateTerritory,
+  deleteTerritory,
+  getUnownedAreas,
+} from '../controllers/territory.controller.js';
+import { protect, isSuperAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/reports/unowned', isSuperAdmin, getUnownedAreas);
+
+router.get('/', isSuperAdmin, getTerritories);
+router.get('/:id', isSuperAdmin, getTerritory);
+router.post('/', isSuperAdmin, createTerritory);
+router.put('/:id', isSuperAdmin, updateTerritory);
+router.delete('/:id', isSuperAdmin, deleteTerritory);
+
+export default router;
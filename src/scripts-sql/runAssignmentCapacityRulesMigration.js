@@ -0,0 +1,57 @@
+/**
+ * Apply sql/migrations/20261019_assignment_capacity_rules.sql
+ * Safe to re-run: table(s) use IF NOT EXISTS.
+ *
+ * Usage (from backend-admission):
+ *   npm run migrate:assignment-capacity-rules
+ *   node src/scripts-sql/runAssignmentCapacityRulesMigration.js
+ */
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getPool, closeDB } from '../config-sql/database.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const migrationPath = path.join(
+  __dirname,
+  '../../sql/migrations/20261019_assignment_capacity_rules.sql'
+);
+
+async function main() {
+  const pool = getPool();
+  const raw = fs.readFileSync(migrationPath, 'utf8');
+  const cleaned = raw
+    .split('\n')
+    .filter((line) => !/^\s*--/.test(line))
+    .join('\n');
+  const statements = cleaned
+    .split(';')
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  console.log('Applying assignment capacity rules migration (primary DB)…');
+  for (const statement of statements) {
+    try {
+      await pool.query(statement);
+      console.log('Applied:', statement.split('\n')[0].slice(0, 90));
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME' || e.code === 'ER_DUP_KEYNAME') {
+        console.log('Skipped (already exists):', statement.split('\n')[0].slice(0, 90));
+        continue;
+      }
+      throw e;
+    }
+  }
+  console.log('Assignment capacity rules migration finished.');
+  await closeDB();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+/**
+ * Apply sql/migrations/20261019_dialer_queue.sql
+ * Safe to re-run: table(s) use IF NOT EXISTS.
+ *
+ * Usage (from backend-admission):
+ *   npm run migrate:dialer-queue
+ *   node src/scripts-sql/runDialerQueueMigration.js
+ */
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getPool, closeDB } from '../config-sql/database.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const migrationPath = path.join(
+  __dirname,
+  '../../sql/migrations/20261019_dialer_queue.sql'
+);
+
+async function main() {
+  const pool = getPool();
+  const raw = fs.readFileSync(migrationPath, 'utf8');
+  const cleaned = raw
+    .split('\n')
+    .filter((line) => !/^\s*--/.test(line))
+    .join('\n');
+  const statements = cleaned
+    .split(';')
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  console.log('Applying dialer queue migration (primary DB)…');
+  for (const statement of statements) {
+    try {
+      await pool.query(statement);
+      console.log('Applied:', statement.split('\n')[0].slice(0, 90));
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME' || e.code === 'ER_DUP_KEYNAME') {
+        console.log('Skipped (already exists):', statement.split('\n')[0].slice(0, 90));
+        continue;
+      }
+      throw e;
+    }
+  }
+  console.log('Dialer queue migration finished.');
+  await closeDB();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+/**
+ * Apply sql/migrations/20261019_sms_bulk_job_controls.sql
+ * Safe to re-run: ignores ER_DUP_FIELDNAME if columns already exist; the status CHECK constraints are dropped and re-added.
+ *
+ * Usage (from backend-admission):
+ *   npm run migrate:sms-bulk-job-controls
+ *   node src/scripts-sql/runSmsBulkJobControlsMigration.js
+ */
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getPool, closeDB } from '../config-sql/database.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const migrationPath = path.join(
+  __dirname,
+  '../../sql/migrations/20261019_sms_bulk_job_controls.sql'
+);
+
+async function main() {
+  const pool = getPool();
+  const raw = fs.readFileSync(migrationPath, 'utf8');
+  const cleaned = raw
+    .split('\n')
+    .filter((line) => !/^\s*--/.test(line))
+    .join('\n');
+  const statements = cleaned
+    .split(';')
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  console.log('Applying SMS bulk job controls migration (primary DB)…');
+  // Inline CHECKs from schema.sql get generated names (sms_bulk_jobs_chk_1, …); drop whichever guard `status`
+  const [checks] = await pool.query(
+    `SELECT tc.TABLE_NAME, tc.CONSTRAINT_NAME
+     FROM information_schema.TABLE_CONSTRAINTS tc
+     JOIN information_schema.CHECK_CONSTRAINTS cc
+       ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+     WHERE tc.TABLE_SCHEMA = DATABASE() AND tc.CONSTRAINT_TYPE = 'CHECK'
+       AND tc.TABLE_NAME IN ('sms_bulk_jobs', 'sms_bulk_job_items')
+       AND cc.CHECK_CLAUSE LIKE '%status%'`
+  );
+  for (const check of checks) {
+    await pool.query(`ALTER TABLE \`${check.TABLE_NAME}\` DROP CHECK \`${check.CONSTRAINT_NAME}\``);
+    console.log(`Dropped CHECK ${check.CONSTRAINT_NAME} on ${check.TABLE_NAME}`);
+  }
+  for (const statement of statements) {
+    try {
+      await pool.query(statement);
+      console.log('Applied:', statement.split('\n')[0].slice(0, 90));
+    } catch (e) {
+      if (e.code === 'ER_DUP_FIELDNAME' || e.code === 'ER_DUP_KEYNAME') {
+        console.log('Skipped (already exists):', statement.split('\n')[0].slice(0, 90));
+        continue;
+      }
+      throw e;
+    }
+  }
+  console.log('SMS bulk job controls migration finished.');
+  await closeDB();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
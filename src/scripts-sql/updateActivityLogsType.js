@@ -1,5 +1,6 @@
 /**
- * Migration: Add "field_update" to the activity_logs type CHECK constraint.
+ * Migration: Sync the activity_logs type CHECK constraint with the types the API writes
+ * (keep ACTIVITY_LOG_TYPES in step with schema.sql).
  * Fixes: Check constraint 'activity_logs_chk_1' is violated error.
  * Run: node src/scripts-sql/updateActivityLogsType.js (from backend-admission directory)
  */
@@ -8,6 +9,18 @@ import mysql from 'mysql2/promise';
 
 dotenv.config();
 
+const ACTIVITY_LOG_TYPES = [
+  'status_change',
+  'comment',
+  'follow_up',
+  'quota_change',
+  'joining_update',
+  'field_update',
+  'lead_merge',
+  'enquiry_touch',
+  'tag_change',
+];
+
 const run = async () => {
   let connection;
 
@@ -54,11 +67,11 @@ const run = async () => {
     }
 
     // 2. Add the updated constraint
-    console.log('Adding updated CHECK constraint including "field_update"...');
+    console.log(`Adding updated CHECK constraint: ${ACTIVITY_LOG_TYPES.join(', ')} ...`);
     try {
         await connection.execute(
         `ALTER TABLE activity_logs ADD CONSTRAINT activity_logs_type_check
-         CHECK (type IN ('status_change', 'comment', 'follow_up', 'quota_change', 'joining_update', 'field_update'))`
+         CHECK (type IN (${ACTIVITY_LOG_TYPES.map((t) => `'${t}'`).join(', ')}))`
         );
         console.log('Successfully added new constraint.');
     } catch (err) {
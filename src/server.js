@@ -2,15 +2,22 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 // import connectDB from './config/database.js'; // COMMENTED OUT: Migration to SQL complete
-import connectSQLDB from './config-sql/database.js';
+import connectSQLDB, { getPool } from './config-sql/database.js';
 import connectSecondaryDB from './config-sql/database-secondary.js';
 import { warmupHrmsMongo } from './config-mongo/hrms.js';
 import { warmupFeeManagementMongo } from './config-mongo/feeManagement.js';
 import { warmupTransportMongo } from './config-mongo/transport.js';
 import { warmupHostelMongo } from './config-mongo/hostel.js';
 import { initLeadReclaimer } from './services/leadReclaimer.service.js';
+import { initLeadRecycleBinPurge } from './services/leadRecycleBin.service.js';
+import { initLeadScoreRecompute } from './services/leadScoring.service.js';
+import { initLeaveCoverage } from './services/staffLeave.service.js';
+import { initCallReminders } from './services/callReminder.service.js';
+import { initSmsDeliveryPolling } from './services/smsDelivery.service.js';
+import { initSmsCampaignScheduler } from './services/smsCampaign.service.js';
 import { initAdmissionPendingFeeDocsSmsScheduler } from './services/admissionPendingFeeDocsSmsScheduler.service.js';
 import { resumeRunningSmsBulkJobsOnStartup } from './services/smsBulkJob.service.js';
+import { warmStatusCatalog } from './services/leadStatusWorkflow.service.js';
 import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/user.routes.js';
 import leadRoutes from './routes/lead.routes.js';
@@ -36,6 +43,14 @@ import transportRoutes from './routes/transport.routes.js';
 import hostelRoutes from './routes/hostel.routes.js';
 import feeRequestRoutes from './routes/feeRequest.routes.js';
 import printProxyRoutes from './routes/printProxy.routes.js';
+import leadScoringRoutes from './routes/leadScoring.routes.js';
+import leadViewRoutes from './routes/leadView.routes.js';
+import leadCustomFieldRoutes from './routes/leadCustomField.routes.js';
+import leadStatusWorkflowRoutes from './routes/leadStatusWorkflow.routes.js';
+import leadTagRoutes from './routes/leadTag.routes.js';
+import territoryRoutes from './routes/territory.routes.js';
+import leadReclamationRoutes from './routes/leadReclamation.routes.js';
+import staffLeaveRoutes from './routes/staffLeave.routes.js';
 
 // Load environment variables
 dotenv.config();
@@ -87,12 +102,24 @@ warmupHostelMongo().catch((err) => {
 });
 
 const app = express();
-// Lead reclamation: once daily at configured IST wall time (default 23:11; see leadReclaimer.service.js)
+// Lead reclamation: once daily at the configured IST wall time (admin setting, else env; default 23:11)
 initLeadReclaimer();
 // Pending fee + pending documents SMS dispatch: AM/PM daily (see admissionPendingFeeDocsSmsScheduler.service.js)
 initAdmissionPendingFeeDocsSmsScheduler().catch((e) =>
   console.error('[Admission Pending SMS Scheduler] startup failed:', e?.message || e)
 );
+// Recycle bin: permanently delete leads past retention, once daily (see leadRecycleBin.service.js)
+initLeadRecycleBinPurge();
+// Lead scoring: daily full recompute so days_since_* signals stay current (see leadScoring.service.js)
+initLeadScoreRecompute();
+// Leave coverage: route callbacks to backups during leave and hand them back after (see staffLeave.service.js)
+initLeaveCoverage();
+// Call reminders: before scheduled calls, morning agenda digest, missed-callback escalation (see callReminder.service.js)
+initCallReminders();
+// SMS delivery reports: poll the provider for messages the DLR webhook has not reported (see smsDelivery.service.js)
+initSmsDeliveryPolling();
+// SMS campaigns: scheduled / recurring bulk SMS runs and scheduled bulk jobs (see smsCampaign.service.js)
+initSmsCampaignScheduler();
 
 const PORT = process.env.PORT || 5000;
 
@@ -177,6 +204,14 @@ app.use('/api/transport', transportRoutes);
 app.use('/api/hostel', hostelRoutes);
 app.use('/api/fee-requests', feeRequestRoutes);
 app.use('/api/print', printProxyRoutes);
+app.use('/api/lead-scoring', leadScoringRoutes);
+app.use('/api/lead-views', leadViewRoutes);
+app.use('/api/lead-custom-fields', leadCustomFieldRoutes);
+app.use('/api/lead-statuses', leadStatusWorkflowRoutes);
+app.use('/api/lead-tags', leadTagRoutes);
+app.use('/api/territories', territoryRoutes);
+app.use('/api/lead-reclamation', leadReclamationRoutes);
+app.use('/api/leaves', staffLeaveRoutes);
 // Role routes removed - using roleName string in User model instead
 
 // Health check
@@ -192,6 +227,7 @@ app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   setTimeout(() => {
     resumeRunningSmsBulkJobsOnStartup().catch((e) => console.error('[SMS bulk job] startup:', e));
+    warmStatusCatalog(getPool());
   }, 2000);
 });
 
@@ -0,0 +1,370 @@
+/**
+ * Assignment batches: every assignLeads / removeAssignments / distributeLeads commit is stored as one batch
+ * with the pre-batch assignee, target-date and status state of each lead, so it can be previewed (dryRun)
+ * and undone.
+ *
+ * Undo restores a lead only when it has not been touched since the batch: its current assignee on the channel
+ * is still the one the batch set and leads.updated_at is unchanged. Everything else is reported as skipped.
+ * A partially undone batch can be undone again while some of its items were never processed (e.g. the first
+ * undo stopped half way).
+ *
+ * A lead moved on both channels (distribution assigns counsellors first, then PROs) gets one item per channel,
+ * but the shared columns are stored from the earliest snapshot on every item: the later snapshot was read after
+ * the first channel's write and would restore the mid-batch lead_status.
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+export const ASSIGNMENT_BATCH_OPERATIONS = ['assign', 'remove', 'distribute'];
+
+const INSERT_CHUNK = 500;
+
+/** Columns saved per channel (the ones assign / remove overwrite), plus the shared ones. */
+const CHANNEL_STATE_COLUMNS = {
+  counsellor: ['assigned_to', 'assigned_at', 'assigned_by', 'counsellor_target_date', 'call_status'],
+  pro: ['assigned_to_pro', 'pro_assigned_at', 'pro_assigned_by', 'pro_target_date', 'visit_status'],
+};
+const SHARED_STATE_COLUMNS = ['lead_status', 'target_date', 'academic_year'];
+
+/** SELECT list for the pre-batch snapshot of a leads row (both channels). */
+export const ASSIGNMENT_SNAPSHOT_SELECT = [
+  'id',
+  ...CHANNEL_STATE_COLUMNS.counsellor,
+  ...CHANNEL_STATE_COLUMNS.pro,
+  ...SHARED_STATE_COLUMNS,
+].join(', ');
+
+const assignmentBatchError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const assigneeColumn = (channel) => (channel === 'pro' ? 'assigned_to_pro' : 'assigned_to');
+
+/** DATE / DATETIME values as SQL strings so they round-trip through JSON unchanged (pool timezone is UTC). */
+const toSqlValue = (value) => {
+  if (!(value instanceof Date)) return value ?? null;
+  return value.toISOString().slice(0, 19).replace('T', ' ');
+};
+
+/** Channel columns from this channel's own read; shared columns from the lead's pre-batch read. */
+const snapshotFor = (row, channel, preBatchRow = row) => {
+  const state = {};
+  for (const column of CHANNEL_STATE_COLUMNS[channel]) {
+    state[column] = toSqlValue(row[column]);
+  }
+  for (const column of SHARED_STATE_COLUMNS) {
+    state[column] = toSqlValue(preBatchRow[column]);
+  }
+  return state;
+};
+
+/** Channel order of a two-channel batch (distribution writes counsellors first). */
+const CHANNEL_WRITE_ORDER_SQL = "FIELD(channel, 'counsellor', 'pro')";
+
+/**
+ * Leads that would move in a dry run: current holder on the channel → new assignee (null for removals).
+ * @param {{ leadIds: string[], channel: 'counsellor'|'pro', toUserId?: string|null }} input
+ */
+export async function previewAssignmentMoves(db, { leadIds, channel, toUserId = null }) {
+  const column = assigneeColumn(channel);
+  const moves = [];
+  for (let i = 0; i < leadIds.length; i += INSERT_CHUNK) {
+    const chunk = leadIds.slice(i, i + INSERT_CHUNK);
+    const [rows] = await db.execute(
+      `SELECT l.id, l.name, l.enquiry_number, l.${column} AS current_user_id, u.name AS current_user_name
+       FROM leads l
+       LEFT JOIN users u ON u.id = l.${column}
+       WHERE l.id IN (${chunk.map(() => '?').join(',')})`,
+      chunk
+    );
+    const byId = new Map(rows.map((r) => [r.id, r]));
+    for (const id of chunk) {
+      const row = byId.get(id);
+      if (!row) continue;
+      moves.push({
+        leadId: row.id,
+        name: row.name,
+        enquiryNumber: row.enquiry_number,
+        channel,
+        fromUserId: row.current_user_id || null,
+        fromUserName: row.current_user_name || null,
+        toUserId: toUserId || null,
+        unchanged: (row.current_user_id || null) === (toUserId || null),
+      });
+    }
+  }
+  return moves;
+}
+
+/**
+ * Store a committed batch.
+ * @param {{ id?: string, operation: string, targetUserId?: string|null, filters?: object, createdBy: string,
+ *   items: Array<{ leadId: string, channel: 'counsellor'|'pro', previousRow: object, newAssignedTo: string|null }> }} input
+ *   previousRow: leads row read with ASSIGNMENT_SNAPSHOT_SELECT before the write
+ * @returns {Promise<string|null>} batch id, or null when nothing moved
+ */
+export async function recordAssignmentBatch(db, { id = null, operation, targetUserId = null, filters = null, createdBy, items }) {
+  if (!items || items.length === 0) return null;
+  const batchId = id || uuidv4();
+  // Items arrive in write order, so the first snapshot of a lead is its pre-batch state
+  const firstRowByLead = new Map();
+  for (const item of items) {
+    if (!firstRowByLead.has(item.leadId)) firstRowByLead.set(item.leadId, item.previousRow);
+  }
+  const leadCount = new Set(items.map((item) => item.leadId)).size;
+  await db.execute(
+    `INSERT INTO assignment_batches (id, operation, target_user_id, lead_count, request_filters, status, created_by, created_at)
+     VALUES (?, ?, ?, ?, ?, 'applied', ?, NOW())`,
+    [batchId, operation, targetUserId, leadCount, filters ? JSON.stringify(filters) : null, createdBy]
+  );
+
+  for (let i = 0; i < items.length; i += INSERT_CHUNK) {
+    const chunk = items.slice(i, i + INSERT_CHUNK);
+    await db.execute(
+      `INSERT INTO assignment_batch_items (batch_id, lead_id, channel, previous_state, new_assigned_to)
+       VALUES ${chunk.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flatMap((item) => [
+        batchId,
+        item.leadId,
+        item.channel,
+        JSON.stringify(snapshotFor(item.previousRow, item.channel, firstRowByLead.get(item.leadId))),
+        item.newAssignedTo || null,
+      ])
+    );
+    // Baseline for "touched since the batch"
+    await db.execute(
+      `UPDATE assignment_batch_items abi
+       INNER JOIN leads l ON l.id = abi.lead_id
+       SET abi.post_updated_at = l.updated_at
+       WHERE abi.batch_id = ? AND abi.lead_id IN (${chunk.map(() => '?').join(',')})`,
+      [batchId, ...chunk.map((item) => item.leadId)]
+    );
+  }
+  return batchId;
+}
+
+const formatBatch = (row) => ({
+  id: row.id,
+  _id: row.id,
+  operation: row.operation,
+  targetUserId: row.target_user_id || null,
+  targetUserName: row.target_user_name || null,
+  leadCount: Number(row.lead_count || 0),
+  filters: parseJson(row.request_filters, null),
+  status: row.status,
+  createdBy: row.created_by || null,
+  createdByName: row.created_by_name || null,
+  createdAt: row.created_at,
+  undoneBy: row.undone_by || null,
+  undoneAt: row.undone_at || null,
+  undoRestoredCount: row.undo_restored_count != null ? Number(row.undo_restored_count) : null,
+  undoSkippedCount: row.undo_skipped_count != null ? Number(row.undo_skipped_count) : null,
+});
+
+const BATCH_SELECT = `
+  SELECT ab.*, tu.name AS target_user_name, cu.name AS created_by_name
+  FROM assignment_batches ab
+  LEFT JOIN users tu ON tu.id = ab.target_user_id
+  LEFT JOIN users cu ON cu.id = ab.created_by`;
+
+export async function listAssignmentBatches(db, { operation, targetUserId, status, page = 1, limit = 20 } = {}) {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const conditions = [];
+  const params = [];
+  if (operation) {
+    if (!ASSIGNMENT_BATCH_OPERATIONS.includes(operation)) {
+      throw assignmentBatchError(`operation must be one of: ${ASSIGNMENT_BATCH_OPERATIONS.join(', ')}`);
+    }
+    conditions.push('ab.operation = ?');
+    params.push(operation);
+  }
+  if (targetUserId) {
+    conditions.push('ab.target_user_id = ?');
+    params.push(targetUserId);
+  }
+  if (status) {
+    conditions.push('ab.status = ?');
+    params.push(status);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [countRows] = await db.execute(`SELECT COUNT(*) AS total FROM assignment_batches ab ${whereClause}`, params);
+  const [rows] = await db.execute(
+    `${BATCH_SELECT} ${whereClause} ORDER BY ab.created_at DESC LIMIT ${Number(limitNum)} OFFSET ${Number((pageNum - 1) * limitNum)}`,
+    params
+  );
+  const total = Number(countRows[0]?.total || 0);
+  return {
+    batches: rows.map(formatBatch),
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+}
+
+export async function getAssignmentBatch(db, batchId) {
+  const [rows] = await db.execute(`${BATCH_SELECT} WHERE ab.id = ?`, [batchId]);
+  if (rows.length === 0) return null;
+  const [items] = await db.execute(
+    `SELECT abi.*, l.name AS lead_name, l.enquiry_number, nu.name AS new_assigned_to_name
+     FROM assignment_batch_items abi
+     LEFT JOIN leads l ON l.id = abi.lead_id
+     LEFT JOIN users nu ON nu.id = abi.new_assigned_to
+     WHERE abi.batch_id = ?
+     ORDER BY l.name ASC`,
+    [batchId]
+  );
+  return {
+    ...formatBatch(rows[0]),
+    items: items.map((item) => {
+      const previous = parseJson(item.previous_state, {});
+      return {
+        leadId: item.lead_id,
+        leadName: item.lead_name || null,
+        enquiryNumber: item.enquiry_number || null,
+        channel: item.channel,
+        previousAssignedTo: previous[assigneeColumn(item.channel)] || null,
+        newAssignedTo: item.new_assigned_to || null,
+        newAssignedToName: item.new_assigned_to_name || null,
+        undoStatus: item.undo_status || null,
+        undoSkipReason: item.undo_skip_reason || null,
+      };
+    }),
+  };
+}
+
+const sameTimestamp = (a, b) => {
+  if (!a || !b) return false;
+  return new Date(a).getTime() === new Date(b).getTime();
+};
+
+/**
+ * Restore the pre-batch state of every lead the batch moved that has not been touched since.
+ * A lead with both channels in the batch (distribution) is restored as a whole or not at all.
+ * @returns {Promise<{ batch: object, restored: number, skipped: Array<{ leadId: string, reason: string }> }>}
+ */
+export async function undoAssignmentBatch(db, { batchId, performedBy }) {
+  const [batches] = await db.execute('SELECT * FROM assignment_batches WHERE id = ?', [batchId]);
+  if (batches.length === 0) throw assignmentBatchError('Assignment batch not found', 404);
+  if (batches[0].status === 'undone') throw assignmentBatchError('This batch has already been undone', 409);
+
+  const [items] = await db.execute(
+    `SELECT * FROM assignment_batch_items WHERE batch_id = ? AND undo_status IS NULL
+     ORDER BY lead_id ASC, ${CHANNEL_WRITE_ORDER_SQL} ASC`,
+    [batchId]
+  );
+  if (batches[0].status === 'partially_undone' && items.length === 0) {
+    throw assignmentBatchError('Every lead in this batch has already been restored or skipped', 409);
+  }
+  const itemsByLead = new Map();
+  for (const item of items) {
+    if (!itemsByLead.has(item.lead_id)) itemsByLead.set(item.lead_id, []);
+    itemsByLead.get(item.lead_id).push(item);
+  }
+
+  let restored = 0;
+  const skipped = [];
+  const markItems = async (leadId, undoStatus, reason = null) => {
+    await db.execute(
+      'UPDATE assignment_batch_items SET undo_status = ?, undo_skip_reason = ? WHERE batch_id = ? AND lead_id = ?',
+      [undoStatus, reason, batchId, leadId]
+    );
+  };
+
+  for (const [leadId, leadItems] of itemsByLead) {
+    const [leads] = await db.execute(
+      `SELECT ${ASSIGNMENT_SNAPSHOT_SELECT}, updated_at, deleted_at FROM leads WHERE id = ?`,
+      [leadId]
+    );
+    const lead = leads[0];
+    let reason = null;
+    if (!lead || lead.deleted_at) {
+      reason = 'Lead deleted';
+    } else if (leadItems.some((item) => (lead[assigneeColumn(item.channel)] || null) !== (item.new_assigned_to || null))) {
+      reason = 'Assignee changed since the batch';
+    } else if (leadItems.some((item) => !sameTimestamp(lead.updated_at, item.post_updated_at))) {
+      reason = 'Lead updated since the batch';
+    }
+    if (reason) {
+      skipped.push({ leadId, reason });
+      await markItems(leadId, 'skipped', reason);
+      continue;
+    }
+
+    // Channel columns from each channel's item; shared columns from the earliest snapshot only
+    const restore = {};
+    leadItems.forEach((item, index) => {
+      const previous = parseJson(item.previous_state, {});
+      for (const column of CHANNEL_STATE_COLUMNS[item.channel]) restore[column] = previous[column] ?? null;
+      if (index === 0) {
+        for (const column of SHARED_STATE_COLUMNS) restore[column] = previous[column] ?? null;
+      }
+    });
+    const columns = Object.keys(restore);
+    const [update] = await db.execute(
+      `UPDATE leads SET ${columns.map((c) => `${c} = ?`).join(', ')}, updated_at = NOW()
+       WHERE id = ? AND updated_at = ?`,
+      [...columns.map((c) => restore[c]), leadId, lead.updated_at]
+    );
+    if (Number(update?.affectedRows || 0) === 0) {
+      skipped.push({ leadId, reason: 'Lead updated since the batch' });
+      await markItems(leadId, 'skipped', 'Lead updated since the batch');
+      continue;
+    }
+
+    await db.execute(
+      `INSERT INTO activity_logs (id, lead_id, type, old_status, new_status, comment, performed_by, metadata, created_at, updated_at)
+       VALUES (?, ?, 'status_change', ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        uuidv4(),
+        leadId,
+        lead.lead_status || null,
+        restore.lead_status || null,
+        `Assignment batch undone (${batches[0].operation})`,
+        performedBy,
+        JSON.stringify({
+          assignmentUndo: {
+            batchId,
+            operation: batches[0].operation,
+            restored: leadItems.map((item) => ({
+              channel: item.channel,
+              from: item.new_assigned_to || null,
+              to: restore[assigneeColumn(item.channel)] || null,
+            })),
+          },
+        }),
+      ]
+    );
+    await markItems(leadId, 'restored');
+    restored += 1;
+  }
+
+  // Totals over every undo attempt of this batch, counted per lead
+  const [totals] = await db.execute(
+    `SELECT
+       COUNT(DISTINCT CASE WHEN undo_status = 'restored' THEN lead_id END) AS restored_count,
+       COUNT(DISTINCT CASE WHEN undo_status = 'skipped' THEN lead_id END) AS skipped_count,
+       COUNT(DISTINCT CASE WHEN undo_status IS NULL THEN lead_id END) AS pending_count
+     FROM assignment_batch_items WHERE batch_id = ?`,
+    [batchId]
+  );
+  const totalRestored = Number(totals[0]?.restored_count || 0);
+  const totalSkipped = Number(totals[0]?.skipped_count || 0);
+  const pending = Number(totals[0]?.pending_count || 0);
+  await db.execute(
+    `UPDATE assignment_batches
+     SET status = ?, undone_by = ?, undone_at = NOW(), undo_restored_count = ?, undo_skipped_count = ?
+     WHERE id = ?`,
+    [totalSkipped === 0 && pending === 0 ? 'undone' : 'partially_undone', performedBy, totalRestored, totalSkipped, batchId]
+  );
+  return { batch: await getAssignmentBatch(db, batchId), restored, skipped };
+}
@@ -0,0 +1,347 @@
+/**
+ * Workload capacity: caps on what one user may hold, configured per user or per role (assignment_capacity_rules).
+ * A user rule replaces the role rule for that user; NULL caps are unlimited.
+ *
+ * - max_open_leads         leads held on the user's channel (assigned_to / assigned_to_pro) that are not closed
+ * - max_new_per_day        leads assigned to the user since midnight IST
+ * - max_per_student_group  open leads per student_group
+ *
+ * assignLeads, distribution and territory auto-assignment load a capacity state per user and take one unit per
+ * lead; leads that do not fit are reported back instead of assigned.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { todayYmdIST } from '../utils/istDate.util.js';
+
+export const CAPACITY_SCOPE_TYPES = ['user', 'role'];
+
+/** lead_status values that no longer count towards open leads. */
+export const CLOSED_LEAD_STATUSES = String(process.env.CAPACITY_CLOSED_LEAD_STATUSES || 'Confirmed,Not Interested,Wrong Data')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const CACHE_TTL_MS = 60 * 1000;
+const QUERY_CHUNK = 500;
+const NO_GROUP = '';
+
+let rulesCache = { at: 0, rules: null };
+
+const capacityError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+export function invalidateCapacityRulesCache() {
+  rulesCache = { at: 0, rules: null };
+}
+
+const isProUser = (user) => String(user?.role_name || '').trim().toUpperCase() === 'PRO';
+
+const channelColumns = (user) =>
+  isProUser(user)
+    ? { assignee: 'assigned_to_pro', assignedAt: 'pro_assigned_at' }
+    : { assignee: 'assigned_to', assignedAt: 'assigned_at' };
+
+const capOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+export const formatCapacityRule = (row) => ({
+  id: row.id,
+  _id: row.id,
+  scopeType: row.scope_type,
+  userId: row.user_id || null,
+  userName: row.user_name || null,
+  roleName: row.role_name || null,
+  maxOpenLeads: capOrNull(row.max_open_leads),
+  maxNewPerDay: capOrNull(row.max_new_per_day),
+  maxPerStudentGroup: capOrNull(row.max_per_student_group),
+  isActive: row.is_active === 1 || row.is_active === true,
+  createdBy: row.created_by || null,
+  updatedBy: row.updated_by || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const RULE_SELECT = `
+  SELECT r.*, u.name AS user_name
+  FROM assignment_capacity_rules r
+  LEFT JOIN users u ON u.id = r.user_id`;
+
+export async function listCapacityRules(db) {
+  const [rows] = await db.execute(`${RULE_SELECT} ORDER BY r.scope_type DESC, r.role_name ASC, u.name ASC`);
+  return rows.map(formatCapacityRule);
+}
+
+export async function getCapacityRule(db, id) {
+  const [rows] = await db.execute(`${RULE_SELECT} WHERE r.id = ?`, [id]);
+  return rows.length > 0 ? formatCapacityRule(rows[0]) : null;
+}
+
+/** Active rules (cached); none when the table is not migrated yet. */
+async function loadActiveCapacityRules(db) {
+  if (rulesCache.rules && Date.now() - rulesCache.at < CACHE_TTL_MS) return rulesCache.rules;
+  let rules = [];
+  try {
+    const [rows] = await db.execute(`${RULE_SELECT} WHERE r.is_active = 1`);
+    rules = rows.map(formatCapacityRule);
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+  }
+  rulesCache = { at: Date.now(), rules };
+  return rules;
+}
+
+/** Validate an admin create / update body. */
+export function normalizeCapacityRuleInput(body) {
+  const scopeType = String(body.scopeType || '').trim().toLowerCase();
+  if (!CAPACITY_SCOPE_TYPES.includes(scopeType)) {
+    throw capacityError(`scopeType must be one of: ${CAPACITY_SCOPE_TYPES.join(', ')}`);
+  }
+  const userId = scopeType === 'user' ? String(body.userId || '').trim() : null;
+  const roleName = scopeType === 'role' ? String(body.roleName || '').trim() : null;
+  if (scopeType === 'user' && !userId) throw capacityError('userId is required for a user rule');
+  if (scopeType === 'role' && !roleName) throw capacityError('roleName is required for a role rule');
+  if (roleName === 'Super Admin') throw capacityError('Super Admin does not receive assignments');
+
+  const cap = (key) => {
+    const raw = body[key];
+    if (raw === null || raw === undefined || raw === '') return null;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0) throw capacityError(`${key} must be a whole number of 0 or more (or null for no cap)`);
+    return n;
+  };
+  const input = {
+    scopeType,
+    userId,
+    roleName,
+    maxOpenLeads: cap('maxOpenLeads'),
+    maxNewPerDay: cap('maxNewPerDay'),
+    maxPerStudentGroup: cap('maxPerStudentGroup'),
+    isActive: body.isActive === undefined ? true : body.isActive === true || body.isActive === 'true' || body.isActive === 1,
+  };
+  if (input.maxOpenLeads === null && input.maxNewPerDay === null && input.maxPerStudentGroup === null) {
+    throw capacityError('Set at least one of maxOpenLeads, maxNewPerDay, maxPerStudentGroup');
+  }
+  return input;
+}
+
+export async function saveCapacityRule(db, id, input, actorId) {
+  if (input.userId) {
+    const [users] = await db.execute('SELECT id, role_name FROM users WHERE id = ?', [input.userId]);
+    if (users.length === 0) throw capacityError('User not found', 404);
+    if (users[0].role_name === 'Super Admin') throw capacityError('Super Admin does not receive assignments');
+  }
+  const ruleId = id || uuidv4();
+  const values = [
+    input.scopeType,
+    input.userId,
+    input.roleName,
+    input.maxOpenLeads,
+    input.maxNewPerDay,
+    input.maxPerStudentGroup,
+    input.isActive ? 1 : 0,
+  ];
+  if (id) {
+    await db.execute(
+      `UPDATE assignment_capacity_rules
+       SET scope_type = ?, user_id = ?, role_name = ?, max_open_leads = ?, max_new_per_day = ?, max_per_student_group = ?,
+           is_active = ?, updated_by = ?
+       WHERE id = ?`,
+      [...values, actorId, id]
+    );
+  } else {
+    await db.execute(
+      `INSERT INTO assignment_capacity_rules (
+         id, scope_type, user_id, role_name, max_open_leads, max_new_per_day, max_per_student_group, is_active,
+         created_by, updated_by
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [ruleId, ...values, actorId, actorId]
+    );
+  }
+  invalidateCapacityRulesCache();
+  return getCapacityRule(db, ruleId);
+}
+
+export async function deleteCapacityRule(db, id) {
+  const [result] = await db.execute('DELETE FROM assignment_capacity_rules WHERE id = ?', [id]);
+  invalidateCapacityRulesCache();
+  return Number(result?.affectedRows || 0) > 0;
+}
+
+/** Caps that apply to a users row: its own rule, else its role's, else none. */
+export function resolveCapacityLimits(rules, user) {
+  const rule =
+    rules.find((r) => r.scopeType === 'user' && r.userId === user.id) ||
+    rules.find((r) => r.scopeType === 'role' && r.roleName === user.role_name) ||
+    null;
+  return {
+    ruleId: rule?.id || null,
+    source: rule?.scopeType || null,
+    maxOpenLeads: rule?.maxOpenLeads ?? null,
+    maxNewPerDay: rule?.maxNewPerDay ?? null,
+    maxPerStudentGroup: rule?.maxPerStudentGroup ?? null,
+  };
+}
+
+/** UTC `YYYY-MM-DD HH:MM:SS` of midnight IST today (pool timezone is UTC). */
+const istMidnightUtc = () =>
+  new Date(`${todayYmdIST()}T00:00:00+05:30`).toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Capacity state per user: limits plus current usage. Usage is only queried for capped users unless
+ * `withUsage` (dashboard).
+ * @param {Array<{ id: string, role_name: string }>} users
+ * @returns {Promise<Map<string, { userId: string, limits: object, usage: { openLeads: number, newToday: number,
+ *   byStudentGroup: Map<string, number> } }>>}
+ */
+export async function loadCapacityStates(db, users, { withUsage = false } = {}) {
+  const rules = await loadActiveCapacityRules(db);
+  const states = new Map();
+  for (const user of users) {
+    states.set(user.id, {
+      userId: user.id,
+      limits: resolveCapacityLimits(rules, user),
+      usage: { openLeads: 0, newToday: 0, byStudentGroup: new Map() },
+    });
+  }
+
+  const needsUsage = users.filter((u) => {
+    const { limits } = states.get(u.id);
+    return withUsage || limits.maxOpenLeads !== null || limits.maxNewPerDay !== null || limits.maxPerStudentGroup !== null;
+  });
+  const since = istMidnightUtc();
+  for (const isPro of [false, true]) {
+    const channelUsers = needsUsage.filter((u) => isProUser(u) === isPro);
+    if (channelUsers.length === 0) continue;
+    const cols = channelColumns(channelUsers[0]);
+    for (let i = 0; i < channelUsers.length; i += QUERY_CHUNK) {
+      const ids = channelUsers.slice(i, i + QUERY_CHUNK).map((u) => u.id);
+      const placeholders = ids.map(() => '?').join(',');
+      const [openRows] = await db.execute(
+        `SELECT ${cols.assignee} AS uid, COALESCE(student_group, '') AS student_group, COUNT(*) AS total
+         FROM leads
+         WHERE ${cols.assignee} IN (${placeholders}) AND deleted_at IS NULL
+           AND COALESCE(lead_status, '') NOT IN (${CLOSED_LEAD_STATUSES.map(() => '?').join(',')})
+         GROUP BY ${cols.assignee}, COALESCE(student_group, '')`,
+        [...ids, ...CLOSED_LEAD_STATUSES]
+      );
+      for (const row of openRows) {
+        const usage = states.get(row.uid)?.usage;
+        if (!usage) continue;
+        usage.openLeads += Number(row.total || 0);
+        usage.byStudentGroup.set(row.student_group, Number(row.total || 0));
+      }
+      const [todayRows] = await db.execute(
+        `SELECT ${cols.assignee} AS uid, COUNT(*) AS total
+         FROM leads
+         WHERE ${cols.assignee} IN (${placeholders}) AND deleted_at IS NULL AND ${cols.assignedAt} >= ?
+         GROUP BY ${cols.assignee}`,
+        [...ids, since]
+      );
+      for (const row of todayRows) {
+        const usage = states.get(row.uid)?.usage;
+        if (usage) usage.newToday = Number(row.total || 0);
+      }
+    }
+  }
+  return states;
+}
+
+/** Why one more lead (of `studentGroup`) does not fit, or null when it does. */
+export function capacityBlockReason(state, studentGroup = NO_GROUP) {
+  if (!state) return null;
+  const { limits, usage } = state;
+  if (limits.maxOpenLeads !== null && usage.openLeads >= limits.maxOpenLeads) return 'max_open_leads';
+  if (limits.maxNewPerDay !== null && usage.newToday >= limits.maxNewPerDay) return 'max_new_per_day';
+  if (
+    limits.maxPerStudentGroup !== null &&
+    (usage.byStudentGroup.get(studentGroup || NO_GROUP) || 0) >= limits.maxPerStudentGroup
+  ) {
+    return 'max_per_student_group';
+  }
+  return null;
+}
+
+/** Count one more lead against the state. */
+export function takeCapacity(state, studentGroup = NO_GROUP) {
+  if (!state) return;
+  const key = studentGroup || NO_GROUP;
+  state.usage.openLeads += 1;
+  state.usage.newToday += 1;
+  state.usage.byStudentGroup.set(key, (state.usage.byStudentGroup.get(key) || 0) + 1);
+}
+
+/** Leads the user can still take regardless of student group (Infinity when uncapped). */
+export function remainingCapacity(state) {
+  if (!state) return Infinity;
+  const { limits, usage } = state;
+  return Math.max(
+    Math.min(
+      limits.maxOpenLeads !== null ? limits.maxOpenLeads - usage.openLeads : Infinity,
+      limits.maxNewPerDay !== null ? limits.maxNewPerDay - usage.newToday : Infinity
+    ),
+    0
+  );
+}
+
+/** JSON-friendly view of a state for API responses. */
+export function summarizeCapacity(state) {
+  if (!state) return null;
+  const remaining = remainingCapacity(state);
+  return {
+    limits: state.limits,
+    usage: {
+      openLeads: state.usage.openLeads,
+      newToday: state.usage.newToday,
+      byStudentGroup: Object.fromEntries(
+        [...state.usage.byStudentGroup.entries()].map(([group, count]) => [group || 'Unspecified', count])
+      ),
+    },
+    remaining: Number.isFinite(remaining) ? remaining : null,
+  };
+}
+
+/** student_group per lead ID (only needed when a per-group cap applies). */
+export async function loadLeadStudentGroups(db, leadIds) {
+  const groups = new Map();
+  for (let i = 0; i < leadIds.length; i += QUERY_CHUNK) {
+    const chunk = leadIds.slice(i, i + QUERY_CHUNK);
+    const [rows] = await db.execute(
+      `SELECT id, student_group FROM leads WHERE id IN (${chunk.map(() => '?').join(',')})`,
+      chunk
+    );
+    rows.forEach((r) => groups.set(r.id, r.student_group || NO_GROUP));
+  }
+  return groups;
+}
+
+/**
+ * Split `leadIds` (in order) into the ones the user can take and the ones over capacity.
+ * @returns {Promise<{ allowedLeadIds: string[], capped: Array<{ leadId: string, reason: string }>,
+ *   cappedBy: Record<string, number>, capacity: object }>}
+ */
+export async function fitLeadsToCapacity(db, user, leadIds) {
+  const states = await loadCapacityStates(db, [user]);
+  const state = states.get(user.id);
+  const { limits } = state;
+  if (limits.maxOpenLeads === null && limits.maxNewPerDay === null && limits.maxPerStudentGroup === null) {
+    return { allowedLeadIds: leadIds, capped: [], cappedBy: {}, capacity: summarizeCapacity(state) };
+  }
+
+  const groups = limits.maxPerStudentGroup !== null ? await loadLeadStudentGroups(db, leadIds) : new Map();
+  const allowedLeadIds = [];
+  const capped = [];
+  const cappedBy = {};
+  for (const leadId of leadIds) {
+    const group = groups.get(leadId) || NO_GROUP;
+    const reason = capacityBlockReason(state, group);
+    if (reason) {
+      capped.push({ leadId, reason });
+      cappedBy[reason] = (cappedBy[reason] || 0) + 1;
+      continue;
+    }
+    takeCapacity(state, group);
+    allowedLeadIds.push(leadId);
+  }
+  return { allowedLeadIds, capped, cappedBy, capacity: summarizeCapacity(state) };
+}
@@ -11,6 +11,11 @@ const BULK_SMS_ENGLISH_API_URL =
   process.env.BULK_SMS_ENGLISH_API_URL || 'https://www.bulksmsapps.com/api/apismsv2.aspx';
 const BULK_SMS_UNICODE_API_URL =
   process.env.BULK_SMS_UNICODE_API_URL || 'https://www.bulksmsapps.com/api/apibulkv2.aspx';
+/**
+ * Delivery report lookup by message ID (polling fallback when the DLR webhook is missed). No default: set it to the
+ * endpoint from the BulkSMSApps account; while unset, delivery reports come from the webhook only.
+ */
+const BULK_SMS_DLR_URL = process.env.BULK_SMS_DLR_URL || '';
 
 if (!BULK_SMS_API_KEY) {
   console.warn(
@@ -280,6 +285,59 @@ export const sendSmsThroughBulkSmsApps = async ({
 };
 
 
+/** Whether BULK_SMS_DLR_URL is set, i.e. delivery reports can be polled. */
+export const isBulkSmsDeliveryReportConfigured = () => Boolean(BULK_SMS_DLR_URL);
+
+/**
+ * Poll the delivery report of one submitted message. The provider answers either JSON or text lines such as
+ * "9876543210-DELIVRD" / "9876543210,Delivered,2026-10-19 10:15:02"; each entry is returned raw and the caller
+ * normalises the status.
+ * @returns {Promise<Array<{ number: string|null, status: string, deliveredAt: string|null, raw: string }>>}
+ */
+export const fetchBulkSmsDeliveryReport = async (messageId) => {
+  if (!BULK_SMS_API_KEY) {
+    throw new Error('Bulk SMS API key is not configured');
+  }
+  if (!BULK_SMS_DLR_URL) {
+    return [];
+  }
+
+  const response = await axios.get(BULK_SMS_DLR_URL, {
+    params: { apikey: BULK_SMS_API_KEY, messageid: String(messageId) },
+    headers: { Accept: 'text/plain' },
+    timeout: 15000,
+  });
+
+  if (response?.data && typeof response.data === 'object') {
+    const list = Array.isArray(response.data) ? response.data : [response.data];
+    return list
+      .map((entry) => ({
+        number: entry.number || entry.mobile || entry.MobileNo || null,
+        status: String(entry.status || entry.Status || entry.dlrstatus || '').trim(),
+        deliveredAt: entry.deliveredAt || entry.DeliveredDate || entry.donedate || null,
+        raw: JSON.stringify(entry).slice(0, 255),
+      }))
+      .filter((entry) => entry.status);
+  }
+
+  const text = redactSensitiveInText(String(response?.data ?? '')).split('<')[0].trim();
+  return text
+    .split(/[\r\n;|]+/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const number = line.match(/\d{10,13}/)?.[0] || null;
+      const deliveredAt = line.match(/\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?/)?.[0] || null;
+      const status = line
+        .replace(number || '', ' ')
+        .replace(deliveredAt || '', ' ')
+        .replace(/[-,:]+/g, ' ')
+        .trim()
+        .split(/\s+/)[0] || '';
+      return { number, status, deliveredAt, raw: line.slice(0, 255) };
+    })
+    .filter((entry) => entry.status);
+};
 
 /**
  * User Creation / credential SMS (DLT-approved on BulkSMSApps).
@@ -329,6 +387,15 @@ export const buildPasswordResetSmsMessage = (name, username, newPassword) => {
   return `Hello ${safeName} your password has been updated. Username: ${safeUsername} New Password: ${safePassword} Login: ${safeLoginUrl}- Pydah College`;
 };
 
+/**
+ * DLT helpers below go through the provider layer (routing + failover). Imported lazily because
+ * smsProvider.service.js wraps this module as its `bulksmsapps` provider.
+ */
+const sendViaProviderLayer = async (options) => {
+  const { sendSms } = await import('./smsProvider.service.js');
+  return sendSms(options);
+};
+
 /**
  * Send OTP
  */
@@ -337,7 +404,8 @@ export const sendOTP = async (mobileNumber, otp) => {
   const otpTemplateId = '1007482811215703964';
   const message = `Your OTP for recovering your password is ${otp} - PYDAH`;
 
-  return sendSmsThroughBulkSmsApps({
+  return sendViaProviderLayer({
+    category: 'otp',
     numbers: [mobileNumber],
     message,
     tempid: otpTemplateId,
@@ -351,8 +419,9 @@ export const sendOTP = async (mobileNumber, otp) => {
  * Login host: admissions.pydah.edu.in
  */
 export const sendPasswordResetSuccess = async (mobileNumber, name, username, newPassword) => {
-  if (!BULK_SMS_API_KEY) {
-    console.warn('[BulkSMS] BULK_SMS_API_KEY missing — password reset SMS skipped (Dev Mode).');
+  const { isSmsRouteConfigured } = await import('./smsProvider.service.js');
+  if (!isSmsRouteConfigured('transactional')) {
+    console.warn('[BulkSMS] No SMS provider configured — password reset SMS skipped (Dev Mode).');
     return { success: true, message: 'SMS simulation successful (Dev Mode)', messageIds: [] };
   }
 
@@ -366,7 +435,8 @@ export const sendPasswordResetSuccess = async (mobileNumber, name, username, new
   // Hardcoded Password Reset/Update template — not from .env, no User Creation fallback
   const tempid = '1707176526611076697';
 
-  return sendSmsThroughBulkSmsApps({
+  return sendViaProviderLayer({
+    category: 'transactional',
     numbers: [cleanNumber],
     message,
     tempid,
@@ -382,7 +452,8 @@ export const sendVisitorCode = async (mobileNumber, leadName, code, counselorNam
   const templateId = '1707177753294074438';
   const message = `Dear ${leadName}, Your Visitor Code for admission is ${code}. Your Counsellor is ${counselorName}. Please use this code during your campus visit - Pydah Group`;
 
-  return sendSmsThroughBulkSmsApps({
+  return sendViaProviderLayer({
+    category: 'transactional',
     numbers: [mobileNumber],
     message,
     tempid: templateId,
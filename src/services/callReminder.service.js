@@ -0,0 +1,277 @@
+/**
+ * Call reminders for leads' next_scheduled_call (notifications.type `call_reminder`, push + in-app):
+ *
+ * - reminder    CALL_REMINDER_LEAD_MINUTES (default 15) before the scheduled call, to the lead's counsellor
+ * - agenda      morning digest at CALL_AGENDA_DIGEST_IST_TIME (default 08:30 IST): today's calls plus callbacks from
+ *               the last 7 days that are still not made
+ * - escalation  a callback still not made CALL_REMINDER_ESCALATION_MINUTES (default 120) after its time goes to the
+ *               counsellor's manager (users.managed_by); only callbacks from the last 24 hours are escalated
+ *
+ * A callback counts as made once an outgoing call is logged on the lead from 30 minutes before its time onwards.
+ * Every send is keyed in call_reminder_deliveries first, so restarts and overlapping runs never repeat one.
+ * Counsellors on leave today get nothing (leave coverage routes their callbacks to a backup).
+ *
+ * CALL_REMINDERS_ENABLED=false disables the scheduler; CALL_REMINDER_INTERVAL_MINUTES (default 5) sets the tick.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { addDaysYmd, todayYmdIST } from '../utils/istDate.util.js';
+import {
+  notifyCallAgendaDigest,
+  notifyCallReminder,
+  notifyMissedCallbackEscalation,
+} from './notification.service.js';
+import { getUsersOnLeave } from './staffLeave.service.js';
+
+const REMINDER_LEAD_MINUTES = Math.max(parseInt(process.env.CALL_REMINDER_LEAD_MINUTES, 10) || 15, 1);
+const ESCALATION_MINUTES = Math.max(parseInt(process.env.CALL_REMINDER_ESCALATION_MINUTES, 10) || 120, 1);
+const ESCALATION_LOOKBACK_HOURS = 24;
+const AGENDA_OVERDUE_DAYS = 7;
+/** A call logged this long before the scheduled time still counts as the callback. */
+const CALLBACK_EARLY_MINUTES = 30;
+const MAX_ROWS_PER_RUN = 2000;
+
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const callbackNotMadeSql = `NOT EXISTS (
+  SELECT 1 FROM communications c
+  WHERE c.lead_id = l.id AND c.type = 'call' AND c.direction = 'outgoing'
+    AND c.sent_at >= DATE_SUB(l.next_scheduled_call, INTERVAL ${CALLBACK_EARLY_MINUTES} MINUTE)
+)`;
+
+/** UTC bounds of an IST calendar day. */
+const istDayRange = (ymd) => [new Date(`${ymd}T00:00:00+05:30`), new Date(`${addDaysYmd(ymd, 1)}T00:00:00+05:30`)];
+
+/**
+ * Reserve one delivery; null when it was already sent (or is being sent by another run).
+ * @returns {Promise<string|null>} delivery ID
+ */
+async function claimDelivery(db, { kind, key, userId, leadId = null, scheduledCall = null }) {
+  const id = uuidv4();
+  try {
+    await db.execute(
+      `INSERT INTO call_reminder_deliveries (id, kind, dedupe_key, user_id, lead_id, scheduled_call)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, kind, key, userId, leadId, scheduledCall ? toSqlDateTime(scheduledCall) : null]
+    );
+    return id;
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') return null;
+    throw error;
+  }
+}
+
+async function recordDeliveryResult(db, deliveryId, { pushSent, notificationId }) {
+  await db.execute('UPDATE call_reminder_deliveries SET notification_id = ?, push_sent = ? WHERE id = ?', [
+    notificationId,
+    pushSent ? 1 : 0,
+    deliveryId,
+  ]);
+}
+
+/** Reminders for calls scheduled within the next CALL_REMINDER_LEAD_MINUTES. */
+export async function sendDueCallReminders(db, now = new Date()) {
+  const [rows] = await db.execute(
+    `SELECT l.id, l.name, l.phone, l.enquiry_number, l.next_scheduled_call, l.assigned_to
+     FROM leads l
+     JOIN users u ON u.id = l.assigned_to AND u.is_active = 1
+     WHERE l.deleted_at IS NULL
+       AND l.next_scheduled_call > ? AND l.next_scheduled_call <= ?
+     ORDER BY l.next_scheduled_call ASC
+     LIMIT ${MAX_ROWS_PER_RUN}`,
+    [toSqlDateTime(now), toSqlDateTime(new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000))]
+  );
+  if (rows.length === 0) return 0;
+
+  const onLeave = await getUsersOnLeave(db, [...new Set(rows.map((r) => r.assigned_to))]);
+  let sent = 0;
+  for (const lead of rows) {
+    if (onLeave.has(lead.assigned_to)) continue;
+    const scheduledAt = new Date(lead.next_scheduled_call);
+    const deliveryId = await claimDelivery(db, {
+      kind: 'reminder',
+      key: `reminder:${lead.id}:${lead.assigned_to}:${scheduledAt.toISOString()}`,
+      userId: lead.assigned_to,
+      leadId: lead.id,
+      scheduledCall: scheduledAt,
+    });
+    if (!deliveryId) continue;
+    const result = await notifyCallReminder({
+      userId: lead.assigned_to,
+      lead,
+      scheduledAt,
+      minutesBefore: Math.max(Math.round((scheduledAt.getTime() - now.getTime()) / 60000), 1),
+    });
+    await recordDeliveryResult(db, deliveryId, result);
+    sent += 1;
+  }
+  return sent;
+}
+
+/** Callbacks still not made CALL_REMINDER_ESCALATION_MINUTES after their time → the counsellor's manager. */
+export async function sendMissedCallbackEscalations(db, now = new Date()) {
+  const dueBefore = new Date(now.getTime() - ESCALATION_MINUTES * 60 * 1000);
+  const notOlderThan = new Date(now.getTime() - ESCALATION_LOOKBACK_HOURS * 60 * 60 * 1000);
+  const [rows] = await db.execute(
+    `SELECT l.id, l.name, l.phone, l.enquiry_number, l.next_scheduled_call,
+            u.id AS counsellor_id, u.name AS counsellor_name, u.managed_by AS manager_id
+     FROM leads l
+     JOIN users u ON u.id = l.assigned_to AND u.is_active = 1
+     JOIN users m ON m.id = u.managed_by AND m.is_active = 1
+     WHERE l.deleted_at IS NULL
+       AND l.next_scheduled_call <= ? AND l.next_scheduled_call >= ?
+       AND ${callbackNotMadeSql}
+     ORDER BY l.next_scheduled_call ASC
+     LIMIT ${MAX_ROWS_PER_RUN}`,
+    [toSqlDateTime(dueBefore), toSqlDateTime(notOlderThan)]
+  );
+  if (rows.length === 0) return 0;
+
+  const onLeave = await getUsersOnLeave(db, [...new Set(rows.map((r) => r.counsellor_id))]);
+  let sent = 0;
+  for (const row of rows) {
+    if (onLeave.has(row.counsellor_id)) continue;
+    const scheduledAt = new Date(row.next_scheduled_call);
+    const deliveryId = await claimDelivery(db, {
+      kind: 'escalation',
+      key: `escalation:${row.id}:${row.counsellor_id}:${scheduledAt.toISOString()}`,
+      userId: row.manager_id,
+      leadId: row.id,
+      scheduledCall: scheduledAt,
+    });
+    if (!deliveryId) continue;
+    const result = await notifyMissedCallbackEscalation({
+      managerId: row.manager_id,
+      counsellor: { id: row.counsellor_id, name: row.counsellor_name },
+      lead: row,
+      scheduledAt,
+      minutesLate: Math.round((now.getTime() - scheduledAt.getTime()) / 60000),
+    });
+    await recordDeliveryResult(db, deliveryId, result);
+    sent += 1;
+  }
+  return sent;
+}
+
+/** Morning agenda per counsellor for an IST day (default today). */
+export async function sendCallAgendaDigests(db, dateYmd = todayYmdIST()) {
+  const [dayStart, dayEnd] = istDayRange(dateYmd);
+  const [callRows] = await db.execute(
+    `SELECT l.assigned_to AS user_id, l.id, l.name, l.enquiry_number, l.next_scheduled_call
+     FROM leads l
+     JOIN users u ON u.id = l.assigned_to AND u.is_active = 1
+     WHERE l.deleted_at IS NULL AND l.next_scheduled_call >= ? AND l.next_scheduled_call < ?
+     ORDER BY l.next_scheduled_call ASC`,
+    [toSqlDateTime(dayStart), toSqlDateTime(dayEnd)]
+  );
+  const [overdueRows] = await db.execute(
+    `SELECT l.assigned_to AS user_id, COUNT(*) AS total
+     FROM leads l
+     JOIN users u ON u.id = l.assigned_to AND u.is_active = 1
+     WHERE l.deleted_at IS NULL
+       AND l.next_scheduled_call < ? AND l.next_scheduled_call >= ?
+       AND ${callbackNotMadeSql}
+     GROUP BY l.assigned_to`,
+    [toSqlDateTime(dayStart), toSqlDateTime(new Date(dayStart.getTime() - AGENDA_OVERDUE_DAYS * 24 * 60 * 60 * 1000))]
+  );
+
+  const agenda = new Map();
+  const entry = (userId) => {
+    if (!agenda.has(userId)) agenda.set(userId, { calls: [], overdueCount: 0 });
+    return agenda.get(userId);
+  };
+  for (const row of callRows) {
+    entry(row.user_id).calls.push({
+      leadId: row.id,
+      name: row.name,
+      enquiryNumber: row.enquiry_number || null,
+      scheduledAt: new Date(row.next_scheduled_call),
+    });
+  }
+  for (const row of overdueRows) {
+    entry(row.user_id).overdueCount = Number(row.total || 0);
+  }
+  if (agenda.size === 0) return 0;
+
+  const onLeave = await getUsersOnLeave(db, [...agenda.keys()], dateYmd);
+  let sent = 0;
+  for (const [userId, { calls, overdueCount }] of agenda) {
+    if (onLeave.has(userId)) continue;
+    const deliveryId = await claimDelivery(db, { kind: 'agenda', key: `agenda:${userId}:${dateYmd}`, userId });
+    if (!deliveryId) continue;
+    const result = await notifyCallAgendaDigest({ userId, dateYmd, calls, overdueCount });
+    await recordDeliveryResult(db, deliveryId, result);
+    sent += 1;
+  }
+  return sent;
+}
+
+const parseAgendaTimeIST = () => {
+  const match = process.env.CALL_AGENDA_DIGEST_IST_TIME?.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (match) {
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    if (hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) return { hour, minute };
+  }
+  return { hour: 8, minute: 30 };
+};
+
+const msUntilNextAgenda = ({ hour, minute }) => {
+  const hhmm = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  const today = new Date(`${todayYmdIST()}T${hhmm}:00+05:30`).getTime();
+  const next = today > Date.now() ? today : new Date(`${addDaysYmd(todayYmdIST(), 1)}T${hhmm}:00+05:30`).getTime();
+  return next - Date.now();
+};
+
+let reminderTimeoutId = null;
+let agendaTimeoutId = null;
+
+/** Starts the reminder / escalation tick and the daily agenda digest (see env above). */
+export const initCallReminders = () => {
+  const enabled = String(process.env.CALL_REMINDERS_ENABLED ?? 'true').toLowerCase();
+  if (enabled === 'false' || enabled === '0') {
+    console.log('[CallReminders] Disabled (CALL_REMINDERS_ENABLED).');
+    return;
+  }
+  clearTimeout(reminderTimeoutId);
+  clearTimeout(agendaTimeoutId);
+
+  const minutes = Math.max(parseInt(process.env.CALL_REMINDER_INTERVAL_MINUTES, 10) || 5, 1);
+  const scheduleTick = (delay) => {
+    reminderTimeoutId = setTimeout(async () => {
+      reminderTimeoutId = null;
+      try {
+        const pool = getPool();
+        const reminders = await sendDueCallReminders(pool);
+        const escalations = await sendMissedCallbackEscalations(pool);
+        if (reminders || escalations) {
+          console.log(`[CallReminders] Sent ${reminders} reminder(s), ${escalations} escalation(s)`);
+        }
+      } catch (error) {
+        console.error('[CallReminders] Scheduled run failed:', error?.message || error);
+      }
+      scheduleTick(minutes * 60 * 1000);
+    }, delay);
+  };
+  scheduleTick(60 * 1000);
+
+  const agendaTime = parseAgendaTimeIST();
+  const scheduleAgenda = () => {
+    agendaTimeoutId = setTimeout(async () => {
+      agendaTimeoutId = null;
+      try {
+        const sent = await sendCallAgendaDigests(getPool());
+        console.log(`[CallReminders] Agenda digest sent to ${sent} user(s)`);
+      } catch (error) {
+        console.error('[CallReminders] Agenda digest failed:', error?.message || error);
+      }
+      scheduleAgenda();
+    }, msUntilNextAgenda(agendaTime));
+  };
+  scheduleAgenda();
+
+  console.log(
+    `[CallReminders] Every ${minutes} min (${REMINDER_LEAD_MINUTES} min ahead, escalate after ${ESCALATION_MINUTES} min); ` +
+      `agenda ${String(agendaTime.hour).padStart(2, '0')}:${String(agendaTime.minute).padStart(2, '0')} IST`
+  );
+};
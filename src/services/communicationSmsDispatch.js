@@ -1,6 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import { getPool } from '../config-sql/database.js';
-import { sendSmsThroughBulkSmsApps } from './bulkSms.service.js';
+import { sendSms } from './smsProvider.service.js';
+import { describeViolations, validateRenderedMessage } from './smsCompliance.service.js';
 
 const sanitizeNumber = (number) => String(number || '').replace(/[^\d+]/g, '');
 
@@ -113,7 +114,7 @@ export const ensureLeadAndNumbers = async (leadId, contactNumbers = []) => {
     throw new Error('Invalid lead ID');
   }
   const pool = getPool();
-  const [leads] = await pool.execute('SELECT * FROM leads WHERE id = ?', [leadId]);
+  const [leads] = await pool.execute('SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL', [leadId]);
   if (leads.length === 0) {
     throw new Error('Lead not found');
   }
@@ -135,8 +136,9 @@ export const ensureLeadAndNumbers = async (leadId, contactNumbers = []) => {
 /**
  * Same behaviour as sendSms communication handler (templates + API + DB + activity logs). Used by lead SMS and bulk job processor.
  * @param {import('mysql2/promise').Pool} pool
+ * @param {{ category?: 'transactional'|'bulk' }} [options] SMS provider route (smsProvider.service.js)
  */
-export async function executeSmsSendForLead(pool, userId, leadId, contactNumbers, templates) {
+export async function executeSmsSendForLead(pool, userId, leadId, contactNumbers, templates, { category = 'transactional' } = {}) {
   if (!Array.isArray(templates) || templates.length === 0) {
     throw new Error('At least one template is required');
   }
@@ -157,20 +159,28 @@ export async function executeSmsSendForLead(pool, userId, leadId, contactNumbers
       continue;
     }
     const { rendered, mappedVariables } = renderTemplateContent(template, userVariables);
+    const compliance = validateRenderedMessage(template, rendered, mappedVariables);
+    if (!compliance.ok) {
+      results.push({
+        templateId: template.id,
+        templateName: template.name,
+        success: false,
+        error: `Blocked by DLT checks: ${describeViolations(compliance)}`,
+        compliance,
+      });
+      continue;
+    }
     let apiResponse;
     let status = 'success';
     let errorMessage = null;
-    const unresolvedPlaceholders = /\{#var#\}/i.test(rendered);
-    if (unresolvedPlaceholders) {
-      console.warn('[executeSmsSendForLead] Unresolved placeholders', { templateId: template.id, leadId });
-    }
     const dltTempId = String(template.dltTemplateId || '').trim();
     const isUnicodeSms = template.isUnicode || template.language !== 'en';
     if (isUnicodeSms && !dltTempId) {
       console.warn('[executeSmsSendForLead] Unicode without DLT id', { templateId: template.id });
     }
     try {
-      apiResponse = await sendSmsThroughBulkSmsApps({
+      apiResponse = await sendSms({
+        category,
         numbers: validatedNumbers,
         message: rendered,
         isUnicode: isUnicodeSms,
@@ -186,19 +196,23 @@ export async function executeSmsSendForLead(pool, userId, leadId, contactNumbers
         responseText: providerError.response?.data || providerError.message,
         numbers: validatedNumbers,
         durationMs: 0,
+        attempts: providerError.attempts,
       };
     }
     const createdAt = new Date();
     const startIndex = savedCommunicationIds.length;
-    for (const number of validatedNumbers) {
+    const messageIds = Array.isArray(apiResponse?.messageIds) ? apiResponse.messageIds : [];
+    for (const [index, number] of validatedNumbers.entries()) {
       const communicationId = uuidv4();
+      // One provider message ID per number when the provider returns one each; delivery reports match on it
+      const messageId = messageIds.length === validatedNumbers.length ? messageIds[index] : messageIds[0];
       await pool.execute(
         `INSERT INTO communications (
           id, lead_id, contact_number, type, direction, status, sent_by, sent_at,
           template_id, template_dlt_template_id, template_name, template_language,
           template_original_content, template_rendered_content, template_variables,
-          provider_message_ids, metadata, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+          provider_message_ids, metadata, delivery_status, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
         [
           communicationId,
           lead.id,
@@ -214,14 +228,15 @@ export async function executeSmsSendForLead(pool, userId, leadId, contactNumbers
           template.content,
           rendered,
           JSON.stringify(mappedVariables),
-          JSON.stringify(
-            Array.isArray(apiResponse?.messageIds) && apiResponse.messageIds.length > 0 ? [apiResponse.messageIds[0]] : []
-          ),
+          JSON.stringify(messageId ? [messageId] : []),
           JSON.stringify({
             apiResponseText: apiResponse?.responseText,
             durationMs: apiResponse?.durationMs,
             error: errorMessage,
+            smsProvider: apiResponse?.provider || null,
+            providerAttempts: apiResponse?.attempts || [],
           }),
+          status === 'success' && messageId ? 'submitted' : null,
         ]
       );
       savedCommunicationIds.push(communicationId);
@@ -0,0 +1,266 @@
+/**
+ * Server-driven auto-dialer queue for counsellors (leads.assigned_to = the agent).
+ *
+ * Buckets, in priority order (a lead belongs to the first bucket it matches):
+ * - `callback`    next_scheduled_call is due (up to DIALER_CALLBACK_AHEAD_MINUTES ahead, default 5), oldest first
+ * - `fresh`       never followed up and call_status still Assigned / empty, highest lead_score first
+ * - `interested`  lead_status Interested and last followed up more than DIALER_INTERESTED_MIN_AGE_DAYS ago
+ *                 (default 3), longest-waiting first
+ *
+ * Leads already called today (IST, by anyone), locked by another agent, or skipped by this agent today are left out.
+ * Serving a lead locks it (dialer_locks) for DIALER_LOCK_MINUTES (default 10); logging the call (logCallCommunication),
+ * skipping or releasing it frees the lock and records the outcome on the queue item.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { todayYmdIST } from '../utils/istDate.util.js';
+
+export const DIALER_BUCKETS = ['callback', 'fresh', 'interested'];
+
+const LOCK_MINUTES = Math.max(parseInt(process.env.DIALER_LOCK_MINUTES, 10) || 10, 1);
+const CALLBACK_AHEAD_MINUTES = Math.max(parseInt(process.env.DIALER_CALLBACK_AHEAD_MINUTES, 10) || 5, 0);
+const INTERESTED_MIN_AGE_DAYS = Math.max(parseInt(process.env.DIALER_INTERESTED_MIN_AGE_DAYS, 10) || 3, 0);
+const CANDIDATES_PER_TRY = 20;
+
+const BUCKET_RULES = {
+  callback: {
+    condition: `l.next_scheduled_call IS NOT NULL AND l.next_scheduled_call <= DATE_ADD(NOW(), INTERVAL ${CALLBACK_AHEAD_MINUTES} MINUTE)`,
+    orderBy: 'l.next_scheduled_call ASC',
+  },
+  fresh: {
+    condition: "l.last_follow_up IS NULL AND (l.call_status IS NULL OR l.call_status IN ('', 'Assigned'))",
+    orderBy: 'l.lead_score DESC, l.assigned_at ASC',
+  },
+  interested: {
+    condition: `l.lead_status = 'Interested' AND (l.last_follow_up IS NULL OR l.last_follow_up < DATE_SUB(NOW(), INTERVAL ${INTERESTED_MIN_AGE_DAYS} DAY))`,
+    orderBy: 'l.last_follow_up ASC',
+  },
+};
+
+const dialerError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/** UTC `YYYY-MM-DD HH:MM:SS` of midnight IST today (pool timezone is UTC). */
+const istMidnightUtc = () =>
+  new Date(`${todayYmdIST()}T00:00:00+05:30`).toISOString().slice(0, 19).replace('T', ' ');
+
+/** WHERE for one bucket: its own rule, none of the earlier buckets', and the common exclusions. */
+function bucketWhere(bucket, userId) {
+  const index = DIALER_BUCKETS.indexOf(bucket);
+  const since = istMidnightUtc();
+  const conditions = [
+    'l.assigned_to = ?',
+    'l.deleted_at IS NULL',
+    `(${BUCKET_RULES[bucket].condition})`,
+    ...DIALER_BUCKETS.slice(0, index).map((b) => `NOT COALESCE((${BUCKET_RULES[b].condition}), FALSE)`),
+    `NOT EXISTS (SELECT 1 FROM communications c WHERE c.lead_id = l.id AND c.type = 'call' AND c.sent_at >= ?)`,
+    'NOT EXISTS (SELECT 1 FROM dialer_locks k WHERE k.lead_id = l.id AND k.expires_at >= NOW())',
+    `NOT EXISTS (
+      SELECT 1 FROM dialer_queue_items q
+      WHERE q.lead_id = l.id AND q.user_id = ? AND q.status = 'skipped' AND q.served_at >= ?
+    )`,
+  ];
+  return { where: conditions.join(' AND '), params: [userId, since, userId, since] };
+}
+
+const formatQueueItem = (row) => ({
+  id: row.id,
+  _id: row.id,
+  leadId: row.lead_id,
+  bucket: row.bucket,
+  status: row.status,
+  skipReason: row.skip_reason || null,
+  communicationId: row.communication_id || null,
+  callOutcome: row.call_outcome || null,
+  servedAt: row.served_at,
+  resolvedAt: row.resolved_at,
+  lockExpiresAt: row.expires_at || null,
+});
+
+const formatDialerLead = (row) => ({
+  id: row.id,
+  _id: row.id,
+  name: row.name,
+  phone: row.phone,
+  fatherPhone: row.father_phone || null,
+  alternateMobile: row.alternate_mobile || null,
+  enquiryNumber: row.enquiry_number || null,
+  leadStatus: row.lead_status || null,
+  callStatus: row.call_status || null,
+  leadScore: Number(row.lead_score || 0),
+  nextScheduledCall: row.next_scheduled_call,
+  lastFollowUp: row.last_follow_up,
+  studentGroup: row.student_group || null,
+  village: row.village || null,
+  mandal: row.mandal || null,
+  district: row.district || null,
+  notes: row.notes || null,
+});
+
+/** Served items whose lock lapsed become `expired`; stale locks are dropped. */
+async function expireStaleItems(db, userId) {
+  await db.execute(
+    `UPDATE dialer_queue_items q
+     LEFT JOIN dialer_locks k ON k.queue_item_id = q.id AND k.expires_at >= NOW()
+     SET q.status = 'expired', q.resolved_at = NOW()
+     WHERE q.user_id = ? AND q.status = 'served' AND k.lead_id IS NULL`,
+    [userId]
+  );
+  await db.execute('DELETE FROM dialer_locks WHERE expires_at < NOW()');
+}
+
+async function loadServed(db, itemId) {
+  const [rows] = await db.execute(
+    `SELECT q.*, k.expires_at, l.id AS l_id, l.name, l.phone, l.father_phone, l.alternate_mobile, l.enquiry_number,
+            l.lead_status, l.call_status, l.lead_score, l.next_scheduled_call, l.last_follow_up, l.student_group,
+            l.village, l.mandal, l.district, l.notes
+     FROM dialer_queue_items q
+     JOIN leads l ON l.id = q.lead_id AND l.deleted_at IS NULL
+     LEFT JOIN dialer_locks k ON k.queue_item_id = q.id
+     WHERE q.id = ?`,
+    [itemId]
+  );
+  const row = rows[0];
+  if (!row) return null;
+  return { item: formatQueueItem(row), lead: formatDialerLead({ ...row, id: row.l_id }) };
+}
+
+/** Try to lock one lead for the agent; returns the new queue item ID or null when someone else got it. */
+async function lockLead(db, { userId, leadId, bucket }) {
+  await db.execute('DELETE FROM dialer_locks WHERE lead_id = ? AND expires_at < NOW()', [leadId]);
+  const itemId = uuidv4();
+  await db.execute(
+    `INSERT INTO dialer_queue_items (id, user_id, lead_id, bucket, status) VALUES (?, ?, ?, ?, 'served')`,
+    [itemId, userId, leadId, bucket]
+  );
+  const [result] = await db.execute(
+    `INSERT IGNORE INTO dialer_locks (lead_id, user_id, queue_item_id, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ${LOCK_MINUTES} MINUTE))`,
+    [leadId, userId, itemId]
+  );
+  if (Number(result?.affectedRows || 0) === 1) return itemId;
+  await db.execute('DELETE FROM dialer_queue_items WHERE id = ?', [itemId]);
+  return null;
+}
+
+/**
+ * Next lead for the agent. The lead the agent already holds is returned again (lock renewed) until it is logged,
+ * skipped or released.
+ * @returns {Promise<{ item: object, lead: object, resumed: boolean } | null>} null when the queue is empty
+ */
+export async function getNextDialerLead(db, userId) {
+  await expireStaleItems(db, userId);
+
+  const [held] = await db.execute(
+    `SELECT q.id FROM dialer_queue_items q
+     JOIN dialer_locks k ON k.queue_item_id = q.id
+     WHERE q.user_id = ? AND q.status = 'served'
+     ORDER BY q.served_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  if (held.length > 0) {
+    await db.execute(
+      `UPDATE dialer_locks SET expires_at = DATE_ADD(NOW(), INTERVAL ${LOCK_MINUTES} MINUTE) WHERE queue_item_id = ?`,
+      [held[0].id]
+    );
+    return { ...(await loadServed(db, held[0].id)), resumed: true };
+  }
+
+  for (const bucket of DIALER_BUCKETS) {
+    const { where, params } = bucketWhere(bucket, userId);
+    // Other agents may lock candidates between the read and the lock, so try a few per round
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const [candidates] = await db.execute(
+        `SELECT l.id FROM leads l WHERE ${where} ORDER BY ${BUCKET_RULES[bucket].orderBy} LIMIT ${CANDIDATES_PER_TRY}`,
+        params
+      );
+      if (candidates.length === 0) break;
+      for (const candidate of candidates) {
+        const itemId = await lockLead(db, { userId, leadId: candidate.id, bucket });
+        if (itemId) return { ...(await loadServed(db, itemId)), resumed: false };
+      }
+    }
+  }
+  return null;
+}
+
+/** Queue depth per bucket plus the lead the agent currently holds. */
+export async function getDialerQueueSummary(db, userId) {
+  await expireStaleItems(db, userId);
+  const counts = {};
+  for (const bucket of DIALER_BUCKETS) {
+    const { where, params } = bucketWhere(bucket, userId);
+    const [rows] = await db.execute(`SELECT COUNT(*) AS total FROM leads l WHERE ${where}`, params);
+    counts[bucket] = Number(rows[0]?.total || 0);
+  }
+  const [held] = await db.execute(
+    `SELECT q.id FROM dialer_queue_items q
+     JOIN dialer_locks k ON k.queue_item_id = q.id
+     WHERE q.user_id = ? AND q.status = 'served'
+     ORDER BY q.served_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  const [todayRows] = await db.execute(
+    `SELECT status, COUNT(*) AS total FROM dialer_queue_items
+     WHERE user_id = ? AND served_at >= ?
+     GROUP BY status`,
+    [userId, istMidnightUtc()]
+  );
+  return {
+    counts,
+    total: Object.values(counts).reduce((acc, n) => acc + n, 0),
+    current: held.length > 0 ? await loadServed(db, held[0].id) : null,
+    today: Object.fromEntries(todayRows.map((r) => [r.status, Number(r.total || 0)])),
+  };
+}
+
+/** Skip or release the agent's served item; the lock is dropped. Skipped leads stay out of the queue for today. */
+export async function closeDialerItem(db, { userId, itemId, status, reason = null }) {
+  if (!['skipped', 'released'].includes(status)) {
+    throw dialerError('status must be skipped or released');
+  }
+  const [result] = await db.execute(
+    `UPDATE dialer_queue_items SET status = ?, skip_reason = ?, resolved_at = NOW()
+     WHERE id = ? AND user_id = ? AND status = 'served'`,
+    [status, reason ? String(reason).trim().slice(0, 255) : null, itemId, userId]
+  );
+  if (Number(result?.affectedRows || 0) === 0) {
+    throw dialerError('Queue item not found or already closed', 404);
+  }
+  await db.execute('DELETE FROM dialer_locks WHERE queue_item_id = ?', [itemId]);
+  return loadServed(db, itemId);
+}
+
+/**
+ * Called after logCallCommunication: completes the agent's served item for the lead (if any) with the call log.
+ * @returns {Promise<string|null>} queue item ID
+ */
+export async function recordDialerCallOutcome(db, { userId, leadId, communicationId, outcome }) {
+  let rows;
+  try {
+    [rows] = await db.execute(
+      `SELECT id FROM dialer_queue_items
+       WHERE user_id = ? AND lead_id = ? AND status IN ('served', 'expired') AND served_at >= ?
+       ORDER BY served_at DESC
+       LIMIT 1`,
+      [userId, leadId, istMidnightUtc()]
+    );
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return null;
+    throw error;
+  }
+  if (rows.length === 0) return null;
+  const itemId = rows[0].id;
+  await db.execute(
+    `UPDATE dialer_queue_items
+     SET status = 'called', communication_id = ?, call_outcome = ?, resolved_at = NOW()
+     WHERE id = ?`,
+    [communicationId, outcome ? String(outcome).trim().slice(0, 255) : null, itemId]
+  );
+  await db.execute('DELETE FROM dialer_locks WHERE queue_item_id = ?', [itemId]);
+  return itemId;
+}
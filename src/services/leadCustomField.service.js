@@ -0,0 +1,441 @@
+/**
+ * Custom lead field registry.
+ *
+ * Values still live in `leads.dynamic_fields` (keyed by field_key). Registered fields are validated and coerced
+ * on create / update / bulk upload, and filterable fields are mirrored into `lead_custom_field_values`
+ * (one row per value, indexed by field_key + value) so getLeads can filter on them without JSON scans.
+ */
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'select', 'multiselect'];
+
+/** Query-string prefix for custom field filters: cf_<key>, cf_<key>_min/_max (number), cf_<key>_from/_to (date). */
+export const CUSTOM_FIELD_FILTER_PREFIX = 'cf_';
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{1,62}$/;
+const MAX_TEXT_LENGTH = 255;
+const FIELDS_CACHE_TTL_MS = 60 * 1000;
+
+let fieldsCache = { at: 0, fields: null };
+
+const fieldError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+/** Form / sheet header → comparison key ("Preferred Branch", "preferred_branch" and "preferredbranch" match). */
+export const normalizeFieldAlias = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+export const formatCustomField = (row) => ({
+  id: row.id,
+  key: row.field_key,
+  label: row.label,
+  type: row.field_type,
+  allowedValues: parseJson(row.allowed_values, []) || [],
+  aliases: parseJson(row.aliases, []) || [],
+  isFilterable: row.is_filterable === 1 || row.is_filterable === true,
+  isRequired: row.is_required === 1 || row.is_required === true,
+  isActive: row.is_active === 1 || row.is_active === true,
+  sortOrder: Number(row.sort_order || 0),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+export function invalidateCustomFieldsCache() {
+  fieldsCache = { at: 0, fields: null };
+}
+
+/**
+ * All registered fields (active and inactive), cached for a minute.
+ * Returns [] when the registry table has not been migrated yet.
+ */
+export async function loadCustomFields(db) {
+  if (fieldsCache.fields && Date.now() - fieldsCache.at < FIELDS_CACHE_TTL_MS) {
+    return fieldsCache.fields;
+  }
+  try {
+    const [rows] = await db.execute('SELECT * FROM lead_custom_fields ORDER BY sort_order ASC, label ASC');
+    fieldsCache = { at: Date.now(), fields: rows.map(formatCustomField) };
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+    fieldsCache = { at: Date.now(), fields: [] };
+  }
+  return fieldsCache.fields;
+}
+
+/** True when the query has any cf_* filter (callers skip loading the registry otherwise). */
+export const hasCustomFieldFilters = (query = {}) =>
+  Object.keys(query || {}).some((key) => key.startsWith(CUSTOM_FIELD_FILTER_PREFIX));
+
+/** Registry for buildLeadFilterConditions — only loaded when the request filters on a custom field. */
+export async function loadCustomFieldsForQuery(db, query) {
+  return hasCustomFieldFilters(query) ? loadCustomFields(db) : [];
+}
+
+/** Validate an admin create / update body (merged over the current field on update). */
+export function normalizeCustomFieldInput(body) {
+  const key = String(body.key ?? '').trim();
+  if (!FIELD_KEY_PATTERN.test(key)) {
+    throw fieldError('key must be snake_case (lowercase letters, digits, underscores; 2-63 chars, starting with a letter)');
+  }
+  const label = String(body.label ?? '').trim();
+  if (!label) throw fieldError('label is required');
+  const type = String(body.type ?? '').trim();
+  if (!CUSTOM_FIELD_TYPES.includes(type)) {
+    throw fieldError(`type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+  }
+  const rawAllowed = parseJson(body.allowedValues, []) || [];
+  if (!Array.isArray(rawAllowed)) throw fieldError('allowedValues must be an array');
+  const allowedValues = [...new Set(rawAllowed.map((v) => String(v ?? '').trim()).filter(Boolean))];
+  if ((type === 'select' || type === 'multiselect') && allowedValues.length === 0) {
+    throw fieldError('allowedValues is required for select and multiselect fields');
+  }
+  if (allowedValues.some((v) => v.length > MAX_TEXT_LENGTH)) {
+    throw fieldError(`allowedValues entries must be at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  const rawAliases = parseJson(body.aliases, []) || [];
+  if (!Array.isArray(rawAliases)) throw fieldError('aliases must be an array');
+  const aliases = [...new Set(rawAliases.map((v) => String(v ?? '').trim()).filter(Boolean))];
+  const toBool = (v) => v === true || v === 'true' || v === 1 || v === '1';
+  return {
+    key,
+    label,
+    type,
+    allowedValues: type === 'select' || type === 'multiselect' ? allowedValues : [],
+    aliases,
+    isFilterable: toBool(body.isFilterable),
+    isRequired: toBool(body.isRequired),
+    isActive: body.isActive === undefined ? true : toBool(body.isActive),
+    sortOrder: Number.isFinite(Number(body.sortOrder)) ? Math.trunc(Number(body.sortOrder)) : 0,
+  };
+}
+
+const toYmd = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+  const dmy = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(str);
+  if (dmy) return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+  const parsed = new Date(str);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+};
+
+const matchAllowed = (field, value) => {
+  const wanted = String(value).trim().toLowerCase();
+  return field.allowedValues.find((v) => v.toLowerCase() === wanted);
+};
+
+/** Coerce one value to the field type; throws a 400 naming the field on bad input. */
+function coerceFieldValue(field, value) {
+  switch (field.type) {
+    case 'number': {
+      const num = Number(String(value).replace(/,/g, '').trim());
+      if (!Number.isFinite(num)) throw fieldError(`${field.label} must be a number`);
+      return num;
+    }
+    case 'date': {
+      const ymd = toYmd(value);
+      if (!ymd) throw fieldError(`${field.label} must be a date (YYYY-MM-DD or DD/MM/YYYY)`);
+      return ymd;
+    }
+    case 'boolean': {
+      const str = String(value).trim().toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(str)) return true;
+      if (['false', 'no', 'n', '0'].includes(str)) return false;
+      throw fieldError(`${field.label} must be yes or no`);
+    }
+    case 'select': {
+      const match = matchAllowed(field, value);
+      if (!match) throw fieldError(`${field.label} must be one of: ${field.allowedValues.join(', ')}`);
+      return match;
+    }
+    case 'multiselect': {
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      const result = [];
+      for (const item of list.map((v) => String(v).trim()).filter(Boolean)) {
+        const match = matchAllowed(field, item);
+        if (!match) throw fieldError(`${field.label}: "${item}" is not one of ${field.allowedValues.join(', ')}`);
+        if (!result.includes(match)) result.push(match);
+      }
+      return result;
+    }
+    default: {
+      const str = String(value).trim();
+      if (str.length > MAX_TEXT_LENGTH) throw fieldError(`${field.label} must be at most ${MAX_TEXT_LENGTH} characters`);
+      return str;
+    }
+  }
+}
+
+/**
+ * Validate and coerce the registered keys of a dynamic_fields object.
+ *
+ * - Keys matching a field key, label or alias (case / punctuation insensitive) are renamed to the field key
+ *   and coerced to its type; blank values become null (clears the value on update).
+ * - Unregistered keys pass through untouched.
+ * - With `enforceRequired`, active required fields missing from the result are errors (create paths only).
+ *
+ * @param {Array<object>} fields registry from loadCustomFields
+ * @param {object} dynamicFields incoming values
+ * @param {{ enforceRequired?: boolean }} [options]
+ * @returns {{ dynamicFields: object, errors: string[] }}
+ */
+export function applyCustomFieldRules(fields, dynamicFields, { enforceRequired = false } = {}) {
+  const input = parseJson(dynamicFields, {}) || {};
+  const active = (fields || []).filter((f) => f.isActive);
+  if (active.length === 0) return { dynamicFields: input, errors: [] };
+
+  const byAlias = new Map();
+  for (const field of active) {
+    [field.key, field.label, ...field.aliases].forEach((alias) => {
+      const norm = normalizeFieldAlias(alias);
+      if (norm && !byAlias.has(norm)) byAlias.set(norm, field);
+    });
+  }
+
+  const output = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(input)) {
+    const field = byAlias.get(normalizeFieldAlias(key));
+    if (!field) {
+      output[key] = value;
+      continue;
+    }
+    if (isBlank(value)) {
+      output[field.key] = null;
+      continue;
+    }
+    try {
+      output[field.key] = coerceFieldValue(field, value);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (enforceRequired) {
+    for (const field of active) {
+      if (field.isRequired && isBlank(output[field.key])) {
+        errors.push(`${field.label} is required`);
+      }
+    }
+  }
+  return { dynamicFields: output, errors };
+}
+
+/** applyCustomFieldRules that throws a 400 with every problem joined, for request handlers. */
+export function validateCustomFieldValues(fields, dynamicFields, options) {
+  const result = applyCustomFieldRules(fields, dynamicFields, options);
+  if (result.errors.length > 0) {
+    throw fieldError(result.errors.join('; '));
+  }
+  return result.dynamicFields;
+}
+
+/** Side-table rows for one field value: multiselect → one row per option. */
+const buildValueRows = (field, value) => {
+  if (isBlank(value)) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((v) => !isBlank(v))
+    .map((v) => {
+      if (field.type === 'number') {
+        const num = Number(v);
+        return Number.isFinite(num) ? { text: String(num), number: num, date: null } : null;
+      }
+      if (field.type === 'date') {
+        const ymd = toYmd(v);
+        return ymd ? { text: ymd, number: null, date: ymd } : null;
+      }
+      if (field.type === 'boolean') {
+        const truthy = v === true || ['true', 'yes', 'y', '1'].includes(String(v).trim().toLowerCase());
+        return { text: truthy ? 'true' : 'false', number: null, date: null };
+      }
+      return { text: String(v).trim().slice(0, MAX_TEXT_LENGTH), number: null, date: null };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Mirror a lead's filterable custom field values into lead_custom_field_values.
+ * Safe to call on every write; no-op when nothing is filterable or the table is missing.
+ *
+ * @param {import('mysql2/promise').Pool | import('mysql2/promise').PoolConnection} db
+ * @param {string} leadId
+ * @param {object|string|null} dynamicFields the lead's full dynamic_fields after the write
+ * @param {Array<object>} fields registry from loadCustomFields
+ */
+export async function syncLeadCustomFieldValues(db, leadId, dynamicFields, fields) {
+  const filterable = (fields || []).filter((f) => f.isActive && f.isFilterable);
+  if (!leadId || filterable.length === 0) return;
+  const values = parseJson(dynamicFields, {}) || {};
+  try {
+    await db.execute(
+      `DELETE FROM lead_custom_field_values WHERE lead_id = ? AND field_key IN (${filterable.map(() => '?').join(',')})`,
+      [leadId, ...filterable.map((f) => f.key)]
+    );
+    const rows = [];
+    for (const field of filterable) {
+      const seen = new Set();
+      for (const row of buildValueRows(field, values[field.key])) {
+        if (seen.has(row.text)) continue;
+        seen.add(row.text);
+        rows.push([leadId, field.key, row.text, row.number, row.date]);
+      }
+    }
+    if (rows.length > 0) {
+      await db.execute(
+        `INSERT INTO lead_custom_field_values (lead_id, field_key, value_text, value_number, value_date)
+         VALUES ${rows.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+        rows.flat()
+      );
+    }
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') return;
+    throw error;
+  }
+}
+
+/** Re-read a lead's dynamic_fields and re-sync its side-table rows (after merges, enquiry touches, reverts). */
+export async function resyncLeadCustomFieldValues(db, leadId) {
+  const fields = await loadCustomFields(db);
+  if (!fields.some((f) => f.isActive && f.isFilterable)) return;
+  const [rows] = await db.execute('SELECT dynamic_fields FROM leads WHERE id = ?', [leadId]);
+  if (rows.length === 0) return;
+  await syncLeadCustomFieldValues(db, leadId, rows[0].dynamic_fields, fields);
+}
+
+/**
+ * WHERE conditions for cf_* query filters, as EXISTS against the side table.
+ * - text / select / multiselect / boolean: cf_<key>=a,b (any of)
+ * - number: cf_<key>_min / cf_<key>_max
+ * - date: cf_<key>_from / cf_<key>_to (YYYY-MM-DD)
+ * Filters on unknown or non-filterable keys are ignored.
+ *
+ * @param {object} query request query
+ * @param {Array<object>} fields registry from loadCustomFields
+ * @param {string} p leads alias prefix (e.g. 'l.')
+ */
+export function buildCustomFieldFilterConditions(query, fields, p = 'l.') {
+  const conditions = [];
+  const params = [];
+  const filterable = (fields || []).filter((f) => f.isActive && f.isFilterable);
+  const existsFor = (fieldKey, predicate) =>
+    `EXISTS (SELECT 1 FROM lead_custom_field_values cfv WHERE cfv.lead_id = ${p}id AND cfv.field_key = ? AND ${predicate})`;
+
+  for (const field of filterable) {
+    const base = `${CUSTOM_FIELD_FILTER_PREFIX}${field.key}`;
+    if (field.type === 'number') {
+      const min = query[`${base}_min`];
+      const max = query[`${base}_max`];
+      if (min !== undefined && min !== '' && Number.isFinite(Number(min))) {
+        conditions.push(existsFor(field.key, 'cfv.value_number >= ?'));
+        params.push(field.key, Number(min));
+      }
+      if (max !== undefined && max !== '' && Number.isFinite(Number(max))) {
+        conditions.push(existsFor(field.key, 'cfv.value_number <= ?'));
+        params.push(field.key, Number(max));
+      }
+    } else if (field.type === 'date') {
+      const from = query[`${base}_from`] ? toYmd(query[`${base}_from`]) : null;
+      const to = query[`${base}_to`] ? toYmd(query[`${base}_to`]) : null;
+      if (from) {
+        conditions.push(existsFor(field.key, 'cfv.value_date >= ?'));
+        params.push(field.key, from);
+      }
+      if (to) {
+        conditions.push(existsFor(field.key, 'cfv.value_date <= ?'));
+        params.push(field.key, to);
+      }
+    }
+
+    const raw = query[base];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const wanted = (Array.isArray(raw) ? raw : String(raw).split(','))
+      .map((v) => String(v).trim())
+      .filter(Boolean);
+    if (wanted.length === 0) continue;
+    const normalized = field.type === 'boolean'
+      ? wanted.map((v) => (['true', 'yes', 'y', '1'].includes(v.toLowerCase()) ? 'true' : 'false'))
+      : field.type === 'date'
+        ? wanted.map(toYmd).filter(Boolean)
+        : wanted;
+    if (normalized.length === 0) continue;
+    conditions.push(existsFor(field.key, `cfv.value_text IN (${normalized.map(() => '?').join(',')})`));
+    params.push(field.key, ...normalized);
+  }
+  return { conditions, params };
+}
+
+const reindexState = new Map();
+
+export const getCustomFieldReindexState = (fieldKey) => reindexState.get(fieldKey) || null;
+
+/**
+ * Background backfill of lead_custom_field_values for one field (after it is created or made filterable).
+ * Walks leads that have the key in dynamic_fields in keyset batches.
+ */
+export function startCustomFieldReindex(pool, field) {
+  const running = reindexState.get(field.key);
+  if (running?.status === 'running') {
+    throw fieldError('A reindex for this field is already running', 409);
+  }
+  const state = {
+    fieldKey: field.key,
+    status: 'running',
+    processed: 0,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    error: null,
+  };
+  reindexState.set(field.key, state);
+
+  setImmediate(async () => {
+    const BATCH = 500;
+    const jsonPath = `$.${field.key}`;
+    let lastId = '';
+    try {
+      await pool.execute('DELETE FROM lead_custom_field_values WHERE field_key = ?', [field.key]);
+      for (;;) {
+        const [rows] = await pool.execute(
+          `SELECT id, dynamic_fields FROM leads
+           WHERE id > ? AND JSON_CONTAINS_PATH(dynamic_fields, 'one', ?)
+           ORDER BY id ASC
+           LIMIT ${Number(BATCH)}`,
+          [lastId, jsonPath]
+        );
+        if (rows.length === 0) break;
+        for (const row of rows) {
+          await syncLeadCustomFieldValues(pool, row.id, row.dynamic_fields, [field]);
+        }
+        state.processed += rows.length;
+        lastId = rows[rows.length - 1].id;
+      }
+      state.status = 'completed';
+    } catch (error) {
+      console.error(`[CustomFields] Reindex of ${field.key} failed:`, error);
+      state.status = 'failed';
+      state.error = error.message;
+    } finally {
+      state.finishedAt = new Date().toISOString();
+    }
+  });
+  return state;
+}
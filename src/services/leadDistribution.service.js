@@ -0,0 +1,215 @@
+import { createHash } from 'crypto';
+
+/**
+ * Rule-based lead distribution planner (POST /api/leads/assign/distribute).
+ *
+ * Pure planning only: given the ordered pool of available lead IDs and the target users of one role group
+ * (counsellors or PROs — each group is planned against its own pool), work out how many leads each user gets
+ * and which ones. The controller commits the plan through the same per-lead path as assignLeads.
+ *
+ * Strategies:
+ * - `round_robin`   equal shares (remainder goes to the first users in the list)
+ * - `weighted`      shares proportional to each target's weight (capacity); largest-remainder rounding
+ * - `least_loaded`  fill the users with the fewest open leads first until loads are level
+ *
+ * Leads are always dealt one at a time across users with quota left, so every user gets a similar mix of the
+ * pool order (e.g. hottest-first when sorted by score) instead of one contiguous slice.
+ *
+ * Workload caps: a user's `capacity` (leads they can still take) bounds their quota and the overflow is split
+ * again among users with room; an optional `acceptLead(userIndex, leadId)` check (per-student-group caps) can
+ * turn a lead away from one user, in which case the next user with quota gets it. Leads nobody can take stay
+ * unplanned.
+ *
+ * Plan token: the preview returns a hash of the exact plan (who gets which lead). A commit must send it back and
+ * the controller re-plans and refuses when the hash no longer matches, so what gets assigned is what was previewed.
+ */
+
+export const DISTRIBUTION_STRATEGIES = ['round_robin', 'weighted', 'least_loaded'];
+
+const distributionError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+export function normalizeDistributionStrategy(value) {
+  const strategy = String(value || 'round_robin').trim().toLowerCase().replace(/-/g, '_');
+  if (!DISTRIBUTION_STRATEGIES.includes(strategy)) {
+    throw distributionError(`strategy must be one of: ${DISTRIBUTION_STRATEGIES.join(', ')}`);
+  }
+  return strategy;
+}
+
+/**
+ * Body `targets` → [{ userId, weight }]. Accepts `[{ userId, weight? }]` or a plain array of user IDs;
+ * duplicates are dropped (first wins).
+ */
+export function normalizeDistributionTargets(targets) {
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw distributionError('targets must be a non-empty array of users');
+  }
+  const seen = new Set();
+  const result = [];
+  for (const entry of targets) {
+    const userId = typeof entry === 'string' ? entry : entry?.userId;
+    if (!userId || typeof userId !== 'string') {
+      throw distributionError('Every target needs a userId');
+    }
+    if (seen.has(userId)) continue;
+    seen.add(userId);
+    const rawWeight = typeof entry === 'object' && entry.weight !== undefined ? Number(entry.weight) : 1;
+    if (!Number.isFinite(rawWeight) || rawWeight < 0) {
+      throw distributionError(`weight for ${userId} must be a non-negative number`);
+    }
+    result.push({ userId, weight: rawWeight });
+  }
+  return result;
+}
+
+const largestRemainderSplit = (total, weights) => {
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  if (sum <= 0) return weights.map(() => 0);
+  const exact = weights.map((w) => (total * w) / sum);
+  const quotas = exact.map((v) => Math.floor(v));
+  let left = total - quotas.reduce((acc, q) => acc + q, 0);
+  const order = exact
+    .map((v, i) => ({ i, frac: v - Math.floor(v) }))
+    .sort((a, b) => b.frac - a.frac || a.i - b.i);
+  for (const { i } of order) {
+    if (left <= 0) break;
+    quotas[i] += 1;
+    left -= 1;
+  }
+  return quotas;
+};
+
+/** Water-filling: raise the lowest loads first; ties broken by list order. */
+const levelLoadSplit = (total, loads) => {
+  const quotas = loads.map(() => 0);
+  const order = loads.map((load, i) => ({ i, load })).sort((a, b) => a.load - b.load || a.i - b.i);
+  let left = total;
+  let level = order.length > 0 ? order[0].load : 0;
+  let active = 0;
+  while (left > 0 && order.length > 0) {
+    while (active < order.length && order[active].load <= level) active += 1;
+    const nextLevel = active < order.length ? order[active].load : Infinity;
+    const room = (nextLevel - level) * active;
+    if (room >= left) {
+      const perUser = Math.floor(left / active);
+      let extra = left - perUser * active;
+      for (let k = 0; k < active; k += 1) {
+        quotas[order[k].i] += perUser + (extra > 0 ? 1 : 0);
+        if (extra > 0) extra -= 1;
+      }
+      left = 0;
+    } else {
+      for (let k = 0; k < active; k += 1) quotas[order[k].i] += nextLevel - level;
+      left -= room;
+      level = nextLevel;
+    }
+  }
+  return quotas;
+};
+
+/** How many leads each user gets. `users`: [{ weight, currentLoad }] in target order. */
+export function computeDistributionQuotas(strategy, total, users) {
+  if (users.length === 0 || total <= 0) return users.map(() => 0);
+  if (strategy === 'weighted') {
+    return largestRemainderSplit(total, users.map((u) => u.weight));
+  }
+  if (strategy === 'least_loaded') {
+    return levelLoadSplit(total, users.map((u) => Number(u.currentLoad || 0)));
+  }
+  return largestRemainderSplit(total, users.map(() => 1));
+}
+
+/** Quotas bounded by each user's `capacity` (missing = unlimited); what a capped user cannot take is re-split. */
+export function computeCappedQuotas(strategy, total, users) {
+  const caps = users.map((u) => (Number.isFinite(u.capacity) ? Math.max(Number(u.capacity), 0) : Infinity));
+  const quotas = users.map(() => 0);
+  let left = total;
+  // Every round either places everything or fills at least one more user, so users.length rounds suffice
+  for (let round = 0; round < users.length && left > 0; round += 1) {
+    const open = users.map((_, i) => i).filter((i) => quotas[i] < caps[i]);
+    if (open.length === 0) break;
+    const shares = computeDistributionQuotas(
+      strategy,
+      left,
+      open.map((i) => ({ ...users[i], currentLoad: Number(users[i].currentLoad || 0) + quotas[i] }))
+    );
+    left = 0;
+    open.forEach((i, k) => {
+      const take = Math.min(shares[k], caps[i] - quotas[i]);
+      quotas[i] += take;
+      left += shares[k] - take;
+    });
+  }
+  return quotas;
+}
+
+/**
+ * Deal `leadIds` (pool order) one at a time across users that still have quota. `acceptLead(userIndex, leadId)`
+ * may refuse a lead for one user; it then goes to the next user with quota, or stays undealt.
+ */
+export function dealLeadsByQuota(leadIds, quotas, acceptLead = null) {
+  const buckets = quotas.map(() => []);
+  const remaining = [...quotas];
+  let cursor = 0;
+  for (const leadId of leadIds) {
+    if (remaining.every((q) => q <= 0)) break;
+    for (let tries = 0; tries < remaining.length; tries += 1) {
+      const i = (cursor + tries) % remaining.length;
+      if (remaining[i] <= 0 || (acceptLead && !acceptLead(i, leadId))) continue;
+      buckets[i].push(leadId);
+      remaining[i] -= 1;
+      cursor = (i + 1) % remaining.length;
+      break;
+    }
+  }
+  return buckets;
+}
+
+/**
+ * Plan one role group.
+ * @param {{ strategy: string, leadIds: string[], users: Array<{ userId: string, name: string, roleName: string, weight: number, currentLoad: number, capacity?: number }>, acceptLead?: (userIndex: number, leadId: string) => boolean }} input
+ * @returns {{ poolSize: number, planned: number, unplannedDueToCapacity: number, users: Array<object> }}
+ */
+export function planDistributionGroup({ strategy, leadIds, users, acceptLead = null }) {
+  const quotas = computeCappedQuotas(strategy, leadIds.length, users);
+  const buckets = dealLeadsByQuota(leadIds, quotas, acceptLead);
+  const planned = buckets.reduce((acc, b) => acc + b.length, 0);
+  const capped = users.some((u) => Number.isFinite(u.capacity)) || acceptLead !== null;
+  return {
+    poolSize: leadIds.length,
+    planned,
+    unplannedDueToCapacity: capped ? leadIds.length - planned : 0,
+    users: users.map((user, i) => ({
+      userId: user.userId,
+      name: user.name,
+      roleName: user.roleName,
+      weight: user.weight,
+      currentLoad: Number(user.currentLoad || 0),
+      capacity: Number.isFinite(user.capacity) ? user.capacity : null,
+      planned: buckets[i].length,
+      projectedLoad: Number(user.currentLoad || 0) + buckets[i].length,
+      leadIds: buckets[i],
+    })),
+  };
+}
+
+/**
+ * Hash of a plan as previewed: request parameters plus every user's planned lead IDs, per role group.
+ * @param {{ strategy: string, academicYear: number, targetDate?: string|null, groups: Array<{ role: string, users: Array<{ userId: string, leadIds: string[] }> }> }} input
+ */
+export function computeDistributionPlanToken({ strategy, academicYear, targetDate, groups }) {
+  const canonical = JSON.stringify({
+    strategy,
+    academicYear,
+    targetDate: targetDate || null,
+    groups: groups.map((group) => ({
+      role: group.role,
+      users: group.users.map((user) => [user.userId, user.leadIds]),
+    })),
+  });
+  return createHash('sha256').update(canonical, 'utf8').digest('hex');
+}
@@ -0,0 +1,298 @@
+import { v4 as uuidv4 } from 'uuid';
+import { similarity } from '../utils/fuzzyMatch.util.js';
+import { normalizeMobileDigits } from '../utils/parentPhone.util.js';
+import { syncLeadCustomFieldValues, loadCustomFields } from './leadCustomField.service.js';
+
+/** System User (seedSystemUser.js) — performer for enquiry touches coming from public forms / imports. */
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+export const DUPLICATE_POLICIES = ['reject', 'attach', 'flag', 'off'];
+
+/** Entry point → env var and default policy. */
+const CHANNEL_POLICY_DEFAULTS = {
+  public: { env: 'LEAD_DUPLICATE_POLICY_PUBLIC', fallback: 'attach' },
+  manual: { env: 'LEAD_DUPLICATE_POLICY_MANUAL', fallback: 'reject' },
+  bulk: { env: 'LEAD_DUPLICATE_POLICY_BULK', fallback: 'flag' },
+};
+
+const NAME_SIMILARITY_THRESHOLD = Number(process.env.LEAD_DUPLICATE_NAME_SIMILARITY || 0.85);
+const NAME_VILLAGE_SCAN_LIMIT = 500;
+
+/** Placeholder values written by create/upload when a field is missing; never treated as a match key. */
+const PLACEHOLDER_VALUES = new Set(['', 'not provided', 'unknown', 'na', 'n/a', 'nil', 'none', '-']);
+
+const DUPLICATE_CANDIDATE_COLUMNS = `
+  id, enquiry_number, name, phone, father_phone, alternate_mobile, hall_ticket_number,
+  village, mandal, district, lead_status, assigned_to, assigned_to_pro, source, created_at
+`;
+
+const isPlaceholder = (value) =>
+  PLACEHOLDER_VALUES.has(String(value ?? '').trim().toLowerCase());
+
+/** Lowercase alphanumerics only — "K. Ravi Kumar" and "k ravikumar" compare equal. */
+const superNorm = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Stored variants of a 10-digit mobile, so phone lookups stay on the column indexes. */
+const storedPhoneVariants = (digits10) => [digits10, `+91${digits10}`, `91${digits10}`, `0${digits10}`];
+
+const toMobile10 = (value) => {
+  const digits = normalizeMobileDigits(value);
+  return digits.length === 10 ? digits : '';
+};
+
+/**
+ * Resolve the duplicate policy for an entry point.
+ * An explicit override (request body) wins when valid; otherwise env, otherwise the channel default.
+ *
+ * @param {'public'|'manual'|'bulk'} channel
+ * @param {string} [override]
+ */
+export function resolveDuplicatePolicy(channel, override) {
+  const requested = String(override ?? '').trim().toLowerCase();
+  if (DUPLICATE_POLICIES.includes(requested)) return requested;
+  const config = CHANNEL_POLICY_DEFAULTS[channel] || CHANNEL_POLICY_DEFAULTS.manual;
+  const fromEnv = String(process.env[config.env] ?? '').trim().toLowerCase();
+  return DUPLICATE_POLICIES.includes(fromEnv) ? fromEnv : config.fallback;
+}
+
+const formatCandidate = (row) => ({
+  id: row.id,
+  enquiryNumber: row.enquiry_number || '',
+  name: row.name || '',
+  phone: row.phone || '',
+  fatherPhone: row.father_phone || '',
+  alternateMobile: row.alternate_mobile || '',
+  hallTicketNumber: row.hall_ticket_number || '',
+  village: row.village || '',
+  mandal: row.mandal || '',
+  district: row.district || '',
+  leadStatus: row.lead_status || 'New',
+  assignedTo: row.assigned_to || null,
+  assignedToPro: row.assigned_to_pro || null,
+  source: row.source || '',
+  createdAt: row.created_at,
+});
+
+/**
+ * Find existing leads that look like the same student.
+ *
+ * Match reasons (strongest first):
+ * - `phone` / `father_phone` / `alternate_mobile`: any incoming mobile equals that column on an existing lead
+ * - `hall_ticket_number`: same hall ticket (placeholders ignored)
+ * - `name_village`: same village (and mandal when known) and fuzzy name similarity ≥ LEAD_DUPLICATE_NAME_SIMILARITY
+ *
+ * @param {import('mysql2/promise').Pool | import('mysql2/promise').PoolConnection} db
+ * @param {{ name?: string, phone?: string, alternateMobile?: string, fatherPhone?: string,
+ *   hallTicketNumber?: string, village?: string, mandal?: string }} candidate
+ * @param {{ excludeLeadId?: string, limit?: number }} [options]
+ * @returns {Promise<Array<object>>} candidates with `reasons` and `score`, best first
+ */
+export async function findDuplicateLeadCandidates(db, candidate, { excludeLeadId, limit = 5 } = {}) {
+  const matches = new Map();
+  const addMatch = (row, reason, score) => {
+    if (!row || row.id === excludeLeadId) return;
+    const existing = matches.get(row.id);
+    if (existing) {
+      if (!existing.reasons.includes(reason)) existing.reasons.push(reason);
+      existing.score = Math.max(existing.score, score);
+      return;
+    }
+    matches.set(row.id, { ...formatCandidate(row), reasons: [reason], score });
+  };
+
+  const mobiles = [
+    ...new Set(
+      [candidate.phone, candidate.alternateMobile, candidate.fatherPhone].map(toMobile10).filter(Boolean)
+    ),
+  ];
+  if (mobiles.length > 0) {
+    const variants = mobiles.flatMap(storedPhoneVariants);
+    const placeholders = variants.map(() => '?').join(', ');
+    for (const [column, reason] of [
+      ['phone', 'phone'],
+      ['father_phone', 'father_phone'],
+      ['alternate_mobile', 'alternate_mobile'],
+    ]) {
+      const [rows] = await db.execute(
+        `SELECT ${DUPLICATE_CANDIDATE_COLUMNS} FROM leads
+         WHERE ${column} IN (${placeholders}) AND deleted_at IS NULL
+         ORDER BY updated_at DESC
+         LIMIT 20`,
+        variants
+      );
+      rows.forEach((row) => addMatch(row, reason, 1));
+    }
+  }
+
+  const hallTicket = String(candidate.hallTicketNumber ?? '').trim();
+  if (hallTicket && !isPlaceholder(hallTicket)) {
+    const [rows] = await db.execute(
+      `SELECT ${DUPLICATE_CANDIDATE_COLUMNS} FROM leads
+       WHERE hall_ticket_number = ? AND deleted_at IS NULL
+       ORDER BY updated_at DESC
+       LIMIT 20`,
+      [hallTicket]
+    );
+    rows.forEach((row) => addMatch(row, 'hall_ticket_number', 1));
+  }
+
+  const nameKey = superNorm(candidate.name);
+  const village = String(candidate.village ?? '').trim();
+  if (nameKey.length >= 3 && village && !isPlaceholder(village)) {
+    const mandal = String(candidate.mandal ?? '').trim();
+    const useMandal = mandal && !isPlaceholder(mandal);
+    const [rows] = await db.execute(
+      `SELECT ${DUPLICATE_CANDIDATE_COLUMNS} FROM leads
+       WHERE deleted_at IS NULL AND village = ?${useMandal ? ' AND mandal = ?' : ''}
+       ORDER BY created_at DESC
+       LIMIT ${Number(NAME_VILLAGE_SCAN_LIMIT)}`,
+      useMandal ? [village, mandal] : [village]
+    );
+    for (const row of rows) {
+      const score = similarity(nameKey, superNorm(row.name));
+      if (score >= NAME_SIMILARITY_THRESHOLD) {
+        addMatch(row, 'name_village', Number(score.toFixed(3)));
+      }
+    }
+  }
+
+  return [...matches.values()]
+    .sort((a, b) => b.reasons.length - a.reasons.length || b.score - a.score)
+    .slice(0, Math.max(1, Number(limit) || 5));
+}
+
+/**
+ * Exact match keys of a candidate (normalised mobiles and hall ticket) — what findDuplicateLeadCandidates looks
+ * up by column. Bulk import uses them to spot repeats within one file before the rows reach the database.
+ *
+ * @param {{ phone?: string, alternateMobile?: string, fatherPhone?: string, hallTicketNumber?: string }} candidate
+ * @returns {string[]} e.g. ['mobile:9876543210', 'hall_ticket:ap123']
+ */
+export function getDuplicateMatchKeys(candidate) {
+  const keys = new Set(
+    [candidate.phone, candidate.alternateMobile, candidate.fatherPhone]
+      .map(toMobile10)
+      .filter(Boolean)
+      .map((digits) => `mobile:${digits}`)
+  );
+  const hallTicket = String(candidate.hallTicketNumber ?? '').trim();
+  if (hallTicket && !isPlaceholder(hallTicket)) keys.add(`hall_ticket:${hallTicket.toLowerCase()}`);
+  return [...keys];
+}
+
+const parseDynamicFields = (raw) => {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Record a repeat enquiry on an existing lead instead of creating a duplicate.
+ * Writes an `enquiry_touch` activity log, fills dynamic_fields keys the lead does not have yet,
+ * and bumps updated_at so the lead resurfaces in recent lists.
+ *
+ * @param {import('mysql2/promise').Pool | import('mysql2/promise').PoolConnection} db
+ * @param {string} leadId existing lead
+ * @param {{ channel: 'public'|'manual'|'bulk', performedBy?: string|null, source?: string|null,
+ *   utm?: object|null, matchReasons?: string[], submitted?: object, dynamicFields?: object|null,
+ *   uploadBatchId?: string|null }} touch
+ * @returns {Promise<string>} activity log id
+ */
+export async function attachEnquiryTouch(db, leadId, touch) {
+  const {
+    channel,
+    performedBy,
+    source,
+    utm,
+    matchReasons = [],
+    submitted = {},
+    dynamicFields,
+    uploadBatchId,
+  } = touch;
+
+  const incomingFields = parseDynamicFields(dynamicFields);
+  let filledFields = null;
+  if (Object.keys(incomingFields).length > 0) {
+    const [rows] = await db.execute('SELECT dynamic_fields FROM leads WHERE id = ?', [leadId]);
+    const current = parseDynamicFields(rows[0]?.dynamic_fields);
+    for (const [key, value] of Object.entries(incomingFields)) {
+      if (value === null || value === undefined || String(value).trim() === '') continue;
+      if (current[key] === undefined || current[key] === null || String(current[key]).trim() === '') {
+        current[key] = value;
+        filledFields = current;
+      }
+    }
+  }
+  if (filledFields) {
+    await db.execute('UPDATE leads SET dynamic_fields = ?, updated_at = NOW() WHERE id = ?', [
+      JSON.stringify(filledFields),
+      leadId,
+    ]);
+    await syncLeadCustomFieldValues(db, leadId, filledFields, await loadCustomFields(db));
+  } else {
+    await db.execute('UPDATE leads SET updated_at = NOW() WHERE id = ?', [leadId]);
+  }
+
+  const sourceLabel = source ? String(source).trim() : channel;
+  const activityId = uuidv4();
+  await db.execute(
+    `INSERT INTO activity_logs (id, lead_id, type, comment, performed_by, metadata, created_at, updated_at)
+     VALUES (?, ?, 'enquiry_touch', ?, ?, ?, NOW(), NOW())`,
+    [
+      activityId,
+      leadId,
+      `Repeat enquiry received via ${sourceLabel} (matched on ${matchReasons.join(', ') || 'duplicate check'})`,
+      performedBy || SYSTEM_USER_ID,
+      JSON.stringify({
+        enquiryTouch: {
+          channel,
+          source: source || null,
+          utm: utm || null,
+          matchReasons,
+          uploadBatchId: uploadBatchId || null,
+          submitted,
+        },
+      }),
+    ]
+  );
+  return activityId;
+}
+
+/**
+ * Create-time duplicate check shared by createLead, createPublicLead and bulk upload.
+ *
+ * Returns `{ action: 'create' }` when there is nothing to do, otherwise:
+ * - `reject`: `{ action: 'reject', matches }`
+ * - `attach`: `{ action: 'attach', lead: bestMatch, matches }` (caller records the touch)
+ * - `flag`:   `{ action: 'flag', possibleDuplicateOf, matchReasons, matches }` (caller inserts with the flag columns)
+ *
+ * @param {import('mysql2/promise').Pool | import('mysql2/promise').PoolConnection} db
+ * @param {'reject'|'attach'|'flag'|'off'} policy
+ * @param {object} candidate see findDuplicateLeadCandidates
+ */
+export async function evaluateLeadDuplicate(db, policy, candidate) {
+  if (policy === 'off') return { action: 'create', matches: [] };
+  const matches = await findDuplicateLeadCandidates(db, candidate);
+  if (matches.length === 0) return { action: 'create', matches };
+  const best = matches[0];
+  if (policy === 'reject') return { action: 'reject', matches };
+  if (policy === 'attach') return { action: 'attach', lead: best, matches };
+  return {
+    action: 'flag',
+    possibleDuplicateOf: best.id,
+    matchReasons: best.reasons,
+    matches,
+  };
+}
+
+/** 409 message for the `reject` policy, naming the strongest match. */
+export function buildDuplicateRejectMessage(matches) {
+  const best = matches[0];
+  const label = best.enquiryNumber ? `${best.enquiryNumber} (${best.name})` : best.name;
+  return `Possible duplicate of existing lead ${label} — matched on ${best.reasons.join(', ')}`;
+}
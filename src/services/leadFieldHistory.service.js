@@ -0,0 +1,311 @@
+/**
+ * Field-level lead change history (lead_field_changes).
+ *
+ * One row per changed field per edit, with the old and new value as stored. `field_key` is the leads column
+ * (`phone`, `mandal`, …) or `dynamic_fields.<key>` for custom fields; dynamic values are stored as JSON so a
+ * revert restores numbers, booleans and multiselect arrays exactly.
+ *
+ * Edits and reverts also write one `field_update` activity log (metadata.fieldUpdate) so the timeline shows them.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { loadCustomFields, resyncLeadCustomFieldValues } from './leadCustomField.service.js';
+
+export const DYNAMIC_FIELD_PREFIX = 'dynamic_fields.';
+
+/** Tracked leads columns → display label. Status / assignment columns have their own status_change logs. */
+export const LEAD_FIELD_HISTORY_COLUMNS = {
+  name: 'Name',
+  phone: 'Phone',
+  email: 'Email',
+  father_name: 'Father Name',
+  father_phone: 'Father Phone',
+  mother_name: 'Mother Name',
+  course_interested: 'Course Interested',
+  village: 'Village',
+  address: 'Address',
+  district: 'District',
+  mandal: 'Mandal',
+  state: 'State',
+  quota: 'Quota',
+  gender: 'Gender',
+  rank: 'Rank',
+  inter_college: 'Inter College',
+  alternate_mobile: 'Alternate Mobile',
+  hall_ticket_number: 'Hall Ticket Number',
+  application_status: 'Application Status',
+  academic_year: 'Academic Year',
+  student_group: 'Student Group',
+  source: 'Source',
+};
+
+/** NOT NULL columns in `leads`; a revert may not blank them. */
+const REQUIRED_COLUMNS = new Set(['name', 'phone', 'father_name', 'father_phone', 'village', 'district', 'mandal']);
+
+export const FIELD_CHANGE_SOURCES = ['edit', 'revert', 'phone_report'];
+
+const MAX_HISTORY_LIMIT = 200;
+
+const historyError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const isDynamicKey = (fieldKey) => String(fieldKey).startsWith(DYNAMIC_FIELD_PREFIX);
+
+/** Column value → stored text ('' and NULL are kept apart so a revert restores the same one). */
+const serializeColumnValue = (value) => {
+  if (value === null || value === undefined) return null;
+  return String(value).trim();
+};
+
+const serializeDynamicValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string' && value.trim() === '') return null;
+  return JSON.stringify(value);
+};
+
+/** Stored value → readable text for comments and the history API. */
+const displayValue = (fieldKey, stored) => {
+  if (stored === null || stored === undefined) return '';
+  if (!isDynamicKey(fieldKey)) return stored;
+  const parsed = parseJson(stored, stored);
+  if (Array.isArray(parsed)) return parsed.join(', ');
+  return parsed === null || parsed === undefined ? '' : String(parsed);
+};
+
+const fieldLabel = (fieldKey, customFields = []) => {
+  if (!isDynamicKey(fieldKey)) return LEAD_FIELD_HISTORY_COLUMNS[fieldKey] || fieldKey;
+  const key = fieldKey.slice(DYNAMIC_FIELD_PREFIX.length);
+  return customFields.find((f) => f.key === key)?.label || key;
+};
+
+/**
+ * Changed fields between two `leads` rows (before / after a write).
+ * @returns {Array<{ fieldKey: string, label: string, oldValue: string|null, newValue: string|null }>}
+ */
+export function diffLeadFields(before, after, customFields = []) {
+  const changes = [];
+  if (!before || !after) return changes;
+
+  for (const column of Object.keys(LEAD_FIELD_HISTORY_COLUMNS)) {
+    const oldValue = serializeColumnValue(before[column]);
+    const newValue = serializeColumnValue(after[column]);
+    if ((oldValue ?? '') === (newValue ?? '')) continue;
+    changes.push({ fieldKey: column, label: fieldLabel(column), oldValue, newValue });
+  }
+
+  const oldDynamic = parseJson(before.dynamic_fields, {}) || {};
+  const newDynamic = parseJson(after.dynamic_fields, {}) || {};
+  const keys = [...new Set([...Object.keys(oldDynamic), ...Object.keys(newDynamic)])].sort();
+  for (const key of keys) {
+    const oldValue = serializeDynamicValue(oldDynamic[key]);
+    const newValue = serializeDynamicValue(newDynamic[key]);
+    if (oldValue === newValue) continue;
+    const fieldKey = `${DYNAMIC_FIELD_PREFIX}${key}`;
+    changes.push({ fieldKey, label: fieldLabel(fieldKey, customFields), oldValue, newValue });
+  }
+  return changes;
+}
+
+/**
+ * Persist changes from diffLeadFields. Writes the `field_update` activity log when `performedBy` is set
+ * (activity_logs.performed_by is required), then one lead_field_changes row per field.
+ * No-op for an empty change list; history rows are skipped before the migration has run.
+ *
+ * @returns {Promise<{ activityLogId: string|null, changeIds: string[] }>}
+ */
+export async function recordLeadFieldChanges(
+  db,
+  { leadId, changes, changedBy = null, source = 'edit', revertedChangeId = null }
+) {
+  if (!changes || changes.length === 0) return { activityLogId: null, changeIds: [] };
+  if (!FIELD_CHANGE_SOURCES.includes(source)) throw historyError(`Unknown field change source: ${source}`);
+
+  const summaryChanges = changes.map((c) => ({
+    field: c.label,
+    fieldKey: c.fieldKey,
+    old: displayValue(c.fieldKey, c.oldValue),
+    new: displayValue(c.fieldKey, c.newValue),
+  }));
+
+  let activityLogId = null;
+  if (changedBy) {
+    activityLogId = uuidv4();
+    const changeSummary = summaryChanges.map((c) => `${c.field} (${c.old || 'empty'} -> ${c.new || 'empty'})`).join(', ');
+    await db.execute(
+      `INSERT INTO activity_logs (id, lead_id, type, comment, performed_by, metadata, created_at, updated_at)
+       VALUES (?, ?, 'field_update', ?, ?, ?, NOW(), NOW())`,
+      [
+        activityLogId,
+        leadId,
+        `${source === 'revert' ? 'Student details reverted' : 'Student details updated'}: ${changeSummary}`,
+        changedBy,
+        JSON.stringify({
+          fieldUpdate: {
+            changes: summaryChanges,
+            count: summaryChanges.length,
+            ...(revertedChangeId ? { revertOf: revertedChangeId } : {}),
+          },
+        }),
+      ]
+    );
+  }
+
+  const changeIds = changes.map(() => uuidv4());
+  try {
+    await db.execute(
+      `INSERT INTO lead_field_changes
+        (id, lead_id, field_key, old_value, new_value, change_source, reverted_change_id, activity_log_id, changed_by, created_at)
+       VALUES ${changes.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())').join(', ')}`,
+      changes.flatMap((c, i) => [
+        changeIds[i],
+        leadId,
+        c.fieldKey,
+        c.oldValue,
+        c.newValue,
+        source,
+        revertedChangeId,
+        activityLogId,
+        changedBy,
+      ])
+    );
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+    return { activityLogId, changeIds: [] };
+  }
+  return { activityLogId, changeIds };
+}
+
+const formatFieldChange = (row, customFields) => ({
+  id: row.id,
+  _id: row.id,
+  leadId: row.lead_id,
+  fieldKey: row.field_key,
+  label: fieldLabel(row.field_key, customFields),
+  isCustomField: isDynamicKey(row.field_key),
+  oldValue: displayValue(row.field_key, row.old_value),
+  newValue: displayValue(row.field_key, row.new_value),
+  source: row.change_source,
+  revertedChangeId: row.reverted_change_id || null,
+  activityLogId: row.activity_log_id || null,
+  changedBy: row.changed_by ? { id: row.changed_by, _id: row.changed_by, name: row.changed_by_name || null } : null,
+  createdAt: row.created_at,
+});
+
+/**
+ * Paged history of one lead, newest first. `field` narrows to one field_key (`phone`, `dynamic_fields.<key>`).
+ */
+export async function getLeadFieldHistory(db, leadId, { field, page = 1, limit = 50 } = {}) {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_HISTORY_LIMIT);
+  const conditions = ['fc.lead_id = ?'];
+  const params = [leadId];
+  if (field) {
+    conditions.push('fc.field_key = ?');
+    params.push(String(field).trim());
+  }
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  try {
+    const [[countRow]] = await db.execute(`SELECT COUNT(*) AS total FROM lead_field_changes fc ${whereClause}`, params);
+    const [rows] = await db.execute(
+      `SELECT fc.*, u.name AS changed_by_name
+       FROM lead_field_changes fc
+       LEFT JOIN users u ON u.id = fc.changed_by
+       ${whereClause}
+       ORDER BY fc.created_at DESC, fc.id DESC
+       LIMIT ${Number(limitNum)} OFFSET ${Number((pageNum - 1) * limitNum)}`,
+      params
+    );
+    const customFields = await loadCustomFields(db);
+    const total = Number(countRow?.total || 0);
+    return {
+      changes: rows.map((row) => formatFieldChange(row, customFields)),
+      pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+    };
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+    return { changes: [], pagination: { page: pageNum, limit: limitNum, total: 0, pages: 0 } };
+  }
+}
+
+/**
+ * Restore the value a field had before `changeId`. The revert is itself recorded (source `revert`,
+ * reverted_change_id) with its own field_update activity log.
+ *
+ * @returns {Promise<{ change: object, fieldKey: string }>} the new history entry
+ */
+export async function revertLeadFieldChange(db, { leadId, changeId, performedBy }) {
+  let changeRows;
+  try {
+    [changeRows] = await db.execute('SELECT * FROM lead_field_changes WHERE id = ? AND lead_id = ?', [changeId, leadId]);
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') throw historyError('Field history is not enabled', 404);
+    throw error;
+  }
+  if (changeRows.length === 0) throw historyError('Field change not found', 404);
+  const target = changeRows[0];
+
+  const [leads] = await db.execute('SELECT * FROM leads WHERE id = ? AND deleted_at IS NULL', [leadId]);
+  if (leads.length === 0) throw historyError('Lead not found', 404);
+  const lead = leads[0];
+
+  const fieldKey = target.field_key;
+  const customFields = await loadCustomFields(db);
+  let currentValue;
+
+  if (isDynamicKey(fieldKey)) {
+    const key = fieldKey.slice(DYNAMIC_FIELD_PREFIX.length);
+    const dynamicFields = parseJson(lead.dynamic_fields, {}) || {};
+    currentValue = serializeDynamicValue(dynamicFields[key]);
+    if (currentValue === target.old_value) throw historyError('The field already has this value', 409);
+    if (target.old_value === null) {
+      delete dynamicFields[key];
+    } else {
+      dynamicFields[key] = parseJson(target.old_value, target.old_value);
+    }
+    await db.execute('UPDATE leads SET dynamic_fields = ?, updated_at = NOW() WHERE id = ?', [
+      JSON.stringify(dynamicFields),
+      leadId,
+    ]);
+    await resyncLeadCustomFieldValues(db, leadId);
+  } else {
+    if (!LEAD_FIELD_HISTORY_COLUMNS[fieldKey]) throw historyError(`Field ${fieldKey} cannot be reverted`);
+    currentValue = serializeColumnValue(lead[fieldKey]);
+    if ((currentValue ?? '') === (target.old_value ?? '')) throw historyError('The field already has this value', 409);
+    if (REQUIRED_COLUMNS.has(fieldKey) && !target.old_value) {
+      throw historyError(`${fieldLabel(fieldKey)} cannot be reverted to an empty value`);
+    }
+    await db.execute(`UPDATE leads SET \`${fieldKey}\` = ?, updated_at = NOW() WHERE id = ?`, [
+      target.old_value,
+      leadId,
+    ]);
+  }
+
+  const { changeIds } = await recordLeadFieldChanges(db, {
+    leadId,
+    changes: [{ fieldKey, label: fieldLabel(fieldKey, customFields), oldValue: currentValue, newValue: target.old_value }],
+    changedBy: performedBy,
+    source: 'revert',
+    revertedChangeId: changeId,
+  });
+  const [rows] = await db.execute(
+    `SELECT fc.*, u.name AS changed_by_name
+     FROM lead_field_changes fc
+     LEFT JOIN users u ON u.id = fc.changed_by
+     WHERE fc.id = ?`,
+    [changeIds[0]]
+  );
+  return { change: formatFieldChange(rows[0], customFields), fieldKey };
+}
@@ -0,0 +1,282 @@
+/**
+ * Lead list filters: the WHERE conditions behind getLeads, lead IDs, export, tag / view counts and SMS campaign
+ * audiences, built from a request's query string (or saved view filters) and the caller's role.
+ */
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+import { addDaysYmd } from '../utils/istDate.util.js';
+import { SELF_REGISTRATION_SOURCE } from '../utils/joiningSelfRegistration.util.js';
+import { buildCustomFieldFilterConditions } from './leadCustomField.service.js';
+import { buildTagFilterConditions } from './leadTag.service.js';
+
+/**
+ * Common logic to build WHERE conditions for leads across different controllers.
+ * Optimized for large datasets (500k+) by using FULLTEXT index for general search
+ * and index-friendly prefix matching for phones/enquiries.
+ * 
+ * @param {object} req Express request object (or `{ query, user }` when replaying saved view filters)
+ * @param {string} alias Table alias for leads table (e.g., 'l')
+ * @param {{ skipAccessControl?: boolean, customFields?: object[] }} [options]
+ *   skipAccessControl: caller scopes rows itself (e.g. per-counsellor view counts);
+ *   customFields: registry from loadCustomFieldsForQuery, enables cf_* filters
+ * @returns {{ conditions: string[], params: any[] }}
+ */
+export const buildLeadFilterConditions = (req, alias = 'l', options = {}) => {
+  const p = alias ? `${alias}.` : '';
+  // Leads in the recycle bin never show up in lists, counts, exports or bulk selections
+  const conditions = [`${p}deleted_at IS NULL`];
+  const params = [];
+
+  const {
+    mandal, state, district, village, villageInAddress, quota,
+    leadStatus, callStatus, visitStatus, applicationStatus,
+    assignedTo, courseInterested, source, startDate, endDate,
+    scheduledOn, academicYear, studentGroup, cycleNumber,
+    needsUpdate, touchedToday, excludeTouchedToday,
+    enquiryNumber, search, possibleDuplicate, minScore, maxScore,
+    minRank, maxRank, notCalledInDays
+  } = req.query;
+
+  // Standard Equality Filters
+  if (mandal) { conditions.push(`${p}mandal = ?`); params.push(mandal); }
+  if (state) { conditions.push(`${p}state = ?`); params.push(state); }
+  if (district) { conditions.push(`${p}district = ?`); params.push(district); }
+  
+  if (village) {
+    const villages = Array.isArray(village) 
+      ? village 
+      : String(village).split(',').map(v => v.trim()).filter(Boolean);
+      
+    if (villages.length > 0) {
+      if (req.user.roleName === 'PRO' && (villageInAddress === 'true' || villageInAddress === '1')) {
+        const villageConditions = [];
+        villages.forEach(v => {
+          const esc = v.replace(/\\/g, '\\\\').replace(/%/g, '\\%').replace(/_/g, '\\_');
+          // Note: CONCAT_WS is expensive on large tables; this is kept for PRO-specific village-in-address matching
+          villageConditions.push(`LOWER(CONCAT_WS(' ', IFNULL(${p}address,''), IFNULL(${p}village,''), IFNULL(${p}mandal,''), IFNULL(${p}district,''), IFNULL(${p}state,''))) LIKE ?`);
+          params.push(`%${esc.toLowerCase()}%`);
+        });
+        conditions.push(`(${villageConditions.join(' OR ')})`);
+      } else {
+        if (villages.length === 1) {
+          conditions.push(`${p}village = ?`);
+          params.push(villages[0]);
+        } else {
+          const placeholders = villages.map(() => '?').join(',');
+          conditions.push(`${p}village IN (${placeholders})`);
+          params.push(...villages);
+        }
+      }
+    }
+  }
+
+  if (quota) { conditions.push(`${p}quota = ?`); params.push(quota); }
+  if (leadStatus) {
+    conditions.push(`${p}lead_status = ?`);
+    params.push(leadStatus);
+    // Joining desk: hide Confirmed rows that already completed joining (approved + admission).
+    if (String(leadStatus).trim() === 'Confirmed') {
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM joinings j_stale
+        INNER JOIN admissions a_stale ON a_stale.joining_id = j_stale.id
+        WHERE j_stale.lead_id = ${p}id
+          AND j_stale.status = 'approved'
+          AND TRIM(COALESCE(a_stale.admission_number, '')) <> ''
+      )`);
+      // Self-registration requests stay on Self Registration only — never Confirmed Leads.
+      conditions.push(`NOT (
+        TRIM(COALESCE(${p}source, '')) = ?
+        OR TRIM(COALESCE(JSON_UNQUOTE(JSON_EXTRACT(${p}dynamic_fields, '$.createdFrom')), '')) = 'self_registration'
+      )`);
+      params.push(SELF_REGISTRATION_SOURCE);
+    }
+  }
+  if (callStatus) { conditions.push(`${p}call_status = ?`); params.push(callStatus); }
+  if (visitStatus) { conditions.push(`${p}visit_status = ?`); params.push(visitStatus); }
+  if (applicationStatus) { conditions.push(`${p}application_status = ?`); params.push(applicationStatus); }
+  
+  if (assignedTo) {
+    conditions.push(`(${p}assigned_to = ? OR ${p}assigned_to_pro = ?)`);
+    params.push(assignedTo, assignedTo);
+  }
+  
+  if (courseInterested) { conditions.push(`${p}course_interested = ?`); params.push(courseInterested); }
+  if (source) { conditions.push(`${p}source = ?`); params.push(source); }
+
+  // Permissions-based filtering
+  const allowedSources = req.user.permissions?.allowedSources;
+  if (allowedSources && Array.isArray(allowedSources) && allowedSources.length > 0) {
+    const placeholders = allowedSources.map(() => '?').join(',');
+    conditions.push(`${p}source IN (${placeholders})`);
+    params.push(...allowedSources);
+  }
+
+  // Date Filtering
+  if (startDate) {
+    const start = new Date(startDate);
+    start.setHours(0, 0, 0, 0);
+    conditions.push(`${p}created_at >= ?`);
+    params.push(start.toISOString().slice(0, 19).replace('T', ' '));
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+    conditions.push(`${p}created_at <= ?`);
+    params.push(end.toISOString().slice(0, 19).replace('T', ' '));
+  }
+  if (scheduledOn) {
+    const ymd = String(scheduledOn).slice(0, 10);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(ymd)) {
+      // Calendar-day range [start, end) — index-friendly vs DATE(column)
+      conditions.push(`${p}next_scheduled_call >= ? AND ${p}next_scheduled_call < ?`);
+      params.push(`${ymd} 00:00:00`, `${addDaysYmd(ymd, 1)} 00:00:00`);
+    }
+  }
+
+  // Grouping and Cycles
+  if (academicYear != null && academicYear !== '') { 
+    conditions.push(`${p}academic_year = ?`); 
+    params.push(Number(academicYear)); 
+  }
+  if (studentGroup) { 
+    conditions.push(`${p}student_group = ?`); 
+    params.push(studentGroup); 
+  }
+  if (cycleNumber != null && cycleNumber !== '') {
+    const cycle = Number(cycleNumber);
+    if (!Number.isNaN(cycle)) {
+      conditions.push(`${p}cycle_number = ?`);
+      params.push(cycle);
+    }
+  }
+
+  if (needsUpdate === 'true' || needsUpdate === '1') {
+    conditions.push(`${p}needs_manual_update IN (1, 2)`);
+  }
+
+  if (possibleDuplicate === 'true' || possibleDuplicate === '1') {
+    conditions.push(`${p}possible_duplicate_of IS NOT NULL`);
+  }
+
+  if (minScore !== undefined && minScore !== '' && !Number.isNaN(Number(minScore))) {
+    conditions.push(`${p}lead_score >= ?`);
+    params.push(Number(minScore));
+  }
+  if (maxScore !== undefined && maxScore !== '' && !Number.isNaN(Number(maxScore))) {
+    conditions.push(`${p}lead_score <= ?`);
+    params.push(Number(maxScore));
+  }
+
+  if (minRank !== undefined && minRank !== '' && !Number.isNaN(Number(minRank))) {
+    conditions.push(`${p}\`rank\` >= ?`);
+    params.push(Number(minRank));
+  }
+  if (maxRank !== undefined && maxRank !== '' && !Number.isNaN(Number(maxRank))) {
+    conditions.push(`${p}\`rank\` <= ?`);
+    params.push(Number(maxRank));
+  }
+
+  // No call logged in the last N days (by anyone)
+  if (notCalledInDays !== undefined && notCalledInDays !== '') {
+    const days = parseInt(notCalledInDays, 10);
+    if (!Number.isNaN(days) && days > 0) {
+      conditions.push(`NOT EXISTS (
+        SELECT 1 FROM communications c_recent
+        WHERE c_recent.lead_id = ${p}id AND c_recent.type = 'call'
+          AND c_recent.sent_at >= DATE_SUB(NOW(), INTERVAL ${Number(days)} DAY)
+      )`);
+    }
+  }
+
+  // User-specific Touch Logic
+  const userId = req.user.id || req.user._id;
+  if (touchedToday === 'true' || touchedToday === '1') {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM activity_logs a
+      WHERE a.lead_id = ${p}id AND a.performed_by = ?
+      AND DATE(a.created_at) = CURDATE()
+      AND a.type IN ('status_change', 'comment')
+    )`);
+    params.push(userId);
+  }
+
+  if (excludeTouchedToday === 'true' || excludeTouchedToday === '1') {
+    // Exclude leads that were already processed today (call/sms or log)
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM communications c
+      WHERE c.lead_id = ${p}id AND c.sent_by = ? AND DATE(c.sent_at) = CURDATE()
+    )`);
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM activity_logs a
+      WHERE a.lead_id = ${p}id AND a.performed_by = ? AND DATE(a.created_at) = CURDATE()
+    )`);
+    params.push(userId, userId);
+  }
+
+  // Enquiry Number specific search
+  if (enquiryNumber) {
+    const t = enquiryNumber.trim();
+    if (t.toUpperCase().startsWith('ENQ')) {
+      conditions.push(`${p}enquiry_number LIKE ?`);
+      params.push(`${t}%`);
+    } else {
+      conditions.push(`${p}enquiry_number LIKE ?`);
+      params.push(`%${t}%`);
+    }
+  }
+
+  // --- HIGHLY OPTIMIZED SEARCH LOGIC ---
+  if (search) {
+    const t = search.trim();
+    if (t.length >= 2) {
+      const isEnq = t.toUpperCase().startsWith('ENQ');
+      const isPhone = /^\d{5,}$/.test(t);
+      
+      if (isEnq) {
+        // Direct hit on enquiry number (starts with)
+        conditions.push(`${p}enquiry_number LIKE ?`);
+        params.push(`${t}%`);
+      } else if (isPhone) {
+        // Direct index hit on phone columns (starts with) - much faster than fulltext for digits
+        conditions.push(`(${p}phone LIKE ? OR ${p}father_phone LIKE ?)`);
+        params.push(`${t}%`, `${t}%`);
+      } else {
+        // USE FULLTEXT INDEX for names and other text fields.
+        // Boolean mode with prefix matching (+) ensures high speed on 500k+ rows.
+        // Clean the search term by removing boolean operators that could cause SQL syntax errors
+        const cleanT = t.replace(/[+\-<>\~*\"()@]/g, ' ').trim();
+        if (cleanT.length > 0) {
+          const booleanSearchStr = cleanT.split(/\s+/).map(word => `+${word}*`).join(' ');
+          // Columns must match exactly those defined in the FULLTEXT index:
+          // enquiry_number, name, phone, email, father_name, mother_name, course_interested, district, mandal, state, application_status, hall_ticket_number, inter_college
+          conditions.push(`MATCH(${p}enquiry_number, ${p}name, ${p}phone, ${p}email, ${p}father_name, ${p}mother_name, ${p}course_interested, ${p}district, ${p}mandal, ${p}state, ${p}application_status, ${p}hall_ticket_number, ${p}inter_college) AGAINST(? IN BOOLEAN MODE)`);
+          params.push(booleanSearchStr);
+        }
+      }
+    }
+  }
+
+  // Custom field filters (cf_<key>, cf_<key>_min/_max, cf_<key>_from/_to)
+  if (options.customFields && options.customFields.length > 0) {
+    const custom = buildCustomFieldFilterConditions(req.query, options.customFields, p);
+    conditions.push(...custom.conditions);
+    params.push(...custom.params);
+  }
+
+  // Tag filters (tags, tagMode=any|all, excludeTags)
+  const tagFilters = buildTagFilterConditions(req.query, p || 'leads.');
+  conditions.push(...tagFilters.conditions);
+  params.push(...tagFilters.params);
+
+  // Access control
+  if (!options.skipAccessControl && !hasElevatedAdminPrivileges(req.user.roleName) && req.user.roleName !== 'Admin') {
+    if (req.user.roleName === 'PRO') {
+      conditions.push(`(${p}assigned_to_pro = ? OR ${p}assigned_to = ?)`);
+      params.push(userId, userId);
+    } else {
+      conditions.push(`${p}assigned_to = ?`);
+      params.push(userId);
+    }
+  }
+
+  return { conditions, params };
+};
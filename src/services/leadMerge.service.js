@@ -0,0 +1,311 @@
+import { v4 as uuidv4 } from 'uuid';
+import {
+  canonicalizeLeadStatus,
+  pickHighestPriorityLeadStatus,
+} from '../utils/leadChannelStatus.util.js';
+import { resyncLeadCustomFieldValues } from './leadCustomField.service.js';
+
+/**
+ * Tables whose rows follow the surviving lead. `optional` tables may not exist in every environment.
+ * `keepSurvivorOnConflict`: a unique key includes lead_id, so a duplicate's row that would collide with one the
+ * survivor already has (e.g. the same tag) is left behind and cascades away with the duplicate.
+ */
+const LEAD_CHILD_TABLES = [
+  { table: 'communications', key: 'communications' },
+  { table: 'telephony_calls', key: 'telephonyCalls', optional: true },
+  { table: 'activity_logs', key: 'activityLogs' },
+  { table: 'lead_status_logs', key: 'leadStatusLogs' },
+  { table: 'lead_field_changes', key: 'fieldChanges', optional: true },
+  { table: 'notifications', key: 'notifications' },
+  { table: 'sms_bulk_job_items', key: 'smsBulkJobItems', optional: true },
+  { table: 'whatsapp_conversations', key: 'whatsappConversations', optional: true },
+  { table: 'visitor_codes', key: 'visitorCodes', optional: true },
+  { table: 'joinings', key: 'joinings' },
+  { table: 'admissions', key: 'admissions' },
+  { table: 'payment_transactions', key: 'paymentTransactions', optional: true },
+  { table: 'fee_requests', key: 'feeRequests', optional: true },
+  { table: 'lead_tag_assignments', key: 'tagAssignments', optional: true, keepSurvivorOnConflict: true },
+  { table: 'dialer_queue_items', key: 'dialerQueueItems', optional: true },
+  { table: 'lead_reclamation_run_items', key: 'reclamationRunItems', optional: true },
+  { table: 'assignment_batch_items', key: 'assignmentBatchItems', optional: true, keepSurvivorOnConflict: true },
+  { table: 'leave_coverage_handoffs', key: 'leaveCoverageHandoffs', optional: true, keepSurvivorOnConflict: true },
+];
+
+const isMissingTableError = (error) => error?.code === 'ER_NO_SUCH_TABLE';
+
+const parseDynamicFields = (raw) => {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const isBlankValue = (v) => v === null || v === undefined || String(v).trim() === '';
+
+const mergeError = (message, statusCode) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+/**
+ * Survivor keys win; duplicates only fill keys the survivor does not have (first duplicate in request order wins).
+ */
+function mergeDynamicFields(survivor, duplicates) {
+  const merged = { ...parseDynamicFields(survivor.dynamic_fields) };
+  for (const dup of duplicates) {
+    const fields = parseDynamicFields(dup.dynamic_fields);
+    for (const [key, value] of Object.entries(fields)) {
+      if (isBlankValue(merged[key]) && !isBlankValue(value)) {
+        merged[key] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+/** Channel status (call_status / visit_status) whose canonical mapping ranks highest across the merged leads. */
+function pickChannelStatus(leads, column) {
+  const values = leads.map((l) => l[column]).filter((v) => !isBlankValue(v));
+  if (values.length === 0) return null;
+  const best = pickHighestPriorityLeadStatus(values);
+  return values.find((v) => canonicalizeLeadStatus(v) === best) ?? values[0];
+}
+
+const snapshotLead = (lead) => ({
+  id: lead.id,
+  enquiryNumber: lead.enquiry_number,
+  name: lead.name,
+  phone: lead.phone,
+  fatherPhone: lead.father_phone,
+  leadStatus: lead.lead_status,
+  callStatus: lead.call_status,
+  visitStatus: lead.visit_status,
+  source: lead.source,
+  assignedTo: lead.assigned_to,
+  assignedToPro: lead.assigned_to_pro,
+  createdAt: lead.created_at,
+});
+
+/**
+ * Merge one or more duplicate leads into a surviving lead.
+ *
+ * - dynamic_fields: survivor values kept, missing keys filled from duplicates
+ * - lead_status / call_status / visit_status: highest LEAD_STATUS_PRIORITY across all leads
+ * - communications, telephony CDRs, activity logs, status logs, field change history, WhatsApp, visitor codes and
+ *   joining/admission rows are re-pointed, as are dialer queue items, reclamation run items, assignment batch items
+ *   and leave coverage handoffs; duplicates' dialer locks are released
+ * - tags are combined: the survivor gets every duplicate's tags it does not already have
+ * - duplicates are deleted and a `lead_merge` activity log is written on the survivor
+ * - the survivor's possible-duplicate flag is cleared; leads flagged against a duplicate now point at the survivor
+ * - the survivor's filterable custom field values are re-synced from the merged dynamic_fields
+ *
+ * Refuses to merge when more than one of the leads already has a joining or an admission (the survivor would end up
+ * with two).
+ *
+ * Existing databases: run src/scripts-sql/updateActivityLogsType.js first so activity_logs accepts 'lead_merge'.
+ *
+ * @param {import('mysql2/promise').Pool} pool
+ * @param {{ survivorId: string, duplicateIds: string[], performedBy: string, comment?: string }} opts
+ */
+export async function mergeLeads(pool, { survivorId, duplicateIds, performedBy, comment }) {
+  const survivorKey = String(survivorId || '').trim();
+  if (!survivorKey) {
+    throw mergeError('survivorId is required', 400);
+  }
+  const dupIds = [
+    ...new Set(
+      (Array.isArray(duplicateIds) ? duplicateIds : [])
+        .map((id) => String(id || '').trim())
+        .filter(Boolean)
+    ),
+  ].filter((id) => id !== survivorKey);
+  if (dupIds.length === 0) {
+    throw mergeError('Provide at least one duplicate lead ID different from the survivor', 400);
+  }
+
+  const allIds = [survivorKey, ...dupIds];
+  const allPlaceholders = allIds.map(() => '?').join(',');
+  const dupPlaceholders = dupIds.map(() => '?').join(',');
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute(
+      `SELECT * FROM leads WHERE id IN (${allPlaceholders}) FOR UPDATE`,
+      allIds
+    );
+    const byId = new Map(rows.map((r) => [r.id, r]));
+    const missing = allIds.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+      throw mergeError(`Lead(s) not found: ${missing.join(', ')}`, 404);
+    }
+
+    const survivor = byId.get(survivorKey);
+    const duplicates = dupIds.map((id) => byId.get(id));
+
+    // A lead holds at most one joining and one admission; the survivor cannot inherit two of either.
+    for (const { table, label } of [
+      { table: 'joinings', label: 'a joining' },
+      { table: 'admissions', label: 'an admission' },
+    ]) {
+      const [ownerRows] = await connection.execute(
+        `SELECT DISTINCT lead_id FROM ${table} WHERE lead_id IN (${allPlaceholders})`,
+        allIds
+      );
+      if (ownerRows.length > 1) {
+        const enquiries = ownerRows.map((r) => byId.get(r.lead_id)?.enquiry_number || r.lead_id);
+        throw mergeError(
+          `More than one of these leads already has ${label} (${enquiries.join(', ')}). Resolve the ${table} before merging.`,
+          409
+        );
+      }
+    }
+
+    const mergedDynamicFields = mergeDynamicFields(survivor, duplicates);
+    const everyLead = [survivor, ...duplicates];
+    const mergedLeadStatus = pickHighestPriorityLeadStatus(everyLead.map((l) => l.lead_status));
+    const mergedCallStatus = pickChannelStatus(everyLead, 'call_status');
+    const mergedVisitStatus = pickChannelStatus(everyLead, 'visit_status');
+
+    // Merging resolves the survivor's own duplicate review flag.
+    const updateFields = [
+      'dynamic_fields = ?',
+      'lead_status = ?',
+      'call_status = ?',
+      'visit_status = ?',
+      'possible_duplicate_of = NULL',
+      'duplicate_match_reasons = NULL',
+    ];
+    const updateValues = [
+      JSON.stringify(mergedDynamicFields),
+      mergedLeadStatus,
+      mergedCallStatus,
+      mergedVisitStatus,
+    ];
+
+    // Keep the survivor's owners; only fill an empty counsellor / PRO slot from a duplicate.
+    if (!survivor.assigned_to) {
+      const donor = duplicates.find((d) => d.assigned_to);
+      if (donor) {
+        updateFields.push('assigned_to = ?', 'assigned_at = ?', 'assigned_by = ?');
+        updateValues.push(donor.assigned_to, donor.assigned_at, donor.assigned_by);
+      }
+    }
+    if (!survivor.assigned_to_pro) {
+      const donor = duplicates.find((d) => d.assigned_to_pro);
+      if (donor) {
+        updateFields.push('assigned_to_pro = ?', 'pro_assigned_at = ?', 'pro_assigned_by = ?');
+        updateValues.push(donor.assigned_to_pro, donor.pro_assigned_at, donor.pro_assigned_by);
+      }
+    }
+    if (!survivor.next_scheduled_call) {
+      const donor = duplicates.find((d) => d.next_scheduled_call);
+      if (donor) {
+        updateFields.push('next_scheduled_call = ?');
+        updateValues.push(donor.next_scheduled_call);
+      }
+    }
+
+    const repointed = {};
+    for (const { table, key, optional, keepSurvivorOnConflict } of LEAD_CHILD_TABLES) {
+      try {
+        const [result] = await connection.execute(
+          `UPDATE${keepSurvivorOnConflict ? ' IGNORE' : ''} ${table} SET lead_id = ? WHERE lead_id IN (${dupPlaceholders})`,
+          [survivorKey, ...dupIds]
+        );
+        repointed[key] = result.affectedRows || 0;
+      } catch (error) {
+        if (optional && isMissingTableError(error)) {
+          repointed[key] = 0;
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    // Dialer locks are short-lived and one per lead, so they are not moved: a duplicate's lock is released and only
+    // the survivor's own lock (if any) remains. The queue item that took the lock was re-pointed above.
+    let releasedDialerLocks = 0;
+    try {
+      const [lockResult] = await connection.execute(
+        `DELETE FROM dialer_locks WHERE lead_id IN (${dupPlaceholders})`,
+        dupIds
+      );
+      releasedDialerLocks = lockResult.affectedRows || 0;
+    } catch (error) {
+      if (!isMissingTableError(error)) throw error;
+    }
+
+    // Leads flagged against a merged duplicate now point at the survivor.
+    await connection.execute(
+      `UPDATE leads SET possible_duplicate_of = ? WHERE possible_duplicate_of IN (${dupPlaceholders})`,
+      [survivorKey, ...dupIds]
+    );
+
+    await connection.execute(`DELETE FROM leads WHERE id IN (${dupPlaceholders})`, dupIds);
+
+    updateFields.push('updated_at = NOW()');
+    await connection.execute(
+      `UPDATE leads SET ${updateFields.join(', ')} WHERE id = ?`,
+      [...updateValues, survivorKey]
+    );
+
+    const duplicateEnquiries = duplicates.map((d) => d.enquiry_number || d.id);
+    const logComment = [
+      `Merged ${duplicates.length} duplicate lead(s): ${duplicateEnquiries.join(', ')}`,
+      comment && String(comment).trim() ? String(comment).trim() : null,
+    ]
+      .filter(Boolean)
+      .join(' — ');
+
+    const mergeLogId = uuidv4();
+    await connection.execute(
+      `INSERT INTO activity_logs (id, lead_id, type, old_status, new_status, comment, performed_by, metadata, created_at, updated_at)
+       VALUES (?, ?, 'lead_merge', ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        mergeLogId,
+        survivorKey,
+        survivor.lead_status || null,
+        mergedLeadStatus,
+        logComment,
+        performedBy,
+        JSON.stringify({
+          merge: {
+            survivorId: survivorKey,
+            duplicates: duplicates.map(snapshotLead),
+            repointed,
+            releasedDialerLocks,
+          },
+        }),
+      ]
+    );
+
+    await connection.commit();
+
+    // Filled-in dynamic_fields keys become filterable on the survivor (duplicates' rows cascade away)
+    await resyncLeadCustomFieldValues(pool, survivorKey);
+
+    return {
+      survivorId: survivorKey,
+      mergedLeadIds: dupIds,
+      mergedEnquiryNumbers: duplicateEnquiries,
+      leadStatus: mergedLeadStatus,
+      callStatus: mergedCallStatus,
+      visitStatus: mergedVisitStatus,
+      repointed,
+      releasedDialerLocks,
+      activityLogId: mergeLogId,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
@@ -2,6 +2,21 @@ import { getPool } from '../config-sql/database.js';
 import { v4 as uuidv4 } from 'uuid';
 import { notifyLeadReclamationSummary } from './notification.service.js';
 import { updatePerformanceMetric } from './userPerformance.service.js';
+import { scheduleLeadScoreRecompute } from './leadScoring.service.js';
+import {
+  evaluateReclamationPolicy,
+  findPolicyForLead,
+  getReclamationRunTime,
+  loadActiveReclamationPolicies,
+  shouldBumpReclaimCycle,
+} from './leadReclamationPolicy.service.js';
+import {
+  finishReclamationRun,
+  recordReclamationRunItems,
+  startReclamationRun,
+} from './leadReclamationRun.service.js';
+import { getUsersOnLeave } from './staffLeave.service.js';
+import { resolveLeadStatus } from '../utils/leadChannelStatus.util.js';
 
 /**
  * Under PM2, stdout can be closed during reload/restart; console.log may throw EPIPE and
@@ -71,73 +86,226 @@ function msUntilNextWallTimeIST(from, hour, minute) {
   return 24 * 60 * 60 * 1000;
 }
 
-/** Daily IST wall clock for reclamation (24h). Env: LEAD_RECLAIM_IST_TIME=23:00 or LEAD_RECLAIM_IST_HOUR / LEAD_RECLAIM_IST_MINUTE. Default 23:11 (11:11 PM). */
-function parseReclaimScheduleIST() {
-  const raw = process.env.LEAD_RECLAIM_IST_TIME?.trim();
-  if (raw && /^(\d{1,2}):(\d{2})$/.test(raw)) {
-    const [, hs, ms] = raw.match(/^(\d{1,2}):(\d{2})$/);
-    const h = Number(hs);
-    const m = Number(ms);
-    if (h >= 0 && h <= 23 && m >= 0 && m <= 59) {
-      return { hour: h, minute: m };
-    }
-  }
-  const hEnv = Number(process.env.LEAD_RECLAIM_IST_HOUR);
-  const mEnv = Number(process.env.LEAD_RECLAIM_IST_MINUTE);
-  if (
-    Number.isFinite(hEnv) &&
-    Number.isFinite(mEnv) &&
-    hEnv >= 0 &&
-    hEnv <= 23 &&
-    mEnv >= 0 &&
-    mEnv <= 59
-  ) {
-    return { hour: hEnv, minute: mEnv };
-  }
-  return { hour: 23, minute: 11 };
-}
+/** `YYYY-MM-DD` cutoff as given, else today's IST calendar date. */
+export const resolveReclaimCutoff = (asOfDateYmd) =>
+  typeof asOfDateYmd === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(asOfDateYmd) ? asOfDateYmd : formatDateIST(new Date());
 
 let reclaimerTimeoutId = null;
+let reclaimInProgress = false;
 let reclaimSchedule = { hour: 23, minute: 11 };
 
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+const JOINING_DRAFT_CHUNK = 1000;
+
+/**
+ * Lead slots the active reclamation policies would reclaim as of `cutoff` (no writes).
+ *
+ * @param {string} cutoff `YYYY-MM-DD` (Asia/Kolkata calendar)
+ * @param {{ policies?: object[] }} [options] policies to evaluate instead of the stored ones (preview of edits)
+ * @returns {Promise<{ cutoff: string, items: Array<{ lead: object, policy: object, scDue: boolean, proDue: boolean }>,
+ *   excluded: Array<{ lead: object, policy: object, reason: string }> }>}
+ */
+export const planReclamation = async (pool, cutoff, { policies } = {}) => {
+  const activePolicies = policies || (await loadActiveReclamationPolicies(pool));
+  const statuses = [...new Set(activePolicies.flatMap((p) => [...p.counsellorStatuses, ...p.proStatuses]))];
+  if (statuses.length === 0) return { cutoff, items: [], excluded: [] };
+
+  // Grace days only move the due date earlier, so `<= cutoff` is a superset; policies narrow it down per lead
+  const [candidates] = await pool.execute(
+    `
+    SELECT id, name, enquiry_number, lead_status, cycle_number,
+      assigned_to, assigned_to_pro, assigned_at, pro_assigned_at,
+      counsellor_target_date, pro_target_date, target_date,
+      call_status, visit_status, next_scheduled_call,
+      academic_year, student_group, source
+    FROM leads
+    WHERE deleted_at IS NULL
+      AND lead_status IN (${statuses.map(() => '?').join(',')})
+      AND (
+        (assigned_to IS NOT NULL AND counsellor_target_date IS NOT NULL AND counsellor_target_date <= ?)
+        OR
+        (assigned_to_pro IS NOT NULL AND pro_target_date IS NOT NULL AND pro_target_date <= ?)
+      )
+  `,
+    [...statuses, cutoff, cutoff]
+  );
+
+  const matched = candidates
+    .map((lead) => ({ lead, policy: findPolicyForLead(activePolicies, lead) }))
+    .filter((entry) => entry.policy);
+
+  const draftLeadIds = new Set();
+  const needsDrafts = matched.filter((entry) => entry.policy.excludeJoiningDrafts).map((entry) => entry.lead.id);
+  for (let i = 0; i < needsDrafts.length; i += JOINING_DRAFT_CHUNK) {
+    const chunk = needsDrafts.slice(i, i + JOINING_DRAFT_CHUNK);
+    const [rows] = await pool.execute(
+      `SELECT DISTINCT lead_id FROM joinings WHERE status = 'draft' AND lead_id IN (${chunk.map(() => '?').join(',')})`,
+      chunk
+    );
+    rows.forEach((r) => draftLeadIds.add(r.lead_id));
+  }
+
+  // A slot whose holder is on leave on the cutoff day is not taken away from them
+  const onLeave = await getUsersOnLeave(
+    pool,
+    matched.flatMap((entry) => [entry.lead.assigned_to, entry.lead.assigned_to_pro]),
+    cutoff
+  );
+
+  const now = new Date();
+  const items = [];
+  const excluded = [];
+  for (const { lead, policy } of matched) {
+    const result = evaluateReclamationPolicy(policy, { ...lead, has_joining_draft: draftLeadIds.has(lead.id) }, cutoff, now);
+    if (!result) continue;
+    if (result.excludedBy) {
+      excluded.push({ lead, policy, reason: result.excludedBy });
+      continue;
+    }
+    const scDue = result.scDue && !onLeave.has(lead.assigned_to);
+    const proDue = result.proDue && !onLeave.has(lead.assigned_to_pro);
+    if (!scDue && !proDue) {
+      excluded.push({ lead, policy, reason: 'on_leave' });
+      continue;
+    }
+    items.push({ lead, policy, scDue, proDue });
+  }
+  return { cutoff, items, excluded };
+};
+
 /**
- * Reclaims **per slot** when that slot’s target date is due (counsellor vs PRO).
+ * Readable summary of planReclamation: totals, per-policy counts and the first `limit` leads with who would lose
+ * (and receive) each slot.
+ */
+export const previewReclamation = async (pool, cutoff, { policies, limit = 200 } = {}) => {
+  const { items, excluded } = await planReclamation(pool, cutoff, { policies });
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000);
+
+  const byPolicy = new Map();
+  const policyBucket = (policy) => {
+    const key = policy.id || 'built-in';
+    if (!byPolicy.has(key)) {
+      byPolicy.set(key, {
+        policyId: policy.id,
+        policyName: policy.name,
+        leads: 0,
+        counsellorSlots: 0,
+        proSlots: 0,
+        cycleBumps: 0,
+        excluded: { future_callback: 0, joining_draft: 0, on_leave: 0 },
+      });
+    }
+    return byPolicy.get(key);
+  };
+
+  const rows = items.map(({ lead, policy, scDue, proDue }) => {
+    const stillScAfter = Boolean(lead.assigned_to) && !scDue;
+    const stillProAfter = Boolean(lead.assigned_to_pro) && !proDue;
+    const cycleBump = shouldBumpReclaimCycle(policy, String(lead.lead_status || '').trim(), !stillScAfter && !stillProAfter);
+    const bucket = policyBucket(policy);
+    bucket.leads += 1;
+    if (scDue) bucket.counsellorSlots += 1;
+    if (proDue) bucket.proSlots += 1;
+    if (cycleBump) bucket.cycleBumps += 1;
+    return { lead, policy, scDue, proDue, cycleBump };
+  });
+  for (const { policy, reason } of excluded) policyBucket(policy).excluded[reason] += 1;
+
+  const listed = rows.slice(0, limitNum);
+  const userIds = [
+    ...new Set(
+      listed.flatMap((r) => [
+        r.scDue ? r.lead.assigned_to : null,
+        r.proDue ? r.lead.assigned_to_pro : null,
+        r.scDue ? r.policy.counsellorDestinationUserId : null,
+        r.proDue ? r.policy.proDestinationUserId : null,
+      ]).filter(Boolean)
+    ),
+  ];
+  let userNameById = new Map();
+  if (userIds.length > 0) {
+    const [users] = await pool.execute(
+      `SELECT id, name FROM users WHERE id IN (${userIds.map(() => '?').join(',')})`,
+      userIds
+    );
+    userNameById = new Map(users.map((u) => [u.id, u.name]));
+  }
+  const ymd = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : v ? String(v).slice(0, 10) : null);
+  const slot = (due, fromId, targetDate, toId) =>
+    due
+      ? {
+          fromUserId: fromId,
+          fromUserName: userNameById.get(fromId) || null,
+          targetDate: ymd(targetDate),
+          toUserId: toId || null,
+          toUserName: toId ? userNameById.get(toId) || null : null,
+        }
+      : null;
+
+  const buckets = [...byPolicy.values()];
+  return {
+    cutoff,
+    totals: {
+      leads: rows.length,
+      counsellorSlots: buckets.reduce((acc, b) => acc + b.counsellorSlots, 0),
+      proSlots: buckets.reduce((acc, b) => acc + b.proSlots, 0),
+      cycleBumps: buckets.reduce((acc, b) => acc + b.cycleBumps, 0),
+      excluded: excluded.length,
+    },
+    byPolicy: buckets,
+    leads: listed.map(({ lead, policy, scDue, proDue, cycleBump }) => ({
+      leadId: lead.id,
+      name: lead.name,
+      enquiryNumber: lead.enquiry_number,
+      leadStatus: lead.lead_status,
+      policyId: policy.id,
+      policyName: policy.name,
+      counsellor: slot(scDue, lead.assigned_to, lead.counsellor_target_date, policy.counsellorDestinationUserId),
+      pro: slot(proDue, lead.assigned_to_pro, lead.pro_target_date, policy.proDestinationUserId),
+      cycleBump,
+    })),
+    truncated: rows.length > listed.length,
+  };
+};
+
+/**
+ * Reclaims **per slot** when that slot’s target date (plus the policy's grace days) is due (counsellor vs PRO).
+ * Which statuses qualify, exclusions, cycle bump and where the slot goes come from the lead's reclamation policy.
  * Uses `counsellor_target_date` / `pro_target_date`; legacy `target_date` is cleared when a slot is reclaimed.
  *
+ * Each run is stored in lead_reclamation_runs with one item per reclaimed slot (see leadReclamationRun.service.js).
+ *
  * @param {string} [asOfDateYmd] - `YYYY-MM-DD` in Asia/Kolkata; defaults to IST "today" when omitted.
+ * @param {{ trigger?: 'scheduled'|'manual', triggeredBy?: string|null }} [options]
+ * @returns {Promise<{ runId: string|null, cutoff: string, reclaimedLeads: number, reclaimedCount: number, excludedCount: number }>}
  */
-export const reclaimExpiredLeads = async (asOfDateYmd) => {
+export const reclaimExpiredLeads = async (asOfDateYmd, { trigger = 'scheduled', triggeredBy = null } = {}) => {
+  if (reclaimInProgress) {
+    const err = new Error('A reclamation run is already in progress');
+    err.statusCode = 409;
+    throw err;
+  }
+  reclaimInProgress = true;
   let pool;
+  let runId = null;
+  let runItems = [];
   try {
     pool = getPool();
-    const cutoff =
-      typeof asOfDateYmd === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(asOfDateYmd)
-        ? asOfDateYmd
-        : formatDateIST(new Date());
+    const cutoff = resolveReclaimCutoff(asOfDateYmd);
+    runId = await startReclamationRun(pool, { cutoff, trigger, triggeredBy });
     safeConsoleLog(
       `[LeadReclaimer] Starting automated lead reclamation (cutoff slot target dates <= ${cutoff} IST calendar)...`
     );
 
-    const [leadsToReclaim] = await pool.execute(
-      `
-      SELECT id, lead_status, cycle_number,
-        assigned_to, assigned_to_pro,
-        counsellor_target_date, pro_target_date, target_date,
-        academic_year, student_group
-      FROM leads
-      WHERE lead_status IN ('Not Interested', 'Wrong Data', 'Assigned')
-        AND (
-          (assigned_to IS NOT NULL AND counsellor_target_date IS NOT NULL AND counsellor_target_date <= ?)
-          OR
-          (assigned_to_pro IS NOT NULL AND pro_target_date IS NOT NULL AND pro_target_date <= ?)
-        )
-    `,
-      [cutoff, cutoff]
-    );
+    const { items: leadsToReclaim, excluded } = await planReclamation(pool, cutoff);
+    if (excluded.length > 0) {
+      safeConsoleLog(`[LeadReclaimer] ${excluded.length} due lead(s) excluded (callback / joining draft / holder on leave).`);
+    }
 
     if (leadsToReclaim.length === 0) {
       safeConsoleLog('[LeadReclaimer] No leads found for reclamation.');
-      return 0;
+      await finishReclamationRun(pool, runId, { status: 'completed', excludedCount: excluded.length });
+      return { runId, cutoff, reclaimedLeads: 0, reclaimedCount: 0, excludedCount: excluded.length };
     }
 
     safeConsoleLog(`[LeadReclaimer] Found ${leadsToReclaim.length} lead row(s) with at least one due slot.`);
@@ -156,6 +324,10 @@ export const reclaimExpiredLeads = async (asOfDateYmd) => {
       newStatus,
       comment,
       previousAssignee,
+      previousTargetDate,
+      previousChannelStatus,
+      reassignedTo,
+      policy,
       currentCycle,
       newCycle,
       cycleIncremented,
@@ -175,19 +347,39 @@ export const reclaimExpiredLeads = async (asOfDateYmd) => {
           oldStatus,
           newStatus,
           comment,
-          '00000000-0000-0000-0000-000000000000',
+          SYSTEM_USER_ID,
           JSON.stringify({
             reclamation: {
               previousCycle: currentCycle,
               newCycle,
               previousAssignee,
+              previousTargetDate,
+              previousChannelStatus,
+              reassignedTo,
               oldStatus,
               cycleIncremented,
               reclaimedRole,
+              policyId: policy.id,
+              policyName: policy.name,
+              runId,
             },
           }),
         ]
       );
+      runItems.push({
+        leadId,
+        reclaimedRole,
+        activityLogId,
+        previousAssignee,
+        previousTargetDate,
+        oldStatus,
+        newStatus,
+        previousCycle: currentCycle,
+        newCycle,
+        reassignedTo,
+        policyId: policy.id,
+        policyName: policy.name,
+      });
 
       // Update performance summary
       if (previousAssignee) {
@@ -202,42 +394,54 @@ export const reclaimExpiredLeads = async (asOfDateYmd) => {
       }
     };
 
-    for (const lead of leadsToReclaim) {
+    const slotYmd = (v) => {
+      if (v == null || v === '') return null;
+      if (v instanceof Date) return v.toISOString().slice(0, 10);
+      const s = String(v).trim();
+      return s.length >= 10 ? s.slice(0, 10) : s;
+    };
+
+    for (const { lead, policy, scDue, proDue } of leadsToReclaim) {
       const currentCycle = lead.cycle_number || 1;
       const oldStatus = String(lead.lead_status || '').trim();
-      const slotYmd = (v) => {
-        if (v == null || v === '') return null;
-        if (v instanceof Date) return v.toISOString().slice(0, 10);
-        const s = String(v).trim();
-        return s.length >= 10 ? s.slice(0, 10) : s;
-      };
 
       const hadSc = lead.assigned_to != null && String(lead.assigned_to).trim() !== '';
-      const scYmd = slotYmd(lead.counsellor_target_date);
-      const scDue = hadSc && scYmd != null && scYmd <= cutoff;
-
       const hadPro = lead.assigned_to_pro != null && String(lead.assigned_to_pro).trim() !== '';
-      const proYmd = slotYmd(lead.pro_target_date);
-      const proDue = hadPro && proYmd != null && proYmd <= cutoff;
-
-      if (!scDue && !proDue) continue;
-
       const stillScAfter = hadSc && !scDue;
       const stillProAfter = hadPro && !proDue;
       const fullyUnassigned = !stillScAfter && !stillProAfter;
 
-      const shouldIncrementCycle =
-        fullyUnassigned && (oldStatus === 'Not Interested' || oldStatus === 'Wrong Data');
+      // Policy destination: the slot moves to a named user instead of the unassigned pool
+      const scDestination = scDue ? policy.counsellorDestinationUserId : null;
+      const proDestination = proDue ? policy.proDestinationUserId : null;
+
+      const shouldIncrementCycle = shouldBumpReclaimCycle(policy, oldStatus, fullyUnassigned);
       const newCycle = shouldIncrementCycle ? currentCycle + 1 : currentCycle;
-      const newLeadStatus = fullyUnassigned ? 'New' : oldStatus;
+      let newLeadStatus = oldStatus;
+      if (scDestination || proDestination) {
+        // Same rule as a manual assignment: the destination's channel starts at 'Assigned', the other keeps its status
+        newLeadStatus = resolveLeadStatus(
+          oldStatus,
+          scDestination ? 'Assigned' : lead.call_status,
+          proDestination ? 'Assigned' : lead.visit_status
+        );
+      } else if (fullyUnassigned) {
+        newLeadStatus = 'New';
+      }
 
       const setParts = [];
       const params = [];
 
-      if (scDue) {
+      if (scDue && scDestination) {
+        setParts.push('assigned_to = ?', 'assigned_at = NOW()', 'assigned_by = ?', 'counsellor_target_date = NULL', "call_status = 'Assigned'");
+        params.push(scDestination, SYSTEM_USER_ID);
+      } else if (scDue) {
         setParts.push('assigned_to = NULL', 'assigned_at = NULL', 'assigned_by = NULL', 'counsellor_target_date = NULL');
       }
-      if (proDue) {
+      if (proDue && proDestination) {
+        setParts.push('assigned_to_pro = ?', 'pro_assigned_at = NOW()', 'pro_assigned_by = ?', 'pro_target_date = NULL', "visit_status = 'Assigned'");
+        params.push(proDestination, SYSTEM_USER_ID);
+      } else if (proDue) {
         setParts.push('assigned_to_pro = NULL', 'pro_assigned_at = NULL', 'pro_assigned_by = NULL', 'pro_target_date = NULL');
       }
 
@@ -245,19 +449,23 @@ export const reclaimExpiredLeads = async (asOfDateYmd) => {
       params.push(newLeadStatus, newCycle, lead.id);
 
       await pool.execute(`UPDATE leads SET ${setParts.join(', ')} WHERE id = ?`, params);
+      scheduleLeadScoreRecompute(lead.id);
+
+      const cycleNote = shouldIncrementCycle ? `cycle ${newCycle}` : `cycle ${newCycle} unchanged`;
+      const policyNote = policy.id ? ` Policy '${policy.name}'.` : '';
 
       // Log and notify for each reclaimed slot
       if (scDue) {
-        const scComment = shouldIncrementCycle
-          ? `Automated Counselor slot reclaim; cycle ${newCycle}. Pipeline was '${oldStatus}'.`
-          : `Automated Counselor slot reclaim; cycle ${newCycle} unchanged. Pipeline was '${oldStatus}'.`;
-
         await insertReclaimLog({
           leadId: lead.id,
           oldStatus,
           newStatus: newLeadStatus,
-          comment: `${scComment} Target date reached.`,
+          comment: `Automated Counselor slot reclaim; ${cycleNote}. Pipeline was '${oldStatus}'. Target date reached.${policyNote}`,
           previousAssignee: lead.assigned_to,
+          previousTargetDate: slotYmd(lead.counsellor_target_date),
+          previousChannelStatus: lead.call_status ?? null,
+          reassignedTo: scDestination,
+          policy,
           currentCycle,
           newCycle,
           cycleIncremented: shouldIncrementCycle,
@@ -270,16 +478,16 @@ export const reclaimExpiredLeads = async (asOfDateYmd) => {
       }
 
       if (proDue) {
-        const proComment = shouldIncrementCycle
-          ? `Automated PRO slot reclaim; cycle ${newCycle}. Pipeline was '${oldStatus}'.`
-          : `Automated PRO slot reclaim; cycle ${newCycle} unchanged. Pipeline was '${oldStatus}'.`;
-
         await insertReclaimLog({
           leadId: lead.id,
           oldStatus,
           newStatus: newLeadStatus,
-          comment: `${proComment} Target date reached.`,
+          comment: `Automated PRO slot reclaim; ${cycleNote}. Pipeline was '${oldStatus}'. Target date reached.${policyNote}`,
           previousAssignee: lead.assigned_to_pro,
+          previousTargetDate: slotYmd(lead.pro_target_date),
+          previousChannelStatus: lead.visit_status ?? null,
+          reassignedTo: proDestination,
+          policy,
           currentCycle,
           newCycle,
           cycleIncremented: shouldIncrementCycle,
@@ -292,6 +500,15 @@ export const reclaimExpiredLeads = async (asOfDateYmd) => {
       }
     }
 
+    await recordReclamationRunItems(pool, runId, runItems);
+    runItems = [];
+    await finishReclamationRun(pool, runId, {
+      status: 'completed',
+      leadsCount: leadsToReclaim.length,
+      slotsCount: reclaimedCount,
+      excludedCount: excluded.length,
+    });
+
     try {
       const previousAssigneeIds = [...reclaimedByPreviousAssignee.keys()];
       let userNameById = new Map();
@@ -326,10 +543,32 @@ export const reclaimExpiredLeads = async (asOfDateYmd) => {
     }
 
     safeConsoleLog(`[LeadReclaimer] Successfully reclaimed ${reclaimedCount} leads.`);
-    return reclaimedCount;
+    return {
+      runId,
+      cutoff,
+      reclaimedLeads: leadsToReclaim.length,
+      reclaimedCount,
+      excludedCount: excluded.length,
+    };
   } catch (error) {
     safeConsoleError('[LeadReclaimer] Error during lead reclamation:', error);
+    if (runId) {
+      // Slots reclaimed before the failure stay restorable
+      try {
+        await recordReclamationRunItems(pool, runId, runItems);
+        await finishReclamationRun(pool, runId, {
+          status: 'failed',
+          leadsCount: new Set(runItems.map((item) => item.leadId)).size,
+          slotsCount: runItems.length,
+          errorMessage: error.message,
+        });
+      } catch (finishError) {
+        safeConsoleError('[LeadReclaimer] Could not mark run as failed:', finishError);
+      }
+    }
     throw error;
+  } finally {
+    reclaimInProgress = false;
   }
 };
 
@@ -360,7 +599,7 @@ function scheduleNextISTDailyReclaim() {
  * Not tied to server start time beyond computing the next occurrence.
  *
  * Env: LEAD_RECLAIMER_ENABLED=false to disable.
- *      LEAD_RECLAIM_IST_TIME=23:11 (optional; overrides hour/minute defaults)
+ * Run time: lead_reclamation_settings (admin API) when set, else LEAD_RECLAIM_IST_TIME=23:11
  *      or LEAD_RECLAIM_IST_HOUR and LEAD_RECLAIM_IST_MINUTE (0–23, 0–59).
  */
 export const initLeadReclaimer = () => {
@@ -369,13 +608,28 @@ export const initLeadReclaimer = () => {
     safeConsoleLog('[LeadReclaimer] Disabled (LEAD_RECLAIMER_ENABLED).');
     return;
   }
+  rescheduleLeadReclaimer().catch((error) => {
+    safeConsoleError('[LeadReclaimer] Failed to schedule:', error);
+  });
+};
 
+/** (Re)load the run time and schedule the next run; called on startup and after the run time is edited. */
+export const rescheduleLeadReclaimer = async () => {
+  const enabled = String(process.env.LEAD_RECLAIMER_ENABLED ?? 'true').toLowerCase();
+  if (enabled === 'false' || enabled === '0') return;
+
+  try {
+    const { hour, minute } = await getReclamationRunTime(getPool());
+    reclaimSchedule = { hour, minute };
+  } catch (error) {
+    safeConsoleError('[LeadReclaimer] Could not load run time; keeping', reclaimSchedule, error?.message || error);
+  }
+
+  // Cleared after the await so overlapping reschedules never leave two timers
   if (reclaimerTimeoutId) {
     clearTimeout(reclaimerTimeoutId);
     reclaimerTimeoutId = null;
   }
-
-  reclaimSchedule = parseReclaimScheduleIST();
   const { hour, minute } = reclaimSchedule;
   safeConsoleLog(
     `[LeadReclaimer] Daily schedule: ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} Asia/Kolkata`
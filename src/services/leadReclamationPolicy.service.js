@@ -0,0 +1,379 @@
+/**
+ * Reclamation policies for the nightly lead reclaimer (lead_reclamation_policies) and its run time
+ * (lead_reclamation_settings).
+ *
+ * A policy decides, for the leads in its scope (academic year / student group / source, all optional), which
+ * lead_status values let a due counsellor or PRO slot be reclaimed, how many grace days follow the slot target
+ * date, which leads are excluded (future callback, draft joining), whether the cycle number is bumped and where
+ * the reclaimed slot goes (unassigned pool or a named user). Each lead is handled by the first active policy
+ * (lowest priority) whose scope matches; leads no policy covers are left alone.
+ *
+ * Before the migration, or while the table is empty, DEFAULT_RECLAMATION_POLICY (the previous hardcoded
+ * behaviour) applies.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { canonicalizeLeadStatus } from '../utils/leadChannelStatus.util.js';
+
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_RUN_TIME = '23:11';
+
+export const DEFAULT_RECLAMATION_POLICY = Object.freeze({
+  id: null,
+  name: 'Default (built-in)',
+  description: null,
+  isActive: true,
+  priority: 100,
+  scope: { academicYear: null, studentGroup: null, source: null },
+  counsellorStatuses: ['Not Interested', 'Wrong Data', 'Assigned'],
+  proStatuses: ['Not Interested', 'Wrong Data', 'Assigned'],
+  graceDays: 0,
+  excludeFutureCallbacks: false,
+  excludeJoiningDrafts: false,
+  bumpCycle: true,
+  cycleBumpStatuses: ['Not Interested', 'Wrong Data'],
+  counsellorDestinationUserId: null,
+  proDestinationUserId: null,
+});
+
+let policyCache = { at: 0, policies: null };
+
+const policyError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const asBool = (value) => value === true || value === 1 || value === '1' || value === 'true';
+
+export function invalidateReclamationPolicyCache() {
+  policyCache = { at: 0, policies: null };
+}
+
+export const formatReclamationPolicy = (row) => ({
+  id: row.id,
+  _id: row.id,
+  name: row.name,
+  description: row.description || null,
+  isActive: asBool(row.is_active),
+  priority: Number(row.priority ?? 100),
+  scope: {
+    academicYear: row.scope_academic_year != null ? Number(row.scope_academic_year) : null,
+    studentGroup: row.scope_student_group || null,
+    source: row.scope_source || null,
+  },
+  counsellorStatuses: parseJson(row.counsellor_statuses, []),
+  proStatuses: parseJson(row.pro_statuses, []),
+  graceDays: Number(row.grace_days || 0),
+  excludeFutureCallbacks: asBool(row.exclude_future_callbacks),
+  excludeJoiningDrafts: asBool(row.exclude_joining_drafts),
+  bumpCycle: asBool(row.bump_cycle),
+  cycleBumpStatuses: parseJson(row.cycle_bump_statuses, []),
+  counsellorDestinationUserId: row.counsellor_destination_user_id || null,
+  counsellorDestinationUserName: row.counsellor_destination_user_name || null,
+  proDestinationUserId: row.pro_destination_user_id || null,
+  proDestinationUserName: row.pro_destination_user_name || null,
+  updatedAt: row.updated_at || null,
+});
+
+const POLICY_SELECT = `
+  SELECT p.*, cu.name AS counsellor_destination_user_name, pu.name AS pro_destination_user_name
+  FROM lead_reclamation_policies p
+  LEFT JOIN users cu ON cu.id = p.counsellor_destination_user_id
+  LEFT JOIN users pu ON pu.id = p.pro_destination_user_id`;
+
+export async function listReclamationPolicies(db) {
+  const [rows] = await db.execute(`${POLICY_SELECT} ORDER BY p.priority ASC, p.name ASC`);
+  return rows.map(formatReclamationPolicy);
+}
+
+export async function getReclamationPolicy(db, id) {
+  const [rows] = await db.execute(`${POLICY_SELECT} WHERE p.id = ?`, [id]);
+  return rows.length > 0 ? formatReclamationPolicy(rows[0]) : null;
+}
+
+/**
+ * Active policies in evaluation order, cached for a minute. Built-in default when the table is missing or empty.
+ */
+export async function loadActiveReclamationPolicies(db) {
+  if (policyCache.policies && Date.now() - policyCache.at < POLICY_CACHE_TTL_MS) {
+    return policyCache.policies;
+  }
+  let policies;
+  try {
+    const [rows] = await db.execute(`${POLICY_SELECT} ORDER BY p.priority ASC, p.name ASC`);
+    policies = rows.length === 0
+      ? [DEFAULT_RECLAMATION_POLICY]
+      : rows.map(formatReclamationPolicy).filter((p) => p.isActive);
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+    policies = [DEFAULT_RECLAMATION_POLICY];
+  }
+  policyCache = { at: Date.now(), policies };
+  return policies;
+}
+
+const normalizeStatusList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw policyError(`${field} must be an array of lead statuses`);
+  return [...new Set(value.map((s) => String(s ?? '').trim()).filter(Boolean).map((s) => canonicalizeLeadStatus(s)))];
+};
+
+/** Validate an admin create / update body (already merged with the stored policy for updates). */
+export function normalizeReclamationPolicyInput(body) {
+  const name = String(body.name ?? '').trim().replace(/\s+/g, ' ');
+  if (!name) throw policyError('name is required');
+  if (name.length > 150) throw policyError('name must be at most 150 characters');
+
+  const priority = body.priority === undefined || body.priority === null || body.priority === '' ? 100 : Number(body.priority);
+  if (!Number.isInteger(priority)) throw policyError('priority must be an integer');
+
+  const graceDays = body.graceDays === undefined || body.graceDays === null || body.graceDays === '' ? 0 : Number(body.graceDays);
+  if (!Number.isInteger(graceDays) || graceDays < 0 || graceDays > 365) {
+    throw policyError('graceDays must be a whole number between 0 and 365');
+  }
+
+  const scope = body.scope || {};
+  const scopeYear = scope.academicYear === undefined || scope.academicYear === null || scope.academicYear === ''
+    ? null
+    : parseInt(scope.academicYear, 10);
+  if (scopeYear !== null && (Number.isNaN(scopeYear) || scopeYear < 2000 || scopeYear > 2100)) {
+    throw policyError('scope.academicYear must be a year');
+  }
+
+  const counsellorStatuses = normalizeStatusList(body.counsellorStatuses, 'counsellorStatuses');
+  const proStatuses = normalizeStatusList(body.proStatuses, 'proStatuses');
+  if (counsellorStatuses.length === 0 && proStatuses.length === 0) {
+    throw policyError('A policy needs at least one counsellor or PRO status to reclaim');
+  }
+
+  return {
+    name,
+    description: body.description ? String(body.description).trim().slice(0, 500) : null,
+    isActive: body.isActive === undefined ? true : asBool(body.isActive),
+    priority,
+    scope: {
+      academicYear: scopeYear,
+      studentGroup: scope.studentGroup ? String(scope.studentGroup).trim() : null,
+      source: scope.source ? String(scope.source).trim() : null,
+    },
+    counsellorStatuses,
+    proStatuses,
+    graceDays,
+    excludeFutureCallbacks: asBool(body.excludeFutureCallbacks),
+    excludeJoiningDrafts: asBool(body.excludeJoiningDrafts),
+    bumpCycle: body.bumpCycle === undefined ? true : asBool(body.bumpCycle),
+    cycleBumpStatuses: normalizeStatusList(body.cycleBumpStatuses, 'cycleBumpStatuses'),
+    counsellorDestinationUserId: body.counsellorDestinationUserId ? String(body.counsellorDestinationUserId) : null,
+    proDestinationUserId: body.proDestinationUserId ? String(body.proDestinationUserId) : null,
+  };
+}
+
+/** Destination users must be active and hold the matching role. */
+export async function validateReclamationDestinations(db, policy) {
+  const checks = [
+    ['counsellorDestinationUserId', false],
+    ['proDestinationUserId', true],
+  ];
+  for (const [field, mustBePro] of checks) {
+    const userId = policy[field];
+    if (!userId) continue;
+    const [users] = await db.execute('SELECT id, name, role_name, is_active FROM users WHERE id = ?', [userId]);
+    if (users.length === 0) throw policyError(`${field}: user not found`, 404);
+    const user = users[0];
+    if (!asBool(user.is_active)) throw policyError(`${field}: ${user.name} is inactive`);
+    const isPro = String(user.role_name || '').trim().toUpperCase() === 'PRO';
+    if (user.role_name === 'Super Admin' || isPro !== mustBePro) {
+      throw policyError(`${field}: ${user.name} (${user.role_name}) cannot receive ${mustBePro ? 'PRO' : 'counsellor'} slots`);
+    }
+  }
+}
+
+/** Create (id = null) or update a policy. */
+export async function saveReclamationPolicy(db, id, policy, userId) {
+  await validateReclamationDestinations(db, policy);
+  const policyId = id || uuidv4();
+  const values = [
+    policy.name,
+    policy.description,
+    policy.isActive ? 1 : 0,
+    policy.priority,
+    policy.scope.academicYear,
+    policy.scope.studentGroup,
+    policy.scope.source,
+    JSON.stringify(policy.counsellorStatuses),
+    JSON.stringify(policy.proStatuses),
+    policy.graceDays,
+    policy.excludeFutureCallbacks ? 1 : 0,
+    policy.excludeJoiningDrafts ? 1 : 0,
+    policy.bumpCycle ? 1 : 0,
+    JSON.stringify(policy.cycleBumpStatuses),
+    policy.counsellorDestinationUserId,
+    policy.proDestinationUserId,
+    userId,
+  ];
+  if (id) {
+    await db.execute(
+      `UPDATE lead_reclamation_policies SET
+        name = ?, description = ?, is_active = ?, priority = ?,
+        scope_academic_year = ?, scope_student_group = ?, scope_source = ?,
+        counsellor_statuses = ?, pro_statuses = ?, grace_days = ?,
+        exclude_future_callbacks = ?, exclude_joining_drafts = ?,
+        bump_cycle = ?, cycle_bump_statuses = ?,
+        counsellor_destination_user_id = ?, pro_destination_user_id = ?,
+        updated_by = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [...values, id]
+    );
+  } else {
+    await db.execute(
+      `INSERT INTO lead_reclamation_policies (
+        name, description, is_active, priority,
+        scope_academic_year, scope_student_group, scope_source,
+        counsellor_statuses, pro_statuses, grace_days,
+        exclude_future_callbacks, exclude_joining_drafts,
+        bump_cycle, cycle_bump_statuses,
+        counsellor_destination_user_id, pro_destination_user_id,
+        updated_by, created_by, id, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [...values, userId, policyId]
+    );
+  }
+  invalidateReclamationPolicyCache();
+  return getReclamationPolicy(db, policyId);
+}
+
+export async function deleteReclamationPolicy(db, id) {
+  const [result] = await db.execute('DELETE FROM lead_reclamation_policies WHERE id = ?', [id]);
+  invalidateReclamationPolicyCache();
+  return Number(result.affectedRows || 0) > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+const slotYmd = (v) => {
+  if (v == null || v === '') return null;
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  const s = String(v).trim();
+  return s.length >= 10 ? s.slice(0, 10) : s;
+};
+
+const ymdMinusDays = (ymd, days) => {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+};
+
+const statusIn = (status, list) => {
+  const canonical = canonicalizeLeadStatus(status || 'New');
+  return list.some((s) => canonicalizeLeadStatus(s) === canonical);
+};
+
+/** First policy whose scope matches the lead (leads row with academic_year, student_group, source). */
+export function findPolicyForLead(policies, lead) {
+  return (
+    policies.find((p) => {
+      if (p.scope.academicYear != null && Number(lead.academic_year) !== p.scope.academicYear) return false;
+      if (p.scope.studentGroup && String(lead.student_group || '').trim() !== p.scope.studentGroup) return false;
+      if (p.scope.source && String(lead.source || '').trim().toLowerCase() !== p.scope.source.toLowerCase()) {
+        return false;
+      }
+      return true;
+    }) || null
+  );
+}
+
+/**
+ * What a policy does to one lead as of `cutoff` (YYYY-MM-DD IST).
+ * @param {object} lead leads row (+ has_joining_draft when the policy excludes drafts)
+ * @returns {null | { scDue: boolean, proDue: boolean, excludedBy?: string }}
+ */
+export function evaluateReclamationPolicy(policy, lead, cutoff, now = new Date()) {
+  const oldStatus = String(lead.lead_status || '').trim();
+  const dueBy = ymdMinusDays(cutoff, policy.graceDays || 0);
+
+  const hadSc = lead.assigned_to != null && String(lead.assigned_to).trim() !== '';
+  const scYmd = slotYmd(lead.counsellor_target_date);
+  const scDue = hadSc && scYmd != null && scYmd <= dueBy && statusIn(oldStatus, policy.counsellorStatuses);
+
+  const hadPro = lead.assigned_to_pro != null && String(lead.assigned_to_pro).trim() !== '';
+  const proYmd = slotYmd(lead.pro_target_date);
+  const proDue = hadPro && proYmd != null && proYmd <= dueBy && statusIn(oldStatus, policy.proStatuses);
+
+  if (!scDue && !proDue) return null;
+  if (policy.excludeFutureCallbacks && lead.next_scheduled_call && new Date(lead.next_scheduled_call) > now) {
+    return { scDue: false, proDue: false, excludedBy: 'future_callback' };
+  }
+  if (policy.excludeJoiningDrafts && lead.has_joining_draft) {
+    return { scDue: false, proDue: false, excludedBy: 'joining_draft' };
+  }
+  return { scDue, proDue };
+}
+
+/** Whether reclaiming bumps the cycle (only once the lead is fully released from its previous holders). */
+export function shouldBumpReclaimCycle(policy, oldStatus, fullyReleased) {
+  if (!fullyReleased || !policy.bumpCycle) return false;
+  if (!policy.cycleBumpStatuses || policy.cycleBumpStatuses.length === 0) return true;
+  return statusIn(oldStatus, policy.cycleBumpStatuses);
+}
+
+// ---------------------------------------------------------------------------
+// Run time
+// ---------------------------------------------------------------------------
+
+const parseRunTime = (raw) => {
+  const match = String(raw ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+};
+
+/** Env fallback: LEAD_RECLAIM_IST_TIME=23:00 or LEAD_RECLAIM_IST_HOUR / LEAD_RECLAIM_IST_MINUTE. */
+const envRunTime = () => {
+  const fromTime = parseRunTime(process.env.LEAD_RECLAIM_IST_TIME);
+  if (fromTime) return fromTime;
+  const hEnv = Number(process.env.LEAD_RECLAIM_IST_HOUR);
+  const mEnv = Number(process.env.LEAD_RECLAIM_IST_MINUTE);
+  if (Number.isInteger(hEnv) && Number.isInteger(mEnv) && hEnv >= 0 && hEnv <= 23 && mEnv >= 0 && mEnv <= 59) {
+    return { hour: hEnv, minute: mEnv };
+  }
+  return parseRunTime(DEFAULT_RUN_TIME);
+};
+
+/** Daily IST run time: stored setting, else env, else 23:11. */
+export async function getReclamationRunTime(db) {
+  try {
+    const [rows] = await db.execute('SELECT run_time_ist FROM lead_reclamation_settings WHERE id = 1');
+    const stored = rows.length > 0 ? parseRunTime(rows[0].run_time_ist) : null;
+    if (stored) return { ...stored, source: 'database' };
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+  }
+  return { ...envRunTime(), source: 'env' };
+}
+
+export async function setReclamationRunTime(db, runTime, userId) {
+  const parsed = parseRunTime(runTime);
+  if (!parsed) throw policyError('runTime must be HH:MM (24h, Asia/Kolkata)');
+  const value = `${String(parsed.hour).padStart(2, '0')}:${String(parsed.minute).padStart(2, '0')}`;
+  await db.execute(
+    `INSERT INTO lead_reclamation_settings (id, run_time_ist, updated_by, updated_at)
+     VALUES (1, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE run_time_ist = VALUES(run_time_ist), updated_by = VALUES(updated_by), updated_at = NOW()`,
+    [value, userId]
+  );
+  return { ...parsed, source: 'database' };
+}
@@ -0,0 +1,512 @@
+/**
+ * Lead reclaimer run history and restore.
+ *
+ * Every reclaimer run (scheduled or manual) is stored in lead_reclamation_runs with one
+ * lead_reclamation_run_items row per reclaimed slot, pointing at the reclaim activity log.
+ *
+ * Restore works from the reclaim logs' `metadata.reclamation` (so leads reclaimed before run history existed can
+ * be restored too). A slot is given back only while it is still released: the slot is empty, or still held by the
+ * policy destination user it was moved to. The previous assignee must still be an active user.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { scheduleLeadScoreRecompute } from './leadScoring.service.js';
+
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+const INSERT_CHUNK = 500;
+
+const SLOT_COLUMNS = {
+  counsellor: {
+    assignee: 'assigned_to',
+    assignedAt: 'assigned_at',
+    assignedBy: 'assigned_by',
+    targetDate: 'counsellor_target_date',
+    channelStatus: 'call_status',
+  },
+  pro: {
+    assignee: 'assigned_to_pro',
+    assignedAt: 'pro_assigned_at',
+    assignedBy: 'pro_assigned_by',
+    targetDate: 'pro_target_date',
+    channelStatus: 'visit_status',
+  },
+};
+
+const reclamationRunError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const isMissingTable = (error) => error?.code === 'ER_NO_SUCH_TABLE';
+
+const ymd = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : v ? String(v).slice(0, 10) : null);
+
+/**
+ * Open a run row. Returns null when the run tables are not migrated yet (the reclaimer then runs without history).
+ * @param {{ cutoff: string, trigger: 'scheduled'|'manual', triggeredBy?: string|null }} input
+ */
+export async function startReclamationRun(db, { cutoff, trigger, triggeredBy = null }) {
+  const runId = uuidv4();
+  try {
+    await db.execute(
+      `INSERT INTO lead_reclamation_runs (id, cutoff_date, trigger_type, status, triggered_by, started_at)
+       VALUES (?, ?, ?, 'running', ?, NOW())`,
+      [runId, cutoff, trigger, triggeredBy]
+    );
+    return runId;
+  } catch (error) {
+    if (isMissingTable(error)) return null;
+    throw error;
+  }
+}
+
+/**
+ * @param {string} runId
+ * @param {Array<{ leadId: string, reclaimedRole: 'counsellor'|'pro', activityLogId: string, previousAssignee: string|null,
+ *   previousTargetDate: string|null, oldStatus: string, newStatus: string, previousCycle: number, newCycle: number,
+ *   reassignedTo: string|null, policyId: string|null, policyName: string|null }>} items
+ */
+export async function recordReclamationRunItems(db, runId, items) {
+  if (!runId || items.length === 0) return;
+  for (let i = 0; i < items.length; i += INSERT_CHUNK) {
+    const chunk = items.slice(i, i + INSERT_CHUNK);
+    await db.execute(
+      `INSERT INTO lead_reclamation_run_items (
+        id, run_id, lead_id, reclaimed_role, activity_log_id, previous_assignee, previous_target_date,
+        old_status, new_status, previous_cycle, new_cycle, reassigned_to, policy_id, policy_name
+      ) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flatMap((item) => [
+        uuidv4(),
+        runId,
+        item.leadId,
+        item.reclaimedRole,
+        item.activityLogId,
+        item.previousAssignee || null,
+        item.previousTargetDate || null,
+        item.oldStatus || null,
+        item.newStatus || null,
+        item.previousCycle ?? null,
+        item.newCycle ?? null,
+        item.reassignedTo || null,
+        item.policyId || null,
+        item.policyName || null,
+      ])
+    );
+  }
+}
+
+/** Close a run: status 'completed' with its counts, or 'failed' with the error message. */
+export async function finishReclamationRun(db, runId, { status, leadsCount = 0, slotsCount = 0, excludedCount = 0, errorMessage = null }) {
+  if (!runId) return;
+  await db.execute(
+    `UPDATE lead_reclamation_runs
+     SET status = ?, leads_count = ?, slots_count = ?, excluded_count = ?, error_message = ?, finished_at = NOW()
+     WHERE id = ?`,
+    [status, leadsCount, slotsCount, excludedCount, errorMessage ? String(errorMessage).slice(0, 2000) : null, runId]
+  );
+}
+
+const formatRun = (row) => ({
+  id: row.id,
+  _id: row.id,
+  cutoffDate: ymd(row.cutoff_date),
+  trigger: row.trigger_type,
+  status: row.status,
+  leadsCount: Number(row.leads_count || 0),
+  slotsCount: Number(row.slots_count || 0),
+  excludedCount: Number(row.excluded_count || 0),
+  restoredCount: Number(row.restored_count || 0),
+  errorMessage: row.error_message || null,
+  triggeredBy: row.triggered_by || null,
+  triggeredByName: row.triggered_by_name || null,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at || null,
+});
+
+const RUN_SELECT = `
+  SELECT r.*, u.name AS triggered_by_name
+  FROM lead_reclamation_runs r
+  LEFT JOIN users u ON u.id = r.triggered_by`;
+
+/** Runs newest first (?status=, ?trigger=, ?from= / ?to= on the cutoff date, page, limit). */
+export async function listReclamationRuns(db, { status, trigger, from, to, page = 1, limit = 20 } = {}) {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('r.status = ?');
+    params.push(status);
+  }
+  if (trigger) {
+    conditions.push('r.trigger_type = ?');
+    params.push(trigger);
+  }
+  if (from) {
+    conditions.push('r.cutoff_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('r.cutoff_date <= ?');
+    params.push(to);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [countRows] = await db.execute(`SELECT COUNT(*) AS total FROM lead_reclamation_runs r ${whereClause}`, params);
+  const [rows] = await db.execute(
+    `${RUN_SELECT} ${whereClause} ORDER BY r.started_at DESC LIMIT ${Number(limitNum)} OFFSET ${Number((pageNum - 1) * limitNum)}`,
+    params
+  );
+  const total = Number(countRows[0]?.total || 0);
+  return {
+    runs: rows.map(formatRun),
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+}
+
+/** One run with its reclaimed slots (?role=, ?restored=true|false, page, limit over the items). */
+export async function getReclamationRun(db, runId, { role, restored, page = 1, limit = 100 } = {}) {
+  const [rows] = await db.execute(`${RUN_SELECT} WHERE r.id = ?`, [runId]);
+  if (rows.length === 0) return null;
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  const conditions = ['ri.run_id = ?'];
+  const params = [runId];
+  if (role) {
+    conditions.push('ri.reclaimed_role = ?');
+    params.push(role);
+  }
+  if (restored === 'true' || restored === true) conditions.push('ri.restored_at IS NOT NULL');
+  if (restored === 'false' || restored === false) conditions.push('ri.restored_at IS NULL');
+  const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+  const [countRows] = await db.execute(`SELECT COUNT(*) AS total FROM lead_reclamation_run_items ri ${whereClause}`, params);
+  const [items] = await db.execute(
+    `SELECT ri.*, l.name AS lead_name, l.enquiry_number,
+       pu.name AS previous_assignee_name, du.name AS reassigned_to_name, ru.name AS restored_by_name
+     FROM lead_reclamation_run_items ri
+     LEFT JOIN leads l ON l.id = ri.lead_id
+     LEFT JOIN users pu ON pu.id = ri.previous_assignee
+     LEFT JOIN users du ON du.id = ri.reassigned_to
+     LEFT JOIN users ru ON ru.id = ri.restored_by
+     ${whereClause}
+     ORDER BY l.name ASC, ri.reclaimed_role ASC
+     LIMIT ${Number(limitNum)} OFFSET ${Number((pageNum - 1) * limitNum)}`,
+    params
+  );
+  const total = Number(countRows[0]?.total || 0);
+  return {
+    ...formatRun(rows[0]),
+    items: items.map((item) => ({
+      leadId: item.lead_id,
+      leadName: item.lead_name || null,
+      enquiryNumber: item.enquiry_number || null,
+      reclaimedRole: item.reclaimed_role,
+      activityLogId: item.activity_log_id,
+      previousAssignee: item.previous_assignee || null,
+      previousAssigneeName: item.previous_assignee_name || null,
+      previousTargetDate: ymd(item.previous_target_date),
+      oldStatus: item.old_status || null,
+      newStatus: item.new_status || null,
+      previousCycle: item.previous_cycle,
+      newCycle: item.new_cycle,
+      reassignedTo: item.reassigned_to || null,
+      reassignedToName: item.reassigned_to_name || null,
+      policyId: item.policy_id || null,
+      policyName: item.policy_name || null,
+      restoredAt: item.restored_at || null,
+      restoredBy: item.restored_by || null,
+      restoredByName: item.restored_by_name || null,
+      restoreSkipReason: item.restore_skip_reason || null,
+    })),
+    itemsPagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+}
+
+/** Reclaim logs by id, oldest first so a lead reclaimed twice is restored in order. */
+async function loadReclaimLogs(db, activityLogIds) {
+  const logs = [];
+  for (let i = 0; i < activityLogIds.length; i += INSERT_CHUNK) {
+    const chunk = activityLogIds.slice(i, i + INSERT_CHUNK);
+    const [rows] = await db.execute(
+      `SELECT id, lead_id, old_status, new_status, comment, metadata, created_at
+       FROM activity_logs
+       WHERE id IN (${chunk.map(() => '?').join(',')})`,
+      chunk
+    );
+    logs.push(...rows);
+  }
+  return logs.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+/** Latest reclaim log per lead and slot (for leads reclaimed before run history, or across runs). */
+async function findLatestReclaimLogIds(db, leadIds) {
+  const ids = [];
+  for (let i = 0; i < leadIds.length; i += INSERT_CHUNK) {
+    const chunk = leadIds.slice(i, i + INSERT_CHUNK);
+    const [rows] = await db.execute(
+      `SELECT id FROM (
+         SELECT a.id,
+           ROW_NUMBER() OVER (
+             PARTITION BY a.lead_id,
+               COALESCE(JSON_UNQUOTE(JSON_EXTRACT(a.metadata, '$.reclamation.reclaimedRole')),
+                 IF(a.comment LIKE '%PRO slot%', 'pro', 'counsellor'))
+             ORDER BY a.created_at DESC
+           ) AS rn
+         FROM activity_logs a
+         WHERE a.type = 'status_change'
+           AND a.performed_by = ?
+           AND JSON_EXTRACT(a.metadata, '$.reclamation.previousAssignee') IS NOT NULL
+           AND a.lead_id IN (${chunk.map(() => '?').join(',')})
+       ) ranked
+       WHERE rn = 1`,
+      [SYSTEM_USER_ID, ...chunk]
+    );
+    ids.push(...rows.map((r) => r.id));
+  }
+  return ids;
+}
+
+/**
+ * Reclaim log ids that already have a restore log. A restore log sits on the same lead and is newer than the
+ * reclaim, so the (lead_id, created_at) index narrows the scan before the metadata is read.
+ * @param {Array<{ id: string, lead_id: string, created_at: Date }>} reclaimLogs
+ */
+async function findRestoredLogIds(db, reclaimLogs) {
+  const restored = new Set();
+  for (let i = 0; i < reclaimLogs.length; i += INSERT_CHUNK) {
+    const chunk = reclaimLogs.slice(i, i + INSERT_CHUNK);
+    const leadIds = [...new Set(chunk.map((log) => log.lead_id))];
+    const since = chunk.reduce(
+      (earliest, log) => (new Date(log.created_at) < earliest ? new Date(log.created_at) : earliest),
+      new Date(chunk[0].created_at)
+    );
+    const [rows] = await db.execute(
+      `SELECT JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.restoreFromReclaim.reclaimActivityId')) AS reclaim_activity_id
+       FROM activity_logs
+       WHERE lead_id IN (${leadIds.map(() => '?').join(',')})
+         AND created_at >= ?
+         AND type = 'status_change'
+         AND JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.restoreFromReclaim.reclaimActivityId')) IN (${chunk.map(() => '?').join(',')})`,
+      [...leadIds, since, ...chunk.map((log) => log.id)]
+    );
+    rows.forEach((r) => restored.add(r.reclaim_activity_id));
+  }
+  return restored;
+}
+
+/**
+ * Give reclaimed slots back to their previous assignee.
+ *
+ * Source, one of:
+ *   - runId (optionally narrowed by leadIds): the slots that run reclaimed
+ *   - leadIds alone: the latest reclaim of each slot of those leads, whichever run it came from
+ *
+ * Per slot: the assignee and channel status (call_status / visit_status) come back; lead_status goes back to the
+ * pre-reclaim pipeline status and cycle_number to the previous cycle, each only when the reclaim is still what set
+ * them. The slot gets `targetDate` (or none): the old target date has passed and would be reclaimed again that night.
+ *
+ * @param {{ runId?: string, leadIds?: string[], targetDate?: string|null, performedBy: string }} input
+ * @returns {Promise<{ restored: Array<object>, skipped: Array<{ leadId: string, reclaimedRole: string, activityLogId: string, reason: string }> }>}
+ */
+export async function restoreReclaimedLeads(db, { runId = null, leadIds = null, targetDate = null, performedBy }) {
+  const leadFilter = Array.isArray(leadIds) && leadIds.length > 0 ? [...new Set(leadIds)] : null;
+  let logIds;
+
+  if (runId) {
+    const [runs] = await db.execute('SELECT id, status FROM lead_reclamation_runs WHERE id = ?', [runId]);
+    if (runs.length === 0) throw reclamationRunError('Reclamation run not found', 404);
+    if (runs[0].status === 'running') throw reclamationRunError('This run is still in progress', 409);
+    const [items] = await db.execute(
+      'SELECT lead_id, activity_log_id FROM lead_reclamation_run_items WHERE run_id = ? AND restored_at IS NULL',
+      [runId]
+    );
+    logIds = items.filter((item) => !leadFilter || leadFilter.includes(item.lead_id)).map((item) => item.activity_log_id);
+  } else {
+    if (!leadFilter) throw reclamationRunError('Provide runId or leadIds');
+    logIds = await findLatestReclaimLogIds(db, leadFilter);
+  }
+
+  const restored = [];
+  const skipped = [];
+  if (logIds.length === 0) return { restored, skipped };
+
+  const logs = await loadReclaimLogs(db, logIds);
+  const alreadyRestored = await findRestoredLogIds(db, logs);
+
+  const activeUserIds = new Set();
+  const previousAssignees = [
+    ...new Set(logs.map((log) => parseJson(log.metadata, {}).reclamation?.previousAssignee).filter(Boolean)),
+  ];
+  if (previousAssignees.length > 0) {
+    const [users] = await db.execute(
+      `SELECT id FROM users WHERE is_active = 1 AND id IN (${previousAssignees.map(() => '?').join(',')})`,
+      previousAssignees
+    );
+    users.forEach((u) => activeUserIds.add(u.id));
+  }
+
+  const markItem = async (activityLogId, values) => {
+    if (!runId) {
+      // Restores by lead id also close the matching run item, whichever run it belongs to
+      try {
+        await db.execute(
+          `UPDATE lead_reclamation_run_items
+           SET restored_at = ?, restored_by = ?, restore_activity_log_id = ?, restore_skip_reason = ?
+           WHERE activity_log_id = ?`,
+          [values.restoredAt, values.restoredBy, values.restoreActivityLogId, values.skipReason, activityLogId]
+        );
+      } catch (error) {
+        if (!isMissingTable(error)) throw error;
+      }
+      return;
+    }
+    await db.execute(
+      `UPDATE lead_reclamation_run_items
+       SET restored_at = ?, restored_by = ?, restore_activity_log_id = ?, restore_skip_reason = ?
+       WHERE run_id = ? AND activity_log_id = ?`,
+      [values.restoredAt, values.restoredBy, values.restoreActivityLogId, values.skipReason, runId, activityLogId]
+    );
+  };
+
+  for (const log of logs) {
+    const meta = parseJson(log.metadata, {}).reclamation || {};
+    const role = meta.reclaimedRole || (/PRO slot/.test(String(log.comment || '')) ? 'pro' : 'counsellor');
+    const columns = SLOT_COLUMNS[role];
+    const skip = async (reason) => {
+      skipped.push({ leadId: log.lead_id, reclaimedRole: role, activityLogId: log.id, reason });
+      await markItem(log.id, { restoredAt: null, restoredBy: null, restoreActivityLogId: null, skipReason: reason });
+    };
+
+    if (alreadyRestored.has(log.id)) {
+      await skip('Already restored');
+      continue;
+    }
+    if (!meta.previousAssignee) {
+      await skip('No previous assignee recorded');
+      continue;
+    }
+    if (!activeUserIds.has(meta.previousAssignee)) {
+      await skip('Previous assignee is inactive or deleted');
+      continue;
+    }
+
+    const [leads] = await db.execute(
+      `SELECT id, lead_status, cycle_number, ${columns.assignee} AS slot_assignee, deleted_at FROM leads WHERE id = ?`,
+      [log.lead_id]
+    );
+    const lead = leads[0];
+    if (!lead || lead.deleted_at) {
+      await skip('Lead deleted');
+      continue;
+    }
+    const holder = lead.slot_assignee || null;
+    if (holder && holder !== (meta.reassignedTo || null)) {
+      await skip('Slot reassigned since the reclaim');
+      continue;
+    }
+
+    const currentStatus = String(lead.lead_status || '').trim();
+    const reclaimStatus = String(log.new_status || '').trim();
+    const restoreStatus = String(meta.oldStatus || log.old_status || '').trim();
+    const nextStatus = restoreStatus && currentStatus === reclaimStatus ? restoreStatus : currentStatus;
+
+    const previousCycle = Number(meta.previousCycle);
+    const nextCycle =
+      meta.cycleIncremented && Number(lead.cycle_number) === Number(meta.newCycle) && previousCycle > 0
+        ? previousCycle
+        : lead.cycle_number;
+
+    const setParts = [
+      `${columns.assignee} = ?`,
+      `${columns.assignedAt} = NOW()`,
+      `${columns.assignedBy} = ?`,
+      `${columns.targetDate} = ?`,
+      'lead_status = ?',
+      'cycle_number = ?',
+      'updated_at = NOW()',
+    ];
+    const params = [meta.previousAssignee, performedBy || SYSTEM_USER_ID, targetDate || null, nextStatus || 'Assigned', nextCycle];
+    if (meta.previousChannelStatus !== undefined) {
+      setParts.push(`${columns.channelStatus} = ?`);
+      params.push(meta.previousChannelStatus);
+    }
+
+    // Guard against a concurrent assignment between the read and the write
+    const [update] = await db.execute(
+      `UPDATE leads SET ${setParts.join(', ')}
+       WHERE id = ? AND ${holder ? `${columns.assignee} = ?` : `${columns.assignee} IS NULL`}`,
+      [...params, log.lead_id, ...(holder ? [holder] : [])]
+    );
+    if (Number(update?.affectedRows || 0) === 0) {
+      await skip('Slot reassigned since the reclaim');
+      continue;
+    }
+    scheduleLeadScoreRecompute(log.lead_id);
+
+    const restoreActivityLogId = uuidv4();
+    const roleLabel = role === 'pro' ? 'PRO' : 'Counselor';
+    await db.execute(
+      `INSERT INTO activity_logs (id, lead_id, type, old_status, new_status, comment, performed_by, metadata, created_at, updated_at)
+       VALUES (?, ?, 'status_change', ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        restoreActivityLogId,
+        log.lead_id,
+        currentStatus || null,
+        nextStatus || 'Assigned',
+        `${roleLabel} slot restored to previous assignee after reclaim (reclaim event ${log.id}).`,
+        performedBy || SYSTEM_USER_ID,
+        JSON.stringify({
+          restoreFromReclaim: {
+            reclaimActivityId: log.id,
+            runId: meta.runId || runId || null,
+            reclaimedRole: role,
+            restoredAssignee: meta.previousAssignee,
+            replacedAssignee: holder,
+            restoredStatus: nextStatus || 'Assigned',
+            restoredCycle: nextCycle,
+            restoredTargetDate: targetDate || null,
+            restoredChannelStatus: meta.previousChannelStatus ?? null,
+          },
+        }),
+      ]
+    );
+    await markItem(log.id, {
+      restoredAt: new Date(),
+      restoredBy: performedBy || null,
+      restoreActivityLogId,
+      skipReason: null,
+    });
+    restored.push({
+      leadId: log.lead_id,
+      reclaimedRole: role,
+      activityLogId: log.id,
+      restoredAssignee: meta.previousAssignee,
+      restoredStatus: nextStatus || 'Assigned',
+      restoredCycle: nextCycle,
+    });
+  }
+
+  // Keep each touched run's restored_count in step with its items
+  const runIds = runId ? [runId] : [...new Set(logs.map((log) => parseJson(log.metadata, {}).reclamation?.runId).filter(Boolean))];
+  for (const id of runIds) {
+    await db.execute(
+      `UPDATE lead_reclamation_runs
+       SET restored_count = (SELECT COUNT(*) FROM lead_reclamation_run_items WHERE run_id = ? AND restored_at IS NOT NULL)
+       WHERE id = ?`,
+      [id, id]
+    );
+  }
+
+  return { restored, skipped };
+}
@@ -0,0 +1,344 @@
+import PQueue from 'p-queue';
+import { getPool } from '../config-sql/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Lead recycle bin.
+ *
+ * Deleting a lead only stamps `deleted_at` / `deleted_by`; every lead query filters on `deleted_at IS NULL`,
+ * so communications, activity logs and joinings stay intact and a restore brings the lead back as it was.
+ * Leads are removed for good (with their activity logs; other tables cascade) once they have been in the bin
+ * longer than the retention period.
+ *
+ * Delete, restore and purge all run through `delete_jobs` (`action` column) and are processed one at a time on
+ * `deleteQueue`, so bulk operations share progress stats and the status endpoint (GET /api/leads/delete-jobs/:jobId)
+ * and a purge never runs alongside a delete or restore of the same leads.
+ *
+ * Env: LEAD_RECYCLE_BIN_RETENTION_DAYS (default 30)
+ *      LEAD_DELETE_CONCURRENCY (default 1)
+ *      LEAD_RECYCLE_BIN_PURGE_ENABLED=false to disable the daily purge
+ *      LEAD_RECYCLE_BIN_PURGE_IST_TIME=02:30 (daily purge wall time, Asia/Kolkata)
+ */
+
+export const DELETE_JOB_ACTIONS = ['delete', 'restore', 'purge'];
+
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+export const deleteQueue = new PQueue({
+  concurrency: Number(process.env.LEAD_DELETE_CONCURRENCY || 1),
+});
+
+export const getRecycleBinRetentionDays = () => {
+  const days = parseInt(process.env.LEAD_RECYCLE_BIN_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 1 ? 30 : days;
+};
+
+/**
+ * Queue a delete / restore / purge job for the given lead IDs (stored in delete_job_lead_ids).
+ * @returns {Promise<{ jobId: string, deleteJobId: string, validCount: number }>}
+ */
+export async function createDeleteJob(pool, { action = 'delete', leadIds, requestedCount, userId }) {
+  if (!DELETE_JOB_ACTIONS.includes(action)) {
+    throw new Error(`Unknown delete job action: ${action}`);
+  }
+  const uniqueValidIds = Array.from(new Set(leadIds.filter((id) => id && typeof id === 'string' && id.length === 36)));
+  const jobId = uuidv4();
+  const deleteJobId = uuidv4();
+
+  await pool.execute(
+    `INSERT INTO delete_jobs (
+      id, job_id, status, action, deleted_by, stats_requested_count, stats_valid_count,
+      stats_deleted_lead_count, stats_deleted_log_count, stats_duration_ms,
+      created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [deleteJobId, jobId, 'queued', action, userId, requestedCount ?? leadIds.length, uniqueValidIds.length, 0, 0, 0]
+  );
+
+  // Insert lead IDs
+  const INSERT_CHUNK = 1000;
+  for (let i = 0; i < uniqueValidIds.length; i += INSERT_CHUNK) {
+    const chunk = uniqueValidIds.slice(i, i + INSERT_CHUNK);
+    await pool.execute(
+      `INSERT INTO delete_job_lead_ids (id, delete_job_id, lead_id, created_at)
+       VALUES ${chunk.map(() => '(?, ?, ?, NOW())').join(', ')}`,
+      chunk.flatMap((leadId) => [uuidv4(), deleteJobId, leadId])
+    );
+  }
+
+  return { jobId, deleteJobId, validCount: uniqueValidIds.length };
+}
+
+/** One chunk of a job. Returns { leads, logs } affected. */
+const applyDeleteJobChunk = async (pool, job, chunk) => {
+  const placeholders = chunk.map(() => '?').join(',');
+
+  if (job.action === 'restore') {
+    const [result] = await pool.execute(
+      `UPDATE leads SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+       WHERE id IN (${placeholders}) AND deleted_at IS NOT NULL`,
+      chunk
+    );
+    return { leads: result.affectedRows || 0, logs: 0 };
+  }
+
+  if (job.action === 'purge') {
+    // Only leads still past retention: a lead restored (or restored and deleted again) after the purge was queued is left alone
+    const [binRows] = await pool.execute(
+      `SELECT id FROM leads
+       WHERE id IN (${placeholders})
+         AND deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ${Number(getRecycleBinRetentionDays())} DAY)`,
+      chunk
+    );
+    if (binRows.length === 0) return { leads: 0, logs: 0 };
+    const binIds = binRows.map((r) => r.id);
+    const binPlaceholders = binIds.map(() => '?').join(',');
+    const [logResult] = await pool.execute(
+      `DELETE FROM activity_logs WHERE lead_id IN (${binPlaceholders})`,
+      binIds
+    );
+    // Delete leads (CASCADE will handle related records)
+    const [leadResult] = await pool.execute(
+      `DELETE FROM leads WHERE id IN (${binPlaceholders}) AND deleted_at IS NOT NULL`,
+      binIds
+    );
+    return { leads: leadResult.affectedRows || 0, logs: logResult.affectedRows || 0 };
+  }
+
+  const [result] = await pool.execute(
+    `UPDATE leads SET deleted_at = NOW(), deleted_by = ?, updated_at = NOW()
+     WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
+    [job.deleted_by, ...chunk]
+  );
+  return { leads: result.affectedRows || 0, logs: 0 };
+};
+
+const jobSummary = (action, leads, logs, durationMs) => {
+  if (action === 'restore') return `Restored ${leads} lead(s) from the recycle bin in ${durationMs} ms`;
+  if (action === 'purge') {
+    return `Permanently deleted ${leads} lead(s) and ${logs} activity log(s) in ${durationMs} ms`;
+  }
+  return `Moved ${leads} lead(s) to the recycle bin in ${durationMs} ms`;
+};
+
+// Process delete job in background
+export const processDeleteJob = async (jobId) => {
+  const pool = getPool();
+
+  // Get job
+  const [jobs] = await pool.execute(
+    'SELECT * FROM delete_jobs WHERE job_id = ?',
+    [jobId]
+  );
+
+  if (jobs.length === 0) {
+    console.error(`Delete job ${jobId} not found`);
+    return;
+  }
+
+  const job = jobs[0];
+  job.action = job.action || 'delete';
+
+  if (job.status !== 'queued') {
+    console.warn(`Delete job ${jobId} is not in queued status: ${job.status}`);
+    return;
+  }
+
+  const startTime = Date.now();
+
+  // Update job status to processing
+  await pool.execute(
+    'UPDATE delete_jobs SET status = ?, started_at = NOW(), updated_at = NOW() WHERE job_id = ?',
+    ['processing', jobId]
+  );
+
+  try {
+    // Get all lead IDs for this job
+    const [leadIdsRows] = await pool.execute(
+      'SELECT lead_id FROM delete_job_lead_ids WHERE delete_job_id = ?',
+      [job.id]
+    );
+
+    const validIds = leadIdsRows
+      .map(row => row.lead_id)
+      .filter(id => id && typeof id === 'string' && id.length === 36); // UUID validation
+
+    if (validIds.length === 0) {
+      await pool.execute(
+        `UPDATE delete_jobs SET
+          status = ?, completed_at = NOW(), updated_at = NOW(),
+          stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
+          stats_deleted_log_count = ?, stats_duration_ms = ?, message = ?
+         WHERE job_id = ?`,
+        ['completed', job.stats_requested_count || 0, 0, 0, 0, Date.now() - startTime, 'No valid lead IDs to process', jobId]
+      );
+      return;
+    }
+
+    const uniqueValidIds = Array.from(new Set(validIds));
+    const chunkSize = uniqueValidIds.length > 20000 ? 10000 : uniqueValidIds.length > 5000 ? 5000 : 1000;
+
+    let totalLeadAffected = 0;
+    let totalLogDeleted = 0;
+    const errorDetails = [];
+
+    // Process in chunks
+    for (let index = 0; index < uniqueValidIds.length; index += chunkSize) {
+      const chunk = uniqueValidIds.slice(index, index + chunkSize);
+
+      try {
+        const affected = await applyDeleteJobChunk(pool, job, chunk);
+        totalLeadAffected += affected.leads;
+        totalLogDeleted += affected.logs;
+
+        // Update job progress periodically
+        if ((index + chunkSize) % (chunkSize * 5) === 0 || index + chunkSize >= uniqueValidIds.length) {
+          await pool.execute(
+            `UPDATE delete_jobs SET
+              stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
+              stats_deleted_log_count = ?, stats_duration_ms = ?, updated_at = NOW()
+             WHERE job_id = ?`,
+            [job.stats_requested_count || 0, uniqueValidIds.length, totalLeadAffected, totalLogDeleted, Date.now() - startTime, jobId]
+          );
+        }
+
+        // Yield the event loop
+        await new Promise((resolve) => setImmediate(resolve));
+      } catch (chunkError) {
+        console.error(`Error processing ${job.action} chunk ${index}-${index + chunkSize}:`, chunkError);
+        chunk.forEach((id) => {
+          errorDetails.push({
+            leadId: id,
+            error: chunkError.message || 'Unknown error',
+          });
+        });
+      }
+    }
+
+    const durationMs = Date.now() - startTime;
+
+    // Insert error details (limit to 200)
+    const limitedErrors = errorDetails.slice(0, 200);
+    for (const errorDetail of limitedErrors) {
+      const errorId = uuidv4();
+      await pool.execute(
+        'INSERT INTO delete_job_error_details (id, delete_job_id, lead_id, error, created_at) VALUES (?, ?, ?, ?, NOW())',
+        [errorId, job.id, errorDetail.leadId, errorDetail.error]
+      );
+    }
+
+    // Update job to completed
+    await pool.execute(
+      `UPDATE delete_jobs SET
+        status = ?, completed_at = NOW(), updated_at = NOW(),
+        stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
+        stats_deleted_log_count = ?, stats_duration_ms = ?, message = ?
+       WHERE job_id = ?`,
+      [
+        'completed',
+        job.stats_requested_count || 0,
+        uniqueValidIds.length,
+        totalLeadAffected,
+        totalLogDeleted,
+        durationMs,
+        jobSummary(job.action, totalLeadAffected, totalLogDeleted, durationMs),
+        jobId
+      ]
+    );
+
+    console.log(`Delete job ${jobId} (${job.action}) completed: ${totalLeadAffected} leads`);
+  } catch (error) {
+    console.error(`Delete job ${jobId} failed:`, error);
+    await pool.execute(
+      `UPDATE delete_jobs SET
+        status = ?, completed_at = NOW(), updated_at = NOW(),
+        stats_requested_count = ?, stats_valid_count = ?, stats_deleted_lead_count = ?,
+        stats_deleted_log_count = ?, stats_duration_ms = ?, message = ?
+       WHERE job_id = ?`,
+      [
+        'failed',
+        job.stats_requested_count || 0,
+        0,
+        0,
+        0,
+        Date.now() - startTime,
+        error.message || 'Failed to process delete job',
+        jobId
+      ]
+    );
+  }
+};
+
+/** Permanently delete leads that have been in the recycle bin longer than the retention period. */
+export async function purgeExpiredDeletedLeads() {
+  const pool = getPool();
+  const retentionDays = getRecycleBinRetentionDays();
+  const [rows] = await pool.execute(
+    `SELECT id FROM leads
+     WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ${Number(retentionDays)} DAY)`
+  );
+  if (rows.length === 0) {
+    console.log(`[RecycleBin] Nothing older than ${retentionDays} day(s) to purge`);
+    return { purged: 0, jobId: null };
+  }
+  const { jobId } = await createDeleteJob(pool, {
+    action: 'purge',
+    leadIds: rows.map((r) => r.id),
+    userId: SYSTEM_USER_ID,
+  });
+  await deleteQueue.add(() => processDeleteJob(jobId));
+  console.log(`[RecycleBin] Purge job ${jobId} finished for ${rows.length} lead(s) (retention ${retentionDays} day(s))`);
+  return { purged: rows.length, jobId };
+}
+
+/** Daily purge wall time in IST (HH:MM), default 02:30. */
+const parsePurgeTimeIST = () => {
+  const raw = process.env.LEAD_RECYCLE_BIN_PURGE_IST_TIME?.trim();
+  const match = raw && raw.match(/^(\d{1,2}):(\d{2})$/);
+  if (match) {
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    if (hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) return { hour, minute };
+  }
+  return { hour: 2, minute: 30 };
+};
+
+/** IST has no DST, so the next wall-clock occurrence is plain arithmetic on the shifted clock. */
+const msUntilNextISTTime = (hour, minute, now = Date.now()) => {
+  const istNow = new Date(now + IST_OFFSET_MS);
+  const target = Date.UTC(istNow.getUTCFullYear(), istNow.getUTCMonth(), istNow.getUTCDate(), hour, minute);
+  const next = target > istNow.getTime() ? target : target + 24 * 60 * 60 * 1000;
+  return next - istNow.getTime();
+};
+
+let purgeTimeoutId = null;
+
+/** Schedules the retention purge once per day (see LEAD_RECYCLE_BIN_* env above). */
+export const initLeadRecycleBinPurge = () => {
+  const enabled = String(process.env.LEAD_RECYCLE_BIN_PURGE_ENABLED ?? 'true').toLowerCase();
+  if (enabled === 'false' || enabled === '0') {
+    console.log('[RecycleBin] Purge disabled (LEAD_RECYCLE_BIN_PURGE_ENABLED).');
+    return;
+  }
+  if (purgeTimeoutId) {
+    clearTimeout(purgeTimeoutId);
+    purgeTimeoutId = null;
+  }
+  const { hour, minute } = parsePurgeTimeIST();
+  const scheduleNext = () => {
+    const delay = msUntilNextISTTime(hour, minute);
+    purgeTimeoutId = setTimeout(async () => {
+      purgeTimeoutId = null;
+      try {
+        await purgeExpiredDeletedLeads();
+      } catch (error) {
+        console.error('[RecycleBin] Scheduled purge failed:', error);
+      }
+      scheduleNext();
+    }, delay);
+  };
+  scheduleNext();
+  console.log(
+    `[RecycleBin] Daily purge ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} IST, retention ${getRecycleBinRetentionDays()} day(s)`
+  );
+};
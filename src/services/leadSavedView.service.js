@@ -0,0 +1,204 @@
+/**
+ * Saved lead views ("smart lists"): named filter / sort / column presets replayed against getLeads.
+ * Filters are stored in the same shape as the `GET /api/leads` query string so the client can
+ * apply a view by sending its resolved filters as query params.
+ */
+import { hasElevatedAdminPrivileges } from '../utils/role.util.js';
+
+/** getLeads query filters a view may persist (see buildLeadFilterConditions). */
+export const SAVED_VIEW_FILTER_KEYS = [
+  'mandal', 'state', 'district', 'village', 'villageInAddress', 'quota',
+  'leadStatus', 'callStatus', 'visitStatus', 'applicationStatus',
+  'assignedTo', 'courseInterested', 'source', 'startDate', 'endDate',
+  'scheduledOn', 'academicYear', 'studentGroup', 'cycleNumber',
+  'needsUpdate', 'touchedToday', 'excludeTouchedToday',
+  'enquiryNumber', 'search', 'possibleDuplicate', 'minScore', 'maxScore',
+  'minRank', 'maxRank', 'notCalledInDays', 'tags', 'tagMode', 'excludeTags',
+];
+
+/** Custom field filters (cf_<key>, cf_<key>_min, ...) — validated against the registry when the view is applied. */
+const CUSTOM_FIELD_FILTER_KEY = /^cf_[a-z][a-z0-9_]{1,80}$/;
+
+/** Date filters that accept relative tokens (`today`, `today-3`, `today+1`) resolved in IST at read time. */
+const RELATIVE_DATE_FILTER_KEYS = new Set(['startDate', 'endDate', 'scheduledOn']);
+
+export const SAVED_VIEW_SORTS = ['created', 'score'];
+export const SAVED_VIEW_SHARE_SCOPES = ['private', 'team', 'role'];
+
+const MAX_VIEW_COLUMNS = 60;
+
+const viewError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const formatDateIST = (d) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Kolkata',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(d);
+
+/** `today` / `today-3` / `today+1` → YYYY-MM-DD (IST); anything else is returned unchanged. */
+export function resolveRelativeDateToken(value, now = new Date()) {
+  const match = /^today(?:([+-])(\d{1,3}))?$/i.exec(String(value ?? '').trim());
+  if (!match) return value;
+  const offset = match[2] ? Number(match[2]) * (match[1] === '-' ? -1 : 1) : 0;
+  return formatDateIST(new Date(now.getTime() + offset * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Keep only known filter keys (plus cf_* custom field filters) with non-empty values. Arrays are allowed for
+ * `village` and custom fields (getLeads also accepts them comma-separated); every other value is stored as a string.
+ */
+export function normalizeViewFilters(raw) {
+  const input = parseJson(raw, {});
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw viewError('filters must be an object of getLeads query filters');
+  }
+  const unknown = Object.keys(input).filter(
+    (key) => !SAVED_VIEW_FILTER_KEYS.includes(key) && !CUSTOM_FIELD_FILTER_KEY.test(key)
+  );
+  if (unknown.length > 0) {
+    throw viewError(`Unsupported filter(s): ${unknown.join(', ')}`);
+  }
+  const filters = {};
+  const customKeys = Object.keys(input).filter((key) => CUSTOM_FIELD_FILTER_KEY.test(key));
+  for (const key of [...SAVED_VIEW_FILTER_KEYS, ...customKeys]) {
+    const value = input[key];
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value)) {
+      if (!['village', 'tags', 'excludeTags'].includes(key) && !customKeys.includes(key)) throw viewError(`Filter ${key} must be a single value`);
+      const list = value.map((v) => String(v).trim()).filter(Boolean);
+      if (list.length > 0) filters[key] = list;
+      continue;
+    }
+    if (typeof value === 'object') throw viewError(`Filter ${key} must be a single value`);
+    const str = String(value).trim();
+    if (str !== '') filters[key] = str;
+  }
+  return filters;
+}
+
+/** Replace relative date tokens with concrete IST dates so the filters can be passed to getLeads. */
+export function resolveViewFilters(filters, now = new Date()) {
+  const resolved = { ...(filters || {}) };
+  for (const key of RELATIVE_DATE_FILTER_KEYS) {
+    if (resolved[key] !== undefined) resolved[key] = resolveRelativeDateToken(resolved[key], now);
+  }
+  return resolved;
+}
+
+export function normalizeViewSort(raw) {
+  const input = parseJson(raw, {}) || {};
+  const sortBy = String(input.sortBy ?? 'created').trim();
+  if (!SAVED_VIEW_SORTS.includes(sortBy)) {
+    throw viewError(`sort.sortBy must be one of: ${SAVED_VIEW_SORTS.join(', ')}`);
+  }
+  return { sortBy };
+}
+
+export function normalizeViewColumns(raw) {
+  const input = parseJson(raw, []);
+  if (!Array.isArray(input)) throw viewError('columns must be an array of column keys');
+  const columns = [...new Set(input.map((c) => String(c ?? '').trim()).filter(Boolean))];
+  if (columns.length > MAX_VIEW_COLUMNS) {
+    throw viewError(`A view can show at most ${MAX_VIEW_COLUMNS} columns`);
+  }
+  return columns;
+}
+
+/**
+ * Who may publish a view to whom:
+ * - Super Admin / Sub Super Admin: private, team or any role
+ * - managers: private or their team (users whose managed_by is the manager)
+ * - everyone else: private only
+ */
+export function assertCanShareView(user, shareScope, shareRoleName) {
+  if (!SAVED_VIEW_SHARE_SCOPES.includes(shareScope)) {
+    throw viewError(`shareScope must be one of: ${SAVED_VIEW_SHARE_SCOPES.join(', ')}`);
+  }
+  if (shareScope === 'private') return;
+  const elevated = hasElevatedAdminPrivileges(user.roleName);
+  if (shareScope === 'team' && !elevated && !user.isManager) {
+    throw viewError('Only managers and admins can share a view with a team', 403);
+  }
+  if (shareScope === 'role') {
+    if (!elevated) throw viewError('Only admins can share a view with a role', 403);
+    if (!String(shareRoleName ?? '').trim()) throw viewError('shareRoleName is required when shareScope is role');
+  }
+}
+
+/** Validate a create / update body (merged over the current view on update). */
+export function normalizeSavedViewInput(body, user) {
+  const name = String(body.name ?? '').trim();
+  if (!name) throw viewError('name is required');
+  if (name.length > 120) throw viewError('name must be at most 120 characters');
+  const shareScope = String(body.shareScope ?? 'private').trim();
+  const shareRoleName = shareScope === 'role' ? String(body.shareRoleName ?? '').trim() : null;
+  assertCanShareView(user, shareScope, shareRoleName);
+  return {
+    name,
+    description: body.description ? String(body.description).trim() : null,
+    filters: normalizeViewFilters(body.filters),
+    sort: normalizeViewSort(body.sort),
+    columns: normalizeViewColumns(body.columns),
+    shareScope,
+    shareRoleName,
+    isDefault: body.isDefault === true || body.isDefault === 'true' || body.isDefault === 1,
+  };
+}
+
+export const formatSavedView = (row, viewerId) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    filters: parseJson(row.filters, {}) || {},
+    sort: parseJson(row.sort, { sortBy: 'created' }) || { sortBy: 'created' },
+    columns: parseJson(row.columns, []) || [],
+    shareScope: row.share_scope,
+    shareRoleName: row.share_role_name || null,
+    isDefault: row.is_default === 1 || row.is_default === true,
+    owner: {
+      id: row.owner_id,
+      name: row.owner_name || '',
+    },
+    isOwner: row.owner_id === viewerId,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+/**
+ * WHERE fragment for views visible to a user: their own, team views published by their manager,
+ * and role views for their role.
+ */
+export function buildVisibleViewsCondition(user, alias = 'v') {
+  const p = alias ? `${alias}.` : '';
+  const userId = user.id || user._id;
+  const clauses = [`${p}owner_id = ?`];
+  const params = [userId];
+  if (user.managedBy) {
+    clauses.push(`(${p}share_scope = 'team' AND ${p}owner_id = ?)`);
+    params.push(user.managedBy);
+  }
+  if (user.roleName) {
+    clauses.push(`(${p}share_scope = 'role' AND ${p}share_role_name = ?)`);
+    params.push(user.roleName);
+  }
+  return { condition: `(${clauses.join(' OR ')})`, params };
+}
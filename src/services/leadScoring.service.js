@@ -0,0 +1,456 @@
+import PQueue from 'p-queue';
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { canonicalizeLeadStatus } from '../utils/leadChannelStatus.util.js';
+
+/**
+ * Rule-based lead scoring.
+ *
+ * Admins keep rules in `lead_scoring_rules` (signal + operator + value → points). A lead's score is the sum of
+ * points of every active rule it matches; the total and per-rule breakdown are stored on `leads` so lists can sort
+ * and filter by `lead_score` without recomputing.
+ *
+ * Scores are recomputed when a lead is touched (status change, call log, joining save) and by a daily full
+ * recompute, so time-based signals (`days_since_*`) stay current for idle leads.
+ *
+ * Env: LEAD_SCORE_RECOMPUTE_ENABLED=false to disable the daily recompute
+ *      LEAD_SCORE_RECOMPUTE_IST_TIME=03:30 (daily recompute wall time, Asia/Kolkata)
+ */
+
+/** Signals a rule can test. `lead` signals read the leads row; the rest are derived from history tables. */
+export const SCORING_SIGNALS = {
+  rank: { type: 'number', label: 'Entrance rank' },
+  quota: { type: 'string', label: 'Quota' },
+  student_group: { type: 'string', label: 'Student group' },
+  source: { type: 'string', label: 'Lead source' },
+  utm_source: { type: 'string', label: 'UTM source' },
+  utm_medium: { type: 'string', label: 'UTM medium' },
+  utm_campaign: { type: 'string', label: 'UTM campaign' },
+  course_interested: { type: 'string', label: 'Course interested' },
+  district: { type: 'string', label: 'District' },
+  mandal: { type: 'string', label: 'Mandal' },
+  state: { type: 'string', label: 'State' },
+  is_nri: { type: 'boolean', label: 'NRI' },
+  lead_status: { type: 'string', label: 'Lead status' },
+  call_status: { type: 'string', label: 'Call status' },
+  visit_status: { type: 'string', label: 'Visit status' },
+  cycle_number: { type: 'number', label: 'Cycle number' },
+  days_since_created: { type: 'number', label: 'Days since created' },
+  days_since_last_follow_up: { type: 'number', label: 'Days since last follow-up' },
+  next_call_scheduled: { type: 'boolean', label: 'Next call scheduled' },
+  call_count: { type: 'number', label: 'Calls logged' },
+  connected_call_count: { type: 'number', label: 'Connected calls (duration > 0)' },
+  days_since_last_call: { type: 'number', label: 'Days since last call' },
+  status_change_count: { type: 'number', label: 'Status changes' },
+  has_joining: { type: 'boolean', label: 'Has joining form' },
+  joining_status: { type: 'string', label: 'Joining status' },
+};
+
+export const SCORING_OPERATORS = {
+  number: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'between', 'is_set', 'is_not_set'],
+  string: ['eq', 'neq', 'in', 'not_in', 'contains', 'is_set', 'is_not_set'],
+  boolean: ['eq', 'is_set', 'is_not_set'],
+};
+
+const RULES_CACHE_MS = 60 * 1000;
+const RECOMPUTE_BATCH_SIZE = 500;
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+let rulesCache = { rules: null, loadedAt: 0 };
+
+const scoringError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw !== 'string') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const formatScoringRule = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || '',
+  signal: row.signal_key,
+  operator: row.operator,
+  value: parseJson(row.value, null),
+  points: Number(row.points) || 0,
+  isActive: row.is_active === 1 || row.is_active === true,
+  sortOrder: Number(row.sort_order) || 0,
+  createdBy: row.created_by,
+  updatedBy: row.updated_by,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Validate and normalize a rule payload (create or full update).
+ * @returns {{ name: string, description: string|null, signal: string, operator: string, value: any, points: number, isActive: boolean, sortOrder: number }}
+ */
+export function normalizeScoringRuleInput(input) {
+  const name = String(input?.name ?? '').trim();
+  if (!name) throw scoringError('Rule name is required');
+
+  const signal = String(input?.signal ?? '').trim();
+  const signalDef = SCORING_SIGNALS[signal];
+  if (!signalDef) {
+    throw scoringError(`Unknown signal "${signal}". Allowed: ${Object.keys(SCORING_SIGNALS).join(', ')}`);
+  }
+
+  const operator = String(input?.operator ?? '').trim();
+  const allowedOperators = SCORING_OPERATORS[signalDef.type];
+  if (!allowedOperators.includes(operator)) {
+    throw scoringError(`Operator "${operator}" is not valid for ${signal}. Allowed: ${allowedOperators.join(', ')}`);
+  }
+
+  const points = Number(input?.points);
+  if (!Number.isInteger(points) || Math.abs(points) > 1000) {
+    throw scoringError('points must be a whole number between -1000 and 1000');
+  }
+
+  let value = input?.value ?? null;
+  if (operator === 'is_set' || operator === 'is_not_set') {
+    value = null;
+  } else if (operator === 'in' || operator === 'not_in') {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    value = list.map((v) => String(v).trim()).filter(Boolean);
+    if (value.length === 0) throw scoringError(`${operator} needs at least one value`);
+  } else if (operator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2 || value.some((v) => !Number.isFinite(Number(v)))) {
+      throw scoringError('between needs a [min, max] pair of numbers');
+    }
+    value = [Number(value[0]), Number(value[1])].sort((a, b) => a - b);
+  } else if (signalDef.type === 'number') {
+    if (!Number.isFinite(Number(value))) throw scoringError(`${signal} needs a numeric value`);
+    value = Number(value);
+  } else if (signalDef.type === 'boolean') {
+    value = value === true || value === 'true' || value === 1 || value === '1';
+  } else {
+    value = String(value ?? '').trim();
+    if (!value) throw scoringError(`${operator} needs a value`);
+  }
+
+  return {
+    name,
+    description: input?.description ? String(input.description).trim() : null,
+    signal,
+    operator,
+    value,
+    points,
+    isActive: input?.isActive === undefined ? true : input.isActive === true || input.isActive === 'true',
+    sortOrder: Number.isFinite(Number(input?.sortOrder)) ? Number(input.sortOrder) : 0,
+  };
+}
+
+export function invalidateScoringRulesCache() {
+  rulesCache = { rules: null, loadedAt: 0 };
+}
+
+/** Active rules, cached briefly (rule CRUD invalidates). */
+export async function loadActiveScoringRules(db) {
+  if (rulesCache.rules && Date.now() - rulesCache.loadedAt < RULES_CACHE_MS) {
+    return rulesCache.rules;
+  }
+  const [rows] = await db.execute(
+    'SELECT * FROM lead_scoring_rules WHERE is_active = 1 ORDER BY sort_order ASC, created_at ASC'
+  );
+  const rules = rows.map(formatScoringRule);
+  rulesCache = { rules, loadedAt: Date.now() };
+  return rules;
+}
+
+const daysSince = (value, now) => {
+  if (!value) return null;
+  const t = new Date(value).getTime();
+  if (Number.isNaN(t)) return null;
+  return Math.max(0, Math.floor((now - t) / (24 * 60 * 60 * 1000)));
+};
+
+/**
+ * Signals for a set of leads (one query per source table, so batches stay cheap).
+ * @returns {Promise<Map<string, object>>} lead id → signal values
+ */
+export async function loadLeadScoringSignals(db, leadIds) {
+  const ids = [...new Set((leadIds || []).filter(Boolean))];
+  const signalsById = new Map();
+  if (ids.length === 0) return signalsById;
+  const placeholders = ids.map(() => '?').join(',');
+
+  const [leadRows] = await db.execute(
+    `SELECT id, \`rank\`, quota, student_group, source, utm_source, utm_medium, utm_campaign, course_interested,
+            district, mandal, state, is_nri, lead_status, call_status, visit_status, cycle_number,
+            created_at, last_follow_up, next_scheduled_call
+     FROM leads WHERE id IN (${placeholders})`,
+    ids
+  );
+  const [callRows] = await db.execute(
+    `SELECT lead_id,
+            COUNT(*) AS call_count,
+            SUM(CASE WHEN COALESCE(duration_seconds, 0) > 0 THEN 1 ELSE 0 END) AS connected_call_count,
+            MAX(sent_at) AS last_call_at
+     FROM communications
+     WHERE type = 'call' AND lead_id IN (${placeholders})
+     GROUP BY lead_id`,
+    ids
+  );
+  const [statusRows] = await db.execute(
+    `SELECT lead_id, COUNT(*) AS status_change_count
+     FROM activity_logs
+     WHERE type = 'status_change' AND lead_id IN (${placeholders})
+     GROUP BY lead_id`,
+    ids
+  );
+  const [joiningRows] = await db.execute(
+    `SELECT lead_id, status FROM joinings WHERE lead_id IN (${placeholders})`,
+    ids
+  );
+
+  const callsByLead = new Map(callRows.map((r) => [r.lead_id, r]));
+  const statusByLead = new Map(statusRows.map((r) => [r.lead_id, Number(r.status_change_count) || 0]));
+  const joiningByLead = new Map(joiningRows.map((r) => [r.lead_id, r.status]));
+  const now = Date.now();
+
+  for (const lead of leadRows) {
+    const calls = callsByLead.get(lead.id);
+    signalsById.set(lead.id, {
+      rank: lead.rank,
+      quota: lead.quota,
+      student_group: lead.student_group,
+      source: lead.source,
+      utm_source: lead.utm_source,
+      utm_medium: lead.utm_medium,
+      utm_campaign: lead.utm_campaign,
+      course_interested: lead.course_interested,
+      district: lead.district,
+      mandal: lead.mandal,
+      state: lead.state,
+      is_nri: lead.is_nri === 1 || lead.is_nri === true,
+      lead_status: canonicalizeLeadStatus(lead.lead_status || 'New'),
+      call_status: lead.call_status,
+      visit_status: lead.visit_status,
+      cycle_number: lead.cycle_number,
+      days_since_created: daysSince(lead.created_at, now),
+      days_since_last_follow_up: daysSince(lead.last_follow_up, now),
+      next_call_scheduled: Boolean(lead.next_scheduled_call),
+      call_count: Number(calls?.call_count) || 0,
+      connected_call_count: Number(calls?.connected_call_count) || 0,
+      days_since_last_call: daysSince(calls?.last_call_at, now),
+      status_change_count: statusByLead.get(lead.id) || 0,
+      has_joining: joiningByLead.has(lead.id),
+      joining_status: joiningByLead.get(lead.id) || null,
+    });
+  }
+  return signalsById;
+}
+
+const isSetValue = (v) => v !== null && v !== undefined && String(v).trim() !== '';
+const lowerTrim = (v) => String(v ?? '').trim().toLowerCase();
+
+export function scoringRuleMatches(rule, signals) {
+  const actual = signals[rule.signal];
+  if (rule.operator === 'is_set') return isSetValue(actual);
+  if (rule.operator === 'is_not_set') return !isSetValue(actual);
+  if (!isSetValue(actual) && SCORING_SIGNALS[rule.signal]?.type !== 'boolean') return false;
+
+  const type = SCORING_SIGNALS[rule.signal]?.type;
+  if (type === 'number') {
+    const n = Number(actual);
+    if (!Number.isFinite(n)) return false;
+    const v = rule.value;
+    switch (rule.operator) {
+      case 'eq': return n === Number(v);
+      case 'neq': return n !== Number(v);
+      case 'gt': return n > Number(v);
+      case 'gte': return n >= Number(v);
+      case 'lt': return n < Number(v);
+      case 'lte': return n <= Number(v);
+      case 'between': return Array.isArray(v) && n >= Number(v[0]) && n <= Number(v[1]);
+      default: return false;
+    }
+  }
+  if (type === 'boolean') {
+    return rule.operator === 'eq' && Boolean(actual) === Boolean(rule.value);
+  }
+  const a = lowerTrim(actual);
+  switch (rule.operator) {
+    case 'eq': return a === lowerTrim(rule.value);
+    case 'neq': return a !== lowerTrim(rule.value);
+    case 'in': return (rule.value || []).some((v) => lowerTrim(v) === a);
+    case 'not_in': return !(rule.value || []).some((v) => lowerTrim(v) === a);
+    case 'contains': return a.includes(lowerTrim(rule.value));
+    default: return false;
+  }
+}
+
+/** Sum of matched rule points plus the per-rule breakdown stored on the lead. */
+export function scoreLeadSignals(rules, signals) {
+  const breakdown = [];
+  let score = 0;
+  for (const rule of rules) {
+    if (scoringRuleMatches(rule, signals)) {
+      score += rule.points;
+      breakdown.push({ ruleId: rule.id, name: rule.name, points: rule.points });
+    }
+  }
+  return { score, breakdown };
+}
+
+const writeLeadScore = (db, leadId, { score, breakdown }) =>
+  // updated_at is pinned so a re-score does not look like a user edit in "recently updated" views.
+  db.execute(
+    `UPDATE leads
+     SET lead_score = ?, lead_score_breakdown = ?, lead_score_updated_at = NOW(), updated_at = updated_at
+     WHERE id = ?`,
+    [score, JSON.stringify(breakdown), leadId]
+  );
+
+/**
+ * Recompute and store the score of one lead.
+ * @returns {Promise<{ leadId: string, score: number, breakdown: object[], signals: object } | null>}
+ */
+export async function recomputeLeadScore(db, leadId) {
+  const rules = await loadActiveScoringRules(db);
+  const signalsById = await loadLeadScoringSignals(db, [leadId]);
+  const signals = signalsById.get(leadId);
+  if (!signals) return null;
+  const result = scoreLeadSignals(rules, signals);
+  await writeLeadScore(db, leadId, result);
+  return { leadId, ...result, signals };
+}
+
+const recomputeQueue = new PQueue({ concurrency: 1 });
+const pendingRecompute = new Set();
+
+/**
+ * Fire-and-forget re-score after a status change, call log or joining save.
+ * Repeated requests for the same lead while one is queued collapse into one run.
+ */
+export function scheduleLeadScoreRecompute(leadId) {
+  if (!leadId || pendingRecompute.has(leadId)) return;
+  pendingRecompute.add(leadId);
+  recomputeQueue
+    .add(async () => {
+      pendingRecompute.delete(leadId);
+      await recomputeLeadScore(getPool(), leadId);
+    })
+    .catch((error) => {
+      pendingRecompute.delete(leadId);
+      if (error?.code === 'ER_NO_SUCH_TABLE' || error?.code === 'ER_BAD_FIELD_ERROR') return; // scoring migration not applied
+      console.error('[LeadScoring] Recompute failed for lead', leadId, error.message || error);
+    });
+}
+
+let fullRecomputeState = { status: 'idle' };
+
+export const getFullRecomputeState = () => ({ ...fullRecomputeState });
+
+/**
+ * Re-score every lead in id order (after rule changes). Runs in the background; one run at a time.
+ * @returns {object} state snapshot at start
+ */
+export function startFullLeadScoreRecompute(startedBy) {
+  if (fullRecomputeState.status === 'running') {
+    throw scoringError('A full recompute is already running', 409);
+  }
+  const runId = uuidv4();
+  fullRecomputeState = {
+    status: 'running',
+    runId,
+    processed: 0,
+    startedBy: startedBy || null,
+    startedAt: new Date(),
+    finishedAt: null,
+    error: null,
+  };
+
+  (async () => {
+    const pool = getPool();
+    try {
+      invalidateScoringRulesCache();
+      const rules = await loadActiveScoringRules(pool);
+      let lastId = '';
+      for (;;) {
+        const [rows] = await pool.execute(
+          `SELECT id FROM leads WHERE id > ? AND deleted_at IS NULL ORDER BY id ASC LIMIT ${Number(RECOMPUTE_BATCH_SIZE)}`,
+          [lastId]
+        );
+        if (rows.length === 0) break;
+        const ids = rows.map((r) => r.id);
+        const signalsById = await loadLeadScoringSignals(pool, ids);
+        for (const id of ids) {
+          const signals = signalsById.get(id);
+          if (signals) await writeLeadScore(pool, id, scoreLeadSignals(rules, signals));
+        }
+        fullRecomputeState.processed += ids.length;
+        lastId = ids[ids.length - 1];
+      }
+      fullRecomputeState.status = 'completed';
+    } catch (error) {
+      console.error('[LeadScoring] Full recompute failed:', error);
+      fullRecomputeState.status = 'failed';
+      fullRecomputeState.error = error.message || String(error);
+    } finally {
+      fullRecomputeState.finishedAt = new Date();
+    }
+  })();
+
+  return getFullRecomputeState();
+}
+
+/** Daily recompute wall time in IST (HH:MM), default 03:30. */
+const parseRecomputeTimeIST = () => {
+  const raw = process.env.LEAD_SCORE_RECOMPUTE_IST_TIME?.trim();
+  const match = raw && raw.match(/^(\d{1,2}):(\d{2})$/);
+  if (match) {
+    const hour = Number(match[1]);
+    const minute = Number(match[2]);
+    if (hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) return { hour, minute };
+  }
+  return { hour: 3, minute: 30 };
+};
+
+const msUntilNextISTTime = (hour, minute, now = Date.now()) => {
+  const istNow = new Date(now + IST_OFFSET_MS);
+  const target = Date.UTC(istNow.getUTCFullYear(), istNow.getUTCMonth(), istNow.getUTCDate(), hour, minute);
+  const next = target > istNow.getTime() ? target : target + 24 * 60 * 60 * 1000;
+  return next - istNow.getTime();
+};
+
+let recomputeTimeoutId = null;
+
+/** Schedules the full recompute once per day (see LEAD_SCORE_RECOMPUTE_* env above). */
+export const initLeadScoreRecompute = () => {
+  const enabled = String(process.env.LEAD_SCORE_RECOMPUTE_ENABLED ?? 'true').toLowerCase();
+  if (enabled === 'false' || enabled === '0') {
+    console.log('[LeadScoring] Daily recompute disabled (LEAD_SCORE_RECOMPUTE_ENABLED).');
+    return;
+  }
+  if (recomputeTimeoutId) {
+    clearTimeout(recomputeTimeoutId);
+    recomputeTimeoutId = null;
+  }
+  const { hour, minute } = parseRecomputeTimeIST();
+  const scheduleNext = () => {
+    recomputeTimeoutId = setTimeout(() => {
+      recomputeTimeoutId = null;
+      try {
+        startFullLeadScoreRecompute(null);
+      } catch (error) {
+        // An admin-started recompute is already running; it refreshes the same scores.
+        console.log('[LeadScoring] Daily recompute skipped:', error.message || error);
+      }
+      scheduleNext();
+    }, msUntilNextISTTime(hour, minute));
+  };
+  scheduleNext();
+  console.log(
+    `[LeadScoring] Daily recompute ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} IST`
+  );
+};
@@ -0,0 +1,232 @@
+/**
+ * Admin-managed lead status workflow.
+ *
+ * `lead_statuses` holds one catalog per channel:
+ * - `lead_status`:  the pipeline statuses (names must be canonical, see LEAD_STATUS_PRIORITY)
+ * - `call_status`:  counsellor outcomes, each mapped to a canonical lead_status (or none: pipeline unchanged)
+ * - `visit_status`: PRO outcomes, mapped the same way
+ *
+ * Each status may restrict where it can go next (`allowed_next`, NULL = anywhere) and may require a comment.
+ * A channel with no catalog rows is not validated (legacy behaviour), so the workflow can be rolled out per channel.
+ */
+import {
+  LEAD_STATUS_PRIORITY,
+  setCatalogStatusMappings,
+} from '../utils/leadChannelStatus.util.js';
+
+export const STATUS_CHANNELS = ['lead_status', 'call_status', 'visit_status'];
+
+/**
+ * Built-in statuses (what leadChannelStatus.util maps today), offered as a starting catalog per channel.
+ * Not installed by the migration: a channel is only validated once an admin seeds or creates its statuses.
+ */
+export const DEFAULT_STATUS_CATALOG = {
+  lead_status: LEAD_STATUS_PRIORITY.slice().reverse().map((name) => ({ name, canonicalStatus: name })),
+  call_status: [
+    { name: 'Interested', canonicalStatus: 'Interested' },
+    { name: 'CET Applied', canonicalStatus: 'Interested' },
+    { name: 'Call Back', canonicalStatus: 'Call Back' },
+    { name: 'Not Answered', canonicalStatus: null },
+    { name: 'Not Interested', canonicalStatus: 'Not Interested' },
+    { name: 'Wrong Data', canonicalStatus: 'Wrong Data' },
+    { name: 'Confirmed', canonicalStatus: 'Confirmed' },
+  ],
+  visit_status: [
+    { name: 'Visited', canonicalStatus: 'Visited' },
+    { name: 'Interested', canonicalStatus: 'Interested' },
+    { name: 'Scheduled Revisit', canonicalStatus: 'Call Back' },
+    { name: 'Not Interested', canonicalStatus: 'Not Interested' },
+    { name: 'Confirmed', canonicalStatus: 'Confirmed' },
+  ],
+};
+
+/** Statuses written by the assignment workflow itself; always accepted so (re)assignment never trips validation. */
+const SYSTEM_STATUSES = new Set(['new', 'assigned']);
+
+const CATALOG_CACHE_TTL_MS = 60 * 1000;
+let catalogCache = { at: 0, statuses: null };
+
+const workflowError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const normalizeName = (v) =>
+  String(v ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const formatLeadStatusEntry = (row) => ({
+  id: row.id,
+  channel: row.channel,
+  name: row.name,
+  canonicalStatus: row.canonical_status,
+  allowedNext: parseJson(row.allowed_next, null),
+  requiresComment: row.requires_comment === 1 || row.requires_comment === true,
+  isActive: row.is_active === 1 || row.is_active === true,
+  color: row.color || null,
+  sortOrder: Number(row.sort_order || 0),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+export function invalidateStatusCatalogCache() {
+  catalogCache = { at: 0, statuses: null };
+}
+
+/**
+ * Whole catalog (all channels, active and inactive), cached for a minute.
+ * Every load refreshes the canonical mappings used by leadChannelStatus.util.
+ */
+export async function loadStatusCatalog(db) {
+  if (catalogCache.statuses && Date.now() - catalogCache.at < CATALOG_CACHE_TTL_MS) {
+    return catalogCache.statuses;
+  }
+  let statuses = [];
+  try {
+    const [rows] = await db.execute('SELECT * FROM lead_statuses ORDER BY channel ASC, sort_order ASC, name ASC');
+    statuses = rows.map(formatLeadStatusEntry);
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+  }
+  catalogCache = { at: Date.now(), statuses };
+  setCatalogStatusMappings(statuses.filter((s) => s.channel !== 'lead_status'));
+  return statuses;
+}
+
+/** Load the catalog at startup so canonical mappings are in place before the first status write. */
+export function warmStatusCatalog(db) {
+  return loadStatusCatalog(db).catch((error) => {
+    console.error('[StatusWorkflow] Could not load status catalog:', error.message);
+  });
+}
+
+const findStatus = (statuses, channel, name) => {
+  const key = normalizeName(name);
+  return statuses.find((s) => s.channel === channel && normalizeName(s.name) === key) || null;
+};
+
+/** Validate an admin create / update body (merged over the current entry on update). */
+export function normalizeLeadStatusInput(body) {
+  const channel = String(body.channel ?? '').trim();
+  if (!STATUS_CHANNELS.includes(channel)) {
+    throw workflowError(`channel must be one of: ${STATUS_CHANNELS.join(', ')}`);
+  }
+  const name = String(body.name ?? '').trim().replace(/\s+/g, ' ');
+  if (!name) throw workflowError('name is required');
+  if (name.length > 100) throw workflowError('name must be at most 100 characters');
+
+  // Pipeline statuses are canonical themselves; channel statuses map to one (or to none: pipeline unchanged)
+  let canonicalStatus = null;
+  if (channel === 'lead_status') {
+    canonicalStatus = LEAD_STATUS_PRIORITY.find((s) => normalizeName(s) === normalizeName(name)) || null;
+    if (!canonicalStatus) {
+      throw workflowError(`Pipeline statuses must be one of: ${LEAD_STATUS_PRIORITY.join(', ')}`);
+    }
+  } else if (body.canonicalStatus !== null && body.canonicalStatus !== undefined && body.canonicalStatus !== '') {
+    canonicalStatus = String(body.canonicalStatus).trim();
+    if (!LEAD_STATUS_PRIORITY.includes(canonicalStatus)) {
+      throw workflowError(`canonicalStatus must be one of: ${LEAD_STATUS_PRIORITY.join(', ')} (or empty)`);
+    }
+  }
+
+  let allowedNext = null;
+  if (body.allowedNext !== null && body.allowedNext !== undefined) {
+    const list = parseJson(body.allowedNext, null);
+    if (!Array.isArray(list)) throw workflowError('allowedNext must be an array of status names or null (any)');
+    allowedNext = [...new Set(list.map((v) => String(v ?? '').trim().replace(/\s+/g, ' ')).filter(Boolean))];
+  }
+
+  const toBool = (v) => v === true || v === 'true' || v === 1 || v === '1';
+  return {
+    channel,
+    name: channel === 'lead_status' ? canonicalStatus : name,
+    canonicalStatus,
+    allowedNext,
+    requiresComment: toBool(body.requiresComment),
+    isActive: body.isActive === undefined ? true : toBool(body.isActive),
+    color: body.color ? String(body.color).trim().slice(0, 20) : null,
+    sortOrder: Number.isFinite(Number(body.sortOrder)) ? Math.trunc(Number(body.sortOrder)) : 0,
+  };
+}
+
+/** allowedNext entries must name statuses of the same channel. */
+export function assertAllowedNextExist(statuses, entry) {
+  if (!entry.allowedNext) return;
+  const missing = entry.allowedNext.filter(
+    (name) => normalizeName(name) !== normalizeName(entry.name) && !findStatus(statuses, entry.channel, name)
+  );
+  if (missing.length > 0) {
+    throw workflowError(`allowedNext contains unknown ${entry.channel} value(s): ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Server-side check for a status write on one channel.
+ *
+ * - channel without catalog rows: accepted as-is (legacy)
+ * - target must be an active catalog status (matched case-insensitively; the catalog spelling is returned)
+ * - if the current status restricts `allowedNext`, the target must be listed (re-saving the same status is fine)
+ * - `requiresComment` statuses need a non-empty comment
+ * - elevated admins may skip the transition graph with `bypassTransitions` (never the catalog or comment rule)
+ *
+ * @param {import('mysql2/promise').Pool} db
+ * @param {{ channel: 'lead_status'|'call_status'|'visit_status', from?: string|null, to: string,
+ *   comment?: string|null, bypassTransitions?: boolean }} change
+ * @returns {Promise<{ name: string, canonicalStatus: string|null, validated: boolean }>}
+ */
+export async function validateStatusTransition(db, { channel, from, to, comment, bypassTransitions = false }) {
+  const statuses = await loadStatusCatalog(db);
+  const channelStatuses = statuses.filter((s) => s.channel === channel);
+  const target = String(to ?? '').trim();
+  if (channelStatuses.length === 0 || SYSTEM_STATUSES.has(normalizeName(target))) {
+    return { name: target, canonicalStatus: null, validated: false };
+  }
+
+  const entry = findStatus(channelStatuses, channel, target);
+  if (!entry || !entry.isActive) {
+    const options = channelStatuses.filter((s) => s.isActive).map((s) => s.name);
+    throw workflowError(`Invalid ${channel} "${target}". Must be one of: ${options.join(', ')}`);
+  }
+
+  const current = from ? findStatus(channelStatuses, channel, from) : null;
+  const isSame = current && current.id === entry.id;
+  if (!bypassTransitions && current && !isSame && Array.isArray(current.allowedNext)) {
+    const allowed = current.allowedNext.some((name) => normalizeName(name) === normalizeName(entry.name));
+    if (!allowed) {
+      const next = current.allowedNext.length > 0 ? current.allowedNext.join(', ') : 'none (final status)';
+      throw workflowError(`${channel} cannot change from "${current.name}" to "${entry.name}". Allowed next: ${next}`, 409);
+    }
+  }
+
+  if (entry.requiresComment && !String(comment ?? '').trim()) {
+    throw workflowError(`A comment is required when setting ${channel} to "${entry.name}"`);
+  }
+
+  return { name: entry.name, canonicalStatus: entry.canonicalStatus, validated: true };
+}
+
+/**
+ * Statuses the UI should offer for a lead on a channel: active entries reachable from the current value.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getNextStatusOptions(db, channel, from) {
+  const statuses = (await loadStatusCatalog(db)).filter((s) => s.channel === channel && s.isActive);
+  const current = from ? findStatus(statuses, channel, from) : null;
+  if (!current || !Array.isArray(current.allowedNext)) return statuses;
+  return statuses.filter(
+    (s) => s.id === current.id || current.allowedNext.some((name) => normalizeName(name) === normalizeName(s.name))
+  );
+}
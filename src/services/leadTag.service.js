@@ -0,0 +1,212 @@
+/**
+ * Lead tags: admin-defined labels attached to leads (many-to-many via lead_tag_assignments).
+ *
+ * Filters (shared by getLeads / getAllLeadIds / exportLeads / assignLeads):
+ * - `tags`        comma-separated tag ids or names
+ * - `tagMode`     `any` (default) or `all`
+ * - `excludeTags` comma-separated tag ids or names the lead must not carry
+ *
+ * Every add / remove is written to activity_logs as `tag_change` (metadata.tagChange).
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+const TAG_WRITE_CHUNK = 500;
+
+const tagError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+export const formatTag = (row) => ({
+  id: row.id,
+  _id: row.id,
+  name: row.name,
+  color: row.color || null,
+  description: row.description || null,
+  ...(row.lead_count !== undefined ? { leadCount: Number(row.lead_count || 0) } : {}),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/** Accepts an array or a comma-separated string; trims, drops blanks and duplicates. */
+export const parseTagList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map((v) => String(v ?? '').trim()).filter(Boolean))];
+};
+
+/** Validate an admin create / update body (merged over the current tag on update). */
+export function normalizeTagInput(body) {
+  const name = String(body.name ?? '').trim().replace(/\s+/g, ' ');
+  if (!name) throw tagError('name is required');
+  if (name.length > 100) throw tagError('name must be at most 100 characters');
+  if (name.includes(',')) throw tagError('name cannot contain commas (tag filters are comma-separated)');
+  return {
+    name,
+    color: body.color ? String(body.color).trim().slice(0, 20) : null,
+    description: body.description ? String(body.description).trim().slice(0, 500) : null,
+  };
+}
+
+const tagMatchSql = (refs) => {
+  const placeholders = refs.map(() => '?').join(',');
+  return { sql: `(lt.id IN (${placeholders}) OR lt.name IN (${placeholders}))`, params: [...refs, ...refs] };
+};
+
+/**
+ * WHERE fragments for the tag filters. `p` is the leads column prefix (`l.` / `leads.`); it must not be
+ * empty because the subqueries have their own `id` columns.
+ */
+export function buildTagFilterConditions(query, p = 'l.') {
+  const conditions = [];
+  const params = [];
+  const tags = parseTagList(query.tags);
+  const excludeTags = parseTagList(query.excludeTags);
+
+  const existsTag = (refs) => {
+    const match = tagMatchSql(refs);
+    params.push(...match.params);
+    return `EXISTS (
+      SELECT 1 FROM lead_tag_assignments lta
+      INNER JOIN lead_tags lt ON lt.id = lta.tag_id
+      WHERE lta.lead_id = ${p}id AND ${match.sql}
+    )`;
+  };
+
+  if (tags.length > 0) {
+    if (String(query.tagMode || '').toLowerCase() === 'all') {
+      tags.forEach((ref) => conditions.push(existsTag([ref])));
+    } else {
+      conditions.push(existsTag(tags));
+    }
+  }
+  if (excludeTags.length > 0) {
+    conditions.push(`NOT ${existsTag(excludeTags)}`);
+  }
+  return { conditions, params };
+}
+
+/** Resolve tag ids / names to tag rows; unknown references are a 400. */
+export async function resolveTags(db, refs) {
+  const list = parseTagList(refs);
+  if (list.length === 0) throw tagError('At least one tag is required');
+  const match = tagMatchSql(list);
+  const [rows] = await db.execute(`SELECT * FROM lead_tags lt WHERE ${match.sql}`, match.params);
+  const missing = list.filter(
+    (ref) => !rows.some((r) => r.id === ref || String(r.name).toLowerCase() === ref.toLowerCase())
+  );
+  if (missing.length > 0) throw tagError(`Unknown tag(s): ${missing.join(', ')}`);
+  return rows.map(formatTag);
+}
+
+/** Tags of many leads at once → Map(leadId → [tag]). Empty map before the migration has run. */
+export async function loadTagsForLeads(db, leadIds) {
+  const byLead = new Map();
+  if (!leadIds || leadIds.length === 0) return byLead;
+  try {
+    for (let i = 0; i < leadIds.length; i += TAG_WRITE_CHUNK) {
+      const chunk = leadIds.slice(i, i + TAG_WRITE_CHUNK);
+      const [rows] = await db.execute(
+        `SELECT lta.lead_id, lt.id, lt.name, lt.color
+         FROM lead_tag_assignments lta
+         INNER JOIN lead_tags lt ON lt.id = lta.tag_id
+         WHERE lta.lead_id IN (${chunk.map(() => '?').join(',')})
+         ORDER BY lt.name ASC`,
+        chunk
+      );
+      for (const row of rows) {
+        if (!byLead.has(row.lead_id)) byLead.set(row.lead_id, []);
+        byLead.get(row.lead_id).push({ id: row.id, name: row.name, color: row.color || null });
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+  }
+  return byLead;
+}
+
+/** Adds `tags` to formatted leads (objects with id / _id). */
+export async function attachTagsToLeads(db, leads) {
+  const ids = leads.map((l) => String(l.id || l._id));
+  const byLead = await loadTagsForLeads(db, ids);
+  return leads.map((lead) => ({ ...lead, tags: byLead.get(String(lead.id || lead._id)) || [] }));
+}
+
+const logTagChanges = async (db, changesByLead, action, performedBy) => {
+  for (const [leadId, tags] of changesByLead) {
+    const names = tags.map((t) => t.name).join(', ');
+    await db.execute(
+      `INSERT INTO activity_logs (id, lead_id, type, comment, performed_by, metadata, created_at, updated_at)
+       VALUES (?, ?, 'tag_change', ?, ?, ?, NOW(), NOW())`,
+      [
+        uuidv4(),
+        leadId,
+        `${action === 'add' ? 'Tagged' : 'Untagged'}: ${names}`,
+        performedBy,
+        JSON.stringify({
+          tagChange: {
+            added: action === 'add' ? tags.map((t) => ({ id: t.id, name: t.name })) : [],
+            removed: action === 'remove' ? tags.map((t) => ({ id: t.id, name: t.name })) : [],
+          },
+        }),
+      ]
+    );
+  }
+};
+
+/**
+ * Add or remove tags on leads. Only real changes are written and logged (re-tagging is a no-op).
+ * @param {'add'|'remove'} action
+ * @returns {Promise<{ leadsChanged: number, assignmentsChanged: number }>}
+ */
+export async function applyTagChange(db, { action, leadIds, tags, performedBy }) {
+  if (action !== 'add' && action !== 'remove') throw tagError('action must be add or remove');
+  let leadsChanged = 0;
+  let assignmentsChanged = 0;
+  const tagIds = tags.map((t) => t.id);
+  const tagPlaceholders = tagIds.map(() => '?').join(',');
+
+  for (let i = 0; i < leadIds.length; i += TAG_WRITE_CHUNK) {
+    const chunk = leadIds.slice(i, i + TAG_WRITE_CHUNK);
+    const leadPlaceholders = chunk.map(() => '?').join(',');
+    const [existing] = await db.execute(
+      `SELECT lead_id, tag_id FROM lead_tag_assignments
+       WHERE lead_id IN (${leadPlaceholders}) AND tag_id IN (${tagPlaceholders})`,
+      [...chunk, ...tagIds]
+    );
+    const have = new Set(existing.map((r) => `${r.lead_id}:${r.tag_id}`));
+
+    const changesByLead = new Map();
+    const pairs = [];
+    for (const leadId of chunk) {
+      for (const tag of tags) {
+        const present = have.has(`${leadId}:${tag.id}`);
+        if ((action === 'add' && present) || (action === 'remove' && !present)) continue;
+        pairs.push([leadId, tag.id]);
+        if (!changesByLead.has(leadId)) changesByLead.set(leadId, []);
+        changesByLead.get(leadId).push(tag);
+      }
+    }
+    if (pairs.length === 0) continue;
+
+    if (action === 'add') {
+      await db.execute(
+        `INSERT IGNORE INTO lead_tag_assignments (lead_id, tag_id, tagged_by, tagged_at)
+         VALUES ${pairs.map(() => '(?, ?, ?, NOW())').join(', ')}`,
+        pairs.flatMap(([leadId, tagId]) => [leadId, tagId, performedBy])
+      );
+    } else {
+      await db.execute(
+        `DELETE FROM lead_tag_assignments
+         WHERE (lead_id, tag_id) IN (${pairs.map(() => '(?, ?)').join(', ')})`,
+        pairs.flat()
+      );
+    }
+    await logTagChanges(db, changesByLead, action, performedBy);
+    leadsChanged += changesByLead.size;
+    assignmentsChanged += pairs.length;
+  }
+
+  return { leadsChanged, assignmentsChanged };
+}
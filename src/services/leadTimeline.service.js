@@ -0,0 +1,327 @@
+/**
+ * Unified lead timeline: one newest-first stream over every table that records something about a lead.
+ *
+ * Each source is a per-lead SELECT projecting (event_key, event_type, occurred_at, actor_id, + its own columns).
+ * A page reads at most `limit + 1` rows from every requested source past the cursor, merges them in memory
+ * and keeps the newest `limit`; the cursor is the (occurred_at, event_key) of the last event returned.
+ * Optional tables (WhatsApp, visitor codes, fee requests) are skipped when they do not exist.
+ */
+
+/** Event types, as accepted by `?types=` */
+export const TIMELINE_EVENT_TYPES = [
+  'activity',
+  'status_change',
+  'call',
+  'sms',
+  'whatsapp',
+  'visitor_code',
+  'joining',
+  'payment',
+  'fee_request',
+];
+
+const MAX_TIMELINE_LIMIT = 100;
+
+const timelineError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Activity rows a PRO / counsellor viewer should not see (other channel's work); same rule as GET /:leadId/activity.
+ * @param {'pro'|'counsellor'|null} viewerScope
+ */
+const activityScopeSql = (viewerScope) => {
+  if (viewerScope === 'pro') {
+    return ` AND (
+      u.role_name = 'PRO'
+      OR JSON_UNQUOTE(JSON_EXTRACT(a.metadata, '$.statusChannel')) = 'visit_status'
+      OR JSON_UNQUOTE(JSON_EXTRACT(a.metadata, '$.assignment.targetRole')) = 'PRO'
+    )`;
+  }
+  if (viewerScope === 'counsellor') {
+    return ` AND (
+      (u.role_name IS NULL OR u.role_name != 'PRO')
+      AND IFNULL(JSON_UNQUOTE(JSON_EXTRACT(a.metadata, '$.statusChannel')), '') != 'visit_status'
+      AND IFNULL(JSON_UNQUOTE(JSON_EXTRACT(a.metadata, '$.assignment.targetRole')), '') != 'PRO'
+    )`;
+  }
+  return '';
+};
+
+/**
+ * Calls, SMS and payments for a PRO / counsellor viewer: only those recorded by their own channel's role.
+ * @param {'pro'|'counsellor'|null} viewerScope
+ * @param {string} actorColumn column holding the user who sent / collected it
+ */
+const actorRoleScopeSql = (viewerScope, actorColumn) => {
+  if (viewerScope === 'pro') {
+    return ` AND EXISTS (SELECT 1 FROM users su WHERE su.id = ${actorColumn} AND su.role_name = 'PRO')`;
+  }
+  if (viewerScope === 'counsellor') {
+    return ` AND NOT EXISTS (SELECT 1 FROM users su WHERE su.id = ${actorColumn} AND su.role_name = 'PRO')`;
+  }
+  return '';
+};
+
+/**
+ * Source SELECTs. `sql` is the per-lead projection (one `?` per entry in `leadParams`); `format` builds `details`.
+ * Joinings and fee requests fan out into one event per lifecycle timestamp.
+ */
+const TIMELINE_SOURCES = [
+  {
+    type: 'activity',
+    sql: (ctx) => `
+      SELECT CONCAT('activity:', a.id) AS event_key, 'activity' AS event_type, a.created_at AS occurred_at,
+        a.performed_by AS actor_id, a.id AS record_id, a.type AS subtype, a.old_status, a.new_status,
+        a.comment, a.metadata
+      FROM activity_logs a
+      LEFT JOIN users u ON u.id = a.performed_by
+      WHERE a.lead_id = ?${activityScopeSql(ctx.viewerScope)}`,
+    leadParams: 1,
+    format: (row) => ({
+      activityType: row.subtype,
+      oldStatus: row.old_status,
+      newStatus: row.new_status,
+      comment: row.comment,
+      metadata: parseJson(row.metadata, {}),
+    }),
+  },
+  {
+    type: 'status_change',
+    sql: () => `
+      SELECT CONCAT('status_change:', ls.id) AS event_key, 'status_change' AS event_type, ls.changed_at AS occurred_at,
+        ls.changed_by AS actor_id, ls.id AS record_id, ls.status, ls.comment
+      FROM lead_status_logs ls
+      WHERE ls.lead_id = ?`,
+    leadParams: 1,
+    format: (row) => ({ status: row.status, comment: row.comment }),
+  },
+  {
+    type: 'call',
+    sql: (ctx) => `
+      SELECT CONCAT('call:', c.id) AS event_key, 'call' AS event_type, c.sent_at AS occurred_at,
+        c.sent_by AS actor_id, c.id AS record_id, c.contact_number, c.direction, c.status, c.call_outcome,
+        c.duration_seconds, c.remarks
+      FROM communications c
+      WHERE c.lead_id = ? AND c.type = 'call'${actorRoleScopeSql(ctx.viewerScope, 'c.sent_by')}`,
+    leadParams: 1,
+    format: (row) => ({
+      contactNumber: row.contact_number,
+      direction: row.direction,
+      status: row.status,
+      outcome: row.call_outcome,
+      durationSeconds: row.duration_seconds,
+      remarks: row.remarks,
+    }),
+  },
+  {
+    type: 'sms',
+    sql: (ctx) => `
+      SELECT CONCAT('sms:', c.id) AS event_key, 'sms' AS event_type, c.sent_at AS occurred_at,
+        c.sent_by AS actor_id, c.id AS record_id, c.contact_number, c.status, c.template_name,
+        c.template_rendered_content
+      FROM communications c
+      WHERE c.lead_id = ? AND c.type = 'sms'${actorRoleScopeSql(ctx.viewerScope, 'c.sent_by')}`,
+    leadParams: 1,
+    format: (row) => ({
+      contactNumber: row.contact_number,
+      status: row.status,
+      templateName: row.template_name,
+      content: row.template_rendered_content,
+    }),
+  },
+  {
+    type: 'whatsapp',
+    optional: true,
+    sql: () => `
+      SELECT CONCAT('whatsapp:', wm.id) AS event_key, 'whatsapp' AS event_type, wm.sent_at AS occurred_at,
+        wm.sent_by AS actor_id, wm.id AS record_id, wm.direction, wm.type AS message_type, wm.content,
+        wm.media_url, wm.status, wc.contact_number
+      FROM whatsapp_messages wm
+      INNER JOIN whatsapp_conversations wc ON wc.id = wm.conversation_id
+      WHERE wc.lead_id = ?`,
+    leadParams: 1,
+    format: (row) => ({
+      contactNumber: row.contact_number,
+      direction: row.direction,
+      messageType: row.message_type,
+      content: row.content,
+      mediaUrl: row.media_url,
+      status: row.status,
+    }),
+  },
+  {
+    type: 'visitor_code',
+    optional: true,
+    sql: () => `
+      SELECT CONCAT('visitor_code:', LPAD(vc.id, 12, '0')) AS event_key, 'visitor_code' AS event_type,
+        vc.created_at AS occurred_at, vc.created_by AS actor_id, vc.id AS record_id, vc.code, vc.status, vc.expires_at
+      FROM visitor_codes vc
+      WHERE vc.lead_id = ?`,
+    leadParams: 1,
+    format: (row) => ({ code: row.code, status: row.status, expiresAt: row.expires_at }),
+  },
+  {
+    type: 'joining',
+    sql: () => ['draft', 'submitted', 'approved']
+      .map((stage) => {
+        const at = stage === 'draft' ? 'j.created_at' : `j.${stage}_at`;
+        const by = stage === 'draft' ? 'j.created_by' : `j.${stage}_by`;
+        return `
+      SELECT CONCAT('joining:', j.id, ':${stage}') AS event_key, 'joining' AS event_type, ${at} AS occurred_at,
+        ${by} AS actor_id, j.id AS record_id, '${stage}' AS stage, j.status, j.payment_status
+      FROM joinings j
+      WHERE j.lead_id = ? AND ${at} IS NOT NULL`;
+      })
+      .join('\n      UNION ALL'),
+    leadParams: 3,
+    format: (row) => ({ stage: row.stage, joiningStatus: row.status, paymentStatus: row.payment_status }),
+  },
+  {
+    type: 'payment',
+    sql: (ctx) => `
+      SELECT CONCAT('payment:', pt.id) AS event_key, 'payment' AS event_type, pt.created_at AS occurred_at,
+        pt.collected_by AS actor_id, pt.id AS record_id, pt.amount, pt.currency, pt.mode, pt.status,
+        pt.reference_id, pt.is_additional_fee, pt.notes
+      FROM payment_transactions pt
+      WHERE pt.lead_id = ?${actorRoleScopeSql(ctx.viewerScope, 'pt.collected_by')}`,
+    leadParams: 1,
+    format: (row) => ({
+      amount: row.amount !== null ? Number(row.amount) : null,
+      currency: row.currency,
+      mode: row.mode,
+      status: row.status,
+      referenceId: row.reference_id,
+      isAdditionalFee: row.is_additional_fee === 1 || row.is_additional_fee === true,
+      notes: row.notes,
+    }),
+  },
+  {
+    type: 'fee_request',
+    optional: true,
+    sql: () => ['submitted', 'approved', 'rejected']
+      .map((stage) => `
+      SELECT CONCAT('fee_request:', fr.id, ':${stage}') AS event_key, 'fee_request' AS event_type,
+        fr.${stage}_at AS occurred_at, fr.${stage}_by AS actor_id, fr.id AS record_id, '${stage}' AS stage,
+        fr.status, fr.course, fr.branch, fr.rejection_reason, fr.reviewer_note
+      FROM fee_requests fr
+      WHERE fr.lead_id = ? AND fr.${stage}_at IS NOT NULL`)
+      .join('\n      UNION ALL'),
+    leadParams: 3,
+    format: (row) => ({
+      stage: row.stage,
+      requestStatus: row.status,
+      course: row.course,
+      branch: row.branch,
+      rejectionReason: row.rejection_reason,
+      reviewerNote: row.reviewer_note,
+    }),
+  },
+];
+
+export const encodeTimelineCursor = (event) =>
+  Buffer.from(JSON.stringify({ t: new Date(event.occurredAt).getTime(), k: event.key })).toString('base64url');
+
+export function decodeTimelineCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isFinite(parsed.t) || typeof parsed.k !== 'string') throw new Error('bad cursor');
+    return { at: new Date(parsed.t), key: parsed.k };
+  } catch {
+    throw timelineError('Invalid cursor');
+  }
+}
+
+/** `?types=call,sms` → validated list (all types when empty). */
+export function parseTimelineTypes(value) {
+  if (value === undefined || value === null || value === '') return TIMELINE_EVENT_TYPES;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  const unknown = list.filter((t) => !TIMELINE_EVENT_TYPES.includes(t));
+  if (unknown.length > 0) {
+    throw timelineError(`Unknown event type(s): ${unknown.join(', ')}. Allowed: ${TIMELINE_EVENT_TYPES.join(', ')}`);
+  }
+  return list;
+}
+
+const compareEventsDesc = (a, b) => {
+  const diff = new Date(b.occurred_at).getTime() - new Date(a.occurred_at).getTime();
+  if (diff !== 0) return diff;
+  if (a.event_key === b.event_key) return 0;
+  return a.event_key < b.event_key ? 1 : -1;
+};
+
+/**
+ * One page of a lead's timeline.
+ * @param {import('mysql2/promise').Pool} db
+ * @param {{ leadId: string, types?: string[], limit?: number, cursor?: string|null,
+ *   viewerScope?: 'pro'|'counsellor'|null }} options
+ * @returns {Promise<{ events: Array<object>, nextCursor: string|null, hasMore: boolean }>}
+ */
+export async function getLeadTimelinePage(db, { leadId, types = TIMELINE_EVENT_TYPES, limit = 50, cursor = null, viewerScope = null }) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_TIMELINE_LIMIT);
+  const after = decodeTimelineCursor(cursor);
+  const ctx = { viewerScope };
+
+  const rows = [];
+  for (const source of TIMELINE_SOURCES.filter((s) => types.includes(s.type))) {
+    const cursorSql = after ? 'WHERE ev.occurred_at < ? OR (ev.occurred_at = ? AND ev.event_key < ?)' : '';
+    const params = [...Array(source.leadParams).fill(leadId), ...(after ? [after.at, after.at, after.key] : [])];
+    try {
+      const [sourceRows] = await db.execute(
+        `SELECT ev.* FROM (${source.sql(ctx)}) ev
+         ${cursorSql}
+         ORDER BY ev.occurred_at DESC, ev.event_key DESC
+         LIMIT ${Number(pageSize) + 1}`,
+        params
+      );
+      sourceRows.forEach((row) => rows.push({ row, source }));
+    } catch (error) {
+      if (!(source.optional && error.code === 'ER_NO_SUCH_TABLE')) throw error;
+    }
+  }
+
+  rows.sort((a, b) => compareEventsDesc(a.row, b.row));
+  const page = rows.slice(0, pageSize);
+  const hasMore = rows.length > pageSize;
+
+  // Actor names in one lookup
+  const actorIds = [...new Set(page.map(({ row }) => row.actor_id).filter(Boolean))];
+  const actors = new Map();
+  if (actorIds.length > 0) {
+    const [users] = await db.execute(
+      `SELECT id, name, role_name FROM users WHERE id IN (${actorIds.map(() => '?').join(',')})`,
+      actorIds
+    );
+    users.forEach((u) => actors.set(u.id, { id: u.id, _id: u.id, name: u.name, roleName: u.role_name }));
+  }
+
+  const events = page.map(({ row, source }) => ({
+    key: row.event_key,
+    type: row.event_type,
+    occurredAt: row.occurred_at,
+    recordId: String(row.record_id),
+    actor: row.actor_id ? actors.get(row.actor_id) || { id: row.actor_id, _id: row.actor_id, name: null } : null,
+    details: source.format(row),
+  }));
+
+  return {
+    events,
+    nextCursor: hasMore && events.length > 0 ? encodeTimelineCursor(events[events.length - 1]) : null,
+    hasMore,
+  };
+}
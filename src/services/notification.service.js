@@ -1,4 +1,4 @@
-import { sendSmsThroughBulkSmsApps } from './bulkSms.service.js';
+import { sendSms } from './smsProvider.service.js';
 import { sendEmail } from './unifiedEmail.service.js';
 import {
   sendPushNotificationToUser,
@@ -25,7 +25,8 @@ export const notifyLeadCreated = async (lead) => {
       try {
         const smsMessage = `Dear ${lead.name}, Thank you for your interest! Your enquiry number is ${lead.enquiryNumber || 'pending'}. Our team will contact you soon. - CRM Admissions`;
         
-        await sendSmsThroughBulkSmsApps({
+        await sendSms({
+          category: 'transactional',
           numbers: [lead.phone],
           message: smsMessage,
           isUnicode: false,
@@ -262,7 +263,7 @@ export const notifyLeadAssignment = async ({ userId, leadCount, leads = [], isBu
       // Fetch lead details for bulk assignment if we don't have all leads
       const placeholders = allLeadIds.map(() => '?').join(',');
       const [fetchedLeads] = await pool.execute(
-        `SELECT id, name, phone, enquiry_number FROM leads WHERE id IN (${placeholders})`,
+        `SELECT id, name, phone, enquiry_number FROM leads WHERE id IN (${placeholders}) AND deleted_at IS NULL`,
         allLeadIds
       );
       leadsToNotify = fetchedLeads.map((lead) => ({
@@ -281,7 +282,8 @@ export const notifyLeadAssignment = async ({ userId, leadCount, leads = [], isBu
           try {
             const smsMessage = `Dear ${lead.name}, Your enquiry ${lead.enquiryNumber || 'is pending'} has been assigned to ${user.roleName === 'Sub Super Admin' ? 'sub-admin' : 'counsellor'} ${user.name}. You will be contacted soon. - CRM Admissions`;
             
-            await sendSmsThroughBulkSmsApps({
+            await sendSms({
+              category: 'transactional',
               numbers: [lead.phone],
               message: smsMessage,
               isUnicode: false,
@@ -441,7 +443,8 @@ export const notifyLeadAssignedToCounsellor = async (lead, user) => {
     if (lead.phone) {
       const smsMessage = `Dear ${lead.name}, Your enquiry ${lead.enquiryNumber || 'is pending'} has been assigned to counsellor ${user.name}. You will be contacted soon. - CRM Admissions`;
       
-      await sendSmsThroughBulkSmsApps({
+      await sendSms({
+        category: 'transactional',
         numbers: [lead.phone],
         message: smsMessage,
         isUnicode: false,
@@ -546,3 +549,93 @@ export const notifyLeadReclamationSummary = async ({ reclaimedByUser = [], total
   }
 };
 
+
+const formatIstTime = (value) =>
+  new Date(value).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Push + in-app `call_reminder` notification for one user (reminders, agenda digest, missed-callback escalation).
+ * The detailed event goes in data.kind. Never throws; returns whether push reached a device and the saved ID.
+ */
+const sendCallReminderNotification = async ({ userId, title, body, leadId = null, data = {} }) => {
+  const pool = getPool();
+  let pushSent = false;
+  try {
+    const pushResult = await sendPushNotificationToUser(userId, {
+      title,
+      body,
+      url: '/superadmin/leads',
+      data: { type: 'call_reminder', ...data, leadId, timestamp: Date.now() },
+    });
+    pushSent = pushResult.sent > 0;
+  } catch (error) {
+    console.error(`[Notification] Error sending call reminder push to ${userId}:`, error.message || error);
+  }
+
+  const notificationId = uuidv4();
+  try {
+    await pool.execute(
+      `INSERT INTO notifications (
+        id, user_id, type, title, message, data,
+        channel_push, channel_email, channel_sms,
+        lead_id, action_url, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [notificationId, userId, 'call_reminder', title, body, JSON.stringify(data), pushSent ? 1 : 0, 0, 0, leadId, '/superadmin/leads']
+    );
+  } catch (error) {
+    console.error(`[Notification] Error saving call reminder for ${userId}:`, error);
+    return { pushSent, notificationId: null };
+  }
+  return { pushSent, notificationId };
+};
+
+/** Reminder a few minutes before a lead's next_scheduled_call. */
+export const notifyCallReminder = async ({ userId, lead, scheduledAt, minutesBefore }) =>
+  sendCallReminderNotification({
+    userId,
+    leadId: lead.id,
+    title: `Call ${lead.name || 'lead'} in ${minutesBefore} min`,
+    body: `Scheduled call with ${lead.name || 'a lead'} (${lead.enquiry_number || lead.phone || 'no enquiry number'}) at ${formatIstTime(scheduledAt)}.`,
+    data: {
+      kind: 'reminder',
+      leadName: lead.name,
+      enquiryNumber: lead.enquiry_number || null,
+      phone: lead.phone || null,
+      scheduledAt,
+    },
+  });
+
+/** Morning agenda: today's scheduled calls plus callbacks still overdue. */
+export const notifyCallAgendaDigest = async ({ userId, dateYmd, calls = [], overdueCount = 0 }) => {
+  const firstCalls = calls
+    .slice(0, 5)
+    .map((c) => `${formatIstTime(c.scheduledAt)} ${c.name || 'Lead'}`)
+    .join(', ');
+  return sendCallReminderNotification({
+    userId,
+    title: `Today's calls: ${calls.length}`,
+    body:
+      `${calls.length} call${calls.length !== 1 ? 's' : ''} scheduled today` +
+      `${firstCalls ? ` — ${firstCalls}${calls.length > 5 ? ', ...' : ''}` : ''}` +
+      `${overdueCount > 0 ? `. ${overdueCount} overdue callback${overdueCount !== 1 ? 's' : ''} pending.` : '.'}`,
+    data: { kind: 'agenda', date: dateYmd, callCount: calls.length, overdueCount, calls: calls.slice(0, 50) },
+  });
+};
+
+/** Tell a manager that a team member's callback is still not made after the escalation delay. */
+export const notifyMissedCallbackEscalation = async ({ managerId, counsellor, lead, scheduledAt, minutesLate }) =>
+  sendCallReminderNotification({
+    userId: managerId,
+    leadId: lead.id,
+    title: `Missed callback: ${counsellor.name}`,
+    body: `${counsellor.name} has not called ${lead.name || 'a lead'} (${lead.enquiry_number || lead.phone || 'no enquiry number'}) scheduled at ${formatIstTime(scheduledAt)} — ${minutesLate} min overdue.`,
+    data: {
+      kind: 'escalation',
+      counsellorId: counsellor.id,
+      counsellorName: counsellor.name,
+      leadName: lead.name,
+      enquiryNumber: lead.enquiry_number || null,
+      scheduledAt,
+      minutesLate,
+    },
+  });
@@ -1,18 +1,14 @@
-import axios from 'axios';
 import dotenv from 'dotenv';
 import { getPool } from '../config-sql/database.js';
 import {
-  sendSmsThroughBulkSmsApps,
   USER_CREDENTIALS_DLT_TEMPLATE_ID,
   buildUserCredentialsSmsMessage,
   sendPasswordResetSuccess as sendPasswordResetSuccessSms,
 } from './bulkSms.service.js';
+import { isSmsRouteConfigured, sendSms } from './smsProvider.service.js';
 
 dotenv.config();
 
-const BULK_SMS_API_KEY = process.env.BULK_SMS_API_KEY;
-const BULK_SMS_SENDER_ID = process.env.BULK_SMS_SENDER_ID || 'PYDAHK';
-
 /** SDMS student portal login URL sent in account-created SMS (no scheme). */
 export const STUDENT_PORTAL_LOGIN_URL =
   process.env.STUDENT_PORTAL_LOGIN_URL || 'sdms.pydah.edu.in';
@@ -69,27 +65,27 @@ const smsService = {
    * @returns {Promise<Object>} - The API response
    */
   sendOTP: async (mobileNumber, otp) => {
-    if (!BULK_SMS_API_KEY) {
-      console.warn('BULKSMS_API_KEY is not set. OTP sending skipped (Dev Mode).');
+    if (!isSmsRouteConfigured('otp')) {
+      console.warn('No SMS provider configured for OTP. OTP sending skipped (Dev Mode).');
       return { success: true, message: 'SMS simulation successful (Dev Mode)' };
     }
 
     // Clean mobile number (keep last 10 digits if needed, or assume valid input)
-    // The API expects a specific format, usually just the number.
     const cleanNumber = mobileNumber.replace(/\D/g, '').slice(-10);
     // Hardcoded DLT template id (do not rely on OTP_TEMPLATE_ID env).
     const otpTemplateId = '1007482811215703964';
 
     const message = `Your OTP for recovering your password is ${otp} - PYDAH`;
-    // URL Encode message
-    const encodedMessage = encodeURIComponent(message);
-
-    const url = `https://www.bulksmsapps.com/api/apismsv2.aspx?apikey=${BULK_SMS_API_KEY}&sender=${BULK_SMS_SENDER_ID}&mobile=${cleanNumber}&message=${encodedMessage}&type=1&tempid=${otpTemplateId}`;
 
     try {
-      const response = await axios.get(url);
-      console.log(`SMS Sent to ${cleanNumber}. Response:`, response.data);
-      return { success: true, data: response.data };
+      const result = await sendSms({
+        category: 'otp',
+        numbers: [cleanNumber],
+        message,
+        tempid: otpTemplateId,
+      });
+      console.log(`SMS Sent to ${cleanNumber} via ${result.provider}. Response:`, result.responseText);
+      return { success: true, data: result.responseText };
     } catch (error) {
       console.error('Failed to send SMS:', error.message);
       throw new Error('Failed to send OTP SMS');
@@ -111,8 +107,8 @@ const smsService = {
    * Errors are swallowed; an SMS failure must never roll back an approval.
    */
   sendAdmissionConfirmation: async (mobileNumber, name, admissionNumber) => {
-    if (!BULK_SMS_API_KEY) {
-      console.warn('BULK_SMS_API_KEY is not set. Admission confirmation SMS skipped (Dev Mode).');
+    if (!isSmsRouteConfigured('transactional')) {
+      console.warn('No SMS provider configured. Admission confirmation SMS skipped (Dev Mode).');
       return { success: true, message: 'SMS simulation successful (Dev Mode)' };
     }
 
@@ -138,14 +134,15 @@ const smsService = {
 
     const message = `Dear ${safeName}, Congratulations and welcome to Pydah Group! Your admission has been successfully processed. Admission Number: ${safeAdmissionNumber}. We look forward to being part of your academic journey. Warm Regards, Pydah Group`;
 
-    // Delegate to bulkSms.service.js so the response is *actually* parsed
-    // against the BulkSMSApps success pattern ("successfully submitted" /
+    // Delegate to the provider layer (smsProvider.service.js) so the response
+    // is *actually* parsed — for BulkSMSApps against its success pattern ("successfully submitted" /
     // MessageId-NNN). Without this the gateway's .NET error envelope
     // ("Object reference not set to an instance of an object." + an ASP.NET
     // postback form) was being treated as success and the SMS was never
     // actually delivered. See bulkSms.service.js#isValidSmsResponse.
     try {
-      const result = await sendSmsThroughBulkSmsApps({
+      const result = await sendSms({
+        category: 'transactional',
         numbers: [cleanNumber],
         message,
         tempid: templateId,
@@ -189,8 +186,8 @@ const smsService = {
    * Variable: portal login URL (STUDENT_PORTAL_LOGIN_URL / sdms.pydah.edu.in).
    */
   sendParentPortalProgress: async (mobileNumber) => {
-    if (!BULK_SMS_API_KEY) {
-      console.warn('BULK_SMS_API_KEY is not set. Parent portal SMS skipped (Dev Mode).');
+    if (!isSmsRouteConfigured('transactional')) {
+      console.warn('No SMS provider configured. Parent portal SMS skipped (Dev Mode).');
       return { success: true, message: 'SMS simulation successful (Dev Mode)' };
     }
 
@@ -202,7 +199,8 @@ const smsService = {
 
     const templateId = PARENT_PORTAL_SMS_DLT_TEMPLATE_ID;
     try {
-      const result = await sendSmsThroughBulkSmsApps({
+      const result = await sendSms({
+        category: 'transactional',
         numbers: [cleanNumber],
         message: PARENT_PORTAL_SMS_MESSAGE,
         tempid: templateId,
@@ -253,8 +251,8 @@ const smsService = {
     password,
     loginUrl = STUDENT_PORTAL_LOGIN_URL
   ) => {
-    if (!BULK_SMS_API_KEY) {
-      console.warn('BULK_SMS_API_KEY is not set. Student account SMS skipped (Dev Mode).');
+    if (!isSmsRouteConfigured('transactional')) {
+      console.warn('No SMS provider configured. Student account SMS skipped (Dev Mode).');
       return { success: true, message: 'SMS simulation successful (Dev Mode)' };
     }
 
@@ -281,7 +279,8 @@ const smsService = {
     );
 
     try {
-      const result = await sendSmsThroughBulkSmsApps({
+      const result = await sendSms({
+        category: 'transactional',
         numbers: [cleanNumber],
         message,
         tempid: STUDENT_ACCOUNT_CREATED_DLT_TEMPLATE_ID,
@@ -328,8 +327,8 @@ const smsService = {
    * Template: Dear Student {#var#}, the following certificates are pending - {#var#}. Kindly contact the Admissions Office immediately at {#var#} - Pydah Group
    */
   sendDocumentNotification: async (mobileNumber, name, pendingDocuments, collegePhone = '+91 73823 15999') => {
-    if (!BULK_SMS_API_KEY) {
-      console.warn('BULK_SMS_API_KEY is not set. Document Notification SMS skipped (Dev Mode).');
+    if (!isSmsRouteConfigured('transactional')) {
+      console.warn('No SMS provider configured. Document Notification SMS skipped (Dev Mode).');
       return { success: true, message: 'SMS simulation successful (Dev Mode)' };
     }
 
@@ -345,7 +344,8 @@ const smsService = {
     const message = `Dear Student ${safeName}, the following certificates are pending - ${safePendingDocuments}. Kindly contact the Admissions Office immediately at ${collegePhone} - Pydah Group`;
 
     try {
-      const result = await sendSmsThroughBulkSmsApps({
+      const result = await sendSms({
+        category: 'transactional',
         numbers: [cleanNumber],
         message,
         tempid: templateId,
@@ -395,8 +395,8 @@ const smsService = {
     collegePhone = '+91 73823 15999',
     options = {}
   ) => {
-    if (!BULK_SMS_API_KEY) {
-      console.warn('BULK_SMS_API_KEY is not set. Admission Confirmation Pending SMS skipped (Dev Mode).');
+    if (!isSmsRouteConfigured('transactional')) {
+      console.warn('No SMS provider configured. Admission Confirmation Pending SMS skipped (Dev Mode).');
       return { success: true, message: 'SMS simulation successful (Dev Mode)' };
     }
 
@@ -439,7 +439,8 @@ const smsService = {
     const message = `Dear ${safeName}, towards confirmation of your admission, an amount of ${amountVar} is pending. Kindly contact the Admissions Office immediately at ${safeCollegePhone}. - Pydah Group`;
 
     try {
-      const result = await sendSmsThroughBulkSmsApps({
+      const result = await sendSms({
+        category: 'transactional',
         numbers: [cleanNumber],
         message,
         tempid: templateId,
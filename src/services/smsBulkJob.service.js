@@ -1,14 +1,99 @@
 import { v4 as uuidv4 } from 'uuid';
 import { getPool } from '../config-sql/database.js';
+import { addDaysYmd, todayYmdIST } from '../utils/istDate.util.js';
 import { findTemplate, executeSmsSendForLead } from './communicationSmsDispatch.js';
+import { buildDeliverySummary, deliveryCountColumns } from './smsDelivery.service.js';
+import { complianceError, validateTemplateDefinition } from './smsCompliance.service.js';
 
 const SMS_JOB_CONCURRENCY = 4;
 /** If one lead blocks (DB/network), the whole job used to wait forever. Fail this item and continue. */
 const SMS_ITEM_MAX_MS = Math.min(180_000, Math.max(30_000, Number.parseInt(process.env.SMS_BULK_ITEM_TIMEOUT_MS, 10) || 120_000));
 /** Items left in `processing` (e.g. crash) become retryable. */
 const STUCK_PROCESSING_RESET_MIN = Math.max(1, Number.parseInt(process.env.SMS_BULK_STUCK_PROCESSING_MIN, 10) || 5);
+/** Messages per minute for jobs without their own rate_limit_per_minute (0 = unthrottled). */
+const DEFAULT_RATE_PER_MINUTE = Math.max(0, Number.parseInt(process.env.SMS_BULK_RATE_PER_MINUTE, 10) || 0);
+export const MAX_RATE_LIMIT_PER_MINUTE = 6000;
 
 const runningJobIds = new Set();
+/** Job ID → timer that restarts the job when quiet hours end (one per job). */
+const quietHoursTimers = new Map();
+
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Institution-wide quiet hours for bulk SMS / WhatsApp jobs: BULK_MESSAGING_QUIET_HOURS=`HH:MM-HH:MM` (IST, may span
+ * midnight, e.g. `21:00-08:00`). Unset or invalid = no quiet hours.
+ * @returns {{ start: string, end: string }|null}
+ */
+export function getBulkMessagingQuietHours() {
+  const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(process.env.BULK_MESSAGING_QUIET_HOURS || '').trim());
+  if (!match) return null;
+  const [sh, sm, eh, em] = match.slice(1).map(Number);
+  if (sh > 23 || eh > 23 || sm > 59 || em > 59 || (sh === eh && sm === em)) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return { start: `${pad(sh)}:${pad(sm)}`, end: `${pad(eh)}:${pad(em)}` };
+}
+
+/** When the current quiet hours end, or null outside quiet hours. */
+export function quietHoursEndAt(now = new Date()) {
+  const quiet = getBulkMessagingQuietHours();
+  if (!quiet) return null;
+  const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+  const ist = new Date(now.getTime() + 330 * 60 * 1000);
+  const minutes = ist.getUTCHours() * 60 + ist.getUTCMinutes();
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  const inQuiet = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!inQuiet) return null;
+  const endYmd = start > end && minutes >= start ? addDaysYmd(todayYmdIST(now), 1) : todayYmdIST(now);
+  return new Date(`${endYmd}T${quiet.end}:00+05:30`);
+}
+
+/** Hold the job's pending items until quiet hours end, then restart it. */
+async function holdJobForQuietHours(pool, jobId, until) {
+  await pool.execute('UPDATE sms_bulk_jobs SET held_until = ? WHERE id = ?', [toSqlDateTime(until), jobId]);
+  if (quietHoursTimers.has(jobId)) return;
+  const timer = setTimeout(() => {
+    quietHoursTimers.delete(jobId);
+    scheduleProcessSmsBulkJob(jobId);
+  }, Math.max(until.getTime() - Date.now(), 0) + 5000);
+  quietHoursTimers.set(jobId, timer);
+  console.log(`[SMS bulk job] ${jobId}: held for quiet hours until ${until.toISOString()}`);
+}
+
+/**
+ * Runs before each item: waits for the job's rate limit slot, then re-reads the job so pause / cancel take effect
+ * between items, and stops at the start of quiet hours. Once it returns false the remaining items stay `pending`.
+ */
+function createItemGate(pool, jobId, category) {
+  let stopped = false;
+  let nextSlotAt = Date.now();
+  return async (row) => {
+    if (stopped) return false;
+    const [jobRows] = await pool.execute('SELECT status, rate_limit_per_minute FROM sms_bulk_jobs WHERE id = ?', [jobId]);
+    const rate = Number(jobRows[0]?.rate_limit_per_minute) || DEFAULT_RATE_PER_MINUTE;
+    if (rate > 0) {
+      const nums = typeof row.contact_numbers === 'string' ? JSON.parse(row.contact_numbers) : row.contact_numbers;
+      const messages = category === 'whatsapp' ? 1 : Math.max(1, Array.isArray(nums) ? nums.length : 1);
+      const now = Date.now();
+      const wait = Math.max(0, nextSlotAt - now);
+      nextSlotAt = Math.max(nextSlotAt, now) + (60_000 / rate) * messages;
+      if (wait > 0) await sleep(wait);
+    }
+    if (stopped) return false;
+    let status = String(jobRows[0]?.status || 'cancelled');
+    if (rate > 0) {
+      const [again] = await pool.execute('SELECT status FROM sms_bulk_jobs WHERE id = ?', [jobId]);
+      status = String(again[0]?.status || 'cancelled');
+    }
+    if (status === 'paused' || status === 'cancelled' || status === 'failed' || quietHoursEndAt()) {
+      stopped = true;
+      return false;
+    }
+    return true;
+  };
+}
 
 function withTimeout(promise, ms, label) {
   return new Promise((resolve, reject) => {
@@ -150,6 +235,7 @@ export async function resumeRunningSmsBulkJobsOnStartup() {
       `SELECT j.id
        FROM sms_bulk_jobs j
        WHERE j.status IN ('running', 'queued')
+       AND (j.scheduled_at IS NULL OR j.scheduled_at <= NOW())
        AND EXISTS (SELECT 1 FROM sms_bulk_job_items i WHERE i.job_id = j.id AND i.status = 'pending')`
     );
     for (const row of jobIds) {
@@ -178,14 +264,17 @@ async function processOneJobItem(pool, userId, jobId, row, category = 'sms', job
   const nums = typeof row.contact_numbers === 'string' ? JSON.parse(row.contact_numbers) : row.contact_numbers;
   const variables = row.variables == null ? [] : typeof row.variables === 'string' ? JSON.parse(row.variables) : row.variables;
   if (!Array.isArray(nums) || nums.length === 0) {
-    await pool.execute(
-      `UPDATE sms_bulk_job_items SET status = 'failed', error_message = 'No contact numbers', completed_at = NOW() WHERE id = ?`,
+    const [skipped] = await pool.execute(
+      `UPDATE sms_bulk_job_items SET status = 'skipped', error_message = 'No contact numbers', completed_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
       [itemId]
     );
-    await pool.execute(
-      `UPDATE sms_bulk_jobs SET done_count = done_count + 1, fail_count = fail_count + 1, last_error = 'Item skipped: no numbers' WHERE id = ?`,
-      [jobId]
-    );
+    if (skipped.affectedRows > 0) {
+      await pool.execute(
+        `UPDATE sms_bulk_jobs SET done_count = done_count + 1, skipped_count = skipped_count + 1 WHERE id = ?`,
+        [jobId]
+      );
+    }
     return;
   }
   const [u] = await pool.execute(
@@ -266,9 +355,14 @@ async function processOneJobItem(pool, userId, jobId, row, category = 'sms', job
       };
     } else {
       out = await withTimeout(
-        executeSmsSendForLead(pool, userId, leadId, nums, [
-          { templateId, variables: Array.isArray(variables) ? variables : [] },
-        ]),
+        executeSmsSendForLead(
+          pool,
+          userId,
+          leadId,
+          nums,
+          [{ templateId, variables: Array.isArray(variables) ? variables : [] }],
+          { category: 'bulk' }
+        ),
         SMS_ITEM_MAX_MS,
         'executeSmsSendForLead'
       );
@@ -293,6 +387,7 @@ async function processOneJobItem(pool, userId, jobId, row, category = 'sms', job
         error_message = ?,
         communication_ids = ?,
         provider_message_ids = ?,
+        delivery_status = ?,
         completed_at = NOW() WHERE id = ? AND status = 'processing'`,
       [
         anyOk ? 'success' : 'failed',
@@ -300,6 +395,7 @@ async function processOneJobItem(pool, userId, jobId, row, category = 'sms', job
         errMsg,
         JSON.stringify(out.savedCommunicationIds || []),
         JSON.stringify(mids),
+        anyOk && category !== 'whatsapp' && mids.length > 0 ? 'submitted' : null,
         itemId,
       ]
     );
@@ -332,6 +428,8 @@ async function processOneJobItem(pool, userId, jobId, row, category = 'sms', job
 }
 
 /**
+ * Recount a job's counters from its items. success_count is sent items only; skipped items (no contact numbers,
+ * skipped by a user) are in skipped_count and no longer counted as successes.
  * @param {import('mysql2/promise').Pool} pool
  * @param {string} jobId
  */
@@ -341,25 +439,29 @@ export async function reconcileJobCountersFromItems(pool, jobId) {
        COUNT(*) AS n,
        COALESCE(SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END),0) AS succ,
        COALESCE(SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END),0) AS fl,
-       COALESCE(SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END),0) AS skp
+       COALESCE(SUM(CASE WHEN status = 'skipped' THEN 1 ELSE 0 END),0) AS skp,
+       COALESCE(SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END),0) AS cnc
      FROM sms_bulk_job_items WHERE job_id = ?`,
     [jobId]
   );
-  const row = agg[0] || { n: 0, succ: 0, fl: 0, skp: 0 };
+  const row = agg[0] || { n: 0, succ: 0, fl: 0, skp: 0, cnc: 0 };
   const n = Number(row.n) || 0;
   const succ = Number(row.succ) || 0;
   const fl = Number(row.fl) || 0;
   const skp = Number(row.skp) || 0;
-  const done = succ + fl + skp;
+  const cnc = Number(row.cnc) || 0;
+  const done = succ + fl + skp + cnc;
   await pool.execute(
     `UPDATE sms_bulk_jobs SET
        success_count = ?,
        fail_count = ?,
+       skipped_count = ?,
+       cancelled_count = ?,
        done_count = ?
      WHERE id = ?`,
-    [succ + skp, fl, done, jobId]
+    [succ, fl, skp, cnc, done, jobId]
   );
-  return { n, successCount: succ + skp, failCount: fl, doneCount: done };
+  return { n, successCount: succ, failCount: fl, skippedCount: skp, cancelledCount: cnc, doneCount: done };
 }
 
 /**
@@ -405,7 +507,7 @@ export async function tryMarkJobCompleteIfFullyProcessed(pool, jobId) {
   }
   const [nTerm] = await pool.execute(
     `SELECT COUNT(*) AS c FROM sms_bulk_job_items
-     WHERE job_id = ? AND status IN ('success','failed','skipped')`,
+     WHERE job_id = ? AND status IN ('success','failed','skipped','cancelled')`,
     [jobId]
   );
   if (Number(nTerm[0]?.c) < nItem) {
@@ -472,6 +574,106 @@ export async function reopenCompletedIfPendingWorkRemains(pool, jobId) {
   return n > 0;
 }
 
+const affected = (result) => (typeof result.affectedRows === 'bigint' ? Number(result.affectedRows) : result.affectedRows || 0);
+
+/**
+ * `rateLimitPerMinute` from a request body: null / '' clears it, otherwise 1–MAX_RATE_LIMIT_PER_MINUTE.
+ * @returns {number|null}
+ */
+export function normalizeRateLimit(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const rate = Number(raw);
+  if (!Number.isInteger(rate) || rate < 1 || rate > MAX_RATE_LIMIT_PER_MINUTE) {
+    const err = new Error(`rateLimitPerMinute must be a whole number between 1 and ${MAX_RATE_LIMIT_PER_MINUTE}`);
+    err.statusCode = 400;
+    throw err;
+  }
+  return rate;
+}
+
+/**
+ * Pause a queued / running job. The worker stops before its next item; items already sending finish.
+ * @returns {Promise<boolean>} false when the job was not queued or running
+ */
+export async function pauseSmsBulkJob(pool, jobId, userId) {
+  const [r] = await pool.execute(
+    `UPDATE sms_bulk_jobs SET status = 'paused', paused_at = NOW(), paused_by = ?
+     WHERE id = ? AND status IN ('queued', 'running')`,
+    [userId, jobId]
+  );
+  return affected(r) > 0;
+}
+
+/**
+ * Un-pause: back to `running` (or `queued` if it never started). The caller schedules the worker.
+ * @returns {Promise<boolean>} false when the job was not paused
+ */
+export async function unpauseSmsBulkJob(pool, jobId) {
+  const [r] = await pool.execute(
+    `UPDATE sms_bulk_jobs
+     SET status = IF(started_at IS NULL, 'queued', 'running'), paused_at = NULL, paused_by = NULL
+     WHERE id = ? AND status = 'paused'`,
+    [jobId]
+  );
+  return affected(r) > 0;
+}
+
+/**
+ * Cancel a job: every `pending` item becomes `cancelled`; items already sending finish and are counted.
+ * @returns {Promise<number|null>} items cancelled, or null when the job was already finished
+ */
+export async function cancelSmsBulkJob(pool, jobId, userId) {
+  const [r] = await pool.execute(
+    `UPDATE sms_bulk_jobs
+     SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = ?, completed_at = NOW(), held_until = NULL
+     WHERE id = ? AND status IN ('queued', 'running', 'paused')`,
+    [userId, jobId]
+  );
+  if (affected(r) === 0) return null;
+  const [items] = await pool.execute(
+    `UPDATE sms_bulk_job_items SET status = 'cancelled', error_message = 'Job cancelled', completed_at = NOW()
+     WHERE job_id = ? AND status = 'pending'`,
+    [jobId]
+  );
+  clearTimeout(quietHoursTimers.get(jobId));
+  quietHoursTimers.delete(jobId);
+  await reconcileJobCountersFromItems(pool, jobId);
+  return affected(items);
+}
+
+/**
+ * Skip one pending item of an unfinished job (e.g. a lead that asked not to be messaged).
+ * @returns {Promise<boolean>} false when the item is not pending
+ */
+export async function skipSmsBulkJobItem(pool, jobId, itemId, reason) {
+  const [r] = await pool.execute(
+    `UPDATE sms_bulk_job_items i
+     JOIN sms_bulk_jobs j ON j.id = i.job_id
+     SET i.status = 'skipped', i.error_message = ?, i.completed_at = NOW()
+     WHERE i.id = ? AND i.job_id = ? AND i.status = 'pending' AND j.status IN ('queued', 'running', 'paused')`,
+    [String(reason || 'Skipped by user').slice(0, 500), itemId, jobId]
+  );
+  if (affected(r) === 0) return false;
+  await pool.execute(
+    'UPDATE sms_bulk_jobs SET done_count = done_count + 1, skipped_count = skipped_count + 1 WHERE id = ?',
+    [jobId]
+  );
+  return true;
+}
+
+/** Change the job's throttle; a running worker picks it up before its next item. */
+export async function setSmsBulkJobRateLimit(pool, jobId, rateLimitPerMinute) {
+  await pool.execute('UPDATE sms_bulk_jobs SET rate_limit_per_minute = ? WHERE id = ?', [rateLimitPerMinute, jobId]);
+}
+
+/** Throttle and quiet-hours settings that apply to every job, for the jobs screen. */
+export const describeBulkJobControls = () => ({
+  defaultRateLimitPerMinute: DEFAULT_RATE_PER_MINUTE || null,
+  maxRateLimitPerMinute: MAX_RATE_LIMIT_PER_MINUTE,
+  quietHours: getBulkMessagingQuietHours(),
+  quietHoursEndAt: quietHoursEndAt(),
+});
+
 export async function processSmsBulkJob(jobId) {
   if (runningJobIds.has(jobId)) {
     return;
@@ -482,9 +684,21 @@ export async function processSmsBulkJob(jobId) {
     return;
   }
   let job = jobRows0[0];
-  if (String(job.status) === 'failed' || String(job.status) === 'cancelled') {
+  if (String(job.status) === 'failed' || String(job.status) === 'cancelled' || String(job.status) === 'paused') {
+    return;
+  }
+  // Scheduled jobs are started by the campaign scheduler once scheduled_at has passed
+  if (String(job.status) === 'queued' && job.scheduled_at && new Date(job.scheduled_at) > new Date()) {
     return;
   }
+  const quietUntil = quietHoursEndAt();
+  if (quietUntil && String(job.status) !== 'completed') {
+    await holdJobForQuietHours(pool, jobId, quietUntil);
+    return;
+  }
+  if (job.held_until) {
+    await pool.execute('UPDATE sms_bulk_jobs SET held_until = NULL WHERE id = ?', [jobId]);
+  }
   if (String(job.status) === 'completed') {
     const reopened = await reopenCompletedIfPendingWorkRemains(pool, jobId);
     if (reopened) {
@@ -535,7 +749,12 @@ export async function processSmsBulkJob(jobId) {
     }
     const userId = job.created_by;
     const category = String(job.category || 'sms');
-    await runWithConcurrencyItems(itemRows, SMS_JOB_CONCURRENCY, (row) => processOneJobItem(pool, userId, jobId, row, category, job));
+    const gate = createItemGate(pool, jobId, category);
+    await runWithConcurrencyItems(itemRows, SMS_JOB_CONCURRENCY, async (row) => {
+      if (await gate(row)) {
+        await processOneJobItem(pool, userId, jobId, row, category, job);
+      }
+    });
     const [p] = await pool.execute(
       `SELECT COUNT(*) AS c FROM sms_bulk_job_items WHERE job_id = ? AND status IN ('pending','processing')`,
       [jobId]
@@ -577,8 +796,22 @@ export async function processSmsBulkJob(jobId) {
  * @param {string} p.templateId
  * @param {Array<{ leadId: string, leadName?: string, contactNumbers: string[], variables: object[] }>} p.items
  * @param {object} [p.reportContext] – optional, stored for `user_specific_leads` (selected users, student group, etc.)
+ * @param {Date|null} [p.scheduledAt] – start later; the job stays `queued` until then (see smsCampaign.service.js)
+ * @param {string|null} [p.campaignId] – sms_campaigns run that created the job
+ * @param {number|null} [p.rateLimitPerMinute] – throttle for this job (NULL = SMS_BULK_RATE_PER_MINUTE)
  */
-export async function createSmsBulkJobRecord({ pool, userId, source, templateId, items, reportContext: rawContext, headerHandle }) {
+export async function createSmsBulkJobRecord({
+  pool,
+  userId,
+  source,
+  templateId,
+  items,
+  reportContext: rawContext,
+  headerHandle,
+  scheduledAt = null,
+  campaignId = null,
+  rateLimitPerMinute = null,
+}) {
   if (!Array.isArray(items) || items.length === 0) {
     throw new Error('At least one recipient row is required');
   }
@@ -586,6 +819,11 @@ export async function createSmsBulkJobRecord({ pool, userId, source, templateId,
     throw new Error(`A single job cannot exceed ${MAX_SMS_BULK_JOB_ITEMS} lead rows. Split into multiple runs.`);
   }
   const template = await findTemplate(templateId);
+  if ((template.category || 'sms') === 'sms') {
+    // Per-recipient values are checked again when each item is sent
+    const compliance = validateTemplateDefinition(template);
+    if (!compliance.ok) throw complianceError(compliance, 'Template fails DLT checks');
+  }
   const jobId = uuidv4();
   const insItems = items.map((it, idx) => ({
     id: uuidv4(),
@@ -602,8 +840,9 @@ export async function createSmsBulkJobRecord({ pool, userId, source, templateId,
 
     await conn.execute(
       `INSERT INTO sms_bulk_jobs (
-        id, created_by, source, category, report_context, template_id, template_name, header_handle, status, total_items, done_count, success_count, fail_count
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued', ?, 0, 0, 0)`,
+        id, created_by, source, category, report_context, template_id, template_name, header_handle, status, total_items, done_count, success_count, fail_count,
+        scheduled_at, campaign_id, rate_limit_per_minute
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued', ?, 0, 0, 0, ?, ?, ?)`,
       [
         jobId,
         userId,
@@ -614,6 +853,9 @@ export async function createSmsBulkJobRecord({ pool, userId, source, templateId,
         template.name,
         headerHandle || null,
         insItems.length,
+        scheduledAt ? new Date(scheduledAt).toISOString().slice(0, 19).replace('T', ' ') : null,
+        campaignId,
+        rateLimitPerMinute || null,
       ]
     );
 
@@ -654,6 +896,20 @@ export async function createSmsBulkJobRecord({ pool, userId, source, templateId,
   return { jobId, totalItems: insItems.length, templateName: template.name };
 }
 
+/** Per-job delivery counts (columns from `deliveryCountColumns`) to merge into rows before `formatJobRow`. */
+export async function loadJobDeliveryCounts(pool, jobIds) {
+  if (!Array.isArray(jobIds) || jobIds.length === 0) return new Map();
+  const placeholders = jobIds.map(() => '?').join(', ');
+  const [rows] = await pool.execute(
+    `SELECT job_id, ${deliveryCountColumns('delivery_status')}
+     FROM sms_bulk_job_items
+     WHERE job_id IN (${placeholders})
+     GROUP BY job_id`,
+    jobIds
+  );
+  return new Map(rows.map((r) => [String(r.job_id), r]));
+}
+
 export async function formatJobRow(row) {
   let reportContext = null;
   if (row.report_context != null && row.report_context !== '') {
@@ -672,8 +928,16 @@ export async function formatJobRow(row) {
   const done = Number(row.done_count) || 0;
   const tot = Number(row.total_items) || 0;
   const wr = workRemaining == null || Number.isNaN(workRemaining) ? 0 : workRemaining;
+  const scheduledLater = st === 'queued' && row.scheduled_at && new Date(row.scheduled_at) > new Date();
+  const held = (st === 'queued' || st === 'running') && row.held_until && new Date(row.held_until) > new Date();
   const displayStatus =
-    st === 'completed' && (wr > 0 || done < tot) ? 'incomplete' : st;
+    st === 'completed' && (wr > 0 || done < tot)
+      ? 'incomplete'
+      : scheduledLater
+        ? 'scheduled'
+        : held
+          ? 'held'
+          : st;
   return {
     id: row.id,
     source: row.source,
@@ -689,7 +953,23 @@ export async function formatJobRow(row) {
     doneCount: row.done_count,
     successCount: row.success_count,
     failCount: row.fail_count,
+    skippedCount: Number(row.skipped_count) || 0,
+    cancelledCount: Number(row.cancelled_count) || 0,
+    delivery:
+      row.delivered_count != null
+        ? buildDeliverySummary({
+            delivered: row.delivered_count,
+            failed: row.delivery_failed_count,
+            pending: row.delivery_pending_count,
+          })
+        : null,
     lastError: row.last_error,
+    scheduledAt: row.scheduled_at || null,
+    campaignId: row.campaign_id || null,
+    rateLimitPerMinute: row.rate_limit_per_minute != null ? Number(row.rate_limit_per_minute) : null,
+    heldUntil: held ? row.held_until : null,
+    pausedAt: row.paused_at || null,
+    cancelledAt: row.cancelled_at || null,
     createdAt: row.created_at,
     startedAt: row.started_at,
     completedAt: row.completed_at,
@@ -716,6 +996,12 @@ export async function formatItemRow(row) {
         ? JSON.parse(row.provider_message_ids)
         : row.provider_message_ids
       : [],
+    deliveryStatus: row.delivery_status || null,
+    deliveryReport: row.delivery_report
+      ? typeof row.delivery_report === 'string'
+        ? JSON.parse(row.delivery_report)
+        : row.delivery_report
+      : null,
     startedAt: row.started_at,
     completedAt: row.completed_at,
   };
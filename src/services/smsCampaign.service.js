@@ -0,0 +1,418 @@
+/**
+ * Scheduled and recurring bulk SMS campaigns (sms_campaigns). Every run re-evaluates the audience — the saved lead
+ * view's current filters, or the campaign's own getLeads filters — and creates an sms_bulk_jobs row
+ * (source `sms_campaign`) that the bulk job worker sends like any other bulk job.
+ *
+ * - recurrence `none`    one run at scheduledAt
+ * - recurrence `daily`   every day at recurrenceTime (HH:MM IST), from scheduledAt (optional) until recurrenceUntil
+ * - recurrence `weekly`  on recurrenceDays (IST weekdays, 0 = Sunday) at recurrenceTime, until recurrenceUntil
+ *
+ * Runs missed while the server was down happen once on the next tick; the following run is computed from then.
+ * The same tick starts one-off bulk jobs created with `scheduledAt` once that time has passed.
+ *
+ * SMS_CAMPAIGNS_ENABLED=false disables the scheduler; SMS_CAMPAIGN_TICK_MINUTES (default 1) sets the tick.
+ */
+import { getPool } from '../config-sql/database.js';
+import { addDaysYmd, todayYmdIST } from '../utils/istDate.util.js';
+import { findTemplate } from './communicationSmsDispatch.js';
+import { buildLeadFilterConditions } from './leadFilter.service.js';
+import { loadCustomFieldsForQuery } from './leadCustomField.service.js';
+import { complianceError, validateTemplateDefinition } from './smsCompliance.service.js';
+import { normalizeViewFilters, resolveViewFilters } from './leadSavedView.service.js';
+import {
+  MAX_SMS_BULK_JOB_ITEMS,
+  createSmsBulkJobRecord,
+  scheduleProcessSmsBulkJob,
+} from './smsBulkJob.service.js';
+
+export const SMS_CAMPAIGN_RECURRENCES = ['none', 'daily', 'weekly'];
+export const SMS_CAMPAIGN_STATUSES = ['scheduled', 'completed', 'cancelled'];
+/** Lead columns a campaign can send to. */
+export const SMS_CAMPAIGN_CONTACT_FIELDS = ['phone', 'father_phone', 'alternate_mobile'];
+/** Lead columns a template variable can be filled from (`{ key, field }`). */
+export const SMS_CAMPAIGN_VARIABLE_FIELDS = [
+  'name', 'enquiry_number', 'father_name', 'mother_name', 'course_interested', 'village', 'mandal', 'district',
+  'state', 'application_status', 'academic_year', 'student_group',
+];
+
+/** Recurring runs are searched this many IST days ahead. */
+const MAX_LOOKAHEAD_DAYS = 400;
+const MAX_CAMPAIGNS_PER_TICK = 20;
+const MAX_NAME_LENGTH = 255;
+
+const campaignError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const toSqlDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+const toYmd = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+/** IST weekday (0 = Sunday) of a YYYY-MM-DD date. */
+const weekdayOfYmd = (ymd) => new Date(`${ymd}T00:00:00Z`).getUTCDay();
+
+export const formatCampaignRow = (row) => {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    templateId: row.template_id,
+    templateName: row.template_name || null,
+    savedViewId: row.saved_view_id || null,
+    savedViewName: row.saved_view_name || null,
+    filters: parseJson(row.filters, null),
+    contactFields: parseJson(row.contact_fields, []),
+    variables: parseJson(row.variables, []),
+    recurrence: row.recurrence || 'none',
+    recurrenceTime: row.recurrence_time || null,
+    recurrenceDays: parseJson(row.recurrence_days, null),
+    recurrenceUntil: toYmd(row.recurrence_until),
+    nextRunAt: row.next_run_at || null,
+    status: row.status,
+    runCount: Number(row.run_count || 0),
+    lastRunAt: row.last_run_at || null,
+    lastJobId: row.last_job_id || null,
+    lastError: row.last_error || null,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name || null,
+    updatedBy: row.updated_by || null,
+    cancelledAt: row.cancelled_at || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+};
+
+/**
+ * First run strictly after `after` (Date) for a formatted campaign, or null when the recurrence has ended.
+ * One-off campaigns have no next run after their scheduled one.
+ */
+export function computeNextRun(campaign, after = new Date()) {
+  if (!campaign || campaign.recurrence === 'none' || !campaign.recurrenceTime) return null;
+  const days = campaign.recurrence === 'weekly' ? new Set(campaign.recurrenceDays || []) : null;
+  const until = campaign.recurrenceUntil || null;
+  let ymd = todayYmdIST(after);
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i += 1, ymd = addDaysYmd(ymd, 1)) {
+    if (until && ymd > until) return null;
+    if (days && !days.has(weekdayOfYmd(ymd))) continue;
+    const candidate = new Date(`${ymd}T${campaign.recurrenceTime}:00+05:30`);
+    if (candidate > after) return candidate;
+  }
+  return null;
+}
+
+/** The next `count` run times starting at the campaign's next_run_at. */
+export function upcomingRuns(campaign, count = 5) {
+  if (!campaign || campaign.status !== 'scheduled' || !campaign.nextRunAt) return [];
+  const runs = [new Date(campaign.nextRunAt)];
+  while (runs.length < count) {
+    const next = computeNextRun(campaign, runs[runs.length - 1]);
+    if (!next) break;
+    runs.push(next);
+  }
+  return runs;
+}
+
+const normalizeContactFields = (raw) => {
+  const input = parseJson(raw, null);
+  const list = Array.isArray(input) ? [...new Set(input.map((f) => String(f ?? '').trim()).filter(Boolean))] : [];
+  if (list.length === 0) {
+    throw campaignError(`contactFields must list at least one of: ${SMS_CAMPAIGN_CONTACT_FIELDS.join(', ')}`);
+  }
+  const unknown = list.filter((f) => !SMS_CAMPAIGN_CONTACT_FIELDS.includes(f));
+  if (unknown.length > 0) {
+    throw campaignError(`Unsupported contact field(s): ${unknown.join(', ')}`);
+  }
+  return list;
+};
+
+const normalizeVariables = (raw) => {
+  const input = parseJson(raw, []);
+  if (!Array.isArray(input)) throw campaignError('variables must be an array of { key, value } or { key, field }');
+  return input.map((variable, index) => {
+    const key = String(variable?.key ?? '').trim() || `var${index + 1}`;
+    const field = variable?.field != null ? String(variable.field).trim() : '';
+    if (field) {
+      if (!SMS_CAMPAIGN_VARIABLE_FIELDS.includes(field)) {
+        throw campaignError(`Variable ${key}: field must be one of: ${SMS_CAMPAIGN_VARIABLE_FIELDS.join(', ')}`);
+      }
+      return { key, field };
+    }
+    return { key, value: variable?.value != null ? String(variable.value) : '' };
+  });
+};
+
+const parseFutureDate = (value, label, now) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw campaignError(`${label} must be a valid date-time`);
+  if (date <= now) throw campaignError(`${label} must be in the future`);
+  return date;
+};
+
+/**
+ * Validate a create / update body (merged over the formatted campaign on update) and compute its next run.
+ * @returns {Promise<object>} normalized campaign fields plus `nextRunAt` (Date)
+ */
+export async function normalizeCampaignInput(db, body, now = new Date()) {
+  const name = String(body.name ?? '').trim();
+  if (!name) throw campaignError('name is required');
+  if (name.length > MAX_NAME_LENGTH) throw campaignError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+  const templateId = String(body.templateId ?? '').trim();
+  if (!templateId) throw campaignError('templateId is required');
+  let template;
+  try {
+    template = await findTemplate(templateId);
+  } catch (error) {
+    throw campaignError(error.message, 404);
+  }
+  if (template.category !== 'sms') throw campaignError('Campaigns can only use SMS templates');
+  const compliance = validateTemplateDefinition(template);
+  if (!compliance.ok) throw complianceError(compliance, 'Template fails DLT checks');
+
+  const savedViewId = body.savedViewId ? String(body.savedViewId).trim() : null;
+  let filters = body.filters != null ? normalizeViewFilters(body.filters) : null;
+  if (savedViewId) {
+    const [views] = await db.execute('SELECT id, filters FROM lead_saved_views WHERE id = ?', [savedViewId]);
+    if (views.length === 0) throw campaignError('Saved view not found', 404);
+    // Snapshot so the campaign keeps an audience if the view is deleted later
+    filters = normalizeViewFilters(views[0].filters);
+  }
+  if (!filters) throw campaignError('Either savedViewId or filters is required');
+
+  const recurrence = String(body.recurrence ?? 'none').trim();
+  if (!SMS_CAMPAIGN_RECURRENCES.includes(recurrence)) {
+    throw campaignError(`recurrence must be one of: ${SMS_CAMPAIGN_RECURRENCES.join(', ')}`);
+  }
+
+  const campaign = {
+    name,
+    templateId: template.id,
+    savedViewId,
+    filters,
+    contactFields: normalizeContactFields(body.contactFields),
+    variables: normalizeVariables(body.variables),
+    recurrence,
+    recurrenceTime: null,
+    recurrenceDays: null,
+    recurrenceUntil: null,
+  };
+
+  if (recurrence === 'none') {
+    if (!body.scheduledAt) throw campaignError('scheduledAt is required for a one-time campaign');
+    return { ...campaign, nextRunAt: parseFutureDate(body.scheduledAt, 'scheduledAt', now) };
+  }
+
+  const time = String(body.recurrenceTime ?? '').trim();
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(time);
+  if (!timeMatch || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) {
+    throw campaignError('recurrenceTime must be HH:MM (IST)');
+  }
+  campaign.recurrenceTime = `${timeMatch[1].padStart(2, '0')}:${timeMatch[2]}`;
+
+  if (recurrence === 'weekly') {
+    const rawDays = parseJson(body.recurrenceDays, []);
+    const days = Array.isArray(rawDays) ? [...new Set(rawDays.map(Number))].sort() : [];
+    if (days.length === 0 || days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw campaignError('recurrenceDays must list weekdays 0 (Sunday) to 6 (Saturday)');
+    }
+    campaign.recurrenceDays = days;
+  }
+
+  if (body.recurrenceUntil) {
+    const until = String(body.recurrenceUntil).trim().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(until) || Number.isNaN(new Date(`${until}T00:00:00Z`).getTime())) {
+      throw campaignError('recurrenceUntil must be a date (YYYY-MM-DD)');
+    }
+    if (until < todayYmdIST(now)) throw campaignError('recurrenceUntil cannot be in the past');
+    campaign.recurrenceUntil = until;
+  }
+
+  // An optional scheduledAt delays the first recurring run
+  const startAfter = body.scheduledAt ? new Date(parseFutureDate(body.scheduledAt, 'scheduledAt', now).getTime() - 1) : now;
+  const nextRunAt = computeNextRun(campaign, startAfter);
+  if (!nextRunAt) throw campaignError('The recurrence has no runs left before recurrenceUntil');
+  return { ...campaign, nextRunAt };
+}
+
+/** Column values for INSERT / UPDATE from normalizeCampaignInput output. */
+export const campaignColumnValues = (campaign) => ({
+  name: campaign.name,
+  template_id: campaign.templateId,
+  saved_view_id: campaign.savedViewId,
+  filters: JSON.stringify(campaign.filters),
+  contact_fields: JSON.stringify(campaign.contactFields),
+  variables: JSON.stringify(campaign.variables),
+  recurrence: campaign.recurrence,
+  recurrence_time: campaign.recurrenceTime,
+  recurrence_days: campaign.recurrenceDays ? JSON.stringify(campaign.recurrenceDays) : null,
+  recurrence_until: campaign.recurrenceUntil,
+  next_run_at: toSqlDateTime(campaign.nextRunAt),
+});
+
+/**
+ * Current audience as bulk job items: leads matching the view / filters (no per-user access scope — campaigns are
+ * Super Admin only), newest first, one item per lead with at least one number, capped at MAX_SMS_BULK_JOB_ITEMS.
+ * @returns {Promise<{ items: object[], matched: number, truncated: boolean }>}
+ */
+export async function buildCampaignAudience(db, campaign) {
+  let filters = campaign.filters || {};
+  if (campaign.savedViewId) {
+    const [views] = await db.execute('SELECT filters FROM lead_saved_views WHERE id = ?', [campaign.savedViewId]);
+    if (views.length > 0) filters = parseJson(views[0].filters, filters);
+  }
+  const [users] = await db.execute('SELECT id, role_name FROM users WHERE id = ?', [campaign.createdBy]);
+  const user = { id: campaign.createdBy, roleName: users[0]?.role_name || 'Super Admin' };
+
+  const query = resolveViewFilters(filters);
+  const customFields = await loadCustomFieldsForQuery(db, query);
+  const { conditions, params } = buildLeadFilterConditions({ query, user }, 'l', { skipAccessControl: true, customFields });
+  const variableFields = [...new Set(campaign.variables.filter((v) => v.field).map((v) => v.field))];
+  const columns = [...new Set(['id', 'name', ...campaign.contactFields, ...variableFields])].map((c) => `l.${c}`);
+  const [rows] = await db.execute(
+    `SELECT ${columns.join(', ')}
+     FROM leads l
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY l.created_at DESC
+     LIMIT ${Number(MAX_SMS_BULK_JOB_ITEMS) + 1}`,
+    params
+  );
+
+  const items = [];
+  for (const lead of rows.slice(0, MAX_SMS_BULK_JOB_ITEMS)) {
+    const contactNumbers = [
+      ...new Set(campaign.contactFields.map((f) => String(lead[f] || '').replace(/[^\d+]/g, '')).filter(Boolean)),
+    ];
+    if (contactNumbers.length === 0) continue;
+    items.push({
+      leadId: lead.id,
+      leadName: lead.name,
+      contactNumbers,
+      variables: campaign.variables.map((v) =>
+        v.field ? { key: v.key, value: lead[v.field] != null ? String(lead[v.field]) : '' } : { key: v.key, value: v.value }
+      ),
+    });
+  }
+  return { items, matched: rows.length, truncated: rows.length > MAX_SMS_BULK_JOB_ITEMS };
+}
+
+/**
+ * Run one due campaign: claim the run by moving next_run_at (another process that read the same row loses the
+ * race), then create and start its bulk job.
+ * @returns {Promise<string|null>} bulk job ID, or null when the run was claimed elsewhere or had no recipients
+ */
+export async function runCampaign(db, row, now = new Date()) {
+  const campaign = formatCampaignRow(row);
+  const next = computeNextRun(campaign, now);
+  const [claim] = await db.execute(
+    `UPDATE sms_campaigns
+     SET next_run_at = ?, status = ?, run_count = run_count + 1, last_run_at = ?
+     WHERE id = ? AND status = 'scheduled' AND next_run_at = ?`,
+    [next ? toSqlDateTime(next) : null, next ? 'scheduled' : 'completed', toSqlDateTime(now), campaign.id, row.next_run_at]
+  );
+  if (claim.affectedRows === 0) return null;
+
+  try {
+    const { items, matched, truncated } = await buildCampaignAudience(db, campaign);
+    if (items.length === 0) {
+      const message = matched > 0 ? 'No matching lead has a number in the selected contact fields' : 'No leads matched the audience';
+      await db.execute('UPDATE sms_campaigns SET last_job_id = NULL, last_error = ? WHERE id = ?', [message, campaign.id]);
+      return null;
+    }
+    const { jobId } = await createSmsBulkJobRecord({
+      pool: db,
+      userId: campaign.createdBy,
+      source: 'sms_campaign',
+      templateId: campaign.templateId,
+      items,
+      campaignId: campaign.id,
+    });
+    const warning = truncated ? `Audience exceeded ${MAX_SMS_BULK_JOB_ITEMS} leads; only the newest were sent` : null;
+    await db.execute('UPDATE sms_campaigns SET last_job_id = ?, last_error = ? WHERE id = ?', [jobId, warning, campaign.id]);
+    scheduleProcessSmsBulkJob(jobId);
+    return jobId;
+  } catch (error) {
+    await db.execute('UPDATE sms_campaigns SET last_error = ? WHERE id = ?', [String(error.message || error).slice(0, 2000), campaign.id]);
+    throw error;
+  }
+}
+
+/** Run every campaign whose next_run_at has passed. @returns {Promise<number>} bulk jobs created */
+export async function runDueCampaigns(db, now = new Date()) {
+  const [rows] = await db.execute(
+    `SELECT * FROM sms_campaigns
+     WHERE status = 'scheduled' AND next_run_at IS NOT NULL AND next_run_at <= ?
+     ORDER BY next_run_at ASC
+     LIMIT ${MAX_CAMPAIGNS_PER_TICK}`,
+    [toSqlDateTime(now)]
+  );
+  let created = 0;
+  for (const row of rows) {
+    try {
+      if (await runCampaign(db, row, now)) created += 1;
+    } catch (error) {
+      console.error(`[SmsCampaigns] Campaign ${row.id} run failed:`, error?.message || error);
+    }
+  }
+  return created;
+}
+
+/** Start queued bulk jobs whose scheduled_at has passed. @returns {Promise<number>} jobs started */
+export async function startDueScheduledJobs(db, now = new Date()) {
+  const [rows] = await db.execute(
+    `SELECT id FROM sms_bulk_jobs
+     WHERE status = 'queued' AND scheduled_at IS NOT NULL AND scheduled_at <= ?
+     ORDER BY scheduled_at ASC
+     LIMIT 50`,
+    [toSqlDateTime(now)]
+  );
+  rows.forEach((row) => scheduleProcessSmsBulkJob(row.id));
+  return rows.length;
+}
+
+let campaignTimeoutId = null;
+
+/** Starts the campaign / scheduled job tick (see env above). */
+export const initSmsCampaignScheduler = () => {
+  const enabled = String(process.env.SMS_CAMPAIGNS_ENABLED ?? 'true').toLowerCase();
+  if (enabled === 'false' || enabled === '0') {
+    console.log('[SmsCampaigns] Disabled (SMS_CAMPAIGNS_ENABLED).');
+    return;
+  }
+  clearTimeout(campaignTimeoutId);
+
+  const minutes = Math.max(parseInt(process.env.SMS_CAMPAIGN_TICK_MINUTES, 10) || 1, 1);
+  const scheduleTick = (delay) => {
+    campaignTimeoutId = setTimeout(async () => {
+      campaignTimeoutId = null;
+      try {
+        const pool = getPool();
+        const jobs = await runDueCampaigns(pool);
+        const started = await startDueScheduledJobs(pool);
+        if (jobs || started) {
+          console.log(`[SmsCampaigns] Created ${jobs} campaign job(s), started ${started} scheduled job(s)`);
+        }
+      } catch (error) {
+        console.error('[SmsCampaigns] Scheduled run failed:', error?.message || error);
+      }
+      scheduleTick(minutes * 60 * 1000);
+    }, delay);
+  };
+  scheduleTick(30 * 1000);
+  console.log(`[SmsCampaigns] Every ${minutes} min`);
+};
@@ -0,0 +1,254 @@
+/**
+ * DLT compliance checks and message preview for SMS templates. Templates use DLT `{#var#}` placeholders; a message
+ * is checked for the encoding it will be sent in (GSM-7 or Unicode / UCS-2), its length in segments, the credits
+ * it costs per recipient, and anything the operator would reject:
+ *
+ * - template  unsupported or malformed placeholders, stored variable_count out of sync with the content, default
+ *             values over the variable limit, Unicode characters in a template not marked Unicode, DLT template ID
+ * - message   (a rendered send) the template checks plus empty / over-long variable values, unresolved
+ *             placeholders and messages over the segment limit; Unicode that only comes from variable values is a
+ *             warning and the message is sent as Unicode (like `checkSmsMessage`)
+ *
+ * Violations are `{ code, severity: 'error' | 'warning', message, variable? }`; any error blocks the send.
+ *
+ * DLT_VARIABLE_MAX_LENGTH (default 30) is the DLT limit per `{#var#}` value; SMS_MAX_SEGMENTS (default 6) the
+ * longest message sent; SMS_CREDITS_PER_SEGMENT (default 1) what the provider charges per segment.
+ */
+
+const VARIABLE_MAX_LENGTH = Math.max(parseInt(process.env.DLT_VARIABLE_MAX_LENGTH, 10) || 30, 1);
+const MAX_SEGMENTS = Math.max(parseInt(process.env.SMS_MAX_SEGMENTS, 10) || 6, 1);
+const CREDITS_PER_SEGMENT = Math.max(Number(process.env.SMS_CREDITS_PER_SEGMENT) || 1, 0);
+
+const VAR_PLACEHOLDER_REGEX = /\{#var#\}/gi;
+/** `{#...#}` tags (DLT also has {#numeric#}, {#url#}, … which the renderer does not fill) and near-misses of {#var#}. */
+const PLACEHOLDER_LIKE_REGEX = /\{#[^{}]*#\}|\{\s*#?\s*var\s*#?\s*\}|\{#\s*var\b[^}]*\}/gi;
+const DLT_TEMPLATE_ID_REGEX = /^\d+$/;
+const DLT_TEMPLATE_ID_LENGTH = 19;
+
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+/** GSM-7 extension table: each takes two septets. */
+const GSM7_EXTENSION = new Set('^{}\\[~]|€\f');
+
+const violation = (code, severity, message, variable) => ({
+  code,
+  severity,
+  message,
+  ...(variable ? { variable } : {}),
+});
+
+/**
+ * Encoding, length and segments of one SMS text.
+ * @param {string} text
+ * @param {{ unicode?: boolean }} [options] unicode: sent as Unicode regardless of content
+ */
+export function analyzeSmsText(text, { unicode = false } = {}) {
+  const value = String(text ?? '');
+  const chars = [...value];
+  const nonGsmCharacters = [...new Set(chars.filter((c) => !GSM7_BASIC.has(c) && !GSM7_EXTENSION.has(c)))];
+  const encoding = unicode || nonGsmCharacters.length > 0 ? 'unicode' : 'gsm7';
+  // GSM-7 counts septets (extension characters take two); UCS-2 counts UTF-16 code units
+  const units =
+    encoding === 'gsm7' ? chars.reduce((sum, c) => sum + (GSM7_EXTENSION.has(c) ? 2 : 1), 0) : value.length;
+  const [single, multi] = encoding === 'gsm7' ? [160, 153] : [70, 67];
+  const segments = units === 0 ? 0 : units <= single ? 1 : Math.ceil(units / multi);
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    charactersPerSegment: segments > 1 ? multi : single,
+    nonGsmCharacters,
+    creditsPerRecipient: segments * CREDITS_PER_SEGMENT,
+  };
+}
+
+/** Template is sent as Unicode (same rule as the send paths). */
+const isUnicodeTemplate = (template) => Boolean(template.isUnicode) || (template.language || 'en') !== 'en';
+
+const summarize = (analysis, violations) => ({
+  ok: !violations.some((v) => v.severity === 'error'),
+  ...analysis,
+  maxSegments: MAX_SEGMENTS,
+  variableMaxLength: VARIABLE_MAX_LENGTH,
+  violations,
+});
+
+/**
+ * Checks that hold for the template whatever values are sent.
+ * @param {object} template formatted template (content, dltTemplateId, isUnicode, language, variableCount, variables)
+ */
+export function validateTemplateDefinition(template) {
+  const content = String(template.content || '');
+  const violations = [];
+  if (!content.trim()) {
+    violations.push(violation('EMPTY_CONTENT', 'error', 'Template content is empty'));
+  }
+
+  const dltId = String(template.dltTemplateId || '').trim();
+  if (!dltId) {
+    violations.push(violation('MISSING_DLT_TEMPLATE_ID', 'error', 'DLT template ID is required'));
+  } else if (!DLT_TEMPLATE_ID_REGEX.test(dltId)) {
+    violations.push(violation('INVALID_DLT_TEMPLATE_ID', 'error', 'DLT template ID must contain digits only'));
+  } else if (dltId.length !== DLT_TEMPLATE_ID_LENGTH) {
+    violations.push(
+      violation('DLT_TEMPLATE_ID_LENGTH', 'warning', `DLT template IDs are usually ${DLT_TEMPLATE_ID_LENGTH} digits (got ${dltId.length})`)
+    );
+  }
+
+  const unsupported = [...new Set((content.match(PLACEHOLDER_LIKE_REGEX) || []).filter((p) => p.toLowerCase() !== '{#var#}'))];
+  if (unsupported.length > 0) {
+    violations.push(
+      violation('UNSUPPORTED_PLACEHOLDER', 'error', `Only {#var#} placeholders are supported; found ${unsupported.join(', ')}`)
+    );
+  }
+
+  const placeholderCount = (content.match(VAR_PLACEHOLDER_REGEX) || []).length;
+  if (template.variableCount != null && Number(template.variableCount) !== placeholderCount) {
+    violations.push(
+      violation(
+        'VARIABLE_COUNT_MISMATCH',
+        'error',
+        `Template expects ${template.variableCount} variable(s) but the content has ${placeholderCount} {#var#} placeholder(s); re-save the template`
+      )
+    );
+  }
+  (template.variables || []).slice(0, placeholderCount).forEach((variable, index) => {
+    const key = variable?.key || `var${index + 1}`;
+    if (String(variable?.defaultValue || '').length > VARIABLE_MAX_LENGTH) {
+      violations.push(
+        violation('VARIABLE_DEFAULT_TOO_LONG', 'error', `Default value of ${key} exceeds ${VARIABLE_MAX_LENGTH} characters`, key)
+      );
+    }
+  });
+
+  const unicode = isUnicodeTemplate(template);
+  const fixedText = content.replace(VAR_PLACEHOLDER_REGEX, '');
+  const fixed = analyzeSmsText(fixedText, { unicode });
+  if (!unicode && fixed.nonGsmCharacters.length > 0) {
+    violations.push(
+      violation(
+        'ENCODING_MISMATCH',
+        'error',
+        `Content has Unicode characters (${fixed.nonGsmCharacters.slice(0, 10).join(' ')}); mark the template Unicode or remove them`
+      )
+    );
+  } else if (template.isUnicode && (template.language || 'en') === 'en' && analyzeSmsText(fixedText).encoding === 'gsm7') {
+    violations.push(
+      violation('UNNEEDED_UNICODE', 'warning', 'Content is plain GSM text; sending it as Unicode uses more segments')
+    );
+  }
+
+  // Length with every variable filled to the DLT limit
+  const longest = analyzeSmsText(content.replace(VAR_PLACEHOLDER_REGEX, 'x'.repeat(VARIABLE_MAX_LENGTH)), { unicode });
+  if (fixed.segments > MAX_SEGMENTS) {
+    violations.push(
+      violation('TOO_MANY_SEGMENTS', 'error', `Message is ${fixed.segments} segments before variables (limit ${MAX_SEGMENTS})`)
+    );
+  } else if (longest.segments > MAX_SEGMENTS) {
+    violations.push(
+      violation(
+        'MAY_EXCEED_SEGMENTS',
+        'warning',
+        `With long variable values the message can reach ${longest.segments} segments (limit ${MAX_SEGMENTS})`
+      )
+    );
+  }
+
+  return {
+    ...summarize(fixed, violations),
+    placeholderCount,
+    longestSegments: longest.segments,
+    longestCreditsPerRecipient: longest.creditsPerRecipient,
+  };
+}
+
+/**
+ * Checks for one send: the template checks plus the rendered text and each variable value.
+ * @param {object} template formatted template
+ * @param {string} rendered output of renderTemplateContent
+ * @param {Array<{ key: string, value: string }>} mappedVariables output of renderTemplateContent
+ */
+export function validateRenderedMessage(template, rendered, mappedVariables = []) {
+  const definition = validateTemplateDefinition(template);
+  // Length of the real message replaces the template estimates; Unicode in the fixed content stays an error
+  const violations = definition.violations.filter(
+    (v) => !['TOO_MANY_SEGMENTS', 'MAY_EXCEED_SEGMENTS', 'UNNEEDED_UNICODE'].includes(v.code)
+  );
+
+  mappedVariables.forEach((variable, index) => {
+    const key = variable.key || `var${index + 1}`;
+    const value = String(variable.value ?? '');
+    if (!value.trim()) {
+      violations.push(violation('VARIABLE_EMPTY', 'warning', `${key} is empty`, key));
+    } else if ([...value].length > VARIABLE_MAX_LENGTH) {
+      violations.push(
+        violation('VARIABLE_TOO_LONG', 'error', `${key} is ${[...value].length} characters (DLT limit ${VARIABLE_MAX_LENGTH})`, key)
+      );
+    }
+  });
+
+  const unresolved = String(rendered || '').match(PLACEHOLDER_LIKE_REGEX) || [];
+  if (unresolved.length > 0) {
+    violations.push(violation('UNRESOLVED_PLACEHOLDER', 'error', `Message still contains ${unresolved.join(', ')}`));
+  }
+
+  // Unicode that only comes from variable values (e.g. a lead's name) is sent as Unicode, as checkSmsMessage does
+  const unicode = isUnicodeTemplate(template);
+  const analysis = analyzeSmsText(rendered, { unicode });
+  if (!unicode && analysis.nonGsmCharacters.length > 0 && !violations.some((v) => v.code === 'ENCODING_MISMATCH')) {
+    violations.push(
+      violation(
+        'ENCODING_MISMATCH',
+        'warning',
+        `Message has Unicode characters (${analysis.nonGsmCharacters.slice(0, 10).join(' ')}); it is sent as Unicode`
+      )
+    );
+  }
+  if (analysis.segments > MAX_SEGMENTS) {
+    violations.push(
+      violation('TOO_MANY_SEGMENTS', 'error', `Message is ${analysis.segments} segments (limit ${MAX_SEGMENTS})`)
+    );
+  }
+  return { ...summarize(analysis, violations), rendered };
+}
+
+/**
+ * Checks every SMS gets at the provider layer, whatever built it: empty text, unresolved placeholders and the
+ * segment limit. Unicode text not flagged as Unicode is reported so the caller can send it as Unicode.
+ */
+export function checkSmsMessage({ message, isUnicode = false }) {
+  const violations = [];
+  const text = String(message ?? '');
+  if (!text.trim()) {
+    violations.push(violation('EMPTY_CONTENT', 'error', 'Message is empty'));
+  }
+  const unresolved = text.match(PLACEHOLDER_LIKE_REGEX) || [];
+  if (unresolved.length > 0) {
+    violations.push(violation('UNRESOLVED_PLACEHOLDER', 'error', `Message still contains ${unresolved.join(', ')}`));
+  }
+  const analysis = analyzeSmsText(text, { unicode: isUnicode });
+  if (!isUnicode && analysis.encoding === 'unicode') {
+    violations.push(violation('ENCODING_MISMATCH', 'warning', 'Message has Unicode characters; it is sent as Unicode'));
+  }
+  if (analysis.segments > MAX_SEGMENTS) {
+    violations.push(violation('TOO_MANY_SEGMENTS', 'error', `Message is ${analysis.segments} segments (limit ${MAX_SEGMENTS})`));
+  }
+  return summarize(analysis, violations);
+}
+
+/** One-line summary of the blocking violations, for error messages and logs. */
+export const describeViolations = (report) =>
+  report.violations
+    .filter((v) => v.severity === 'error')
+    .map((v) => v.message)
+    .join('; ');
+
+/** 422 error for a blocked send; `compliance` carries the full report. */
+export const complianceError = (report, prefix = 'Blocked by DLT checks') => {
+  const err = new Error(`${prefix}: ${describeViolations(report)}`);
+  err.statusCode = 422;
+  err.compliance = report;
+  return err;
+};
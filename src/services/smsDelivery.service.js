@@ -0,0 +1,285 @@
+/**
+ * SMS delivery reports (DLR): per-number delivery state on communications and sms_bulk_job_items.
+ *
+ * A send the provider accepts is stored as `submitted`. The provider's DLR webhook (POST or GET
+ * /api/communications/sms/dlr, token SMS_DLR_WEBHOOK_TOKEN via ?token= or `x-sms-dlr-token`; refused while the
+ * token is not configured) moves it to delivered / failed / dnd / expired / rejected. Failed states also set
+ * communications.status = 'failed'. Reports are matched on the indexed communications.provider_message_id (the
+ * row's message ID, generated from provider_message_ids).
+ *
+ * Polling fallback (started only when BULK_SMS_DLR_URL is set; SMS_DLR_POLL_ENABLED=false disables it): every
+ * SMS_DLR_POLL_INTERVAL_MINUTES (default 15), messages still `submitted` after SMS_DLR_POLL_MIN_AGE_MINUTES
+ * (default 10) are looked up by message ID with the provider that sent them (metadata.smsProvider; providers without
+ * a lookup rely on the webhook), at most SMS_DLR_POLL_MAX_ATTEMPTS times (default 6). Messages without a report after
+ * SMS_DLR_POLL_MAX_AGE_HOURS (default 72) become `unknown`.
+ */
+import { timingSafeEqual } from 'crypto';
+import { getPool } from '../config-sql/database.js';
+import { isBulkSmsDeliveryReportConfigured } from './bulkSms.service.js';
+import { getSmsProvider } from './smsProvider.service.js';
+
+export const SMS_DELIVERY_STATUSES = ['submitted', 'delivered', 'failed', 'dnd', 'expired', 'rejected', 'unknown'];
+const FINAL_STATUSES = new Set(['delivered', 'failed', 'dnd', 'expired', 'rejected']);
+const FAILED_STATUSES = ['failed', 'dnd', 'expired', 'rejected'];
+
+const POLL_MIN_AGE_MINUTES = Math.max(parseInt(process.env.SMS_DLR_POLL_MIN_AGE_MINUTES, 10) || 10, 1);
+const POLL_MAX_AGE_HOURS = Math.max(parseInt(process.env.SMS_DLR_POLL_MAX_AGE_HOURS, 10) || 72, 1);
+const POLL_MAX_ATTEMPTS = Math.max(parseInt(process.env.SMS_DLR_POLL_MAX_ATTEMPTS, 10) || 6, 1);
+const POLL_BATCH_SIZE = 100;
+
+/** Provider status words (BulkSMSApps / SMPP `stat`) → our delivery status. */
+const STATUS_PATTERNS = [
+  [/^(delivrd|delivered|success|dlvd)$/i, 'delivered'],
+  [/dnd|ndnc|ncpr|blocked/i, 'dnd'],
+  [/expir/i, 'expired'],
+  [/reject|invalid|blacklist|template/i, 'rejected'],
+  [/undeliv|undelv|fail|error|absent|switched|deleted/i, 'failed'],
+  [/submit|sent|pending|accept|enroute|queued|buffered/i, 'submitted'],
+];
+
+export const normalizeDeliveryStatus = (raw) => {
+  const text = String(raw ?? '').trim();
+  if (!text) return null;
+  const match = STATUS_PATTERNS.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : 'unknown';
+};
+
+const last10 = (number) => String(number || '').replace(/\D/g, '').slice(-10);
+
+const toMysqlDateTime = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().slice(0, 19).replace('T', ' ');
+};
+
+/** Delivery state of one communications row, for API payloads. */
+export const formatDeliveryFields = (row) => ({
+  deliveryStatus: row.delivery_status || null,
+  deliveryError: row.delivery_error || null,
+  deliveredAt: row.delivered_at || null,
+});
+
+/** `{ delivered, failed, pending, tracked, deliveryRate }` from counts; rate is % of tracked messages delivered. */
+export const buildDeliverySummary = ({ delivered = 0, failed = 0, pending = 0 } = {}) => {
+  const d = Number(delivered) || 0;
+  const f = Number(failed) || 0;
+  const p = Number(pending) || 0;
+  const tracked = d + f + p;
+  return {
+    delivered: d,
+    failed: f,
+    pending: p,
+    tracked,
+    deliveryRate: tracked > 0 ? Math.round((d / tracked) * 1000) / 10 : null,
+  };
+};
+
+/** SQL expressions counting delivered / failed / pending rows for a `delivery_status` column. */
+export const deliveryCountColumns = (column = 'delivery_status') => `
+  COALESCE(SUM(CASE WHEN ${column} = 'delivered' THEN 1 ELSE 0 END), 0) AS delivered_count,
+  COALESCE(SUM(CASE WHEN ${column} IN ('${FAILED_STATUSES.join("', '")}') THEN 1 ELSE 0 END), 0) AS delivery_failed_count,
+  COALESCE(SUM(CASE WHEN ${column} IN ('submitted', 'unknown') THEN 1 ELSE 0 END), 0) AS delivery_pending_count`;
+
+/**
+ * Re-derive a bulk job item's delivery state from its communications rows.
+ * The item is `delivered` when any number got it, else `submitted` while any is still open, else the first failure.
+ */
+async function refreshBulkItemDelivery(db, item) {
+  const commIds = typeof item.communication_ids === 'string' ? JSON.parse(item.communication_ids) : item.communication_ids;
+  if (!Array.isArray(commIds) || commIds.length === 0) return;
+  const placeholders = commIds.map(() => '?').join(', ');
+  const [comms] = await db.execute(
+    `SELECT contact_number, delivery_status, delivery_error, delivered_at
+     FROM communications WHERE id IN (${placeholders})`,
+    commIds
+  );
+  const report = {};
+  comms.forEach((c) => {
+    report[c.contact_number] = {
+      status: c.delivery_status || null,
+      error: c.delivery_error || null,
+      deliveredAt: c.delivered_at || null,
+    };
+  });
+  const statuses = comms.map((c) => c.delivery_status).filter(Boolean);
+  let status = null;
+  if (statuses.includes('delivered')) status = 'delivered';
+  else if (statuses.includes('submitted')) status = 'submitted';
+  else if (statuses.length > 0) status = statuses.find((s) => s !== 'unknown') || 'unknown';
+  await db.execute(
+    `UPDATE sms_bulk_job_items SET delivery_status = ?, delivery_report = ?, delivery_updated_at = NOW() WHERE id = ?`,
+    [status, JSON.stringify(report), item.id]
+  );
+}
+
+/**
+ * Apply one delivery report to the communications rows carrying the message ID (and number, when given),
+ * then to the bulk job items that sent them. Final states are not overwritten, except by `delivered`.
+ * @returns {Promise<{ status: string|null, updated: number }>}
+ */
+export async function applyDeliveryReport(db, { messageId, number = null, status: rawStatus, error = null, deliveredAt = null }) {
+  const status = normalizeDeliveryStatus(rawStatus);
+  if (!messageId || !status) {
+    return { status, updated: 0 };
+  }
+  const conditions = [`type = 'sms'`, 'provider_message_id = ?'];
+  const params = [String(messageId)];
+  if (last10(number).length === 10) {
+    conditions.push('RIGHT(contact_number, 10) = ?');
+    params.push(last10(number));
+  }
+  const [rows] = await db.execute(
+    `SELECT id, lead_id, delivery_status FROM communications WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  const targets = rows.filter(
+    (r) => status === 'delivered' || !FINAL_STATUSES.has(String(r.delivery_status || ''))
+  );
+  if (targets.length === 0) {
+    return { status, updated: 0 };
+  }
+
+  const failed = FAILED_STATUSES.includes(status);
+  const ids = targets.map((r) => r.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  await db.execute(
+    `UPDATE communications SET
+       delivery_status = ?,
+       delivery_error = ?,
+       delivered_at = ?,
+       delivery_updated_at = NOW(),
+       status = CASE WHEN ? THEN 'failed' WHEN ? = 'delivered' THEN 'success' ELSE status END
+     WHERE id IN (${placeholders})`,
+    [
+      status,
+      failed ? String(error || rawStatus).slice(0, 255) : null,
+      status === 'delivered' ? toMysqlDateTime(deliveredAt) : null,
+      failed,
+      status,
+      ...ids,
+    ]
+  );
+
+  for (const target of targets) {
+    const [items] = await db.execute(
+      `SELECT id, communication_ids FROM sms_bulk_job_items
+       WHERE lead_id = ? AND JSON_CONTAINS(communication_ids, JSON_QUOTE(?))`,
+      [target.lead_id, target.id]
+    );
+    for (const item of items) {
+      await refreshBulkItemDelivery(db, item);
+    }
+  }
+  return { status, updated: targets.length };
+}
+
+/** DLR webhook payloads differ per provider; accept the common field names, one report or an array. */
+export const parseDeliveryReportPayload = (payload) => {
+  const list = Array.isArray(payload) ? payload : Array.isArray(payload?.reports) ? payload.reports : [payload];
+  return list
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => ({
+      messageId: entry.messageid || entry.messageId || entry.MessageId || entry.message_id || entry.msgid || entry.id || null,
+      number: entry.number || entry.mobile || entry.mobileno || entry.to || entry.recipient || entry.msisdn || null,
+      status: entry.status || entry.Status || entry.dlrstatus || entry.stat || null,
+      error: entry.error || entry.errorcode || entry.err || entry.reason || null,
+      deliveredAt: entry.deliveredAt || entry.delivered_at || entry.donedate || entry.dlrtime || null,
+    }))
+    .filter((entry) => entry.messageId && entry.status);
+};
+
+export const isSmsDlrWebhookAuthorized = (token) => {
+  const expected = Buffer.from(process.env.SMS_DLR_WEBHOOK_TOKEN || '', 'utf8');
+  if (expected.length === 0 || typeof token !== 'string') return false;
+  const given = Buffer.from(token, 'utf8');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+/**
+ * Polling fallback: look up messages still `submitted`, and give up (`unknown`) on the ones past max age.
+ * @returns {Promise<{ polled: number, updated: number, expired: number }>}
+ */
+export async function pollPendingDeliveryReports(db) {
+  const [expiredResult] = await db.execute(
+    `UPDATE communications
+     SET delivery_status = 'unknown', delivery_updated_at = NOW()
+     WHERE type = 'sms' AND delivery_status = 'submitted'
+       AND (sent_at < DATE_SUB(NOW(), INTERVAL ${POLL_MAX_AGE_HOURS} HOUR) OR delivery_poll_attempts >= ?)`,
+    [POLL_MAX_ATTEMPTS]
+  );
+
+  const [rows] = await db.execute(
+    `SELECT id, provider_message_ids, JSON_UNQUOTE(JSON_EXTRACT(metadata, '$.smsProvider')) AS sms_provider
+     FROM communications
+     WHERE type = 'sms' AND delivery_status = 'submitted'
+       AND sent_at < DATE_SUB(NOW(), INTERVAL ${POLL_MIN_AGE_MINUTES} MINUTE)
+       AND delivery_poll_attempts < ?
+     ORDER BY delivery_poll_attempts ASC, sent_at ASC
+     LIMIT ${POLL_BATCH_SIZE}`,
+    [POLL_MAX_ATTEMPTS]
+  );
+
+  // message ID → provider that sent it (rows from before the provider layer are BulkSMSApps)
+  const messageIds = new Map();
+  rows.forEach((row) => {
+    const ids = typeof row.provider_message_ids === 'string' ? JSON.parse(row.provider_message_ids) : row.provider_message_ids;
+    const provider = row.sms_provider && row.sms_provider !== 'null' ? row.sms_provider : 'bulksmsapps';
+    if (Array.isArray(ids) && ids[0]) messageIds.set(String(ids[0]), provider);
+  });
+  if (rows.length > 0) {
+    const placeholders = rows.map(() => '?').join(', ');
+    await db.execute(
+      `UPDATE communications SET delivery_poll_attempts = delivery_poll_attempts + 1 WHERE id IN (${placeholders})`,
+      rows.map((r) => r.id)
+    );
+  }
+
+  let updated = 0;
+  for (const [messageId, providerName] of messageIds) {
+    try {
+      const provider = getSmsProvider(providerName);
+      if (!provider.fetchDeliveryReport) continue;
+      const reports = await provider.fetchDeliveryReport(messageId);
+      for (const report of reports) {
+        const result = await applyDeliveryReport(db, { messageId, ...report, error: report.raw });
+        updated += result.updated;
+      }
+    } catch (error) {
+      console.error(`[SmsDelivery] Poll failed for message ${messageId}:`, error?.message || error);
+    }
+  }
+  return { polled: messageIds.size, updated, expired: Number(expiredResult?.affectedRows || 0) };
+}
+
+let pollTimeoutId = null;
+
+/** Starts the delivery report polling fallback (see env above). */
+export const initSmsDeliveryPolling = () => {
+  const enabled = String(process.env.SMS_DLR_POLL_ENABLED ?? 'true').toLowerCase();
+  if (enabled === 'false' || enabled === '0') {
+    console.log('[SmsDelivery] Polling disabled (SMS_DLR_POLL_ENABLED).');
+    return;
+  }
+  if (!isBulkSmsDeliveryReportConfigured()) {
+    console.log('[SmsDelivery] Polling off: BULK_SMS_DLR_URL is not set (delivery reports via webhook only).');
+    return;
+  }
+  clearTimeout(pollTimeoutId);
+
+  const minutes = Math.max(parseInt(process.env.SMS_DLR_POLL_INTERVAL_MINUTES, 10) || 15, 1);
+  const scheduleTick = (delay) => {
+    pollTimeoutId = setTimeout(async () => {
+      pollTimeoutId = null;
+      try {
+        const { polled, updated, expired } = await pollPendingDeliveryReports(getPool());
+        if (polled || expired) {
+          console.log(`[SmsDelivery] Polled ${polled} message(s), ${updated} update(s), ${expired} marked unknown`);
+        }
+      } catch (error) {
+        console.error('[SmsDelivery] Scheduled poll failed:', error?.message || error);
+      }
+      scheduleTick(minutes * 60 * 1000);
+    }, delay);
+  };
+  scheduleTick(2 * 60 * 1000);
+  console.log(`[SmsDelivery] Polling every ${minutes} min (after ${POLL_MIN_AGE_MINUTES} min, up to ${POLL_MAX_AGE_HOURS} h)`);
+};
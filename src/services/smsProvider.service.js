@@ -0,0 +1,254 @@
+/**
+ * SMS provider layer: every SMS goes through `sendSms({ category, ... })`, which picks the provider route for the
+ * message category and fails over to the next provider when one definitively rejects the message (a failure
+ * response, or an HTTP 4xx) or reports insufficient credits. Timeouts, network errors and 5xx answers stop the
+ * failover: the first provider may still have sent the SMS, and trying the next one could send it twice.
+ *
+ * Providers implement `send({ numbers, message, isUnicode, tempid, category })` → the BulkSMSApps result shape
+ * `{ success, messageIds, responseText, numbers, durationMs, endpoint, transport }`, plus optional
+ * `getAccountInfo()` and `fetchDeliveryReport(messageId)`:
+ * - `bulksmsapps`  BulkSMSApps HTTP API (bulkSms.service.js; BULK_SMS_API_KEY, BULK_SMS_SENDER_ID)
+ * - `kaleyra`      Kaleyra DLT gateway (KALEYRA_SID, KALEYRA_API_KEY, KALEYRA_SENDER_ID, KALEYRA_BASE_URL)
+ * - `mock`         local development: logs the SMS and appends it to SMS_MOCK_FILE when set; SMS_MOCK_FAIL=error or
+ *                  insufficient_credits makes it fail so failover can be tried locally
+ *
+ * Routing: SMS_ROUTE_OTP, SMS_ROUTE_TRANSACTIONAL, SMS_ROUTE_BULK are comma-separated provider names in failover
+ * order (e.g. `bulksmsapps,kaleyra`); unset routes use SMS_PROVIDER (default `bulksmsapps`). Providers that are not
+ * configured are skipped. A provider that reports insufficient credits is skipped for
+ * SMS_FAILOVER_COOLDOWN_MINUTES (default 10).
+ *
+ * Every message is checked first (smsCompliance.service.js `checkSmsMessage`): empty text, unresolved placeholders or
+ * too many segments are refused with a 422 instead of being sent; Unicode text not flagged as Unicode is sent as Unicode.
+ */
+import axios from 'axios';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  fetchBulkSmsDeliveryReport,
+  getBulkSmsAccountInfo,
+  sendSmsThroughBulkSmsApps,
+} from './bulkSms.service.js';
+import { checkSmsMessage, complianceError } from './smsCompliance.service.js';
+
+export const SMS_CATEGORIES = ['otp', 'transactional', 'bulk'];
+
+const COOLDOWN_MINUTES = Math.max(parseInt(process.env.SMS_FAILOVER_COOLDOWN_MINUTES, 10) || 10, 0);
+const INSUFFICIENT_CREDITS_REGEX = /insufficient|low\s*balance|no\s*(sms\s*)?credits?|balance\s*(is\s*)?(low|exhausted)/i;
+
+/** Provider name → epoch ms until which it is skipped (insufficient credits). */
+const cooldownUntil = new Map();
+
+const smsProviderError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const sanitizeNumbers = (numbers = []) =>
+  numbers.map((num) => String(num).replace(/[^\d+]/g, '')).filter(Boolean);
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+const bulkSmsAppsProvider = {
+  name: 'bulksmsapps',
+  isConfigured: () => Boolean(process.env.BULK_SMS_API_KEY),
+  send: ({ numbers, message, isUnicode, tempid }) =>
+    sendSmsThroughBulkSmsApps({ numbers, message, isUnicode, tempid }),
+  getAccountInfo: () => getBulkSmsAccountInfo(),
+  fetchDeliveryReport: (messageId) => fetchBulkSmsDeliveryReport(messageId),
+};
+
+const kaleyraProvider = {
+  name: 'kaleyra',
+  isConfigured: () => Boolean(process.env.KALEYRA_SID && process.env.KALEYRA_API_KEY),
+  async send({ numbers, message, isUnicode, tempid, category }) {
+    const sid = process.env.KALEYRA_SID;
+    const apiKey = process.env.KALEYRA_API_KEY;
+    if (!sid || !apiKey) {
+      throw smsProviderError('Kaleyra is not configured (KALEYRA_SID, KALEYRA_API_KEY)', 503);
+    }
+    const baseUrl = (process.env.KALEYRA_BASE_URL || 'https://api.kaleyra.io').replace(/\/+$/, '');
+    const sanitized = sanitizeNumbers(numbers);
+    const form = new URLSearchParams({
+      to: sanitized.map((n) => (n.replace(/\D/g, '').length === 10 ? `91${n.replace(/\D/g, '')}` : n)).join(','),
+      sender: process.env.KALEYRA_SENDER_ID || process.env.BULK_SMS_SENDER_ID || 'PYDAHK',
+      body: message,
+      type: category === 'otp' ? 'OTP' : 'TXN',
+    });
+    if (tempid) form.set('template_id', String(tempid).trim());
+    if (isUnicode) form.set('unicode', 'auto');
+
+    const endpoint = `${baseUrl}/v1/${sid}/messages`;
+    const startTime = Date.now();
+    const response = await axios.post(endpoint, form.toString(), {
+      headers: { 'api-key': apiKey, 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000,
+      validateStatus: () => true,
+    });
+    const data = response.data || {};
+    const messages = Array.isArray(data.data) ? data.data : [];
+    const errorText = data.error && Object.keys(data.error).length > 0 ? JSON.stringify(data.error) : '';
+    return {
+      success: response.status < 300 && messages.length > 0 && !errorText,
+      messageIds: messages.map((m) => m.message_id).filter(Boolean).map(String),
+      durationMs: Date.now() - startTime,
+      responseText: JSON.stringify(data).slice(0, 2000),
+      endpoint,
+      transport: 'POST',
+      numbers: sanitized,
+    };
+  },
+};
+
+const mockProvider = {
+  name: 'mock',
+  isConfigured: () => true,
+  async send({ numbers, message, tempid, category }) {
+    const sanitized = sanitizeNumbers(numbers);
+    const failMode = String(process.env.SMS_MOCK_FAIL || '').trim().toLowerCase();
+    const messageIds = failMode ? [] : sanitized.map(() => `mock-${uuidv4().slice(0, 8)}`);
+    const responseText =
+      failMode === 'insufficient_credits'
+        ? 'MOCK: Insufficient credits'
+        : failMode
+          ? 'MOCK: Simulated provider error'
+          : `MOCK: successfully submitted ${messageIds.map((id) => `MessageId-${id}`).join(',')}`;
+    const entry = { at: new Date().toISOString(), category, numbers: sanitized, tempid: tempid || null, message, messageIds };
+    console.log(`[SMS mock] ${category} → ${sanitized.join(',')}: ${message}`);
+    if (process.env.SMS_MOCK_FILE) {
+      await fs.promises.appendFile(process.env.SMS_MOCK_FILE, `${JSON.stringify(entry)}\n`).catch((error) => {
+        console.warn('[SMS mock] Could not write SMS_MOCK_FILE:', error.message);
+      });
+    }
+    return {
+      success: !failMode,
+      messageIds,
+      durationMs: 0,
+      responseText,
+      endpoint: 'mock',
+      transport: 'mock',
+      numbers: sanitized,
+    };
+  },
+  getAccountInfo: async () => ({ configured: true, balanceCredits: null, providerMessage: 'Mock provider (no credits)' }),
+  fetchDeliveryReport: async () => [{ number: null, status: 'DELIVRD', deliveredAt: null, raw: 'MOCK' }],
+};
+
+const PROVIDERS = { bulksmsapps: bulkSmsAppsProvider, kaleyra: kaleyraProvider, mock: mockProvider };
+
+export const SMS_PROVIDERS = Object.keys(PROVIDERS);
+
+/** Named provider (default SMS_PROVIDER / `bulksmsapps`). */
+export function getSmsProvider(name = process.env.SMS_PROVIDER || 'bulksmsapps') {
+  const provider = PROVIDERS[String(name || '').trim().toLowerCase()];
+  if (!provider) {
+    throw smsProviderError(`Unknown SMS provider: ${name}`, 404);
+  }
+  return provider;
+}
+
+/** Provider names for a category, in failover order (unknown names are dropped with a warning). */
+export function getSmsRoute(category = 'transactional') {
+  const key = SMS_CATEGORIES.includes(category) ? category : 'transactional';
+  const raw = process.env[`SMS_ROUTE_${key.toUpperCase()}`] || process.env.SMS_PROVIDER || 'bulksmsapps';
+  const names = [...new Set(raw.split(',').map((n) => n.trim().toLowerCase()).filter(Boolean))];
+  return names.filter((name) => {
+    if (PROVIDERS[name]) return true;
+    console.warn(`[SMS] Unknown provider "${name}" in SMS_ROUTE_${key.toUpperCase()}; ignored.`);
+    return false;
+  });
+}
+
+/** True when at least one provider on the category's route is configured (callers skip sends in dev otherwise). */
+export const isSmsRouteConfigured = (category = 'transactional') =>
+  getSmsRoute(category).some((name) => PROVIDERS[name].isConfigured());
+
+/** Routes per category with each provider's configured / cooldown state, for the admin account screen. */
+export const describeSmsRouting = () =>
+  Object.fromEntries(
+    SMS_CATEGORIES.map((category) => [
+      category,
+      getSmsRoute(category).map((name) => ({
+        provider: name,
+        configured: PROVIDERS[name].isConfigured(),
+        coolingDownUntil: cooldownUntil.get(name) > Date.now() ? new Date(cooldownUntil.get(name)).toISOString() : null,
+      })),
+    ])
+  );
+
+const isInsufficientCredits = (text) => INSUFFICIENT_CREDITS_REGEX.test(String(text || ''));
+
+/** A thrown send error that proves the provider refused the message (it answered 4xx), as opposed to an unknown outcome. */
+const isDefinitiveRejection = (error) => {
+  const status = Number(error?.response?.status);
+  return status >= 400 && status < 500;
+};
+
+/**
+ * Send through the category's route with failover.
+ * @returns {Promise<object>} the successful (or last) provider result plus `provider` and `attempts`
+ */
+export async function sendSms({ category = 'transactional', numbers, message, isUnicode: requestedUnicode = false, tempid = null }) {
+  const compliance = checkSmsMessage({ message, isUnicode: requestedUnicode });
+  if (!compliance.ok) {
+    throw complianceError(compliance, `SMS not sent (${category})`);
+  }
+  const isUnicode = requestedUnicode || compliance.encoding === 'unicode';
+  const route = getSmsRoute(category);
+  const attempts = [];
+  let lastResult = null;
+  let lastError = null;
+
+  for (const name of route) {
+    const provider = PROVIDERS[name];
+    if (!provider.isConfigured()) {
+      attempts.push({ provider: name, success: false, error: 'not_configured' });
+      continue;
+    }
+    if (cooldownUntil.get(name) > Date.now()) {
+      attempts.push({ provider: name, success: false, error: 'insufficient_credits_cooldown' });
+      continue;
+    }
+    try {
+      const result = await provider.send({ numbers, message, isUnicode, tempid, category });
+      if (result.success) {
+        attempts.push({ provider: name, success: true });
+        return { ...result, provider: name, attempts };
+      }
+      const insufficient = isInsufficientCredits(result.responseText);
+      attempts.push({ provider: name, success: false, error: insufficient ? 'insufficient_credits' : 'provider_rejected' });
+      if (insufficient && COOLDOWN_MINUTES > 0) {
+        cooldownUntil.set(name, Date.now() + COOLDOWN_MINUTES * 60 * 1000);
+      }
+      lastResult = { ...result, provider: name };
+    } catch (error) {
+      attempts.push({ provider: name, success: false, error: error.message });
+      const insufficient = isInsufficientCredits(error.response?.data || error.message);
+      if (insufficient && COOLDOWN_MINUTES > 0) {
+        cooldownUntil.set(name, Date.now() + COOLDOWN_MINUTES * 60 * 1000);
+      }
+      if (!insufficient && !isDefinitiveRejection(error)) {
+        // Outcome unknown (timeout / network / 5xx): do not risk a duplicate SMS through the next provider
+        console.warn(`[SMS] ${name} outcome unknown for ${category} SMS (${error.message}); not failing over`);
+        error.attempts = attempts;
+        throw error;
+      }
+      lastError = error;
+    }
+    if (attempts.length < route.length) {
+      console.warn(`[SMS] ${name} failed for ${category} SMS (${attempts[attempts.length - 1].error}); trying next provider`);
+    }
+  }
+
+  if (lastResult) {
+    return { ...lastResult, attempts };
+  }
+  if (lastError) {
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+  const reasons = attempts.map((a) => `${a.provider}: ${a.error}`).join(', ');
+  throw smsProviderError(`No SMS provider available for ${category} messages${reasons ? ` (${reasons})` : ''}`, 503);
+}
@@ -0,0 +1,669 @@
+/**
+ * Staff availability: per-day leave for any assignable user (pro_leave_logs), institution holidays and leave
+ * coverage rules.
+ *
+ * - Users on leave today get no new leads: assignLeads refuses them, distribution and territory auto-assignment
+ *   pass over them.
+ * - Slot target dates (counsellor_target_date / pro_target_date) move one day later for every leave day or holiday
+ *   between today and the target; recording a new leave day or holiday moves the open targets that fall on that
+ *   day to the next working day.
+ *   Removing a leave day does not pull dates back.
+ * - A coverage rule hands the leads whose callback (next_scheduled_call) falls due during the leave, or was missed
+ *   the day before it, to a named backup, and hands them back once the leave is over, if the backup still holds them.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { getPool } from '../config-sql/database.js';
+import { addDaysYmd, todayYmdIST } from '../utils/istDate.util.js';
+import { notifyLeadAssignment } from './notification.service.js';
+
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+const MAX_LEAVE_RANGE_DAYS = 92;
+const MAX_EXTENSION_DAYS = 365;
+/** Coverage also picks up callbacks missed this many days before the leave starts; older ones stay put. */
+const COVERAGE_OVERDUE_DAYS = 1;
+
+export const COVERAGE_RULE_STATUSES = ['scheduled', 'active', 'completed', 'cancelled'];
+
+const staffLeaveError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const isMissingTable = (error) => error?.code === 'ER_NO_SUCH_TABLE';
+
+const isValidYmd = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const ymd = (v) => (v instanceof Date ? v.toISOString().slice(0, 10) : v ? String(v).slice(0, 10) : null);
+
+const datesBetween = (startYmd, endYmd) => {
+  const dates = [];
+  for (let d = startYmd; d <= endYmd; d = addDaysYmd(d, 1)) dates.push(d);
+  return dates;
+};
+
+const isProUser = (user) => String(user?.role_name || '').trim().toUpperCase() === 'PRO';
+
+/** Channel a user holds leads on: PROs use assigned_to_pro, everyone else assigned_to. */
+const channelForUser = (user) =>
+  isProUser(user)
+    ? { channel: 'pro', assignee: 'assigned_to_pro', assignedAt: 'pro_assigned_at', assignedBy: 'pro_assigned_by' }
+    : { channel: 'counsellor', assignee: 'assigned_to', assignedAt: 'assigned_at', assignedBy: 'assigned_by' };
+
+async function loadHolidayDates(db, fromYmd, toYmd) {
+  try {
+    const [rows] = await db.execute(
+      `SELECT DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date FROM institution_holidays
+       WHERE holiday_date BETWEEN ? AND ?`,
+      [fromYmd, toYmd]
+    );
+    return new Set(rows.map((r) => r.holiday_date));
+  } catch (error) {
+    if (isMissingTable(error)) return new Set();
+    throw error;
+  }
+}
+
+async function loadLeaveDates(db, userIds, fromYmd, toYmd) {
+  const byUser = new Map();
+  if (userIds.length === 0) return byUser;
+  try {
+    const [rows] = await db.execute(
+      `SELECT user_id, DATE_FORMAT(leave_date, '%Y-%m-%d') AS leave_date FROM pro_leave_logs
+       WHERE user_id IN (${userIds.map(() => '?').join(',')}) AND leave_date BETWEEN ? AND ?`,
+      [...userIds, fromYmd, toYmd]
+    );
+    for (const row of rows) {
+      if (!byUser.has(row.user_id)) byUser.set(row.user_id, new Set());
+      byUser.get(row.user_id).add(row.leave_date);
+    }
+  } catch (error) {
+    if (!isMissingTable(error)) throw error;
+  }
+  return byUser;
+}
+
+/** Users (of `userIds`) with a leave day on `dateYmd` (default: today IST). */
+export async function getUsersOnLeave(db, userIds, dateYmd = todayYmdIST()) {
+  const ids = [...new Set((userIds || []).filter(Boolean))];
+  const byUser = await loadLeaveDates(db, ids, dateYmd, dateYmd);
+  return new Set(byUser.keys());
+}
+
+/**
+ * Target date moved one day later for every leave day / holiday of the user between `fromYmd` and the target,
+ * landing on a working day. Dates before `fromYmd` and invalid values come back unchanged.
+ */
+export async function extendTargetDateForLeave(db, userId, targetYmd, { fromYmd = todayYmdIST() } = {}) {
+  const target = targetYmd ? String(targetYmd).trim().slice(0, 10) : null;
+  if (!isValidYmd(target) || target < fromYmd) return targetYmd || null;
+
+  const windowEnd = addDaysYmd(target, MAX_EXTENSION_DAYS);
+  const [holidays, leaveByUser] = await Promise.all([
+    loadHolidayDates(db, fromYmd, windowEnd),
+    loadLeaveDates(db, [userId], fromYmd, windowEnd),
+  ]);
+  const leaves = leaveByUser.get(userId) || new Set();
+  const isOff = (d) => holidays.has(d) || leaves.has(d);
+
+  let pending = datesBetween(fromYmd, target).filter(isOff).length;
+  let result = target;
+  while (pending > 0 && result < windowEnd) {
+    result = addDaysYmd(result, 1);
+    if (!isOff(result)) pending -= 1;
+  }
+  return result;
+}
+
+/**
+ * Move open slot targets that fall on the off day `dateYmd` to the next working day (one user's leave, or everyone
+ * for a holiday). Targets on other days are left alone.
+ *
+ * updated_at is pinned: the system moved the date, nobody worked the lead, and assignment-batch undo treats a newer
+ * updated_at as "touched since the batch".
+ */
+async function shiftTargetDatesForOffDay(db, { userId = null, dateYmd }) {
+  const windowEnd = addDaysYmd(dateYmd, MAX_EXTENSION_DAYS);
+  const [holidays, leaveByUser] = await Promise.all([
+    loadHolidayDates(db, addDaysYmd(dateYmd, 1), windowEnd),
+    userId ? loadLeaveDates(db, [userId], addDaysYmd(dateYmd, 1), windowEnd) : new Map(),
+  ]);
+  const leaves = (userId && leaveByUser.get(userId)) || new Set();
+  let nextWorkingDay = addDaysYmd(dateYmd, 1);
+  while ((holidays.has(nextWorkingDay) || leaves.has(nextWorkingDay)) && nextWorkingDay < windowEnd) {
+    nextWorkingDay = addDaysYmd(nextWorkingDay, 1);
+  }
+
+  let shifted = 0;
+  for (const [assignee, targetColumn] of [
+    ['assigned_to', 'counsellor_target_date'],
+    ['assigned_to_pro', 'pro_target_date'],
+  ]) {
+    const [result] = await db.execute(
+      `UPDATE leads SET ${targetColumn} = ?, updated_at = updated_at
+       WHERE deleted_at IS NULL AND ${userId ? `${assignee} = ?` : `${assignee} IS NOT NULL`} AND ${targetColumn} = ?`,
+      userId ? [nextWorkingDay, userId, dateYmd] : [nextWorkingDay, dateYmd]
+    );
+    shifted += Number(result?.affectedRows || 0);
+  }
+  return shifted;
+}
+
+async function getAssignableUser(db, userId, label = 'User') {
+  const [rows] = await db.execute('SELECT id, name, role_name, is_active FROM users WHERE id = ?', [userId]);
+  if (rows.length === 0) throw staffLeaveError(`${label} not found`, 404);
+  if (rows[0].role_name === 'Super Admin') throw staffLeaveError(`${label} must be an assignable user, not Super Admin`);
+  return rows[0];
+}
+
+// ----- Leave -----
+
+/** Leave days with the user's name and role (?startDate, ?endDate, ?userId, ?roleName). */
+export async function listLeaves(db, { startDate, endDate, userId, roleName } = {}) {
+  const conditions = [];
+  const params = [];
+  if (startDate) {
+    conditions.push('l.leave_date >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('l.leave_date <= ?');
+    params.push(endDate);
+  }
+  if (userId) {
+    conditions.push('l.user_id = ?');
+    params.push(userId);
+  }
+  if (roleName) {
+    conditions.push('u.role_name = ?');
+    params.push(roleName);
+  }
+  const [rows] = await db.execute(
+    `SELECT l.id, l.user_id, DATE_FORMAT(l.leave_date, '%Y-%m-%d') AS leave_date, l.reason, l.created_at,
+       u.name AS user_name, u.role_name
+     FROM pro_leave_logs l
+     JOIN users u ON l.user_id COLLATE utf8mb4_unicode_ci = u.id COLLATE utf8mb4_unicode_ci
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY l.leave_date DESC, u.name ASC`,
+    params
+  );
+  return rows.map((r) => ({
+    id: r.id,
+    userId: r.user_id,
+    userName: r.user_name,
+    roleName: r.role_name,
+    date: r.leave_date,
+    reason: r.reason || null,
+    createdAt: r.created_at,
+  }));
+}
+
+/**
+ * Record leave for every day from startDate to endDate (inclusive). Days not recorded before move the user's open
+ * target dates on that day to the next working day.
+ * @returns {Promise<{ userId: string, days: string[], newDays: string[], shiftedTargetDates: number }>}
+ */
+export async function recordLeaveDays(db, { userId, startDate, endDate, reason }) {
+  const start = String(startDate || '').trim();
+  const end = String(endDate || startDate || '').trim();
+  if (!userId || !isValidYmd(start) || !isValidYmd(end)) {
+    throw staffLeaveError('userId and startDate (YYYY-MM-DD) are required');
+  }
+  if (end < start) throw staffLeaveError('endDate cannot be before startDate');
+  const days = datesBetween(start, end);
+  if (days.length > MAX_LEAVE_RANGE_DAYS) {
+    throw staffLeaveError(`A leave range can cover at most ${MAX_LEAVE_RANGE_DAYS} days`);
+  }
+  await getAssignableUser(db, userId);
+
+  const today = todayYmdIST();
+  const newDays = [];
+  let shiftedTargetDates = 0;
+  for (const day of days) {
+    const [result] = await db.execute(
+      `INSERT INTO pro_leave_logs (user_id, leave_date, reason)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
+      [userId, day, reason || null]
+    );
+    // affectedRows: 1 = inserted, 2 = existing row updated
+    if (Number(result?.affectedRows || 0) !== 1) continue;
+    newDays.push(day);
+    if (day >= today) shiftedTargetDates += await shiftTargetDatesForOffDay(db, { userId, dateYmd: day });
+  }
+  return { userId, days, newDays, shiftedTargetDates };
+}
+
+export async function deleteLeave(db, id) {
+  const [result] = await db.execute('DELETE FROM pro_leave_logs WHERE id = ?', [id]);
+  return Number(result?.affectedRows || 0) > 0;
+}
+
+// ----- Holidays -----
+
+const formatHoliday = (row) => ({
+  id: row.id,
+  _id: row.id,
+  date: ymd(row.holiday_date),
+  name: row.name,
+  createdBy: row.created_by || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+export async function listHolidays(db, { year } = {}) {
+  const yearNum = parseInt(year, 10);
+  const [rows] = Number.isNaN(yearNum)
+    ? await db.execute('SELECT * FROM institution_holidays ORDER BY holiday_date ASC')
+    : await db.execute('SELECT * FROM institution_holidays WHERE YEAR(holiday_date) = ? ORDER BY holiday_date ASC', [yearNum]);
+  return rows.map(formatHoliday);
+}
+
+export async function getHoliday(db, id) {
+  const [rows] = await db.execute('SELECT * FROM institution_holidays WHERE id = ?', [id]);
+  return rows.length > 0 ? formatHoliday(rows[0]) : null;
+}
+
+/**
+ * Create (id null) or update a holiday. A date that was not a holiday before moves the open target dates on it to
+ * the next working day.
+ * @returns {Promise<{ holiday: object, shiftedTargetDates: number }|null>} null when updating a missing id
+ */
+export async function saveHoliday(db, id, { date, name }, actorId) {
+  const holidayDate = String(date || '').trim();
+  const holidayName = String(name || '').trim();
+  if (!isValidYmd(holidayDate)) throw staffLeaveError('date must be YYYY-MM-DD');
+  if (!holidayName) throw staffLeaveError('name is required');
+
+  let previousDate = null;
+  const holidayId = id || uuidv4();
+  if (id) {
+    const [rows] = await db.execute('SELECT holiday_date FROM institution_holidays WHERE id = ?', [id]);
+    if (rows.length === 0) return null;
+    previousDate = ymd(rows[0].holiday_date);
+    await db.execute('UPDATE institution_holidays SET holiday_date = ?, name = ? WHERE id = ?', [holidayDate, holidayName, id]);
+  } else {
+    await db.execute(
+      'INSERT INTO institution_holidays (id, holiday_date, name, created_by) VALUES (?, ?, ?, ?)',
+      [holidayId, holidayDate, holidayName, actorId || null]
+    );
+  }
+
+  const shiftedTargetDates =
+    previousDate !== holidayDate && holidayDate >= todayYmdIST()
+      ? await shiftTargetDatesForOffDay(db, { dateYmd: holidayDate })
+      : 0;
+  const [saved] = await db.execute('SELECT * FROM institution_holidays WHERE id = ?', [holidayId]);
+  return { holiday: formatHoliday(saved[0]), shiftedTargetDates };
+}
+
+export async function deleteHoliday(db, id) {
+  const [result] = await db.execute('DELETE FROM institution_holidays WHERE id = ?', [id]);
+  return Number(result?.affectedRows || 0) > 0;
+}
+
+// ----- Coverage -----
+
+const formatCoverageRule = (row) => ({
+  id: row.id,
+  _id: row.id,
+  userId: row.user_id,
+  userName: row.user_name || null,
+  backupUserId: row.backup_user_id,
+  backupUserName: row.backup_user_name || null,
+  startDate: ymd(row.start_date),
+  endDate: ymd(row.end_date),
+  status: row.status,
+  reason: row.reason || null,
+  routedCount: row.routed_count != null ? Number(row.routed_count) : undefined,
+  returnedCount: row.returned_count != null ? Number(row.returned_count) : undefined,
+  createdBy: row.created_by || null,
+  activatedAt: row.activated_at || null,
+  completedAt: row.completed_at || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const COVERAGE_SELECT = `
+  SELECT r.*, u.name AS user_name, b.name AS backup_user_name,
+    (SELECT COUNT(*) FROM leave_coverage_handoffs h WHERE h.rule_id = r.id) AS routed_count,
+    (SELECT COUNT(*) FROM leave_coverage_handoffs h WHERE h.rule_id = r.id AND h.return_status = 'returned') AS returned_count
+  FROM leave_coverage_rules r
+  LEFT JOIN users u ON u.id = r.user_id
+  LEFT JOIN users b ON b.id = r.backup_user_id`;
+
+export async function listCoverageRules(db, { status, userId } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    if (!COVERAGE_RULE_STATUSES.includes(status)) {
+      throw staffLeaveError(`status must be one of: ${COVERAGE_RULE_STATUSES.join(', ')}`);
+    }
+    conditions.push('r.status = ?');
+    params.push(status);
+  }
+  if (userId) {
+    conditions.push('(r.user_id = ? OR r.backup_user_id = ?)');
+    params.push(userId, userId);
+  }
+  const [rows] = await db.execute(
+    `${COVERAGE_SELECT} ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY r.start_date DESC`,
+    params
+  );
+  return rows.map(formatCoverageRule);
+}
+
+/** One rule with the leads it routed (and whether each went back). */
+export async function getCoverageRule(db, id) {
+  const [rows] = await db.execute(`${COVERAGE_SELECT} WHERE r.id = ?`, [id]);
+  if (rows.length === 0) return null;
+  const [handoffs] = await db.execute(
+    `SELECT h.*, l.name AS lead_name, l.enquiry_number
+     FROM leave_coverage_handoffs h
+     LEFT JOIN leads l ON l.id = h.lead_id
+     WHERE h.rule_id = ?
+     ORDER BY h.scheduled_call ASC`,
+    [id]
+  );
+  return {
+    ...formatCoverageRule(rows[0]),
+    handoffs: handoffs.map((h) => ({
+      leadId: h.lead_id,
+      leadName: h.lead_name || null,
+      enquiryNumber: h.enquiry_number || null,
+      channel: h.channel,
+      scheduledCall: h.scheduled_call || null,
+      routedAt: h.routed_at,
+      returnedAt: h.returned_at || null,
+      returnStatus: h.return_status || null,
+      returnSkipReason: h.return_skip_reason || null,
+    })),
+  };
+}
+
+/** Validate an admin create / update body: { userId, backupUserId, startDate, endDate, reason? }. */
+export async function normalizeCoverageRuleInput(db, body, { excludeRuleId = null } = {}) {
+  const userId = String(body.userId || '').trim();
+  const backupUserId = String(body.backupUserId || '').trim();
+  const startDate = String(body.startDate || '').trim();
+  const endDate = String(body.endDate || '').trim();
+  if (!userId || !backupUserId) throw staffLeaveError('userId and backupUserId are required');
+  if (userId === backupUserId) throw staffLeaveError('The backup must be a different user');
+  if (!isValidYmd(startDate) || !isValidYmd(endDate)) throw staffLeaveError('startDate and endDate must be YYYY-MM-DD');
+  if (endDate < startDate) throw staffLeaveError('endDate cannot be before startDate');
+
+  const user = await getAssignableUser(db, userId);
+  const backup = await getAssignableUser(db, backupUserId, 'Backup user');
+  if (backup.is_active !== 1 && backup.is_active !== true) throw staffLeaveError(`${backup.name} is inactive`);
+  if (isProUser(user) !== isProUser(backup)) {
+    throw staffLeaveError(`${backup.name} (${backup.role_name}) cannot cover for ${user.name} (${user.role_name})`);
+  }
+
+  const [overlapping] = await db.execute(
+    `SELECT id FROM leave_coverage_rules
+     WHERE user_id = ? AND status IN ('scheduled', 'active') AND start_date <= ? AND end_date >= ?${excludeRuleId ? ' AND id <> ?' : ''}
+     LIMIT 1`,
+    [userId, endDate, startDate, ...(excludeRuleId ? [excludeRuleId] : [])]
+  );
+  if (overlapping.length > 0) throw staffLeaveError(`${user.name} already has a coverage rule for these dates`, 409);
+
+  const backupLeave = await loadLeaveDates(db, [backupUserId], startDate, endDate);
+  if (backupLeave.size > 0) {
+    throw staffLeaveError(`${backup.name} is on leave on ${[...backupLeave.get(backupUserId)].sort()[0]}`);
+  }
+
+  return { userId, backupUserId, startDate, endDate, reason: body.reason ? String(body.reason).trim() : null };
+}
+
+export async function createCoverageRule(db, input, actorId) {
+  const id = uuidv4();
+  await db.execute(
+    `INSERT INTO leave_coverage_rules (id, user_id, backup_user_id, start_date, end_date, status, reason, created_by)
+     VALUES (?, ?, ?, ?, ?, 'scheduled', ?, ?)`,
+    [id, input.userId, input.backupUserId, input.startDate, input.endDate, input.reason, actorId || null]
+  );
+  await processLeaveCoverage(db, { ruleId: id });
+  return getCoverageRule(db, id);
+}
+
+/**
+ * Update a rule that has not finished. Once active, the person and backup are fixed (leads are already routed);
+ * only the dates and reason can change.
+ */
+export async function updateCoverageRule(db, id, input) {
+  const [rows] = await db.execute('SELECT * FROM leave_coverage_rules WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  const current = rows[0];
+  if (!['scheduled', 'active'].includes(current.status)) {
+    throw staffLeaveError(`A ${current.status} coverage rule cannot be changed`, 409);
+  }
+  if (current.status === 'active' && (input.userId !== current.user_id || input.backupUserId !== current.backup_user_id)) {
+    throw staffLeaveError('The person and backup of an active coverage rule cannot change; cancel it and create a new one', 409);
+  }
+  await db.execute(
+    `UPDATE leave_coverage_rules SET user_id = ?, backup_user_id = ?, start_date = ?, end_date = ?, reason = ? WHERE id = ?`,
+    [input.userId, input.backupUserId, input.startDate, input.endDate, input.reason, id]
+  );
+  await processLeaveCoverage(db, { ruleId: id });
+  return getCoverageRule(db, id);
+}
+
+/** Cancel a rule; leads it routed are handed back right away. */
+export async function cancelCoverageRule(db, id) {
+  const [rows] = await db.execute('SELECT status FROM leave_coverage_rules WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  if (!['scheduled', 'active'].includes(rows[0].status)) {
+    throw staffLeaveError(`A ${rows[0].status} coverage rule cannot be cancelled`, 409);
+  }
+  await db.execute(
+    "UPDATE leave_coverage_rules SET status = 'cancelled', completed_at = NOW() WHERE id = ?",
+    [id]
+  );
+  await processLeaveCoverage(db, { ruleId: id });
+  return getCoverageRule(db, id);
+}
+
+async function insertCoverageLog(db, { leadId, leadStatus, comment, coverage }) {
+  await db.execute(
+    `INSERT INTO activity_logs (id, lead_id, type, old_status, new_status, comment, performed_by, metadata, created_at, updated_at)
+     VALUES (?, ?, 'status_change', ?, ?, ?, ?, ?, NOW(), NOW())`,
+    [uuidv4(), leadId, leadStatus || null, leadStatus || null, comment, SYSTEM_USER_ID, JSON.stringify({ coverage })]
+  );
+}
+
+/** Move leads with a callback due during the leave (or just before it) from the person to the backup. */
+async function routeCoverageRule(db, rule, usersById) {
+  const user = usersById.get(rule.user_id);
+  const backup = usersById.get(rule.backup_user_id);
+  if (!user || !backup) return 0;
+  const cols = channelForUser(user);
+  const dueFrom = `${addDaysYmd(ymd(rule.start_date), -COVERAGE_OVERDUE_DAYS)} 00:00:00`;
+  const dueBefore = `${addDaysYmd(ymd(rule.end_date), 1)} 00:00:00`;
+
+  const [leads] = await db.execute(
+    `SELECT l.id, l.name, l.phone, l.enquiry_number, l.lead_status, l.next_scheduled_call
+     FROM leads l
+     WHERE l.deleted_at IS NULL
+       AND l.${cols.assignee} = ?
+       AND l.next_scheduled_call >= ?
+       AND l.next_scheduled_call < ?
+       AND NOT EXISTS (
+         SELECT 1 FROM leave_coverage_handoffs h
+         WHERE h.rule_id = ? AND h.lead_id = l.id AND h.channel = ?
+       )`,
+    [rule.user_id, dueFrom, dueBefore, rule.id, cols.channel]
+  );
+
+  const routed = [];
+  for (const lead of leads) {
+    const [update] = await db.execute(
+      `UPDATE leads SET ${cols.assignee} = ?, ${cols.assignedAt} = NOW(), ${cols.assignedBy} = ?, updated_at = NOW()
+       WHERE id = ? AND ${cols.assignee} = ?`,
+      [rule.backup_user_id, SYSTEM_USER_ID, lead.id, rule.user_id]
+    );
+    if (Number(update?.affectedRows || 0) === 0) continue;
+    await db.execute(
+      `INSERT INTO leave_coverage_handoffs (id, rule_id, lead_id, channel, original_user_id, backup_user_id, scheduled_call)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [uuidv4(), rule.id, lead.id, cols.channel, rule.user_id, rule.backup_user_id, lead.next_scheduled_call]
+    );
+    await insertCoverageLog(db, {
+      leadId: lead.id,
+      leadStatus: lead.lead_status,
+      comment: `Callback covered by ${backup.name} while ${user.name} is on leave (until ${ymd(rule.end_date)})`,
+      coverage: { ruleId: rule.id, phase: 'route', channel: cols.channel, from: rule.user_id, to: rule.backup_user_id },
+    });
+    routed.push(lead);
+  }
+
+  if (routed.length > 0) {
+    notifyLeadAssignment({
+      userId: rule.backup_user_id,
+      leadCount: routed.length,
+      leads: routed.slice(0, 50).map((l) => ({ _id: l.id, id: l.id, name: l.name, phone: l.phone, enquiryNumber: l.enquiry_number })),
+      isBulk: routed.length > 1,
+      allLeadIds: routed.map((l) => l.id),
+    }).catch((error) => {
+      console.error('[LeaveCoverage] Error sending coverage notifications:', error);
+    });
+  }
+  return routed.length;
+}
+
+/** Give routed leads back to the person while the backup still holds them. */
+async function handBackCoverageRule(db, rule, usersById) {
+  const [handoffs] = await db.execute(
+    'SELECT * FROM leave_coverage_handoffs WHERE rule_id = ? AND return_status IS NULL',
+    [rule.id]
+  );
+  const original = usersById.get(rule.user_id);
+  const originalActive = original && (original.is_active === 1 || original.is_active === true);
+  let returned = 0;
+
+  for (const handoff of handoffs) {
+    const cols = handoff.channel === 'pro'
+      ? { assignee: 'assigned_to_pro', assignedAt: 'pro_assigned_at', assignedBy: 'pro_assigned_by' }
+      : { assignee: 'assigned_to', assignedAt: 'assigned_at', assignedBy: 'assigned_by' };
+    let skipReason = originalActive ? null : 'Original assignee is inactive';
+    if (!skipReason) {
+      const [update] = await db.execute(
+        `UPDATE leads SET ${cols.assignee} = ?, ${cols.assignedAt} = NOW(), ${cols.assignedBy} = ?, updated_at = NOW()
+         WHERE id = ? AND deleted_at IS NULL AND ${cols.assignee} = ?`,
+        [handoff.original_user_id, SYSTEM_USER_ID, handoff.lead_id, handoff.backup_user_id]
+      );
+      if (Number(update?.affectedRows || 0) === 0) skipReason = 'Reassigned or deleted during the leave';
+    }
+    await db.execute(
+      `UPDATE leave_coverage_handoffs SET returned_at = NOW(), return_status = ?, return_skip_reason = ? WHERE id = ?`,
+      [skipReason ? 'skipped' : 'returned', skipReason, handoff.id]
+    );
+    if (skipReason) continue;
+
+    const [leads] = await db.execute('SELECT lead_status FROM leads WHERE id = ?', [handoff.lead_id]);
+    await insertCoverageLog(db, {
+      leadId: handoff.lead_id,
+      leadStatus: leads[0]?.lead_status,
+      comment: `Handed back to ${original.name} after leave coverage`,
+      coverage: {
+        ruleId: rule.id,
+        phase: 'hand_back',
+        channel: handoff.channel,
+        from: handoff.backup_user_id,
+        to: handoff.original_user_id,
+      },
+    });
+    returned += 1;
+  }
+  return returned;
+}
+
+/**
+ * Advance coverage rules: start the ones whose leave began, route newly due callbacks of active ones, and hand back
+ * the leads of rules whose leave ended (or that were cancelled).
+ * @param {{ ruleId?: string }} [options] only this rule (after an admin change)
+ * @returns {Promise<{ activated: number, routed: number, completed: number, returned: number }>}
+ */
+export async function processLeaveCoverage(db, { ruleId = null } = {}) {
+  const summary = { activated: 0, routed: 0, completed: 0, returned: 0 };
+  const today = todayYmdIST();
+  let rules;
+  try {
+    [rules] = await db.execute(
+      `SELECT r.* FROM leave_coverage_rules r
+       WHERE ${ruleId ? 'r.id = ?' : '1=1'}
+         AND (
+           r.status IN ('scheduled', 'active')
+           OR (r.status = 'cancelled' AND EXISTS (
+             SELECT 1 FROM leave_coverage_handoffs h WHERE h.rule_id = r.id AND h.return_status IS NULL
+           ))
+         )`,
+      ruleId ? [ruleId] : []
+    );
+  } catch (error) {
+    if (isMissingTable(error)) return summary;
+    throw error;
+  }
+  if (rules.length === 0) return summary;
+
+  const userIds = [...new Set(rules.flatMap((r) => [r.user_id, r.backup_user_id]))];
+  const [users] = await db.execute(
+    `SELECT id, name, role_name, is_active FROM users WHERE id IN (${userIds.map(() => '?').join(',')})`,
+    userIds
+  );
+  const usersById = new Map(users.map((u) => [u.id, u]));
+
+  for (const rule of rules) {
+    const start = ymd(rule.start_date);
+    const end = ymd(rule.end_date);
+    if (rule.status === 'cancelled' || end < today) {
+      summary.returned += await handBackCoverageRule(db, rule, usersById);
+      if (rule.status !== 'cancelled') {
+        await db.execute("UPDATE leave_coverage_rules SET status = 'completed', completed_at = NOW() WHERE id = ?", [rule.id]);
+        summary.completed += 1;
+      }
+      continue;
+    }
+    if (start > today) continue;
+    if (rule.status === 'scheduled') {
+      await db.execute("UPDATE leave_coverage_rules SET status = 'active', activated_at = NOW() WHERE id = ?", [rule.id]);
+      summary.activated += 1;
+    }
+    summary.routed += await routeCoverageRule(db, rule, usersById);
+  }
+  return summary;
+}
+
+let coverageTimeoutId = null;
+
+/**
+ * Runs processLeaveCoverage every LEAVE_COVERAGE_INTERVAL_MINUTES (default 30) so callbacks scheduled during a leave
+ * are routed too. LEAVE_COVERAGE_ENABLED=false disables it.
+ */
+export const initLeaveCoverage = () => {
+  const enabled = String(process.env.LEAVE_COVERAGE_ENABLED ?? 'true').toLowerCase();
+  if (enabled === 'false' || enabled === '0') {
+    console.log('[LeaveCoverage] Disabled (LEAVE_COVERAGE_ENABLED).');
+    return;
+  }
+  if (coverageTimeoutId) {
+    clearTimeout(coverageTimeoutId);
+    coverageTimeoutId = null;
+  }
+  const minutes = Math.max(parseInt(process.env.LEAVE_COVERAGE_INTERVAL_MINUTES, 10) || 30, 1);
+  const scheduleNext = (delay) => {
+    coverageTimeoutId = setTimeout(async () => {
+      coverageTimeoutId = null;
+      try {
+        const summary = await processLeaveCoverage(getPool());
+        if (summary.routed || summary.returned || summary.activated || summary.completed) {
+          console.log('[LeaveCoverage] Run:', summary);
+        }
+      } catch (error) {
+        console.error('[LeaveCoverage] Scheduled run failed:', error?.message || error);
+      }
+      scheduleNext(minutes * 60 * 1000);
+    }, delay);
+  };
+  scheduleNext(60 * 1000);
+  console.log(`[LeaveCoverage] Every ${minutes} min`);
+};
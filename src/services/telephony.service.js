@@ -0,0 +1,510 @@
+/**
+ * Cloud telephony (click-to-call): place a bridged call agent → lead through a provider, receive the provider's
+ * call detail record (CDR) on a webhook and match it to the counsellor's call log (communications), so reports
+ * can use real talk time instead of the self-reported durationSeconds.
+ *
+ * Providers (TELEPHONY_PROVIDER, default `mock`) implement `placeCall(...)` and `parseCdr(body)` → normalized CDR:
+ * - `mock`    places nothing; CDRs are posted by hand to /api/communications/telephony/webhook/mock
+ * - `exotel`  Exotel Connect API (EXOTEL_SID, EXOTEL_API_KEY, EXOTEL_API_TOKEN, EXOTEL_CALLER_ID, EXOTEL_SUBDOMAIN)
+ * A Knowlarity-style provider plugs in the same way.
+ *
+ * Matching: a call log sent with `telephonyCallId` is linked to that call; otherwise the agent's call log and CDR
+ * on the same lead are paired when they are within TELEPHONY_MATCH_WINDOW_MINUTES (default 30) of each other.
+ * Once both sides exist, logged vs actual talk time differing by more than TELEPHONY_DURATION_TOLERANCE_SECONDS
+ * (default 30) is flagged as a duration mismatch.
+ *
+ * Webhooks must carry TELEPHONY_WEBHOOK_TOKEN (?token= or x-telephony-token); while no token is configured every
+ * webhook (mock included) is refused.
+ */
+import { timingSafeEqual } from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { ensureLeadAndNumbers } from './communicationSmsDispatch.js';
+
+export const TELEPHONY_CALL_STATUSES = [
+  'initiated',
+  'ringing',
+  'in_progress',
+  'completed',
+  'no_answer',
+  'busy',
+  'failed',
+  'cancelled',
+];
+
+const TERMINAL_STATUSES = new Set(['completed', 'no_answer', 'busy', 'failed', 'cancelled']);
+
+const MATCH_WINDOW_MINUTES = Math.max(Number(process.env.TELEPHONY_MATCH_WINDOW_MINUTES) || 30, 1);
+const DURATION_TOLERANCE_SECONDS = Math.max(Number(process.env.TELEPHONY_DURATION_TOLERANCE_SECONDS) || 30, 0);
+
+const telephonyError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const sanitizeNumber = (number) => String(number || '').replace(/[^\d+]/g, '');
+
+const STATUS_ALIASES = {
+  queued: 'initiated',
+  initiated: 'initiated',
+  ringing: 'ringing',
+  'in-progress': 'in_progress',
+  in_progress: 'in_progress',
+  answered: 'in_progress',
+  completed: 'completed',
+  'no-answer': 'no_answer',
+  no_answer: 'no_answer',
+  busy: 'busy',
+  failed: 'failed',
+  canceled: 'cancelled',
+  cancelled: 'cancelled',
+};
+
+const normalizeCallStatus = (value) => STATUS_ALIASES[String(value || '').trim().toLowerCase()] || null;
+
+const toSeconds = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+/** Provider timestamps: ISO strings keep their zone; bare `YYYY-MM-DD HH:MM:SS` is IST (Exotel's format). */
+const toDate = (value) => {
+  if (!value) return null;
+  const raw = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(raw)
+    ? new Date(`${raw.replace(' ', 'T')}+05:30`)
+    : new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+const mockProvider = {
+  name: 'mock',
+  async placeCall({ callId }) {
+    return { providerCallId: `mock-${callId}`, status: 'initiated' };
+  },
+  /** body: { providerCallId | callId, status, durationSeconds, totalDurationSeconds?, recordingUrl?, startedAt?, answeredAt?, endedAt? } */
+  parseCdr(body) {
+    return {
+      providerCallId: body.providerCallId || null,
+      callId: body.callId || null,
+      status: normalizeCallStatus(body.status),
+      durationSeconds: toSeconds(body.durationSeconds),
+      totalDurationSeconds: toSeconds(body.totalDurationSeconds),
+      recordingUrl: body.recordingUrl || null,
+      startedAt: toDate(body.startedAt),
+      answeredAt: toDate(body.answeredAt),
+      endedAt: toDate(body.endedAt),
+      agentNumber: sanitizeNumber(body.agentNumber) || null,
+      customerNumber: sanitizeNumber(body.customerNumber) || null,
+    };
+  },
+};
+
+const exotelProvider = {
+  name: 'exotel',
+  async placeCall({ callId, agentNumber, customerNumber, statusCallbackUrl }) {
+    const sid = process.env.EXOTEL_SID;
+    const apiKey = process.env.EXOTEL_API_KEY;
+    const apiToken = process.env.EXOTEL_API_TOKEN;
+    const callerId = process.env.EXOTEL_CALLER_ID;
+    const subdomain = process.env.EXOTEL_SUBDOMAIN || 'api.exotel.com';
+    if (!sid || !apiKey || !apiToken || !callerId) {
+      throw telephonyError('Exotel is not configured (EXOTEL_SID, EXOTEL_API_KEY, EXOTEL_API_TOKEN, EXOTEL_CALLER_ID)', 503);
+    }
+    const form = new URLSearchParams({
+      From: agentNumber,
+      To: customerNumber,
+      CallerId: callerId,
+      CallType: 'trans',
+      Record: 'true',
+      CustomField: callId,
+    });
+    if (statusCallbackUrl) {
+      form.set('StatusCallback', statusCallbackUrl);
+      form.set('StatusCallbackEvents[0]', 'terminal');
+    }
+    const response = await axios.post(
+      `https://${subdomain}/v1/Accounts/${sid}/Calls/connect.json`,
+      form.toString(),
+      {
+        auth: { username: apiKey, password: apiToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000,
+      }
+    );
+    const call = response.data?.Call || {};
+    if (!call.Sid) {
+      throw telephonyError('Exotel did not return a call ID', 502);
+    }
+    return { providerCallId: call.Sid, status: normalizeCallStatus(call.Status) || 'initiated' };
+  },
+  /** Exotel status callback (form or JSON body). */
+  parseCdr(body) {
+    return {
+      providerCallId: body.CallSid || null,
+      callId: body.CustomField || null,
+      status: normalizeCallStatus(body.Status),
+      durationSeconds: toSeconds(body.ConversationDuration ?? body.DialCallDuration),
+      totalDurationSeconds: toSeconds(body.Duration),
+      recordingUrl: body.RecordingUrl || null,
+      startedAt: toDate(body.StartTime),
+      answeredAt: null,
+      endedAt: toDate(body.EndTime),
+      agentNumber: sanitizeNumber(body.From) || null,
+      customerNumber: sanitizeNumber(body.To) || null,
+    };
+  },
+};
+
+const PROVIDERS = { mock: mockProvider, exotel: exotelProvider };
+
+export const TELEPHONY_PROVIDERS = Object.keys(PROVIDERS);
+
+/** Configured provider (TELEPHONY_PROVIDER) or a named one. */
+export function getTelephonyProvider(name = process.env.TELEPHONY_PROVIDER || 'mock') {
+  const provider = PROVIDERS[String(name || '').trim().toLowerCase()];
+  if (!provider) {
+    throw telephonyError(`Unknown telephony provider: ${name}`, 404);
+  }
+  return provider;
+}
+
+/** Webhook token check; see module doc. */
+export function isTelephonyWebhookAuthorized(providerName, token) {
+  const expected = Buffer.from(process.env.TELEPHONY_WEBHOOK_TOKEN || '', 'utf8');
+  if (expected.length === 0 || typeof token !== 'string') return false;
+  const given = Buffer.from(token, 'utf8');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+const statusCallbackUrl = (providerName) => {
+  const base = String(process.env.TELEPHONY_WEBHOOK_BASE_URL || '').replace(/\/+$/, '');
+  if (!base) return null;
+  const token = process.env.TELEPHONY_WEBHOOK_TOKEN;
+  return `${base}/api/communications/telephony/webhook/${providerName}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+};
+
+// ---------------------------------------------------------------------------
+// Calls
+// ---------------------------------------------------------------------------
+
+export const formatTelephonyCall = (row) => ({
+  id: row.id,
+  _id: row.id,
+  provider: row.provider,
+  providerCallId: row.provider_call_id || null,
+  leadId: row.lead_id || null,
+  leadName: row.lead_name || null,
+  userId: row.user_id || null,
+  userName: row.user_name || null,
+  communicationId: row.communication_id || null,
+  agentNumber: row.agent_number || null,
+  customerNumber: row.customer_number,
+  status: row.status,
+  durationSeconds: row.duration_seconds ?? null,
+  totalDurationSeconds: row.total_duration_seconds ?? null,
+  loggedDurationSeconds: row.logged_duration_seconds ?? null,
+  durationMismatch: row.duration_mismatch === 1 || row.duration_mismatch === true,
+  durationDifferenceSeconds: row.duration_difference_seconds ?? null,
+  callOutcome: row.call_outcome || null,
+  recordingUrl: row.recording_url || null,
+  startedAt: row.started_at,
+  answeredAt: row.answered_at,
+  endedAt: row.ended_at,
+  cdrReceivedAt: row.cdr_received_at,
+  errorMessage: row.error_message || null,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const CALL_SELECT = `
+  SELECT t.*, l.name AS lead_name, u.name AS user_name, c.call_outcome
+  FROM telephony_calls t
+  LEFT JOIN leads l ON l.id = t.lead_id
+  LEFT JOIN users u ON u.id = t.user_id
+  LEFT JOIN communications c ON c.id = t.communication_id`;
+
+export async function getTelephonyCall(db, id) {
+  const [rows] = await db.execute(`${CALL_SELECT} WHERE t.id = ?`, [id]);
+  return rows.length > 0 ? formatTelephonyCall(rows[0]) : null;
+}
+
+/**
+ * Place a bridged call: the provider rings the agent's mobile_number first, then connects the lead's number.
+ * @param {{ leadId: string, contactNumber: string, userId: string }} input
+ */
+export async function placeClickToCall(db, { leadId, contactNumber, userId }) {
+  const { lead, validatedNumbers } = await ensureLeadAndNumbers(leadId, [contactNumber]);
+  const [users] = await db.execute('SELECT id, name, mobile_number FROM users WHERE id = ?', [userId]);
+  const agentNumber = sanitizeNumber(users[0]?.mobile_number);
+  if (!agentNumber) {
+    throw telephonyError('Add your mobile number in your profile to place calls', 400);
+  }
+
+  const provider = getTelephonyProvider();
+  const callId = uuidv4();
+  await db.execute(
+    `INSERT INTO telephony_calls (id, provider, lead_id, user_id, agent_number, customer_number, status, started_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'initiated', NOW())`,
+    [callId, provider.name, lead.id, userId, agentNumber, validatedNumbers[0]]
+  );
+
+  try {
+    const placed = await provider.placeCall({
+      callId,
+      agentNumber,
+      customerNumber: validatedNumbers[0],
+      statusCallbackUrl: statusCallbackUrl(provider.name),
+    });
+    await db.execute('UPDATE telephony_calls SET provider_call_id = ?, status = ? WHERE id = ?', [
+      placed.providerCallId,
+      placed.status || 'initiated',
+      callId,
+    ]);
+  } catch (error) {
+    const message = error.response?.data?.RestException?.Message || error.message || 'Call could not be placed';
+    await db.execute("UPDATE telephony_calls SET status = 'failed', error_message = ? WHERE id = ?", [
+      String(message).slice(0, 500),
+      callId,
+    ]);
+    throw telephonyError(`Could not place the call: ${message}`, error.statusCode || 502);
+  }
+  return getTelephonyCall(db, callId);
+}
+
+/** Flag logged vs actual talk time once the call has both a CDR and a call log. */
+async function evaluateDurationMismatch(db, callId) {
+  const [rows] = await db.execute(
+    `SELECT t.id, t.status, t.duration_seconds, t.cdr_received_at, c.duration_seconds AS logged
+     FROM telephony_calls t
+     JOIN communications c ON c.id = t.communication_id
+     WHERE t.id = ?`,
+    [callId]
+  );
+  const row = rows[0];
+  if (!row || !row.cdr_received_at) return;
+  const logged = row.logged === null || row.logged === undefined ? null : Number(row.logged);
+  const actual = row.status === 'completed' ? Number(row.duration_seconds || 0) : 0;
+  const difference = logged === null ? null : logged - actual;
+  const mismatch = difference !== null && Math.abs(difference) > DURATION_TOLERANCE_SECONDS;
+  await db.execute(
+    `UPDATE telephony_calls
+     SET logged_duration_seconds = ?, duration_difference_seconds = ?, duration_mismatch = ?
+     WHERE id = ?`,
+    [logged, difference, mismatch ? 1 : 0, callId]
+  );
+}
+
+/** Nearest call log of the same agent and lead within the match window that no other call claims. */
+async function findMatchingCallLog(db, call) {
+  const anchor = call.started_at || call.created_at;
+  const [rows] = await db.execute(
+    `SELECT c.id
+     FROM communications c
+     WHERE c.type = 'call' AND c.lead_id = ? AND c.sent_by = ?
+       AND c.sent_at BETWEEN DATE_SUB(?, INTERVAL 5 MINUTE) AND DATE_ADD(?, INTERVAL ${Number(MATCH_WINDOW_MINUTES)} MINUTE)
+       AND NOT EXISTS (SELECT 1 FROM telephony_calls t WHERE t.communication_id = c.id)
+     ORDER BY ABS(TIMESTAMPDIFF(SECOND, c.sent_at, ?)) ASC
+     LIMIT 1`,
+    [call.lead_id, call.user_id, anchor, call.ended_at || anchor, anchor]
+  );
+  return rows[0]?.id || null;
+}
+
+/**
+ * Store a provider CDR (webhook) and match it to a call log.
+ * CDRs for calls not placed from the CRM are kept too, matched to a lead / agent by phone number when possible.
+ * @returns {Promise<object>} the formatted call
+ */
+export async function processTelephonyCdr(db, providerName, body) {
+  const provider = getTelephonyProvider(providerName);
+  const cdr = provider.parseCdr(body || {});
+  if (!cdr.providerCallId && !cdr.callId) {
+    throw telephonyError('CDR has no call ID');
+  }
+
+  const [existing] = await db.execute(
+    `SELECT * FROM telephony_calls
+     WHERE provider = ? AND (provider_call_id = ? OR id = ?)
+     ORDER BY provider_call_id = ? DESC
+     LIMIT 1`,
+    [provider.name, cdr.providerCallId || '', cdr.callId || '', cdr.providerCallId || '']
+  );
+  let callId = existing[0]?.id;
+  if (!callId) {
+    if (!cdr.customerNumber) {
+      throw telephonyError('Unknown call and the CDR has no customer number', 404);
+    }
+    const [leads] = await db.execute(
+      'SELECT id FROM leads WHERE phone = ? AND deleted_at IS NULL ORDER BY updated_at DESC LIMIT 1',
+      [cdr.customerNumber.slice(-10)]
+    );
+    const [agents] = cdr.agentNumber
+      ? await db.execute('SELECT id FROM users WHERE mobile_number = ? LIMIT 1', [cdr.agentNumber.slice(-10)])
+      : [[]];
+    callId = uuidv4();
+    await db.execute(
+      `INSERT INTO telephony_calls (id, provider, provider_call_id, lead_id, user_id, agent_number, customer_number, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'initiated')`,
+      [
+        callId,
+        provider.name,
+        cdr.providerCallId,
+        leads[0]?.id || null,
+        agents[0]?.id || null,
+        cdr.agentNumber,
+        cdr.customerNumber,
+      ]
+    );
+  }
+
+  await db.execute(
+    `UPDATE telephony_calls SET
+       provider_call_id = COALESCE(provider_call_id, ?),
+       status = COALESCE(?, status),
+       duration_seconds = COALESCE(?, duration_seconds),
+       total_duration_seconds = COALESCE(?, total_duration_seconds),
+       recording_url = COALESCE(?, recording_url),
+       started_at = COALESCE(?, started_at),
+       answered_at = COALESCE(?, answered_at),
+       ended_at = COALESCE(?, ended_at),
+       cdr_received_at = NOW(),
+       raw_cdr = ?
+     WHERE id = ?`,
+    [
+      cdr.providerCallId,
+      cdr.status,
+      cdr.durationSeconds,
+      cdr.totalDurationSeconds,
+      cdr.recordingUrl,
+      cdr.startedAt,
+      cdr.answeredAt,
+      cdr.endedAt,
+      JSON.stringify(body || {}),
+      callId,
+    ]
+  );
+
+  const [rows] = await db.execute('SELECT * FROM telephony_calls WHERE id = ?', [callId]);
+  const call = rows[0];
+  if (!call.communication_id && call.lead_id && call.user_id && TERMINAL_STATUSES.has(call.status)) {
+    const communicationId = await findMatchingCallLog(db, call);
+    if (communicationId) {
+      await db.execute('UPDATE telephony_calls SET communication_id = ? WHERE id = ? AND communication_id IS NULL', [
+        communicationId,
+        callId,
+      ]);
+    }
+  }
+  await evaluateDurationMismatch(db, callId);
+  return getTelephonyCall(db, callId);
+}
+
+/** The agent's own call on this lead, for a call log sent with `telephonyCallId`. */
+export async function getAgentTelephonyCall(db, { telephonyCallId, leadId, userId }) {
+  const [rows] = await db.execute('SELECT * FROM telephony_calls WHERE id = ?', [telephonyCallId]);
+  const call = rows[0];
+  if (!call || call.lead_id !== leadId) {
+    throw telephonyError('Telephony call not found for this lead', 404);
+  }
+  if (call.user_id !== userId) {
+    throw telephonyError('This call was placed by another user', 403);
+  }
+  if (call.communication_id) {
+    throw telephonyError('This call is already logged', 409);
+  }
+  return call;
+}
+
+/**
+ * Link a new call log to its telephony call: the one given, else the agent's unlogged call on the lead that
+ * falls in the match window. Returns the call ID or null.
+ */
+export async function linkCallLogToTelephony(db, { communicationId, leadId, userId, telephonyCall = null }) {
+  if (!telephonyCall && !(await hasTelephonyCallsTable(db))) return null;
+  let callId = telephonyCall?.id || null;
+  if (!callId) {
+    const [rows] = await db.execute(
+      `SELECT id FROM telephony_calls
+       WHERE lead_id = ? AND user_id = ? AND communication_id IS NULL
+         AND created_at >= DATE_SUB(NOW(), INTERVAL ${Number(MATCH_WINDOW_MINUTES)} MINUTE)
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [leadId, userId]
+    );
+    callId = rows[0]?.id || null;
+  }
+  if (!callId) return null;
+  const [result] = await db.execute(
+    'UPDATE telephony_calls SET communication_id = ? WHERE id = ? AND communication_id IS NULL',
+    [communicationId, callId]
+  );
+  if (Number(result?.affectedRows || 0) === 0) return null;
+  await evaluateDurationMismatch(db, callId);
+  return callId;
+}
+
+/** Calls with their CDR, newest first (?leadId, ?userId, ?status, ?mismatch=true, ?startDate, ?endDate). */
+export async function listTelephonyCalls(db, { leadId, userId, status, mismatch, startDate, endDate, page = 1, limit = 50 } = {}) {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const conditions = ['1 = 1'];
+  const params = [];
+  if (leadId) {
+    conditions.push('t.lead_id = ?');
+    params.push(leadId);
+  }
+  if (userId) {
+    conditions.push('t.user_id = ?');
+    params.push(userId);
+  }
+  if (status) {
+    if (!TELEPHONY_CALL_STATUSES.includes(status)) {
+      throw telephonyError(`status must be one of: ${TELEPHONY_CALL_STATUSES.join(', ')}`);
+    }
+    conditions.push('t.status = ?');
+    params.push(status);
+  }
+  if (mismatch === true || mismatch === 'true') {
+    conditions.push('t.duration_mismatch = 1');
+  }
+  if (startDate) {
+    conditions.push('t.created_at >= ?');
+    params.push(`${startDate} 00:00:00`);
+  }
+  if (endDate) {
+    conditions.push('t.created_at <= ?');
+    params.push(`${endDate} 23:59:59`);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const [countRows] = await db.execute(`SELECT COUNT(*) AS total FROM telephony_calls t ${where}`, params);
+  const total = Number(countRows[0]?.total || 0);
+  const [rows] = await db.execute(
+    `${CALL_SELECT} ${where} ORDER BY t.created_at DESC LIMIT ${Number(limitNum)} OFFSET ${Number((pageNum - 1) * limitNum)}`,
+    params
+  );
+  return {
+    calls: rows.map(formatTelephonyCall),
+    pagination: { page: pageNum, limit: limitNum, total, pages: Math.ceil(total / limitNum) },
+  };
+}
+
+let telephonyTableReady = false;
+
+/** Whether telephony_calls exists (reports join it only after the migration ran). */
+export async function hasTelephonyCallsTable(db) {
+  if (telephonyTableReady) return true;
+  try {
+    await db.execute('SELECT 1 FROM telephony_calls LIMIT 1');
+    telephonyTableReady = true;
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+  }
+  return telephonyTableReady;
+}
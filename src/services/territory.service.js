@@ -0,0 +1,604 @@
+/**
+ * Territories: groups of location masters (states / districts / mandals / schools) with owner counsellors and PROs.
+ *
+ * New leads (public form, manual create, bulk upload) are auto-assigned to the owners of the most specific
+ * matching territory: school (inter_college / dynamic school name) → mandal → district → state. Leads that match
+ * nothing go to the default territory (is_default) when one is configured, otherwise they stay unassigned.
+ * Among several owners of one role the one with the fewest territory assignments so far is picked; owners on leave
+ * today or at their workload capacity (assignment_capacity_rules) are passed over.
+ *
+ * Set TERRITORY_AUTO_ASSIGN_ENABLED=false to turn auto-assignment off.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { resolveLeadStatus } from '../utils/leadChannelStatus.util.js';
+import { notifyLeadAssignment } from './notification.service.js';
+import { getUsersOnLeave } from './staffLeave.service.js';
+import { capacityBlockReason, loadCapacityStates, takeCapacity } from './assignmentCapacity.service.js';
+
+export const TERRITORY_AREA_TYPES = ['state', 'district', 'mandal', 'school'];
+export const TERRITORY_OWNER_ROLES = ['counsellor', 'pro'];
+
+const INDEX_CACHE_TTL_MS = 60 * 1000;
+const ASSIGN_CHUNK = 500;
+const SYSTEM_USER_ID = '00000000-0000-0000-0000-000000000000';
+
+let indexCache = { at: 0, index: null };
+
+const territoryError = (message, statusCode = 400) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+};
+
+const norm = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const parseJson = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+export const isTerritoryAutoAssignEnabled = () =>
+  String(process.env.TERRITORY_AUTO_ASSIGN_ENABLED ?? 'true').toLowerCase() !== 'false';
+
+export function invalidateTerritoryCache() {
+  indexCache = { at: 0, index: null };
+}
+
+const AREA_NAME_SQL = `
+  SELECT ta.territory_id, ta.area_type, ta.area_id,
+    COALESCE(st.name, ds.name, ms.name) AS state_name,
+    COALESCE(dd.name, md.name) AS district_name,
+    mm.name AS mandal_name,
+    sc.name AS school_name
+  FROM territory_areas ta
+  LEFT JOIN states st ON ta.area_type = 'state' AND st.id = ta.area_id
+  LEFT JOIN districts dd ON ta.area_type = 'district' AND dd.id = ta.area_id
+  LEFT JOIN states ds ON ds.id = dd.state_id
+  LEFT JOIN mandals mm ON ta.area_type = 'mandal' AND mm.id = ta.area_id
+  LEFT JOIN districts md ON md.id = mm.district_id
+  LEFT JOIN states ms ON ms.id = md.state_id
+  LEFT JOIN schools sc ON ta.area_type = 'school' AND sc.id = ta.area_id`;
+
+const areaLabel = (row) => {
+  if (row.area_type === 'school') return row.school_name;
+  return [row.mandal_name, row.district_name, row.state_name].filter(Boolean).join(', ');
+};
+
+/**
+ * Lookup maps for active territories, cached for a minute. `null` before the migration has run.
+ */
+async function loadTerritoryIndex(db) {
+  if (indexCache.at && Date.now() - indexCache.at < INDEX_CACHE_TTL_MS) {
+    return indexCache.index;
+  }
+  let territoryRows;
+  let areaRows;
+  let ownerRows;
+  try {
+    [territoryRows] = await db.execute('SELECT id, name, is_default FROM territories WHERE is_active = 1');
+    [areaRows] = await db.execute(
+      `${AREA_NAME_SQL}
+       INNER JOIN territories t ON t.id = ta.territory_id AND t.is_active = 1`
+    );
+    [ownerRows] = await db.execute(
+      `SELECT tow.territory_id, tow.user_id, tow.owner_role, tow.assigned_count, u.name, u.role_name
+       FROM territory_owners tow
+       INNER JOIN territories t ON t.id = tow.territory_id AND t.is_active = 1
+       INNER JOIN users u ON u.id = tow.user_id AND u.is_active = 1
+       ORDER BY tow.created_at ASC`
+    );
+  } catch (error) {
+    if (error.code !== 'ER_NO_SUCH_TABLE') throw error;
+    indexCache = { at: Date.now(), index: null };
+    return null;
+  }
+
+  const territories = new Map(
+    territoryRows.map((t) => [
+      t.id,
+      { id: t.id, name: t.name, isDefault: t.is_default === 1 || t.is_default === true, owners: { counsellor: [], pro: [] } },
+    ])
+  );
+  for (const row of ownerRows) {
+    territories.get(row.territory_id)?.owners[row.owner_role]?.push({
+      userId: row.user_id,
+      name: row.name,
+      roleName: row.role_name,
+      assignedCount: Number(row.assigned_count || 0),
+    });
+  }
+
+  const index = {
+    territories,
+    byState: new Map(),
+    byDistrict: new Map(),
+    byMandal: new Map(),
+    bySchool: new Map(),
+    defaultTerritoryId: territoryRows.find((t) => t.is_default === 1 || t.is_default === true)?.id || null,
+  };
+  for (const row of areaRows) {
+    const state = norm(row.state_name);
+    const district = norm(row.district_name);
+    if (row.area_type === 'state' && state) index.byState.set(state, row.territory_id);
+    if (row.area_type === 'district' && district) index.byDistrict.set(`${state}|${district}`, row.territory_id);
+    if (row.area_type === 'mandal' && row.mandal_name) {
+      index.byMandal.set(`${state}|${district}|${norm(row.mandal_name)}`, row.territory_id);
+    }
+    if (row.area_type === 'school' && row.school_name) index.bySchool.set(norm(row.school_name), row.territory_id);
+  }
+  indexCache = { at: Date.now(), index };
+  return index;
+}
+
+/** Most specific territory for a leads row → { territory, matchedBy } or null. */
+function matchLeadTerritory(index, lead) {
+  const dynamicFields = parseJson(lead.dynamic_fields, {}) || {};
+  const schoolNames = [dynamicFields.school_or_college_name, dynamicFields.schoolOrCollegeName, lead.inter_college]
+    .map(norm)
+    .filter(Boolean);
+  const state = norm(lead.state);
+  const district = norm(lead.district);
+  const mandal = norm(lead.mandal);
+
+  const candidates = [
+    ...schoolNames.map((name) => ['school', index.bySchool.get(name)]),
+    ['mandal', index.byMandal.get(`${state}|${district}|${mandal}`)],
+    ['district', index.byDistrict.get(`${state}|${district}`)],
+    ['state', index.byState.get(state)],
+    ['default', index.defaultTerritoryId],
+  ];
+  for (const [matchedBy, territoryId] of candidates) {
+    const territory = territoryId ? index.territories.get(territoryId) : null;
+    if (territory) return { territory, matchedBy };
+  }
+  return null;
+}
+
+/** Owner with the fewest territory assignments (ties: longest-standing owner). Mutates the cached count. */
+const pickOwner = (owners) => {
+  if (!owners || owners.length === 0) return null;
+  const owner = owners.reduce((best, o) => (o.assignedCount < best.assignedCount ? o : best), owners[0]);
+  owner.assignedCount += 1;
+  return owner;
+};
+
+/**
+ * Assign freshly created leads to their territory owners. Only empty channels are filled (a lead created by a
+ * counsellor keeps that counsellor and may still get the territory PRO).
+ *
+ * @param {string[]} leadIds
+ * @param {{ performedBy?: string|null }} options performedBy defaults to the system user (public form)
+ * @returns {Promise<{ assigned: number, unmatched: number, defaultQueue: number, byOwner: Map<string, string[]> }>}
+ *   byOwner: userId → lead IDs, for one notification per owner
+ */
+export async function autoAssignLeadsToTerritories(db, leadIds, { performedBy = null } = {}) {
+  const result = { assigned: 0, unmatched: 0, defaultQueue: 0, byOwner: new Map() };
+  if (!isTerritoryAutoAssignEnabled() || !leadIds || leadIds.length === 0) return result;
+  const index = await loadTerritoryIndex(db);
+  if (!index || index.territories.size === 0) return result;
+
+  const actorId = performedBy || SYSTEM_USER_ID;
+  const countIncrements = new Map();
+  const ownerIds = [...index.territories.values()].flatMap((t) => [...t.owners.counsellor, ...t.owners.pro].map((o) => o.userId));
+  const onLeave = await getUsersOnLeave(db, ownerIds);
+  const uniqueOwnerIds = [...new Set(ownerIds)];
+  let capacityStates = new Map();
+  if (uniqueOwnerIds.length > 0) {
+    const [ownerUsers] = await db.execute(
+      `SELECT id, role_name FROM users WHERE id IN (${uniqueOwnerIds.map(() => '?').join(',')})`,
+      uniqueOwnerIds
+    );
+    capacityStates = await loadCapacityStates(db, ownerUsers);
+  }
+  const available = (owners, lead) =>
+    owners.filter(
+      (o) => !onLeave.has(o.userId) && !capacityBlockReason(capacityStates.get(o.userId), lead.student_group)
+    );
+
+  for (let i = 0; i < leadIds.length; i += ASSIGN_CHUNK) {
+    const chunk = leadIds.slice(i, i + ASSIGN_CHUNK);
+    const [leads] = await db.execute(
+      `SELECT id, state, district, mandal, inter_college, dynamic_fields, lead_status, call_status, visit_status,
+              assigned_to, assigned_to_pro, student_group
+       FROM leads WHERE id IN (${chunk.map(() => '?').join(',')}) AND deleted_at IS NULL`,
+      chunk
+    );
+
+    for (const lead of leads) {
+      const match = matchLeadTerritory(index, lead);
+      if (!match) {
+        result.unmatched += 1;
+        continue;
+      }
+      const counsellor = lead.assigned_to ? null : pickOwner(available(match.territory.owners.counsellor, lead));
+      const pro = lead.assigned_to_pro ? null : pickOwner(available(match.territory.owners.pro, lead));
+      if (!counsellor && !pro) continue;
+
+      const nextCall = counsellor ? 'Assigned' : lead.call_status;
+      const nextVisit = pro ? 'Assigned' : lead.visit_status;
+      const oldStatus = lead.lead_status && String(lead.lead_status).trim() !== '' ? String(lead.lead_status).trim() : 'New';
+      const newStatus = resolveLeadStatus(oldStatus, nextCall, nextVisit);
+
+      const sets = ['lead_status = ?'];
+      const params = [newStatus];
+      if (counsellor) {
+        sets.push("assigned_to = ?, assigned_at = NOW(), assigned_by = ?, call_status = 'Assigned'");
+        params.push(counsellor.userId, actorId);
+      }
+      if (pro) {
+        sets.push("assigned_to_pro = ?, pro_assigned_at = NOW(), pro_assigned_by = ?, visit_status = 'Assigned'");
+        params.push(pro.userId, actorId);
+      }
+      const [update] = await db.execute(
+        `UPDATE leads SET ${sets.join(', ')}, updated_at = NOW()
+         WHERE id = ?${counsellor ? ' AND assigned_to IS NULL' : ''}${pro ? ' AND assigned_to_pro IS NULL' : ''}`,
+        [...params, lead.id]
+      );
+      if (Number(update?.affectedRows || 0) === 0) continue;
+
+      for (const owner of [counsellor, pro].filter(Boolean)) {
+        takeCapacity(capacityStates.get(owner.userId), lead.student_group);
+        const targetRole = owner === pro ? 'PRO' : 'counsellor';
+        await db.execute(
+          `INSERT INTO activity_logs (id, lead_id, type, old_status, new_status, comment, performed_by, metadata, created_at, updated_at)
+           VALUES (?, ?, 'status_change', ?, ?, ?, ?, ?, NOW(), NOW())`,
+          [
+            uuidv4(),
+            lead.id,
+            oldStatus,
+            newStatus,
+            `Assigned to ${targetRole} ${owner.name} (territory ${match.territory.name})`,
+            actorId,
+            JSON.stringify({
+              assignment: {
+                assignedTo: owner.userId,
+                assignedBy: actorId,
+                targetRole,
+                territory: { id: match.territory.id, name: match.territory.name, matchedBy: match.matchedBy },
+              },
+            }),
+          ]
+        );
+        const key = `${match.territory.id}|${owner.userId}`;
+        countIncrements.set(key, (countIncrements.get(key) || 0) + 1);
+        if (!result.byOwner.has(owner.userId)) result.byOwner.set(owner.userId, []);
+        result.byOwner.get(owner.userId).push(lead.id);
+      }
+      result.assigned += 1;
+      if (match.matchedBy === 'default') result.defaultQueue += 1;
+    }
+  }
+
+  for (const [key, increment] of countIncrements) {
+    const [territoryId, userId] = key.split('|');
+    await db.execute(
+      `UPDATE territory_owners SET assigned_count = assigned_count + ?, last_assigned_at = NOW()
+       WHERE territory_id = ? AND user_id = ?`,
+      [increment, territoryId, userId]
+    );
+  }
+  return result;
+}
+
+/** One assignment notification per owner for the `byOwner` map returned by autoAssignLeadsToTerritories. */
+export async function notifyTerritoryOwners(db, byOwner) {
+  for (const [userId, ownerLeadIds] of byOwner) {
+    const previewIds = ownerLeadIds.slice(0, 50);
+    const [previewRows] = await db.execute(
+      `SELECT id, name, phone, enquiry_number FROM leads WHERE id IN (${previewIds.map(() => '?').join(',')}) AND deleted_at IS NULL`,
+      previewIds
+    );
+    notifyLeadAssignment({
+      userId,
+      leadCount: ownerLeadIds.length,
+      leads: previewRows.map((l) => ({ _id: l.id, id: l.id, name: l.name, phone: l.phone, enquiryNumber: l.enquiry_number })),
+      isBulk: ownerLeadIds.length > 1,
+      allLeadIds: ownerLeadIds,
+    }).catch((error) => {
+      console.error('[Territory] Error sending assignment notifications:', error);
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Admin CRUD
+// ---------------------------------------------------------------------------
+
+/** Validate an admin create / update body. `areas`: [{ type, id }], `owners`: [{ userId, role }]. */
+export function normalizeTerritoryInput(body) {
+  const name = String(body.name ?? '').trim().replace(/\s+/g, ' ');
+  if (!name) throw territoryError('name is required');
+  if (name.length > 150) throw territoryError('name must be at most 150 characters');
+
+  const areas = [];
+  const seenAreas = new Set();
+  for (const area of Array.isArray(body.areas) ? body.areas : []) {
+    const type = String(area?.type ?? '').trim().toLowerCase();
+    const id = String(area?.id ?? '').trim();
+    if (!TERRITORY_AREA_TYPES.includes(type)) {
+      throw territoryError(`area type must be one of: ${TERRITORY_AREA_TYPES.join(', ')}`);
+    }
+    if (!id) throw territoryError('Every area needs an id');
+    if (seenAreas.has(`${type}:${id}`)) continue;
+    seenAreas.add(`${type}:${id}`);
+    areas.push({ type, id });
+  }
+
+  const owners = [];
+  const seenOwners = new Set();
+  for (const owner of Array.isArray(body.owners) ? body.owners : []) {
+    const userId = String(owner?.userId ?? '').trim();
+    const role = String(owner?.role ?? '').trim().toLowerCase();
+    if (!userId) throw territoryError('Every owner needs a userId');
+    if (!TERRITORY_OWNER_ROLES.includes(role)) {
+      throw territoryError(`owner role must be one of: ${TERRITORY_OWNER_ROLES.join(', ')}`);
+    }
+    if (seenOwners.has(userId)) throw territoryError('A user can own a territory only once');
+    seenOwners.add(userId);
+    owners.push({ userId, role });
+  }
+
+  return {
+    name,
+    description: body.description ? String(body.description).trim().slice(0, 500) : null,
+    isDefault: body.isDefault === true || body.isDefault === 'true' || body.isDefault === 1,
+    isActive: body.isActive === undefined ? true : body.isActive === true || body.isActive === 'true' || body.isActive === 1,
+    areas,
+    owners,
+  };
+}
+
+const AREA_TABLES = { state: 'states', district: 'districts', mandal: 'mandals', school: 'schools' };
+
+async function validateAreasAndOwners(db, territoryId, { areas, owners }) {
+  for (const type of TERRITORY_AREA_TYPES) {
+    const ids = areas.filter((a) => a.type === type).map((a) => a.id);
+    if (ids.length === 0) continue;
+    const [rows] = await db.execute(
+      `SELECT id FROM ${AREA_TABLES[type]} WHERE id IN (${ids.map(() => '?').join(',')})`,
+      ids
+    );
+    const found = new Set(rows.map((r) => r.id));
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length > 0) throw territoryError(`Unknown ${type} id(s): ${missing.join(', ')}`);
+
+    const [taken] = await db.execute(
+      `SELECT ta.area_id, t.name FROM territory_areas ta
+       INNER JOIN territories t ON t.id = ta.territory_id
+       WHERE ta.area_type = ? AND ta.area_id IN (${ids.map(() => '?').join(',')}) AND ta.territory_id <> ?`,
+      [type, ...ids, territoryId || '']
+    );
+    if (taken.length > 0) {
+      throw territoryError(
+        `${type} already belongs to another territory: ${[...new Set(taken.map((t) => t.name))].join(', ')}`,
+        409
+      );
+    }
+  }
+
+  if (owners.length > 0) {
+    const [users] = await db.execute(
+      `SELECT id, name, role_name, is_active FROM users WHERE id IN (${owners.map(() => '?').join(',')})`,
+      owners.map((o) => o.userId)
+    );
+    const byId = new Map(users.map((u) => [u.id, u]));
+    for (const owner of owners) {
+      const user = byId.get(owner.userId);
+      if (!user) throw territoryError(`User not found: ${owner.userId}`, 404);
+      if (user.is_active !== 1 && user.is_active !== true) throw territoryError(`${user.name} is inactive`);
+      const isProUser = String(user.role_name || '').trim().toUpperCase() === 'PRO';
+      if (isProUser !== (owner.role === 'pro')) {
+        throw territoryError(`${user.name} (${user.role_name}) cannot own the ${owner.role} slot`);
+      }
+    }
+  }
+}
+
+export async function getTerritory(db, id) {
+  const [rows] = await db.execute('SELECT * FROM territories WHERE id = ?', [id]);
+  if (rows.length === 0) return null;
+  const [areaRows] = await db.execute(`${AREA_NAME_SQL} WHERE ta.territory_id = ? ORDER BY ta.area_type, ta.created_at`, [id]);
+  const [ownerRows] = await db.execute(
+    `SELECT tow.*, u.name, u.role_name, u.is_active
+     FROM territory_owners tow
+     INNER JOIN users u ON u.id = tow.user_id
+     WHERE tow.territory_id = ?
+     ORDER BY tow.owner_role, tow.created_at`,
+    [id]
+  );
+  const t = rows[0];
+  return {
+    id: t.id,
+    _id: t.id,
+    name: t.name,
+    description: t.description || null,
+    isDefault: t.is_default === 1 || t.is_default === true,
+    isActive: t.is_active === 1 || t.is_active === true,
+    areas: areaRows.map((a) => ({ type: a.area_type, id: a.area_id, label: areaLabel(a) || null })),
+    owners: ownerRows.map((o) => ({
+      userId: o.user_id,
+      name: o.name,
+      roleName: o.role_name,
+      role: o.owner_role,
+      isActive: o.is_active === 1 || o.is_active === true,
+      assignedCount: Number(o.assigned_count || 0),
+      lastAssignedAt: o.last_assigned_at || null,
+    })),
+    createdAt: t.created_at,
+    updatedAt: t.updated_at,
+  };
+}
+
+export async function listTerritories(db) {
+  const [rows] = await db.execute(
+    `SELECT t.*,
+       (SELECT COUNT(*) FROM territory_areas ta WHERE ta.territory_id = t.id) AS area_count,
+       (SELECT COUNT(*) FROM territory_owners tow WHERE tow.territory_id = t.id AND tow.owner_role = 'counsellor') AS counsellor_count,
+       (SELECT COUNT(*) FROM territory_owners tow WHERE tow.territory_id = t.id AND tow.owner_role = 'pro') AS pro_count
+     FROM territories t
+     ORDER BY t.is_default DESC, t.name ASC`
+  );
+  return rows.map((t) => ({
+    id: t.id,
+    _id: t.id,
+    name: t.name,
+    description: t.description || null,
+    isDefault: t.is_default === 1 || t.is_default === true,
+    isActive: t.is_active === 1 || t.is_active === true,
+    areaCount: Number(t.area_count || 0),
+    counsellorOwnerCount: Number(t.counsellor_count || 0),
+    proOwnerCount: Number(t.pro_count || 0),
+    createdAt: t.created_at,
+    updatedAt: t.updated_at,
+  }));
+}
+
+/** Create (id = null) or replace a territory with its areas and owners. Owner rotation counts are kept. */
+export async function saveTerritory(db, id, input, userId) {
+  await validateAreasAndOwners(db, id, input);
+  const territoryId = id || uuidv4();
+
+  // Territory row, areas and owners change together: a failed insert must not leave the territory without its areas
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    if (input.isDefault) {
+      await connection.execute('UPDATE territories SET is_default = 0 WHERE is_default = 1 AND id <> ?', [territoryId]);
+    }
+    if (id) {
+      await connection.execute(
+        `UPDATE territories SET name = ?, description = ?, is_default = ?, is_active = ?, updated_by = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [input.name, input.description, input.isDefault ? 1 : 0, input.isActive ? 1 : 0, userId, id]
+      );
+    } else {
+      await connection.execute(
+        `INSERT INTO territories (id, name, description, is_default, is_active, created_by, updated_by, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [territoryId, input.name, input.description, input.isDefault ? 1 : 0, input.isActive ? 1 : 0, userId, userId]
+      );
+    }
+
+    await connection.execute('DELETE FROM territory_areas WHERE territory_id = ?', [territoryId]);
+    if (input.areas.length > 0) {
+      await connection.execute(
+        `INSERT INTO territory_areas (id, territory_id, area_type, area_id, created_at)
+         VALUES ${input.areas.map(() => '(?, ?, ?, ?, NOW())').join(', ')}`,
+        input.areas.flatMap((a) => [uuidv4(), territoryId, a.type, a.id])
+      );
+    }
+
+    const keep = input.owners.map((o) => o.userId);
+    await connection.execute(
+      `DELETE FROM territory_owners WHERE territory_id = ?${keep.length > 0 ? ` AND user_id NOT IN (${keep.map(() => '?').join(',')})` : ''}`,
+      [territoryId, ...keep]
+    );
+    for (const owner of input.owners) {
+      await connection.execute(
+        `INSERT INTO territory_owners (territory_id, user_id, owner_role, created_at)
+         VALUES (?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE owner_role = VALUES(owner_role)`,
+        [territoryId, owner.userId, owner.role]
+      );
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  invalidateTerritoryCache();
+  return getTerritory(db, territoryId);
+}
+
+export async function deleteTerritory(db, id) {
+  const [result] = await db.execute('DELETE FROM territories WHERE id = ?', [id]);
+  invalidateTerritoryCache();
+  return Number(result.affectedRows || 0) > 0;
+}
+
+/**
+ * Areas no active territory covers, with their lead volume (so the biggest gaps show first):
+ * - mandals whose mandal, district and state are all outside every territory
+ * - schools not in any territory (matched to leads by inter_college)
+ * - active territories without an active counsellor or PRO owner
+ */
+export async function getUnownedAreasReport(db, { academicYear } = {}) {
+  const yearNum = academicYear != null && academicYear !== '' ? parseInt(academicYear, 10) : NaN;
+  const yearSql = Number.isNaN(yearNum) ? '' : ' AND academic_year = ?';
+  const yearParams = Number.isNaN(yearNum) ? [] : [yearNum];
+  const activeArea = (type, idSql) =>
+    `EXISTS (SELECT 1 FROM territory_areas ta INNER JOIN territories t ON t.id = ta.territory_id AND t.is_active = 1
+             WHERE ta.area_type = '${type}' AND ta.area_id = ${idSql})`;
+
+  const [mandalRows] = await db.execute(
+    `SELECT m.id, m.name AS mandal, d.name AS district, s.name AS state
+     FROM mandals m
+     INNER JOIN districts d ON d.id = m.district_id
+     INNER JOIN states s ON s.id = d.state_id
+     WHERE m.is_active = 1
+       AND NOT ${activeArea('mandal', 'm.id')}
+       AND NOT ${activeArea('district', 'd.id')}
+       AND NOT ${activeArea('state', 's.id')}`
+  );
+  const [mandalCounts] = await db.execute(
+    `SELECT LOWER(TRIM(state)) AS state_key, LOWER(TRIM(district)) AS district_key, LOWER(TRIM(mandal)) AS mandal_key,
+            COUNT(*) AS total, SUM(CASE WHEN assigned_to IS NULL THEN 1 ELSE 0 END) AS unassigned
+     FROM leads WHERE deleted_at IS NULL${yearSql}
+     GROUP BY state_key, district_key, mandal_key`,
+    yearParams
+  );
+  const countByMandal = new Map(mandalCounts.map((r) => [`${r.state_key}|${r.district_key}|${r.mandal_key}`, r]));
+
+  const [schoolRows] = await db.execute(
+    `SELECT sc.id, sc.name FROM schools sc WHERE sc.is_active = 1 AND NOT ${activeArea('school', 'sc.id')}`
+  );
+  const [schoolCounts] = await db.execute(
+    `SELECT LOWER(TRIM(inter_college)) AS school_key, COUNT(*) AS total,
+            SUM(CASE WHEN assigned_to IS NULL THEN 1 ELSE 0 END) AS unassigned
+     FROM leads WHERE deleted_at IS NULL AND TRIM(COALESCE(inter_college, '')) <> ''${yearSql}
+     GROUP BY school_key`,
+    yearParams
+  );
+  const countBySchool = new Map(schoolCounts.map((r) => [r.school_key, r]));
+
+  const [ownerlessRows] = await db.execute(
+    `SELECT t.id, t.name,
+       SUM(CASE WHEN tow.owner_role = 'counsellor' AND u.is_active = 1 THEN 1 ELSE 0 END) AS counsellors,
+       SUM(CASE WHEN tow.owner_role = 'pro' AND u.is_active = 1 THEN 1 ELSE 0 END) AS pros
+     FROM territories t
+     LEFT JOIN territory_owners tow ON tow.territory_id = t.id
+     LEFT JOIN users u ON u.id = tow.user_id
+     WHERE t.is_active = 1
+     GROUP BY t.id, t.name
+     HAVING counsellors = 0 OR pros = 0`
+  );
+
+  const withCounts = (row, counts) => ({
+    ...row,
+    leadCount: Number(counts?.total || 0),
+    unassignedLeadCount: Number(counts?.unassigned || 0),
+  });
+  const byVolume = (a, b) => b.leadCount - a.leadCount || String(a.name || a.mandal).localeCompare(String(b.name || b.mandal));
+
+  return {
+    mandals: mandalRows
+      .map((m) => withCounts(m, countByMandal.get(`${norm(m.state)}|${norm(m.district)}|${norm(m.mandal)}`)))
+      .sort(byVolume),
+    schools: schoolRows.map((s) => withCounts(s, countBySchool.get(norm(s.name)))).sort(byVolume),
+    territoriesMissingOwners: ownerlessRows.map((t) => ({
+      id: t.id,
+      name: t.name,
+      missingCounsellor: Number(t.counsellors || 0) === 0,
+      missingPro: Number(t.pros || 0) === 0,
+    })),
+  };
+}
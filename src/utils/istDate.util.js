@@ -0,0 +1,12 @@
+/** Calendar dates (YYYY-MM-DD) in India time, for day-based scheduling. */
+const TZ_IST = 'Asia/Kolkata';
+
+/** Calendar date YYYY-MM-DD in Asia/Kolkata. */
+export const todayYmdIST = (d = new Date()) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone: TZ_IST, year: 'numeric', month: '2-digit', day: '2-digit' }).format(d);
+
+/** YYYY-MM-DD `days` calendar days after `value` (negative = before). */
+export const addDaysYmd = (value, days) => {
+  const [y, m, d] = value.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
@@ -540,7 +540,7 @@ export async function getReferenceNameUsage(pool, name, { admissionLimit = 50 }
   const joiningsCount = Number(joinCountRows[0]?.total ?? 0);
 
   const [leadCountRows] = await pool.execute(
-    `SELECT COUNT(*) AS total FROM leads l WHERE ${sqlJsonRefEquals('dynamic_fields', '$.reference1')}`,
+    `SELECT COUNT(*) AS total FROM leads l WHERE l.deleted_at IS NULL AND ${sqlJsonRefEquals('dynamic_fields', '$.reference1')}`,
     [matchKey]
   );
   const leadsCount = Number(leadCountRows[0]?.total ?? 0);
@@ -36,10 +36,32 @@ export function canonicalizeLeadStatus(status) {
   return trimmed || 'New';
 }
 
+/**
+ * Admin status catalog mappings (normalized status name → canonical lead_status), installed by
+ * leadStatusWorkflow.service whenever the catalog is (re)loaded. Checked before the built-in mapping so
+ * seasonal statuses such as "Counselling Attended" feed the pipeline without code changes.
+ */
+let catalogStatusMappings = new Map();
+
+/** @param {Array<{ name: string, canonicalStatus: string }>} entries */
+export function setCatalogStatusMappings(entries) {
+  const next = new Map();
+  for (const entry of entries || []) {
+    const key = normalize(entry?.name);
+    if (key && LEAD_STATUS_PRIORITY.includes(entry.canonicalStatus)) {
+      next.set(key, entry.canonicalStatus);
+    }
+  }
+  catalogStatusMappings = next;
+}
+
 function mapChannelStatusToLeadStatus(status) {
   const s = normalize(status);
   if (!s) return null;
 
+  const fromCatalog = catalogStatusMappings.get(s);
+  if (fromCatalog) return fromCatalog;
+
   if (s === 'confirmed') return 'Confirmed';
   if (s === 'visited') return 'Visited';
   if (s === 'interested' || s === 'cet applied' || s === 'cet_applied') return 'Interested';
@@ -60,7 +82,7 @@ function mapChannelStatusToLeadStatus(status) {
   return null;
 }
 
-const LEAD_STATUS_PRIORITY = [
+export const LEAD_STATUS_PRIORITY = [
   'Confirmed',
   'Visited',
   'Interested',
@@ -79,6 +101,20 @@ function selectHigherPriorityStatus(a, b) {
   return ai <= bi ? a : b;
 }
 
+/**
+ * Highest-priority canonical lead_status among the given values (e.g. when merging duplicate leads).
+ * @param {Array<string|null|undefined>} statuses
+ */
+export function pickHighestPriorityLeadStatus(statuses) {
+  let best = null;
+  for (const status of statuses || []) {
+    if (status == null || String(status).trim() === '') continue;
+    const canonical = canonicalizeLeadStatus(status);
+    best = best ? selectHigherPriorityStatus(canonical, best) : canonical;
+  }
+  return best || 'New';
+}
+
 /** True when pipeline lead_status should become "Assigned" after assigning to a user (bulk or PUT). */
 export function isPipelineNewLeadStatus(leadStatus) {
   const s = String(leadStatus ?? '').trim().toLowerCase();
@@ -57,9 +57,10 @@ export async function findLeadByMobileNumbers(db, studentPhone, parentPhone) {
   const exactParams = [...phones, ...phones, ...phones];
   const [exactRows] = await db.execute(
     `SELECT ${LEAD_LOOKUP_COLUMNS} FROM leads
-     WHERE phone IN (${placeholders})
+     WHERE deleted_at IS NULL
+       AND (phone IN (${placeholders})
         OR father_phone IN (${placeholders})
-        OR alternate_mobile IN (${placeholders})
+        OR alternate_mobile IN (${placeholders}))
      ORDER BY updated_at DESC
      LIMIT 1`,
     exactParams
@@ -75,7 +76,7 @@ export async function findLeadByMobileNumbers(db, studentPhone, parentPhone) {
   const normalizedParams = phones.flatMap((p) => [p, p, p]);
   const [normalizedRows] = await db.execute(
     `SELECT ${LEAD_LOOKUP_COLUMNS} FROM leads
-     WHERE ${normalizedMatchSql}
+     WHERE deleted_at IS NULL AND (${normalizedMatchSql})
      ORDER BY updated_at DESC
      LIMIT 1`,
     normalizedParams
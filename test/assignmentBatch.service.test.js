@@ -0,0 +1,205 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { recordAssignmentBatch, undoAssignmentBatch } from '../src/services/assignmentBatch.service.js';
+
+const LEAD_ID = '11111111-1111-1111-1111-111111111111';
+const COUNSELLOR_ID = 'c0000000-0000-0000-0000-000000000001';
+const PRO_ID = 'p0000000-0000-0000-0000-000000000001';
+const POST_BATCH_AT = new Date('2026-10-01T10:00:00Z');
+
+/**
+ * In-memory stand-in for the handful of statements the batch service runs against one lead.
+ * Only the SQL shapes used by recordAssignmentBatch / undoAssignmentBatch are understood.
+ */
+function createFakeDb(lead) {
+  const state = { lead: { ...lead }, batches: new Map(), items: [], logs: [] };
+  const execute = async (sql, params = []) => {
+    const q = sql.replace(/\s+/g, ' ').trim();
+    if (q.startsWith('INSERT INTO assignment_batches')) {
+      const [id, operation, targetUserId, leadCount, , createdBy] = params;
+      state.batches.set(id, { id, operation, target_user_id: targetUserId, lead_count: leadCount, status: 'applied', created_by: createdBy });
+      return [{ affectedRows: 1 }];
+    }
+    if (q.startsWith('INSERT INTO assignment_batch_items')) {
+      for (let i = 0; i < params.length; i += 5) {
+        const [batchId, leadId, channel, previousState, newAssignedTo] = params.slice(i, i + 5);
+        state.items.push({
+          batch_id: batchId,
+          lead_id: leadId,
+          channel,
+          previous_state: previousState,
+          new_assigned_to: newAssignedTo,
+          post_updated_at: null,
+          undo_status: null,
+          undo_skip_reason: null,
+        });
+      }
+      return [{ affectedRows: params.length / 5 }];
+    }
+    if (q.startsWith('UPDATE assignment_batch_items abi INNER JOIN leads')) {
+      for (const item of state.items) item.post_updated_at = state.lead.updated_at;
+      return [{ affectedRows: state.items.length }];
+    }
+    if (q.startsWith('SELECT * FROM assignment_batches WHERE id = ?')) {
+      const batch = state.batches.get(params[0]);
+      return [batch ? [{ ...batch }] : []];
+    }
+    if (q.startsWith('SELECT * FROM assignment_batch_items WHERE batch_id = ? AND undo_status IS NULL')) {
+      const order = { counsellor: 0, pro: 1 };
+      const rows = state.items
+        .filter((item) => item.batch_id === params[0] && item.undo_status === null)
+        .sort((a, b) => a.lead_id.localeCompare(b.lead_id) || order[a.channel] - order[b.channel]);
+      return [rows.map((row) => ({ ...row }))];
+    }
+    if (q.startsWith('SELECT id, assigned_to')) {
+      return [[{ ...state.lead }]];
+    }
+    if (q.startsWith('UPDATE assignment_batch_items SET undo_status')) {
+      const [undoStatus, reason, batchId, leadId] = params;
+      for (const item of state.items) {
+        if (item.batch_id === batchId && item.lead_id === leadId) {
+          item.undo_status = undoStatus;
+          item.undo_skip_reason = reason;
+        }
+      }
+      return [{ affectedRows: 1 }];
+    }
+    if (q.startsWith('UPDATE leads SET')) {
+      const columns = [...q.matchAll(/(\w+) = \?/g)].map((m) => m[1]).filter((c) => c !== 'id' && c !== 'updated_at');
+      const expectedUpdatedAt = params[params.length - 1];
+      if (expectedUpdatedAt.getTime() !== state.lead.updated_at.getTime()) return [{ affectedRows: 0 }];
+      columns.forEach((column, i) => {
+        state.lead[column] = params[i];
+      });
+      state.lead.updated_at = new Date(state.lead.updated_at.getTime() + 1000);
+      return [{ affectedRows: 1 }];
+    }
+    if (q.startsWith('INSERT INTO activity_logs')) {
+      state.logs.push(params);
+      return [{ affectedRows: 1 }];
+    }
+    if (q.startsWith('SELECT COUNT(DISTINCT CASE')) {
+      const leadsWith = (status) =>
+        new Set(state.items.filter((item) => item.batch_id === params[0] && item.undo_status === status).map((i) => i.lead_id)).size;
+      return [[{ restored_count: leadsWith('restored'), skipped_count: leadsWith('skipped'), pending_count: leadsWith(null) }]];
+    }
+    if (q.startsWith('UPDATE assignment_batches SET status')) {
+      const [status, undoneBy, restored, skipped, batchId] = params;
+      Object.assign(state.batches.get(batchId), {
+        status,
+        undone_by: undoneBy,
+        undo_restored_count: restored,
+        undo_skipped_count: skipped,
+      });
+      return [{ affectedRows: 1 }];
+    }
+    if (q.startsWith('SELECT ab.*')) {
+      const batch = state.batches.get(params[0]);
+      return [batch ? [{ ...batch }] : []];
+    }
+    if (q.startsWith('SELECT abi.*')) {
+      return [state.items.filter((item) => item.batch_id === params[0]).map((item) => ({ ...item }))];
+    }
+    throw new Error(`Unexpected SQL in fake db: ${q}`);
+  };
+  return { execute, state };
+}
+
+const preBatchLead = {
+  id: LEAD_ID,
+  assigned_to: null,
+  assigned_at: null,
+  assigned_by: null,
+  counsellor_target_date: null,
+  call_status: null,
+  assigned_to_pro: null,
+  pro_assigned_at: null,
+  pro_assigned_by: null,
+  pro_target_date: null,
+  visit_status: null,
+  lead_status: 'New',
+  target_date: null,
+  academic_year: 2026,
+};
+
+/** Distribution order: counsellor write first, then the PRO write reads the lead again. */
+const afterCounsellorWrite = {
+  ...preBatchLead,
+  assigned_to: COUNSELLOR_ID,
+  assigned_at: '2026-10-01 10:00:00',
+  assigned_by: 'admin',
+  call_status: 'Assigned',
+  lead_status: 'Assigned',
+};
+const afterBatch = {
+  ...afterCounsellorWrite,
+  assigned_to_pro: PRO_ID,
+  pro_assigned_at: '2026-10-01 10:00:00',
+  pro_assigned_by: 'admin',
+  visit_status: 'Assigned',
+  lead_status: 'Assigned',
+  updated_at: POST_BATCH_AT,
+  deleted_at: null,
+};
+
+const recordDistribution = (db) =>
+  recordAssignmentBatch(db, {
+    operation: 'distribute',
+    createdBy: 'admin',
+    items: [
+      { leadId: LEAD_ID, channel: 'counsellor', previousRow: preBatchLead, newAssignedTo: COUNSELLOR_ID },
+      { leadId: LEAD_ID, channel: 'pro', previousRow: afterCounsellorWrite, newAssignedTo: PRO_ID },
+    ],
+  });
+
+test('recordAssignmentBatch stores the pre-batch shared columns on both channel items', async () => {
+  const db = createFakeDb(afterBatch);
+  await recordDistribution(db);
+
+  const [counsellorItem, proItem] = db.state.items;
+  assert.equal(JSON.parse(counsellorItem.previous_state).lead_status, 'New');
+  assert.equal(JSON.parse(proItem.previous_state).lead_status, 'New');
+  assert.equal(JSON.parse(proItem.previous_state).assigned_to_pro, null);
+});
+
+test('undoAssignmentBatch restores both channels of a distributed lead to the pre-batch state', async () => {
+  const db = createFakeDb(afterBatch);
+  const batchId = await recordDistribution(db);
+
+  const result = await undoAssignmentBatch(db, { batchId, performedBy: 'admin' });
+
+  assert.equal(result.restored, 1);
+  assert.deepEqual(result.skipped, []);
+  assert.equal(db.state.lead.assigned_to, null);
+  assert.equal(db.state.lead.assigned_to_pro, null);
+  assert.equal(db.state.lead.call_status, null);
+  assert.equal(db.state.lead.visit_status, null);
+  assert.equal(db.state.lead.lead_status, 'New');
+  assert.equal(db.state.batches.get(batchId).status, 'undone');
+});
+
+test('undoAssignmentBatch takes shared columns from the counsellor item even when old rows disagree', async () => {
+  const db = createFakeDb(afterBatch);
+  const batchId = await recordDistribution(db);
+  // A batch stored before the fix kept the mid-batch lead_status on the PRO item
+  const proItem = db.state.items.find((item) => item.channel === 'pro');
+  proItem.previous_state = JSON.stringify({ ...JSON.parse(proItem.previous_state), lead_status: 'Assigned' });
+  db.state.items.reverse();
+
+  await undoAssignmentBatch(db, { batchId, performedBy: 'admin' });
+
+  assert.equal(db.state.lead.lead_status, 'New');
+});
+
+test('a partially undone batch can be retried while items are still pending, then is refused', async () => {
+  const db = createFakeDb(afterBatch);
+  const batchId = await recordDistribution(db);
+  db.state.batches.get(batchId).status = 'partially_undone';
+
+  const retry = await undoAssignmentBatch(db, { batchId, performedBy: 'admin' });
+  assert.equal(retry.restored, 1);
+  assert.equal(db.state.batches.get(batchId).status, 'undone');
+
+  db.state.batches.get(batchId).status = 'partially_undone';
+  await assert.rejects(undoAssignmentBatch(db, { batchId, performedBy: 'admin' }), { statusCode: 409 });
+});
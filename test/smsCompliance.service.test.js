@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSmsText, checkSmsMessage, validateRenderedMessage } from '../src/services/smsCompliance.service.js';
+
+test('analyzeSmsText: empty text is zero GSM-7 segments', () => {
+  const result = analyzeSmsText('');
+  assert.equal(result.encoding, 'gsm7');
+  assert.equal(result.units, 0);
+  assert.equal(result.segments, 0);
+  assert.equal(result.creditsPerRecipient, 0);
+});
+
+test('analyzeSmsText: GSM-7 fits 160 septets in one segment, then 153 per segment', () => {
+  assert.equal(analyzeSmsText('a'.repeat(160)).segments, 1);
+  assert.equal(analyzeSmsText('a'.repeat(161)).segments, 2);
+  assert.equal(analyzeSmsText('a'.repeat(306)).segments, 2);
+  assert.equal(analyzeSmsText('a'.repeat(307)).segments, 3);
+  assert.equal(analyzeSmsText('a'.repeat(161)).charactersPerSegment, 153);
+});
+
+test('analyzeSmsText: extension characters take two septets', () => {
+  const result = analyzeSmsText('€'.repeat(80));
+  assert.equal(result.encoding, 'gsm7');
+  assert.equal(result.characters, 80);
+  assert.equal(result.units, 160);
+  assert.equal(result.segments, 1);
+  assert.equal(analyzeSmsText('€'.repeat(81)).segments, 2);
+});
+
+test('analyzeSmsText: non-GSM characters switch to UCS-2 with 70 / 67 per segment', () => {
+  const result = analyzeSmsText('అ'.repeat(70));
+  assert.equal(result.encoding, 'unicode');
+  assert.equal(result.segments, 1);
+  assert.deepEqual(result.nonGsmCharacters, ['అ']);
+  assert.equal(analyzeSmsText('అ'.repeat(71)).segments, 2);
+  assert.equal(analyzeSmsText('అ'.repeat(134)).segments, 2);
+  assert.equal(analyzeSmsText('అ'.repeat(135)).segments, 3);
+});
+
+test('analyzeSmsText: characters outside the BMP count two UTF-16 units', () => {
+  const result = analyzeSmsText('Hi 😀');
+  assert.equal(result.encoding, 'unicode');
+  assert.equal(result.characters, 4);
+  assert.equal(result.units, 5);
+});
+
+test('analyzeSmsText: the unicode option forces UCS-2 for plain text', () => {
+  const result = analyzeSmsText('a'.repeat(71), { unicode: true });
+  assert.equal(result.encoding, 'unicode');
+  assert.equal(result.segments, 2);
+  assert.deepEqual(result.nonGsmCharacters, []);
+});
+
+test('analyzeSmsText: non-GSM characters are listed once', () => {
+  assert.deepEqual(analyzeSmsText('“quote” “again”').nonGsmCharacters, ['“', '”']);
+});
+
+const englishTemplate = {
+  content: 'Dear {#var#}, your visit is confirmed - Pydah Group',
+  dltTemplateId: '1707177753294074438',
+  language: 'en',
+  isUnicode: false,
+  variableCount: 1,
+  variables: [{ key: 'name' }],
+};
+
+test('validateRenderedMessage: Unicode in a lead value warns and is sent as Unicode, like checkSmsMessage', () => {
+  const rendered = 'Dear రమేష్, your visit is confirmed - Pydah Group';
+  const report = validateRenderedMessage(englishTemplate, rendered, [{ key: 'name', value: 'రమేష్' }]);
+  assert.equal(report.ok, true);
+  assert.equal(report.encoding, 'unicode');
+  const mismatch = report.violations.find((v) => v.code === 'ENCODING_MISMATCH');
+  assert.equal(mismatch.severity, 'warning');
+  assert.equal(checkSmsMessage({ message: rendered }).ok, true);
+});
+
+test('validateRenderedMessage: Unicode in the fixed content of an English template still blocks the send', () => {
+  const template = { ...englishTemplate, content: 'Dear {#var#}, your visit is confirmed – Pydah Group' };
+  const report = validateRenderedMessage(template, 'Dear Ramesh, your visit is confirmed – Pydah Group', [
+    { key: 'name', value: 'Ramesh' },
+  ]);
+  assert.equal(report.ok, false);
+  assert.deepEqual(
+    report.violations.filter((v) => v.code === 'ENCODING_MISMATCH').map((v) => v.severity),
+    ['error']
+  );
+});